@@ -5,7 +5,11 @@
  * - Reads all orders from orders table
  * - Resolves each to canonical inventory SKU
  * - Updates sku field only if match confidence >= threshold
+ * - Queues matches below the review threshold (UNMATCHED-* included) for review
  * - Logs stats: updated / skipped / ambiguous
+ *
+ * Reviewed aliases are checked before name matching. Aliases and the review
+ * queue go through the authority backend (OMEN_AUTHORITY_BACKEND).
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -15,6 +19,7 @@ import {
   resolveToCanonicalSku,
   normalizeForMatch
 } from './src/utils/skuResolver.js';
+import { loadSkuAliases, queueSkuReview } from './src/services/skuReviewService.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -43,9 +48,18 @@ async function backfillOrderSkus() {
 
   console.log('Loaded', inventory.length, 'inventory items');
 
-  // Build index
-  const index = buildInventoryIndex(inventory);
-  console.log('Built index with', index.byNormalizedStrain.size, 'unique strains\n');
+  // One index per store: the store's inventory plus its reviewed aliases
+  const indexes = new Map();
+  async function indexFor(storeId) {
+    if (!indexes.has(storeId)) {
+      const storeInventory = inventory.filter(item => !item.store_id || item.store_id === storeId);
+      const aliases = storeId ? await loadSkuAliases(storeId) : new Map();
+      const index = buildInventoryIndex(storeInventory, aliases);
+      console.log('Built index for', storeId || '(no store)', 'with', index.byNormalizedStrain.size, 'unique strains,', aliases.size, 'aliases');
+      indexes.set(storeId, index);
+    }
+    return indexes.get(storeId);
+  }
 
   // Load orders
   const { data: orders, error: ordersError } = await supabase
@@ -65,7 +79,8 @@ async function backfillOrderSkus() {
     skipped: 0,
     unmatched: 0,
     alreadyCorrect: 0,
-    errors: 0
+    errors: 0,
+    queued: 0
   };
 
   const unmatchedStrains = new Set();
@@ -78,7 +93,21 @@ async function backfillOrderSkus() {
       sku: order.sku
     };
 
-    const result = resolveToCanonicalSku(lineItem, index);
+    const result = resolveToCanonicalSku(lineItem, await indexFor(order.store_id));
+
+    if (order.store_id) {
+      const review = await queueSkuReview(order.store_id, {
+        strain: order.strain,
+        unit: order.unit,
+        proposedSku: result.sku,
+        matchType: result.matchType,
+        confidence: result.confidence,
+        candidates: result.candidates,
+        source: 'sku_backfill',
+        orderId: order.order_id
+      });
+      if (review.queued) stats.queued++;
+    }
 
     // Check if already correct
     if (order.sku === result.sku) {
@@ -116,6 +145,7 @@ async function backfillOrderSkus() {
   console.log('Already correct:', stats.alreadyCorrect);
   console.log('Skipped (low confidence):', stats.unmatched);
   console.log('Errors:', stats.errors);
+  console.log('Queued for review:', stats.queued);
   console.log('Total processed:', orders.length);
 
   if (unmatchedStrains.size > 0) {
@@ -20,6 +20,7 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const STORE_ID = process.env.STORE_ID || 'NJWeedWizard';
 
 async function finalTruthCheck() {
   console.log('╔════════════════════════════════════════════════════════════╗');
@@ -37,8 +38,8 @@ async function finalTruthCheck() {
   console.log('CHECK 1: SKU Match Rate');
   console.log('─────────────────────────────────────────');
 
-  const { data: orders } = await supabase.from('orders').select('sku');
-  const { data: inventory } = await supabase.from('inventory_live').select('sku');
+  const { data: orders } = await supabase.from('orders').select('sku').eq('store_id', STORE_ID);
+  const { data: inventory } = await supabase.from('inventory_live').select('sku').eq('store_id', STORE_ID);
 
   const invSkus = new Set(inventory.map(i => i.sku));
   let matched = 0;
@@ -79,6 +80,7 @@ async function finalTruthCheck() {
   const { data: orderDates } = await supabase
     .from('orders')
     .select('id, order_date, created_at')
+    .eq('store_id', STORE_ID)
     .order('order_date', { ascending: false })
     .limit(5);
 
@@ -106,8 +108,8 @@ async function finalTruthCheck() {
   console.log('CHECK 3: TemporalAnalyzer returns data');
   console.log('─────────────────────────────────────────');
 
-  const { data: fullInventory } = await supabase.from('inventory_live').select('*');
-  const analysis = await analyzeInventoryVelocity(fullInventory, 'weekly');
+  const { data: fullInventory } = await supabase.from('inventory_live').select('*').eq('store_id', STORE_ID);
+  const analysis = await analyzeInventoryVelocity(STORE_ID, fullInventory, 'weekly');
 
   console.log(`  ok: ${analysis.ok}`);
   console.log(`  hasData: ${analysis.hasData}`);
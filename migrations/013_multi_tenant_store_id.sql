@@ -0,0 +1,164 @@
+-- =============================================================================
+-- MIGRATION 013: Multi-tenant store_id on every authority table
+-- =============================================================================
+--
+-- PURPOSE:
+-- OMEN serves more than one storefront. Every route resolves the store from
+-- the JWT and every authority query filters by store_id. This migration adds
+-- store_id to the tables those queries read and write, and re-keys the
+-- unique constraints so two stores can carry the same SKU.
+--
+-- BACKFILL: Existing rows belong to the original single store, NJWeedWizard.
+--
+-- webhook_events keeps a DEFAULT because Make.com writes it directly; set the
+-- store_id column explicitly in each store's Make scenario.
+--
+-- MUST RUN BEFORE: deploying the multi-tenant server (queries filter by
+-- store_id and upsert with onConflict 'store_id,sku').
+--
+-- =============================================================================
+
+BEGIN;
+
+-- =============================================================================
+-- Step 1: Add store_id columns (backfill existing rows)
+-- =============================================================================
+
+ALTER TABLE orders              ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+ALTER TABLE orders_agg          ADD COLUMN IF NOT EXISTS store_id TEXT;
+ALTER TABLE webhook_events      ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+ALTER TABLE wix_inventory_live  ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+ALTER TABLE sku_costs           ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+ALTER TABLE inventory_live      ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+ALTER TABLE inventory_snapshots ADD COLUMN IF NOT EXISTS store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+
+UPDATE orders_agg SET store_id = 'NJWeedWizard' WHERE store_id IS NULL;
+ALTER TABLE orders_agg ALTER COLUMN store_id SET NOT NULL;
+
+-- OMEN always writes store_id explicitly - drop the backfill defaults so a
+-- missing store fails loudly instead of landing in NJWeedWizard.
+ALTER TABLE orders              ALTER COLUMN store_id DROP DEFAULT;
+ALTER TABLE wix_inventory_live  ALTER COLUMN store_id DROP DEFAULT;
+ALTER TABLE sku_costs           ALTER COLUMN store_id DROP DEFAULT;
+ALTER TABLE inventory_live      ALTER COLUMN store_id DROP DEFAULT;
+ALTER TABLE inventory_snapshots ALTER COLUMN store_id DROP DEFAULT;
+
+-- =============================================================================
+-- Step 2: Re-key constraints per store
+-- =============================================================================
+
+-- orders: (order_id, sku) -> (store_id, order_id, sku)
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_order_id_sku_unique;
+ALTER TABLE orders
+ADD CONSTRAINT orders_store_order_sku_unique
+UNIQUE (store_id, order_id, sku);
+
+-- orders_agg: order_id -> (store_id, order_id)
+ALTER TABLE orders_agg DROP CONSTRAINT IF EXISTS orders_agg_pkey;
+ALTER TABLE orders_agg ADD PRIMARY KEY (store_id, order_id);
+
+-- wix_inventory_live: sku -> (store_id, sku)
+ALTER TABLE wix_inventory_live DROP CONSTRAINT IF EXISTS wix_inventory_live_pkey;
+ALTER TABLE wix_inventory_live ADD PRIMARY KEY (store_id, sku);
+
+-- sku_costs: sku -> (store_id, sku)
+ALTER TABLE sku_costs DROP CONSTRAINT IF EXISTS sku_costs_pkey;
+ALTER TABLE sku_costs ADD PRIMARY KEY (store_id, sku);
+
+-- inventory_live: sku -> (store_id, sku)
+ALTER TABLE inventory_live DROP CONSTRAINT IF EXISTS inventory_live_pkey;
+ALTER TABLE inventory_live ADD PRIMARY KEY (store_id, sku);
+
+-- =============================================================================
+-- Step 3: Indexes (every query now leads with store_id)
+-- =============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_orders_store_date
+  ON orders (store_id, order_date DESC);
+
+CREATE INDEX IF NOT EXISTS idx_orders_agg_store_created_at
+  ON orders_agg (store_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_store_type
+  ON webhook_events (store_id, event_type, received_at);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_snapshots_store_sku
+  ON inventory_snapshots (store_id, sku, recorded_at);
+
+-- =============================================================================
+-- Step 4: Recreate authority views with store_id
+-- Joins are on (store_id, sku) so one store's sales never deplete another's stock.
+-- =============================================================================
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS sold_by_sku;
+DROP VIEW IF EXISTS inventory_virtual;
+
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  w.quantity_on_hand - COALESCE(sold.sold_quantity, 0) AS available_quantity
+FROM wix_inventory_live w
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sold_by_sku AS
+SELECT
+  o.store_id,
+  o.sku,
+  SUM(o.quantity) AS total_sold,
+  SUM(COALESCE(o.total_amount, o.quantity * COALESCE(o.price_per_unit, 0))) AS total_revenue,
+  COUNT(DISTINCT o.order_id) AS order_count,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS daily_velocity,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS avg_daily_velocity,
+  MAX(o.order_date) AS last_sold_at
+FROM orders o
+WHERE o.order_date >= NOW() - INTERVAL '30 days'
+GROUP BY o.store_id, o.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
+
+COMMIT;
+
+-- =============================================================================
+-- VERIFICATION QUERIES (run after migration)
+-- =============================================================================
+
+-- Every row has a store:
+-- SELECT 'orders' AS t, COUNT(*) FROM orders WHERE store_id IS NULL
+-- UNION ALL SELECT 'wix_inventory_live', COUNT(*) FROM wix_inventory_live WHERE store_id IS NULL
+-- UNION ALL SELECT 'sku_costs', COUNT(*) FROM sku_costs WHERE store_id IS NULL;
+
+-- Rows per store:
+-- SELECT store_id, COUNT(*) FROM inventory_virtual GROUP BY store_id;
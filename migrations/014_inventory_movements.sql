@@ -0,0 +1,111 @@
+-- =============================================================================
+-- MIGRATION 014: Append-only inventory movement ledger
+-- =============================================================================
+--
+-- PURPOSE:
+-- On-hand quantity is derived from typed movements instead of being
+-- overwritten by each count. Every movement records WHY (reason), WHO (actor)
+-- and FROM WHAT (source document), so any SKU's quantity can be explained
+-- line by line.
+--
+-- MOVEMENT TYPES:
+--   RECEIVE (+)  SALE (-)  RETURN (+)  SHRINK (-)  ADJUST (±)  TRANSFER (±)
+--
+-- quantity is the SIGNED delta: on_hand = SUM(quantity).
+--
+-- APPEND-ONLY: UPDATE and DELETE are rejected by trigger. Corrections are
+-- new ADJUST movements, never edits.
+--
+-- IDEMPOTENCY: One movement per (store_id, sku, movement_type, source_type,
+-- source_id). Re-running an order sync cannot double-post a SALE.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id BIGSERIAL PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  movement_type TEXT NOT NULL
+    CHECK (movement_type IN ('RECEIVE', 'SALE', 'ADJUST', 'SHRINK', 'RETURN', 'TRANSFER')),
+  quantity NUMERIC(12,3) NOT NULL CHECK (quantity != 0),
+  reason TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  source_type TEXT NOT NULL,
+  source_id TEXT NOT NULL,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  metadata JSONB,
+
+  -- Direction is implied by type for everything except ADJUST / TRANSFER
+  CONSTRAINT inventory_movements_direction CHECK (
+    (movement_type IN ('RECEIVE', 'RETURN') AND quantity > 0) OR
+    (movement_type IN ('SALE', 'SHRINK') AND quantity < 0) OR
+    (movement_type IN ('ADJUST', 'TRANSFER'))
+  ),
+
+  CONSTRAINT inventory_movements_source_unique
+    UNIQUE (store_id, sku, movement_type, source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_store_sku_time
+  ON inventory_movements (store_id, sku, occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_store_type_time
+  ON inventory_movements (store_id, movement_type, occurred_at);
+
+-- =============================================================================
+-- APPEND-ONLY GUARD
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION reject_inventory_movement_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'inventory_movements is append-only: post a new ADJUST movement instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_movements_append_only ON inventory_movements;
+CREATE TRIGGER inventory_movements_append_only
+  BEFORE UPDATE OR DELETE ON inventory_movements
+  FOR EACH ROW
+  EXECUTE FUNCTION reject_inventory_movement_change();
+
+-- =============================================================================
+-- DERIVED ON-HAND
+-- =============================================================================
+
+CREATE OR REPLACE VIEW inventory_ledger_on_hand AS
+SELECT
+  store_id,
+  sku,
+  SUM(quantity) AS on_hand,
+  COUNT(*) AS movement_count,
+  MAX(occurred_at) AS last_movement_at
+FROM inventory_movements
+GROUP BY store_id, sku;
+
+COMMENT ON TABLE inventory_movements IS 'Append-only inventory ledger. quantity is the signed delta; on-hand = SUM(quantity).';
+COMMENT ON COLUMN inventory_movements.source_type IS 'Originating document type (order, purchase_order, count, inventory_ingest, manual)';
+COMMENT ON COLUMN inventory_movements.source_id IS 'Originating document identifier (order number, PO id, request id)';
+
+COMMIT;
+
+-- =============================================================================
+-- VERIFICATION QUERIES (run after migration)
+-- =============================================================================
+
+-- Explain one SKU:
+-- SELECT occurred_at, movement_type, quantity,
+--        SUM(quantity) OVER (ORDER BY occurred_at, id) AS balance,
+--        reason, actor, source_type, source_id
+-- FROM inventory_movements
+-- WHERE store_id = 'NJWeedWizard' AND sku = 'BLOOPIEZ-3.5G'
+-- ORDER BY occurred_at, id;
+
+-- Ledger vs virtual availability:
+-- SELECT iv.sku, iv.available_quantity, l.on_hand
+-- FROM inventory_virtual iv
+-- LEFT JOIN inventory_ledger_on_hand l ON l.store_id = iv.store_id AND l.sku = iv.sku
+-- WHERE iv.store_id = 'NJWeedWizard' AND iv.available_quantity IS DISTINCT FROM l.on_hand;
@@ -0,0 +1,59 @@
+-- =============================================================================
+-- MIGRATION 015: Purchase orders
+-- =============================================================================
+--
+-- PURPOSE:
+-- REORDER_NOW decisions become draft purchase orders, one per vendor.
+--
+-- LIFECYCLE: draft → sent → partially_received → received
+--
+-- Receiving does NOT write inventory directly. Each receipt posts RECEIVE
+-- movements to inventory_movements (014) with
+-- source_type = 'purchase_order' and source_id = '<po id>#<receipt number>'.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id TEXT PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  vendor TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'partially_received', 'received')),
+  notes TEXT,
+  source TEXT NOT NULL DEFAULT 'reorder_decisions',
+  receipt_count INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT NOT NULL,
+  approved_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_store_status
+  ON purchase_orders (store_id, status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  po_id TEXT NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  name TEXT,
+  suggested_qty INTEGER NOT NULL DEFAULT 0 CHECK (suggested_qty >= 0),
+  ordered_qty INTEGER NOT NULL CHECK (ordered_qty > 0),
+  received_qty INTEGER NOT NULL DEFAULT 0 CHECK (received_qty >= 0),
+  unit_cost NUMERIC(10,2) CHECK (unit_cost >= 0),
+  reason TEXT,
+  decision_metrics JSONB,
+  PRIMARY KEY (po_id, sku),
+  CHECK (received_qty <= ordered_qty)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_store_sku
+  ON purchase_order_lines (store_id, sku);
+
+COMMENT ON TABLE purchase_orders IS 'Vendor purchase orders generated from REORDER_NOW decisions. draft → sent → partially_received → received.';
+COMMENT ON COLUMN purchase_orders.receipt_count IS 'Number of receipts posted; receipt N posts ledger movements with source_id <id>#N';
+
+COMMIT;
@@ -0,0 +1,48 @@
+-- =============================================================================
+-- MIGRATION 016: Vendor registry and SKU → vendor mapping
+-- =============================================================================
+--
+-- PURPOSE:
+-- Restock timing was one global number (10 days of coverage). Each vendor
+-- now carries its own lead time, minimum order and pack size, and each SKU
+-- maps to at most one vendor per store.
+--
+-- CONSUMERS:
+-- - decisionClassifier: REORDER_NOW / restock relative to vendor lead time
+-- - chatIntelligence.generateReorderInsight: same rule in chat
+-- - purchase orders (015): vendor grouping, pack size and minimum order
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS vendors (
+  store_id TEXT NOT NULL,
+  vendor_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  lead_time_days INTEGER CHECK (lead_time_days BETWEEN 0 AND 365),
+  minimum_order_qty INTEGER NOT NULL DEFAULT 1 CHECK (minimum_order_qty >= 1),
+  pack_size INTEGER NOT NULL DEFAULT 1 CHECK (pack_size >= 1),
+  contact TEXT,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, vendor_id)
+);
+
+CREATE TABLE IF NOT EXISTS sku_vendors (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  vendor_id TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, sku),
+  FOREIGN KEY (store_id, vendor_id) REFERENCES vendors (store_id, vendor_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_vendors_vendor
+  ON sku_vendors (store_id, vendor_id);
+
+COMMENT ON TABLE vendors IS 'Per-store vendor master data. lead_time_days drives restock timing; NULL falls back to the global threshold.';
+COMMENT ON TABLE sku_vendors IS 'SKU → vendor mapping (one vendor per SKU per store)';
+
+COMMIT;
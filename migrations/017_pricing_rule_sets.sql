@@ -0,0 +1,41 @@
+-- =============================================================================
+-- MIGRATION 017: Versioned pricing rule sets
+-- =============================================================================
+--
+-- PURPOSE:
+-- Pricing was a hardcoded catalog (src/tools/pricingCatalog.js). Each store
+-- now keeps numbered rule set versions: tier/unit defaults, per-SKU
+-- overrides, rounding and a minimum margin floor (see utils/pricingRules.js).
+--
+-- LIFECYCLE:
+-- draft → published. Published versions are immutable; the one in force is
+-- the latest effective_from at or before now.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS pricing_rule_sets (
+  store_id TEXT NOT NULL,
+  version INTEGER NOT NULL CHECK (version > 0),
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'published')),
+  rules JSONB NOT NULL,
+  notes TEXT,
+  effective_from TIMESTAMPTZ,
+  created_by TEXT NOT NULL,
+  published_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  published_at TIMESTAMPTZ,
+  PRIMARY KEY (store_id, version),
+  CHECK (status = 'draft' OR effective_from IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rule_sets_effective
+  ON pricing_rule_sets (store_id, status, effective_from DESC);
+
+COMMENT ON TABLE pricing_rule_sets IS 'Per-store pricing rule versions (defaults, overrides, rounding, margin floor). Published rows are immutable.';
+COMMENT ON COLUMN pricing_rule_sets.effective_from IS 'When a published version takes effect; the latest one at or before now is in force';
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- =============================================================================
+-- MIGRATION 018: Gram-pooled inventory per strain
+-- =============================================================================
+--
+-- PURPOSE:
+-- Inventory is tracked per unit SKU, so eighths show out of stock while an
+-- ounce of the same strain sits in bulk. A pooled strain is counted in grams
+-- and every weight-based unit size draws from it (see utils/gramPools.js).
+--
+-- DERIVATION (no stored running balance):
+-- grams available = grams_counted - SUM(orders.quantity * grams per unit)
+--                   for orders of the strain on or after counted_at
+-- Recounting replaces grams_counted and counted_at.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS inventory_pools (
+  store_id TEXT NOT NULL,
+  strain_key TEXT NOT NULL,
+  strain TEXT NOT NULL,
+  grams_counted NUMERIC NOT NULL CHECK (grams_counted >= 0),
+  counted_at TIMESTAMPTZ NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  updated_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, strain_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_store_strain_date
+  ON orders (store_id, strain, order_date);
+
+COMMENT ON TABLE inventory_pools IS 'Strains whose unit sizes share one bulk gram count. Sellable units are derived from grams_counted minus grams sold since counted_at.';
+COMMENT ON COLUMN inventory_pools.strain_key IS 'Normalized strain name (lowercase, punctuation collapsed) matched against inventory and orders';
+
+COMMIT;
@@ -0,0 +1,57 @@
+-- =============================================================================
+-- MIGRATION 019: Effective-dated cost history and costing method
+-- =============================================================================
+--
+-- PURPOSE:
+-- sku_costs held one unit_cost per SKU and every edit overwrote it, so the
+-- margins of past periods changed whenever a cost did. Cost changes and
+-- receipts are now appended to sku_cost_records; the costing engine
+-- (utils/costing.js) folds them with sales using the store's method.
+--
+-- sku_costs stays as the CURRENT cost per SKU (what sku_profitability joins),
+-- refreshed from the history whenever a record is added.
+--
+-- BACKFILL:
+-- Existing sku_costs rows become opening records effective 1970-01-01, so
+-- orders already costed at them keep the same cost.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS sku_cost_records (
+  id BIGSERIAL PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  unit_cost NUMERIC(10,4) NOT NULL CHECK (unit_cost >= 0),
+  quantity NUMERIC CHECK (quantity IS NULL OR quantity > 0),
+  effective_at TIMESTAMPTZ NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual',
+  source_id TEXT,
+  notes TEXT,
+  recorded_by TEXT NOT NULL,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (store_id, sku, source, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_cost_records_store_sku_time
+  ON sku_cost_records (store_id, sku, effective_at);
+
+CREATE TABLE IF NOT EXISTS costing_policies (
+  store_id TEXT PRIMARY KEY,
+  method TEXT NOT NULL DEFAULT 'weighted_average'
+    CHECK (method IN ('weighted_average', 'fifo')),
+  updated_by TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO sku_cost_records (store_id, sku, unit_cost, quantity, effective_at, source, source_id, notes, recorded_by)
+SELECT store_id, sku, unit_cost, NULL, '1970-01-01T00:00:00Z', 'opening_balance', 'sku_costs', 'Opening cost carried over from sku_costs (' || source || ')', 'migration_019'
+FROM sku_costs
+ON CONFLICT (store_id, sku, source, source_id) DO NOTHING;
+
+COMMENT ON TABLE sku_cost_records IS 'Append-only cost history. quantity > 0 = receipt layer; NULL = cost change without stock.';
+COMMENT ON COLUMN sku_cost_records.effective_at IS 'When the cost takes effect; orders on or after it are costed from it';
+COMMENT ON TABLE costing_policies IS 'Per-store costing method (weighted_average | fifo). Absent row = weighted_average.';
+
+COMMIT;
@@ -0,0 +1,56 @@
+-- =============================================================================
+-- MIGRATION 020: Landed-cost shipments
+-- =============================================================================
+--
+-- PURPOSE:
+-- The real unit cost of a shipment includes freight, testing fees and excise
+-- on top of the invoice price. A shipment is stored with its charges, and
+-- every line keeps the per-charge allocation that produced its landed cost,
+-- so the number behind a margin can be traced back to the invoice.
+--
+-- Landed unit costs enter cost history (019) as receipts with
+-- source = 'landed_cost' and source_id = shipment_id; sku_costs is refreshed
+-- from there.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS landed_cost_shipments (
+  store_id TEXT NOT NULL,
+  shipment_id TEXT NOT NULL,
+  vendor TEXT,
+  received_at TIMESTAMPTZ NOT NULL,
+  charges JSONB NOT NULL DEFAULT '[]'::jsonb,
+  invoice_total NUMERIC(12,2) NOT NULL,
+  charges_total NUMERIC(12,2) NOT NULL,
+  landed_total NUMERIC(12,2) NOT NULL,
+  notes TEXT,
+  recorded_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, shipment_id)
+);
+
+CREATE TABLE IF NOT EXISTS landed_cost_lines (
+  store_id TEXT NOT NULL,
+  shipment_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  grams_per_unit NUMERIC(10,3),
+  invoice_unit_cost NUMERIC(10,4) NOT NULL CHECK (invoice_unit_cost >= 0),
+  invoice_total NUMERIC(12,2) NOT NULL,
+  allocations JSONB NOT NULL DEFAULT '[]'::jsonb,
+  charges_total NUMERIC(12,2) NOT NULL,
+  landed_total NUMERIC(12,2) NOT NULL,
+  landed_unit_cost NUMERIC(10,4) NOT NULL,
+  PRIMARY KEY (store_id, shipment_id, sku),
+  FOREIGN KEY (store_id, shipment_id) REFERENCES landed_cost_shipments (store_id, shipment_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_landed_cost_lines_sku
+  ON landed_cost_lines (store_id, sku);
+
+COMMENT ON TABLE landed_cost_shipments IS 'Received shipments with their extra charges (freight, testing, excise, other)';
+COMMENT ON COLUMN landed_cost_lines.allocations IS 'Per-charge breakdown: [{ type, basis, description, share, amount }]';
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- =============================================================================
+-- MIGRATION 021: Saved inventory import profiles
+-- =============================================================================
+--
+-- PURPOSE:
+-- Inventory imports used to accept only the exact Wix CSV headers. Imports
+-- now run through column-mapping profiles (utils/importProfiles.js). Wix,
+-- Shopify, Square and the NJWeedWizard Google Sheet are built in; a store
+-- can save its own mapping here and import with it by profile_id.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+  store_id TEXT NOT NULL,
+  profile_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  definition JSONB NOT NULL,
+  updated_by TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, profile_id)
+);
+
+COMMENT ON TABLE import_profiles IS 'Per-store column mappings from CSV/XLSX headers to canonical inventory fields';
+COMMENT ON COLUMN import_profiles.definition IS 'Normalized profile: columns, required, itemRows, parentRows, pivot, deriveSku, defaults, mode';
+
+COMMIT;
@@ -0,0 +1,91 @@
+-- =============================================================================
+-- MIGRATION 022: Staged inventory import batches
+-- =============================================================================
+--
+-- PURPOSE:
+-- An import used to parse and write in one request, so a bad export could
+-- wipe counts before anyone looked at it. Imports are now staged first:
+--
+--   staged      parsed, validated and diffed against wix_inventory_live
+--   committed   applied in one transaction (apply_inventory_import)
+--   rolled_back the rows the commit overwrote were put back
+--
+-- A batch keeps the rows it replaced (previous_rows) so the latest commit
+-- can be undone.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS import_batches (
+  store_id TEXT NOT NULL,
+  batch_id TEXT NOT NULL,
+  profile_id TEXT NOT NULL,
+  profile_name TEXT NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('replace', 'merge')),
+  status TEXT NOT NULL DEFAULT 'staged' CHECK (status IN ('staged', 'committed', 'rolled_back')),
+  items JSONB NOT NULL,
+  removed_skus JSONB NOT NULL DEFAULT '[]'::jsonb,
+  invalid JSONB NOT NULL DEFAULT '[]'::jsonb,
+  diff JSONB NOT NULL,
+  summary JSONB,
+  base_fingerprint TEXT NOT NULL,
+  previous_rows JSONB,
+  staged_by TEXT NOT NULL,
+  staged_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  committed_by TEXT,
+  committed_at TIMESTAMPTZ,
+  rolled_back_by TEXT,
+  rolled_back_at TIMESTAMPTZ,
+  PRIMARY KEY (store_id, batch_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_status
+  ON import_batches (store_id, status, committed_at DESC);
+
+-- Apply upserts and deletes to one store's inventory in a single transaction
+CREATE OR REPLACE FUNCTION apply_inventory_import(p_store_id TEXT, p_upserts JSONB, p_deletes TEXT[])
+RETURNS JSONB AS $$
+DECLARE
+  v_deleted INTEGER;
+  v_upserted INTEGER;
+BEGIN
+  DELETE FROM wix_inventory_live
+  WHERE store_id = p_store_id
+    AND sku = ANY (COALESCE(p_deletes, ARRAY[]::TEXT[]));
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  INSERT INTO wix_inventory_live (
+    store_id, sku, product_id, product_name, variant_name, category,
+    retail, compare_at, cost, quantity_on_hand, inventory_status, visible,
+    synced_at, source
+  )
+  SELECT
+    p_store_id, r.sku, r.product_id, r.product_name, r.variant_name, r.category,
+    r.retail, r.compare_at, r.cost, COALESCE(r.quantity_on_hand, 0), r.inventory_status,
+    COALESCE(r.visible, TRUE), COALESCE(r.synced_at, NOW()), COALESCE(r.source, 'wix_csv')
+  FROM jsonb_populate_recordset(NULL::wix_inventory_live, COALESCE(p_upserts, '[]'::jsonb)) r
+  ON CONFLICT (store_id, sku) DO UPDATE SET
+    product_id = EXCLUDED.product_id,
+    product_name = EXCLUDED.product_name,
+    variant_name = EXCLUDED.variant_name,
+    category = EXCLUDED.category,
+    retail = EXCLUDED.retail,
+    compare_at = EXCLUDED.compare_at,
+    cost = EXCLUDED.cost,
+    quantity_on_hand = EXCLUDED.quantity_on_hand,
+    inventory_status = EXCLUDED.inventory_status,
+    visible = EXCLUDED.visible,
+    synced_at = EXCLUDED.synced_at,
+    source = EXCLUDED.source;
+  GET DIAGNOSTICS v_upserted = ROW_COUNT;
+
+  RETURN jsonb_build_object('deleted', v_deleted, 'upserted', v_upserted);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE import_batches IS 'Staged inventory imports: diff preview, atomic commit, rollback of the latest commit';
+COMMENT ON COLUMN import_batches.base_fingerprint IS 'Hash of the rows the diff was computed against; commit refuses if inventory changed since';
+COMMENT ON COLUMN import_batches.previous_rows IS 'wix_inventory_live rows the commit overwrote (restored on rollback)';
+
+COMMIT;
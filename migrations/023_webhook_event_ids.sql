@@ -0,0 +1,27 @@
+-- =============================================================================
+-- MIGRATION 023: Webhook event IDs (replay protection)
+-- =============================================================================
+--
+-- PURPOSE:
+-- Wix retries webhooks it thinks failed, and a captured request can be
+-- re-posted. Events received by /webhooks/wix/* carry the sender's event ID
+-- (or a hash of the body), unique per store, so a second delivery is stored
+-- once and synced once.
+--
+-- Rows written directly by Make.com leave event_id NULL; NULLs never
+-- collide, so those inserts are unaffected.
+--
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS event_id TEXT;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS verified_by TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_store_event_id
+  ON webhook_events (store_id, event_id);
+
+COMMENT ON COLUMN webhook_events.event_id IS 'Sender event ID (or sha256 of the body); unique per store, NULL for Make.com rows';
+COMMENT ON COLUMN webhook_events.verified_by IS 'How the event was authenticated: hmac or wix_jwt';
+
+COMMIT;
@@ -0,0 +1,66 @@
+-- =============================================================================
+-- MIGRATION 024: Refunds and cancellations as reversing order lines
+-- =============================================================================
+--
+-- PURPOSE:
+-- Refunded and cancelled Wix orders kept counting toward sold_by_sku,
+-- velocity and revenue. They are now stored as negative line items next to
+-- the sale (utils/orderAdjustments.js):
+--
+--   entry_type  sale | refund | return | cancel
+--   entry_ref   '' for sales; the refund ID (or 'cancel') for reversals
+--
+-- An order can be refunded more than once, so the line key gains both
+-- columns. Sums over orders come out net with no other change.
+--
+-- inventory_virtual only counts entries that move stock: a refund where the
+-- buyer keeps the goods must not put units back on the shelf.
+--
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS entry_type TEXT NOT NULL DEFAULT 'sale'
+  CHECK (entry_type IN ('sale', 'refund', 'return', 'cancel'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS entry_ref TEXT NOT NULL DEFAULT '';
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_store_order_sku_unique;
+ALTER TABLE orders
+ADD CONSTRAINT orders_store_order_sku_entry_unique
+UNIQUE (store_id, order_id, sku, entry_type, entry_ref);
+
+-- REFUND RULE: velocity and revenue (sold_by_sku sums every orders line)
+-- net all three reversals - refund, return and cancel. On-hand below counts
+-- only sale / return / cancel: a refund without a return leaves the goods
+-- with the buyer, so it lowers units sold but puts nothing back on the shelf.
+CREATE OR REPLACE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  w.quantity_on_hand - COALESCE(sold.sold_quantity, 0) AS available_quantity
+FROM wix_inventory_live w
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+    AND o.entry_type IN ('sale', 'return', 'cancel')
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+COMMENT ON COLUMN orders.entry_type IS 'sale, or the reversal kind: refund (goods kept), return (restocked), cancel (unfulfilled units)';
+COMMENT ON COLUMN orders.entry_ref IS 'Empty for sales; refund ID or ''cancel'' for reversals (part of the line key)';
+
+COMMIT;
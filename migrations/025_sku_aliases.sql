@@ -0,0 +1,56 @@
+-- =============================================================================
+-- MIGRATION 025: SKU aliases and match review queue
+-- =============================================================================
+--
+-- PURPOSE:
+-- Order lines are matched to catalog SKUs by name. Matches below the review
+-- threshold (OMEN_SKU_REVIEW_THRESHOLD, default 0.9) - partial strain
+-- matches and lines nothing matched - are queued in sku_match_reviews, one
+-- row per store and strain + unit key.
+--
+-- A reviewer confirms the proposed SKU or corrects it; either answer is
+-- stored in sku_aliases and checked before any name matching from then on.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS sku_aliases (
+  store_id TEXT NOT NULL,
+  alias_key TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  review_id BIGINT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, alias_key)
+);
+
+CREATE TABLE IF NOT EXISTS sku_match_reviews (
+  id BIGSERIAL PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  alias_key TEXT NOT NULL,
+  strain TEXT NOT NULL,
+  unit TEXT NOT NULL,
+  raw_name TEXT,
+  proposed_sku TEXT,
+  match_type TEXT NOT NULL,
+  confidence NUMERIC(4, 3) NOT NULL,
+  source TEXT NOT NULL,
+  order_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'corrected')),
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_sku TEXT,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  CONSTRAINT sku_match_reviews_store_key_unique UNIQUE (store_id, alias_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_match_reviews_status
+  ON sku_match_reviews (store_id, status, last_seen_at DESC);
+
+COMMENT ON TABLE sku_aliases IS 'Reviewed order line names (normalized strain|unit) mapped to catalog SKUs; checked before name matching';
+COMMENT ON TABLE sku_match_reviews IS 'Order line SKU matches below the review threshold, waiting for (or answered by) a reviewer';
+COMMENT ON COLUMN sku_match_reviews.order_ids IS 'Example orders the line appeared on (first 20)';
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- =============================================================================
+-- MIGRATION 026: Ranked candidates on SKU match reviews
+-- =============================================================================
+--
+-- PURPOSE:
+-- Order line names are now matched with a scoring fuzzy matcher
+-- (utils/fuzzyMatcher.js: token-set, Jaro-Winkler and Levenshtein
+-- similarity, unit and brand agreement). A queued review keeps the top
+-- candidates it ranked, each with its score and explanation, so the
+-- reviewer can pick the right SKU without searching the catalog.
+--
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE sku_match_reviews ADD COLUMN IF NOT EXISTS candidates JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN sku_match_reviews.candidates IS 'Top fuzzy-match candidates: [{ sku, score, explanation }]';
+
+COMMIT;
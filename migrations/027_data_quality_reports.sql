@@ -0,0 +1,34 @@
+-- =============================================================================
+-- MIGRATION 027: Data-quality report history
+-- =============================================================================
+--
+-- PURPOSE:
+-- GET /data-quality runs the data-quality check registry
+-- (src/utils/dataQuality.js) and stores one row per run here: the overall
+-- score and grade plus each check's checked / failed counts. Failing rows
+-- are not stored - they are recomputed on every run.
+--
+-- GET /data-quality/history reads these rows to show whether quality is
+-- improving.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS data_quality_reports (
+  id BIGSERIAL PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  score NUMERIC(4, 1) NOT NULL CHECK (score >= 0 AND score <= 100),
+  grade TEXT NOT NULL,
+  checks JSONB NOT NULL DEFAULT '[]'::jsonb,
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  generated_by TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_quality_reports_store_generated
+  ON data_quality_reports (store_id, generated_at DESC);
+
+COMMENT ON TABLE data_quality_reports IS 'One row per data-quality run: score, grade and per-check counts';
+COMMENT ON COLUMN data_quality_reports.checks IS 'Per check: { id, severity, checked, failed, score }';
+
+COMMIT;
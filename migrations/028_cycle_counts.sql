@@ -0,0 +1,60 @@
+-- =============================================================================
+-- MIGRATION 028: Cycle counts
+-- =============================================================================
+--
+-- PURPOSE:
+-- A cycle count session is a blind count sheet for a subset of SKUs
+-- (cycle_count_lines, one row per SKU). Each counted line records the shelf
+-- count, the derived inventory_virtual quantity at that moment and the
+-- variance (counted - derived).
+--
+-- Approved variances are posted as ADJUST movements on the ledger
+-- (source_type 'cycle_count', source_id = session id) and applied to
+-- wix_inventory_live so inventory_virtual agrees with the shelf. Approved
+-- lines are also what the shrink report reads.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS cycle_count_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  selection JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_sessions_store_created
+  ON cycle_count_sessions (store_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS cycle_count_lines (
+  id BIGSERIAL PRIMARY KEY,
+  session_id BIGINT NOT NULL REFERENCES cycle_count_sessions (id),
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  product_name TEXT,
+  variant_name TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'counted', 'approved', 'rejected')),
+  counted_qty NUMERIC CHECK (counted_qty >= 0),
+  derived_qty NUMERIC,
+  variance NUMERIC,
+  counted_by TEXT,
+  counted_at TIMESTAMPTZ,
+  decided_by TEXT,
+  decided_at TIMESTAMPTZ,
+  CONSTRAINT cycle_count_lines_session_sku_unique UNIQUE (session_id, sku)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_lines_store_status
+  ON cycle_count_lines (store_id, status, counted_at);
+
+COMMENT ON TABLE cycle_count_sessions IS 'Cycle count sessions: a count sheet for a subset of SKUs';
+COMMENT ON TABLE cycle_count_lines IS 'One SKU on a count sheet: shelf count, derived quantity, variance and review decision';
+COMMENT ON COLUMN cycle_count_lines.derived_qty IS 'inventory_virtual available_quantity when the count was recorded';
+COMMENT ON COLUMN cycle_count_lines.variance IS 'counted_qty - derived_qty (negative = shrink)';
+
+COMMIT;
@@ -0,0 +1,59 @@
+-- =============================================================================
+-- MIGRATION 029: Daily per-SKU order rollups
+-- =============================================================================
+--
+-- PURPOSE:
+-- Snapshots and chat re-read every order line of the period (and of the
+-- forecast history) and re-aggregated them per SKU. order_daily_rollups
+-- holds those totals per store, UTC day, SKU and unit (see
+-- src/utils/orderRollups.js), so reads scale with SKUs x days, not orders.
+--
+-- A day's rows are rebuilt from its order lines whenever order sync writes
+-- to that day. History is filled in by POST /order-rollups/backfill, which
+-- records the covered range in order_rollup_state. Until a period is
+-- covered, snapshots keep reading raw orders.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS order_daily_rollups (
+  store_id TEXT NOT NULL,
+  day DATE NOT NULL,
+  sku TEXT NOT NULL,
+  unit TEXT NOT NULL,
+  strain TEXT,
+  units_sold NUMERIC NOT NULL DEFAULT 0,
+  units_refunded NUMERIC NOT NULL DEFAULT 0,
+  order_count INTEGER NOT NULL DEFAULT 0,
+  line_count INTEGER NOT NULL DEFAULT 0,
+  gross_sales NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  refunds NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  refunds_by_type JSONB NOT NULL DEFAULT '{}'::jsonb,
+  revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  revenue_lines INTEGER NOT NULL DEFAULT 0,
+  revenue_units NUMERIC NOT NULL DEFAULT 0,
+  cost NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  costed_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  costed_lines INTEGER NOT NULL DEFAULT 0,
+  costed_units NUMERIC NOT NULL DEFAULT 0,
+  first_order_at TIMESTAMPTZ NOT NULL,
+  last_order_at TIMESTAMPTZ NOT NULL,
+  refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, day, sku, unit)
+);
+
+CREATE TABLE IF NOT EXISTS order_rollup_state (
+  store_id TEXT PRIMARY KEY,
+  covered_from DATE NOT NULL,
+  costing_method TEXT NOT NULL,
+  backfilled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  backfilled_by TEXT NOT NULL
+);
+
+COMMENT ON TABLE order_daily_rollups IS 'Orders per store, UTC day, SKU and unit: units, sales, cost and order count';
+COMMENT ON COLUMN order_daily_rollups.revenue IS 'price_per_unit x quantity over priced sale lines (margin basis)';
+COMMENT ON COLUMN order_daily_rollups.cost IS 'Cost of the costed_lines, in force on their order dates when the day was refreshed';
+COMMENT ON TABLE order_rollup_state IS 'Per store: rollups are complete from covered_from onwards, costed with costing_method';
+
+COMMIT;
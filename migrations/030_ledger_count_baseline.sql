@@ -0,0 +1,149 @@
+-- =============================================================================
+-- MIGRATION 030: On-hand re-baselines at the last count; inventory_virtual
+-- reads the ledger
+-- =============================================================================
+--
+-- PURPOSE:
+-- inventory_ledger_on_hand was SUM(quantity). A count (import, webhook,
+-- cycle count, opening balance) is posted as an ADJUST for the difference
+-- from the derived quantity at that moment, so a SALE dated before the count
+-- but synced after it (an order backfill) came off a second time and drove
+-- on-hand negative.
+--
+-- Count movements now carry the counted quantity (counted_quantity), and
+-- counts that agree are recorded with a zero delta. On-hand per SKU is:
+--
+--   last count's counted_quantity + SUM(quantity) of movements after it
+--
+-- (ties on occurred_at are ordered by id), or SUM(quantity) for a SKU with
+-- no count. See src/utils/inventoryLedger.js (deriveOnHand).
+--
+-- inventory_virtual.available_quantity is the ledger on-hand for every SKU
+-- with movements; SKUs the ledger has never seen keep the snapshot - sold
+-- estimate. Snapshots read inventory_virtual, so they follow the ledger too.
+--
+-- Existing count movements are backfilled from metadata.countedQty (the
+-- append-only trigger is disabled for that one UPDATE).
+--
+-- =============================================================================
+
+BEGIN;
+
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS counted_quantity NUMERIC(12,3);
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_quantity_check;
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_count_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_count_check CHECK (
+  (counted_quantity IS NULL AND quantity != 0) OR
+  (counted_quantity IS NOT NULL AND movement_type = 'ADJUST' AND counted_quantity >= 0)
+);
+
+ALTER TABLE inventory_movements DISABLE TRIGGER inventory_movements_append_only;
+
+UPDATE inventory_movements
+SET counted_quantity = (metadata->>'countedQty')::numeric
+WHERE movement_type = 'ADJUST'
+  AND counted_quantity IS NULL
+  AND metadata ? 'countedQty';
+
+ALTER TABLE inventory_movements ENABLE TRIGGER inventory_movements_append_only;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_store_sku_counts
+  ON inventory_movements (store_id, sku, occurred_at DESC, id DESC)
+  WHERE counted_quantity IS NOT NULL;
+
+-- =============================================================================
+-- DERIVED ON-HAND
+-- =============================================================================
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS inventory_virtual;
+DROP VIEW IF EXISTS inventory_ledger_on_hand;
+
+CREATE VIEW inventory_ledger_on_hand AS
+WITH last_count AS (
+  SELECT DISTINCT ON (store_id, sku)
+    store_id, sku, id, occurred_at, counted_quantity
+  FROM inventory_movements
+  WHERE counted_quantity IS NOT NULL
+  ORDER BY store_id, sku, occurred_at DESC, id DESC
+)
+SELECT
+  m.store_id,
+  m.sku,
+  COALESCE(c.counted_quantity, 0) + SUM(
+    CASE
+      WHEN c.id IS NULL
+        OR m.occurred_at > c.occurred_at
+        OR (m.occurred_at = c.occurred_at AND m.id > c.id)
+      THEN m.quantity
+      ELSE 0
+    END
+  ) AS on_hand,
+  COUNT(*) AS movement_count,
+  MAX(m.occurred_at) AS last_movement_at,
+  c.occurred_at AS counted_at
+FROM inventory_movements m
+LEFT JOIN last_count c ON c.store_id = m.store_id AND c.sku = m.sku
+GROUP BY m.store_id, m.sku, c.id, c.occurred_at, c.counted_quantity;
+
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  COALESCE(l.on_hand, w.quantity_on_hand - COALESCE(sold.sold_quantity, 0)) AS available_quantity,
+  l.on_hand AS ledger_on_hand
+FROM wix_inventory_live w
+LEFT JOIN inventory_ledger_on_hand l ON l.store_id = w.store_id AND l.sku = w.sku
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+    AND o.entry_type IN ('sale', 'return', 'cancel')
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
+
+COMMENT ON COLUMN inventory_movements.counted_quantity IS 'Counts only: the counted quantity this ADJUST lands on. On-hand re-baselines at the latest count.';
+COMMENT ON COLUMN inventory_virtual.available_quantity IS 'Ledger on-hand (inventory_ledger_on_hand); snapshot - sold for SKUs with no movements';
+
+COMMIT;
+
+-- =============================================================================
+-- VERIFICATION QUERIES (run after migration)
+-- =============================================================================
+
+-- No SKU below zero because of a backfilled sale:
+-- SELECT sku, on_hand, counted_at FROM inventory_ledger_on_hand
+-- WHERE store_id = 'NJWeedWizard' AND on_hand < 0;
+
+-- SKUs still on the snapshot estimate (never seen by the ledger):
+-- SELECT sku, available_quantity FROM inventory_virtual
+-- WHERE store_id = 'NJWeedWizard' AND ledger_on_hand IS NULL;
@@ -0,0 +1,51 @@
+-- =============================================================================
+-- MIGRATION 031: Orders per day beside the rollups; backdated costs mark
+-- rollups stale
+-- =============================================================================
+--
+-- PURPOSE:
+-- 1. order_daily_counts: distinct orders with a sale line per store and UTC
+--    day. order_daily_rollups.order_count counts sale lines per SKU, so an
+--    order spanning three SKUs counted three times; snapshots read the
+--    period's order count from here and no longer query orders_agg when
+--    the rollups cover the period. Rebuilt with the rollup rows of a day;
+--    filled below for every day that already has orders.
+--
+-- 2. order_rollup_stale: a cost record dated before sales that are already
+--    rolled up changes their cost (utils/costing.js), so the SKU's rollups
+--    from that day on are stale. recordCosts writes the (sku, stale_from)
+--    range; loadOrderRollups falls back to raw orders for any period that
+--    reaches it, and a backfill from stale_from or earlier clears it.
+--
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS order_daily_counts (
+  store_id TEXT NOT NULL,
+  day DATE NOT NULL,
+  order_count INTEGER NOT NULL DEFAULT 0,
+  refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS order_rollup_stale (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  stale_from DATE NOT NULL,
+  reason TEXT NOT NULL,
+  marked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (store_id, sku, stale_from)
+);
+
+INSERT INTO order_daily_counts (store_id, day, order_count)
+SELECT store_id, (order_date::timestamptz AT TIME ZONE 'UTC')::date, COUNT(DISTINCT order_id)
+FROM orders
+WHERE quantity > 0 AND store_id IS NOT NULL
+GROUP BY store_id, (order_date::timestamptz AT TIME ZONE 'UTC')::date
+ON CONFLICT (store_id, day) DO NOTHING;
+
+COMMENT ON TABLE order_daily_counts IS 'Distinct orders with a sale line per store and UTC day';
+COMMENT ON TABLE order_rollup_stale IS 'SKU rollups from stale_from on were costed before a backdated cost record; backfill to reprice';
+
+COMMIT;
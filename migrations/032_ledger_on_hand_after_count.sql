@@ -0,0 +1,88 @@
+-- =============================================================================
+-- MIGRATION 032: inventory_virtual reads the ledger only for counted SKUs
+-- =============================================================================
+--
+-- PURPOSE:
+-- 030 made available_quantity the ledger on-hand for every SKU with a
+-- movement. No opening count was seeded, so the first synced SALE of a SKU
+-- made its ledger on-hand -1 (SUM of one sale) and the SKU showed -1
+-- available however much stock wix_inventory_live held, until a count was
+-- imported for it.
+--
+-- The ledger is a quantity only from a SKU's first count on (counted_at is
+-- set). Before that, available_quantity stays the snapshot - sold estimate
+-- and ledger_on_hand is NULL; the uncounted SUM is still readable in
+-- inventory_ledger_on_hand. Any count - an import, a webhook count, a cycle
+-- count - switches the SKU to the ledger.
+--
+-- =============================================================================
+
+BEGIN;
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS inventory_virtual;
+
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  CASE
+    WHEN l.counted_at IS NOT NULL THEN l.on_hand
+    ELSE w.quantity_on_hand - COALESCE(sold.sold_quantity, 0)
+  END AS available_quantity,
+  CASE WHEN l.counted_at IS NOT NULL THEN l.on_hand END AS ledger_on_hand
+FROM wix_inventory_live w
+LEFT JOIN inventory_ledger_on_hand l ON l.store_id = w.store_id AND l.sku = w.sku
+-- Refund rule (024): refunds net velocity and revenue in sold_by_sku, but
+-- only sale / return / cancel move stock
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+    AND o.entry_type IN ('sale', 'return', 'cancel')
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
+
+COMMENT ON COLUMN inventory_virtual.available_quantity IS 'Ledger on-hand (inventory_ledger_on_hand) once the SKU has been counted; snapshot - sold before that';
+COMMENT ON COLUMN inventory_virtual.sold_quantity IS 'Units out since the snapshot: sale, return and cancel lines - not refunds, whose goods stay with the buyer (sold_by_sku nets those)';
+COMMENT ON COLUMN inventory_virtual.ledger_on_hand IS 'Ledger on-hand for counted SKUs; NULL until the first count';
+
+COMMIT;
+
+-- =============================================================================
+-- VERIFICATION QUERIES (run after migration)
+-- =============================================================================
+
+-- Uncounted SKUs with ledger sales (now on the snapshot estimate):
+-- SELECT iv.sku, iv.available_quantity, l.on_hand AS uncounted_ledger_sum
+-- FROM inventory_virtual iv
+-- JOIN inventory_ledger_on_hand l ON l.store_id = iv.store_id AND l.sku = iv.sku
+-- WHERE iv.store_id = 'NJWeedWizard' AND l.counted_at IS NULL;
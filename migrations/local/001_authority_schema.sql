@@ -0,0 +1,207 @@
+-- =====================================================
+-- LOCAL AUTHORITY SCHEMA (SQLite)
+-- Mirrors the Supabase tables + authority views so OMEN
+-- can run with OMEN_AUTHORITY_BACKEND=local (no network).
+--
+-- Postgres counterparts:
+--   orders             docs/supabase-orders-table-schema.sql + 001
+--   wix_inventory_live 003_wix_inventory_live.sql
+--   sku_costs          004_sku_costs.sql
+--   inventory_virtual / sold_by_sku / sku_profitability
+--                      views referenced by 007 / 009 / 010
+--
+-- Conventions:
+--   timestamps  TEXT, ISO-8601 UTC ('2026-01-31T12:00:00.000Z')
+--   booleans    BOOLEAN (0/1, returned as true/false by the client)
+--   json        JSONB   (TEXT, returned parsed by the client)
+-- =====================================================
+
+
+-- =====================================================
+-- ORDERS (line-item level)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id TEXT NOT NULL,
+  order_date TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  strain TEXT,
+  unit TEXT NOT NULL,
+  quality TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity != 0),
+  price_per_unit NUMERIC CHECK (price_per_unit >= 0),
+  total_amount NUMERIC,
+  customer_id TEXT,
+  notes TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (order_id, sku)
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders (order_date DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_sku_date ON orders (sku, order_date DESC);
+
+
+-- =====================================================
+-- ORDERS_AGG (order header level)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS orders_agg (
+  order_id TEXT PRIMARY KEY,
+  store_id TEXT,
+  source TEXT,
+  created_at TEXT NOT NULL,
+  item_count INTEGER DEFAULT 0,
+  total_revenue NUMERIC DEFAULT 0,
+  total_cost NUMERIC DEFAULT 0,
+  total_profit NUMERIC DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_agg_created_at ON orders_agg (created_at);
+
+
+-- =====================================================
+-- WEBHOOK EVENTS (raw payload store)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_type TEXT NOT NULL,
+  source TEXT,
+  raw_payload JSONB,
+  received_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events (event_type, received_at);
+
+
+-- =====================================================
+-- WIX INVENTORY LIVE (inventory snapshot authority)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS wix_inventory_live (
+  sku TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  product_name TEXT NOT NULL,
+  variant_name TEXT NOT NULL,
+  category TEXT,
+  retail NUMERIC,
+  compare_at NUMERIC,
+  cost NUMERIC,
+  quantity_on_hand INTEGER NOT NULL DEFAULT 0,
+  inventory_status TEXT,
+  visible BOOLEAN DEFAULT 1,
+  synced_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  source TEXT NOT NULL DEFAULT 'wix_csv'
+);
+
+CREATE INDEX IF NOT EXISTS idx_wix_inventory_product_name ON wix_inventory_live (product_name);
+
+
+-- =====================================================
+-- SKU COSTS (cost authority)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS sku_costs (
+  sku TEXT PRIMARY KEY,
+  unit_cost NUMERIC NOT NULL CHECK (unit_cost >= 0),
+  effective_date TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  source TEXT NOT NULL DEFAULT 'manual',
+  notes TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TRIGGER IF NOT EXISTS trg_sku_costs_updated_at
+AFTER UPDATE ON sku_costs
+FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE sku_costs
+  SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  WHERE sku = NEW.sku;
+END;
+
+
+-- =====================================================
+-- LEGACY INVENTORY TABLES (ingest + catalog lookup)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_live (
+  sku TEXT PRIMARY KEY,
+  strain TEXT,
+  unit TEXT,
+  brand TEXT,
+  category TEXT,
+  quantity INTEGER,
+  last_updated TEXT,
+  source TEXT
+);
+
+CREATE TABLE IF NOT EXISTS inventory_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sku TEXT NOT NULL,
+  quantity INTEGER,
+  source TEXT,
+  recorded_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+
+-- =====================================================
+-- VIEW: inventory_virtual
+-- available_quantity = snapshot_quantity - sold since snapshot
+-- =====================================================
+CREATE VIEW IF NOT EXISTS inventory_virtual AS
+SELECT
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  w.quantity_on_hand - COALESCE(sold.sold_quantity, 0) AS available_quantity
+FROM wix_inventory_live w
+LEFT JOIN (
+  SELECT o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+  GROUP BY o.sku
+) sold ON sold.sku = w.sku;
+
+
+-- =====================================================
+-- VIEW: sold_by_sku
+-- 30-day velocity per SKU (daily_velocity = units / 30)
+-- =====================================================
+CREATE VIEW IF NOT EXISTS sold_by_sku AS
+SELECT
+  o.sku,
+  SUM(o.quantity) AS total_sold,
+  SUM(COALESCE(o.total_amount, o.quantity * COALESCE(o.price_per_unit, 0))) AS total_revenue,
+  COUNT(DISTINCT o.order_id) AS order_count,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS daily_velocity,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS avg_daily_velocity,
+  MAX(o.order_date) AS last_sold_at
+FROM orders o
+WHERE o.order_date >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-30 days')
+GROUP BY o.sku;
+
+
+-- =====================================================
+-- VIEW: sku_profitability
+-- unit_margin (dollars), margin_percent, profit_at_risk
+-- =====================================================
+CREATE VIEW IF NOT EXISTS sku_profitability AS
+SELECT
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.sku = iv.sku;
@@ -0,0 +1,235 @@
+-- =====================================================
+-- LOCAL MULTI-TENANT SCHEMA (SQLite)
+-- Mirrors 013_multi_tenant_store_id.sql: every authority
+-- table carries store_id and is keyed per store.
+--
+-- SQLite cannot change a PRIMARY KEY in place, so keyed
+-- tables are rebuilt (create _new, copy, drop, rename).
+-- Existing rows are backfilled to 'NJWeedWizard'.
+-- =====================================================
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS sold_by_sku;
+DROP VIEW IF EXISTS inventory_virtual;
+
+
+-- =====================================================
+-- ORDERS: UNIQUE (store_id, order_id, sku)
+-- =====================================================
+CREATE TABLE orders_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  order_date TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  strain TEXT,
+  unit TEXT NOT NULL,
+  quality TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity != 0),
+  price_per_unit NUMERIC CHECK (price_per_unit >= 0),
+  total_amount NUMERIC,
+  customer_id TEXT,
+  notes TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (store_id, order_id, sku)
+);
+
+INSERT INTO orders_new (id, store_id, order_id, order_date, sku, strain, unit, quality,
+  quantity, price_per_unit, total_amount, customer_id, notes, created_at)
+SELECT id, 'NJWeedWizard', order_id, order_date, sku, strain, unit, quality,
+  quantity, price_per_unit, total_amount, customer_id, notes, created_at
+FROM orders;
+
+DROP TABLE orders;
+ALTER TABLE orders_new RENAME TO orders;
+
+CREATE INDEX idx_orders_store_date ON orders (store_id, order_date DESC);
+CREATE INDEX idx_orders_store_sku_date ON orders (store_id, sku, order_date DESC);
+
+
+-- =====================================================
+-- ORDERS_AGG: PRIMARY KEY (store_id, order_id)
+-- =====================================================
+CREATE TABLE orders_agg_new (
+  store_id TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  source TEXT,
+  created_at TEXT NOT NULL,
+  item_count INTEGER DEFAULT 0,
+  total_revenue NUMERIC DEFAULT 0,
+  total_cost NUMERIC DEFAULT 0,
+  total_profit NUMERIC DEFAULT 0,
+  PRIMARY KEY (store_id, order_id)
+);
+
+INSERT INTO orders_agg_new (store_id, order_id, source, created_at, item_count,
+  total_revenue, total_cost, total_profit)
+SELECT COALESCE(store_id, 'NJWeedWizard'), order_id, source, created_at, item_count,
+  total_revenue, total_cost, total_profit
+FROM orders_agg;
+
+DROP TABLE orders_agg;
+ALTER TABLE orders_agg_new RENAME TO orders_agg;
+
+CREATE INDEX idx_orders_agg_store_created_at ON orders_agg (store_id, created_at);
+
+
+-- =====================================================
+-- WEBHOOK EVENTS: store_id column (no key change)
+-- =====================================================
+ALTER TABLE webhook_events ADD COLUMN store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+
+DROP INDEX IF EXISTS idx_webhook_events_type;
+CREATE INDEX idx_webhook_events_store_type ON webhook_events (store_id, event_type, received_at);
+
+
+-- =====================================================
+-- WIX INVENTORY LIVE: PRIMARY KEY (store_id, sku)
+-- =====================================================
+CREATE TABLE wix_inventory_live_new (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  product_name TEXT NOT NULL,
+  variant_name TEXT NOT NULL,
+  category TEXT,
+  retail NUMERIC,
+  compare_at NUMERIC,
+  cost NUMERIC,
+  quantity_on_hand INTEGER NOT NULL DEFAULT 0,
+  inventory_status TEXT,
+  visible BOOLEAN DEFAULT 1,
+  synced_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  source TEXT NOT NULL DEFAULT 'wix_csv',
+  PRIMARY KEY (store_id, sku)
+);
+
+INSERT INTO wix_inventory_live_new (store_id, sku, product_id, product_name, variant_name,
+  category, retail, compare_at, cost, quantity_on_hand, inventory_status, visible, synced_at, source)
+SELECT 'NJWeedWizard', sku, product_id, product_name, variant_name,
+  category, retail, compare_at, cost, quantity_on_hand, inventory_status, visible, synced_at, source
+FROM wix_inventory_live;
+
+DROP TABLE wix_inventory_live;
+ALTER TABLE wix_inventory_live_new RENAME TO wix_inventory_live;
+
+CREATE INDEX idx_wix_inventory_store_product_name ON wix_inventory_live (store_id, product_name);
+
+
+-- =====================================================
+-- SKU COSTS: PRIMARY KEY (store_id, sku)
+-- =====================================================
+CREATE TABLE sku_costs_new (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  unit_cost NUMERIC NOT NULL CHECK (unit_cost >= 0),
+  effective_date TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  source TEXT NOT NULL DEFAULT 'manual',
+  notes TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, sku)
+);
+
+INSERT INTO sku_costs_new (store_id, sku, unit_cost, effective_date, source, notes, created_at, updated_at)
+SELECT 'NJWeedWizard', sku, unit_cost, effective_date, source, notes, created_at, updated_at
+FROM sku_costs;
+
+DROP TABLE sku_costs;
+ALTER TABLE sku_costs_new RENAME TO sku_costs;
+
+CREATE TRIGGER trg_sku_costs_updated_at
+AFTER UPDATE ON sku_costs
+FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+  UPDATE sku_costs
+  SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  WHERE store_id = NEW.store_id AND sku = NEW.sku;
+END;
+
+
+-- =====================================================
+-- LEGACY INVENTORY TABLES
+-- =====================================================
+CREATE TABLE inventory_live_new (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  strain TEXT,
+  unit TEXT,
+  brand TEXT,
+  category TEXT,
+  quantity INTEGER,
+  last_updated TEXT,
+  source TEXT,
+  PRIMARY KEY (store_id, sku)
+);
+
+INSERT INTO inventory_live_new (store_id, sku, strain, unit, brand, category, quantity, last_updated, source)
+SELECT 'NJWeedWizard', sku, strain, unit, brand, category, quantity, last_updated, source
+FROM inventory_live;
+
+DROP TABLE inventory_live;
+ALTER TABLE inventory_live_new RENAME TO inventory_live;
+
+ALTER TABLE inventory_snapshots ADD COLUMN store_id TEXT NOT NULL DEFAULT 'NJWeedWizard';
+
+CREATE INDEX idx_inventory_snapshots_store_sku ON inventory_snapshots (store_id, sku, recorded_at);
+
+
+-- =====================================================
+-- VIEWS (joined on store_id + sku)
+-- =====================================================
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  w.quantity_on_hand - COALESCE(sold.sold_quantity, 0) AS available_quantity
+FROM wix_inventory_live w
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sold_by_sku AS
+SELECT
+  o.store_id,
+  o.sku,
+  SUM(o.quantity) AS total_sold,
+  SUM(COALESCE(o.total_amount, o.quantity * COALESCE(o.price_per_unit, 0))) AS total_revenue,
+  COUNT(DISTINCT o.order_id) AS order_count,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS daily_velocity,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS avg_daily_velocity,
+  MAX(o.order_date) AS last_sold_at
+FROM orders o
+WHERE o.order_date >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-30 days')
+GROUP BY o.store_id, o.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
@@ -0,0 +1,54 @@
+-- =====================================================
+-- LOCAL INVENTORY LEDGER (SQLite)
+-- Mirrors 014_inventory_movements.sql: append-only typed
+-- movements; on-hand = SUM(quantity).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  movement_type TEXT NOT NULL
+    CHECK (movement_type IN ('RECEIVE', 'SALE', 'ADJUST', 'SHRINK', 'RETURN', 'TRANSFER')),
+  quantity NUMERIC NOT NULL CHECK (quantity != 0),
+  reason TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  source_type TEXT NOT NULL,
+  source_id TEXT NOT NULL,
+  occurred_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  recorded_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  metadata JSONB,
+  CHECK (
+    (movement_type IN ('RECEIVE', 'RETURN') AND quantity > 0) OR
+    (movement_type IN ('SALE', 'SHRINK') AND quantity < 0) OR
+    (movement_type IN ('ADJUST', 'TRANSFER'))
+  ),
+  UNIQUE (store_id, sku, movement_type, source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_store_sku_time
+  ON inventory_movements (store_id, sku, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_store_type_time
+  ON inventory_movements (store_id, movement_type, occurred_at);
+
+CREATE TRIGGER IF NOT EXISTS trg_inventory_movements_no_update
+BEFORE UPDATE ON inventory_movements
+BEGIN
+  SELECT RAISE(ABORT, 'inventory_movements is append-only: post a new ADJUST movement instead');
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_inventory_movements_no_delete
+BEFORE DELETE ON inventory_movements
+BEGIN
+  SELECT RAISE(ABORT, 'inventory_movements is append-only: post a new ADJUST movement instead');
+END;
+
+CREATE VIEW IF NOT EXISTS inventory_ledger_on_hand AS
+SELECT
+  store_id,
+  sku,
+  SUM(quantity) AS on_hand,
+  COUNT(*) AS movement_count,
+  MAX(occurred_at) AS last_movement_at
+FROM inventory_movements
+GROUP BY store_id, sku;
@@ -0,0 +1,42 @@
+-- =====================================================
+-- LOCAL PURCHASE ORDERS (SQLite)
+-- Mirrors 015_purchase_orders.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id TEXT PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  vendor TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'partially_received', 'received')),
+  notes TEXT,
+  source TEXT NOT NULL DEFAULT 'reorder_decisions',
+  receipt_count INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT NOT NULL,
+  approved_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  sent_at TEXT,
+  received_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_store_status
+  ON purchase_orders (store_id, status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  po_id TEXT NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  name TEXT,
+  suggested_qty INTEGER NOT NULL DEFAULT 0 CHECK (suggested_qty >= 0),
+  ordered_qty INTEGER NOT NULL CHECK (ordered_qty > 0),
+  received_qty INTEGER NOT NULL DEFAULT 0 CHECK (received_qty >= 0),
+  unit_cost NUMERIC CHECK (unit_cost >= 0),
+  reason TEXT,
+  decision_metrics JSONB,
+  PRIMARY KEY (po_id, sku),
+  CHECK (received_qty <= ordered_qty)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_store_sku
+  ON purchase_order_lines (store_id, sku);
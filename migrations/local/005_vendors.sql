@@ -0,0 +1,30 @@
+-- =====================================================
+-- LOCAL VENDOR REGISTRY (SQLite)
+-- Mirrors 016_vendors.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS vendors (
+  store_id TEXT NOT NULL,
+  vendor_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  lead_time_days INTEGER CHECK (lead_time_days BETWEEN 0 AND 365),
+  minimum_order_qty INTEGER NOT NULL DEFAULT 1 CHECK (minimum_order_qty >= 1),
+  pack_size INTEGER NOT NULL DEFAULT 1 CHECK (pack_size >= 1),
+  contact TEXT,
+  notes TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, vendor_id)
+);
+
+CREATE TABLE IF NOT EXISTS sku_vendors (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  vendor_id TEXT NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, sku),
+  FOREIGN KEY (store_id, vendor_id) REFERENCES vendors (store_id, vendor_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_vendors_vendor
+  ON sku_vendors (store_id, vendor_id);
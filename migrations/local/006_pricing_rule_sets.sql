@@ -0,0 +1,24 @@
+-- =====================================================
+-- LOCAL PRICING RULE SETS (SQLite)
+-- Mirrors 017_pricing_rule_sets.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS pricing_rule_sets (
+  store_id TEXT NOT NULL,
+  version INTEGER NOT NULL CHECK (version > 0),
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'published')),
+  rules JSONB NOT NULL,
+  notes TEXT,
+  effective_from TEXT,
+  created_by TEXT NOT NULL,
+  published_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  published_at TEXT,
+  PRIMARY KEY (store_id, version),
+  CHECK (status = 'draft' OR effective_from IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rule_sets_effective
+  ON pricing_rule_sets (store_id, status, effective_from DESC);
@@ -0,0 +1,21 @@
+-- =====================================================
+-- LOCAL GRAM POOLS (SQLite)
+-- Mirrors 018_inventory_pools.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS inventory_pools (
+  store_id TEXT NOT NULL,
+  strain_key TEXT NOT NULL,
+  strain TEXT NOT NULL,
+  grams_counted NUMERIC NOT NULL CHECK (grams_counted >= 0),
+  counted_at TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT 1,
+  notes TEXT,
+  updated_by TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, strain_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_store_strain_date
+  ON orders (store_id, strain, order_date);
@@ -0,0 +1,34 @@
+-- =====================================================
+-- LOCAL COST HISTORY (SQLite)
+-- Mirrors 019_sku_cost_records.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS sku_cost_records (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  unit_cost NUMERIC NOT NULL CHECK (unit_cost >= 0),
+  quantity NUMERIC CHECK (quantity IS NULL OR quantity > 0),
+  effective_at TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual',
+  source_id TEXT,
+  notes TEXT,
+  recorded_by TEXT NOT NULL,
+  recorded_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (store_id, sku, source, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_cost_records_store_sku_time
+  ON sku_cost_records (store_id, sku, effective_at);
+
+CREATE TABLE IF NOT EXISTS costing_policies (
+  store_id TEXT PRIMARY KEY,
+  method TEXT NOT NULL DEFAULT 'weighted_average'
+    CHECK (method IN ('weighted_average', 'fifo')),
+  updated_by TEXT NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+INSERT OR IGNORE INTO sku_cost_records (store_id, sku, unit_cost, quantity, effective_at, source, source_id, notes, recorded_by)
+SELECT store_id, sku, unit_cost, NULL, '1970-01-01T00:00:00.000Z', 'opening_balance', 'sku_costs', 'Opening cost carried over from sku_costs (' || source || ')', 'migration_008'
+FROM sku_costs;
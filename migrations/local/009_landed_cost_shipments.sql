@@ -0,0 +1,38 @@
+-- =====================================================
+-- LOCAL LANDED-COST SHIPMENTS (SQLite)
+-- Mirrors 020_landed_cost_shipments.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS landed_cost_shipments (
+  store_id TEXT NOT NULL,
+  shipment_id TEXT NOT NULL,
+  vendor TEXT,
+  received_at TEXT NOT NULL,
+  charges JSONB NOT NULL DEFAULT '[]',
+  invoice_total NUMERIC NOT NULL,
+  charges_total NUMERIC NOT NULL,
+  landed_total NUMERIC NOT NULL,
+  notes TEXT,
+  recorded_by TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, shipment_id)
+);
+
+CREATE TABLE IF NOT EXISTS landed_cost_lines (
+  store_id TEXT NOT NULL,
+  shipment_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  grams_per_unit NUMERIC,
+  invoice_unit_cost NUMERIC NOT NULL CHECK (invoice_unit_cost >= 0),
+  invoice_total NUMERIC NOT NULL,
+  allocations JSONB NOT NULL DEFAULT '[]',
+  charges_total NUMERIC NOT NULL,
+  landed_total NUMERIC NOT NULL,
+  landed_unit_cost NUMERIC NOT NULL,
+  PRIMARY KEY (store_id, shipment_id, sku),
+  FOREIGN KEY (store_id, shipment_id) REFERENCES landed_cost_shipments (store_id, shipment_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_landed_cost_lines_sku
+  ON landed_cost_lines (store_id, sku);
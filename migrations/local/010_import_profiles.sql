@@ -0,0 +1,14 @@
+-- =====================================================
+-- LOCAL IMPORT PROFILES (SQLite)
+-- Mirrors 021_import_profiles.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS import_profiles (
+  store_id TEXT NOT NULL,
+  profile_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  definition JSONB NOT NULL,
+  updated_by TEXT NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, profile_id)
+);
@@ -0,0 +1,31 @@
+-- =====================================================
+-- LOCAL IMPORT BATCHES (SQLite)
+-- Mirrors 022_import_batches.sql
+-- apply_inventory_import is provided by the local client's rpc()
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS import_batches (
+  store_id TEXT NOT NULL,
+  batch_id TEXT NOT NULL,
+  profile_id TEXT NOT NULL,
+  profile_name TEXT NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('replace', 'merge')),
+  status TEXT NOT NULL DEFAULT 'staged' CHECK (status IN ('staged', 'committed', 'rolled_back')),
+  items JSONB NOT NULL,
+  removed_skus JSONB NOT NULL DEFAULT '[]',
+  invalid JSONB NOT NULL DEFAULT '[]',
+  diff JSONB NOT NULL,
+  summary JSONB,
+  base_fingerprint TEXT NOT NULL,
+  previous_rows JSONB,
+  staged_by TEXT NOT NULL,
+  staged_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  committed_by TEXT,
+  committed_at TEXT,
+  rolled_back_by TEXT,
+  rolled_back_at TEXT,
+  PRIMARY KEY (store_id, batch_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_status
+  ON import_batches (store_id, status, committed_at);
@@ -0,0 +1,10 @@
+-- =====================================================
+-- LOCAL WEBHOOK EVENT IDS (SQLite)
+-- Mirrors 023_webhook_event_ids.sql
+-- =====================================================
+
+ALTER TABLE webhook_events ADD COLUMN event_id TEXT;
+ALTER TABLE webhook_events ADD COLUMN verified_by TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_store_event_id
+  ON webhook_events (store_id, event_id);
@@ -0,0 +1,108 @@
+-- =====================================================
+-- LOCAL ORDER REVERSALS (SQLite)
+-- Mirrors 024_order_reversals.sql
+--
+-- SQLite cannot change a UNIQUE constraint in place, so
+-- orders is rebuilt (create _new, copy, drop, rename).
+-- =====================================================
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS sold_by_sku;
+DROP VIEW IF EXISTS inventory_virtual;
+
+CREATE TABLE orders_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  order_id TEXT NOT NULL,
+  order_date TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  strain TEXT,
+  unit TEXT NOT NULL,
+  quality TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity != 0),
+  price_per_unit NUMERIC CHECK (price_per_unit >= 0),
+  total_amount NUMERIC,
+  customer_id TEXT,
+  notes TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  entry_type TEXT NOT NULL DEFAULT 'sale' CHECK (entry_type IN ('sale', 'refund', 'return', 'cancel')),
+  entry_ref TEXT NOT NULL DEFAULT '',
+  UNIQUE (store_id, order_id, sku, entry_type, entry_ref)
+);
+
+INSERT INTO orders_new (id, store_id, order_id, order_date, sku, strain, unit, quality,
+  quantity, price_per_unit, total_amount, customer_id, notes, created_at)
+SELECT id, store_id, order_id, order_date, sku, strain, unit, quality,
+  quantity, price_per_unit, total_amount, customer_id, notes, created_at
+FROM orders;
+
+DROP TABLE orders;
+ALTER TABLE orders_new RENAME TO orders;
+
+CREATE INDEX idx_orders_store_date ON orders (store_id, order_date DESC);
+CREATE INDEX idx_orders_store_sku_date ON orders (store_id, sku, order_date DESC);
+CREATE INDEX idx_orders_store_strain_date ON orders (store_id, strain, order_date);
+
+
+-- =====================================================
+-- VIEWS (inventory_virtual counts stock-moving entries only)
+--
+-- REFUND RULE: sold_by_sku (velocity, revenue) nets every
+-- reversal; inventory_virtual counts sale / return /
+-- cancel only - a refunded buyer keeps the goods.
+-- =====================================================
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  w.quantity_on_hand - COALESCE(sold.sold_quantity, 0) AS available_quantity
+FROM wix_inventory_live w
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+    AND o.entry_type IN ('sale', 'return', 'cancel')
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sold_by_sku AS
+SELECT
+  o.store_id,
+  o.sku,
+  SUM(o.quantity) AS total_sold,
+  SUM(COALESCE(o.total_amount, o.quantity * COALESCE(o.price_per_unit, 0))) AS total_revenue,
+  COUNT(DISTINCT o.order_id) AS order_count,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS daily_velocity,
+  ROUND(SUM(o.quantity) / 30.0, 3) AS avg_daily_velocity,
+  MAX(o.order_date) AS last_sold_at
+FROM orders o
+WHERE o.order_date >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-30 days')
+GROUP BY o.store_id, o.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
@@ -0,0 +1,38 @@
+-- =====================================================
+-- LOCAL SKU ALIASES (SQLite)
+-- Mirrors 025_sku_aliases.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS sku_aliases (
+  store_id TEXT NOT NULL,
+  alias_key TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  review_id INTEGER,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, alias_key)
+);
+
+CREATE TABLE IF NOT EXISTS sku_match_reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  alias_key TEXT NOT NULL,
+  strain TEXT NOT NULL,
+  unit TEXT NOT NULL,
+  raw_name TEXT,
+  proposed_sku TEXT,
+  match_type TEXT NOT NULL,
+  confidence REAL NOT NULL,
+  source TEXT NOT NULL,
+  order_ids JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'corrected')),
+  first_seen_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_seen_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  resolved_sku TEXT,
+  resolved_by TEXT,
+  resolved_at TEXT,
+  UNIQUE (store_id, alias_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sku_match_reviews_status
+  ON sku_match_reviews (store_id, status, last_seen_at);
@@ -0,0 +1,6 @@
+-- =====================================================
+-- LOCAL SKU MATCH CANDIDATES (SQLite)
+-- Mirrors 026_sku_match_candidates.sql
+-- =====================================================
+
+ALTER TABLE sku_match_reviews ADD COLUMN candidates JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,17 @@
+-- =====================================================
+-- LOCAL DATA QUALITY REPORTS (SQLite)
+-- Mirrors 027_data_quality_reports.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS data_quality_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  score REAL NOT NULL CHECK (score >= 0 AND score <= 100),
+  grade TEXT NOT NULL,
+  checks JSONB NOT NULL DEFAULT '[]',
+  generated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  generated_by TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_quality_reports_store_generated
+  ON data_quality_reports (store_id, generated_at);
@@ -0,0 +1,39 @@
+-- =====================================================
+-- LOCAL CYCLE COUNTS (SQLite)
+-- Mirrors 028_cycle_counts.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS cycle_count_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  selection JSONB NOT NULL DEFAULT '{}',
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  closed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_sessions_store_created
+  ON cycle_count_sessions (store_id, created_at);
+
+CREATE TABLE IF NOT EXISTS cycle_count_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id INTEGER NOT NULL REFERENCES cycle_count_sessions (id),
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  product_name TEXT,
+  variant_name TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'counted', 'approved', 'rejected')),
+  counted_qty NUMERIC CHECK (counted_qty >= 0),
+  derived_qty NUMERIC,
+  variance NUMERIC,
+  counted_by TEXT,
+  counted_at TEXT,
+  decided_by TEXT,
+  decided_at TEXT,
+  UNIQUE (session_id, sku)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_count_lines_store_status
+  ON cycle_count_lines (store_id, status, counted_at);
@@ -0,0 +1,38 @@
+-- =====================================================
+-- LOCAL ORDER DAILY ROLLUPS (SQLite)
+-- Mirrors 029_order_daily_rollups.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS order_daily_rollups (
+  store_id TEXT NOT NULL,
+  day TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  unit TEXT NOT NULL,
+  strain TEXT,
+  units_sold REAL NOT NULL DEFAULT 0,
+  units_refunded REAL NOT NULL DEFAULT 0,
+  order_count INTEGER NOT NULL DEFAULT 0,
+  line_count INTEGER NOT NULL DEFAULT 0,
+  gross_sales REAL NOT NULL DEFAULT 0,
+  refunds REAL NOT NULL DEFAULT 0,
+  refunds_by_type JSONB NOT NULL DEFAULT '{}',
+  revenue REAL NOT NULL DEFAULT 0,
+  revenue_lines INTEGER NOT NULL DEFAULT 0,
+  revenue_units REAL NOT NULL DEFAULT 0,
+  cost REAL NOT NULL DEFAULT 0,
+  costed_revenue REAL NOT NULL DEFAULT 0,
+  costed_lines INTEGER NOT NULL DEFAULT 0,
+  costed_units REAL NOT NULL DEFAULT 0,
+  first_order_at TEXT NOT NULL,
+  last_order_at TEXT NOT NULL,
+  refreshed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, day, sku, unit)
+);
+
+CREATE TABLE IF NOT EXISTS order_rollup_state (
+  store_id TEXT PRIMARY KEY,
+  covered_from TEXT NOT NULL,
+  costing_method TEXT NOT NULL,
+  backfilled_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  backfilled_by TEXT NOT NULL
+);
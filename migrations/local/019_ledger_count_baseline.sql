@@ -0,0 +1,141 @@
+-- =====================================================
+-- LOCAL LEDGER COUNT BASELINE (SQLite)
+-- Mirrors 030_ledger_count_baseline.sql
+--
+-- SQLite cannot change a CHECK constraint in place, so
+-- inventory_movements is rebuilt (create _new, copy,
+-- drop, rename) with its triggers and dependent views.
+-- =====================================================
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS inventory_virtual;
+DROP VIEW IF EXISTS inventory_ledger_on_hand;
+
+CREATE TABLE inventory_movements_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  movement_type TEXT NOT NULL
+    CHECK (movement_type IN ('RECEIVE', 'SALE', 'ADJUST', 'SHRINK', 'RETURN', 'TRANSFER')),
+  quantity NUMERIC NOT NULL,
+  counted_quantity NUMERIC,
+  reason TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  source_type TEXT NOT NULL,
+  source_id TEXT NOT NULL,
+  occurred_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  recorded_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  metadata JSONB,
+  CHECK (
+    (movement_type IN ('RECEIVE', 'RETURN') AND quantity > 0) OR
+    (movement_type IN ('SALE', 'SHRINK') AND quantity < 0) OR
+    (movement_type IN ('ADJUST', 'TRANSFER'))
+  ),
+  CHECK (
+    (counted_quantity IS NULL AND quantity != 0) OR
+    (counted_quantity IS NOT NULL AND movement_type = 'ADJUST' AND counted_quantity >= 0)
+  ),
+  UNIQUE (store_id, sku, movement_type, source_type, source_id)
+);
+
+INSERT INTO inventory_movements_new (id, store_id, sku, movement_type, quantity, counted_quantity,
+  reason, actor, source_type, source_id, occurred_at, recorded_at, metadata)
+SELECT id, store_id, sku, movement_type, quantity,
+  CASE WHEN movement_type = 'ADJUST' THEN json_extract(metadata, '$.countedQty') END,
+  reason, actor, source_type, source_id, occurred_at, recorded_at, metadata
+FROM inventory_movements;
+
+DROP TABLE inventory_movements;
+ALTER TABLE inventory_movements_new RENAME TO inventory_movements;
+
+CREATE INDEX idx_inventory_movements_store_sku_time
+  ON inventory_movements (store_id, sku, occurred_at);
+CREATE INDEX idx_inventory_movements_store_type_time
+  ON inventory_movements (store_id, movement_type, occurred_at);
+
+CREATE TRIGGER trg_inventory_movements_no_update
+BEFORE UPDATE ON inventory_movements
+BEGIN
+  SELECT RAISE(ABORT, 'inventory_movements is append-only: post a new ADJUST movement instead');
+END;
+
+CREATE TRIGGER trg_inventory_movements_no_delete
+BEFORE DELETE ON inventory_movements
+BEGIN
+  SELECT RAISE(ABORT, 'inventory_movements is append-only: post a new ADJUST movement instead');
+END;
+
+
+-- =====================================================
+-- VIEWS (on-hand = last count + later movements;
+-- inventory_virtual reads it)
+-- =====================================================
+CREATE VIEW inventory_ledger_on_hand AS
+WITH last_count AS (
+  SELECT store_id, sku, id, occurred_at, counted_quantity,
+    ROW_NUMBER() OVER (PARTITION BY store_id, sku ORDER BY occurred_at DESC, id DESC) AS rn
+  FROM inventory_movements
+  WHERE counted_quantity IS NOT NULL
+)
+SELECT
+  m.store_id,
+  m.sku,
+  COALESCE(c.counted_quantity, 0) + SUM(
+    CASE
+      WHEN c.id IS NULL
+        OR m.occurred_at > c.occurred_at
+        OR (m.occurred_at = c.occurred_at AND m.id > c.id)
+      THEN m.quantity
+      ELSE 0
+    END
+  ) AS on_hand,
+  COUNT(*) AS movement_count,
+  MAX(m.occurred_at) AS last_movement_at,
+  c.occurred_at AS counted_at
+FROM inventory_movements m
+LEFT JOIN last_count c ON c.store_id = m.store_id AND c.sku = m.sku AND c.rn = 1
+GROUP BY m.store_id, m.sku, c.id, c.occurred_at, c.counted_quantity;
+
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  COALESCE(l.on_hand, w.quantity_on_hand - COALESCE(sold.sold_quantity, 0)) AS available_quantity,
+  l.on_hand AS ledger_on_hand
+FROM wix_inventory_live w
+LEFT JOIN inventory_ledger_on_hand l ON l.store_id = w.store_id AND l.sku = w.sku
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+    AND o.entry_type IN ('sale', 'return', 'cancel')
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
@@ -0,0 +1,27 @@
+-- =====================================================
+-- LOCAL ORDER ROLLUP COUNTS AND STALENESS (SQLite)
+-- Mirrors 031_order_rollup_counts_and_staleness.sql
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS order_daily_counts (
+  store_id TEXT NOT NULL,
+  day TEXT NOT NULL,
+  order_count INTEGER NOT NULL DEFAULT 0,
+  refreshed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS order_rollup_stale (
+  store_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  stale_from TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  marked_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (store_id, sku, stale_from)
+);
+
+INSERT OR IGNORE INTO order_daily_counts (store_id, day, order_count)
+SELECT store_id, date(order_date), COUNT(DISTINCT order_id)
+FROM orders
+WHERE quantity > 0 AND store_id IS NOT NULL
+GROUP BY store_id, date(order_date);
@@ -0,0 +1,59 @@
+-- =====================================================
+-- LOCAL LEDGER ON-HAND AFTER COUNT (SQLite)
+-- Mirrors 032_ledger_on_hand_after_count.sql
+--
+-- available_quantity is the ledger on-hand only once a
+-- SKU has a count; before that, snapshot - sold.
+-- =====================================================
+
+DROP VIEW IF EXISTS sku_profitability;
+DROP VIEW IF EXISTS inventory_virtual;
+
+CREATE VIEW inventory_virtual AS
+SELECT
+  w.store_id,
+  w.sku,
+  w.product_id,
+  w.product_name,
+  w.variant_name,
+  w.category,
+  w.retail,
+  w.compare_at,
+  w.inventory_status,
+  w.visible,
+  w.synced_at,
+  w.source,
+  w.quantity_on_hand AS snapshot_quantity,
+  COALESCE(sold.sold_quantity, 0) AS sold_quantity,
+  CASE
+    WHEN l.counted_at IS NOT NULL THEN l.on_hand
+    ELSE w.quantity_on_hand - COALESCE(sold.sold_quantity, 0)
+  END AS available_quantity,
+  CASE WHEN l.counted_at IS NOT NULL THEN l.on_hand END AS ledger_on_hand
+FROM wix_inventory_live w
+LEFT JOIN inventory_ledger_on_hand l ON l.store_id = w.store_id AND l.sku = w.sku
+-- Refund rule (013): sold_by_sku nets refunds; only
+-- sale / return / cancel move stock
+LEFT JOIN (
+  SELECT o.store_id, o.sku, SUM(o.quantity) AS sold_quantity
+  FROM orders o
+  JOIN wix_inventory_live wl ON wl.store_id = o.store_id AND wl.sku = o.sku
+  WHERE o.order_date >= wl.synced_at
+    AND o.entry_type IN ('sale', 'return', 'cancel')
+  GROUP BY o.store_id, o.sku
+) sold ON sold.store_id = w.store_id AND sold.sku = w.sku;
+
+CREATE VIEW sku_profitability AS
+SELECT
+  iv.store_id,
+  iv.sku,
+  iv.retail,
+  c.unit_cost,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL
+    THEN ROUND(iv.retail - c.unit_cost, 2) END AS unit_margin,
+  CASE WHEN iv.retail > 0 AND c.unit_cost IS NOT NULL
+    THEN ROUND((iv.retail - c.unit_cost) / iv.retail * 100, 2) END AS margin_percent,
+  CASE WHEN iv.retail IS NOT NULL AND c.unit_cost IS NOT NULL AND iv.available_quantity > 0
+    THEN ROUND(iv.available_quantity * (iv.retail - c.unit_cost), 2) END AS profit_at_risk
+FROM inventory_virtual iv
+LEFT JOIN sku_costs c ON c.store_id = iv.store_id AND c.sku = iv.sku;
@@ -0,0 +1,130 @@
+/**
+ * Wix Webhook Replay Script
+ *
+ * Re-posts captured webhook payloads to a running OMEN server, signed with
+ * the current timestamp, for testing /webhooks/wix/orders and
+ * /webhooks/wix/inventory locally.
+ *
+ * Captures are written by the server when OMEN_WEBHOOK_CAPTURE_DIR is set
+ * ({ kind, storeId, eventId, eventType, body }). A plain JSON payload file
+ * works too, given --kind.
+ *
+ * Usage: node scripts/replay-wix-webhooks.js <file|dir> [--url http://localhost:3000]
+ *          [--store STORE_ID] [--kind orders|inventory] [--new-ids]
+ *
+ * --new-ids sends each payload under a fresh event ID, so the server syncs it
+ * again instead of acknowledging a duplicate.
+ *
+ * Secret: WIX_WEBHOOK_SECRET_<STOREID> or WIX_WEBHOOK_SECRET (same as the server)
+ *
+ * The store ID is part of the signature, so plain payload files need --store.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { signPayload, SIGNATURE_HEADERS } from '../src/utils/webhookSignature.js';
+
+function parseArgs(argv) {
+  const args = { target: null, url: 'http://localhost:3000', store: null, kind: null, newIds: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') args.url = argv[++i];
+    else if (arg === '--store') args.store = argv[++i];
+    else if (arg === '--kind') args.kind = argv[++i];
+    else if (arg === '--new-ids') args.newIds = true;
+    else if (!args.target) args.target = arg;
+  }
+  return args;
+}
+
+function listCaptureFiles(target) {
+  if (fs.statSync(target).isDirectory()) {
+    return fs.readdirSync(target)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => path.join(target, name));
+  }
+  return [target];
+}
+
+function loadCapture(file, args) {
+  const content = fs.readFileSync(file, 'utf-8');
+  const parsed = JSON.parse(content);
+  const isCapture = typeof parsed.body === 'string' && parsed.kind;
+
+  return {
+    kind: args.kind || (isCapture ? parsed.kind : null),
+    storeId: args.store || (isCapture ? parsed.storeId : null),
+    eventId: isCapture ? parsed.eventId : null,
+    eventType: isCapture ? parsed.eventType : null,
+    body: isCapture ? parsed.body : content
+  };
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.target || !fs.existsSync(args.target)) {
+  console.error('Usage: node scripts/replay-wix-webhooks.js <file|dir> [--url URL] [--store STORE_ID] [--kind orders|inventory] [--new-ids]');
+  process.exit(1);
+}
+
+const files = listCaptureFiles(args.target);
+console.log(`Replaying ${files.length} webhook payload(s) to ${args.url}\n`);
+
+let failed = 0;
+
+for (const file of files) {
+  const capture = loadCapture(file, args);
+
+  if (!capture.kind) {
+    console.error(`  ✗ ${path.basename(file)}: not a capture file - pass --kind`);
+    failed++;
+    continue;
+  }
+
+  if (!capture.storeId) {
+    console.error(`  ✗ ${path.basename(file)}: no store ID (it is part of the signature) - pass --store`);
+    failed++;
+    continue;
+  }
+
+  const secret = process.env[`WIX_WEBHOOK_SECRET_${capture.storeId.toUpperCase()}`] || process.env.WIX_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('ERROR: Set WIX_WEBHOOK_SECRET (or WIX_WEBHOOK_SECRET_<STOREID>)');
+    process.exit(1);
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    [SIGNATURE_HEADERS.TIMESTAMP]: String(timestamp),
+    [SIGNATURE_HEADERS.STORE_ID]: capture.storeId,
+    [SIGNATURE_HEADERS.SIGNATURE]: signPayload(secret, timestamp, capture.storeId, capture.body)
+  };
+  const eventId = args.newIds ? `replay-${crypto.randomUUID()}` : capture.eventId;
+  if (eventId) headers[SIGNATURE_HEADERS.EVENT_ID] = eventId;
+  if (capture.eventType) headers[SIGNATURE_HEADERS.EVENT_TYPE] = capture.eventType;
+
+  try {
+    const response = await fetch(`${args.url.replace(/\/$/, '')}/webhooks/wix/${capture.kind}`, {
+      method: 'POST',
+      headers,
+      body: capture.body
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok && result.ok) {
+      console.log(`  ✓ ${path.basename(file)}: ${result.eventId}${result.duplicate ? ' (duplicate)' : ''}`);
+    } else {
+      console.error(`  ✗ ${path.basename(file)}: HTTP ${response.status} ${result.error || ''}`);
+      failed++;
+    }
+  } catch (err) {
+    console.error(`  ✗ ${path.basename(file)}: ${err.message}`);
+    failed++;
+  }
+}
+
+console.log(`\nDone: ${files.length - failed} sent, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,112 @@
+/**
+ * Local Authority Seed Script
+ *
+ * Loads a Wix product CSV export into the LOCAL authority database so
+ * OMEN can run offline (OMEN_AUTHORITY_BACKEND=local):
+ * - wix_inventory_live: one row per VARIANT with a SKU
+ * - sku_costs: rows whose CSV cost column is populated
+ * - inventory_movements: opening ADJUST so ledger on-hand matches the CSV
+ *
+ * Usage: node scripts/seed-local-authority.js [path-to-wix-csv] [storeId]
+ *
+ * storeId defaults to the first store in OMEN_STORE_IDS (see storeRegistry.js).
+ * Seeding one store never touches another store's rows.
+ *
+ * Database path honours OMEN_LOCAL_DB_PATH (default: data/omen-local.db)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Force the local backend before any db module is loaded
+process.env.OMEN_AUTHORITY_BACKEND = 'local';
+
+const { parseWixCsv, validateItems } = await import('../src/utils/wixCsvParser.js');
+const { getAuthorityClient } = await import('../src/db/authorityAdapter.js');
+const { getLocalStatus, closeLocalDatabase } = await import('../src/db/localSqlClient.js');
+const { getConfiguredStoreIds } = await import('../src/utils/storeRegistry.js');
+const { validateStoreId } = await import('../src/middleware/auth.js');
+const { reconcileCounts } = await import('../src/services/inventoryLedgerService.js');
+
+const csvPath = process.argv[2] || path.join(__dirname, '..', 'data', 'omen_cost_ledger_v1.csv');
+const storeId = process.argv[3] || getConfiguredStoreIds()[0];
+
+const storeValidation = validateStoreId(storeId);
+if (!storeValidation.valid) {
+  console.error(`ERROR: Invalid storeId "${storeId}": ${storeValidation.error}`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(csvPath)) {
+  console.error(`ERROR: CSV file not found at ${csvPath}`);
+  process.exit(1);
+}
+
+console.log(`Seeding local authority for ${storeId} from: ${csvPath}\n`);
+
+const { items } = parseWixCsv(fs.readFileSync(csvPath, 'utf-8'));
+const { valid, invalid } = validateItems(items);
+
+const syncedAt = new Date().toISOString();
+const inventoryRows = valid
+  .filter(item => item.variant_name)
+  .map(item => ({ ...item, store_id: storeId, synced_at: syncedAt }));
+
+const costRows = inventoryRows
+  .filter(item => item.cost !== null && item.cost >= 0)
+  .map(item => ({
+    store_id: storeId,
+    sku: item.sku,
+    unit_cost: item.cost,
+    source: 'wix_csv',
+    notes: `Seeded from ${path.basename(csvPath)}`
+  }));
+
+const client = getAuthorityClient();
+
+const { error: inventoryError } = await client
+  .from('wix_inventory_live')
+  .upsert(inventoryRows, { onConflict: 'store_id,sku' });
+
+if (inventoryError) {
+  console.error(`ERROR: wix_inventory_live seed failed: ${inventoryError.message}`);
+  process.exit(1);
+}
+
+const { error: costError } = await client
+  .from('sku_costs')
+  .upsert(costRows, { onConflict: 'store_id,sku' });
+
+if (costError) {
+  console.error(`ERROR: sku_costs seed failed: ${costError.message}`);
+  process.exit(1);
+}
+
+const ledgerResult = await reconcileCounts(
+  storeId,
+  inventoryRows.map(item => ({ sku: item.sku, quantity: item.quantity_on_hand || 0 })),
+  {
+    reason: 'Opening balance from seed CSV',
+    actor: 'seed-local-authority',
+    sourceDocument: { type: 'seed', id: `${path.basename(csvPath)}@${syncedAt}` },
+    occurredAt: syncedAt
+  }
+);
+
+if (!ledgerResult.ok) {
+  console.error(`ERROR: inventory_movements seed failed: ${ledgerResult.error}`);
+  process.exit(1);
+}
+
+console.log(`Database: ${getLocalStatus().path}`);
+console.log(`Store: ${storeId}`);
+console.log(`Inventory rows: ${inventoryRows.length}`);
+console.log(`Cost rows: ${costRows.length}`);
+console.log(`Ledger adjustments: ${ledgerResult.adjusted}`);
+console.log(`Skipped (invalid or no variant): ${invalid.length + (valid.length - inventoryRows.length)}`);
+
+closeLocalDatabase();
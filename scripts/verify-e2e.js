@@ -17,6 +17,8 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+const STORE_ID = process.env.STORE_ID || 'NJWeedWizard';
+
 let PASS = true;
 const RESULTS = {
   step1: null,
@@ -34,7 +36,8 @@ async function step1_backendValidation() {
   // Query inventory
   const { data: inventory, error: invErr } = await supabase
     .from('wix_inventory_live')
-    .select('sku, retail, quantity_on_hand');
+    .select('sku, retail, quantity_on_hand')
+    .eq('store_id', STORE_ID);
 
   if (invErr) {
     console.log('❌ FAIL: Inventory query failed:', invErr.message);
@@ -45,7 +48,8 @@ async function step1_backendValidation() {
   // Query costs
   const { data: costs, error: costErr } = await supabase
     .from('sku_costs')
-    .select('sku, unit_cost');
+    .select('sku, unit_cost')
+    .eq('store_id', STORE_ID);
 
   if (costErr) {
     console.log('❌ FAIL: Cost query failed:', costErr.message);
@@ -122,7 +126,7 @@ async function step2_forceSnapshotRebuild(metrics) {
   const { getAuthoritativeInventory } = await import('../src/data/supabaseAuthority.js');
 
   console.log('Fetching authoritative inventory...');
-  const authority = await getAuthoritativeInventory();
+  const authority = await getAuthoritativeInventory(STORE_ID);
 
   console.log('Authority response:');
   console.log('  - Items:', authority.count);
@@ -2,26 +2,37 @@
  * SINGLE SOURCE OF TRUTH: Supabase Virtual Tables
  *
  * AUTHORITY MODEL (REFACTORED):
- * - Inventory: inventory_virtual (real-time available quantity derived from orders)
+ * - Inventory: inventory_virtual (available quantity = ledger on-hand once counted)
  * - Sales: sold_by_sku (velocity data per SKU)
  * - Cost: sku_costs (unit cost)
  * - Profitability: sku_profitability (margin + profit-at-risk)
  *
  * KEY FORMULA:
- * - available_quantity = snapshot_quantity - sold_quantity
+ * - available_quantity = inventory_ledger_on_hand.on_hand (last count +
+ *   later movements) for SKUs with a count; snapshot_quantity -
+ *   sold_quantity for SKUs not counted yet (their ledger holds sales only)
  * - This is DERIVED, not synced - orders automatically reduce availability
+ * - Pooled strains (inventory_pools): available units per size =
+ *   floor((grams counted - grams sold since the count) / grams per unit)
  *
  * MARGIN COMPUTATION:
  * - Comes directly from sku_profitability.unit_margin
  * - Profit at risk = available_quantity * unit_margin
  *
+ * BACKEND: Resolved by authorityAdapter.js (OMEN_AUTHORITY_BACKEND)
+ * - supabase: hosted views
+ * - local: SQLite views built from migrations/local (same columns)
+ *
  * NO fallbacks, NO caching at this level, NO silent failures
- * Either data is fresh from Supabase or system refuses operation
+ * Either data is fresh from the authority backend or system refuses operation
  *
  * STRICT TRUTH MODE: Enabled
  */
 
-import { getSupabaseClient, isSupabaseAvailable } from '../db/supabaseClient.js';
+import { getAuthorityClient, isAuthorityAvailable, getAuthorityAdapter } from '../db/authorityAdapter.js';
+import { collectPages, isTruncationError } from '../db/pagedQuery.js';
+import { getGramsForUnit, inferUnit } from '../utils/unitWeights.js';
+import { derivePoolStock, applyGramPools } from '../utils/gramPools.js';
 
 const STRICT_MODE = process.env.OMEN_STRICT_TRUTH_MODE !== 'false';
 
@@ -32,6 +43,8 @@ const INVENTORY_TABLE = 'inventory_virtual';       // Real-time available invent
 const SALES_TABLE = 'sold_by_sku';                 // Sales velocity per SKU
 const COST_TABLE = 'sku_costs';                    // Unit cost authority
 const PROFITABILITY_TABLE = 'sku_profitability';   // Margin + profit-at-risk
+const POOL_TABLE = 'inventory_pools';              // Bulk grams per pooled strain (optional)
+const ORDERS_TABLE = 'orders';                     // Line items (grams sold from pools)
 
 /**
  * Authority error types for clean handling
@@ -58,7 +71,7 @@ function createAuthorityError(type, message, details = {}) {
  * Get authoritative inventory from Supabase
  *
  * READS FROM:
- * - inventory_virtual: Real-time availability (snapshot - sold)
+ * - inventory_virtual: Real-time availability (ledger on-hand)
  * - sku_profitability: Margin and profit-at-risk
  * - sold_by_sku: Sales velocity (optional, for depletion forecasts)
  *
@@ -69,11 +82,19 @@ function createAuthorityError(type, message, details = {}) {
  *
  * NO silent fallbacks. NO polite lies.
  *
+ * MULTI-TENANT: Every authority query is filtered by store_id.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @returns {Promise<{items: Array, timestamp: string, source: string, count: number}>}
  */
-export async function getAuthoritativeInventory() {
+export async function getAuthoritativeInventory(storeId) {
+  if (!storeId) {
+    throw new Error('[Authority] getAuthoritativeInventory: storeId is required');
+  }
+
   console.log('[Authority] ========== EXECUTION CONTEXT ==========');
   console.log('[Authority] Function: getAuthoritativeInventory');
+  console.log('[Authority] Store:', storeId);
   console.log('[Authority] Timestamp:', new Date().toISOString());
   console.log('[Authority] STRICT_MODE:', STRICT_MODE);
   console.log('[Authority] INVENTORY_TABLE:', INVENTORY_TABLE);
@@ -82,19 +103,20 @@ export async function getAuthoritativeInventory() {
   console.log('[Authority] Process ID:', process.pid);
   console.log('[Authority] ===========================================');
 
-  // GATE 1: Supabase must be available
-  if (!isSupabaseAvailable()) {
-    console.error('[Authority] AUTHORITY_UNAVAILABLE: Supabase not configured');
+  // GATE 1: Authority backend must be available (Supabase or local)
+  if (!isAuthorityAvailable()) {
+    const adapter = getAuthorityAdapter();
+    console.error(`[Authority] AUTHORITY_UNAVAILABLE: ${adapter.label} not configured`);
     throw createAuthorityError(
       AUTHORITY_ERROR.UNAVAILABLE,
-      'Authority unavailable. Supabase is not configured.',
-      { hint: 'Set SUPABASE_SECRET_API_KEY in environment variables' }
+      `Authority unavailable. ${adapter.label} is not configured.`,
+      { backend: adapter.name, hint: adapter.unavailableHint }
     );
   }
 
-  console.log('[Authority] isSupabaseAvailable() returned true');
+  console.log('[Authority] isAuthorityAvailable() returned true');
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   // ========================================================================
   // QUERY 1: Inventory Authority (inventory_virtual)
@@ -104,7 +126,8 @@ export async function getAuthoritativeInventory() {
 
   const { data: inventory, error: inventoryError } = await client
     .from(INVENTORY_TABLE)
-    .select('*');
+    .select('*')
+    .eq('store_id', storeId);
 
   if (inventoryError) {
     const isTableMissing =
@@ -163,7 +186,8 @@ export async function getAuthoritativeInventory() {
 
   const { data: profitability, error: profitError } = await client
     .from(PROFITABILITY_TABLE)
-    .select('*');
+    .select('*')
+    .eq('store_id', storeId);
 
   if (profitError) {
     const isTableMissing =
@@ -205,7 +229,8 @@ export async function getAuthoritativeInventory() {
 
   const { data: sales, error: salesError } = await client
     .from(SALES_TABLE)
-    .select('*');
+    .select('*')
+    .eq('store_id', storeId);
 
   if (salesError) {
     console.warn(`[Authority] Sales query failed (non-fatal): ${salesError.message}`);
@@ -234,7 +259,8 @@ export async function getAuthoritativeInventory() {
 
   const { data: costs, error: costError } = await client
     .from(COST_TABLE)
-    .select('sku, unit_cost, source');
+    .select('sku, unit_cost, source')
+    .eq('store_id', storeId);
 
   if (!costError && costs && costs.length > 0) {
     costTableCount = costs.length;
@@ -257,10 +283,10 @@ export async function getAuthoritativeInventory() {
   let skusWithRetail = 0;
   let skusWithMargin = 0;
 
-  const enriched = inventory.map(item => {
+  const unpooled = inventory.map(item => {
     // ======================================================================
     // QUANTITY: Use available_quantity from inventory_virtual
-    // This is DERIVED: snapshot_quantity - sold_quantity
+    // This is DERIVED: the ledger's on-hand (migration 030)
     // ======================================================================
     const availableQuantity = item.available_quantity ?? item.quantity ?? 0;
     const snapshotQuantity = item.snapshot_quantity ?? item.quantity_on_hand ?? availableQuantity;
@@ -478,6 +504,13 @@ export async function getAuthoritativeInventory() {
     };
   });
 
+  // ========================================================================
+  // QUERY 5: Gram pools (inventory_pools) - OPTIONAL
+  // Strains counted in bulk grams: unit sizes share one derived pool
+  // ========================================================================
+  const poolResult = await loadPoolStock(client, storeId, unpooled);
+  const enriched = applyGramPools(unpooled, poolResult.poolStock);
+
   const timestamp = new Date().toISOString();
 
   // ========================================================================
@@ -634,6 +667,7 @@ export async function getAuthoritativeInventory() {
     salesTable: SALES_TABLE,
     costTable: COST_TABLE,
     count: enriched.length,
+    poolStats: poolResult.stats,
     inventoryLastSyncedAt,
     // ========================================================================
     // SKU COUNTS - VISIBLE ONLY (Wix Dashboard Parity)
@@ -708,6 +742,85 @@ export async function getAuthoritativeInventory() {
   };
 }
 
+/**
+ * Load enabled gram pools and derive grams available from orders
+ *
+ * Non-fatal: without the pools table (or on query failure) every SKU keeps
+ * its own per-unit count. Order lines are read page by page; a short read
+ * would overstate pooled stock, so it throws instead.
+ *
+ * @returns {Promise<{poolStock: Map|null, stats: Object|null}>}
+ * @throws {Error} QUERY_TRUNCATED when the order read comes back short
+ */
+async function loadPoolStock(client, storeId, items) {
+  console.log(`[Authority] QUERY 5: ${POOL_TABLE}`);
+
+  const { data: pools, error: poolError } = await client
+    .from(POOL_TABLE)
+    .select('strain, strain_key, grams_counted, counted_at')
+    .eq('store_id', storeId)
+    .eq('enabled', true);
+
+  if (poolError) {
+    console.warn(`[Authority] Pool query failed (non-fatal): ${poolError.message}`);
+    return { poolStock: null, stats: null };
+  }
+
+  if (!pools || pools.length === 0) {
+    return { poolStock: null, stats: null };
+  }
+
+  const earliestCount = pools
+    .map(p => p.counted_at)
+    .sort((a, b) => new Date(a) - new Date(b))[0];
+
+  let orderLines;
+  try {
+    orderLines = await collectPages(() => client
+      .from(ORDERS_TABLE)
+      .select('sku, strain, unit, quantity, order_date', { count: 'exact' })
+      .eq('store_id', storeId)
+      .gte('order_date', earliestCount)
+      .order('order_date', { ascending: true })
+      .order('order_id', { ascending: true })
+      .order('sku', { ascending: true })
+      .order('entry_type', { ascending: true })
+      .order('entry_ref', { ascending: true }),
+    { label: `${ORDERS_TABLE} (pools)` });
+  } catch (err) {
+    if (isTruncationError(err)) throw err;
+    // Pools without their sales would overstate stock - keep per-unit counts
+    console.warn(`[Authority] Pool order query failed (non-fatal, pools skipped): ${err.message}`);
+    return { poolStock: null, stats: null };
+  }
+
+  const poolStock = derivePoolStock(
+    pools.map(p => ({
+      strain: p.strain,
+      strainKey: p.strain_key,
+      grams: parseFloat(p.grams_counted),
+      countedAt: p.counted_at
+    })),
+    orderLines,
+    items
+  );
+
+  const oversold = Array.from(poolStock.values()).filter(p => p.oversoldGrams > 0);
+  for (const pool of oversold) {
+    console.warn(`[Authority] Pool ${pool.strain} oversold by ${pool.oversoldGrams}g since count at ${pool.countedAt}`);
+  }
+
+  console.log(`[Authority] QUERY 5 COMPLETE: ${poolStock.size} pooled strains, ${orderLines.length} order lines since ${earliestCount}`);
+
+  return {
+    poolStock,
+    stats: {
+      pooledStrains: poolStock.size,
+      oversoldStrains: oversold.map(p => p.strain)
+    }
+  };
+}
+
 // ============================================================================
 // DETERMINISTIC IDENTITY INFERENCE
 // Activates ONLY when identity fields are missing/invalid.
@@ -719,16 +832,6 @@ const SIZE_PATTERN = /^(.+?)[_-](\d+\.\d+[Gg]?|\d+[Gg]|[Oo][Zz])$/;
 // Numeric-only suffix — no decimal, no G (e.g., FADED-GUMMIES-01)
 const NUMERIC_SUFFIX_PATTERN = /^(.+?)[_-](\d{1,3})$/;
 
-// Unit classification from variant token
-const UNIT_RULES = [
-  { test: /^\d+(\.\d+)?[Gg]$/,  unit: 'grams' },    // 3.5G, 7G, 14G, 28G
-  { test: /^\d+\.\d+$/,         unit: 'grams' },     // 3.5 (bare decimal → grams)
-  { test: /^[Oo][Zz]$/,         unit: 'grams' },     // OZ
-];
-
-// Product-name tokens that signal unit = 'pieces'
-const PIECE_TOKENS = ['gummies', 'gummy', 'edibles', 'edible', 'capsules', 'tabs'];
-
 /**
  * Pure function: infer identity fields from a SKU string.
  * Deterministic — same input always produces same output.
@@ -788,43 +891,3 @@ function formatProductName(raw) {
     .map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
     .join(' ') || null;
 }
-
-/**
- * Infer unit from variant token and product name tokens.
- */
-function inferUnit(variantToken, productSegment) {
-  // Check variant token against size rules
-  for (const rule of UNIT_RULES) {
-    if (rule.test.test(variantToken)) return rule.unit;
-  }
-  // Check product segment for piece-type keywords
-  const lower = (productSegment || '').toLowerCase();
-  for (const token of PIECE_TOKENS) {
-    if (lower.includes(token)) return 'pieces';
-  }
-  return null;
-}
-
-/**
- * Map units/variants to grams (for compatibility)
- */
-function getGramsForUnit(unit) {
-  if (!unit) return null;
-
-  const normalized = unit.toLowerCase().replace(/\s+/g, '');
-
-  const gramsMap = {
-    '28g': 28,
-    '14g': 14,
-    '7g': 7,
-    '3.5g': 3.5,
-    'oz': 28,
-    'half': 14,
-    'quarter': 7,
-    'eighth': 3.5,
-    '1g': 1,
-    'gram': 1
-  };
-
-  return gramsMap[normalized] || null;
-}
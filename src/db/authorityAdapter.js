@@ -0,0 +1,114 @@
+/**
+ * Authority Adapter - Pluggable Data Backend
+ *
+ * Every authority read/write (inventory_virtual, sold_by_sku, sku_costs,
+ * sku_profitability, orders, webhook_events, ...) goes through the client
+ * returned here instead of importing a backend directly.
+ *
+ * BACKENDS (OMEN_AUTHORITY_BACKEND):
+ * - supabase (default): Hosted Supabase project (supabaseClient.js)
+ * - local: SQLite database built from migrations/local (localSqlClient.js)
+ *
+ * Both clients expose the same supabase-js query-builder surface, so
+ * callers keep the { data, error } contract and the same error codes
+ * ('42P01' for missing tables) regardless of backend.
+ */
+
+import {
+  getSupabaseClient,
+  isSupabaseAvailable,
+  getConnectionStatus
+} from './supabaseClient.js';
+import {
+  getLocalClient,
+  isLocalAvailable,
+  getLocalStatus
+} from './localSqlClient.js';
+
+export const AUTHORITY_BACKENDS = {
+  SUPABASE: 'supabase',
+  LOCAL: 'local'
+};
+
+/**
+ * Adapter registry
+ *
+ * Each adapter: { name, label, getClient(), isAvailable(), getStatus(), unavailableHint }
+ */
+const ADAPTERS = {
+  [AUTHORITY_BACKENDS.SUPABASE]: {
+    name: AUTHORITY_BACKENDS.SUPABASE,
+    label: 'Supabase',
+    getClient: getSupabaseClient,
+    isAvailable: isSupabaseAvailable,
+    getStatus: getConnectionStatus,
+    unavailableHint: 'Set OMEN_USE_SUPABASE=true and SUPABASE_SECRET_API_KEY in environment variables'
+  },
+  [AUTHORITY_BACKENDS.LOCAL]: {
+    name: AUTHORITY_BACKENDS.LOCAL,
+    label: 'Local SQLite',
+    getClient: getLocalClient,
+    isAvailable: isLocalAvailable,
+    getStatus: getLocalStatus,
+    unavailableHint: 'Check OMEN_LOCAL_DB_PATH points to a writable location'
+  }
+};
+
+/**
+ * Resolve configured backend name
+ *
+ * Unknown values fall back to supabase with a warning (never silently local).
+ *
+ * @returns {string} 'supabase' | 'local'
+ */
+export function getAuthorityBackend() {
+  const configured = (process.env.OMEN_AUTHORITY_BACKEND || AUTHORITY_BACKENDS.SUPABASE)
+    .trim()
+    .toLowerCase();
+
+  if (!ADAPTERS[configured]) {
+    console.warn(`[AuthorityAdapter] Unknown OMEN_AUTHORITY_BACKEND "${configured}", using supabase`);
+    return AUTHORITY_BACKENDS.SUPABASE;
+  }
+
+  return configured;
+}
+
+/**
+ * Get the active adapter
+ */
+export function getAuthorityAdapter() {
+  return ADAPTERS[getAuthorityBackend()];
+}
+
+/**
+ * Get query client for the active backend
+ *
+ * CRASHES if the backend is not available (same contract as getSupabaseClient)
+ *
+ * @returns {object} supabase-js compatible client
+ */
+export function getAuthorityClient() {
+  return getAuthorityAdapter().getClient();
+}
+
+/**
+ * Check if the active backend can serve queries
+ */
+export function isAuthorityAvailable() {
+  return getAuthorityAdapter().isAvailable();
+}
+
+/**
+ * Diagnostics for /health and /supabase/status
+ */
+export function getAuthorityStatus() {
+  const adapter = getAuthorityAdapter();
+  return {
+    backend: adapter.name,
+    label: adapter.label,
+    available: adapter.isAvailable(),
+    status: adapter.getStatus(),
+    hint: adapter.unavailableHint
+  };
+}
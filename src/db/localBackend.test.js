@@ -0,0 +1,714 @@
+// src/db/localBackend.test.js
+// Unit tests for the local authority backend: query builder, client, import batches, adapter selection
+// In-memory SQLite only - no files, no network
+
+import Database from "better-sqlite3";
+import { createLocalQueryClient } from "./localQueryBuilder.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+async function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE items (
+      store_id TEXT NOT NULL,
+      sku TEXT NOT NULL,
+      name TEXT NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+      category TEXT,
+      active BOOLEAN DEFAULT 1,
+      meta JSONB,
+      PRIMARY KEY (store_id, sku)
+    )
+  `);
+  const client = createLocalQueryClient(db);
+
+  const seed = [
+    { store_id: "A", sku: "A-1", name: "Alpha 1g", quantity: 5, category: "flower", active: true, meta: { tier: 1 } },
+    { store_id: "A", sku: "A-2", name: "Alpha 3.5g", quantity: 0, category: "flower", active: false, meta: null },
+    { store_id: "A", sku: "B-1", name: "Bravo Gummies", quantity: 12, category: null, active: true, meta: { tier: 2 } },
+    { store_id: "A", sku: "C-1", name: "Charlie Vape", quantity: 3, category: "vape", active: true, meta: null },
+    { store_id: "B", sku: "A-1", name: "Alpha 1g", quantity: 9, category: "flower", active: true, meta: null }
+  ];
+  const skus = (data) => data.map(r => r.sku).join(",");
+
+  // ========================================
+  // Writes
+  // ========================================
+  console.log("\n✏️ Testing writes...\n");
+
+  await test("insert stores rows; select() returns them with booleans and JSON decoded", async () => {
+    const { data, error } = await client.from("items").insert(seed).select("sku, active, meta");
+    assertEquals(error, null);
+    assertEquals(data.length, 5);
+    assertEquals(data[0].active, true);
+    assertEquals(data[1].active, false);
+    assertEquals(data[0].meta.tier, 1);
+  });
+
+  await test("insert without select() returns no data", async () => {
+    const { data, error } = await client.from("items").insert({ store_id: "C", sku: "Z", name: "Zed" });
+    assertEquals(error, null);
+    assertEquals(data, null);
+  });
+
+  await test("column defaults apply to omitted keys", async () => {
+    const { data } = await client.from("items").select("quantity, active").eq("store_id", "C").single();
+    assertEquals(data.quantity, 0);
+    assertEquals(data.active, true);
+  });
+
+  await test("duplicate key → 23505", async () => {
+    const { error } = await client.from("items").insert({ store_id: "A", sku: "A-1", name: "dupe" });
+    assertEquals(error.code, "23505");
+  });
+
+  await test("missing NOT NULL column → 23502", async () => {
+    const { error } = await client.from("items").insert({ store_id: "A", sku: "N-1" });
+    assertEquals(error.code, "23502");
+  });
+
+  await test("failed CHECK → 23514", async () => {
+    const { error } = await client.from("items").insert({ store_id: "A", sku: "N-2", name: "n", quantity: -1 });
+    assertEquals(error.code, "23514");
+  });
+
+  await test("upsert with onConflict updates the existing row", async () => {
+    const { error } = await client.from("items")
+      .upsert({ store_id: "C", sku: "Z", name: "Zed Renamed", quantity: 4 }, { onConflict: "store_id,sku" });
+    assertEquals(error, null);
+    const { data } = await client.from("items").select("name, quantity").eq("store_id", "C").eq("sku", "Z").single();
+    assertEquals(data.name, "Zed Renamed");
+    assertEquals(data.quantity, 4);
+  });
+
+  await test("upsert with ignoreDuplicates keeps the existing row", async () => {
+    await client.from("items")
+      .upsert({ store_id: "C", sku: "Z", name: "Ignored" }, { onConflict: "store_id,sku", ignoreDuplicates: true });
+    const { data } = await client.from("items").select("name").eq("store_id", "C").eq("sku", "Z").single();
+    assertEquals(data.name, "Zed Renamed");
+  });
+
+  await test("update only touches filtered rows and can return them", async () => {
+    const { data, error } = await client.from("items")
+      .update({ quantity: 7 })
+      .eq("store_id", "C")
+      .select("sku, quantity");
+    assertEquals(error, null);
+    assertEquals(data.length, 1);
+    assertEquals(data[0].quantity, 7);
+    const { data: untouched } = await client.from("items").select("quantity").eq("store_id", "B").single();
+    assertEquals(untouched.quantity, 9);
+  });
+
+  await test("delete only removes filtered rows", async () => {
+    const { data } = await client.from("items").delete().eq("store_id", "C").select("sku");
+    assertEquals(skus(data), "Z");
+    const { count } = await client.from("items").select("*", { count: "exact", head: true });
+    assertEquals(count, 5);
+  });
+
+  // ========================================
+  // Filters
+  // ========================================
+  console.log("\n🔍 Testing filters...\n");
+
+  const selectA = () => client.from("items").select("sku").eq("store_id", "A").order("sku");
+
+  await test("eq / neq", async () => {
+    assertEquals(skus((await selectA().eq("category", "flower")).data), "A-1,A-2");
+    assertEquals(skus((await selectA().neq("category", "flower")).data), "C-1");
+  });
+
+  await test("eq(null) / neq(null) become IS NULL / IS NOT NULL", async () => {
+    assertEquals(skus((await selectA().eq("category", null)).data), "B-1");
+    assertEquals(skus((await selectA().neq("category", null)).data), "A-1,A-2,C-1");
+  });
+
+  await test("gt / gte / lt / lte", async () => {
+    assertEquals(skus((await selectA().gt("quantity", 3)).data), "A-1,B-1");
+    assertEquals(skus((await selectA().gte("quantity", 3)).data), "A-1,B-1,C-1");
+    assertEquals(skus((await selectA().lt("quantity", 3)).data), "A-2");
+    assertEquals(skus((await selectA().lte("quantity", 3)).data), "A-2,C-1");
+  });
+
+  await test("like is case-sensitive, ilike is not", async () => {
+    assertEquals(skus((await selectA().like("name", "Alpha%")).data), "A-1,A-2");
+    assertEquals(skus((await selectA().like("name", "alpha%")).data), "");
+    assertEquals(skus((await selectA().ilike("name", "alpha%")).data), "A-1,A-2");
+    assertEquals(skus((await selectA().like("name", "Alpha _g")).data), "A-1");
+    assertEquals(skus((await selectA().like("name", "*")).data), "");
+  });
+
+  await test("booleans filter by true/false", async () => {
+    assertEquals(skus((await selectA().eq("active", false)).data), "A-2");
+  });
+
+  await test("in matches any listed value; an empty list matches nothing", async () => {
+    assertEquals(skus((await selectA().in("sku", ["A-1", "C-1", "Q-9"])).data), "A-1,C-1");
+    assertEquals(skus((await selectA().in("sku", [])).data), "");
+  });
+
+  await test("is(null) and not(is, null)", async () => {
+    assertEquals(skus((await selectA().is("meta", null)).data), "A-2,C-1");
+    assertEquals(skus((await selectA().not("meta", "is", null)).data), "A-1,B-1");
+  });
+
+  await test("not(in) takes an array or a PostgREST list string", async () => {
+    assertEquals(skus((await selectA().not("sku", "in", ["A-1", "A-2"])).data), "B-1,C-1");
+    assertEquals(skus((await selectA().not("sku", "in", "(A-1,B-1)")).data), "A-2,C-1");
+    assertEquals(skus((await selectA().not("category", "eq", "flower")).data), "C-1");
+  });
+
+  await test("unsupported not() operator → LOCAL_UNSUPPORTED", async () => {
+    const { data, error } = await selectA().not("quantity", "gt", 1);
+    assertEquals(data, null);
+    assertEquals(error.code, "LOCAL_UNSUPPORTED");
+  });
+
+  await test("invalid identifier → LOCAL_UNSUPPORTED", async () => {
+    const { error } = await client.from("items").select("sku").eq("sku; DROP TABLE items", "x");
+    assertEquals(error.code, "LOCAL_UNSUPPORTED");
+  });
+
+  await test("unknown table → 42P01", async () => {
+    const { error } = await client.from("nope").select("*");
+    assertEquals(error.code, "42P01");
+  });
+
+  // ========================================
+  // Modifiers
+  // ========================================
+  console.log("\n📐 Testing modifiers...\n");
+
+  await test("order ascending / descending, multiple keys", async () => {
+    const { data } = await client.from("items").select("sku, store_id")
+      .order("sku", { ascending: false })
+      .order("store_id");
+    assertEquals(data.map(r => `${r.store_id}:${r.sku}`).join(","), "A:C-1,A:B-1,A:A-2,A:A-1,B:A-1");
+  });
+
+  await test("order nullsFirst / nulls last", async () => {
+    const first = await client.from("items").select("sku").eq("store_id", "A")
+      .order("category", { nullsFirst: true });
+    const last = await client.from("items").select("sku").eq("store_id", "A")
+      .order("category", { nullsFirst: false }).order("sku");
+    assertEquals(first.data[0].sku, "B-1");
+    assertEquals(last.data[3].sku, "B-1");
+  });
+
+  await test("limit", async () => {
+    assertEquals(skus((await selectA().limit(2)).data), "A-1,A-2");
+  });
+
+  await test("range is inclusive and pages through rows", async () => {
+    assertEquals(skus((await selectA().range(0, 1)).data), "A-1,A-2");
+    assertEquals(skus((await selectA().range(2, 3)).data), "B-1,C-1");
+    assertEquals(skus((await selectA().range(4, 5)).data), "");
+  });
+
+  await test("count: exact alongside rows, and head-only", async () => {
+    const withRows = await selectA().eq("category", "flower").select("sku", { count: "exact" }).range(0, 0);
+    assertEquals(withRows.count, 2);
+    assertEquals(withRows.data.length, 1);
+    const head = await client.from("items").select("*", { count: "exact", head: true }).eq("store_id", "A");
+    assertEquals(head.count, 4);
+    assertEquals(head.data, null);
+  });
+
+  await test("maxRows caps every select but not its count, like PostgREST", async () => {
+    const capped = createLocalQueryClient(db, { maxRows: 2 });
+    const all = await capped.from("items").select("sku", { count: "exact" }).eq("store_id", "A").order("sku");
+    assertEquals(skus(all.data), "A-1,A-2");
+    assertEquals(all.count, 4);
+    assertEquals(skus((await capped.from("items").select("sku").eq("store_id", "A").order("sku").range(1, 3)).data), "A-2,B-1");
+    assertEquals(skus((await capped.from("items").select("sku").eq("store_id", "A").order("sku").limit(1)).data), "A-1");
+  });
+
+  await test("single returns one object; 0 or 2+ rows → PGRST116", async () => {
+    const one = await selectA().eq("sku", "B-1").single();
+    assertEquals(one.data.sku, "B-1");
+    assertEquals((await selectA().eq("sku", "Q-9").single()).error.code, "PGRST116");
+    assertEquals((await selectA().single()).error.code, "PGRST116");
+  });
+
+  await test("maybeSingle returns null for no rows", async () => {
+    const none = await selectA().eq("sku", "Q-9").maybeSingle();
+    assertEquals(none.error, null);
+    assertEquals(none.data, null);
+    assertEquals((await selectA().maybeSingle()).error.code, "PGRST116");
+  });
+
+  db.close();
+
+  // ========================================
+  // Client + migrations + rpc
+  // ========================================
+  console.log("\n🗄️ Testing local client...\n");
+
+  // supabaseClient.js exits at import without keys unless the backend is
+  // local, so configure it before loading the adapter.
+  const originalBackend = process.env.OMEN_AUTHORITY_BACKEND;
+  process.env.OMEN_AUTHORITY_BACKEND = "local";
+  process.env.OMEN_LOCAL_DB_PATH = ":memory:";
+  // Every read below must page past Supabase-style row caps
+  process.env.OMEN_LOCAL_MAX_ROWS = "100";
+
+  const {
+    getLocalClient,
+    getLocalDatabase,
+    getLocalStatus,
+    isLocalAvailable,
+    closeLocalDatabase
+  } = await import("./localSqlClient.js");
+  const {
+    AUTHORITY_BACKENDS,
+    getAuthorityBackend,
+    getAuthorityAdapter,
+    getAuthorityClient,
+    getAuthorityStatus
+  } = await import("./authorityAdapter.js");
+
+  await test("opens an in-memory database and applies every local migration", async () => {
+    assertEquals(isLocalAvailable(), true);
+    const status = getLocalStatus();
+    assertEquals(status.path, ":memory:");
+    assertEquals(status.connected, true);
+    assertEquals(status.migrationsApplied[0], "001_authority_schema.sql");
+    const recorded = getLocalDatabase().prepare("SELECT COUNT(*) AS n FROM _local_migrations").get().n;
+    assertEquals(recorded, status.migrationsApplied.length);
+  });
+
+  await test("getLocalClient is one shared client", async () => {
+    assertEquals(getLocalClient(), getLocalClient());
+  });
+
+  const local = getLocalClient();
+  const inventoryRow = (sku, quantity) => ({
+    store_id: "A",
+    sku,
+    product_id: `p-${sku}`,
+    product_name: sku,
+    variant_name: "1g",
+    quantity_on_hand: quantity
+  });
+
+  await test("rpc apply_inventory_import deletes and upserts in one call", async () => {
+    await local.from("wix_inventory_live").insert([inventoryRow("OLD", 2), inventoryRow("KEEP", 1)]);
+    const { data, error } = await local.rpc("apply_inventory_import", {
+      p_store_id: "A",
+      p_upserts: [inventoryRow("KEEP", 6), inventoryRow("NEW", 3)],
+      p_deletes: ["OLD"]
+    });
+    assertEquals(error, null);
+    assertEquals(data.deleted, 1);
+    assertEquals(data.upserted, 2);
+    const rows = await local.from("wix_inventory_live").select("sku, quantity_on_hand, visible").eq("store_id", "A").order("sku");
+    assertEquals(rows.data.map(r => `${r.sku}=${r.quantity_on_hand}`).join(","), "KEEP=6,NEW=3");
+    assertEquals(rows.data[0].visible, true);
+  });
+
+  await test("rpc rolls back every write when one fails", async () => {
+    const { data, error } = await local.rpc("apply_inventory_import", {
+      p_store_id: "A",
+      p_upserts: [{ sku: "BROKEN" }],
+      p_deletes: ["KEEP"]
+    });
+    assertEquals(data, null);
+    assertEquals(error.code, "23502");
+    const { count } = await local.from("wix_inventory_live").select("*", { count: "exact", head: true }).eq("sku", "KEEP");
+    assertEquals(count, 1);
+  });
+
+  await test("rpc of an unknown function → LOCAL_UNSUPPORTED", async () => {
+    const { error } = await local.rpc("does_not_exist", {});
+    assertEquals(error.code, "LOCAL_UNSUPPORTED");
+  });
+
+  // ========================================
+  // Ledger views
+  // ========================================
+  console.log("\n📒 Testing ledger views...\n");
+
+  const { createMovement } = await import("../utils/inventoryLedger.js");
+  const { reconcileCounts, recordMovements, getLedgerOnHand } = await import("../services/inventoryLedgerService.js");
+  const sale = (sku, quantity, orderId, occurredAt) => createMovement({
+    sku,
+    type: "SALE",
+    quantity,
+    reason: `Order ${orderId}`,
+    actor: "order_sync",
+    sourceDocument: { type: "order", id: orderId },
+    occurredAt
+  });
+  const countContext = (id, occurredAt) => ({
+    reason: "count",
+    actor: "tester",
+    sourceDocument: { type: "count", id },
+    occurredAt
+  });
+
+  await test("on-hand re-baselines at the last count; a backdated sale after it is ignored", async () => {
+    await reconcileCounts("A", [{ sku: "KEEP", quantity: 10 }], countContext("open", "2026-01-05T00:00:00.000Z"));
+    await recordMovements("A", [sale("KEEP", 2, "1001", "2026-01-06T00:00:00.000Z")]);
+    assertEquals((await getLedgerOnHand("A", ["KEEP"])).onHand.KEEP, 8);
+
+    await recordMovements("A", [sale("KEEP", 4, "0999", "2026-01-03T00:00:00.000Z")]);
+    const after = await getLedgerOnHand("A", ["KEEP"]);
+    assertEquals(after.onHand.KEEP, 8);
+    assertEquals(after.details[0].movementCount, 3);
+    assertEquals(after.details[0].countedAt, "2026-01-05T00:00:00.000Z");
+  });
+
+  await test("a count that agrees is recorded and moves the baseline forward", async () => {
+    const result = await reconcileCounts("A", [{ sku: "KEEP", quantity: 8 }], countContext("agree", "2026-01-07T00:00:00.000Z"));
+    assertEquals(result.adjusted, 0);
+    assertEquals(result.unchanged, 1);
+    await recordMovements("A", [sale("KEEP", 1, "1000", "2026-01-06T12:00:00.000Z")]);
+    assertEquals((await getLedgerOnHand("A", ["KEEP"])).onHand.KEEP, 8);
+  });
+
+  await test("inventory_virtual reads ledger on-hand; unseen SKUs keep the snapshot", async () => {
+    const { data } = await local.from("inventory_virtual")
+      .select("sku, snapshot_quantity, available_quantity, ledger_on_hand")
+      .eq("store_id", "A")
+      .order("sku");
+    const keep = data.find(r => r.sku === "KEEP");
+    const unseen = data.find(r => r.sku === "NEW");
+    assertEquals(keep.snapshot_quantity, 6);
+    assertEquals(keep.available_quantity, 8);
+    assertEquals(keep.ledger_on_hand, 8);
+    assertEquals(unseen.available_quantity, 3);
+    assertEquals(unseen.ledger_on_hand, null);
+  });
+
+  await test("a SKU that sells before its first count keeps snapshot - sold", async () => {
+    await local.from("orders").insert({
+      store_id: "A", order_id: "2001", order_date: "2099-01-01T00:00:00.000Z", sku: "NEW", unit: "1g", quantity: 1
+    });
+    await recordMovements("A", [sale("NEW", 1, "2001", "2099-01-01T00:00:00.000Z")]);
+    assertEquals((await getLedgerOnHand("A", ["NEW"])).onHand.NEW, -1);
+    const { data } = await local.from("inventory_virtual")
+      .select("available_quantity, ledger_on_hand")
+      .eq("store_id", "A")
+      .eq("sku", "NEW")
+      .single();
+    assertEquals(data.available_quantity, 2);
+    assertEquals(data.ledger_on_hand, null);
+
+    await reconcileCounts("A", [{ sku: "NEW", quantity: 2 }], countContext("first", "2099-01-02T00:00:00.000Z"));
+    const counted = await local.from("inventory_virtual").select("available_quantity, ledger_on_hand").eq("store_id", "A").eq("sku", "NEW").single();
+    assertEquals(counted.data.available_quantity, 2);
+    assertEquals(counted.data.ledger_on_hand, 2);
+  });
+
+  await test("movements stay append-only; zero deltas need a count", async () => {
+    const db = getLocalDatabase();
+    let blocked = false;
+    try {
+      db.prepare("DELETE FROM inventory_movements WHERE store_id = 'A'").run();
+    } catch {
+      blocked = true;
+    }
+    assertEquals(blocked, true);
+    const { error } = await local.from("inventory_movements").insert({
+      store_id: "A", sku: "KEEP", movement_type: "ADJUST", quantity: 0,
+      reason: "r", actor: "a", source_type: "manual", source_id: "zero"
+    });
+    assertEquals(error.code, "23514");
+  });
+
+  await test("a refund nets velocity and revenue but not on-hand; a return nets both", async () => {
+    const hoursAgo = (n) => new Date(Date.now() - n * 3600000).toISOString();
+    await local.from("wix_inventory_live").insert({ ...inventoryRow("RF-1", 10), store_id: "RF", synced_at: hoursAgo(48) });
+    const line = (orderId, quantity, entryType, entryRef) => ({
+      store_id: "RF", order_id: orderId, order_date: hoursAgo(24), sku: "RF-1", unit: "1g",
+      quantity, price_per_unit: 10, total_amount: quantity * 10, entry_type: entryType, entry_ref: entryRef
+    });
+    await local.from("orders").insert([
+      line("rf-1", 2, "sale", ""),
+      line("rf-1", -1, "refund", "refund-1"),
+      line("rf-2", 1, "sale", ""),
+      line("rf-2", -1, "return", "refund-2")
+    ]);
+
+    const velocity = (await local.from("sold_by_sku").select("total_sold, total_revenue, daily_velocity").eq("store_id", "RF").single()).data;
+    assertEquals(velocity.total_sold, 1);
+    assertEquals(velocity.total_revenue, 10);
+    assertEquals(velocity.daily_velocity, 0.033);
+    const onHand = (await local.from("inventory_virtual").select("sold_quantity, available_quantity").eq("store_id", "RF").single()).data;
+    assertEquals(onHand.sold_quantity, 2);
+    assertEquals(onHand.available_quantity, 8);
+  });
+
+  // ========================================
+  // Import batches
+  // ========================================
+  console.log("\n📦 Testing import batches...\n");
+
+  const {
+    previewImport,
+    commitImport,
+    rollbackImport,
+    applyInventoryCounts,
+    importInventory
+  } = await import("../services/inventoryImportService.js");
+  const squareRow = (sku, quantity) => ({
+    "SKU": sku, "Item Name": `Item ${sku}`, "Variation Name": "3.5g", "Price": 40, "Current Quantity Store": quantity
+  });
+  const stage = async (...rows) => (await previewImport("IMP", { profile: "square", rows }, { actor: "tester" })).batchId;
+  const stored = async () => (await local.from("wix_inventory_live").select("sku, quantity_on_hand").eq("store_id", "IMP").order("sku"))
+    .data.map(r => `${r.sku}=${r.quantity_on_hand}`).join(",");
+  const batchRow = async (batchId) => (await local.from("import_batches").select("status, committed_at, previous_rows").eq("batch_id", batchId).single()).data;
+  const quiet = async (fn) => {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+      return await fn();
+    } finally {
+      Object.assign(console, { log, warn, error });
+    }
+  };
+
+  await test("a commit writes the batch and its ledger counts", async () => {
+    const result = await quiet(async () => commitImport("IMP", await stage(squareRow("A", 5), squareRow("B", 3))));
+    assertEquals(result.ok, true);
+    assertEquals(result.ledger.adjusted, 2);
+    assertEquals(await stored(), "A=5,B=3");
+  });
+
+  const pending = await quiet(() => stage(squareRow("A", 9), squareRow("C", 1)));
+
+  await test("a failed apply leaves inventory alone and the batch staged", async () => {
+    getLocalDatabase().exec(`CREATE TEMP TRIGGER fail_import BEFORE INSERT ON wix_inventory_live
+      WHEN NEW.store_id = 'IMP' BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+    try {
+      const result = await quiet(() => commitImport("IMP", pending));
+      assertEquals(result.ok, false);
+      assertEquals(result.stage, "commit");
+    } finally {
+      getLocalDatabase().exec("DROP TRIGGER fail_import");
+    }
+    assertEquals(await stored(), "A=5,B=3");
+    assertEquals((await batchRow(pending)).status, "staged");
+  });
+
+  await test("a failed reconcile undoes the write and returns the batch to staged", async () => {
+    getLocalDatabase().exec(`CREATE TEMP TRIGGER fail_ledger BEFORE INSERT ON inventory_movements
+      WHEN NEW.store_id = 'IMP' BEGIN SELECT RAISE(ABORT, 'ledger offline'); END`);
+    try {
+      const result = await quiet(() => commitImport("IMP", pending));
+      assertEquals(result.ok, false);
+      assertEquals(result.stage, "reconcile");
+    } finally {
+      getLocalDatabase().exec("DROP TRIGGER fail_ledger");
+    }
+    assertEquals(await stored(), "A=5,B=3");
+    const batch = await batchRow(pending);
+    assertEquals(batch.status, "staged");
+    assertEquals(batch.committed_at, null);
+    assertEquals(batch.previous_rows, null);
+  });
+
+  await test("the released batch commits once the ledger is back", async () => {
+    const result = await quiet(() => commitImport("IMP", pending));
+    assertEquals(result.ok, true);
+    assertEquals(await stored(), "A=9,C=1");
+  });
+
+  await test("rollback is refused once a webhook count moved one of the SKUs", async () => {
+    await quiet(() => applyInventoryCounts("IMP", [{ sku: "A", quantity: 7 }], { sourceId: "evt-1" }));
+    const result = await quiet(() => rollbackImport("IMP", pending));
+    assertEquals(result.ok, false);
+    assertEquals(result.status, 409);
+    assertEquals(result.conflicts.map(c => c.sku).join(","), "A");
+    assertEquals(await stored(), "A=7,C=1");
+    assertEquals((await batchRow(pending)).status, "committed");
+  });
+
+  await test("an untouched commit rolls back", async () => {
+    const batchId = await quiet(() => stage(squareRow("A", 7), squareRow("C", 4)));
+    assertEquals((await quiet(() => commitImport("IMP", batchId))).ok, true);
+    const result = await quiet(() => rollbackImport("IMP", batchId));
+    assertEquals(result.ok, true);
+    assertEquals(await stored(), "A=7,C=1");
+  });
+
+  await test("an automated import that drops too much of the catalog is held staged", async () => {
+    const result = await quiet(() => importInventory("IMP", { profile: "square", rows: [squareRow("A", 7)] }, { actor: "sync" }));
+    assertEquals(result.ok, false);
+    assertEquals(result.status, 409);
+    assertEquals(result.stage, "review");
+    assertEquals((await batchRow(result.batchId)).status, "staged");
+    assertEquals(await stored(), "A=7,C=1");
+  });
+
+  // ========================================
+  // Order rollups
+  // ========================================
+  console.log("\n🧮 Testing stale rollup rebuilds...\n");
+
+  await test("the next order sync reprices rollups a backdated cost or method change left stale", async () => {
+    const { recordCosts, setCostingMethod } = await import("../services/costHistoryService.js");
+    const { backfillOrderRollups, loadOrderRollups, markRollupsStale, getRollupStatus } = await import("../services/orderRollupService.js");
+    const { syncOrdersFromWebhooks } = await import("../services/orderSyncService.js");
+    const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString();
+    await local.from("orders").insert([10, 5].map(n => ({
+      store_id: "RB", order_id: `rb-${n}`, order_date: daysAgo(n), sku: "RB-1", unit: "1g", quantity: 1, price_per_unit: 10, total_amount: 10
+    })));
+    const rolledUpCost = async () => {
+      const rollups = await loadOrderRollups("RB", daysAgo(30), new Date().toISOString());
+      return rollups.covered ? rollups.rows.reduce((sum, row) => sum + row.cost, 0) : null;
+    };
+
+    await quiet(async () => {
+      await recordCosts("RB", [{ sku: "RB-1", unitCost: 4, effectiveAt: daysAgo(30) }], { actor: "tester" });
+      await backfillOrderRollups("RB");
+    });
+    assertEquals(await rolledUpCost(), 8);
+
+    const backdated = await quiet(() => recordCosts("RB", [{ sku: "RB-1", unitCost: 6, effectiveAt: daysAgo(20) }],
+      { actor: "tester", markStale: markRollupsStale }));
+    assertEquals(backdated.staleRollups.length, 1);
+    assertEquals(await quiet(rolledUpCost), null);
+    await quiet(() => syncOrdersFromWebhooks("RB", 1));
+    assertEquals(await quiet(rolledUpCost), 12);
+
+    await quiet(() => setCostingMethod("RB", "fifo", { actor: "tester" }));
+    assertEquals(await quiet(rolledUpCost), null);
+    await quiet(() => syncOrdersFromWebhooks("RB", 1));
+    assertEquals(await quiet(rolledUpCost), 12);
+    const { status } = await getRollupStatus("RB");
+    assertEquals(status.stale, false);
+    assertEquals(status.costingMethod, "fifo");
+  });
+
+  // ========================================
+  // Paged reads
+  // ========================================
+  console.log("\n📄 Testing paged reads past the row cap...\n");
+
+  const { getOrderContext } = await import("./supabaseQueries.js");
+  const recent = new Date(Date.now() - 2 * 86400000).toISOString();
+  const old = "2020-01-01T00:00:00.000Z";
+  await local.from("orders").insert(Array.from({ length: 250 }, (_, i) => ({
+    store_id: "PG",
+    order_id: `pg-${Math.floor(i / 2)}`,
+    order_date: i < 150 ? recent : old,
+    sku: `PG-${i % 2}`,
+    unit: "1g",
+    quantity: 1,
+    price_per_unit: 10,
+    total_amount: 10
+  })));
+
+  await test("getOrderContext counts every order in both scopes", async () => {
+    assertEquals((await local.from("orders").select("order_id").eq("store_id", "PG")).data.length, 100);
+    const { ok, context } = await quiet(() => getOrderContext("PG"));
+    assertEquals(ok, true);
+    assertEquals(context.last30Days.lineItems, 150);
+    assertEquals(context.last30Days.orderCount, 75);
+    assertEquals(context.last30Days.totalRevenue, 1500);
+    assertEquals(context.allTime.lineItems, 250);
+    assertEquals(context.allTime.orderCount, 125);
+    assertEquals(context.allTime.totalRevenue, 2500);
+  });
+
+  await test("gram pools subtract every order line since the count", async () => {
+    const { getAuthoritativeInventory } = await import("../data/supabaseAuthority.js");
+    const { strainKey } = await import("../utils/gramPools.js");
+    await local.from("wix_inventory_live").insert({
+      store_id: "PG", sku: "GEL-1G", product_id: "p-gel", product_name: "Gelato", variant_name: "1g", quantity_on_hand: 5
+    });
+    await local.from("inventory_pools").insert({
+      store_id: "PG", strain_key: strainKey("Gelato"), strain: "Gelato", grams_counted: 400, counted_at: old, updated_by: "tester"
+    });
+    await local.from("orders").insert(Array.from({ length: 250 }, (_, i) => ({
+      store_id: "PG", order_id: `gel-${i}`, order_date: recent, sku: "GEL-1G", strain: "Gelato", unit: "1g", quantity: 1
+    })));
+    const { items, poolStats } = await quiet(() => getAuthoritativeInventory("PG"));
+    const gelato = items.find(i => i.sku === "GEL-1G");
+    assertEquals(poolStats.pooledStrains, 1);
+    assertEquals(gelato.pool.gramsAvailable, 150);
+    assertEquals(gelato.availableQuantity, 150);
+  });
+
+  await test("FIFO cost history depletes layers with every sale", async () => {
+    const { setCostingMethod, recordCosts, getSkuCostHistory } = await import("../services/costHistoryService.js");
+    await local.from("orders").insert(Array.from({ length: 200 }, (_, i) => ({
+      store_id: "PG", order_id: `fifo-${i}`, order_date: recent, sku: "FIFO-1", unit: "1g", quantity: 1
+    })));
+    const history = await quiet(async () => {
+      await setCostingMethod("PG", "fifo", { actor: "tester" });
+      await recordCosts("PG", [
+        { sku: "FIFO-1", unitCost: 5, quantity: 150, effectiveAt: "2020-01-01", source: "receipt", sourceId: "r1" },
+        { sku: "FIFO-1", unitCost: 8, quantity: 100, effectiveAt: "2020-01-02", source: "receipt", sourceId: "r2" }
+      ], { actor: "tester" });
+      return getSkuCostHistory("PG", "FIFO-1");
+    });
+    assertEquals(history.ok, true);
+    assertEquals(history.current.unitCost, 8);
+    assertEquals(history.current.unitsOnHand, 50);
+  });
+
+  await test("data-quality checks see every order, inventory and cost row", async () => {
+    const { runDataQualityReport } = await import("../services/dataQualityService.js");
+    const skusInStore = Array.from({ length: 150 }, (_, i) => `INV-${String(i).padStart(3, "0")}`);
+    await local.from("wix_inventory_live").insert(skusInStore.map(sku => ({
+      store_id: "PG", sku, product_id: `p-${sku}`, product_name: sku, variant_name: "1g", quantity_on_hand: 1
+    })));
+    await local.from("sku_costs").insert(skusInStore.map(sku => ({ store_id: "PG", sku, unit_cost: 4 })));
+    const orderLines = getLocalDatabase().prepare("SELECT COUNT(*) AS n FROM orders WHERE store_id = 'PG'").get().n;
+
+    const units = await runDataQualityReport("PG", { check: "orders_unknown_unit" });
+    assertEquals(units.report.checks[0].checked, orderLines);
+    const missing = await runDataQualityReport("PG", { check: "skus_missing_cost" });
+    assertEquals(missing.report.checks[0].checked, 151);
+    assertEquals(missing.report.checks[0].rows.map(r => r.sku).join(","), "GEL-1G");
+  });
+
+  // ========================================
+  // Adapter selection
+  // ========================================
+  console.log("\n🔌 Testing adapter selection...\n");
+
+  await test("defaults to supabase", async () => {
+    delete process.env.OMEN_AUTHORITY_BACKEND;
+    assertEquals(getAuthorityBackend(), AUTHORITY_BACKENDS.SUPABASE);
+    assertEquals(getAuthorityAdapter().label, "Supabase");
+  });
+
+  await test("local is selected case- and space-insensitively", async () => {
+    process.env.OMEN_AUTHORITY_BACKEND = "  LOCAL ";
+    assertEquals(getAuthorityBackend(), AUTHORITY_BACKENDS.LOCAL);
+    assertEquals(getAuthorityClient(), local);
+    const status = getAuthorityStatus();
+    assertEquals(status.backend, "local");
+    assertEquals(status.available, true);
+    assertEquals(status.status.path, ":memory:");
+  });
+
+  await test("unknown values fall back to supabase, never local", async () => {
+    process.env.OMEN_AUTHORITY_BACKEND = "postgres";
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assertEquals(getAuthorityBackend(), AUTHORITY_BACKENDS.SUPABASE);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  if (originalBackend === undefined) delete process.env.OMEN_AUTHORITY_BACKEND;
+  else process.env.OMEN_AUTHORITY_BACKEND = originalBackend;
+  delete process.env.OMEN_LOCAL_MAX_ROWS;
+  closeLocalDatabase();
+
+  return finish("Local backend behaves like the Supabase client.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
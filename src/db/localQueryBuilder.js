@@ -0,0 +1,574 @@
+/**
+ * Local Query Builder - PostgREST-Compatible Subset over SQLite
+ *
+ * Lets the existing data-access code (written against supabase-js) run
+ * unchanged against a local SQLite database:
+ *
+ *   const { data, error, count } = await client
+ *     .from('orders')
+ *     .select('sku, quantity', { count: 'exact' })
+ *     .gte('order_date', start)
+ *     .order('order_date', { ascending: false })
+ *     .range(0, 999);
+ *
+ * SUPPORTED:
+ * - select(columns, { count: 'exact', head: true })
+ * - insert(rows), upsert(rows, { onConflict, ignoreDuplicates }), update(values), delete()
+ * - eq, neq, gt, gte, lt, lte, in, is, like, ilike, not(column, 'is'|'eq'|'in', value)
+ * - order, limit, range, single, maybeSingle
+ * - rpc(fn, params) for the Postgres functions in LOCAL_FUNCTIONS
+ *
+ * ROW CAP: createLocalQueryClient(db, { maxRows }) returns at most maxRows
+ * rows per select, like PostgREST's max-rows - and, like it, says nothing
+ * about the rows it left out (count is still the full count). Unset means
+ * no cap.
+ *
+ * Errors are RETURNED (never thrown), mirroring supabase-js:
+ * - Missing table → code '42P01' ("relation ... does not exist")
+ * - Unique violation → code '23505'
+ * - Unsupported feature → code 'LOCAL_UNSUPPORTED'
+ *
+ * Type mapping (declared column types):
+ * - BOOLEAN columns are returned as true/false
+ * - JSON/JSONB columns are returned parsed
+ */
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Quote a SQL identifier after validating it
+ *
+ * @param {string} name - Column or table name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  const trimmed = String(name).trim();
+  if (!IDENTIFIER.test(trimmed)) {
+    throw createLocalError('LOCAL_UNSUPPORTED', `Invalid identifier: ${name}`);
+  }
+  return `"${trimmed}"`;
+}
+
+/**
+ * Build a supabase-js shaped error object
+ */
+function createLocalError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  error.hint = null;
+  return error;
+}
+
+/**
+ * Map a better-sqlite3 error onto PostgREST/Postgres error codes
+ *
+ * @param {Error} err - SqliteError (or LocalError)
+ * @param {string} table - Table being queried
+ * @returns {{ code: string, message: string, details: string|null, hint: null }}
+ */
+function toPostgrestError(err, table) {
+  const message = err.message || String(err);
+
+  if (err.code === 'LOCAL_UNSUPPORTED' || err.code === 'PGRST116') {
+    return { code: err.code, message, details: err.details || null, hint: null };
+  }
+
+  if (message.includes('no such table')) {
+    return {
+      code: '42P01',
+      message: `relation "${table}" does not exist`,
+      details: message,
+      hint: null
+    };
+  }
+
+  if (message.includes('UNIQUE constraint failed') || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+    return { code: '23505', message: `duplicate key value violates unique constraint: ${message}`, details: message, hint: null };
+  }
+
+  if (message.includes('NOT NULL constraint failed')) {
+    return { code: '23502', message, details: message, hint: null };
+  }
+
+  if (message.includes('CHECK constraint failed')) {
+    return { code: '23514', message, details: message, hint: null };
+  }
+
+  return { code: err.code || 'LOCAL_SQL_ERROR', message, details: null, hint: null };
+}
+
+/**
+ * Convert a LIKE pattern into a GLOB pattern
+ *
+ * SQLite's LIKE ignores ASCII case; Postgres LIKE does not. GLOB is
+ * case-sensitive, so like() matches with it instead.
+ *
+ * @param {string} pattern - % and _ wildcards
+ * @returns {string} * and ? wildcards, GLOB metacharacters bracketed
+ */
+function likeToGlob(pattern) {
+  return String(pattern)
+    .replace(/[[*?]/g, c => `[${c}]`)
+    .replace(/%/g, '*')
+    .replace(/_/g, '?');
+}
+
+/**
+ * Convert a JS value into something SQLite can bind
+ */
+function toSqlValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Convert a SQLite row back into the shapes supabase-js would return
+ *
+ * @param {object} row - Raw row
+ * @param {Array<{name: string, type: string|null}>} columns - Statement column metadata
+ */
+function fromSqlRow(row, columns) {
+  for (const column of columns) {
+    const type = (column.type || '').toUpperCase();
+    const value = row[column.name];
+    if (value === null || value === undefined) continue;
+
+    if (type === 'BOOLEAN' || type === 'BOOL') {
+      row[column.name] = value === 1 || value === '1' || value === true || value === 'true';
+    } else if ((type === 'JSON' || type === 'JSONB') && typeof value === 'string') {
+      try {
+        row[column.name] = JSON.parse(value);
+      } catch {
+        // Leave non-JSON text untouched
+      }
+    }
+  }
+  return row;
+}
+
+/**
+ * Parse a supabase-js column list ("a, b, c" or "*")
+ *
+ * @param {string} columns
+ * @returns {string} SQL column list
+ */
+function parseColumns(columns) {
+  const raw = (columns || '*').trim();
+  if (raw === '*' || raw === '') return '*';
+
+  return raw
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean)
+    .map(c => (c === '*' ? '*' : quoteIdentifier(c)))
+    .join(', ');
+}
+
+/**
+ * Query builder for a single table
+ *
+ * Thenable: awaiting it executes the statement synchronously and resolves
+ * to { data, error, count, status }.
+ */
+class LocalQueryBuilder {
+  constructor(db, table, maxRows = null) {
+    this.db = db;
+    this.table = table;
+    this.maxRows = maxRows;
+    this.operation = 'select';
+    this.columns = '*';
+    this.countMode = null;
+    this.head = false;
+    this.returning = false;
+    this.payload = null;
+    this.onConflict = null;
+    this.ignoreDuplicates = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleMode = null;   // 'single' | 'maybeSingle'
+    this.buildError = null;
+  }
+
+  // --------------------------------------------------------------------------
+  // Operations
+  // --------------------------------------------------------------------------
+
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.head = options.head === true;
+    } else {
+      // insert(...).select() → return affected rows
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.onConflict = options.onConflict || null;
+    this.ignoreDuplicates = options.ignoreDuplicates === true;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values || {};
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  // --------------------------------------------------------------------------
+  // Filters
+  // --------------------------------------------------------------------------
+
+  addFilter(column, sql, values = []) {
+    try {
+      this.filters.push({ sql: sql.replace('$col', quoteIdentifier(column)), values });
+    } catch (err) {
+      this.buildError = err;
+    }
+    return this;
+  }
+
+  eq(column, value) {
+    if (value === null) return this.addFilter(column, '$col IS NULL');
+    return this.addFilter(column, '$col = ?', [toSqlValue(value)]);
+  }
+
+  neq(column, value) {
+    if (value === null) return this.addFilter(column, '$col IS NOT NULL');
+    return this.addFilter(column, '$col != ?', [toSqlValue(value)]);
+  }
+
+  gt(column, value) { return this.addFilter(column, '$col > ?', [toSqlValue(value)]); }
+  gte(column, value) { return this.addFilter(column, '$col >= ?', [toSqlValue(value)]); }
+  lt(column, value) { return this.addFilter(column, '$col < ?', [toSqlValue(value)]); }
+  lte(column, value) { return this.addFilter(column, '$col <= ?', [toSqlValue(value)]); }
+
+  like(column, pattern) { return this.addFilter(column, '$col GLOB ?', [likeToGlob(pattern)]); }
+  ilike(column, pattern) { return this.addFilter(column, 'LOWER($col) LIKE LOWER(?)', [pattern]); }
+
+  in(column, values) {
+    const list = Array.isArray(values) ? values : [];
+    if (list.length === 0) return this.addFilter(column, '0 = 1');
+    const placeholders = list.map(() => '?').join(', ');
+    return this.addFilter(column, `$col IN (${placeholders})`, list.map(toSqlValue));
+  }
+
+  is(column, value) {
+    if (value === null) return this.addFilter(column, '$col IS NULL');
+    return this.addFilter(column, '$col IS ?', [toSqlValue(value)]);
+  }
+
+  not(column, operator, value) {
+    switch (operator) {
+      case 'is':
+        return value === null
+          ? this.addFilter(column, '$col IS NOT NULL')
+          : this.addFilter(column, '$col IS NOT ?', [toSqlValue(value)]);
+      case 'eq':
+        return this.neq(column, value);
+      case 'in': {
+        // Accepts array or PostgREST "(a,b)" string
+        const list = Array.isArray(value)
+          ? value
+          : String(value).replace(/^\(|\)$/g, '').split(',').map(v => v.trim()).filter(Boolean);
+        if (list.length === 0) return this;
+        return this.addFilter(column, `$col NOT IN (${list.map(() => '?').join(', ')})`, list.map(toSqlValue));
+      }
+      default:
+        this.buildError = createLocalError('LOCAL_UNSUPPORTED', `not(${operator}) is not supported by the local backend`);
+        return this;
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Modifiers
+  // --------------------------------------------------------------------------
+
+  order(column, options = {}) {
+    try {
+      const direction = options.ascending === false ? 'DESC' : 'ASC';
+      const nulls = options.nullsFirst === true ? ' NULLS FIRST' : (options.nullsFirst === false ? ' NULLS LAST' : '');
+      this.orders.push(`${quoteIdentifier(column)} ${direction}${nulls}`);
+    } catch (err) {
+      this.buildError = err;
+    }
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  // --------------------------------------------------------------------------
+  // Execution
+  // --------------------------------------------------------------------------
+
+  whereClause() {
+    if (this.filters.length === 0) return { sql: '', values: [] };
+    return {
+      sql: ' WHERE ' + this.filters.map(f => f.sql).join(' AND '),
+      values: this.filters.flatMap(f => f.values)
+    };
+  }
+
+  returningClause() {
+    return this.returning ? ` RETURNING ${parseColumns(this.columns)}` : '';
+  }
+
+  runSelect() {
+    const where = this.whereClause();
+    const table = quoteIdentifier(this.table);
+    let count = null;
+
+    if (this.countMode) {
+      count = this.db.prepare(`SELECT COUNT(*) AS n FROM ${table}${where.sql}`).get(...where.values).n;
+    }
+
+    if (this.head) {
+      return { data: null, count };
+    }
+
+    let limit = this.limitCount === null ? null : Math.max(0, parseInt(this.limitCount, 10));
+    if (this.maxRows !== null) limit = limit === null ? this.maxRows : Math.min(limit, this.maxRows);
+
+    let sql = `SELECT ${parseColumns(this.columns)} FROM ${table}${where.sql}`;
+    if (this.orders.length > 0) sql += ` ORDER BY ${this.orders.join(', ')}`;
+    if (limit !== null) sql += ` LIMIT ${limit}`;
+    if (this.offsetCount !== null) {
+      if (limit === null) sql += ' LIMIT -1';
+      sql += ` OFFSET ${Math.max(0, parseInt(this.offsetCount, 10))}`;
+    }
+
+    const stmt = this.db.prepare(sql);
+    const columns = stmt.columns();
+    const rows = stmt.all(...where.values).map(row => fromSqlRow(row, columns));
+    return { data: rows, count };
+  }
+
+  runWrite(sql, values) {
+    const stmt = this.db.prepare(sql);
+    if (this.returning) {
+      const columns = stmt.columns();
+      return stmt.all(...values).map(row => fromSqlRow(row, columns));
+    }
+    stmt.run(...values);
+    return [];
+  }
+
+  runInsert() {
+    const table = quoteIdentifier(this.table);
+    const conflictTarget = this.onConflict
+      ? `(${this.onConflict.split(',').map(quoteIdentifier).join(', ')})`
+      : '';
+
+    // Each row uses its own keys so column defaults still apply
+    const insertAll = this.db.transaction((rows) => {
+      const out = [];
+      for (const row of rows) {
+        const keys = Object.keys(row);
+        if (keys.length === 0) continue;
+
+        const cols = keys.map(quoteIdentifier);
+        let sql = `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`;
+
+        if (this.operation === 'upsert') {
+          if (this.ignoreDuplicates) {
+            sql += ` ON CONFLICT${conflictTarget} DO NOTHING`;
+          } else {
+            const updates = cols.map(c => `${c} = excluded.${c}`).join(', ');
+            sql += ` ON CONFLICT${conflictTarget} DO UPDATE SET ${updates}`;
+          }
+        }
+
+        sql += this.returningClause();
+        out.push(...this.runWrite(sql, keys.map(k => toSqlValue(row[k]))));
+      }
+      return out;
+    });
+
+    return insertAll(this.payload);
+  }
+
+  runUpdate() {
+    const keys = Object.keys(this.payload);
+    if (keys.length === 0) return [];
+
+    const where = this.whereClause();
+    const sets = keys.map(k => `${quoteIdentifier(k)} = ?`).join(', ');
+    const sql = `UPDATE ${quoteIdentifier(this.table)} SET ${sets}${where.sql}${this.returningClause()}`;
+    return this.runWrite(sql, [...keys.map(k => toSqlValue(this.payload[k])), ...where.values]);
+  }
+
+  runDelete() {
+    const where = this.whereClause();
+    const sql = `DELETE FROM ${quoteIdentifier(this.table)}${where.sql}${this.returningClause()}`;
+    return this.runWrite(sql, where.values);
+  }
+
+  execute() {
+    try {
+      if (this.buildError) throw this.buildError;
+
+      let result;
+      switch (this.operation) {
+        case 'select':
+          result = this.runSelect();
+          break;
+        case 'insert':
+        case 'upsert':
+        case 'update':
+        case 'delete': {
+          const rows = this.operation === 'update'
+            ? this.runUpdate()
+            : this.operation === 'delete' ? this.runDelete() : this.runInsert();
+          result = { data: this.returning ? rows : null, count: null };
+          break;
+        }
+        default:
+          throw createLocalError('LOCAL_UNSUPPORTED', `Unknown operation: ${this.operation}`);
+      }
+
+      if (this.singleMode && Array.isArray(result.data)) {
+        const rows = result.data;
+        if (rows.length === 1) {
+          result.data = rows[0];
+        } else if (rows.length === 0 && this.singleMode === 'maybeSingle') {
+          result.data = null;
+        } else {
+          throw createLocalError(
+            'PGRST116',
+            'JSON object requested, multiple (or no) rows returned',
+            `The result contains ${rows.length} rows`
+          );
+        }
+      }
+
+      return { data: result.data, error: null, count: result.count, status: 200 };
+    } catch (err) {
+      return { data: null, error: toPostgrestError(err, this.table), count: null, status: 400 };
+    }
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+}
+
+/**
+ * Run a builder synchronously, throwing its error (inside a transaction)
+ */
+function runOrThrow(builder) {
+  const { data, error } = builder.execute();
+  if (error) throw createLocalError(error.code, error.message, error.details);
+  return data;
+}
+
+/**
+ * Local stand-ins for the Postgres functions called through rpc()
+ *
+ * Each runs in one SQLite transaction; a thrown error rolls it back.
+ * Keep in step with the SQL function of the same name.
+ */
+const LOCAL_FUNCTIONS = {
+  // migrations/022_import_batches.sql
+  apply_inventory_import(db, { p_store_id, p_upserts, p_deletes }) {
+    const deletes = p_deletes || [];
+    const upserts = (p_upserts || []).map(row => ({
+      ...row,
+      store_id: p_store_id,
+      quantity_on_hand: row.quantity_on_hand ?? 0,
+      visible: row.visible ?? true,
+      synced_at: row.synced_at || new Date().toISOString(),
+      source: row.source || 'wix_csv'
+    }));
+
+    const deleted = deletes.length === 0 ? [] : runOrThrow(
+      new LocalQueryBuilder(db, 'wix_inventory_live')
+        .delete()
+        .eq('store_id', p_store_id)
+        .in('sku', deletes)
+        .select('sku')
+    );
+    const upserted = upserts.length === 0 ? [] : runOrThrow(
+      new LocalQueryBuilder(db, 'wix_inventory_live')
+        .upsert(upserts, { onConflict: 'store_id,sku' })
+        .select('sku')
+    );
+
+    return { deleted: deleted.length, upserted: upserted.length };
+  }
+};
+
+/**
+ * Create a supabase-js compatible client over a better-sqlite3 database
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} [options] - { maxRows?: number } rows per select (see ROW CAP)
+ * @returns {{ from: (table: string) => LocalQueryBuilder, rpc: Function }}
+ */
+export function createLocalQueryClient(db, options = {}) {
+  const maxRows = Number.isInteger(options.maxRows) && options.maxRows > 0 ? options.maxRows : null;
+
+  return {
+    from(table) {
+      return new LocalQueryBuilder(db, table, maxRows);
+    },
+
+    async rpc(fn, params = {}) {
+      const localFn = LOCAL_FUNCTIONS[fn];
+      if (!localFn) {
+        return {
+          data: null,
+          error: { code: 'LOCAL_UNSUPPORTED', message: `Unknown function: ${fn}`, details: null, hint: null },
+          status: 400
+        };
+      }
+
+      try {
+        const data = db.transaction(() => localFn(db, params))();
+        return { data, error: null, status: 200 };
+      } catch (err) {
+        return { data: null, error: toPostgrestError(err, fn), status: 400 };
+      }
+    }
+  };
+}
@@ -0,0 +1,212 @@
+/**
+ * Local SQL Client - Offline Authority Backend
+ *
+ * SQLite database that mirrors the Supabase schema (tables + the
+ * inventory_virtual / sold_by_sku / sku_profitability views) so that
+ * authority reads, snapshots and chat run with no network access.
+ *
+ * SCHEMA:
+ * - Applied from migrations/local/*.sql in filename order
+ * - Applied files are tracked in _local_migrations (idempotent on restart)
+ *
+ * Environment Variables:
+ * - OMEN_LOCAL_DB_PATH: Database file (default: data/omen-local.db)
+ * - OMEN_LOCAL_MAX_ROWS: Rows per select, like Supabase's max-rows (1000);
+ *   unset for no cap. Set it to check that large reads page.
+ *
+ * The client exposed here speaks the same query-builder dialect as
+ * supabase-js (see localQueryBuilder.js), so callers never branch on backend.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { createLocalQueryClient } from './localQueryBuilder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const PROJECT_ROOT = path.resolve(path.dirname(__filename), '..', '..');
+const MIGRATIONS_DIR = path.join(PROJECT_ROOT, 'migrations', 'local');
+
+const DEFAULT_DB_PATH = path.join(PROJECT_ROOT, 'data', 'omen-local.db');
+
+// ============================================================================
+// CLIENT STATE
+// ============================================================================
+
+let database = null;
+let queryClient = null;
+let localStatus = {
+  configured: false,
+  connected: false,
+  path: null,
+  migrationsApplied: [],
+  error: null
+};
+
+/**
+ * Resolve database path from environment
+ *
+ * @returns {string} Absolute path (or ':memory:')
+ */
+function resolveDatabasePath() {
+  const configured = (process.env.OMEN_LOCAL_DB_PATH || '').trim();
+  if (!configured) return DEFAULT_DB_PATH;
+  if (configured === ':memory:') return configured;
+  return path.resolve(process.cwd(), configured);
+}
+
+/**
+ * Row cap from environment (null = none)
+ *
+ * @returns {number|null}
+ */
+function resolveMaxRows() {
+  const configured = parseInt(process.env.OMEN_LOCAL_MAX_ROWS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : null;
+}
+
+/**
+ * Apply pending migrations from migrations/local
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {string[]} Newly applied migration filenames
+ */
+function applyMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS _local_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    console.warn('[LocalSQL] Migrations directory missing:', MIGRATIONS_DIR);
+    return [];
+  }
+
+  const applied = new Set(
+    db.prepare('SELECT name FROM _local_migrations').all().map(r => r.name)
+  );
+
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => f.endsWith('.sql'))
+    .sort()
+    .filter(f => !applied.has(f));
+
+  const record = db.prepare('INSERT INTO _local_migrations (name, applied_at) VALUES (?, ?)');
+
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf-8');
+    db.transaction(() => {
+      db.exec(sql);
+      record.run(file, new Date().toISOString());
+    })();
+    console.log(`[LocalSQL] Applied migration: ${file}`);
+  }
+
+  return pending;
+}
+
+/**
+ * Open the local database (once) and apply migrations
+ */
+function initializeLocal() {
+  if (database) return;
+
+  const dbPath = resolveDatabasePath();
+  localStatus.configured = true;
+  localStatus.path = dbPath;
+
+  try {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    database = new Database(dbPath);
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+    database.pragma('foreign_keys = ON');
+
+    localStatus.migrationsApplied = applyMigrations(database);
+    queryClient = createLocalQueryClient(database, { maxRows: resolveMaxRows() });
+
+    localStatus.connected = true;
+    localStatus.error = null;
+
+    console.log('[LocalSQL] ✅ Database ready:', dbPath);
+  } catch (err) {
+    console.error('[LocalSQL] ❌ Initialization failed:', err.message);
+    database = null;
+    queryClient = null;
+    localStatus.connected = false;
+    localStatus.error = err.message;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+/**
+ * Get local query client (supabase-js compatible subset)
+ *
+ * CRASHES if database could not be opened
+ *
+ * @returns {{ from: Function }}
+ */
+export function getLocalClient() {
+  initializeLocal();
+
+  if (!queryClient) {
+    throw new Error(`FATAL: Local database unavailable (${localStatus.error || 'not initialized'})`);
+  }
+
+  return queryClient;
+}
+
+/**
+ * Get the underlying better-sqlite3 handle
+ *
+ * For subsystems that need transactions or SQL the query builder
+ * cannot express. Prefer getLocalClient() for plain reads/writes.
+ *
+ * @returns {import('better-sqlite3').Database}
+ */
+export function getLocalDatabase() {
+  getLocalClient();
+  return database;
+}
+
+/**
+ * Check if the local database can be used
+ */
+export function isLocalAvailable() {
+  initializeLocal();
+  return localStatus.connected && queryClient !== null;
+}
+
+/**
+ * Get local backend status for diagnostics
+ */
+export function getLocalStatus() {
+  return { ...localStatus };
+}
+
+/**
+ * Close the database (tests and scripts)
+ */
+export function closeLocalDatabase() {
+  if (database) {
+    database.close();
+  }
+  database = null;
+  queryClient = null;
+  localStatus = {
+    configured: false,
+    connected: false,
+    path: null,
+    migrationsApplied: [],
+    error: null
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Paged Queries
+ *
+ * PostgREST returns at most max-rows rows per request (1000 on Supabase)
+ * and says nothing when it stops early, so a plain select over a busy month
+ * silently drops orders. Large reads here go page by page with .range():
+ *
+ *   for await (const page of queryPages(() => client.from('orders')
+ *     .select('order_id, sku, quantity', { count: 'exact' })
+ *     .eq('store_id', storeId)
+ *     .order('order_date').order('order_id'), { label: 'orders' })) {
+ *     ...aggregate page...
+ *   }
+ *
+ * RULES:
+ * - buildQuery returns a fresh builder per page (builders are single-use)
+ * - Order by a unique key (or a tie-breaking column list), or offsets skip
+ *   and repeat rows
+ * - Select with { count: 'exact' } so truncation can be detected
+ *
+ * TRUNCATION: The first page's exact count is the expected total. A server
+ * cap smaller than the page size is followed (the next page starts where
+ * the short one ended). Ending with fewer rows than expected throws a
+ * QUERY_TRUNCATED error - callers must not report partial totals. Without a
+ * count, paging only stops at an empty page.
+ */
+
+export const DEFAULT_PAGE_SIZE = 1000;
+
+export const QUERY_TRUNCATED = 'QUERY_TRUNCATED';
+
+/**
+ * Error for a read that returned fewer rows than it counted
+ *
+ * @param {string} label - What was being read
+ * @param {number} fetched - Rows received
+ * @param {number} expected - Rows counted
+ * @returns {Error} Error with code QUERY_TRUNCATED
+ */
+export function createTruncationError(label, fetched, expected) {
+  const error = new Error(`[PagedQuery] ${label}: result truncated - received ${fetched} of ${expected} rows`);
+  error.code = QUERY_TRUNCATED;
+  error.details = { label, fetched, expected };
+  return error;
+}
+
+/**
+ * Whether an error is a truncated read (rethrow it - never fall back to partial data)
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isTruncationError(err) {
+  return err?.code === QUERY_TRUNCATED;
+}
+
+/**
+ * Read a query page by page
+ *
+ * @param {Function} buildQuery - () => filtered, ordered select builder
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Rows requested per page (default 1000)
+ * @param {string} [options.label] - Name used in errors
+ * @yields {Array} One page of rows (never empty)
+ * @throws {Error} Query error, or QUERY_TRUNCATED when rows went missing
+ */
+export async function* queryPages(buildQuery, options = {}) {
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const label = options.label || 'query';
+
+  let fetched = 0;
+  let expected = null;
+
+  while (true) {
+    const { data, error, count } = await buildQuery().range(fetched, fetched + pageSize - 1);
+
+    if (error) {
+      throw new Error(`[PagedQuery] ${label}: ${error.message}`);
+    }
+
+    if (expected === null && typeof count === 'number') {
+      expected = count;
+    }
+
+    const rows = data || [];
+    if (rows.length === 0) break;
+
+    fetched += rows.length;
+    yield rows;
+
+    if (expected !== null && fetched >= expected) break;
+  }
+
+  if (expected !== null && fetched < expected) {
+    throw createTruncationError(label, fetched, expected);
+  }
+}
+
+/**
+ * Fold every page into an accumulator
+ *
+ * @param {Function} buildQuery - See queryPages
+ * @param {Function} reducer - (accumulator, page) => accumulator
+ * @param {*} initial - Starting accumulator
+ * @param {Object} [options] - See queryPages
+ * @returns {Promise<{value: *, rowCount: number, pageCount: number}>}
+ */
+export async function reducePages(buildQuery, reducer, initial, options = {}) {
+  let value = initial;
+  let rowCount = 0;
+  let pageCount = 0;
+
+  for await (const page of queryPages(buildQuery, options)) {
+    value = reducer(value, page);
+    rowCount += page.length;
+    pageCount++;
+  }
+
+  return { value, rowCount, pageCount };
+}
+
+/**
+ * Every row of a query
+ *
+ * @param {Function} buildQuery - See queryPages
+ * @param {Object} [options] - See queryPages
+ * @returns {Promise<Array>}
+ */
+export async function collectPages(buildQuery, options = {}) {
+  const { value } = await reducePages(buildQuery, (rows, page) => {
+    for (const row of page) rows.push(row);
+    return rows;
+  }, [], options);
+  return value;
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  QUERY_TRUNCATED,
+  createTruncationError,
+  isTruncationError,
+  queryPages,
+  reducePages,
+  collectPages
+};
@@ -0,0 +1,114 @@
+// src/db/pagedQuery.test.js
+// Unit tests for paged reads, server row caps and truncation detection
+// Fake query builders only - no database
+
+import {
+  queryPages,
+  reducePages,
+  collectPages,
+  isTruncationError,
+  QUERY_TRUNCATED
+} from "./pagedQuery.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+async function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+
+  // Fake PostgREST select: serves rows[from..to] capped at maxRows, with an
+  // exact count (or none), optionally losing rows past a point
+  function fakeQuery(rows, { maxRows = Infinity, withCount = true, loseAfter = Infinity } = {}) {
+    const calls = [];
+    const build = () => ({
+      range(from, to) {
+        calls.push([from, to]);
+        const end = Math.min(to + 1, from + maxRows, loseAfter);
+        return Promise.resolve({
+          data: rows.slice(from, Math.max(from, end)),
+          error: null,
+          count: withCount ? rows.length : null
+        });
+      }
+    });
+    return { build, calls };
+  }
+
+  const rows = Array.from({ length: 2500 }, (_, i) => ({ id: i, quantity: 1 }));
+
+  // ========================================
+  // Paging
+  // ========================================
+  console.log("\n📄 Testing paging...\n");
+
+  await test("Reads every page past the 1,000-row limit", async () => {
+    const { build, calls } = fakeQuery(rows);
+    const all = await collectPages(build);
+    assertEquals(all.length, 2500);
+    assertEquals(all[2499].id, 2499);
+    assertEquals(calls.length, 3);
+  });
+
+  await test("Follows a server cap smaller than the page size", async () => {
+    const { build, calls } = fakeQuery(rows, { maxRows: 400 });
+    const all = await collectPages(build, { pageSize: 1000 });
+    assertEquals(all.length, 2500);
+    assertEquals(calls[1][0], 400);
+  });
+
+  await test("Without a count, stops only at an empty page", async () => {
+    const { build, calls } = fakeQuery(rows, { maxRows: 700, withCount: false });
+    const all = await collectPages(build);
+    assertEquals(all.length, 2500);
+    assertEquals(calls.length, 5);
+  });
+
+  await test("reducePages aggregates page by page", async () => {
+    const { build } = fakeQuery(rows);
+    const result = await reducePages(build, (sum, page) => sum + page.reduce((s, r) => s + r.quantity, 0), 0);
+    assertEquals(result.value, 2500);
+    assertEquals(result.rowCount, 2500);
+    assertEquals(result.pageCount, 3);
+  });
+
+  await test("Empty result yields no pages", async () => {
+    const { build } = fakeQuery([]);
+    assertEquals((await collectPages(build)).length, 0);
+  });
+
+  // ========================================
+  // Truncation
+  // ========================================
+  console.log("\n✂️  Testing truncation...\n");
+
+  await test("Short read against the count raises QUERY_TRUNCATED", async () => {
+    const { build } = fakeQuery(rows, { loseAfter: 1800 });
+    let caught = null;
+    try {
+      for await (const page of queryPages(build, { label: "orders" })) void page;
+    } catch (err) {
+      caught = err;
+    }
+    assertEquals(isTruncationError(caught), true);
+    assertEquals(caught.code, QUERY_TRUNCATED);
+    assertEquals(caught.details.fetched, 1800);
+    assertEquals(caught.details.expected, 2500);
+  });
+
+  await test("Query errors are raised, not treated as empty", async () => {
+    const build = () => ({ range: () => Promise.resolve({ data: null, error: { message: "boom" }, count: null }) });
+    let caught = null;
+    try {
+      await collectPages(build, { label: "orders" });
+    } catch (err) {
+      caught = err;
+    }
+    assertEquals(caught.message, "[PagedQuery] orders: boom");
+    assertEquals(isTruncationError(caught), false);
+  });
+
+  return finish("Paged reads are complete or fail loudly.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,680 @@
+/**
+ * Snapshot Store - SQLite Snapshot Repository
+ *
+ * One database for the snapshot history index and the snapshot payloads,
+ * which used to live apart in data/snapshots/index.json (rewritten whole on
+ * every change) and data/snapshots/{storeId}/*.json. snapshotHistory.js and
+ * snapshotCache.js keep their signatures and read and write through here.
+ *
+ * TABLES:
+ * - snapshot_entries: History index. A regeneration marks the current row
+ *   superseded (superseded_by) instead of deleting it; reads only see
+ *   current rows. A partial unique index allows one current row per
+ *   store + timeframe + asOfDate.
+ * - snapshot_payloads: Full snapshot per store + timeframe + asOfDate
+ * - snapshot_imports: Legacy files already imported
+ *
+ * CONCURRENCY: WAL with busy_timeout, and every write is a single IMMEDIATE
+ * transaction - two processes generating the same snapshot cannot both add
+ * it, and recordSnapshot() writes the entry and its payload together.
+ *
+ * MIGRATION: On open, index.json and the per-store payload files under
+ * data/snapshots are imported (again only if a file changed since). Rows
+ * already in the store win. The files are left in place.
+ *
+ * Environment Variables:
+ * - OMEN_SNAPSHOT_DB_PATH: Database file (default: data/snapshots/snapshots.db)
+ *
+ * Paths resolve from process.cwd() when the store is first opened, like the
+ * legacy files did.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshot_entries (
+    id TEXT PRIMARY KEY,
+    store_id TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    as_of_date TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    email_sent INTEGER NOT NULL DEFAULT 0,
+    regenerated INTEGER NOT NULL DEFAULT 0,
+    superseded_by TEXT,
+    entry_json TEXT NOT NULL
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshot_entries_current
+    ON snapshot_entries (store_id, timeframe, as_of_date)
+    WHERE superseded_by IS NULL;
+
+  CREATE INDEX IF NOT EXISTS idx_snapshot_entries_store_created
+    ON snapshot_entries (store_id, created_at);
+
+  CREATE INDEX IF NOT EXISTS idx_snapshot_entries_store_date
+    ON snapshot_entries (store_id, as_of_date);
+
+  CREATE TABLE IF NOT EXISTS snapshot_payloads (
+    store_id TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    as_of_date TEXT NOT NULL,
+    snapshot_key TEXT NOT NULL,
+    snapshot_json TEXT NOT NULL,
+    cached_at TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    format_version TEXT NOT NULL DEFAULT '1.0',
+    PRIMARY KEY (store_id, timeframe, as_of_date)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_snapshot_payloads_store_cached
+    ON snapshot_payloads (store_id, cached_at);
+
+  CREATE TABLE IF NOT EXISTS snapshot_imports (
+    source TEXT PRIMARY KEY,
+    mtime_ms INTEGER NOT NULL,
+    row_count INTEGER NOT NULL,
+    imported_at TEXT NOT NULL
+  );
+`;
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+let database = null;
+let databasePath = null;
+let legacyDir = null;
+
+/**
+ * Resolve database path from environment
+ *
+ * @returns {string} Absolute path (or ':memory:')
+ */
+function resolveDatabasePath() {
+  const configured = (process.env.OMEN_SNAPSHOT_DB_PATH || '').trim();
+  if (!configured) return path.join(legacyDir, 'snapshots.db');
+  if (configured === ':memory:') return configured;
+  return path.resolve(process.cwd(), configured);
+}
+
+/**
+ * Open the snapshot database (once), apply the schema and import legacy files
+ *
+ * @returns {import('better-sqlite3').Database}
+ */
+function getDatabase() {
+  if (database) return database;
+
+  legacyDir = path.resolve(process.cwd(), 'data', 'snapshots');
+  const dbPath = resolveDatabasePath();
+
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  if (db.pragma('user_version', { simple: true }) < SCHEMA_VERSION) {
+    db.transaction(() => {
+      db.exec(SCHEMA);
+      db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }).immediate();
+  }
+
+  database = db;
+  databasePath = dbPath;
+  console.log('[SnapshotStore] Database ready:', dbPath);
+
+  importLegacySnapshots();
+
+  return database;
+}
+
+/**
+ * Path of the open snapshot database
+ *
+ * @returns {string}
+ */
+export function getSnapshotDatabasePath() {
+  getDatabase();
+  return databasePath;
+}
+
+/**
+ * Close the snapshot database (next call reopens it)
+ */
+export function closeSnapshotDatabase() {
+  if (database) {
+    database.close();
+    database = null;
+    databasePath = null;
+  }
+}
+
+// ============================================================================
+// ROW MAPPING
+// ============================================================================
+
+/**
+ * Indexed columns for an entry - always derived from the entry itself
+ */
+function entryColumns(entry) {
+  return {
+    id: entry.id,
+    store_id: entry.store,
+    timeframe: entry.timeframe,
+    as_of_date: entry.asOfDate,
+    created_at: entry.createdAt,
+    email_sent: entry.emailSent ? 1 : 0,
+    regenerated: entry.regenerated ? 1 : 0,
+    entry_json: JSON.stringify(entry)
+  };
+}
+
+function rowToEntry(row) {
+  return row ? JSON.parse(row.entry_json) : null;
+}
+
+function rowToPayload(row) {
+  if (!row) return null;
+  return {
+    key: row.snapshot_key,
+    timeframe: row.timeframe,
+    asOfDate: row.as_of_date,
+    snapshot: JSON.parse(row.snapshot_json),
+    cachedAt: row.cached_at,
+    version: row.format_version
+  };
+}
+
+const INSERT_ENTRY = `
+  INSERT INTO snapshot_entries
+    (id, store_id, timeframe, as_of_date, created_at, email_sent, regenerated, entry_json)
+  VALUES
+    (@id, @store_id, @timeframe, @as_of_date, @created_at, @email_sent, @regenerated, @entry_json)
+`;
+
+const UPSERT_PAYLOAD = `
+  INSERT INTO snapshot_payloads
+    (store_id, timeframe, as_of_date, snapshot_key, snapshot_json, cached_at, size_bytes, format_version)
+  VALUES
+    (@store_id, @timeframe, @as_of_date, @snapshot_key, @snapshot_json, @cached_at, @size_bytes, @format_version)
+  ON CONFLICT (store_id, timeframe, as_of_date) DO UPDATE SET
+    snapshot_key = excluded.snapshot_key,
+    snapshot_json = excluded.snapshot_json,
+    cached_at = excluded.cached_at,
+    size_bytes = excluded.size_bytes,
+    format_version = excluded.format_version
+`;
+
+const CURRENT = 'superseded_by IS NULL';
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Current entry for store + timeframe + asOfDate
+ *
+ * @returns {object|null}
+ */
+export function findCurrentEntry(storeId, timeframe, asOfDate) {
+  const row = getDatabase().prepare(`
+    SELECT entry_json FROM snapshot_entries
+    WHERE store_id = ? AND timeframe = ? AND as_of_date = ? AND ${CURRENT}
+  `).get(storeId, timeframe, asOfDate);
+  return rowToEntry(row);
+}
+
+/**
+ * Add an entry, superseding the current one when forced (no transaction)
+ */
+function insertEntry(db, entry, forceRegenerate) {
+  const existing = rowToEntry(db.prepare(`
+    SELECT entry_json FROM snapshot_entries
+    WHERE store_id = ? AND timeframe = ? AND as_of_date = ? AND ${CURRENT}
+  `).get(entry.store, entry.timeframe, entry.asOfDate));
+
+  if (existing && !forceRegenerate) {
+    return { added: false, entry: existing, superseded: null, reason: 'duplicate_prevented' };
+  }
+
+  if (existing) {
+    entry.supersedes = existing.id;
+    entry.version = existing.version + 1;
+    entry.regenerated = true;
+
+    db.prepare('UPDATE snapshot_entries SET superseded_by = ? WHERE id = ?').run(entry.id, existing.id);
+  }
+
+  db.prepare(INSERT_ENTRY).run(entryColumns(entry));
+
+  return {
+    added: true,
+    entry,
+    superseded: existing,
+    reason: forceRegenerate ? 'regenerated' : 'new'
+  };
+}
+
+/**
+ * Add an index entry (idempotent per store + timeframe + asOfDate)
+ *
+ * @param {object} entry - Index entry (entry.store required)
+ * @param {boolean} forceRegenerate - Supersede the current entry
+ * @returns {object} { added, entry, superseded, reason }
+ */
+export function addEntry(entry, forceRegenerate = false) {
+  const db = getDatabase();
+  return db.transaction(() => insertEntry(db, entry, forceRegenerate)).immediate();
+}
+
+/**
+ * Add an index entry and its snapshot payload in one transaction
+ *
+ * A duplicate leaves the current entry alone; its payload is only written
+ * when missing, so the entry and payload always describe the same snapshot.
+ *
+ * @param {object} entry - Index entry (entry.store required)
+ * @param {object} snapshot - Full snapshot
+ * @param {string} key - Payload key (see generateSnapshotKey)
+ * @param {boolean} forceRegenerate - Supersede the current entry
+ * @returns {object} { added, entry, superseded, reason, payloadSaved }
+ */
+export function recordSnapshot(entry, snapshot, key, forceRegenerate = false) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const hasPayload = !!db.prepare(`
+      SELECT 1 FROM snapshot_payloads WHERE store_id = ? AND timeframe = ? AND as_of_date = ?
+    `).get(entry.store, entry.timeframe, entry.asOfDate);
+
+    const result = insertEntry(db, entry, forceRegenerate);
+    let payloadSaved = false;
+
+    if (result.added || !hasPayload) {
+      const payload = writePayload(db, entry.store, entry.timeframe, entry.asOfDate, key, snapshot);
+      payloadSaved = true;
+
+      if (result.added) {
+        entry.sizeBytes = payload.sizeBytes;
+        db.prepare('UPDATE snapshot_entries SET entry_json = ? WHERE id = ?').run(JSON.stringify(entry), entry.id);
+      }
+    }
+
+    return { ...result, payloadSaved };
+  }).immediate();
+}
+
+/**
+ * Merge fields into an entry
+ *
+ * @param {string} id - Entry ID
+ * @param {object} updates - Fields to merge
+ * @returns {boolean} Whether the entry exists
+ */
+export function updateEntry(id, updates) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const entry = rowToEntry(db.prepare('SELECT entry_json FROM snapshot_entries WHERE id = ?').get(id));
+    if (!entry) return false;
+
+    db.prepare(`
+      UPDATE snapshot_entries SET
+        store_id = @store_id, timeframe = @timeframe, as_of_date = @as_of_date,
+        created_at = @created_at, email_sent = @email_sent, regenerated = @regenerated,
+        entry_json = @entry_json
+      WHERE id = @id
+    `).run(entryColumns({ ...entry, ...updates, id }));
+    return true;
+  }).immediate();
+}
+
+/**
+ * Current entry by ID, scoped to a store
+ *
+ * @returns {object|null}
+ */
+export function getEntry(storeId, id) {
+  const row = getDatabase().prepare(`
+    SELECT entry_json FROM snapshot_entries WHERE id = ? AND store_id = ? AND ${CURRENT}
+  `).get(id, storeId);
+  return rowToEntry(row);
+}
+
+/**
+ * Current entries for a store, newest createdAt first
+ *
+ * @param {object} filters
+ * @param {string} filters.storeId - Store identifier
+ * @param {string} [filters.timeframe]
+ * @param {string} [filters.startDate] - asOfDate >= (YYYY-MM-DD)
+ * @param {string} [filters.endDate] - asOfDate <= (YYYY-MM-DD)
+ * @param {boolean} [filters.emailSent]
+ * @param {number} [filters.limit] - Omit for all
+ * @returns {Array} Index entries
+ */
+export function queryEntries(filters) {
+  const where = ['store_id = @storeId', CURRENT];
+  const params = { storeId: filters.storeId };
+
+  if (filters.timeframe) {
+    where.push('timeframe = @timeframe');
+    params.timeframe = filters.timeframe;
+  }
+  if (filters.startDate) {
+    where.push('as_of_date >= @startDate');
+    params.startDate = filters.startDate;
+  }
+  if (filters.endDate) {
+    where.push('as_of_date <= @endDate');
+    params.endDate = filters.endDate;
+  }
+  if (filters.emailSent !== undefined) {
+    where.push('email_sent = @emailSent');
+    params.emailSent = filters.emailSent ? 1 : 0;
+  }
+
+  let sql = `SELECT entry_json FROM snapshot_entries WHERE ${where.join(' AND ')} ORDER BY created_at DESC, rowid DESC`;
+  const limit = Number.parseInt(filters.limit, 10);
+  if (limit > 0) {
+    sql += ' LIMIT @limit';
+    params.limit = limit;
+  }
+
+  return getDatabase().prepare(sql).all(params).map(rowToEntry);
+}
+
+/**
+ * Entry counts and bounds for a store (current entries only)
+ *
+ * @param {string} storeId
+ * @returns {object} { total, byTimeframe, emailSentCount, regeneratedCount, oldest, newest }
+ */
+export function entryStatistics(storeId) {
+  const db = getDatabase();
+
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS total,
+           COALESCE(SUM(email_sent), 0) AS emailSentCount,
+           COALESCE(SUM(regenerated), 0) AS regeneratedCount
+    FROM snapshot_entries WHERE store_id = ? AND ${CURRENT}
+  `).get(storeId);
+
+  const byTimeframe = {};
+  for (const row of db.prepare(`
+    SELECT timeframe, COUNT(*) AS count FROM snapshot_entries
+    WHERE store_id = ? AND ${CURRENT} GROUP BY timeframe
+  `).all(storeId)) {
+    byTimeframe[row.timeframe] = row.count;
+  }
+
+  const bound = (direction) => {
+    const entry = rowToEntry(db.prepare(`
+      SELECT entry_json FROM snapshot_entries WHERE store_id = ? AND ${CURRENT}
+      ORDER BY created_at ${direction}, rowid ${direction} LIMIT 1
+    `).get(storeId));
+    return entry ? { id: entry.id, asOfDate: entry.asOfDate, createdAt: entry.createdAt } : null;
+  };
+
+  return {
+    total: totals.total,
+    byTimeframe,
+    emailSentCount: totals.emailSentCount,
+    regeneratedCount: totals.regeneratedCount,
+    oldest: bound('ASC'),
+    newest: bound('DESC')
+  };
+}
+
+/**
+ * Delete an entry (superseded history included)
+ *
+ * @returns {boolean} Whether a row was deleted
+ */
+export function deleteEntry(id) {
+  return getDatabase().prepare('DELETE FROM snapshot_entries WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Delete entries created before a cutoff
+ *
+ * @param {string} cutoffISO - ISO timestamp
+ * @returns {number} Current entries deleted
+ */
+export function deleteEntriesBefore(cutoffISO) {
+  const db = getDatabase();
+  return db.transaction(() => {
+    const current = db.prepare(`SELECT COUNT(*) AS n FROM snapshot_entries WHERE created_at < ? AND ${CURRENT}`).get(cutoffISO).n;
+    db.prepare('DELETE FROM snapshot_entries WHERE created_at < ?').run(cutoffISO);
+    return current;
+  }).immediate();
+}
+
+/**
+ * Every current entry, newest first (debugging/admin)
+ *
+ * @returns {Array}
+ */
+export function allEntries() {
+  return getDatabase().prepare(`
+    SELECT entry_json FROM snapshot_entries WHERE ${CURRENT} ORDER BY created_at DESC, rowid DESC
+  `).all().map(rowToEntry);
+}
+
+// ============================================================================
+// PAYLOADS
+// ============================================================================
+
+function writePayload(db, storeId, timeframe, asOfDate, key, snapshot, cachedAt = new Date().toISOString()) {
+  const snapshotJson = JSON.stringify(snapshot);
+  const sizeBytes = Buffer.byteLength(snapshotJson);
+
+  db.prepare(UPSERT_PAYLOAD).run({
+    store_id: storeId,
+    timeframe,
+    as_of_date: asOfDate,
+    snapshot_key: key,
+    snapshot_json: snapshotJson,
+    cached_at: cachedAt,
+    size_bytes: sizeBytes,
+    format_version: '1.0'
+  });
+
+  return { key, cachedAt, sizeBytes };
+}
+
+/**
+ * Save (replace) the payload for store + timeframe + asOfDate
+ *
+ * @returns {object} { key, cachedAt, sizeBytes }
+ */
+export function savePayload(storeId, timeframe, asOfDate, key, snapshot) {
+  const db = getDatabase();
+  return db.transaction(() => writePayload(db, storeId, timeframe, asOfDate, key, snapshot)).immediate();
+}
+
+/**
+ * Payload for store + timeframe + asOfDate
+ *
+ * @returns {object|null} { key, timeframe, asOfDate, snapshot, cachedAt, version }
+ */
+export function loadPayload(storeId, timeframe, asOfDate) {
+  return rowToPayload(getDatabase().prepare(`
+    SELECT * FROM snapshot_payloads WHERE store_id = ? AND timeframe = ? AND as_of_date = ?
+  `).get(storeId, timeframe, asOfDate));
+}
+
+/**
+ * Most recently cached payload for a store
+ *
+ * @returns {object|null}
+ */
+export function latestPayload(storeId) {
+  return rowToPayload(getDatabase().prepare(`
+    SELECT * FROM snapshot_payloads WHERE store_id = ? ORDER BY cached_at DESC LIMIT 1
+  `).get(storeId));
+}
+
+/**
+ * Payload metadata for a store, newest first
+ *
+ * @returns {Array} [{ key, timeframe, asOfDate, cachedAt, sizeBytes }]
+ */
+export function listPayloads(storeId) {
+  return getDatabase().prepare(`
+    SELECT snapshot_key AS key, timeframe, as_of_date AS asOfDate, cached_at AS cachedAt, size_bytes AS sizeBytes
+    FROM snapshot_payloads WHERE store_id = ? ORDER BY cached_at DESC
+  `).all(storeId);
+}
+
+/**
+ * Delete payloads cached before a cutoff (all stores)
+ *
+ * @param {string} cutoffISO - ISO timestamp
+ * @returns {number} Payloads deleted
+ */
+export function deletePayloadsBefore(cutoffISO) {
+  return getDatabase().prepare('DELETE FROM snapshot_payloads WHERE cached_at < ?').run(cutoffISO).changes;
+}
+
+/**
+ * Delete every payload (all stores)
+ *
+ * @returns {number} Payloads deleted
+ */
+export function deleteAllPayloads() {
+  return getDatabase().prepare('DELETE FROM snapshot_payloads').run().changes;
+}
+
+// ============================================================================
+// LEGACY IMPORT
+// ============================================================================
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    console.warn('[SnapshotStore] Skipping unreadable legacy file:', filePath, err.message);
+    return null;
+  }
+}
+
+/**
+ * Legacy files under data/snapshots: index.json and {storeId}/snapshot_*.json
+ */
+function listLegacyFiles() {
+  if (!fs.existsSync(legacyDir)) return [];
+
+  const files = [];
+  const indexFile = path.join(legacyDir, 'index.json');
+  if (fs.existsSync(indexFile)) {
+    files.push({ source: 'index.json', filePath: indexFile, storeId: null });
+  }
+
+  for (const dirent of fs.readdirSync(legacyDir, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+    const storeDir = path.join(legacyDir, dirent.name);
+
+    for (const name of fs.readdirSync(storeDir)) {
+      if (!name.startsWith('snapshot_') || !name.endsWith('.json') || name.endsWith('.tmp.json')) continue;
+      files.push({ source: `${dirent.name}/${name}`, filePath: path.join(storeDir, name), storeId: dirent.name });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Import legacy index entries and payload files not yet imported (or changed
+ * since). Existing rows are kept; a payload file only replaces an older one.
+ *
+ * @returns {object} { files, entries, payloads }
+ */
+export function importLegacySnapshots() {
+  const db = getDatabase();
+  const summary = { files: 0, entries: 0, payloads: 0 };
+
+  const imported = new Map(
+    db.prepare('SELECT source, mtime_ms FROM snapshot_imports').all().map(r => [r.source, r.mtime_ms])
+  );
+
+  const insertLegacyEntry = db.prepare(INSERT_ENTRY.replace('INSERT INTO', 'INSERT OR IGNORE INTO'));
+  const upsertLegacyPayload = db.prepare(UPSERT_PAYLOAD + ' WHERE excluded.cached_at > snapshot_payloads.cached_at');
+  const recordImport = db.prepare(`
+    INSERT INTO snapshot_imports (source, mtime_ms, row_count, imported_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (source) DO UPDATE SET mtime_ms = excluded.mtime_ms, row_count = excluded.row_count, imported_at = excluded.imported_at
+  `);
+
+  for (const file of listLegacyFiles()) {
+    const mtimeMs = Math.floor(fs.statSync(file.filePath).mtimeMs);
+    if (imported.get(file.source) === mtimeMs) continue;
+
+    const content = readJsonFile(file.filePath);
+    if (content === null) continue;
+
+    db.transaction(() => {
+      let rows = 0;
+
+      if (file.storeId === null) {
+        for (const entry of Array.isArray(content) ? content : []) {
+          if (!entry?.id || !entry.store || !entry.timeframe || !entry.asOfDate || !entry.createdAt) continue;
+          rows += insertLegacyEntry.run(entryColumns(entry)).changes;
+        }
+        summary.entries += rows;
+      } else if (content?.timeframe && content.asOfDate && content.snapshot) {
+        const snapshotJson = JSON.stringify(content.snapshot);
+        rows = upsertLegacyPayload.run({
+          store_id: file.storeId,
+          timeframe: content.timeframe,
+          as_of_date: content.asOfDate,
+          snapshot_key: content.key || path.basename(file.filePath, '.json'),
+          snapshot_json: snapshotJson,
+          cached_at: content.cachedAt || new Date(mtimeMs).toISOString(),
+          size_bytes: Buffer.byteLength(snapshotJson),
+          format_version: content.version || '1.0'
+        }).changes;
+        summary.payloads += rows;
+      }
+
+      recordImport.run(file.source, mtimeMs, rows, new Date().toISOString());
+    }).immediate();
+
+    summary.files++;
+  }
+
+  if (summary.files > 0) {
+    console.log('[SnapshotStore] Imported legacy snapshot files', summary);
+  }
+
+  return summary;
+}
+
+export default {
+  getSnapshotDatabasePath,
+  closeSnapshotDatabase,
+  findCurrentEntry,
+  addEntry,
+  recordSnapshot,
+  updateEntry,
+  getEntry,
+  queryEntries,
+  entryStatistics,
+  deleteEntry,
+  deleteEntriesBefore,
+  allEntries,
+  savePayload,
+  loadPayload,
+  latestPayload,
+  listPayloads,
+  deletePayloadsBefore,
+  deleteAllPayloads,
+  importLegacySnapshots
+};
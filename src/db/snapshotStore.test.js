@@ -0,0 +1,162 @@
+// src/db/snapshotStore.test.js
+// Tests for the SQLite snapshot store: legacy import, supersede history,
+// entry + payload transactions and indexed filters
+// Runs against a throwaway data/snapshots directory - never touches the real one
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { createTestRunner, useTempWorkingDirectory } from "../testing/testHarness.js";
+
+async function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  // The store resolves data/snapshots from process.cwd() when first opened,
+  // so switch into a temp directory and seed legacy files there.
+  const workdir = useTempWorkingDirectory("omen-snapshot-store-");
+  const legacyDir = path.join(workdir.dir, "data", "snapshots");
+  fs.mkdirSync(path.join(legacyDir, "StoreAlpha"), { recursive: true });
+
+  const legacyEntry = (id, timeframe, asOfDate, createdAt, extra = {}) => ({
+    id,
+    timeframe,
+    asOfDate,
+    createdAt,
+    generatedAt: createdAt,
+    store: "StoreAlpha",
+    summary: { itemCount: 10 },
+    filePath: `${id}.json`,
+    sizeBytes: 0,
+    version: 1,
+    supersedes: null,
+    createdBy: "api",
+    createdVia: "api",
+    regenerated: false,
+    emailSent: false,
+    emailSentAt: null,
+    emailRecipient: null,
+    ...extra
+  });
+
+  fs.writeFileSync(path.join(legacyDir, "index.json"), JSON.stringify([
+    legacyEntry("snap_w_0109", "weekly", "2026-01-09", "2026-01-09T12:00:00.000Z", { emailSent: true }),
+    legacyEntry("snap_d_0108", "daily", "2026-01-08", "2026-01-08T12:00:00.000Z")
+  ]));
+  fs.writeFileSync(path.join(legacyDir, "StoreAlpha", "snapshot_weekly_2026-01-09.json"), JSON.stringify({
+    key: "snapshot_weekly_2026-01-09",
+    timeframe: "weekly",
+    asOfDate: "2026-01-09",
+    snapshot: { store: "StoreAlpha", itemCount: 10 },
+    cachedAt: "2026-01-09T12:00:01.000Z",
+    version: "1.0"
+  }));
+  fs.writeFileSync(path.join(legacyDir, "StoreAlpha", "snapshot_weekly_2026-01-02.tmp.json"), "{ partial");
+
+  delete process.env.OMEN_SNAPSHOT_DB_PATH;
+
+  const store = await import("./snapshotStore.js");
+  const history = await import("../utils/snapshotHistory.js");
+  const cache = await import("../utils/snapshotCache.js");
+
+  console.log("\n🧪 Running Snapshot Store Tests\n");
+
+  await test("Legacy index and payload files are imported on first use", () => {
+    assertEquals(history.getStatistics("StoreAlpha").total, 2);
+    assertEquals(history.getStatistics("StoreAlpha").emailSentCount, 1);
+    assertEquals(cache.loadSnapshot("StoreAlpha", "weekly", "2026-01-09")?.snapshot.itemCount, 10);
+    assertEquals(cache.listCachedSnapshots("StoreAlpha").length, 1);
+    assertEquals(store.getSnapshotDatabasePath(), path.join(fs.realpathSync(legacyDir), "snapshots.db"));
+  });
+
+  await test("Import runs once per unchanged file and keeps the files", () => {
+    const again = store.importLegacySnapshots();
+    assertEquals(again.files, 0);
+    assertEquals(fs.existsSync(path.join(legacyDir, "index.json")), true);
+    assertEquals(history.getFullIndex().length, 2);
+  });
+
+  await test("Filters run against indexed columns, newest first", () => {
+    const weekly = history.listSnapshots({ storeId: "StoreAlpha", timeframe: "weekly" });
+    assertEquals(weekly.length, 1);
+    assertEquals(weekly[0].id, "snap_w_0109");
+    assertEquals(history.getSnapshotsInRange("StoreAlpha", "2026-01-01", "2026-01-08").length, 1);
+    assertEquals(history.listSnapshots({ storeId: "StoreAlpha", emailSent: false })[0].id, "snap_d_0108");
+    assertEquals(history.getLatestSnapshotEntry("StoreAlpha").id, "snap_w_0109");
+  });
+
+  await test("recordSnapshot writes the entry and payload together", () => {
+    const snapshot = { store: "StoreAlpha", itemCount: 12, metrics: {} };
+    const entry = history.createSnapshotEntry(snapshot, "weekly", "2026-01-16");
+    const result = history.recordSnapshot(entry, snapshot);
+
+    assertEquals(result.added, true);
+    assertEquals(result.payloadSaved, true);
+    assertEquals(cache.loadSnapshot("StoreAlpha", "weekly", "2026-01-16")?.snapshot.itemCount, 12);
+    assertEquals(history.getSnapshotById("StoreAlpha", entry.id).sizeBytes > 0, true);
+  });
+
+  await test("A duplicate only fills in a missing payload", () => {
+    const snapshot = { store: "StoreAlpha", itemCount: 7 };
+
+    const dup = history.recordSnapshot(history.createSnapshotEntry(snapshot, "weekly", "2026-01-16"), snapshot);
+    assertEquals(dup.reason, "duplicate_prevented");
+    assertEquals(dup.payloadSaved, false);
+    assertEquals(cache.loadSnapshot("StoreAlpha", "weekly", "2026-01-16").snapshot.itemCount, 12);
+
+    const repaired = history.recordSnapshot(history.createSnapshotEntry(snapshot, "daily", "2026-01-08"), snapshot);
+    assertEquals(repaired.added, false);
+    assertEquals(repaired.entry.id, "snap_d_0108");
+    assertEquals(repaired.payloadSaved, true);
+    assertEquals(cache.loadSnapshot("StoreAlpha", "daily", "2026-01-08").snapshot.itemCount, 7);
+  });
+
+  await test("Regenerating supersedes the current entry and keeps it as history", () => {
+    const snapshot = { store: "StoreAlpha", itemCount: 11 };
+    const entry = history.createSnapshotEntry(snapshot, "weekly", "2026-01-09");
+    const result = history.recordSnapshot(entry, snapshot, true);
+
+    assertEquals(result.reason, "regenerated");
+    assertEquals(result.superseded.id, "snap_w_0109");
+    assertEquals(entry.version, 2);
+    assertEquals(history.findExistingSnapshot("StoreAlpha", "weekly", "2026-01-09").id, entry.id);
+    assertEquals(history.getSnapshotById("StoreAlpha", "snap_w_0109"), null);
+    assertEquals(history.getStatistics("StoreAlpha").total, 3);
+    assertEquals(history.getStatistics("StoreAlpha").regeneratedCount, 1);
+    assertEquals(cache.loadSnapshot("StoreAlpha", "weekly", "2026-01-09").snapshot.itemCount, 11);
+
+    const db = new Database(store.getSnapshotDatabasePath(), { readonly: true });
+    const kept = db.prepare("SELECT superseded_by FROM snapshot_entries WHERE id = ?").get("snap_w_0109");
+    db.close();
+    assertEquals(kept.superseded_by, entry.id);
+  });
+
+  await test("Only one current entry per store, timeframe and date", () => {
+    const db = new Database(store.getSnapshotDatabasePath());
+    const insert = () => db.prepare(`
+      INSERT INTO snapshot_entries (id, store_id, timeframe, as_of_date, created_at, entry_json)
+      VALUES ('racer', 'StoreAlpha', 'weekly', '2026-01-16', '2026-01-17T00:00:00.000Z', '{}')
+    `).run();
+    assertThrows(insert, "Expected the partial unique index to reject a second current entry");
+    db.close();
+  });
+
+  await test("Email updates are visible to filters and statistics", () => {
+    const latest = history.getLatestSnapshotEntry("StoreAlpha", "daily");
+    assertEquals(history.markAsEmailed(latest.id, "owner@example.com"), true);
+    assertEquals(history.getSnapshotById("StoreAlpha", latest.id).emailRecipient, "owner@example.com");
+    assertEquals(history.listSnapshots({ storeId: "StoreAlpha", emailSent: false }).length, 2);
+    assertEquals(history.markAsEmailed("missing", "owner@example.com"), false);
+  });
+
+  // Cleanup
+  store.closeSnapshotDatabase();
+  workdir.restore();
+  // Summary
+  // ========================================
+  return finish("Snapshot store is consistent.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
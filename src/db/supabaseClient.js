@@ -11,6 +11,8 @@
  * - SUPABASE_SECRET_API_KEY: Secret API key from Supabase dashboard
  *
  * Feature Flag: OMEN_USE_SUPABASE (default: false)
+ *
+ * Not required when OMEN_AUTHORITY_BACKEND=local (see authorityAdapter.js)
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -50,8 +52,12 @@ console.error("[BOOT][SUPABASE KEY MODE]", {
   using: RESOLVED_KEY_MODE,
 });
 
-if (!hasSecret && !hasServiceRole) {
+// Local authority backend (OMEN_AUTHORITY_BACKEND=local) runs without Supabase
+const LOCAL_AUTHORITY = (process.env.OMEN_AUTHORITY_BACKEND || '').trim().toLowerCase() === 'local';
+
+if (!hasSecret && !hasServiceRole && !LOCAL_AUTHORITY) {
   console.error("[FATAL] No Supabase key found. Set SUPABASE_SECRET_API_KEY or SUPABASE_SERVICE_ROLE_KEY.");
+  console.error("[FATAL] To run offline, set OMEN_AUTHORITY_BACKEND=local.");
   process.exit(1);
 }
 
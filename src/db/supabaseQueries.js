@@ -6,9 +6,66 @@
  *
  * IMPORTANT: This module does NOT invent table names.
  * Table schema must be verified before use.
+ *
+ * MULTI-TENANT: Every query is scoped with .eq('store_id', storeId).
+ * storeId is REQUIRED - no defaults, no fallbacks.
+ *
+ * PAGING: Order reads go through db/pagedQuery.js, so a period larger than
+ * the PostgREST row limit is read in full; a read that comes back short
+ * throws QUERY_TRUNCATED instead of understating the period.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from './authorityAdapter.js';
+import { queryPages, collectPages, reducePages, isTruncationError } from './pagedQuery.js';
+import { createSalesSummary } from '../utils/orderAdjustments.js';
+
+/**
+ * Guard: storeId must be provided to every tenant-scoped query
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
  */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[Supabase] ${fnName}: storeId is required`);
+  }
+}
 
-import { getSupabaseClient, isSupabaseAvailable } from './supabaseClient.js';
+const ORDERS_AGG_COLUMNS = 'order_id, store_id, source, created_at, item_count, total_revenue, total_cost, total_profit';
+const LINE_ITEM_COLUMNS = 'order_id, sku, strain, unit, quantity, price_per_unit, total_amount, order_date, created_at, entry_type';
+
+/**
+ * Paged orders_agg read for a date range (ordered by a unique key)
+ */
+function ordersAggQuery(client, storeId, startDate, endDate) {
+  return () => client
+    .from('orders_agg')
+    .select(ORDERS_AGG_COLUMNS, { count: 'exact' })
+    .eq('store_id', storeId)
+    .gte('created_at', startDate)
+    .lte('created_at', endDate)
+    .order('created_at', { ascending: true })
+    .order('order_id', { ascending: true });
+}
+
+/**
+ * Paged orders (line item) read for a date range
+ *
+ * Ordered by the table's unique key so offsets never skip or repeat a line.
+ */
+function lineItemQuery(client, storeId, startDate, endDate, columns = LINE_ITEM_COLUMNS) {
+  return () => client
+    .from('orders')
+    .select(columns, { count: 'exact' })
+    .eq('store_id', storeId)
+    .gte('order_date', startDate)
+    .lte('order_date', endDate)
+    .order('order_date', { ascending: true })
+    .order('order_id', { ascending: true })
+    .order('sku', { ascending: true })
+    .order('entry_type', { ascending: true })
+    .order('entry_ref', { ascending: true });
+}
 
 /**
  * Query order-level aggregates within a date range
@@ -19,30 +76,35 @@ import { getSupabaseClient, isSupabaseAvailable } from './supabaseClient.js';
  * This ensures snapshots reflect real orders even when aggregation is pending.
  * Snapshots must NEVER say "0 orders" when orders exist in the pipeline.
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {string} startDate - ISO date string (YYYY-MM-DD)
  * @param {string} endDate - ISO date string (YYYY-MM-DD)
  * @returns {Promise<{ok: boolean, data?: array, error?: string, source?: string}>}
  */
-export async function queryOrderEvents(startDate, endDate) {
-  if (!isSupabaseAvailable()) {
+export async function queryOrderEvents(storeId, startDate, endDate) {
+  requireStoreId('queryOrderEvents', storeId);
+
+  if (!isAuthorityAvailable()) {
     throw new Error('FATAL: Supabase not configured - cannot query orders. Set SUPABASE_SECRET_API_KEY in .env');
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     // STEP 1: Try orders_agg first (pre-aggregated)
-    console.log(`[Supabase] Querying orders_agg from ${startDate} to ${endDate}`);
-
-    const { data: aggData, error: aggError } = await client
-      .from('orders_agg')
-      .select('order_id, store_id, source, created_at, item_count, total_revenue, total_cost, total_profit')
-      .gte('created_at', startDate)
-      .lte('created_at', endDate)
-      .order('created_at', { ascending: true });
+    console.log(`[Supabase] Querying orders_agg for ${storeId} from ${startDate} to ${endDate}`);
+
+    let aggData = [];
+    let aggError = null;
+    try {
+      aggData = await collectPages(ordersAggQuery(client, storeId, startDate, endDate), { label: 'orders_agg' });
+    } catch (err) {
+      if (isTruncationError(err)) throw err;
+      aggError = err;
+    }
 
     // If orders_agg has data, use it
-    if (!aggError && aggData && aggData.length > 0) {
+    if (aggData.length > 0) {
       console.log(`[Supabase] Retrieved ${aggData.length} orders from orders_agg`);
       return {
         ok: true,
@@ -56,18 +118,39 @@ export async function queryOrderEvents(startDate, endDate) {
     // This ensures we never report "0 orders" when webhook_events → orders has data
     console.log(`[Supabase] orders_agg empty or error (${aggError?.message || 'no rows'}), falling back to orders table`);
 
-    const { data: lineItems, error: lineError } = await client
-      .from('orders')
-      .select('order_id, sku, quantity, price_per_unit, total_amount, order_date, created_at')
-      .gte('order_date', startDate)
-      .lte('order_date', endDate)
-      .order('order_date', { ascending: true });
-
-    if (lineError) {
-      throw new Error(`FATAL: Failed to query orders: ${lineError.message}`);
+    // Aggregate line items by order_id, one page at a time
+    let lineItemCount = 0;
+    let orderMap;
+    try {
+      const result = await reducePages(lineItemQuery(client, storeId, startDate, endDate), (orders, page) => {
+        for (const item of page) {
+          const orderId = item.order_id;
+          if (!orders.has(orderId)) {
+            orders.set(orderId, {
+              order_id: orderId,
+              store_id: storeId,
+              source: 'wix',
+              created_at: item.order_date || item.created_at,
+              item_count: 0,
+              total_revenue: 0,
+              total_cost: null,  // Cost not available at line-item level
+              total_profit: null
+            });
+          }
+          const order = orders.get(orderId);
+          order.item_count += item.quantity || 1;
+          order.total_revenue += item.total_amount || (item.quantity * item.price_per_unit) || 0;
+        }
+        return orders;
+      }, new Map(), { label: 'orders' });
+      orderMap = result.value;
+      lineItemCount = result.rowCount;
+    } catch (err) {
+      if (isTruncationError(err)) throw err;
+      throw new Error(`FATAL: Failed to query orders: ${err.message}`);
     }
 
-    if (!lineItems || lineItems.length === 0) {
+    if (lineItemCount === 0) {
       console.log(`[Supabase] No orders found in either orders_agg or orders table`);
       return {
         ok: true,
@@ -77,29 +160,8 @@ export async function queryOrderEvents(startDate, endDate) {
       };
     }
 
-    // Aggregate line items by order_id
-    const orderMap = new Map();
-    for (const item of lineItems) {
-      const orderId = item.order_id;
-      if (!orderMap.has(orderId)) {
-        orderMap.set(orderId, {
-          order_id: orderId,
-          store_id: null,
-          source: 'wix',
-          created_at: item.order_date || item.created_at,
-          item_count: 0,
-          total_revenue: 0,
-          total_cost: null,  // Cost not available at line-item level
-          total_profit: null
-        });
-      }
-      const order = orderMap.get(orderId);
-      order.item_count += item.quantity || 1;
-      order.total_revenue += item.total_amount || (item.quantity * item.price_per_unit) || 0;
-    }
-
     const aggregatedOrders = Array.from(orderMap.values());
-    console.log(`[Supabase] Computed ${aggregatedOrders.length} orders from ${lineItems.length} line items (fallback)`);
+    console.log(`[Supabase] Computed ${aggregatedOrders.length} orders from ${lineItemCount} line items (fallback)`);
 
     return {
       ok: true,
@@ -118,39 +180,40 @@ export async function queryOrderEvents(startDate, endDate) {
  * Query line-item order events (for SKU velocity analysis)
  *
  * SOURCE OF TRUTH: orders table (line-item grain)
- * Schema: order_id, sku, strain, unit, quantity, price_per_unit, order_date
+ * Schema: order_id, sku, strain, unit, quantity, price_per_unit, total_amount,
+ *         order_date, entry_type (refunds / cancellations are negative lines)
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {string} startDate - ISO date string
  * @param {string} endDate - ISO date string
  * @returns {Promise<{ok: boolean, data?: array, error?: string}>}
  */
-export async function queryLineItemOrders(startDate, endDate) {
-  if (!isSupabaseAvailable()) {
+export async function queryLineItemOrders(storeId, startDate, endDate) {
+  requireStoreId('queryLineItemOrders', storeId);
+
+  if (!isAuthorityAvailable()) {
     throw new Error('FATAL: Supabase not configured - cannot query orders. Set SUPABASE_SECRET_API_KEY in .env');
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
-    console.log(`[Supabase] Querying line-item orders from ${startDate} to ${endDate}`);
-
-    const { data, error } = await client
-      .from('orders')
-      .select('order_id, sku, strain, unit, quantity, price_per_unit, order_date, created_at')
-      .gte('order_date', startDate)
-      .lte('order_date', endDate)
-      .order('order_date', { ascending: true });
-
-    if (error) {
-      throw new Error(`FATAL: Failed to query orders (line-item): ${error.message}`);
+    console.log(`[Supabase] Querying line-item orders for ${storeId} from ${startDate} to ${endDate}`);
+
+    let data;
+    try {
+      data = await collectPages(lineItemQuery(client, storeId, startDate, endDate), { label: 'orders (line-item)' });
+    } catch (err) {
+      if (isTruncationError(err)) throw err;
+      throw new Error(`FATAL: Failed to query orders (line-item): ${err.message}`);
     }
 
-    console.log(`[Supabase] Retrieved ${data?.length || 0} line items from orders`);
+    console.log(`[Supabase] Retrieved ${data.length} line items from orders`);
 
     return {
       ok: true,
-      data: data || [],
-      count: data?.length || 0
+      data,
+      count: data.length
     };
   } catch (err) {
     console.error('[Supabase] Query error:', err.message);
@@ -158,17 +221,47 @@ export async function queryLineItemOrders(startDate, endDate) {
   }
 }
 
+/**
+ * Line-item orders in a date range, one page at a time
+ *
+ * Same rows as queryLineItemOrders without holding the period in memory:
+ *
+ *   for await (const page of iterateLineItemOrders(storeId, start, end)) { ... }
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} startDate - ISO date string
+ * @param {string} endDate - ISO date string
+ * @param {Object} [options] - { columns?, pageSize? }
+ * @yields {Array} A page of orders rows
+ * @throws {Error} QUERY_TRUNCATED when the read comes back short
+ */
+export async function* iterateLineItemOrders(storeId, startDate, endDate, options = {}) {
+  requireStoreId('iterateLineItemOrders', storeId);
+
+  if (!isAuthorityAvailable()) {
+    throw new Error('FATAL: Supabase not configured - cannot query orders. Set SUPABASE_SECRET_API_KEY in .env');
+  }
+
+  yield* queryPages(
+    lineItemQuery(getAuthorityClient(), storeId, startDate, endDate, options.columns),
+    { label: 'orders (line-item)', pageSize: options.pageSize }
+  );
+}
+
 /**
  * Get sales totals for a time window (daily or weekly)
  *
- * SOURCE OF TRUTH: orders_agg
+ * SOURCE OF TRUTH: orders_agg (order counts, cost, profit); orders line
+ * items for gross sales, refunds and net sales - reversals are dated when
+ * the refund happened, so they land in the window they were issued.
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {string} startDate - ISO date string
  * @param {string} endDate - ISO date string
  * @returns {Promise<{ok: boolean, totals?: object, error?: string}>}
  */
-export async function getSalesTotals(startDate, endDate) {
-  const result = await queryOrderEvents(startDate, endDate);
+export async function getSalesTotals(storeId, startDate, endDate) {
+  const result = await queryOrderEvents(storeId, startDate, endDate);
 
   if (!result.ok) {
     return result;
@@ -192,12 +285,31 @@ export async function getSalesTotals(startDate, endDate) {
     ? ordersWithProfit.reduce((sum, o) => sum + o.total_profit, 0)
     : null;
 
+  // Gross / refunds / net from line items (orders_agg has no refund split),
+  // summed page by page
+  let sales = null;
+  try {
+    const summary = createSalesSummary();
+    for await (const page of iterateLineItemOrders(storeId, startDate, endDate)) {
+      summary.add(page);
+    }
+    sales = summary.result();
+  } catch (err) {
+    if (isTruncationError(err)) throw err;
+    console.warn(`[Supabase] Sales breakdown unavailable: ${err.message}`);
+  }
+
   const totals = {
     orderCount: orders.length,
     itemCount: orders.reduce((sum, o) => sum + (o.item_count || 0), 0),
     totalRevenue,
     totalCost,
     totalProfit,
+    grossSales: sales ? sales.grossSales : null,
+    refunds: sales ? sales.refunds : null,
+    netSales: sales ? sales.netSales : null,
+    refundedUnits: sales ? sales.refundedUnits : null,
+    refundsByType: sales ? sales.refundsByType : null,
     // DATA QUALITY: Track how many orders have valid financial data
     dataQuality: {
       ordersWithRevenue: ordersWithRevenue.length,
@@ -214,7 +326,8 @@ export async function getSalesTotals(startDate, endDate) {
 
   const revenueStr = totalRevenue !== null ? `$${totalRevenue.toFixed(2)}` : 'N/A';
   const profitStr = totalProfit !== null ? `$${totalProfit.toFixed(2)}` : 'N/A';
-  console.log(`[Supabase] Sales totals: ${totals.orderCount} orders, ${revenueStr} revenue, ${profitStr} profit`);
+  const refundStr = totals.refunds ? `, $${totals.refunds.toFixed(2)} refunded` : '';
+  console.log(`[Supabase] Sales totals: ${totals.orderCount} orders, ${revenueStr} revenue${refundStr}, ${profitStr} profit`);
 
   if (totals.dataQuality.missingCost > 0) {
     console.warn(`[Supabase] ⚠️ ${totals.dataQuality.missingCost}/${orders.length} orders missing cost data`);
@@ -232,17 +345,20 @@ export async function getSalesTotals(startDate, endDate) {
  * Expected table structure:
  * - inventory table with columns: sku, unit, quantity, quality, updated_at
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {string} tableName - Table name (default: 'inventory')
  * @returns {Promise<{ok: boolean, data?: array, error?: string}>}
  */
-export async function queryInventoryState(tableName = 'inventory') {
+export async function queryInventoryState(storeId, tableName = 'inventory') {
+  requireStoreId('queryInventoryState', storeId);
+
   // Inventory is OPTIONAL - don't crash if Supabase unavailable
-  if (!isSupabaseAvailable()) {
+  if (!isAuthorityAvailable()) {
     console.warn('[Supabase] Inventory query skipped - Supabase not available');
     return { ok: false, data: [], count: 0, error: 'Supabase not available', skipped: true };
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     console.log(`[Supabase] Querying inventory state from ${tableName}`);
@@ -250,6 +366,7 @@ export async function queryInventoryState(tableName = 'inventory') {
     const { data, error } = await client
       .from(tableName)
       .select('*')
+      .eq('store_id', storeId)
       .gt('quantity', 0) // Only items in stock
       .order('updated_at', { ascending: false });
 
@@ -278,18 +395,21 @@ export async function queryInventoryState(tableName = 'inventory') {
  *
  * Aggregates order events to compute total units sold
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {string} sku - Product SKU
  * @param {string} unit - Product unit (eighth, quarter, half, oz)
  * @param {number} daysSince - Number of days to look back
  * @param {string} tableName - Table name (default: 'orders')
  * @returns {Promise<{ok: boolean, summary?: object, error?: string}>}
  */
-export async function getSalesSummary(sku, unit, daysSince = 30, tableName = 'orders') {
-  if (!isSupabaseAvailable()) {
+export async function getSalesSummary(storeId, sku, unit, daysSince = 30, tableName = 'orders') {
+  requireStoreId('getSalesSummary', storeId);
+
+  if (!isAuthorityAvailable()) {
     throw new Error('FATAL: Supabase not configured - cannot query sales. Set SUPABASE_SECRET_API_KEY in .env');
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     const startDate = new Date();
@@ -301,6 +421,7 @@ export async function getSalesSummary(sku, unit, daysSince = 30, tableName = 'or
     const { data, error } = await client
       .from(tableName)
       .select('quantity, created_at')
+      .eq('store_id', storeId)
       .eq('sku', sku)
       .eq('unit', unit)
       .gte('created_at', startISO)
@@ -342,14 +463,14 @@ export async function getSalesSummary(sku, unit, daysSince = 30, tableName = 'or
  * @returns {Promise<{ok: boolean, tables?: array, error?: string}>}
  */
 export async function listTables() {
-  if (!isSupabaseAvailable()) {
+  if (!isAuthorityAvailable()) {
     return {
       ok: false,
       error: 'Supabase not available'
     };
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     // Query information_schema to get table list
@@ -422,11 +543,14 @@ export async function verifySchema(requiredTables = ['orders', 'inventory']) {
  * Inserts a row into inventory_snapshots table
  * Does NOT update inventory_live (separate operation)
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {object} inventoryEvent - { sku, quantity, source, timestamp }
  * @returns {Promise<{ok: boolean, data?: object, error?: string}>}
  */
-export async function recordInventorySnapshot(inventoryEvent) {
-  if (!isSupabaseAvailable()) {
+export async function recordInventorySnapshot(storeId, inventoryEvent) {
+  requireStoreId('recordInventorySnapshot', storeId);
+
+  if (!isAuthorityAvailable()) {
     return {
       ok: false,
       error: 'Supabase not available',
@@ -434,12 +558,13 @@ export async function recordInventorySnapshot(inventoryEvent) {
     };
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     const { data, error } = await client
       .from('inventory_snapshots')
       .insert({
+        store_id: storeId,
         sku: inventoryEvent.sku,
         quantity: inventoryEvent.quantity,
         source: inventoryEvent.source,
@@ -465,11 +590,14 @@ export async function recordInventorySnapshot(inventoryEvent) {
  *
  * Updates or inserts current inventory in inventory_live table
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {object} inventoryUpdate - { sku, quantity, source, timestamp }
  * @returns {Promise<{ok: boolean, data?: object, error?: string}>}
  */
-export async function updateLiveInventory(inventoryUpdate) {
-  if (!isSupabaseAvailable()) {
+export async function updateLiveInventory(storeId, inventoryUpdate) {
+  requireStoreId('updateLiveInventory', storeId);
+
+  if (!isAuthorityAvailable()) {
     return {
       ok: false,
       error: 'Supabase not available',
@@ -477,18 +605,19 @@ export async function updateLiveInventory(inventoryUpdate) {
     };
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     const { data, error } = await client
       .from('inventory_live')
       .upsert({
+        store_id: storeId,
         sku: inventoryUpdate.sku,
         quantity: inventoryUpdate.quantity,
         last_updated: inventoryUpdate.timestamp || new Date().toISOString(),
         source: inventoryUpdate.source
       }, {
-        onConflict: 'sku'
+        onConflict: 'store_id,sku'
       })
       .select();
 
@@ -505,6 +634,66 @@ export async function updateLiveInventory(inventoryUpdate) {
   }
 }
 
+/**
+ * Paged orders read from a date on, or over the store's whole history
+ *
+ * Ordered by the table's unique key like lineItemQuery.
+ */
+function orderHistoryQuery(client, storeId, since, columns) {
+  return () => {
+    let query = client
+      .from('orders')
+      .select(columns, { count: 'exact' })
+      .eq('store_id', storeId);
+
+    if (since) query = query.gte('order_date', since);
+
+    return query
+      .order('order_date', { ascending: true })
+      .order('order_id', { ascending: true })
+      .order('sku', { ascending: true })
+      .order('entry_type', { ascending: true })
+      .order('entry_ref', { ascending: true });
+  };
+}
+
+/**
+ * Order count, revenue and sales split for one scope, summed page by page
+ *
+ * A failed read is logged and reported as an empty scope; a truncated one
+ * throws.
+ */
+async function summarizeOrderScope(client, storeId, since, label) {
+  const scope = {
+    orderIds: new Set(),
+    lineItems: 0,
+    revenue: 0,
+    skuRevenue: new Map(),
+    sales: createSalesSummary()
+  };
+
+  try {
+    await reducePages(orderHistoryQuery(client, storeId, since, 'order_id, sku, quantity, price_per_unit, total_amount, order_date, entry_type'), (acc, page) => {
+      for (const order of page) {
+        const revenue = order.total_amount || (order.quantity * order.price_per_unit) || 0;
+        const sku = order.sku || 'Unknown';
+        acc.orderIds.add(order.order_id);
+        acc.revenue += revenue;
+        acc.skuRevenue.set(sku, (acc.skuRevenue.get(sku) || 0) + revenue);
+      }
+      acc.lineItems += page.length;
+      acc.sales.add(page);
+      return acc;
+    }, scope, { label });
+  } catch (err) {
+    if (isTruncationError(err)) throw err;
+    console.warn(`[Supabase] ${label} query failed: ${err.message}`);
+    return { orderIds: new Set(), lineItems: 0, revenue: 0, skuRevenue: new Map(), sales: createSalesSummary() };
+  }
+
+  return scope;
+}
+
 /**
  * Get order context across multiple time scopes
  *
@@ -513,19 +702,23 @@ export async function updateLiveInventory(inventoryUpdate) {
  * - Last 30 days
  * - All-time (lifetime)
  *
- * This provides context without mixing metrics.
+ * This provides context without mixing metrics. Both scopes are read page
+ * by page; a truncated read fails the context rather than understating it.
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @returns {Promise<{ok: boolean, context?: object, error?: string}>}
  */
-export async function getOrderContext() {
-  if (!isSupabaseAvailable()) {
+export async function getOrderContext(storeId) {
+  requireStoreId('getOrderContext', storeId);
+
+  if (!isAuthorityAvailable()) {
     return {
       ok: false,
       error: 'Supabase not available'
     };
   }
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   try {
     // Calculate date boundaries
@@ -533,60 +726,36 @@ export async function getOrderContext() {
     const thirtyDaysAgo = new Date(now);
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    console.log(`[Supabase] Querying order context (30-day and lifetime)`);
+    console.log(`[Supabase] Querying order context for ${storeId} (30-day and lifetime)`);
 
-    // Query 1: Last 30 days
-    const { data: last30Days, error: err30 } = await client
-      .from('orders')
-      .select('order_id, quantity, price_per_unit, total_amount, order_date')
-      .gte('order_date', thirtyDaysAgo.toISOString());
-
-    if (err30) {
-      console.warn(`[Supabase] 30-day query failed: ${err30.message}`);
-    }
-
-    // Query 2: All-time (no date filter)
-    const { data: allTime, error: errAll } = await client
-      .from('orders')
-      .select('order_id, sku, quantity, price_per_unit, total_amount');
-
-    if (errAll) {
-      console.warn(`[Supabase] All-time query failed: ${errAll.message}`);
-    }
-
-    // Aggregate 30-day stats
-    const last30DaysOrders = last30Days || [];
-    const uniqueOrders30 = new Set(last30DaysOrders.map(o => o.order_id));
-    const revenue30 = last30DaysOrders.reduce((sum, o) =>
-      sum + (o.total_amount || (o.quantity * o.price_per_unit) || 0), 0);
-
-    // Aggregate all-time stats
-    const allTimeOrders = allTime || [];
-    const uniqueOrdersAll = new Set(allTimeOrders.map(o => o.order_id));
-    const revenueAll = allTimeOrders.reduce((sum, o) =>
-      sum + (o.total_amount || (o.quantity * o.price_per_unit) || 0), 0);
+    const last30 = await summarizeOrderScope(client, storeId, thirtyDaysAgo.toISOString(), 'orders (30-day)');
+    const allTime = await summarizeOrderScope(client, storeId, null, 'orders (all-time)');
 
     // Find top SKU by revenue (all-time)
-    const skuRevenue = new Map();
-    for (const order of allTimeOrders) {
-      const sku = order.sku || 'Unknown';
-      const revenue = order.total_amount || (order.quantity * order.price_per_unit) || 0;
-      skuRevenue.set(sku, (skuRevenue.get(sku) || 0) + revenue);
-    }
-    const topSku = Array.from(skuRevenue.entries())
+    const topSku = Array.from(allTime.skuRevenue.entries())
       .sort((a, b) => b[1] - a[1])[0];
 
+    // Revenue sums are net: refund / cancel lines are negative
+    const sales30 = last30.sales.result();
+    const salesAll = allTime.sales.result();
+
     const context = {
       last30Days: {
-        orderCount: uniqueOrders30.size,
-        lineItems: last30DaysOrders.length,
-        totalRevenue: Math.round(revenue30 * 100) / 100,
+        orderCount: last30.orderIds.size,
+        lineItems: last30.lineItems,
+        totalRevenue: Math.round(last30.revenue * 100) / 100,
+        grossSales: sales30.grossSales,
+        refunds: sales30.refunds,
+        netSales: sales30.netSales,
         label: 'Last 30 days'
       },
       allTime: {
-        orderCount: uniqueOrdersAll.size,
-        lineItems: allTimeOrders.length,
-        totalRevenue: Math.round(revenueAll * 100) / 100,
+        orderCount: allTime.orderIds.size,
+        lineItems: allTime.lineItems,
+        totalRevenue: Math.round(allTime.revenue * 100) / 100,
+        grossSales: salesAll.grossSales,
+        refunds: salesAll.refunds,
+        netSales: salesAll.netSales,
         topSku: topSku ? { sku: topSku[0], revenue: Math.round(topSku[1] * 100) / 100 } : null,
         label: 'All time'
       },
@@ -0,0 +1,410 @@
+/**
+ * Demand Forecasting
+ *
+ * Day-of-week and trend aware demand forecasts from daily order history.
+ * Replaces flat "units / days" velocity for depletion estimates.
+ *
+ * MODEL (chosen by history length):
+ *   >= 14 days  holt_winters        additive Holt-Winters, damped trend, weekly season
+ *   >= 3 days   simple_exponential  level only
+ *   otherwise   flat_average        mean units/day
+ *
+ * Month-start demand (days 1-3) is modelled as an additive lift estimated from
+ * the model's own residuals, applied only when history covers enough month starts.
+ *
+ * INTERVALS: 80% prediction intervals from one-step residual spread, widened
+ * with horizon. Lower bounds are clamped at zero (demand is never negative).
+ *
+ * Core Principle: OMEN OBSERVES, NEVER GUESSES - every forecast carries its
+ * backtest accuracy against the flat-average baseline.
+ *
+ * PURE MODULE: No I/O. temporalAnalyzer.js supplies the order history.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const FORECAST_CONFIG = Object.freeze({
+  HISTORY_DAYS: 56,          // Eight weeks of daily history
+  HORIZON_DAYS: 28,
+  SEASON_LENGTH: 7,          // Day-of-week
+  BACKTEST_DAYS: 7,
+  DAMPING: 0.9,              // Damped trend - no runaway extrapolation
+  INTERVAL_Z: 1.2816,        // 80% two-sided
+  MONTH_START_DAYS: 3,
+  MIN_MONTH_START_OBSERVATIONS: 3   // One full month-start window
+});
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.5];
+const BETAS = [0, 0.05, 0.15];
+const GAMMAS = [0.05, 0.15, 0.3];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function dayKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function isMonthStart(dateKey) {
+  return Number(dateKey.slice(8, 10)) <= FORECAST_CONFIG.MONTH_START_DAYS;
+}
+
+function addDays(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return dayKey(d);
+}
+
+// ============================================================================
+// SERIES
+// ============================================================================
+
+/**
+ * Build a gap-free daily series from order events
+ *
+ * @param {Array<{quantity: number, date: Date|string}>} orderEvents
+ * @param {Object} range
+ * @param {Date|string} range.startDate - First day (inclusive)
+ * @param {Date|string} range.endDate - Series stops before this day (exclusive)
+ * @returns {Array<{date: string, units: number}>} One entry per UTC day
+ */
+export function buildDailySeries(orderEvents, range) {
+  const start = new Date(range.startDate);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(range.endDate);
+  end.setUTCHours(0, 0, 0, 0);
+
+  const unitsByDay = new Map();
+  for (const event of orderEvents || []) {
+    const date = new Date(event.date);
+    if (isNaN(date) || date < start || date >= end) continue;
+    const key = dayKey(date);
+    unitsByDay.set(key, (unitsByDay.get(key) || 0) + (Number(event.quantity) || 0));
+  }
+
+  const series = [];
+  const dayCount = Math.round((end - start) / MS_PER_DAY);
+  for (let i = 0; i < dayCount; i++) {
+    const key = dayKey(new Date(start.getTime() + i * MS_PER_DAY));
+    series.push({ date: key, units: unitsByDay.get(key) || 0 });
+  }
+
+  return series;
+}
+
+// ============================================================================
+// MODELS
+// ============================================================================
+
+/**
+ * Fit additive Holt-Winters (damped trend, weekly season)
+ *
+ * Seasonal indices are keyed by weekday (0 = Sunday).
+ */
+function fitHoltWinters(series, alpha, beta, gamma) {
+  const m = FORECAST_CONFIG.SEASON_LENGTH;
+  const phi = FORECAST_CONFIG.DAMPING;
+  const y = series.map(p => p.units);
+  const weekday = series.map(p => new Date(`${p.date}T00:00:00.000Z`).getUTCDay());
+
+  const firstSeason = y.slice(0, m);
+  const secondSeason = y.slice(m, 2 * m);
+  const mean1 = firstSeason.reduce((a, b) => a + b, 0) / m;
+  const mean2 = secondSeason.reduce((a, b) => a + b, 0) / m;
+
+  let level = mean1;
+  let trend = (mean2 - mean1) / m;
+  const seasonals = new Array(7).fill(0);
+  for (let t = 0; t < m; t++) {
+    seasonals[weekday[t]] = y[t] - mean1;
+  }
+
+  const residuals = [];
+  for (let t = m; t < y.length; t++) {
+    const s = seasonals[weekday[t]];
+    const predicted = level + phi * trend + s;
+    residuals.push({ date: series[t].date, error: y[t] - predicted });
+
+    const prevLevel = level;
+    level = alpha * (y[t] - s) + (1 - alpha) * (prevLevel + phi * trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * phi * trend;
+    seasonals[weekday[t]] = gamma * (y[t] - level) + (1 - gamma) * s;
+  }
+
+  return { level, trend, seasonals, residuals };
+}
+
+/**
+ * Fit simple exponential smoothing (level only)
+ */
+function fitSimpleExponential(series, alpha) {
+  const y = series.map(p => p.units);
+  let level = y[0];
+  const residuals = [];
+
+  for (let t = 1; t < y.length; t++) {
+    residuals.push({ date: series[t].date, error: y[t] - level });
+    level = alpha * y[t] + (1 - alpha) * level;
+  }
+
+  return { level, trend: 0, seasonals: new Array(7).fill(0), residuals };
+}
+
+function sumSquaredErrors(residuals) {
+  return residuals.reduce((sum, r) => sum + r.error * r.error, 0);
+}
+
+function residualStd(residuals) {
+  if (residuals.length === 0) return 0;
+  return Math.sqrt(sumSquaredErrors(residuals) / residuals.length);
+}
+
+/**
+ * Mean residual on month-start days (null when too few observations)
+ */
+function estimateMonthStartLift(residuals) {
+  const monthStart = residuals.filter(r => isMonthStart(r.date));
+  if (monthStart.length < FORECAST_CONFIG.MIN_MONTH_START_OBSERVATIONS) return null;
+  return monthStart.reduce((sum, r) => sum + r.error, 0) / monthStart.length;
+}
+
+/**
+ * Choose and fit the model for a series
+ */
+function fitBestModel(series) {
+  const m = FORECAST_CONFIG.SEASON_LENGTH;
+  const totalUnits = series.reduce((sum, p) => sum + p.units, 0);
+
+  if (series.length >= 2 * m && totalUnits > 0) {
+    let best = null;
+    for (const alpha of ALPHAS) {
+      for (const beta of BETAS) {
+        for (const gamma of GAMMAS) {
+          const fit = fitHoltWinters(series, alpha, beta, gamma);
+          const sse = sumSquaredErrors(fit.residuals);
+          if (!best || sse < best.sse) {
+            best = { method: 'holt_winters', params: { alpha, beta, gamma, phi: FORECAST_CONFIG.DAMPING }, fit, sse };
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  if (series.length >= 3 && totalUnits > 0) {
+    let best = null;
+    for (const alpha of ALPHAS) {
+      const fit = fitSimpleExponential(series, alpha);
+      const sse = sumSquaredErrors(fit.residuals);
+      if (!best || sse < best.sse) {
+        best = { method: 'simple_exponential', params: { alpha }, fit, sse };
+      }
+    }
+    return best;
+  }
+
+  const mean = series.length > 0 ? totalUnits / series.length : 0;
+  return {
+    method: 'flat_average',
+    params: {},
+    fit: {
+      level: mean,
+      trend: 0,
+      seasonals: new Array(7).fill(0),
+      residuals: series.map(p => ({ date: p.date, error: p.units - mean }))
+    }
+  };
+}
+
+// ============================================================================
+// FORECAST
+// ============================================================================
+
+/**
+ * Forecast daily demand from a daily series
+ *
+ * @param {Array<{date: string, units: number}>} series - From buildDailySeries()
+ * @param {Object} [options]
+ * @param {number} [options.horizonDays] - Days to forecast (default 28)
+ * @returns {Object} {
+ *   method, params, historyDays,
+ *   daily: [{ date, mean, lower, upper }],
+ *   dailyMean, next7Days: { mean, lower, upper },
+ *   weekdayFactors, trendPerDay, monthStartLift, residualStd
+ * }
+ */
+export function forecastDemand(series, options = {}) {
+  const horizon = options.horizonDays ?? FORECAST_CONFIG.HORIZON_DAYS;
+  const model = fitBestModel(series || []);
+  const { level, trend, seasonals, residuals } = model.fit;
+  const phi = model.method === 'holt_winters' ? FORECAST_CONFIG.DAMPING : 0;
+  const alpha = model.params.alpha ?? 1;
+
+  const sigma = residualStd(residuals);
+  const monthStartLift = model.method === 'flat_average' ? null : estimateMonthStartLift(residuals);
+
+  const lastDate = series?.length ? series[series.length - 1].date : dayKey(new Date(Date.now() - MS_PER_DAY));
+  const daily = [];
+  let dampedSum = 0;
+
+  for (let h = 1; h <= horizon; h++) {
+    dampedSum += Math.pow(phi, h);
+    const date = addDays(lastDate, h);
+    const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+
+    let mean = level + dampedSum * trend + seasonals[weekday];
+    if (monthStartLift !== null && isMonthStart(date)) {
+      mean += monthStartLift;
+    }
+    mean = Math.max(0, mean);
+
+    const spread = FORECAST_CONFIG.INTERVAL_Z * sigma * Math.sqrt(1 + (h - 1) * alpha * alpha);
+    daily.push({
+      date,
+      mean: round3(mean),
+      lower: round3(Math.max(0, mean - spread)),
+      upper: round3(mean + spread)
+    });
+  }
+
+  const firstWeek = daily.slice(0, 7);
+  const sumOf = key => round3(firstWeek.reduce((sum, d) => sum + d[key], 0));
+
+  // Weekday multipliers relative to the level (1.0 = average day)
+  let weekdayFactors = null;
+  if (model.method === 'holt_winters' && level > 0) {
+    weekdayFactors = {};
+    for (let d = 0; d < 7; d++) {
+      weekdayFactors[DAY_NAMES[d]] = round3(Math.max(0, level + seasonals[d]) / level);
+    }
+  }
+
+  return {
+    method: model.method,
+    params: model.params,
+    historyDays: series?.length || 0,
+    daily,
+    dailyMean: firstWeek.length ? round3(sumOf('mean') / firstWeek.length) : 0,
+    next7Days: { mean: sumOf('mean'), lower: sumOf('lower'), upper: sumOf('upper') },
+    weekdayFactors,
+    trendPerDay: round3(trend),
+    monthStartLift: monthStartLift !== null ? round3(monthStartLift) : null,
+    residualStd: round3(sigma)
+  };
+}
+
+/**
+ * Days until a demand path consumes the given stock
+ *
+ * Walks the forecast path; past the horizon, extrapolates at the path's
+ * final-week average. Returns null when demand is zero.
+ */
+function daysToDeplete(path, stock) {
+  let cumulative = 0;
+  for (let i = 0; i < path.length; i++) {
+    cumulative += path[i];
+    if (cumulative >= stock) return i + 1;
+  }
+
+  const tail = path.slice(-7);
+  const tailAvg = tail.length ? tail.reduce((a, b) => a + b, 0) / tail.length : 0;
+  if (tailAvg <= 0) return null;
+
+  return path.length + Math.ceil((stock - cumulative) / tailAvg);
+}
+
+/**
+ * Project a stockout date range from a forecast
+ *
+ * @param {Object} forecast - From forecastDemand()
+ * @param {number} stock - Units on hand
+ * @returns {Object|null} { daysUntilStockout, earliest, latest } or null without stock
+ *   earliest uses the upper demand bound, latest the lower (null = no stockout in sight)
+ */
+export function projectStockout(forecast, stock) {
+  if (!forecast || !(stock > 0)) return null;
+
+  return {
+    daysUntilStockout: daysToDeplete(forecast.daily.map(d => d.mean), stock),
+    earliest: daysToDeplete(forecast.daily.map(d => d.upper), stock),
+    latest: daysToDeplete(forecast.daily.map(d => d.lower), stock)
+  };
+}
+
+/**
+ * Format a stockout range for display ("5-9", "5+" when no upper end)
+ *
+ * @param {Object|null} range - { earliest, latest } from projectStockout()
+ * @returns {string}
+ */
+export function formatStockoutRange(range) {
+  if (!range || range.earliest === null) return 'unknown';
+  if (range.latest === null) return `${range.earliest}+`;
+  return range.earliest === range.latest ? `${range.earliest}` : `${range.earliest}-${range.latest}`;
+}
+
+// ============================================================================
+// BACKTEST
+// ============================================================================
+
+/**
+ * Hold out the last days of history, forecast them, and score the forecast
+ *
+ * WAPE = Σ|actual − forecast| / Σ actual (lower is better)
+ * bias = Σ(forecast − actual) / Σ actual (positive = over-forecast)
+ *
+ * @param {Array<{date: string, units: number}>} series - From buildDailySeries()
+ * @param {Object} [options]
+ * @param {number} [options.holdoutDays] - Days held out (default 7)
+ * @returns {Object|null} { holdoutDays, method, wape, mae, bias, baselineWape, beatsBaseline }
+ *   null when history is too short to hold anything out
+ */
+export function backtestForecast(series, options = {}) {
+  const holdout = options.holdoutDays ?? FORECAST_CONFIG.BACKTEST_DAYS;
+  if (!series || series.length < holdout + 3) return null;
+
+  const train = series.slice(0, series.length - holdout);
+  const actual = series.slice(series.length - holdout).map(p => p.units);
+  const trained = forecastDemand(train, { horizonDays: holdout });
+  const forecast = trained.daily.map(d => d.mean);
+  const baselineRate = train.reduce((sum, p) => sum + p.units, 0) / train.length;
+
+  const actualTotal = actual.reduce((a, b) => a + b, 0);
+  let absError = 0;
+  let signedError = 0;
+  let baselineAbsError = 0;
+
+  for (let i = 0; i < holdout; i++) {
+    absError += Math.abs(actual[i] - forecast[i]);
+    signedError += forecast[i] - actual[i];
+    baselineAbsError += Math.abs(actual[i] - baselineRate);
+  }
+
+  const wape = actualTotal > 0 ? round3(absError / actualTotal) : null;
+  const baselineWape = actualTotal > 0 ? round3(baselineAbsError / actualTotal) : null;
+
+  return {
+    holdoutDays: holdout,
+    method: trained.method,
+    wape,
+    mae: round3(absError / holdout),
+    bias: actualTotal > 0 ? round3(signedError / actualTotal) : null,
+    baselineWape,
+    beatsBaseline: wape !== null && baselineWape !== null ? wape <= baselineWape : null
+  };
+}
+
+export default {
+  FORECAST_CONFIG,
+  buildDailySeries,
+  forecastDemand,
+  projectStockout,
+  formatStockoutRange,
+  backtestForecast
+};
@@ -0,0 +1,129 @@
+// src/intelligence/demandForecast.test.js
+// Unit tests for seasonality-aware demand forecasting
+// Pure functions only - no database
+
+import {
+  buildDailySeries,
+  forecastDemand,
+  projectStockout,
+  backtestForecast,
+  formatStockoutRange
+} from "./demandForecast.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertTrue, finish } = createTestRunner();
+
+  // 8 weeks from Sat 2026-08-01: 2/day, 8 on Fridays, +4 on days 1-3 of the month
+  const START = new Date("2026-08-01T00:00:00.000Z");
+  const DAYS = 56;
+  const events = [];
+  for (let i = 0; i < DAYS; i++) {
+    const day = new Date(START.getTime() + i * 86400000);
+    let units = day.getUTCDay() === 5 ? 8 : 2;
+    if (day.getUTCDate() <= 3) units += 4;
+    events.push({ quantity: units, date: new Date(day.getTime() + 15 * 3600000) });
+  }
+  const end = new Date(START.getTime() + DAYS * 86400000);
+  const series = buildDailySeries(events, { startDate: START, endDate: end });
+
+  console.log("\n🧪 Running Demand Forecast Tests\n");
+
+  // ========================================
+  // Step 1: Series
+  // ========================================
+  console.log("📋 Step 1: Daily series");
+
+  test("Series has one entry per day including zero days", () => {
+    const sparse = buildDailySeries(
+      [{ quantity: 3, date: "2026-08-02T10:00:00Z" }, { quantity: 1, date: "2026-08-02T18:00:00Z" }],
+      { startDate: "2026-08-01", endDate: "2026-08-04" }
+    );
+    assertEquals(sparse.length, 3);
+    assertEquals(sparse[0].units, 0);
+    assertEquals(sparse[1].units, 4);
+  });
+
+  test("Events on or after the end day are excluded", () => {
+    const partial = buildDailySeries([{ quantity: 5, date: "2026-08-04T01:00:00Z" }], { startDate: "2026-08-01", endDate: "2026-08-04T12:00:00Z" });
+    assertEquals(partial.reduce((sum, p) => sum + p.units, 0), 0);
+  });
+
+  // ========================================
+  // Step 2: Forecast
+  // ========================================
+  console.log("\n📋 Step 2: Forecast");
+
+  const forecast = forecastDemand(series);
+
+  test("Eight weeks of history selects Holt-Winters", () => {
+    assertEquals(forecast.method, "holt_winters");
+    assertEquals(forecast.historyDays, 56);
+    assertEquals(forecast.daily.length, 28);
+  });
+
+  test("Friday is forecast well above other days", () => {
+    assertTrue(forecast.weekdayFactors.Fri > 2, `Friday factor ${forecast.weekdayFactors.Fri}`);
+    const friday = forecast.daily.find(d => new Date(`${d.date}T00:00:00Z`).getUTCDay() === 5);
+    const tuesday = forecast.daily.find(d => new Date(`${d.date}T00:00:00Z`).getUTCDay() === 2);
+    assertTrue(friday.mean > tuesday.mean * 2, `Friday ${friday.mean} vs Tuesday ${tuesday.mean}`);
+  });
+
+  test("Month-start lift is detected and applied", () => {
+    assertTrue(forecast.monthStartLift > 2, `Lift ${forecast.monthStartLift}`);
+    const oct1 = forecast.daily.find(d => d.date === "2026-10-01");
+    const oct6 = forecast.daily.find(d => d.date === "2026-10-06");
+    assertTrue(oct1.mean > oct6.mean + 2, `Oct 1 ${oct1.mean} vs Oct 6 ${oct6.mean}`);
+  });
+
+  test("Intervals bracket the mean and never go negative", () => {
+    for (const day of forecast.daily) {
+      assertTrue(day.lower <= day.mean && day.mean <= day.upper, `Bad interval on ${day.date}`);
+      assertTrue(day.lower >= 0, `Negative lower bound on ${day.date}`);
+    }
+  });
+
+  test("Short history falls back to simpler models", () => {
+    assertEquals(forecastDemand(series.slice(0, 10)).method, "simple_exponential");
+    assertEquals(forecastDemand(series.slice(0, 2)).method, "flat_average");
+    assertEquals(forecastDemand([]).dailyMean, 0);
+  });
+
+  // ========================================
+  // Step 3: Stockout and backtest
+  // ========================================
+  console.log("\n📋 Step 3: Stockout projection and backtest");
+
+  test("Stockout range orders earliest <= expected <= latest", () => {
+    const projection = projectStockout(forecast, 40);
+    assertTrue(projection.earliest <= projection.daysUntilStockout, "earliest after expected");
+    assertTrue(projection.latest === null || projection.daysUntilStockout <= projection.latest, "latest before expected");
+    assertEquals(projectStockout(forecast, 0), null);
+  });
+
+  test("Stock beyond the horizon extrapolates", () => {
+    const projection = projectStockout(forecast, 1000);
+    assertTrue(projection.daysUntilStockout > 28, `Got ${projection.daysUntilStockout}`);
+  });
+
+  test("Backtest beats the flat-average baseline on weekly data", () => {
+    const backtest = backtestForecast(series);
+    assertEquals(backtest.holdoutDays, 7);
+    assertEquals(backtest.beatsBaseline, true);
+    assertTrue(backtest.wape < backtest.baselineWape, `WAPE ${backtest.wape} vs baseline ${backtest.baselineWape}`);
+    assertEquals(backtestForecast(series.slice(0, 5)), null);
+  });
+
+  test("Stockout range formatting", () => {
+    assertEquals(formatStockoutRange({ earliest: 5, latest: 9 }), "5-9");
+    assertEquals(formatStockoutRange({ earliest: 5, latest: null }), "5+");
+    assertEquals(formatStockoutRange(null), "unknown");
+  });
+
+  return finish("Forecasts track weekly demand.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -55,90 +55,55 @@ export function diagnosticMissingCostAndRetail(orders, skuCosts, inventory) {
  */
 
 import { queryOrderEvents, queryLineItemOrders } from '../db/supabaseQueries.js';
+import { summarizeSales } from '../utils/orderAdjustments.js';
 import { calculateDateRange } from '../utils/dateCalculations.js';
-import { getSupabaseClient, isSupabaseAvailable } from '../db/supabaseClient.js';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { collectPages, isTruncationError } from '../db/pagedQuery.js';
+import { loadOrderRollups } from '../services/orderRollupService.js';
+import {
+  rowsInPeriod,
+  aggregateRollupsBySku,
+  summarizeRollupSales,
+  summarizeRollupMargin
+} from '../utils/orderRollups.js';
+import {
+  FORECAST_CONFIG,
+  buildDailySeries,
+  forecastDemand,
+  projectStockout,
+  backtestForecast,
+  formatStockoutRange
+} from './demandForecast.js';
+import { parseServiceLevel, dailyDemandStats, computeReorderPolicy } from '../utils/safetyStock.js';
+import { summarizeGramPools } from '../utils/gramPools.js';
+import { DEFAULT_COSTING_METHOD, costSales, createCostSkuResolver } from '../utils/costing.js';
+import { loadCostHistory } from '../services/costHistoryService.js';
+
+// Reorder points target OMEN_SERVICE_LEVEL - parsed once, so a bad setting
+// stops the server at startup rather than failing every analysis
+const SERVICE_LEVEL = parseServiceLevel(process.env.OMEN_SERVICE_LEVEL);
 
 /**
- * Pure normalization for cost matching only.
- * Resolves unit synonyms and product-type tokens, then strips all
- * non-alphanumeric characters so keys can be compared with containment.
- * Does NOT alter any database values.
- *
- * Weight mappings (dispensary standard):
- *   eighth / 1/8          → 35g    (3.5g = 1/8 oz)
- *   quarter / 1/4         → 7g     (7g   = 1/4 oz)
- *   half / 1/2            → 14g    (14g  = 1/2 oz)
- *   ounce / oz / 1oz      → 28g    (28g  = 1 oz)
- *   gram / grams          → g
- *
- * Product-type tokens (survive the strip step as alphanumeric strings):
- *   cart / carts          → cartridge
- *   gummy / gummies       → gummies
- *   pre-roll / preroll    → preroll
- *   disposable            → 1g     (disposables are 1g units)
- *
- * Examples:
- *   "Bubble Hash Eighth"  → bubblehash35g
- *   "GG4 1/8"            → gg435g
- *   "Zoap Quarter"       → zoap7g
- *   "Blue Dream Cart"    → bluedreamcartridge
- *   "Faded Gummies"      → fadedgummies
- */
-function normKey(input) {
-  if (!input) return '';
-  let s = input.toLowerCase();
-
-  // ── Combined fraction+unit patterns (must run first to avoid double-fire) ──
-  // "Half Oz/Ounce" = 14g, "Quarter Oz" = 7g, "One Oz/Ounce" = 28g
-  s = s
-    .replace(/\bhalf\s*(?:oz|ounces?)\b/g,     '14g')
-    .replace(/\bquarter\s*(?:oz|ounces?)\b/g,  '7g')
-    .replace(/\bone\s*(?:oz|ounces?)\b/g,      '28g');
-
-  // ── Weight synonyms ───────────────────────────────────────────────────────
-  s = s
-    .replace(/\beighths?\b/g,               '35g')
-    .replace(/\b1\s*\/\s*8\b/g,             '35g')
-    .replace(/\bquarters?\b/g,              '7g')
-    .replace(/\b1\s*\/\s*4\b/g,             '7g')
-    .replace(/\bhalf\b/g,                   '14g')
-    .replace(/\b1\s*\/\s*2\b/g,             '14g')
-    .replace(/\b(?:one\s*)?ounces?\b/g,     '28g')
-    .replace(/\b1\s*oz\b/g,                 '28g')
-    .replace(/\boz\b/g,                     '28g')
-    .replace(/\bgrams?\b/g,                 'g');
-
-  // Collapse space in weights so '28 g' → '28g' before stripping
-  s = s.replace(/(\d+\.?\d*)\s+g\b/g, '$1g');
-
-  // Strip trailing product-type descriptor after an explicit weight:
-  // "1g disposable" → "1g",  "3.5g pre-roll" → "3.5g"
-  s = s.replace(/\b(\d+\.?\d*g)\s+(?:disposable|pre-?roll|preroll|cart|cartridge|gumm(?:y|ies)?)s?\b/g, '$1');
-
-  // ── Product-type tokens (replace BEFORE stripping) ────────────────────────
-  s = s.replace(/\bcarts?\b/g,              'cartridge');
-  s = s.replace(/\bgumm(?:y|ies)?\b/g,     'gummies');
-  s = s.replace(/\bpre-?rolls?\b/g,        'preroll');
-  s = s.replace(/\bprerolls?\b/g,          'preroll');
-  s = s.replace(/\bdisposables?\b/g,       '1g');
-
-  // ── Strip non-alphanumeric ────────────────────────────────────────────────
-  return s.replace(/[^a-z0-9]/g, '');
-}
-
-/**
- * Compute margin DIRECTLY from order line items + sku_costs table.
+ * Compute margin DIRECTLY from order line items + cost history.
  * NO inventory dependency. NO SKU classification dependency.
  *
  * Logic:
  * - revenue = price_per_unit * quantity (from order line items)
- * - profit = (price_per_unit - unit_cost) * quantity
+ * - profit = (price_per_unit - unit_cost) * quantity, where unit_cost is the
+ *   cost in force on the order date under the store's costing method
+ *   (sku_cost_records, see utils/costing.js) - editing a cost today does
+ *   not change the margin of past periods
  * - avgMargin = profit / revenue (as percentage)
  *
+ * Receipts are depleted by every sale since the first receipt, so sales
+ * before the period are loaded too (both methods depend on what was left).
+ *
+ * @param {string} storeId - Store identifier (costs are per store)
  * @param {Array} orders - Raw order line items with price_per_unit
- * @returns {Object} { averageMargin, revenue, profit, coverage }
+ * @param {string} [periodStart] - Start of the period (default earliest order)
+ * @returns {Object} { averageMargin, revenue, profit, coverage, costingMethod }
  */
-async function computeOrderBasedMargin(orders) {
+async function computeOrderBasedMargin(storeId, orders, periodStart = null) {
   if (!orders || orders.length === 0) {
     return {
       averageMargin: null,
@@ -151,35 +116,86 @@ async function computeOrderBasedMargin(orders) {
     };
   }
 
-  // Load cost data from sku_costs table
-  const costByRaw = new Map();
-  const costByNorm = new Map();
-  const costEntries = []; // structured entries for containment, sorted longest first
-  if (isSupabaseAvailable()) {
+  // Load effective-dated cost history
+  let costingMethod = DEFAULT_COSTING_METHOD;
+  const recordsBySku = new Map();
+  if (isAuthorityAvailable()) {
+    try {
+      const history = await loadCostHistory(storeId);
+      if (history.ok) {
+        costingMethod = history.method;
+        for (const record of history.records) {
+          if (!recordsBySku.has(record.sku)) recordsBySku.set(record.sku, []);
+          recordsBySku.get(record.sku).push(record);
+        }
+        console.log(`[TemporalAnalyzer] Loaded cost history for ${recordsBySku.size} SKUs (${costingMethod})`);
+      } else {
+        console.warn(`[TemporalAnalyzer] Failed to load cost history: ${history.error}`);
+      }
+    } catch (err) {
+      console.warn(`[TemporalAnalyzer] Failed to load cost history: ${err.message}`);
+    }
+  }
+
+  // Four-step cost resolution: raw → normalized exact → containment → strain+unit
+  const resolveCostSku = createCostSkuResolver(recordsBySku.keys());
+  const orderDate = order => order.order_date || order.created_at || order.timestamp;
+
+  // Sales grouped by the SKU their cost comes from (lineIndex null = before the period)
+  const salesByCostSku = new Map();
+  const addSale = (costSku, sale) => {
+    if (!salesByCostSku.has(costSku)) salesByCostSku.set(costSku, []);
+    salesByCostSku.get(costSku).push(sale);
+  };
+
+  orders.forEach((order, lineIndex) => {
+    const quantity = Number(order.quantity) || 0;
+    const costSku = quantity > 0 ? resolveCostSku(order) : null;
+    if (costSku) addSale(costSku, { quantity, date: orderDate(order), lineIndex });
+  });
+
+  const start = periodStart || orders.map(orderDate).filter(Boolean).sort()[0];
+  const firstReceipt = Array.from(salesByCostSku.keys())
+    .flatMap(sku => recordsBySku.get(sku))
+    .filter(record => record.quantity !== null)
+    .map(record => record.effectiveAt)
+    .sort()[0];
+
+  if (firstReceipt && start && firstReceipt < start) {
     try {
-      const client = getSupabaseClient();
-      const { data: costs, error } = await client
-        .from('sku_costs')
-        .select('sku, unit_cost');
-
-      if (!error && costs) {
-        for (const row of costs) {
-          if (row.sku && row.unit_cost !== null) {
-            const unitCost = parseFloat(row.unit_cost);
-            costByRaw.set(row.sku, unitCost);
-            const nk = normKey(row.sku);
-            costByNorm.set(nk, unitCost);
-            costEntries.push({ norm: nk, unitCost });
-          }
+      const priorLines = await collectPages(() => getAuthorityClient()
+        .from('orders')
+        .select('sku, strain, unit, quantity, order_date', { count: 'exact' })
+        .eq('store_id', storeId)
+        .gte('order_date', firstReceipt)
+        .lt('order_date', start)
+        .order('order_date', { ascending: true })
+        .order('order_id', { ascending: true })
+        .order('sku', { ascending: true })
+        .order('entry_type', { ascending: true })
+        .order('entry_ref', { ascending: true }), { label: 'prior orders' });
+
+      for (const line of priorLines) {
+        const quantity = Number(line.quantity) || 0;
+        const costSku = quantity > 0 ? resolveCostSku(line) : null;
+        if (costSku && salesByCostSku.has(costSku)) {
+          addSale(costSku, { quantity, date: line.order_date, lineIndex: null });
         }
       }
-      costEntries.sort((a, b) => b.norm.length - a.norm.length);
-      console.log(`[TemporalAnalyzer] Loaded ${costByRaw.size} SKU costs for margin calculation`);
     } catch (err) {
-      console.warn(`[TemporalAnalyzer] Failed to load sku_costs: ${err.message}`);
+      if (isTruncationError(err)) throw err;
+      console.warn(`[TemporalAnalyzer] Prior sales unavailable, receipts not depleted before ${start}: ${err.message}`);
     }
   }
 
+  const costByLine = new Map();
+  for (const [costSku, sales] of salesByCostSku) {
+    for (const sale of costSales(recordsBySku.get(costSku), sales, costingMethod).sales) {
+      if (sale.lineIndex !== null && sale.unitCost !== null && sale.uncostedQuantity === 0) {
+        costByLine.set(sale.lineIndex, sale.unitCost);
+      }
+    }
+  }
 
   let totalRevenue = 0;
   let totalProfit = 0;
@@ -187,49 +203,19 @@ async function computeOrderBasedMargin(orders) {
   let lineItemsTotal = 0;
   const missingCostSKUs = new Map();
 
-  for (const order of orders) {
+  orders.forEach((order, lineIndex) => {
     const sku = order.sku || order.product_sku || order.item_sku;
     const quantity = Number(order.quantity) || 0;
     const price = Number(order.price_per_unit) || 0;
 
-    if (!sku || quantity <= 0 || price <= 0) continue;
+    if (!sku || quantity <= 0 || price <= 0) return;
 
     lineItemsTotal++;
     const lineRevenue = price * quantity;
     totalRevenue += lineRevenue;
 
-    // Four-step cost resolution: raw → normalized exact → containment → strain+unit
-    let cost = costByRaw.get(sku);
-    if (cost === undefined) {
-      const normOrderKey = normKey(sku);
-      cost = costByNorm.get(normOrderKey);
-      if (cost === undefined && normOrderKey.length >= 4) {
-        for (const entry of costEntries) {
-          if (normOrderKey.includes(entry.norm)) {
-            cost = entry.unitCost;
-            break;
-          }
-        }
-      }
-      // d) strain+unit fallback for unmatched/unknown SKUs
-      // Space separator ensures word boundaries work for synonym substitution
-      // e.g. "Bubble Hash" + " " + "Eighth" → normKey resolves "eighth" → "35g"
-      if (cost === undefined && order.strain && order.unit) {
-        const strainUnitKey = normKey(order.strain + ' ' + order.unit);
-        if (strainUnitKey.length >= 4) {
-          cost = costByNorm.get(strainUnitKey);
-          if (cost === undefined) {
-            for (const entry of costEntries) {
-              if (strainUnitKey.includes(entry.norm)) {
-                cost = entry.unitCost;
-                break;
-              }
-            }
-          }
-        }
-      }
-    }
-    if (cost !== undefined && cost !== null) {
+    const cost = costByLine.get(lineIndex);
+    if (cost !== undefined) {
       const lineProfit = (price - cost) * quantity;
       totalProfit += lineProfit;
       lineItemsWithCost++;
@@ -242,7 +228,7 @@ async function computeOrderBasedMargin(orders) {
       entry.revenue += lineRevenue;
       entry.quantity += quantity;
     }
-  }
+  });
 
   console.log(`[TemporalAnalyzer] Margin coverage: ${lineItemsWithCost}/${lineItemsTotal} matched, ${lineItemsTotal - lineItemsWithCost} unmatched`);
 
@@ -280,6 +266,8 @@ async function computeOrderBasedMargin(orders) {
       : null,
     skusWithSales: lineItemsTotal,
     skusWithMargin: lineItemsWithCost,
+    costingMethod,
+    costBasis: 'cost_in_force_at_order_date',
     topMissingCostSKUs: Array.from(missingCostSKUs.values())
       .sort((a, b) => b.revenue - a.revenue)
       .slice(0, 5)
@@ -287,91 +275,211 @@ async function computeOrderBasedMargin(orders) {
 }
 
 /**
- * Analyze inventory movement from real order data
+ * Analyze inventory movement from real order data - MULTI-TENANT
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {Array} currentInventory - Current inventory state
  * @param {string} timeframe - 'daily' or 'weekly'
  * @returns {Object} Analysis with actionable insights
  */
-export async function analyzeInventoryVelocity(currentInventory, timeframe = 'weekly') {
+export async function analyzeInventoryVelocity(storeId, currentInventory, timeframe = 'weekly') {
+  if (!storeId) {
+    throw new Error('[TemporalAnalyzer] analyzeInventoryVelocity: storeId is required');
+  }
+
   const dateRange = calculateDateRange(timeframe, null);
   const startDate = dateRange.startDate;
   const endDate = dateRange.endDate;
 
-  console.log(`[TemporalAnalyzer] Analyzing orders from ${startDate} to ${endDate}`);
+  console.log(`[TemporalAnalyzer] Analyzing orders for ${storeId} from ${startDate} to ${endDate}`);
 
-  // STEP 1: Check orders_agg to determine if orders exist in timeframe
-  let orderAggResult;
-  try {
-    orderAggResult = await queryOrderEvents(startDate, endDate);
-  } catch (err) {
-    console.error('[TemporalAnalyzer] ❌ orders_agg query failed:', err.message);
-    return {
-      ok: false,
-      error: `Orders query failed: ${err.message}`,
-      insights: [],
-      hasData: false
-    };
-  }
+  const noOrders = {
+    ok: true,
+    hasData: false,
+    orderCount: 0,
+    insights: [],
+    message: 'No orders in timeframe'
+  };
+
+  // Forecasts are anchored at the start of today - the current day is partial
+  const forecastAsOf = new Date(Math.min(Date.now(), new Date(endDate).getTime()));
+  forecastAsOf.setUTCHours(0, 0, 0, 0);
+  const historyStart = new Date(forecastAsOf);
+  historyStart.setUTCDate(historyStart.getUTCDate() - FORECAST_CONFIG.HISTORY_DAYS);
+
+  let orderCount;
+  let ordersBySkU;
+  let historyBySku = null;
+  let sales;
+  let lineItemCount;
+  let orderBasedMargin;
+  let orderSource;
+
+  // STEP 1: Daily SKU rollups, when they cover the period and the forecast
+  // history - then no raw order is read at all
+  const rollupStart = historyStart < new Date(startDate) ? historyStart.toISOString() : startDate;
+  const rollups = await loadOrderRollups(storeId, rollupStart, endDate);
+
+  if (rollups.covered) {
+    orderCount = rowsInPeriod(rollups.dailyCounts, startDate, endDate)
+      .reduce((sum, row) => sum + (Number(row.order_count) || 0), 0);
+    console.log(`[TemporalAnalyzer] Found ${orderCount} orders in order_daily_counts`);
+
+    if (orderCount === 0) return noOrders;
+
+    const periodRows = rowsInPeriod(rollups.rows, startDate, endDate);
+    const historyRows = rowsInPeriod(rollups.rows, historyStart, new Date(forecastAsOf.getTime() - 1));
+
+    ordersBySkU = aggregateRollupsBySku(periodRows);
+    historyBySku = aggregateRollupsBySku(historyRows);
+    sales = summarizeRollupSales(periodRows);
+    lineItemCount = periodRows.reduce((sum, row) => sum + (Number(row.line_count) || 0), 0);
+    orderBasedMargin = summarizeRollupMargin(periodRows, rollups.costingMethod);
+    orderSource = 'order_rollups';
+
+    console.log(`[TemporalAnalyzer] Read ${rollups.rows.length} rollup rows (${lineItemCount} line items in period)`);
+  } else {
+    console.log(`[TemporalAnalyzer] Reading raw orders: ${rollups.reason || rollups.error}`);
+
+    // STEP 2: Check orders_agg to determine if orders exist in timeframe
+    let orderAggResult;
+    try {
+      orderAggResult = await queryOrderEvents(storeId, startDate, endDate);
+    } catch (err) {
+      if (isTruncationError(err)) throw err;
+      console.error('[TemporalAnalyzer] ❌ orders_agg query failed:', err.message);
+      return {
+        ok: false,
+        error: `Orders query failed: ${err.message}`,
+        insights: [],
+        hasData: false
+      };
+    }
 
-    // 👇 STEP 1 DEBUG LOG GOES HERE
     console.log('[TemporalAnalyzer] orderAggResult debug:', {
-    ok: orderAggResult?.ok,
-    length: orderAggResult?.data?.length,
-    sample: orderAggResult?.data?.[0],
-   });
+      ok: orderAggResult?.ok,
+      length: orderAggResult?.data?.length,
+      sample: orderAggResult?.data?.[0],
+    });
 
-  const orderCount = orderAggResult.data?.length || 0;
-  console.log(`[TemporalAnalyzer] Found ${orderCount} orders in orders_agg`);
+    orderCount = orderAggResult.data?.length || 0;
+    console.log(`[TemporalAnalyzer] Found ${orderCount} orders in orders_agg`);
 
-  if (orderCount === 0) {
-    return {
-      ok: true,
-      hasData: false,
-      orderCount: 0,
-      insights: [],
-      message: 'No orders in timeframe'
-    };
-  }
+    if (orderCount === 0) return noOrders;
 
-  // STEP 2: Query line-item data for SKU velocity (optional)
-  let orders = [];
-  try {
-    const lineItemResult = await queryLineItemOrders(startDate, endDate);
-    orders = lineItemResult.data || [];
-  } catch (err) {
-    console.warn('[TemporalAnalyzer] Line-item query failed, velocity analysis skipped');
-  }
+    // STEP 2a: Query line-item data for SKU velocity (optional)
+    let orders = [];
+    try {
+      const lineItemResult = await queryLineItemOrders(storeId, startDate, endDate);
+      orders = lineItemResult.data || [];
+    } catch (err) {
+      if (isTruncationError(err)) throw err;
+      console.warn('[TemporalAnalyzer] Line-item query failed, velocity analysis skipped');
+    }
 
-  console.log(`[TemporalAnalyzer] Found ${orders.length} line items for velocity analysis`);
+    console.log(`[TemporalAnalyzer] Found ${orders.length} line items for velocity analysis`);
 
-  // Aggregate orders by SKU
-  const ordersBySkU = aggregateOrdersBySKU(orders);
+    // STEP 2b: Longer daily history for demand forecasting (day-of-week + trend)
+    try {
+      const historyResult = await queryLineItemOrders(storeId, historyStart.toISOString(), forecastAsOf.toISOString());
+      historyBySku = aggregateOrdersBySKU(historyResult.data || []);
+    } catch (err) {
+      if (isTruncationError(err)) throw err;
+      console.warn('[TemporalAnalyzer] Forecast history query failed, using flat velocity:', err.message);
+    }
+
+    // Aggregate orders by SKU
+    ordersBySkU = aggregateOrdersBySKU(orders);
+    sales = summarizeSales(orders);
+    lineItemCount = orders.length;
+
+    // CRITICAL: Compute margin directly from orders + cost history (NO inventory dependency)
+    orderBasedMargin = await computeOrderBasedMargin(storeId, orders, startDate);
+    orderSource = 'orders';
+  }
 
   // Calculate velocity metrics
-  const velocityMetrics = calculateVelocityMetrics(ordersBySkU, currentInventory, dateRange);
+  const velocityMetrics = calculateVelocityMetrics(ordersBySkU, currentInventory, dateRange, {
+    historyBySku,
+    historyStart,
+    forecastAsOf,
+    serviceLevel: SERVICE_LEVEL
+  });
 
   // Generate actionable insights
   const insights = generateActionableInsights(velocityMetrics, currentInventory);
 
-  // CRITICAL: Compute margin directly from orders + sku_costs (NO inventory dependency)
-  const orderBasedMargin = await computeOrderBasedMargin(orders);
-
   return {
     ok: true,
     hasData: true,
     timeframe,
     dateRange,
     orderCount,
-    lineItemCount: orders.length,
+    lineItemCount,
+    // Where line-item totals came from: 'order_rollups' (daily SKU rollups) or 'orders'
+    orderSource,
+    // Gross sales, refunds and net sales for the period
+    sales,
     uniqueSKUs: ordersBySkU.size,
     insights,
     velocityMetrics,
+    forecastSummary: summarizeForecasts(velocityMetrics, historyStart, forecastAsOf),
+    reorderSummary: summarizeReorderPolicies(velocityMetrics, SERVICE_LEVEL),
+    // Pooled strains: velocity and coverage in grams across unit sizes
+    poolSummary: summarizeGramPools(velocityMetrics, currentInventory),
     // ORDER-DERIVED MARGIN - independent of inventory
     orderBasedMargin
   };
 }
 
+/**
+ * Roll up per-SKU forecast accuracy for the snapshot
+ */
+function summarizeForecasts(velocityMetrics, historyStart, forecastAsOf) {
+  const forecasted = velocityMetrics.filter(m => m.forecast);
+  const scored = forecasted
+    .map(m => m.forecast.backtest?.wape)
+    .filter(w => w !== null && w !== undefined)
+    .sort((a, b) => a - b);
+
+  const methods = {};
+  for (const m of forecasted) {
+    methods[m.forecast.method] = (methods[m.forecast.method] || 0) + 1;
+  }
+
+  return {
+    historyStart: historyStart.toISOString(),
+    asOf: forecastAsOf.toISOString(),
+    skusForecast: forecasted.length,
+    methods,
+    backtestedSkus: scored.length,
+    medianWape: scored.length ? scored[Math.floor(scored.length / 2)] : null,
+    beatsBaseline: forecasted.filter(m => m.forecast.backtest?.beatsBaseline === true).length
+  };
+}
+
+/**
+ * Roll up statistical reorder points for the snapshot
+ */
+function summarizeReorderPolicies(velocityMetrics, serviceLevel) {
+  const withPolicy = velocityMetrics.filter(m => m.reorderPolicy);
+
+  return {
+    serviceLevel,
+    skusWithPolicy: withPolicy.length,
+    belowReorderPoint: withPolicy
+      .filter(m => m.reorderPolicy.belowReorderPoint)
+      .map(m => ({
+        sku: m.sku,
+        name: m.name,
+        currentStock: m.currentStock,
+        reorderPoint: m.reorderPolicy.reorderPoint,
+        safetyStock: m.reorderPolicy.safetyStock,
+        leadTimeDays: m.reorderPolicy.leadTimeDays
+      }))
+  };
+}
+
 /**
  * Aggregate orders by SKU with quantity totals
  */
@@ -401,9 +509,10 @@ function aggregateOrdersBySKU(orders) {
       });
     }
 
+    // Refund / cancel lines are negative: they net out of totalSold but are not orders
     const skuData = skuMap.get(key);
     skuData.totalSold += quantity;
-    skuData.orderCount += 1;
+    if (quantity > 0) skuData.orderCount += 1;
     skuData.orders.push({ quantity, date: orderDate });
 
     if (orderDate < skuData.firstOrder) skuData.firstOrder = orderDate;
@@ -419,8 +528,21 @@ function aggregateOrdersBySKU(orders) {
  * Velocity is a pure sales metric — computed from orders alone.
  * Inventory data (stock, depletion) is joined secondarily when available.
  * A SKU missing from inventory still gets a velocity reading.
+ *
+ * DEPLETION: When order history is available, daysUntilStockout comes from
+ * the demand forecast (day-of-week + trend) with an 80% range; otherwise
+ * from flat velocity. stockoutBasis records which.
+ *
+ * REORDER POINT: The same daily history gives demand variance; reorderPolicy
+ * holds safety stock and reorder point at the target service level over the
+ * SKU's vendor lead time (see utils/safetyStock.js).
+ *
+ * @param {Map} ordersBySkU - Period orders from aggregateOrdersBySKU()
+ * @param {Array} currentInventory - Current inventory state
+ * @param {Object} dateRange - Period { startDate, endDate }
+ * @param {Object} [forecastInput] - { historyBySku, historyStart, forecastAsOf, serviceLevel }
  */
-function calculateVelocityMetrics(ordersBySkU, currentInventory, dateRange) {
+function calculateVelocityMetrics(ordersBySkU, currentInventory, dateRange, forecastInput = {}) {
   const metrics = [];
   const daysInPeriod = Math.max(1, Math.ceil(
     (new Date(dateRange.endDate) - new Date(dateRange.startDate)) / (1000 * 60 * 60 * 24)
@@ -458,10 +580,43 @@ function calculateVelocityMetrics(ordersBySkU, currentInventory, dateRange) {
     // Inventory enrichment — optional, does not block velocity
     const inventoryItem   = inventoryBySku.get(sku) || null;
     const currentStock    = inventoryItem?.quantity ?? null;
-    const daysUntilStockout = (currentStock !== null && currentStock > 0 && dailyVelocity > 0)
+    const flatDaysUntilStockout = (currentStock !== null && currentStock > 0 && dailyVelocity > 0)
       ? Math.ceil(currentStock / dailyVelocity)
       : null;
 
+    // Demand forecast — from the longer daily history when available
+    let forecast = null;
+    let stockoutRange = null;
+    let reorderPolicy = null;
+    const history = forecastInput.historyBySku?.get(`${sku}|${unit}`);
+    if (history) {
+      const series = buildDailySeries(history.orders, {
+        startDate: forecastInput.historyStart,
+        endDate: forecastInput.forecastAsOf
+      });
+      const demand = forecastDemand(series);
+      forecast = {
+        method: demand.method,
+        historyDays: demand.historyDays,
+        dailyMean: demand.dailyMean,
+        next7Days: demand.next7Days,
+        weekdayFactors: demand.weekdayFactors,
+        trendPerDay: demand.trendPerDay,
+        monthStartLift: demand.monthStartLift,
+        daily: demand.daily.slice(0, 14),
+        backtest: backtestForecast(series)
+      };
+      stockoutRange = projectStockout(demand, currentStock);
+      reorderPolicy = computeReorderPolicy(dailyDemandStats(series), {
+        leadTimeDays: inventoryItem?.leadTimeDays ?? null,
+        serviceLevel: forecastInput.serviceLevel,
+        currentStock
+      });
+    }
+
+    const useForecast = stockoutRange !== null && forecast.method !== 'flat_average';
+    const daysUntilStockout = useForecast ? stockoutRange.daysUntilStockout : flatDaysUntilStockout;
+
     metrics.push({
       sku,
       unit,
@@ -482,6 +637,13 @@ function calculateVelocityMetrics(ordersBySkU, currentInventory, dateRange) {
       // Inventory (null when not in inventory_virtual — not an error)
       currentStock,
       daysUntilStockout,
+      daysUntilStockoutRange: useForecast
+        ? { earliest: stockoutRange.earliest, latest: stockoutRange.latest }
+        : null,
+      flatDaysUntilStockout,
+      stockoutBasis:       useForecast ? 'forecast' : 'flat_velocity',
+      forecast,
+      reorderPolicy,
       inInventory:         inventoryItem !== null,
       // Signals
       isMoving:            dailyVelocity > 0,
@@ -537,12 +699,16 @@ function generateActionableInsights(velocityMetrics, currentInventory) {
         unit: metric.unit,
         name: metric.name,
         message: `${metric.name} will stock out in ${metric.daysUntilStockout} days`,
-        details: `Currently ${metric.currentStock} in stock, selling ${metric.dailyVelocity}/day`,
+        details: metric.stockoutBasis === 'forecast'
+          ? `Currently ${metric.currentStock} in stock, forecast ${metric.forecast.next7Days.mean} units over the next 7 days (stockout in ${formatStockoutRange(metric.daysUntilStockoutRange)} days)`
+          : `Currently ${metric.currentStock} in stock, selling ${metric.dailyVelocity}/day`,
         action: 'Reorder immediately or promote substitute',
         data: {
           currentStock: metric.currentStock,
           dailyVelocity: metric.dailyVelocity,
-          daysUntilStockout: metric.daysUntilStockout
+          daysUntilStockout: metric.daysUntilStockout,
+          daysUntilStockoutRange: metric.daysUntilStockoutRange,
+          stockoutBasis: metric.stockoutBasis
         }
       });
     }
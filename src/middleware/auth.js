@@ -85,6 +85,16 @@ export function authenticateStore(req, res, next) {
       });
     }
 
+    // 3b. storeId reaches file paths and authority filters - enforce format
+    const storeValidation = validateStoreId(decoded.storeId);
+    if (!storeValidation.valid) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid token',
+        message: `JWT token has invalid storeId: ${storeValidation.error}`
+      });
+    }
+
     // 4. Attach user context to request (TRUSTED source)
     req.user = {
       storeId: decoded.storeId,
@@ -1,6 +1,5 @@
 import 'dotenv/config';
-import applyPricing from "./tools/applyPricing.js";
-import { saveInventory, getInventory, clearInventory, getInventoryWithMetadata, AUTHORITY_ERROR } from "./tools/inventoryStore.js";
+import { getInventory, clearInventory, getInventoryWithMetadata, AUTHORITY_ERROR } from "./tools/inventoryStore.js";
 import { computeDataFreshness, computeSnapshotConfidence, reconcileConfidenceAndWarnings } from "./utils/dataFreshness.js";
 
 /**
@@ -52,8 +51,6 @@ function buildAuthorityRefusal(error, requestId) {
     }
   };
 }
-import { detectLowStock } from "./inventorySignals.js";
-import { ingestNjWeedWizardCsv } from "./njweedwizardCsvIngest.js";
 import { normalizeInventory } from "./normalizeInventory.js";
 import { sampleInventory as mockInventory } from "./mocks/inventory.sample.js";
 import { makeDecision } from "./decisionEngine.js";
@@ -90,25 +87,35 @@ import {
   validateAsOfDate
 } from "./utils/dateCalculations.js";
 import {
-  saveSnapshot,
   loadSnapshot,
   listCachedSnapshots
 } from "./utils/snapshotCache.js";
 import {
   createSnapshotEntry,
-  addToIndex,
+  recordSnapshot,
   findExistingSnapshot,
   markAsEmailed,
   listSnapshots as listSnapshotHistory,
   getLastSnapshots,
   getSnapshotsInRange,
   getLatestSnapshotEntry,
-  getStatistics as getSnapshotStatistics
+  getStatistics as getSnapshotStatistics,
+  getSnapshotRecord
 } from "./utils/snapshotHistory.js";
+import {
+  diffSnapshots,
+  summarizeDiff,
+  validateDiffQuery,
+  queryDiffRows
+} from "./utils/snapshotDiff.js";
+import { buildSnapshotExport, validateExportOptions } from "./utils/snapshotExport.js";
 import { getConnectionStatus, testConnection, getSupabaseClient, isSupabaseAvailable } from "./db/supabaseClient.js";
+import { getAuthorityClient, isAuthorityAvailable, getAuthorityStatus } from "./db/authorityAdapter.js";
 import { recordInventorySnapshot, updateLiveInventory, getOrderContext } from "./db/supabaseQueries.js";
 import { sendSnapshotEmail, isEmailConfigured } from "./services/emailService.js";
 import { autoSyncOrders } from "./services/orderSyncService.js";
+import { authenticateStore, generateToken, validateStoreId } from "./middleware/auth.js";
+import { getConfiguredStoreIds, isConfiguredStore } from "./utils/storeRegistry.js";
 import { startFreshnessScheduler, getSchedulerStatus, triggerManualCheck } from "./services/freshnessScheduler.js";
 import {
   freshnessResolver,
@@ -134,12 +141,70 @@ import {
 import {
   generateExecutiveActionBrief,
   classifyAllSKUs,
+  decideSnapshot,
+  serializeDecisions,
+  missingDecisionInputs,
   DECISION_TYPES
 } from "./utils/decisionClassifier.js";
 import {
-  parseWixCsv,
-  validateItems
-} from "./utils/wixCsvParser.js";
+  listImportProfiles,
+  saveImportProfile,
+  deleteImportProfile,
+  previewImport,
+  commitImport,
+  rollbackImport,
+  listImportBatches,
+  getImportBatch,
+  importInventory
+} from "./services/inventoryImportService.js";
+import { createMovement, MOVEMENT_TYPES } from "./utils/inventoryLedger.js";
+import {
+  recordMovements,
+  getLedgerOnHand,
+  explainSku,
+  reconcileCounts
+} from "./services/inventoryLedgerService.js";
+import {
+  createCountSession,
+  listCountSessions,
+  getCountSession,
+  recordCounts,
+  reviewCounts,
+  getShrinkReport
+} from "./services/cycleCountService.js";
+import {
+  listPurchaseOrders,
+  getPurchaseOrder,
+  generateDraftPurchaseOrders,
+  updateDraftPurchaseOrder,
+  approvePurchaseOrder,
+  receivePurchaseOrder
+} from "./services/purchaseOrderService.js";
+import { PO_STATUS } from "./utils/purchaseOrders.js";
+import { getPoolStatus, setPool, disablePool } from "./services/inventoryPoolService.js";
+import { recordCosts, getSkuCostHistory, getCostingMethod, setCostingMethod } from "./services/costHistoryService.js";
+import { COSTING_METHODS, normalizeCostRecord } from "./utils/costing.js";
+import { previewShipment, recordShipment, listShipments, getShipment } from "./services/landedCostService.js";
+import { receiveWixWebhook, applyWixWebhook } from "./services/wixWebhookService.js";
+import { listSkuReviews, answerSkuReview, listSkuAliases } from "./services/skuReviewService.js";
+import { runDataQualityReport, listDataQualityHistory } from "./services/dataQualityService.js";
+import { backfillOrderRollups, clearOrderRollups, getRollupStatus, markRollupsStale } from "./services/orderRollupService.js";
+import { limitReportRows, DEFAULT_ROW_LIMIT } from "./utils/dataQuality.js";
+import { simulateScenario } from "./utils/scenarioSimulator.js";
+import {
+  listRuleSets,
+  createDraftRuleSet,
+  updateDraftRuleSet,
+  publishRuleSet,
+  previewRuleSet,
+  getEffectivePrices
+} from "./services/pricingRuleService.js";
+import {
+  listVendors,
+  upsertVendor,
+  assignSkuVendors,
+  withVendorTerms
+} from "./services/vendorService.js";
 import express from "express";
 import cors from "cors";
 import crypto from "crypto";
@@ -153,7 +218,10 @@ const __dirname = path.dirname(__filename);
 const OMEN_MAX_TIER = Number(process.env.OMEN_MAX_TIER ?? 1);
 const OMEN_ALLOW_EXECUTION = process.env.OMEN_ALLOW_EXECUTION === "true";
 const USE_MOCK_INVENTORY = process.env.OMEN_USE_MOCKS === "true";
-const STORE_ID = "NJWeedWizard";
+
+// MULTI-TENANT: There is no server-wide store. Every store-scoped route mounts
+// authenticateStore and reads the store from the JWT (req.user.storeId).
+// Background jobs (cron, auto-sync) iterate getConfiguredStoreIds().
 
 /*
  * ===============================
@@ -170,9 +238,9 @@ const app = express();
 /**
  * DEBUG — Inspect live inventory snapshot
  */
-app.get("/debug/inventory", async (req, res) => {
+app.get("/debug/inventory", authenticateStore, async (req, res) => {
   try {
-    const inventory = await getInventory(STORE_ID);
+    const inventory = await getInventory(req.user.storeId);
 
     res.json({
       ok: true,
@@ -194,7 +262,13 @@ app.use(cors({
   allowedHeaders: ["Content-Type", "Authorization"],
 }));
 
-app.use(express.json({ limit: '5mb' }));
+app.use(express.json({
+  limit: '5mb',
+  // Webhook signatures cover the exact bytes received, not the parsed body
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.text({ limit: '5mb', type: 'text/csv' }));
 
 /* ---------- Static File Serving ---------- */
@@ -227,6 +301,7 @@ app.get("/health", (req, res) => {
   res.json({
     status: "ok",
     service: "omen-agent",
+    authorityBackend: getAuthorityStatus().backend,
     timestamp: new Date().toISOString(),
   });
 });
@@ -244,6 +319,7 @@ app.get("/supabase/status", async (_req, res) => {
   res.json({
     ...status,
     connectionTest,
+    authority: getAuthorityStatus(),
     timestamp: new Date().toISOString()
   });
 });
@@ -261,13 +337,14 @@ app.get("/supabase/status", async (_req, res) => {
  * - match: Boolean - do they agree?
  * - details: Breakdown of visible/hidden/sellable
  */
-app.get("/verify/sku-count", async (_req, res) => {
+app.get("/verify/sku-count", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
-  console.log(`[SKU Verify] Starting verification (${requestId})`);
+  const storeId = req.user.storeId;
+  console.log(`[SKU Verify] Starting verification for ${storeId} (${requestId})`);
 
   try {
     // STEP 1: Query Supabase directly for visible count
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
     if (!client) {
       return res.status(503).json({
         ok: false,
@@ -278,7 +355,8 @@ app.get("/verify/sku-count", async (_req, res) => {
 
     const { data: supabaseData, error: supabaseError } = await client
       .from('inventory_virtual')
-      .select('sku, visible, available_quantity, inventory_status');
+      .select('sku, visible, available_quantity, inventory_status')
+      .eq('store_id', storeId);
 
     if (supabaseError) {
       return res.status(500).json({
@@ -300,7 +378,7 @@ app.get("/verify/sku-count", async (_req, res) => {
     );
 
     // STEP 2: Get OMEN's view via inventoryStore
-    const omenResult = await getInventoryWithMetadata(STORE_ID);
+    const omenResult = await getInventoryWithMetadata(storeId);
     const omenItems = omenResult.items || [];
     const omenVisible = omenItems.filter(i => i.visible === true);
     const omenSellable = omenVisible.filter(i =>
@@ -456,77 +534,82 @@ console.log("🟢 [OMEN] Final decision", {
 });
 
 /* ---------- NJWeedWizard Inventory Ingest ---------- */
-app.post("/ingest/njweedwizard", (req, res) => {
+/**
+ * POST /ingest/njweedwizard
+ *
+ * In-house Google Sheet counts - the built-in "google_sheet" import profile.
+ *
+ * PAYLOAD: rows as { rows: [...] }, { data: [...] } or a bare array. Either
+ * sheet rows ({ STRAIN, QUALITY, OZ, 1/2, 1/4, 1/8 }) or already-normalized
+ * rows ({ strain, quality, unit, quantity }).
+ *
+ * BEHAVIOR: merge - listed SKUs (STRAIN-3.5G style when the sheet has no
+ * SKU column) are upserted; the rest of the catalog is left alone. Commits
+ * without review unless it would zero more than OMEN_IMPORT_AUTO_COMMIT_LIMIT
+ * of the listed stored SKUs; then 409 with the staged batchId to commit via
+ * POST /import/batches/:batchId/commit.
+ */
+app.post("/ingest/njweedwizard", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
   try {
-    console.log("INGEST HIT:", req.body);
     const rows =
-  Array.isArray(req.body?.rows) ? req.body.rows :
-  Array.isArray(req.body?.data) ? req.body.data :
-  Array.isArray(req.body) ? req.body :
-  [];
-
-  if (!Array.isArray(rows) || rows.length === 0) {
-  return res.status(400).json({
-    ok: false,
-    error: "No ingestable rows found in payload",
-    receivedType: typeof req.body,
-  });
-}
-    // 🔹 Strip empty spacer rows (VERY IMPORTANT)
-const cleanRows = rows.filter(
-  r =>
-    r &&
-    typeof r.strain === "string" && r.strain.trim() !== "" &&
-    typeof r.quality === "string" && r.quality.trim() !== "" &&
-    typeof r.unit === "string" && r.unit.trim() !== "" &&
-    Number(r.quantity) > 0
-);
-
-    // 1️⃣ Normalize raw ingest
-// If rows already look normalized, skip CSV ingest
-const normalized =
-  typeof cleanRows[0]?.strain === "string" &&
-  typeof cleanRows[0]?.unit === "string"
-    ? cleanRows
-    : ingestNjWeedWizardCsv(cleanRows);
-    
-    // 2️⃣ Aggregate / enrich inventory (pricing, stock, discounts)
-    const aggregated = applyPricing(normalized);
-    console.log(
-  "PRICING SAMPLE:",
-  aggregated.slice(0, 3).map(i => ({
-    strain: i.strain,
-    unit: i.unit,
-    pricingMatch: i.pricingMatch,
-    pricing: i.pricing
-  }))
-);
-
-    // 3️⃣ Analyze enriched inventory (proofs ONLY)
-    const proofs = analyzeInventory(aggregated);
-
-    // 4️⃣ Persist enriched inventory (builds snapshot internally)
-    const storage = persistInventory(aggregated);
-
-    // 5️⃣ Save enriched inventory to in-memory store
-    saveInventory(STORE_ID, aggregated);
-
-    // 6️⃣ Optional signals
-    const lowStock = detectLowStock(aggregated);
+      Array.isArray(req.body?.rows) ? req.body.rows :
+      Array.isArray(req.body?.data) ? req.body.data :
+      Array.isArray(req.body) ? req.body :
+      [];
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "No ingestable rows found in payload",
+        receivedType: typeof req.body,
+        requestId
+      });
+    }
+
+    const result = await importInventory(storeId, { profile: 'google_sheet', rows }, {
+      actor: req.user.email || storeId,
+      requestId,
+      reason: 'NJWeedWizard sheet ingest'
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: result.error,
+        stage: result.stage,
+        ...(result.stage === 'review' && { batchId: result.batchId, counts: result.diff }),
+        summary: result.summary,
+        skipped: result.skipped?.slice(0, 20),
+        invalidSample: result.invalid?.slice(0, 5),
+        requestId
+      });
+    }
+
+    onWixInventoryWebhook(storeId).catch(err => {
+      console.warn('[SelfHealing] Post-ingest hook failed:', err.message);
+    });
 
     return res.json({
       ok: true,
-      store: STORE_ID,
-      itemCount: aggregated.length,
+      store: storeId,
+      profile: result.profile,
+      itemCount: result.inserted,
       stored: true,
       updated_at: new Date().toISOString(),
-      proofs,
+      summary: result.summary,
+      skipped: result.skipped.slice(0, 50),
+      ledger: result.ledger,
+      requestId
     });
   } catch (err) {
     console.error("NJWeedWizard ingest failed", err);
     return res.status(500).json({
       ok: false,
       error: err.message,
+      requestId
     });
   }
 });
@@ -548,6 +631,7 @@ const normalized =
  * BEHAVIOR:
  * - Appends row to inventory_snapshots (historical record)
  * - Updates inventory_live (current state)
+ * - Reconciles the count against the movement ledger (ADJUST for any difference)
  * - Never overwrites snapshots
  * - Idempotent and deterministic
  *
@@ -556,12 +640,14 @@ const normalized =
  * - Depletion rate calculation
  * - Velocity-based recommendations
  */
-app.post("/ingest/inventory", async (req, res) => {
+app.post("/ingest/inventory", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
   try {
     console.log("📥 [OMEN] Inventory ingestion requested", {
       requestId,
+      storeId,
       payload: req.body
     });
 
@@ -623,7 +709,7 @@ app.post("/ingest/inventory", async (req, res) => {
     });
 
     // 2️⃣ RECORD SNAPSHOT (append-only historical record)
-    const snapshotResult = await recordInventorySnapshot(inventoryEvent);
+    const snapshotResult = await recordInventorySnapshot(storeId, inventoryEvent);
 
     if (!snapshotResult.ok) {
       console.error("📥 [OMEN] Failed to record snapshot", {
@@ -640,7 +726,7 @@ app.post("/ingest/inventory", async (req, res) => {
     }
 
     // 3️⃣ UPDATE LIVE STATE (upsert current inventory)
-    const liveResult = await updateLiveInventory(inventoryEvent);
+    const liveResult = await updateLiveInventory(storeId, inventoryEvent);
 
     if (!liveResult.ok) {
       console.error("📥 [OMEN] Failed to update live inventory", {
@@ -656,15 +742,31 @@ app.post("/ingest/inventory", async (req, res) => {
       });
     }
 
+    // 4️⃣ RECONCILE LEDGER (count becomes an ADJUST, never an overwrite)
+    const ledgerResult = await reconcileCounts(storeId, [inventoryEvent], {
+      reason: `Inventory count from ${inventoryEvent.source}`,
+      actor: req.user.email || inventoryEvent.source,
+      sourceDocument: { type: 'inventory_ingest', id: requestId },
+      occurredAt: inventoryEvent.timestamp
+    });
+
+    if (!ledgerResult.ok) {
+      console.warn("📥 [OMEN] Ledger reconcile failed", {
+        requestId,
+        error: ledgerResult.error
+      });
+    }
+
     console.log("📥 [OMEN] Inventory ingestion successful", {
       requestId,
       sku: inventoryEvent.sku,
       quantity: inventoryEvent.quantity,
       snapshotRecorded: snapshotResult.ok,
-      liveUpdated: liveResult.ok
+      liveUpdated: liveResult.ok,
+      ledgerAdjusted: ledgerResult.adjusted || 0
     });
 
-    // 4️⃣ RETURN SUCCESS
+    // 5️⃣ RETURN SUCCESS
     return res.json({
       ok: true,
       requestId,
@@ -675,7 +777,10 @@ app.post("/ingest/inventory", async (req, res) => {
         timestamp: inventoryEvent.timestamp
       },
       snapshot: snapshotResult.data,
-      live: liveResult.data
+      live: liveResult.data,
+      ledger: ledgerResult.ok
+        ? { adjustment: ledgerResult.adjustments[0] || null }
+        : { error: ledgerResult.error }
     });
 
   } catch (err) {
@@ -694,318 +799,2143 @@ app.post("/ingest/inventory", async (req, res) => {
   }
 });
 
-/* ---------- DEV LOGIN (TEMPORARY) ---------- */
-app.post("/auth/dev-login", (req, res) => {
-  console.log("🔐 [OMEN] DEV LOGIN HIT");
-
-  res.json({
-    token: "dev-token",
-    businesses: [
-      {
-        id: "dev-biz-1",
-        name: "NJWeedWizard (Dev)",
-      },
-    ],
-  });
-});
-
-/* ---------- WIX INVENTORY SYNC (FULL REPLACE) ---------- */
+/* ---------- INVENTORY LEDGER ---------- */
 /**
- * SYNC WIX INVENTORY
+ * Append-only movement ledger (inventory_movements)
  *
- * Full-replace sync from Wix CSV export.
- * Called by Make.com scenario: SYNC_WIX_INVENTORY
+ * ENDPOINTS:
+ * - POST /inventory/movements - Record RECEIVE / SALE / ADJUST / SHRINK / RETURN / TRANSFER
+ * - GET /inventory/on-hand - Derived on-hand per SKU (last count + later movements)
+ * - GET /inventory/ledger/:sku - Line-by-line explanation of one SKU's on-hand
+ */
+
+/**
+ * Record one or more movements
  *
- * BEHAVIOR:
- * 1. Parse CSV content
- * 2. DELETE all existing rows from wix_inventory_live
- * 3. INSERT all parsed items
- * 4. Return success/failure with stats
+ * PAYLOAD:
+ * {
+ *   "movements": [{
+ *     "sku": "STRING",
+ *     "type": "RECEIVE|SALE|ADJUST|SHRINK|RETURN|TRANSFER",
+ *     "quantity": NUMBER,            // Positive magnitude; signed delta for ADJUST/TRANSFER
+ *     "reason": "STRING",
+ *     "sourceDocument": { "type": "STRING", "id": "STRING" },
+ *     "occurredAt": "ISO-8601",      // Optional
+ *     "countedQuantity": NUMBER      // Optional, ADJUST only: a count (on-hand re-baselines at it)
+ *   }]
+ * }
  *
- * ENDPOINT: POST /sync/wix-inventory
- * BODY: { csvContent: "..." } OR raw CSV text
+ * Actor is the authenticated user. A single movement object is also accepted.
  */
-app.post("/sync/wix-inventory", async (req, res) => {
+app.post("/inventory/movements", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
-  const startTime = Date.now();
-
-  console.log("🔄 [OMEN] WIX INVENTORY SYNC REQUESTED", { requestId });
+  const storeId = req.user.storeId;
 
   try {
-    // 1️⃣ CHECK SUPABASE AVAILABILITY
-    if (!isSupabaseAvailable()) {
-      return res.status(503).json({
-        ok: false,
-        error: "Supabase not configured",
-        message: "Cannot sync inventory: Supabase connection required",
-        requestId
-      });
-    }
-
-    // 2️⃣ EXTRACT CSV CONTENT
-    let csvContent;
-
-    if (typeof req.body === 'string') {
-      // Raw CSV text
-      csvContent = req.body;
-    } else if (req.body?.csvContent) {
-      // JSON with csvContent field
-      csvContent = req.body.csvContent;
-    } else if (req.body?.data) {
-      // Alternative field name
-      csvContent = req.body.data;
-    } else {
-      return res.status(400).json({
-        ok: false,
-        error: "Invalid payload",
-        message: "Expected CSV content in body or body.csvContent",
-        requestId
-      });
-    }
+    const input = Array.isArray(req.body?.movements) ? req.body.movements : [req.body];
+    const actor = req.user.email || req.user.storeId;
 
-    if (!csvContent || typeof csvContent !== 'string' || csvContent.trim().length < 100) {
+    let movements;
+    try {
+      movements = input.map(m => createMovement({ ...m, actor }));
+    } catch (validationErr) {
       return res.status(400).json({
         ok: false,
-        error: "Invalid CSV content",
-        message: "CSV content is empty or too short",
+        error: "Invalid movement",
+        message: validationErr.message,
+        validTypes: Object.keys(MOVEMENT_TYPES),
         requestId
       });
     }
 
-    console.log(`🔄 [OMEN] Received CSV content: ${csvContent.length} bytes`, { requestId });
-
-    // 3️⃣ PARSE CSV (with strict SKU exclusion)
-    const { items, stats, errors, skipped, summary } = parseWixCsv(csvContent);
-
-    // Log the required summary server-side
-    console.log(`🔄 [OMEN] PARSE SUMMARY:`, JSON.stringify(summary, null, 2), { requestId });
+    const result = await recordMovements(storeId, movements);
 
-    if (items.length === 0) {
-      return res.status(400).json({
+    if (!result.ok) {
+      return res.status(500).json({
         ok: false,
-        error: "No valid items parsed",
-        message: "CSV parsing produced zero inventory items. All rows may have missing or duplicate SKUs.",
-        summary,
-        skipped: skipped.slice(0, 20),
-        parseErrors: errors.slice(0, 10),
+        error: "Failed to record movements",
+        message: result.error,
         requestId
       });
     }
 
-    // 4️⃣ VALIDATE ITEMS
-    const { valid, invalid } = validateItems(items);
+    console.log("📒 [OMEN] Ledger movements recorded", {
+      requestId,
+      storeId,
+      recorded: result.recorded,
+      duplicates: result.duplicates
+    });
 
-    console.log(`🔄 [OMEN] Parsed ${valid.length} valid items, ${invalid.length} invalid`, { requestId });
+    return res.json({
+      ok: true,
+      recorded: result.recorded,
+      duplicates: result.duplicates,
+      movements: result.movements,
+      requestId
+    });
 
-    if (valid.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "No valid items after validation",
-        message: "All parsed items failed validation",
-        invalidSample: invalid.slice(0, 5),
-        requestId
-      });
-    }
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
 
-    // 5️⃣ FULL REPLACE IN SUPABASE
-    const client = getSupabaseClient();
+/**
+ * Derived on-hand per SKU
+ *
+ * QUERY: ?sku=A,B (optional)
+ */
+app.get("/inventory/on-hand", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
-    // 5a. DELETE all existing rows
-    console.log(`🔄 [OMEN] Clearing wix_inventory_live...`, { requestId });
+  try {
+    const skus = req.query.sku
+      ? String(req.query.sku).split(',').map(s => s.trim()).filter(Boolean)
+      : null;
 
-    const { error: deleteError } = await client
-      .from('wix_inventory_live')
-      .delete()
-      .neq('sku', 'NEVER_MATCH_THIS'); // Delete all rows (Supabase requires a filter)
+    const result = await getLedgerOnHand(storeId, skus);
 
-    if (deleteError) {
-      console.error(`🔄 [OMEN] DELETE failed:`, deleteError, { requestId });
+    if (!result.ok) {
       return res.status(500).json({
         ok: false,
-        error: "Failed to clear existing inventory",
-        message: deleteError.message,
-        hint: "Ensure wix_inventory_live table exists. Run migration 003_wix_inventory_live.sql",
+        error: "Failed to read ledger on-hand",
+        message: result.error,
         requestId
       });
     }
 
-    // 5b. INSERT all valid items
-    console.log(`🔄 [OMEN] Inserting ${valid.length} items...`, { requestId });
+    return res.json({
+      ok: true,
+      items: result.details,
+      count: result.details.length,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
 
-    // Add synced_at timestamp
-    const itemsWithTimestamp = valid.map(item => ({
-      ...item,
-      synced_at: new Date().toISOString()
-    }));
+/**
+ * Explain one SKU's on-hand quantity line by line
+ */
+app.get("/inventory/ledger/:sku", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
-    const { data: insertedData, error: insertError } = await client
-      .from('wix_inventory_live')
-      .insert(itemsWithTimestamp)
-      .select();
+  try {
+    const result = await explainSku(storeId, req.params.sku);
 
-    if (insertError) {
-      console.error(`🔄 [OMEN] INSERT failed:`, insertError, { requestId });
+    if (!result.ok) {
       return res.status(500).json({
         ok: false,
-        error: "Failed to insert inventory items",
-        message: insertError.message,
-        itemsAttempted: valid.length,
+        error: "Failed to read ledger",
+        message: result.error,
         requestId
       });
     }
 
-    const insertedCount = insertedData?.length || valid.length;
-    const duration = Date.now() - startTime;
-
-    console.log(`✅ [OMEN] WIX INVENTORY SYNC COMPLETE`, {
-      requestId,
-      insertedCount,
-      duration: `${duration}ms`
-    });
-
-    // 6️⃣ CLEAR OLD INVENTORY CACHE
-    // This forces OMEN to use fresh data on next request
-    clearInventory(STORE_ID);
-
-    // 7️⃣ TRIGGER SELF-HEALING HOOK (non-blocking)
-    // This ensures orders are synced and data is validated after inventory update
-    onWixInventoryWebhook().catch(err => {
-      console.warn('[SelfHealing] Post-sync hook failed:', err.message);
-    });
-
     return res.json({
       ok: true,
-      message: `Successfully synced ${insertedCount} inventory items from Wix`,
-      // Required summary format
-      summary: {
-        rows_processed: summary.rows_processed,
-        rows_inserted: insertedCount,
-        rows_skipped: summary.rows_skipped,
-        skipped_breakdown: summary.skipped_breakdown
-      },
-      stats: {
-        ...stats,
-        itemsParsed: items.length,
-        itemsValid: valid.length,
-        itemsInvalid: invalid.length,
-        itemsInserted: insertedCount,
-        durationMs: duration
-      },
-      // Include skipped details for ops visibility
-      skipped: skipped.length > 0 ? skipped.slice(0, 50) : [],
-      requestId,
-      syncedAt: new Date().toISOString()
+      ...result.explanation,
+      requestId
     });
 
   } catch (err) {
-    console.error(`❌ [OMEN] WIX INVENTORY SYNC FAILED`, {
-      requestId,
-      error: err.message,
-      stack: err.stack
-    });
-
     return res.status(500).json({
       ok: false,
-      error: "Sync failed",
-      message: err.message,
+      error: err.message,
       requestId
     });
   }
 });
 
-/* ---------- SKU Cost Management Endpoints ---------- */
+/* ---------- CYCLE COUNTS ---------- */
 /**
- * COST AUTHORITY: sku_costs table is the single source of truth for unit costs
+ * Shelf counts for a subset of SKUs, reconciled against inventory_virtual
+ * (services/cycleCountService.js). Approved variances are posted as ADJUST
+ * movements and applied to the inventory snapshot.
  *
  * ENDPOINTS:
- * - POST /sync/sku-costs - Bulk import costs from JSON
- * - GET /costs/missing - List SKUs needing cost data
- * - POST /costs/update - Update single SKU cost
- * - GET /costs/coverage - Get cost coverage statistics
- */
-
-/**
- * Bulk import SKU costs
- *
- * ACCEPTS:
- * - JSON array: [{ sku: "ABC-123", unit_cost: 10.50, source: "invoice" }, ...]
- * - Or object with costs field: { costs: [...] }
- *
- * BEHAVIOR:
- * - UPSERTS costs (updates existing, inserts new)
- * - Validates unit_cost >= 0
- * - Requires SKU to exist (logs warning if not)
+ * - POST /cycle-counts - { name?, skus? | category?, limit? } Open a session and issue its count sheet
+ * - GET /cycle-counts?status=open|closed - Sessions, newest first
+ * - GET /cycle-counts/shrink?from=&to=&period=day|week|month - Approved variances by SKU and period
+ * - GET /cycle-counts/:sessionId - Session with derived quantities and variances
+ * - GET /cycle-counts/:sessionId/sheet - Blind count sheet (no derived quantities)
+ * - POST /cycle-counts/:sessionId/counts - { counts: [{ sku, quantity }] } Record shelf counts
+ * - POST /cycle-counts/:sessionId/approve - { skus? } Post variances (default every counted line)
+ * - POST /cycle-counts/:sessionId/reject - { skus? } Drop lines without posting
  */
-app.post("/sync/sku-costs", async (req, res) => {
+app.post("/cycle-counts", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
-  const startTime = Date.now();
-
-  console.log("💰 [OMEN] SKU COSTS SYNC REQUESTED", { requestId });
+  const storeId = req.user.storeId;
 
   try {
-    // 1️⃣ CHECK SUPABASE
-    if (!isSupabaseAvailable()) {
-      return res.status(503).json({
-        ok: false,
-        error: "Supabase not configured",
-        message: "Cannot sync costs: Supabase connection required",
-        requestId
-      });
-    }
+    const result = await createCountSession(storeId, req.body || {}, {
+      actor: req.user.email || storeId
+    });
 
-    // 2️⃣ EXTRACT COSTS DATA
-    let costs;
-    if (Array.isArray(req.body)) {
-      costs = req.body;
-    } else if (Array.isArray(req.body?.costs)) {
-      costs = req.body.costs;
-    } else {
-      return res.status(400).json({
-        ok: false,
-        error: "Invalid payload",
-        message: "Expected JSON array of costs or { costs: [...] }",
-        example: [{ sku: "SKU-123", unit_cost: 10.50, source: "invoice" }],
-        requestId
-      });
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
     }
 
-    if (costs.length === 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "Empty costs array",
-        message: "No costs provided to import",
-        requestId
-      });
-    }
+    return res.json({ ...result, requestId });
 
-    console.log(`💰 [OMEN] Processing ${costs.length} cost entries`, { requestId });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
 
-    // 3️⃣ VALIDATE AND PREPARE
-    const valid = [];
-    const invalid = [];
+app.get("/cycle-counts", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
-    for (const entry of costs) {
-      const sku = entry.sku?.trim();
-      const unitCost = parseFloat(entry.unit_cost);
-      const source = entry.source || 'manual';
+  try {
+    const result = await listCountSessions(storeId, { status: req.query.status, limit: req.query.limit });
 
-      if (!sku) {
-        invalid.push({ entry, reason: "Missing SKU" });
-        continue;
-      }
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
 
-      if (isNaN(unitCost) || unitCost < 0) {
-        invalid.push({ entry, reason: `Invalid unit_cost: ${entry.unit_cost}` });
-        continue;
-      }
+    return res.json({ ...result, count: result.sessions.length, requestId });
 
-      valid.push({
-        sku,
-        unit_cost: unitCost,
-        source,
-        effective_date: entry.effective_date || new Date().toISOString(),
-        notes: entry.notes || null
-      });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.get("/cycle-counts/shrink", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await getShrinkReport(storeId, {
+      from: req.query.from,
+      to: req.query.to,
+      period: req.query.period
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/**
+ * Send a session: full (reviewers) or as a blind count sheet (counters)
+ */
+async function sendCountSession(req, res, options) {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await getCountSession(storeId, req.params.sessionId, options);
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+}
+
+app.get("/cycle-counts/:sessionId", authenticateStore, (req, res) => sendCountSession(req, res, {}));
+
+app.get("/cycle-counts/:sessionId/sheet", authenticateStore, (req, res) => sendCountSession(req, res, { sheet: true }));
+
+app.post("/cycle-counts/:sessionId/counts", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const counts = Array.isArray(req.body) ? req.body : req.body?.counts;
+    const result = await recordCounts(storeId, req.params.sessionId, counts, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/**
+ * Approve or reject a session's counted lines
+ */
+async function sendCountReview(req, res, action) {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await reviewCounts(storeId, req.params.sessionId, action, {
+      skus: req.body?.skus,
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+}
+
+app.post("/cycle-counts/:sessionId/approve", authenticateStore, (req, res) => sendCountReview(req, res, 'approve'));
+
+app.post("/cycle-counts/:sessionId/reject", authenticateStore, (req, res) => sendCountReview(req, res, 'reject'));
+
+/* ---------- INVENTORY POOLS ---------- */
+/**
+ * Gram-pooled inventory per strain (inventory_pools)
+ *
+ * A pooled strain is counted in bulk grams; its eighths, quarters, halves
+ * and ounces are derived from that count and orders of any size reduce it.
+ * See utils/gramPools.js.
+ *
+ * ENDPOINTS:
+ * - GET /inventory/pools - Pools with grams available and sellable units per size
+ * - POST /inventory/pools - Count (or recount) a strain's bulk grams
+ * - POST /inventory/pools/disable - Return a strain to per-unit counts
+ */
+
+app.get("/inventory/pools", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await getPoolStatus(req.user.storeId);
+
+    if (!result.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to load inventory pools",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      pools: result.pools,
+      count: result.pools.length,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Count a strain's bulk grams
+ *
+ * PAYLOAD:
+ * {
+ *   "strain": "STRING",           // e.g. "Afternoon Delight"
+ *   "grams": NUMBER,              // Bulk weight on hand
+ *   "countedAt": "ISO-8601",      // Optional; orders after this reduce the pool
+ *   "notes": "STRING"
+ * }
+ */
+app.post("/inventory/pools", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await setPool(storeId, req.body || {}, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: "Failed to save inventory pool",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      pool: result.pool,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Stop pooling a strain
+ *
+ * PAYLOAD: { "strain": "STRING" }
+ */
+app.post("/inventory/pools/disable", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await disablePool(storeId, req.body?.strain, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: "Failed to disable inventory pool",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      pool: result.pool,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- DEMAND FORECAST ---------- */
+/**
+ * Per-SKU demand forecasts with backtest accuracy
+ *
+ * Same forecasts the weekly snapshot uses for depletion estimates
+ * (day-of-week + trend, see intelligence/demandForecast.js).
+ *
+ * QUERY:
+ * - sku: Restrict to one SKU and include the daily forecast path
+ * - sort: 'wape' (worst accuracy first) or 'stockout' (soonest first, default)
+ */
+app.get("/forecast/accuracy", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const inventory = await getInventory(storeId);
+    const velocity = await analyzeInventoryVelocity(storeId, inventory || [], 'weekly');
+
+    if (!velocity.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to analyze velocity",
+        message: velocity.error,
+        requestId
+      });
+    }
+
+    const sku = req.query.sku ? String(req.query.sku) : null;
+    const metrics = (velocity.velocityMetrics || [])
+      .filter(m => m.forecast && (!sku || m.sku === sku));
+
+    const skus = metrics.map(m => ({
+      sku: m.sku,
+      unit: m.unit,
+      name: m.name,
+      method: m.forecast.method,
+      historyDays: m.forecast.historyDays,
+      flatDailyVelocity: m.dailyVelocity,
+      forecastDailyMean: m.forecast.dailyMean,
+      next7Days: m.forecast.next7Days,
+      weekdayFactors: m.forecast.weekdayFactors,
+      trendPerDay: m.forecast.trendPerDay,
+      monthStartLift: m.forecast.monthStartLift,
+      backtest: m.forecast.backtest,
+      currentStock: m.currentStock,
+      daysUntilStockout: m.daysUntilStockout,
+      daysUntilStockoutRange: m.daysUntilStockoutRange,
+      stockoutBasis: m.stockoutBasis,
+      ...(sku ? { daily: m.forecast.daily } : {})
+    }));
+
+    if (req.query.sort === 'wape') {
+      skus.sort((a, b) => (b.backtest?.wape ?? -1) - (a.backtest?.wape ?? -1));
+    } else {
+      skus.sort((a, b) => (a.daysUntilStockout ?? Infinity) - (b.daysUntilStockout ?? Infinity));
+    }
+
+    return res.json({
+      ok: true,
+      summary: velocity.forecastSummary || null,
+      skus,
+      count: skus.length,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- SCENARIOS ---------- */
+/**
+ * What-if projections against a stored snapshot
+ *
+ * Applies price / cost / velocity / reorder changes and reruns the same fact
+ * and margin math the action brief uses (see utils/scenarioSimulator.js).
+ * Nothing is written — the snapshot is read-only here.
+ *
+ * BODY:
+ * - changes: [{ sku, price | priceChange | discountPercent, cost, velocityMultiplier, reorderQuantity }]
+ * - timeframe: Snapshot timeframe (default 'weekly')
+ * - asOfDate: Snapshot date (default latest for the timeframe)
+ *
+ * EXAMPLE:
+ * POST /scenario/simulate
+ * { "changes": [{ "sku": "BLUE-DREAM-3.5G", "priceChange": -5, "velocityMultiplier": 1.3 }] }
+ */
+app.post("/scenario/simulate", authenticateStore, (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const { changes, timeframe = "weekly" } = req.body || {};
+    let { asOfDate } = req.body || {};
+
+    if (!asOfDate) {
+      const latestEntry = getLatestSnapshotEntry(storeId, timeframe);
+      if (!latestEntry) {
+        return res.status(404).json({
+          ok: false,
+          error: "No snapshot available",
+          message: `Generate a ${timeframe} snapshot first using POST /snapshot/generate`,
+          requestId
+        });
+      }
+      asOfDate = latestEntry.asOfDate;
+    }
+
+    const cached = loadSnapshot(storeId, timeframe, asOfDate);
+    if (!cached) {
+      return res.status(404).json({
+        ok: false,
+        error: "Snapshot not found",
+        message: `No ${timeframe} snapshot found for ${asOfDate}`,
+        requestId
+      });
+    }
+
+    if (!cached.snapshot.velocity?.velocityMetrics) {
+      return res.status(400).json({
+        ok: false,
+        error: "Snapshot has no per-SKU velocity",
+        message: "Scenarios need a snapshot with velocityMetrics — use a weekly snapshot",
+        requestId
+      });
+    }
+
+    let scenario;
+    try {
+      scenario = simulateScenario(cached.snapshot, changes);
+    } catch (validationErr) {
+      return res.status(400).json({
+        ok: false,
+        error: validationErr.message,
+        requestId
+      });
+    }
+
+    console.log(`🔮 [OMEN] Scenario for ${storeId} (${timeframe} ${asOfDate}): ${scenario.skus.length} SKUs changed, weekly profit delta ${scenario.delta.weeklyProfit}`);
+
+    return res.json({
+      ok: true,
+      snapshotId: cached.snapshot.snapshotId || null,
+      ...scenario,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- PRICING RULES ---------- */
+/**
+ * Versioned per-store pricing rules (replaces the static PRICING_CATALOG)
+ *
+ * A store's first draft is seeded from the catalog. Drafts are previewed
+ * against live inventory, then published with an effective date; published
+ * versions never change. See utils/pricingRules.js for matching and rounding.
+ *
+ * ENDPOINTS:
+ * - GET /pricing/rules - All versions (newest first) and the version in force
+ * - GET /pricing/rules/effective - Rule set and prices in force (?asOf=ISO date)
+ * - POST /pricing/rules - Create a draft ({ rules } | { basedOn } | {} → copy of the version in force)
+ * - POST /pricing/rules/preview - Reprice inventory under { version } or { rules }
+ * - POST /pricing/rules/:version/update - Edit a draft ({ rules, notes })
+ * - POST /pricing/rules/:version/publish - Publish a draft ({ effectiveFrom })
+ */
+
+/**
+ * Send a service result that carries its own HTTP status
+ */
+function sendRuleSetResult(res, result, requestId, failureMessage) {
+  if (!result.ok) {
+    return res.status(result.status || 500).json({
+      ok: false,
+      error: failureMessage,
+      message: result.error,
+      requestId
+    });
+  }
+
+  if (!result.ruleSet) {
+    return res.status(404).json({
+      ok: false,
+      error: "Rule set not found",
+      requestId
+    });
+  }
+
+  return res.json({
+    ok: true,
+    ruleSet: result.ruleSet,
+    requestId
+  });
+}
+
+/**
+ * Parse a :version route param (null if not a positive integer)
+ */
+function parseRuleSetVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+app.get("/pricing/rules", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await listRuleSets(req.user.storeId);
+
+    if (!result.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to list pricing rules",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      ruleSets: result.ruleSets,
+      effectiveVersion: result.effectiveVersion,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+app.get("/pricing/rules/effective", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const asOf = req.query.asOf ? new Date(String(req.query.asOf)) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid asOf",
+        message: "asOf must be an ISO-8601 date",
+        requestId
+      });
+    }
+
+    const result = await getEffectivePrices(req.user.storeId, asOf);
+
+    if (!result.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to load effective prices",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      asOf: asOf.toISOString(),
+      version: result.version,
+      effectiveFrom: result.effectiveFrom || null,
+      prices: result.prices,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Create a draft rule set
+ *
+ * PAYLOAD:
+ * {
+ *   "rules": {                                   // Optional; omit to copy
+ *     "defaults": [{ "quality": "TOP SHELF", "unit": "eighth", "retail": 45, "compareAt": 50 }],
+ *     "overrides": [{ "sku": "STRING", "retail": NUMBER }],
+ *     "rounding": { "mode": "up", "increment": 1, "endingOffset": 0.01 },
+ *     "minMarginPercent": 35
+ *   },
+ *   "basedOn": NUMBER,                           // Copy this version instead
+ *   "notes": "STRING"
+ * }
+ */
+app.post("/pricing/rules", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await createDraftRuleSet(storeId, req.body || {}, {
+      actor: req.user.email || storeId
+    });
+
+    return sendRuleSetResult(res, result, requestId, "Failed to create pricing rule draft");
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Preview repricing before publishing
+ *
+ * PAYLOAD: { "version": NUMBER } or { "rules": { ... } }
+ *
+ * Compares each SKU's live retail to the rule set's price, with
+ * sku_profitability-style unit margin, margin % and profit at risk.
+ */
+app.post("/pricing/rules/preview", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await previewRuleSet(storeId, req.body || {});
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: "Failed to preview pricing rules",
+        message: result.error,
+        requestId
+      });
+    }
+
+    console.log(`🏷️ [OMEN] Pricing preview for ${storeId}: ${result.preview.summary.skusChanged}/${result.preview.summary.skusPriced} SKUs change, margin ${result.preview.summary.marginPercent.current}% → ${result.preview.summary.marginPercent.proposed}%`);
+
+    return res.json({
+      ok: true,
+      preview: result.preview,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+app.post("/pricing/rules/:version/update", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const version = parseRuleSetVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid version",
+        requestId
+      });
+    }
+
+    const result = await updateDraftRuleSet(req.user.storeId, version, req.body || {});
+
+    return sendRuleSetResult(res, result, requestId, "Failed to update pricing rule draft");
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+app.post("/pricing/rules/:version/publish", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const version = parseRuleSetVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid version",
+        requestId
+      });
+    }
+
+    const result = await publishRuleSet(storeId, version, {
+      actor: req.user.email || storeId,
+      effectiveFrom: req.body?.effectiveFrom
+    });
+
+    return sendRuleSetResult(res, result, requestId, "Failed to publish pricing rules");
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- VENDORS ---------- */
+/**
+ * Vendor registry and SKU → vendor mapping
+ *
+ * Lead time drives restock timing (REORDER_NOW, restock status, chat
+ * reorder answers). Minimum order and pack size round purchase order lines.
+ *
+ * ENDPOINTS:
+ * - GET /vendors - Vendors with mapped SKUs
+ * - POST /vendors - Create or update a vendor
+ * - POST /vendors/skus - Map SKUs to vendors (vendorId null unassigns)
+ */
+
+app.get("/vendors", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await listVendors(req.user.storeId);
+
+    if (!result.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to list vendors",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      vendors: result.vendors,
+      count: result.vendors.length,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Create or update a vendor
+ *
+ * PAYLOAD:
+ * {
+ *   "vendorId": "STRING",          // Stable ID, e.g. "garden-state"
+ *   "name": "STRING",
+ *   "leadTimeDays": NUMBER,        // Days from order to delivery (null = unknown)
+ *   "minimumOrderQty": NUMBER,     // Default 1
+ *   "packSize": NUMBER,            // Default 1
+ *   "contact": "STRING",
+ *   "notes": "STRING"
+ * }
+ */
+app.post("/vendors", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await upsertVendor(req.user.storeId, req.body || {});
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: "Failed to save vendor",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      vendor: result.vendor,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Map SKUs to vendors
+ *
+ * PAYLOAD:
+ * {
+ *   "assignments": [{ "sku": "STRING", "vendorId": "STRING" | null }]
+ * }
+ */
+app.post("/vendors/skus", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await assignSkuVendors(req.user.storeId, req.body?.assignments);
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: "Failed to map SKUs to vendors",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      assigned: result.assigned,
+      removed: result.removed,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- PURCHASE ORDERS ---------- */
+/**
+ * Purchase orders generated from REORDER_NOW decisions
+ *
+ * LIFECYCLE: draft → sent → partially_received → received
+ *
+ * ENDPOINTS:
+ * - POST /purchase-orders/generate - Draft one PO per vendor from current decisions
+ * - GET /purchase-orders - List (?status=draft,sent)
+ * - GET /purchase-orders/:id - One PO with lines
+ * - POST /purchase-orders/:id/update - Edit a draft
+ * - POST /purchase-orders/:id/approve - Approve a draft (→ sent)
+ * - POST /purchase-orders/:id/receive - Receive stock (posts RECEIVE movements)
+ */
+
+/**
+ * Send a service result that carries its own HTTP status
+ */
+function sendPurchaseOrderResult(res, result, requestId, failureMessage) {
+  if (!result.ok) {
+    return res.status(result.status || 500).json({
+      ok: false,
+      error: failureMessage,
+      message: result.error,
+      requestId
+    });
+  }
+
+  if (!result.purchaseOrder) {
+    return res.status(404).json({
+      ok: false,
+      error: "Purchase order not found",
+      requestId
+    });
+  }
+
+  return res.json({
+    ok: true,
+    purchaseOrder: result.purchaseOrder,
+    ...(result.movements ? { movements: result.movements } : {}),
+    requestId
+  });
+}
+
+app.post("/purchase-orders/generate", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await generateDraftPurchaseOrders(storeId, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to generate purchase orders",
+        message: result.error,
+        requestId
+      });
+    }
+
+    console.log("🧾 [OMEN] Draft purchase orders generated", {
+      requestId,
+      storeId,
+      reorderDecisions: result.reorderDecisions,
+      drafts: result.purchaseOrders.length,
+      skipped: result.skipped.length
+    });
+
+    return res.json({
+      ok: true,
+      purchaseOrders: result.purchaseOrders,
+      skipped: result.skipped,
+      reorderDecisions: result.reorderDecisions,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+app.get("/purchase-orders", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+      : null;
+
+    const invalid = (statuses || []).filter(s => !Object.values(PO_STATUS).includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid status",
+        message: `Unknown status: ${invalid.join(', ')}`,
+        validStatuses: Object.values(PO_STATUS),
+        requestId
+      });
+    }
+
+    const result = await listPurchaseOrders(storeId, { statuses });
+
+    if (!result.ok) {
+      return res.status(500).json({
+        ok: false,
+        error: "Failed to list purchase orders",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      purchaseOrders: result.purchaseOrders,
+      count: result.purchaseOrders.length,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+app.get("/purchase-orders/:id", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await getPurchaseOrder(req.user.storeId, req.params.id);
+    return sendPurchaseOrderResult(res, result, requestId, "Failed to load purchase order");
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Edit a draft
+ *
+ * PAYLOAD:
+ * {
+ *   "lines": [{ "sku": "STRING", "orderedQty": NUMBER, "unitCost": NUMBER }],  // orderedQty 0 removes
+ *   "notes": "STRING",
+ *   "vendor": "STRING"
+ * }
+ */
+app.post("/purchase-orders/:id/update", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const { lines, notes, vendor } = req.body || {};
+
+    if (lines !== undefined && !Array.isArray(lines)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid payload",
+        message: "lines must be an array",
+        requestId
+      });
+    }
+
+    const result = await updateDraftPurchaseOrder(req.user.storeId, req.params.id, { lines, notes, vendor });
+    return sendPurchaseOrderResult(res, result, requestId, "Failed to update purchase order");
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+app.post("/purchase-orders/:id/approve", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const result = await approvePurchaseOrder(
+      req.user.storeId,
+      req.params.id,
+      req.user.email || req.user.storeId
+    );
+    return sendPurchaseOrderResult(res, result, requestId, "Failed to approve purchase order");
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Receive stock against a sent PO
+ *
+ * PAYLOAD:
+ * {
+ *   "lines": [{ "sku": "STRING", "quantity": NUMBER }],
+ *   "occurredAt": "ISO-8601"   // Optional
+ * }
+ */
+app.post("/purchase-orders/:id/receive", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  try {
+    const { lines, occurredAt } = req.body || {};
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid payload",
+        message: "lines must be a non-empty array of { sku, quantity }",
+        requestId
+      });
+    }
+
+    const result = await receivePurchaseOrder(req.user.storeId, req.params.id, lines, {
+      actor: req.user.email || req.user.storeId,
+      occurredAt
+    });
+
+    if (result.ok) {
+      console.log("📦 [OMEN] Purchase order received", {
+        requestId,
+        storeId: req.user.storeId,
+        poId: req.params.id,
+        status: result.purchaseOrder?.status,
+        lines: result.movements?.length
+      });
+    }
+
+    return sendPurchaseOrderResult(res, result, requestId, "Failed to receive purchase order");
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- DEV LOGIN (TEMPORARY) ---------- */
+/**
+ * Issues a real store-scoped JWT for local development.
+ * BODY: { storeId?: "NJWeedWizard" } (defaults to the first configured store)
+ *
+ * Anyone who can reach it gets a token, so it is off (404) unless
+ * OMEN_DEV_LOGIN_ENABLED=true, and never served when NODE_ENV=production.
+ * Only stores in OMEN_STORE_IDS are issued tokens (403 otherwise).
+ * Deployed instances use POST /auth/store-token instead.
+ */
+const DEV_LOGIN_ENABLED =
+  process.env.OMEN_DEV_LOGIN_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+app.post("/auth/dev-login", (req, res) => {
+  console.log("🔐 [OMEN] DEV LOGIN HIT");
+
+  if (!DEV_LOGIN_ENABLED) {
+    return res.status(404).json({ ok: false, error: 'Not found' });
+  }
+
+  const storeId = req.body?.storeId || getConfiguredStoreIds()[0];
+  const validation = validateStoreId(storeId);
+  if (!validation.valid) {
+    return res.status(400).json({ ok: false, error: 'Invalid storeId', message: validation.error });
+  }
+
+  if (!isConfiguredStore(storeId)) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Unknown store',
+      message: `${storeId} is not served by this instance (OMEN_STORE_IDS)`
+    });
+  }
+
+  res.json({
+    token: generateToken({
+      storeId,
+      storeName: `${storeId} (Dev)`,
+      email: `dev@${storeId.toLowerCase()}.local`,
+      role: 'owner'
+    }),
+    businesses: [
+      {
+        id: storeId,
+        name: `${storeId} (Dev)`,
+      },
+    ],
+  });
+});
+
+/* ---------- STORE TOKEN EXCHANGE ---------- */
+/**
+ * POST /auth/store-token
+ *
+ * Exchanges a Supabase Auth session (dashboard login) for an OMEN JWT.
+ * The store comes from the Supabase user's app_metadata.store_id, which only
+ * the service role can write - the client never chooses its store.
+ *
+ * HEADER: Authorization: Bearer <supabase access token>
+ * RETURNS: { ok, token, storeId, storeName, expiresIn }
+ */
+app.post("/auth/store-token", async (req, res) => {
+  const requestId = crypto.randomUUID();
+
+  const accessToken = (req.headers.authorization || '').replace('Bearer ', '').trim();
+  if (!accessToken) {
+    return res.status(401).json({
+      ok: false,
+      error: 'Unauthorized',
+      message: 'Missing Supabase access token. Provide: Authorization: Bearer <token>',
+      requestId
+    });
+  }
+
+  if (!isSupabaseAvailable()) {
+    return res.status(503).json({
+      ok: false,
+      error: 'Supabase Auth not configured',
+      message: 'Store tokens require Supabase Auth. Use /auth/dev-login for local development.',
+      requestId
+    });
+  }
+
+  try {
+    const { data, error } = await getSupabaseClient().auth.getUser(accessToken);
+
+    if (error || !data?.user) {
+      return res.status(401).json({
+        ok: false,
+        error: 'Invalid session',
+        message: error?.message || 'Supabase session could not be verified',
+        requestId
+      });
+    }
+
+    const { user } = data;
+    const storeId = user.app_metadata?.store_id;
+    const validation = validateStoreId(storeId);
+
+    if (!validation.valid) {
+      console.warn(`🔐 [OMEN] Store token refused for ${user.email}: ${validation.error}`);
+      return res.status(403).json({
+        ok: false,
+        error: 'No store assigned',
+        message: 'This account is not linked to a store (app_metadata.store_id).',
+        requestId
+      });
+    }
+
+    const expiresIn = 12 * 60 * 60;
+    const token = generateToken({
+      storeId,
+      storeName: user.app_metadata?.store_name || storeId,
+      email: user.email,
+      role: user.app_metadata?.role || 'owner'
+    }, expiresIn);
+
+    console.log(`🔐 [OMEN] Store token issued`, { requestId, storeId, email: user.email });
+
+    return res.json({
+      ok: true,
+      token,
+      storeId,
+      storeName: user.app_metadata?.store_name || storeId,
+      expiresIn,
+      requestId
+    });
+  } catch (err) {
+    console.error(`🔐 [OMEN] Store token exchange failed (${requestId}):`, err.message);
+    return res.status(500).json({
+      ok: false,
+      error: 'Store token exchange failed',
+      message: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- WIX INVENTORY SYNC (FULL REPLACE) ---------- */
+/**
+ * SYNC WIX INVENTORY
+ *
+ * Full-replace sync from Wix CSV export.
+ * Called by Make.com scenario: SYNC_WIX_INVENTORY
+ *
+ * BEHAVIOR ("wix" import profile, services/inventoryImportService.js):
+ * 1. Parse CSV content
+ * 2. Stage the batch (diff against wix_inventory_live)
+ * 3. Return the batchId with the diff and stats - nothing is written yet
+ *
+ * A full replace can drop the whole catalog, so it is never committed here:
+ * review the diff, then POST /import/batches/:batchId/commit (the store's
+ * rows are replaced in one transaction).
+ *
+ * ENDPOINT: POST /sync/wix-inventory
+ * HEADER: Authorization: Bearer <store JWT> (only that store's rows are replaced)
+ * BODY: { csvContent: "..." } OR raw CSV text
+ */
+app.post("/sync/wix-inventory", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const startTime = Date.now();
+  const storeId = req.user.storeId;
+
+  console.log("🔄 [OMEN] WIX INVENTORY SYNC REQUESTED", { requestId, storeId });
+
+  try {
+    // 1️⃣ CHECK SUPABASE AVAILABILITY
+    if (!isAuthorityAvailable()) {
+      return res.status(503).json({
+        ok: false,
+        error: "Supabase not configured",
+        message: "Cannot sync inventory: Supabase connection required",
+        requestId
+      });
+    }
+
+    // 2️⃣ EXTRACT CSV CONTENT
+    let csvContent;
+
+    if (typeof req.body === 'string') {
+      // Raw CSV text
+      csvContent = req.body;
+    } else if (req.body?.csvContent) {
+      // JSON with csvContent field
+      csvContent = req.body.csvContent;
+    } else if (req.body?.data) {
+      // Alternative field name
+      csvContent = req.body.data;
+    } else {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid payload",
+        message: "Expected CSV content in body or body.csvContent",
+        requestId
+      });
+    }
+
+    if (!csvContent || typeof csvContent !== 'string' || csvContent.trim().length < 100) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid CSV content",
+        message: "CSV content is empty or too short",
+        requestId
+      });
+    }
+
+    console.log(`🔄 [OMEN] Received CSV content: ${csvContent.length} bytes`, { requestId });
+
+    // 3️⃣ PARSE, VALIDATE, STAGE ("wix" import profile)
+    const result = await previewImport(storeId, { profile: 'wix', csvContent }, {
+      actor: req.user.email || 'wix_sync'
+    });
+
+    if (!result.ok && result.stage === 'parse') {
+      return res.status(400).json({
+        ok: false,
+        error: "No valid items parsed",
+        message: "CSV parsing produced zero inventory items. All rows may have missing or duplicate SKUs.",
+        summary: result.summary,
+        skipped: result.skipped.slice(0, 20),
+        parseErrors: result.parseErrors.slice(0, 10),
+        requestId
+      });
+    }
+
+    if (!result.ok && result.stage === 'validate') {
+      return res.status(400).json({
+        ok: false,
+        error: "No valid items after validation",
+        message: "All parsed items failed validation",
+        invalidSample: result.invalid.slice(0, 5),
+        requestId
+      });
+    }
+
+    if (!result.ok) {
+      console.error(`🔄 [OMEN] Wix import failed:`, result.error, { requestId });
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: "Sync failed",
+        message: result.error,
+        ...(result.stage === 'stage' && { hint: "Ensure import_batches table exists. Run migration 022_import_batches.sql" }),
+        requestId
+      });
+    }
+
+    const { items, valid, invalid, stats, skipped, summary } = result;
+    const duration = Date.now() - startTime;
+
+    console.log(`✅ [OMEN] WIX INVENTORY SYNC STAGED`, {
+      requestId,
+      storeId,
+      batchId: result.batchId,
+      duration: `${duration}ms`
+    });
+
+    return res.json({
+      ok: true,
+      message: `Staged ${valid.length} inventory items from Wix. Review the diff, then POST /import/batches/${result.batchId}/commit`,
+      batchId: result.batchId,
+      status: result.status,
+      counts: result.diff.counts,
+      changes: result.diff.changes,
+      // Required summary format
+      summary: {
+        rows_processed: summary.rows_processed,
+        rows_skipped: summary.rows_skipped,
+        skipped_breakdown: summary.skipped_breakdown
+      },
+      stats: {
+        ...stats,
+        itemsParsed: items.length,
+        itemsValid: valid.length,
+        itemsInvalid: invalid.length,
+        durationMs: duration
+      },
+      // Include skipped details for ops visibility
+      skipped: skipped.length > 0 ? skipped.slice(0, 50) : [],
+      invalid,
+      requestId
+    });
+
+  } catch (err) {
+    console.error(`❌ [OMEN] WIX INVENTORY SYNC FAILED`, {
+      requestId,
+      error: err.message,
+      stack: err.stack
+    });
+
+    return res.status(500).json({
+      ok: false,
+      error: "Sync failed",
+      message: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- INVENTORY IMPORTS ---------- */
+/**
+ * One import pipeline for every spreadsheet layout (services/inventoryImportService.js).
+ * Built-in profiles: wix, shopify, square, google_sheet. Stores can save their own.
+ *
+ * Imports are staged: preview returns the per-SKU diff (new, removed,
+ * quantity / price changed) and validation errors; nothing is written until
+ * the batch is committed. The latest commit can be rolled back while its
+ * SKUs are untouched.
+ *
+ * ENDPOINTS:
+ * - GET /import/profiles - Built-in and saved profiles
+ * - POST /import/profiles - Save a profile
+ * - POST /import/profiles/:profileId/delete - Delete a saved profile
+ * - POST /import/inventory/preview - Stage a file and return its diff
+ * - POST /sync/wix-inventory/preview - Same, for a Wix CSV (as POST /sync/wix-inventory)
+ * - GET /import/batches - Recent batches
+ * - GET /import/batches/:batchId - One batch with its diff
+ * - POST /import/batches/:batchId/commit - Apply a staged batch
+ * - POST /import/batches/:batchId/rollback - Undo the latest commit (409 with
+ *   the conflicting SKUs once any has moved since)
+ * - POST /import/inventory - Same as /import/inventory/preview; never commits
+ *
+ * IMPORT PAYLOAD: { profile, csvContent } | { profile, xlsxBase64, sheet? } | { profile, rows }
+ */
+/**
+ * Send a staged-import preview (diff, validation) or its failure
+ */
+function sendImportPreview(res, result, requestId) {
+  if (!result.ok) {
+    return res.status(result.status || 500).json({
+      ok: false,
+      error: result.error,
+      stage: result.stage,
+      summary: result.summary,
+      skipped: result.skipped?.slice(0, 20),
+      parseErrors: result.parseErrors?.slice(0, 10),
+      invalid: result.invalid,
+      requestId
+    });
+  }
+
+  return res.json({
+    ok: true,
+    batchId: result.batchId,
+    status: result.status,
+    profile: result.profile,
+    counts: result.diff.counts,
+    changes: result.diff.changes,
+    validation: {
+      valid: result.valid.length,
+      invalid: result.invalid
+    },
+    summary: result.summary,
+    skipped: result.skipped,
+    parseErrors: result.parseErrors,
+    requestId
+  });
+}
+
+app.get("/import/profiles", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await listImportProfiles(storeId);
+
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/import/profiles", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await saveImportProfile(storeId, req.body || {}, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/import/profiles/:profileId/delete", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await deleteImportProfile(storeId, req.params.profileId);
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ok: true, deleted: req.params.profileId, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/import/inventory/preview", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    if (!req.body?.profile) {
+      return res.status(400).json({
+        ok: false,
+        error: "profile is required",
+        message: "Use GET /import/profiles for available profiles",
+        requestId
+      });
+    }
+
+    const result = await previewImport(storeId, req.body, { actor: req.user.email || storeId });
+
+    return sendImportPreview(res, result, requestId);
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/sync/wix-inventory/preview", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const csvContent = typeof req.body === 'string' ? req.body : req.body?.csvContent || req.body?.data;
+    if (!csvContent || typeof csvContent !== 'string') {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid payload",
+        message: "Expected CSV content in body or body.csvContent",
+        requestId
+      });
+    }
+
+    const result = await previewImport(storeId, { profile: 'wix', csvContent }, {
+      actor: req.user.email || storeId
+    });
+
+    return sendImportPreview(res, result, requestId);
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.get("/import/batches", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await listImportBatches(storeId, { limit: req.query.limit });
+
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.get("/import/batches/:batchId", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await getImportBatch(storeId, req.params.batchId);
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/import/batches/:batchId/commit", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await commitImport(storeId, req.params.batchId, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, stage: result.stage, requestId });
+    }
+
+    onWixInventoryWebhook(storeId).catch(err => {
+      console.warn('[SelfHealing] Post-import hook failed:', err.message);
+    });
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/import/batches/:batchId/rollback", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await rollbackImport(storeId, req.params.batchId, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, conflicts: result.conflicts, requestId });
+    }
+
+    onWixInventoryWebhook(storeId).catch(err => {
+      console.warn('[SelfHealing] Post-rollback hook failed:', err.message);
+    });
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/import/inventory", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  console.log("📥 [OMEN] Inventory import requested", { requestId, storeId, profile: req.body?.profile });
+
+  try {
+    if (!req.body?.profile) {
+      return res.status(400).json({
+        ok: false,
+        error: "profile is required",
+        message: "Use GET /import/profiles for available profiles",
+        requestId
+      });
+    }
+
+    const result = await previewImport(storeId, req.body, { actor: req.user.email || storeId });
+
+    return sendImportPreview(res, result, requestId);
+
+  } catch (err) {
+    console.error(`❌ [OMEN] Inventory import failed`, { requestId, error: err.message });
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/* ---------- WIX WEBHOOKS ---------- */
+/**
+ * Signed Wix events (services/wixWebhookService.js). No JWT: the request is
+ * authenticated by its HMAC signature (utils/webhookSignature.js).
+ *
+ * Each event is stored once in webhook_events, keyed by its event ID;
+ * redeliveries are acknowledged with duplicate: true and not synced again.
+ * Sync runs after the response so Wix is answered quickly.
+ *
+ * ENDPOINTS:
+ * - POST /webhooks/wix/orders - Store the order event, sync just that event
+ *   (wix.order.created / .refunded / .canceled; inferred from the payload
+ *   when X-OMEN-Event-Type is absent)
+ * - POST /webhooks/wix/inventory - Store the event, update just its SKUs
+ *
+ * HEADERS: X-OMEN-Signature, X-OMEN-Timestamp, X-OMEN-Event-Id?,
+ *          X-OMEN-Event-Type?, X-OMEN-Store-Id (optional on single-store instances;
+ *          the store ID is signed either way - utils/webhookSignature.js)
+ *
+ * Replay captured payloads locally: scripts/replay-wix-webhooks.js
+ */
+app.post("/webhooks/wix/:kind", express.text({ limit: '5mb', type: '*/*' }), async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const { kind } = req.params;
+
+  try {
+    const received = await receiveWixWebhook({
+      kind,
+      headers: req.headers,
+      rawBody: req.rawBody ?? (typeof req.body === 'string' ? req.body : ''),
+      storeId: req.query.storeId
+    });
+
+    if (!received.ok) {
+      return res.status(received.status || 500).json({ ok: false, error: received.error, requestId });
+    }
+
+    res.json({
+      ok: true,
+      storeId: received.storeId,
+      eventId: received.eventId,
+      eventType: received.eventType,
+      duplicate: received.duplicate,
+      requestId
+    });
+
+    if (!received.duplicate) {
+      applyWixWebhook(kind, received).catch(err => {
+        console.warn(`[WixWebhook] ${received.storeId}: ${kind} sync failed for ${received.eventId}: ${err.message}`);
+      });
+    }
+  } catch (err) {
+    console.error(`❌ [OMEN] Wix webhook failed`, { requestId, kind, error: err.message });
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/* ---------- SKU MATCH REVIEW ---------- */
+/**
+ * Order line SKU matches that are fuzzy, or otherwise below
+ * OMEN_SKU_REVIEW_THRESHOLD (lines nothing matched), wait here for a reviewer with the
+ * matcher's ranked candidates (services/skuReviewService.js). Confirming or
+ * correcting one stores an alias that order matching checks before
+ * anything else.
+ *
+ * ENDPOINTS:
+ * - GET /sku-reviews?status=pending|confirmed|corrected|all - Review queue (default pending)
+ * - POST /sku-reviews/:reviewId/confirm - Accept the proposed SKU
+ * - POST /sku-reviews/:reviewId/correct - { sku } Use a different catalog SKU
+ * - GET /sku-aliases - Stored aliases
+ */
+app.get("/sku-reviews", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await listSkuReviews(storeId, { status: req.query.status });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, count: result.reviews.length, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/**
+ * Answer a queued match (confirm or correct) and send the stored alias
+ */
+async function sendSkuReviewAnswer(req, res, action) {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await answerSkuReview(storeId, req.params.reviewId, action, {
+      sku: req.body?.sku,
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+}
+
+app.post("/sku-reviews/:reviewId/confirm", authenticateStore, (req, res) => sendSkuReviewAnswer(req, res, 'confirm'));
+
+app.post("/sku-reviews/:reviewId/correct", authenticateStore, (req, res) => sendSkuReviewAnswer(req, res, 'correct'));
+
+app.get("/sku-aliases", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await listSkuAliases(storeId);
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, count: result.aliases.length, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/* ---------- DATA QUALITY ---------- */
+/**
+ * Scored data-quality report from the check registry in utils/dataQuality.js
+ * (unknown units, missing costs, unmapped inventory, duplicate SKUs,
+ * negative availability). Every full run is stored, so the history shows
+ * whether quality is improving.
+ *
+ * ENDPOINTS:
+ * - GET /data-quality?limit=50 - Run every check; failing rows per check up to limit (max 1000)
+ * - GET /data-quality?check=<id>&limit= - Drill into one check (not stored)
+ * - GET /data-quality/history?limit=30 - Stored scores, newest first, with change from the run before
+ */
+app.get("/data-quality", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await runDataQualityReport(storeId, {
+      check: req.query.check,
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_ROW_LIMIT, 1000);
+
+    return res.json({ ...result, report: limitReportRows(result.report, limit), requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.get("/data-quality/history", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await listDataQualityHistory(storeId, { limit: req.query.limit });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, count: result.reports.length, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/* ---------- ORDER ROLLUPS ---------- */
+/**
+ * Daily per-SKU order totals (services/orderRollupService.js). Order sync
+ * keeps the days it writes up to date; a backfill fills in history. Once a
+ * period is covered, snapshots and chat read rollups instead of raw orders.
+ * A cost record dated before rolled-up sales marks its SKU stale from that
+ * day, and a costing-method change marks all of them; periods reaching a
+ * stale range read raw orders until the next order sync reprices it.
+ *
+ * ENDPOINTS:
+ * - GET /order-rollups - Coverage, size and staleness (incl. staleRanges) of the store's rollups
+ * - POST /order-rollups/backfill - Rebuild rollups from { from?: YYYY-MM-DD } (default first order) through today
+ */
+app.get("/order-rollups", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await getRollupStatus(storeId);
+
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+app.post("/order-rollups/backfill", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await backfillOrderRollups(storeId, {
+      from: req.body?.from,
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message, requestId });
+  }
+});
+
+/* ---------- SKU Cost Management Endpoints ---------- */
+/**
+ * COST AUTHORITY: sku_cost_records holds effective-dated cost history;
+ * sku_costs holds the current cost under the store's costing method
+ * (weighted_average | fifo), refreshed from history on every write
+ *
+ * ENDPOINTS:
+ * - POST /sync/sku-costs - Bulk import costs from JSON
+ * - GET /costs/missing - List SKUs needing cost data
+ * - POST /costs/update - Record a cost for a single SKU
+ * - GET /costs/coverage - Get cost coverage statistics
+ * - GET /costs/history/:sku - Cost records and current cost for a SKU
+ * - GET /costs/method - Current costing method
+ * - POST /costs/method - Change costing method
+ * - GET /costs/shipments - List landed-cost shipments
+ * - GET /costs/shipments/:shipmentId - Shipment with per-SKU allocation breakdown
+ * - POST /costs/shipments/preview - Allocate charges without saving
+ * - POST /costs/shipments - Record a shipment (landed costs → cost history)
+ */
+
+/**
+ * Bulk import SKU costs
+ *
+ * ACCEPTS:
+ * - JSON array: [{ sku: "ABC-123", unit_cost: 10.50, source: "invoice" }, ...]
+ * - Or object with costs field: { costs: [...] }
+ * - Optional per entry: quantity (receipt units), effective_date, source_id
+ *
+ * BEHAVIOR:
+ * - APPENDS cost records (past orders keep the cost in force at their date)
+ * - Validates unit_cost >= 0
+ * - Re-posting the same sku + source + source_id is skipped
+ */
+app.post("/sync/sku-costs", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const startTime = Date.now();
+  const storeId = req.user.storeId;
+
+  console.log("💰 [OMEN] SKU COSTS SYNC REQUESTED", { requestId, storeId });
+
+  try {
+    // 1️⃣ CHECK SUPABASE
+    if (!isAuthorityAvailable()) {
+      return res.status(503).json({
+        ok: false,
+        error: "Supabase not configured",
+        message: "Cannot sync costs: Supabase connection required",
+        requestId
+      });
+    }
+
+    // 2️⃣ EXTRACT COSTS DATA
+    let costs;
+    if (Array.isArray(req.body)) {
+      costs = req.body;
+    } else if (Array.isArray(req.body?.costs)) {
+      costs = req.body.costs;
+    } else {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid payload",
+        message: "Expected JSON array of costs or { costs: [...] }",
+        example: [{ sku: "SKU-123", unit_cost: 10.50, source: "invoice" }],
+        requestId
+      });
+    }
+
+    if (costs.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "Empty costs array",
+        message: "No costs provided to import",
+        requestId
+      });
+    }
+
+    console.log(`💰 [OMEN] Processing ${costs.length} cost entries`, { requestId });
+
+    // 3️⃣ VALIDATE AND PREPARE
+    const valid = [];
+    const invalid = [];
+
+    for (const entry of costs) {
+      try {
+        valid.push(normalizeCostRecord(entry));
+      } catch (validationErr) {
+        invalid.push({ entry, reason: validationErr.message.replace('normalizeCostRecord: ', '') });
+      }
     }
 
     if (valid.length === 0) {
@@ -1018,31 +2948,16 @@ app.post("/sync/sku-costs", async (req, res) => {
       });
     }
 
-    // 4️⃣ UPSERT TO SUPABASE
-    const client = getSupabaseClient();
-
-    const { data: upserted, error: upsertError } = await client
-      .from('sku_costs')
-      .upsert(valid, { onConflict: 'sku' })
-      .select();
-
-    if (upsertError) {
-      console.error(`💰 [OMEN] UPSERT failed:`, upsertError, { requestId });
+    // 4️⃣ APPEND TO COST HISTORY (refreshes sku_costs)
+    const recorded = await recordCosts(storeId, valid, { actor: req.user.email || storeId, markStale: markRollupsStale });
 
-      // Check if table doesn't exist
-      if (upsertError.code === 'PGRST205' || upsertError.code === '42P01') {
-        return res.status(500).json({
-          ok: false,
-          error: "sku_costs table not found",
-          message: "Run migration 004_sku_costs.sql in Supabase SQL Editor",
-          requestId
-        });
-      }
+    if (!recorded.ok) {
+      console.error(`💰 [OMEN] Cost history write failed:`, recorded.error, { requestId });
 
-      return res.status(500).json({
+      return res.status(recorded.status || 500).json({
         ok: false,
         error: "Upsert failed",
-        message: upsertError.message,
+        message: recorded.error,
         requestId
       });
     }
@@ -1051,27 +2966,29 @@ app.post("/sync/sku-costs", async (req, res) => {
 
     console.log(`✅ [OMEN] SKU COSTS SYNC COMPLETE`, {
       requestId,
-      upserted: upserted?.length || valid.length,
+      recorded: recorded.recorded,
+      duplicates: recorded.duplicates,
       duration: `${duration}ms`
     });
 
     // 5️⃣ CLEAR INVENTORY CACHE (margins need recalculation)
-    clearInventory(STORE_ID);
+    clearInventory(storeId);
 
     // 6️⃣ TRIGGER SELF-HEALING HOOK (non-blocking)
     // Re-enrich inventory with new cost data
-    onCostImport().catch(err => {
+    onCostImport(storeId).catch(err => {
       console.warn('[SelfHealing] Post-cost-import hook failed:', err.message);
     });
 
     return res.json({
       ok: true,
-      message: `Successfully imported ${upserted?.length || valid.length} SKU costs`,
+      message: `Successfully imported ${recorded.recorded} SKU costs`,
       stats: {
         submitted: costs.length,
         valid: valid.length,
         invalid: invalid.length,
-        upserted: upserted?.length || valid.length,
+        upserted: recorded.recorded,
+        duplicates: recorded.duplicates,
         durationMs: duration
       },
       invalid: invalid.length > 0 ? invalid.slice(0, 10) : [],
@@ -1099,11 +3016,12 @@ app.post("/sync/sku-costs", async (req, res) => {
  *
  * Joins inventory_virtual with sku_costs to find gaps
  */
-app.get("/costs/missing", async (req, res) => {
+app.get("/costs/missing", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
   try {
-    if (!isSupabaseAvailable()) {
+    if (!isAuthorityAvailable()) {
       return res.status(503).json({
         ok: false,
         error: "Supabase not configured",
@@ -1111,12 +3029,13 @@ app.get("/costs/missing", async (req, res) => {
       });
     }
 
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
 
     // Get all inventory SKUs (visible only)
     const { data: inventory, error: invError } = await client
       .from('inventory_virtual')
       .select('sku, product_name, variant_name, retail')
+      .eq('store_id', storeId)
       .eq('visible', true);
 
     if (invError) {
@@ -1131,7 +3050,8 @@ app.get("/costs/missing", async (req, res) => {
     // Get all SKUs with costs
     const { data: costs, error: costError } = await client
       .from('sku_costs')
-      .select('sku');
+      .select('sku')
+      .eq('store_id', storeId);
 
     // Handle missing table gracefully
     const costSkus = new Set();
@@ -1171,13 +3091,17 @@ app.get("/costs/missing", async (req, res) => {
 });
 
 /**
- * Update single SKU cost
+ * Record a cost for a single SKU
+ *
+ * PAYLOAD: { sku, unit_cost, quantity?, effective_date?, source?, notes? }
+ * Without quantity the record is a cost change; with quantity it is a receipt.
  */
-app.post("/costs/update", async (req, res) => {
+app.post("/costs/update", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
   try {
-    if (!isSupabaseAvailable()) {
+    if (!isAuthorityAvailable()) {
       return res.status(503).json({
         ok: false,
         error: "Supabase not configured",
@@ -1185,7 +3109,7 @@ app.post("/costs/update", async (req, res) => {
       });
     }
 
-    const { sku, unit_cost, source, notes } = req.body;
+    const { sku } = req.body;
 
     if (!sku || typeof sku !== 'string') {
       return res.status(400).json({
@@ -1195,49 +3119,234 @@ app.post("/costs/update", async (req, res) => {
       });
     }
 
-    const costValue = parseFloat(unit_cost);
-    if (isNaN(costValue) || costValue < 0) {
-      return res.status(400).json({
+    const result = await recordCosts(storeId, [req.body], { actor: req.user.email || storeId, markStale: markRollupsStale });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({
+        ok: false,
+        error: result.status === 400 ? "Invalid cost record" : "Update failed",
+        message: result.error,
+        requestId
+      });
+    }
+
+    return res.json({
+      ok: true,
+      message: `Cost updated for SKU ${sku}`,
+      data: result.records[0] || null,
+      current: result.current.find(c => c.sku === sku.trim()) || null,
+      requestId
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Cost records and current cost for a SKU
+ */
+app.get("/costs/history/:sku", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await getSkuCostHistory(storeId, req.params.sku);
+
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Current costing method
+ */
+app.get("/costs/method", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const method = await getCostingMethod(storeId);
+
+    return res.json({ ok: true, method, methods: Object.values(COSTING_METHODS), requestId });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Change costing method
+ *
+ * PAYLOAD: { method: "weighted_average" | "fifo" }
+ * Current costs are recomputed; historical margins follow the new method.
+ */
+app.post("/costs/method", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await setCostingMethod(storeId, req.body?.method, {
+      actor: req.user.email || storeId
+    });
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    console.log(`💰 [OMEN] Costing method for ${storeId} → ${result.method}`, { requestId });
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * List landed-cost shipments
+ */
+app.get("/costs/shipments", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await listShipments(storeId);
+
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Shipment with per-SKU allocation breakdown (audit trail)
+ */
+app.get("/costs/shipments/:shipmentId", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await getShipment(storeId, req.params.shipmentId);
+
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.error, requestId });
+    }
+
+    if (!result.shipment) {
+      return res.status(404).json({
         ok: false,
-        error: "Invalid unit_cost",
-        message: "unit_cost must be a number >= 0",
+        error: `Shipment ${req.params.shipmentId} not found`,
         requestId
       });
     }
 
-    const client = getSupabaseClient();
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Allocate a shipment's charges without saving
+ *
+ * PAYLOAD: same as POST /costs/shipments
+ */
+app.post("/costs/shipments/preview", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await previewShipment(storeId, req.body || {});
+
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
+    }
+
+    return res.json({ ...result, requestId });
+
+  } catch (err) {
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      requestId
+    });
+  }
+});
+
+/**
+ * Record a shipment with its extra charges
+ *
+ * PAYLOAD: {
+ *   shipmentId, vendor?, receivedAt?, notes?,
+ *   lines: [{ sku, quantity, unit_cost, grams? }],
+ *   charges: [{ type: "freight" | "testing" | "excise" | "other", amount,
+ *               basis?: "weight" | "value" | "quantity", description? }]
+ * }
+ * Default basis: freight by weight, testing by quantity, excise/other by value.
+ */
+app.post("/costs/shipments", authenticateStore, async (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const result = await recordShipment(storeId, req.body || {}, {
+      actor: req.user.email || storeId
+    });
 
-    const { data, error } = await client
-      .from('sku_costs')
-      .upsert({
-        sku: sku.trim(),
-        unit_cost: costValue,
-        source: source || 'manual',
-        notes: notes || null,
-        effective_date: new Date().toISOString()
-      }, { onConflict: 'sku' })
-      .select()
-      .single();
-
-    if (error) {
-      return res.status(500).json({
-        ok: false,
-        error: "Update failed",
-        message: error.message,
-        requestId
-      });
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ ok: false, error: result.error, requestId });
     }
 
-    // Clear cache
-    clearInventory(STORE_ID);
+    console.log(`💰 [OMEN] Shipment ${result.shipment.shipmentId} landed for ${storeId}`, {
+      requestId,
+      skus: result.lines.length,
+      landedTotal: result.shipment.totals.landed
+    });
 
-    return res.json({
-      ok: true,
-      message: `Cost updated for SKU ${sku}`,
-      data,
-      requestId
+    // Re-enrich inventory with the new costs (non-blocking)
+    onCostImport(storeId).catch(err => {
+      console.warn('[SelfHealing] Post-cost-import hook failed:', err.message);
     });
 
+    return res.json({ ...result, requestId });
+
   } catch (err) {
     return res.status(500).json({
       ok: false,
@@ -1250,11 +3359,12 @@ app.post("/costs/update", async (req, res) => {
 /**
  * Get cost coverage statistics
  */
-app.get("/costs/coverage", async (req, res) => {
+app.get("/costs/coverage", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
   try {
-    if (!isSupabaseAvailable()) {
+    if (!isAuthorityAvailable()) {
       return res.status(503).json({
         ok: false,
         error: "Supabase not configured",
@@ -1262,18 +3372,20 @@ app.get("/costs/coverage", async (req, res) => {
       });
     }
 
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
 
     // Get inventory count (visible SKUs only - matches Wix dashboard)
     const { count: inventoryCount, error: invCountError } = await client
       .from('inventory_virtual')
       .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId)
       .eq('visible', true);
 
     // Get costs count
     const { count: costCount, error: costCountError } = await client
       .from('sku_costs')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId);
 
     // Handle sku_costs table not existing
     const actualCostCount = costCountError ? 0 : (costCount || 0);
@@ -1283,11 +3395,13 @@ app.get("/costs/coverage", async (req, res) => {
     const { data: inventory } = await client
       .from('inventory_virtual')
       .select('sku, retail')
+      .eq('store_id', storeId)
       .eq('visible', true);
 
     const { data: costs } = await client
       .from('sku_costs')
-      .select('sku, unit_cost');
+      .select('sku, unit_cost')
+      .eq('store_id', storeId);
 
     let marginsComputable = 0;
     if (inventory && costs) {
@@ -1335,13 +3449,15 @@ app.get("/costs/coverage", async (req, res) => {
  * - All intelligence comes from real order velocity or inventory baseline
  * - No alternate reasoning paths may be introduced
  */
-app.post("/chat", async (req, res) => {
+app.post("/chat", authenticateStore, async (req, res) => {
   const requestId = createRequestId();
+  const storeId = req.user.storeId;
   const { message, conversationHistory = [], sessionId = null } = req.body;
 
   try {
     console.log("💬 [OMEN] CHAT HIT", {
       requestId,
+      storeId,
       message,
       historyLength: conversationHistory.length,
       sessionId,
@@ -1386,8 +3502,8 @@ app.post("/chat", async (req, res) => {
 
       try {
         // Fetch inventory with metadata for freshness tracking
-        const result = await getInventoryWithMetadata(STORE_ID);
-        inventoryData = result.items;
+        const result = await getInventoryWithMetadata(storeId);
+        inventoryData = await withVendorTerms(storeId, result.items);
         inventoryMetadata = result.metadata;
         dataFreshness = computeDataFreshness(inventoryMetadata?.inventoryLastSyncedAt);
       } catch (err) {
@@ -1524,7 +3640,7 @@ Current Recommendations Available:
       // Fetch actual snapshots from storage - this is the authoritative source
       let snapshots = [];
       try {
-        snapshots = getLastSnapshots(STORE_ID, 10, null) || [];
+        snapshots = getLastSnapshots(storeId, 10, null) || [];
       } catch (snapshotErr) {
         console.error("[OMEN] Failed to fetch snapshots", { requestId, error: snapshotErr.message });
         snapshots = [];
@@ -1563,14 +3679,15 @@ Current Recommendations Available:
       const fetchedWeekly = snapshots.find(s => s.timeframe === 'weekly');
       const fetchedDaily = snapshots.find(s => s.timeframe === 'daily');
 
-      // Use fetched snapshots, fall back to globals only if fetched are unavailable
-      const weekly = fetchedWeekly || weeklySnapshot;
-      const daily = fetchedDaily || dailySnapshot;
+      // Use fetched snapshots, fall back to this store's in-memory latest only if fetched are unavailable
+      const latestForStore = latestSnapshotsByStore.get(storeId) || {};
+      const weekly = fetchedWeekly || latestForStore.weekly;
+      const daily = fetchedDaily || latestForStore.daily;
 
       console.log("💬 [OMEN] Snapshot sources:", {
         fetchedWeeklyId: fetchedWeekly?.id || null,
         fetchedDailyId: fetchedDaily?.id || null,
-        usingGlobalFallback: !fetchedWeekly && !fetchedDaily,
+        usingInMemoryFallback: !fetchedWeekly && !fetchedDaily,
         weeklyOrderCount: weekly?.velocity?.orderCount || 0,
         dailyOrderCount: daily?.velocity?.orderCount || 0
       });
@@ -1588,7 +3705,7 @@ Current Recommendations Available:
           console.log("💬 [OMEN] No snapshot velocity - querying Supabase directly");
 
           // First try weekly (current week)
-          let liveVelocity = await analyzeInventoryVelocity(inventoryData, 'weekly');
+          let liveVelocity = await analyzeInventoryVelocity(storeId, inventoryData, 'weekly');
 
           // If no orders this week, check if we have ANY historical orders
           if (!liveVelocity?.orderCount || liveVelocity.orderCount === 0) {
@@ -1599,7 +3716,7 @@ Current Recommendations Available:
             const now = new Date();
             const startDate = new Date(now);
             startDate.setDate(startDate.getDate() - 90);
-            const histResult = await queryOrderEvents(startDate.toISOString(), now.toISOString());
+            const histResult = await queryOrderEvents(storeId, startDate.toISOString(), now.toISOString());
             if (histResult?.data?.length > 0) {
               console.log("💬 [OMEN] Found historical orders:", histResult.data.length);
               // We have historical data - set velocity context
@@ -2447,17 +4564,18 @@ function extractTopics(message, needsInventory) {
  *
  * Clears 5-minute inventory cache, forcing next request to fetch fresh data
  */
-app.post("/refresh", async (req, res) => {
+app.post("/refresh", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
   try {
-    console.log("🔄 [REFRESH] Cache invalidation requested", { requestId });
+    console.log("🔄 [REFRESH] Cache invalidation requested", { requestId, storeId });
 
-    // Clear inventory cache
-    clearInventory();
+    // Clear inventory cache (this store only)
+    clearInventory(storeId);
 
     // Force fresh load to verify Supabase connectivity
-    const inventory = await getInventory(STORE_ID);
+    const inventory = await getInventory(storeId);
 
     console.log("🔄 [REFRESH] Cache cleared, fresh data loaded", {
       requestId,
@@ -2943,9 +5061,9 @@ Generated by OMEN Intelligence Engine
   }
 }
 
-// Global snapshot cache (used by chat) - SEPARATE daily and weekly
-let dailySnapshot = null;
-let weeklySnapshot = null;
+// In-memory latest snapshot cache (used by chat) - MULTI-TENANT
+// storeId -> { daily, weekly }
+const latestSnapshotsByStore = new Map();
 
 /* ---------- Weekly Snapshot Endpoint (with Historical Support) ---------- */
 /**
@@ -2965,8 +5083,9 @@ let weeklySnapshot = null;
  * - Persists to disk for historical retrieval
  * - Thread-safe via Node.js single-threaded model
  */
-app.post("/snapshot/generate", async (req, res) => {
+app.post("/snapshot/generate", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
 
   try {
     // Extract parameters (with defaults for backward compatibility)
@@ -2981,6 +5100,7 @@ app.post("/snapshot/generate", async (req, res) => {
 
     console.log("📸 [OMEN] Snapshot generation requested", {
       requestId,
+      storeId,
       asOfDate,
       timeframe,
       forceRegenerate,
@@ -3031,7 +5151,7 @@ app.post("/snapshot/generate", async (req, res) => {
     });
 
     // 3️⃣ IDEMPOTENCY CHECK - Check if snapshot already exists
-    const existingSnapshot = findExistingSnapshot(STORE_ID, timeframe, effectiveDate);
+    const existingSnapshot = findExistingSnapshot(storeId, timeframe, effectiveDate);
 
     if (existingSnapshot && !forceRegenerate) {
       console.log("📸 [OMEN] Snapshot already exists (idempotent)", {
@@ -3041,7 +5161,7 @@ app.post("/snapshot/generate", async (req, res) => {
       });
 
       // Load from cache
-      const cached = loadSnapshot(STORE_ID, timeframe, effectiveDate);
+      const cached = loadSnapshot(storeId, timeframe, effectiveDate);
 
       if (cached) {
         return res.json({
@@ -3062,8 +5182,9 @@ app.post("/snapshot/generate", async (req, res) => {
     let inventoryMetadata = null;
     let snapshotDataFreshness = null;
     try {
-      const invResult = await getInventoryWithMetadata(STORE_ID);
-      inventory = invResult.items;
+      const invResult = await getInventoryWithMetadata(storeId);
+      // Vendor lead times drive restock timing in the action brief and status report
+      inventory = await withVendorTerms(storeId, invResult.items);
       inventoryMetadata = invResult.metadata;
       snapshotDataFreshness = computeDataFreshness(inventoryMetadata?.inventoryLastSyncedAt);
     } catch (err) {
@@ -3140,7 +5261,7 @@ app.post("/snapshot/generate", async (req, res) => {
     }
 
     // 7️⃣ ANALYZE REAL ORDER VELOCITY (from Supabase orders)
-    const velocityAnalysis = await analyzeInventoryVelocity(inventory, timeframe);
+    const velocityAnalysis = await analyzeInventoryVelocity(storeId, inventory, timeframe);
 
     console.log("📸 [OMEN] Velocity analysis complete", {
       requestId,
@@ -3152,7 +5273,7 @@ app.post("/snapshot/generate", async (req, res) => {
     // 7.5️⃣ GET ORDER CONTEXT (30-day and lifetime stats)
     let orderContext = null;
     try {
-      orderContext = await getOrderContext();
+      orderContext = await getOrderContext(storeId);
       console.log("📸 [OMEN] Order context loaded", {
         requestId,
         last30Days: orderContext?.last30Days?.orderCount || 0,
@@ -3213,7 +5334,7 @@ app.post("/snapshot/generate", async (req, res) => {
       asOfDate: effectiveDate,
       dateRange,
       timeframe,
-      store: STORE_ID,
+      store: storeId,
       metrics: enhancedMetrics,
       recommendations,
       // Real temporal intelligence
@@ -3222,6 +5343,9 @@ app.post("/snapshot/generate", async (req, res) => {
         uniqueSKUs: velocityAnalysis.uniqueSKUs,
         insights: velocityAnalysis.insights,
         velocityMetrics: velocityAnalysis.velocityMetrics,
+        forecastSummary: velocityAnalysis.forecastSummary,
+        reorderSummary: velocityAnalysis.reorderSummary,
+        poolSummary: velocityAnalysis.poolSummary,
         orderBasedMargin: velocityAnalysis.orderBasedMargin
       } : null,
       // Multi-scope order context (timeframe, 30-day, lifetime)
@@ -3230,6 +5354,8 @@ app.post("/snapshot/generate", async (req, res) => {
           label: timeframe,
           orderCount: velocityAnalysis.orderCount || 0,
           lineItems: velocityAnalysis.lineItemCount || 0,
+          // Gross sales, refunds and net sales (refunds dated when issued)
+          sales: velocityAnalysis.sales || null,
           dateRange
         },
         last30Days: orderContext?.last30Days || { orderCount: 0, lineItems: 0, totalRevenue: 0 },
@@ -3263,7 +5389,7 @@ app.post("/snapshot/generate", async (req, res) => {
     };
 
     // 🎯 COMPUTE HOLISTIC CONFIDENCE (upgraded logic)
-    const previousSnapshots = getLastSnapshots(STORE_ID, 2, timeframe) || [];
+    const previousSnapshots = getLastSnapshots(storeId, 2, timeframe) || [];
     const holisticConfidence = computeSnapshotConfidence({
       inventoryFreshness: snapshotDataFreshness,
       orderCount: velocityAnalysis.orderCount || 0,
@@ -3298,7 +5424,7 @@ app.post("/snapshot/generate", async (req, res) => {
 
     // 8️⃣ ENRICH WITH INTELLIGENCE LAYER
     // Use previousSnapshots already fetched for confidence calculation
-    const previousSnapshot = previousSnapshots.length > 1 ? loadSnapshot(STORE_ID, timeframe, previousSnapshots[1].asOfDate)?.snapshot : null;
+    const previousSnapshot = previousSnapshots.length > 1 ? loadSnapshot(storeId, timeframe, previousSnapshots[1].asOfDate)?.snapshot : null;
 
     // Add executive-level insights
     const enrichedSnapshot = enrichSnapshotWithIntelligence(snapshot, previousSnapshot);
@@ -3314,6 +5440,9 @@ app.post("/snapshot/generate", async (req, res) => {
       snapshot.actionBrief = null;
     }
 
+    // Per-SKU decisions for /snapshot/diff and /snapshot/export
+    snapshot.decisions = serializeDecisions(decideSnapshot(snapshot));
+
     console.log("📸 [OMEN] Intelligence layer added", {
       requestId,
       hasExecutiveSummary: !!snapshot.intelligence?.executiveSummary,
@@ -3330,51 +5459,41 @@ app.post("/snapshot/generate", async (req, res) => {
       regenerated: forceRegenerate
     });
 
-    // 9️⃣ ADD TO HISTORY INDEX (with idempotency)
-    const indexResult = addToIndex(indexEntry, forceRegenerate);
-
-    // Add snapshotId to snapshot object
-    snapshot.snapshotId = indexEntry.id;
+    // Add snapshotId to snapshot object (an index entry without a cached
+    // snapshot keeps its ID - recordSnapshot only fills in the payload)
+    snapshot.snapshotId = existingSnapshot && !forceRegenerate ? existingSnapshot.id : indexEntry.id;
 
-    // 🔟 PERSIST SNAPSHOT TO DISK
-    const cacheResult = saveSnapshot(STORE_ID, timeframe, effectiveDate, snapshot);
-
-    if (!cacheResult.success) {
-      console.warn("📸 [OMEN] Failed to cache snapshot", {
-        requestId,
-        snapshotId: indexEntry.id,
-        error: cacheResult.error
-      });
-      // Continue anyway - snapshot is still valid
-    }
+    // 🔟 ADD TO HISTORY INDEX AND PERSIST SNAPSHOT (one transaction, with idempotency)
+    const indexResult = recordSnapshot(indexEntry, snapshot, forceRegenerate);
 
     // 1️⃣1️⃣ UPDATE IN-MEMORY REFERENCE (for chat queries)
-    // Store daily and weekly SEPARATELY - chat needs BOTH
+    // Store daily and weekly SEPARATELY per store - chat needs BOTH
+    const latestForStore = latestSnapshotsByStore.get(storeId) || { daily: null, weekly: null };
     if (timeframe === 'daily') {
-      dailySnapshot = snapshot;
-      console.log("📸 [OMEN] Updated dailySnapshot", { orderCount: snapshot.velocity?.orderCount || 0 });
+      latestForStore.daily = snapshot;
     } else {
-      weeklySnapshot = snapshot;
-      console.log("📸 [OMEN] Updated weeklySnapshot", { orderCount: snapshot.velocity?.orderCount || 0 });
+      latestForStore.weekly = snapshot;
     }
+    latestSnapshotsByStore.set(storeId, latestForStore);
+    console.log(`📸 [OMEN] Updated latest ${timeframe === 'daily' ? 'daily' : 'weekly'} snapshot`, { storeId, orderCount: snapshot.velocity?.orderCount || 0 });
 
     console.log("📸 [OMEN] Snapshot generated successfully", {
       requestId,
-      snapshotId: indexEntry.id,
+      snapshotId: indexResult.entry.id,
       asOfDate: effectiveDate,
       timeframe,
       itemCount: inventory.length,
       promotions: recommendations.promotions.length,
       pricing: recommendations.pricing.length,
       inventory: recommendations.inventory.length,
-      cached: cacheResult.success,
+      cached: indexResult.payloadSaved,
       indexReason: indexResult.reason
     });
 
     return res.json({
       ok: true,
       snapshot,
-      snapshotId: indexEntry.id,
+      snapshotId: indexResult.entry.id,
       fromCache: false,
       regenerated: forceRegenerate,
       superseded: indexResult.superseded ? indexResult.superseded.id : null
@@ -3415,12 +5534,13 @@ app.post("/snapshot/generate", async (req, res) => {
  * - UI should disable "Send" button until "Generate" completes
  * - Backend always uses latest cached snapshot, never concurrent generation
  */
-app.post("/snapshot/send", async (req, res) => {
+app.post("/snapshot/send", authenticateStore, async (req, res) => {
   const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
   const { email } = req.body;
 
   try {
-    console.log("📧 [OMEN] Snapshot email requested", { requestId, email });
+    console.log("📧 [OMEN] Snapshot email requested", { requestId, storeId, email });
 
     // 1️⃣ VALIDATE EMAIL
     if (!email || typeof email !== "string") {
@@ -3431,7 +5551,7 @@ app.post("/snapshot/send", async (req, res) => {
     }
 
     // 2️⃣ PREVIEW VS SEND LOCK - Check if snapshot exists
-    const latestEntry = getLatestSnapshotEntry(STORE_ID);
+    const latestEntry = getLatestSnapshotEntry(storeId);
 
     if (!latestEntry) {
       // NO SNAPSHOT EXISTS - Clear error message
@@ -3451,7 +5571,7 @@ app.post("/snapshot/send", async (req, res) => {
     });
 
     // 3️⃣ LOAD SNAPSHOT FROM CACHE
-    const cached = loadSnapshot(STORE_ID, latestEntry.timeframe, latestEntry.asOfDate);
+    const cached = loadSnapshot(storeId, latestEntry.timeframe, latestEntry.asOfDate);
 
     if (!cached) {
       // Snapshot exists in index but not in cache (data corruption)
@@ -3562,9 +5682,9 @@ app.post("/snapshot/send", async (req, res) => {
  *
  * Useful for UI to show historical snapshots available
  */
-app.get("/snapshot/list", (req, res) => {
+app.get("/snapshot/list", authenticateStore, (req, res) => {
   try {
-    const snapshots = listCachedSnapshots();
+    const snapshots = listCachedSnapshots(req.user.storeId);
 
     return res.json({
       ok: true,
@@ -3589,7 +5709,7 @@ app.get("/snapshot/list", (req, res) => {
  * - asOfDate: YYYY-MM-DD (required)
  * - timeframe: "daily" or "weekly" (default: "weekly")
  */
-app.get("/snapshot/get", (req, res) => {
+app.get("/snapshot/get", authenticateStore, (req, res) => {
   try {
     const { asOfDate, timeframe = "weekly" } = req.query;
 
@@ -3600,7 +5720,7 @@ app.get("/snapshot/get", (req, res) => {
       });
     }
 
-    const cached = loadSnapshot(STORE_ID, timeframe, asOfDate);
+    const cached = loadSnapshot(req.user.storeId, timeframe, asOfDate);
 
     if (!cached) {
       return res.status(404).json({
@@ -3643,7 +5763,7 @@ app.get("/snapshot/get", (req, res) => {
  * GET /snapshot/history?limit=10&timeframe=weekly
  * GET /snapshot/history?startDate=2026-01-01&endDate=2026-01-10
  */
-app.get("/snapshot/history", (req, res) => {
+app.get("/snapshot/history", authenticateStore, (req, res) => {
   try {
     const {
       limit = 50,
@@ -3656,6 +5776,7 @@ app.get("/snapshot/history", (req, res) => {
     const parsedLimit = Math.min(parseInt(limit) || 50, 100);
 
     const snapshots = listSnapshotHistory({
+      storeId: req.user.storeId,
       limit: parsedLimit,
       timeframe,
       startDate,
@@ -3698,12 +5819,12 @@ app.get("/snapshot/history", (req, res) => {
  * GET /snapshot/history/last/7
  * GET /snapshot/history/last/10?timeframe=weekly
  */
-app.get("/snapshot/history/last/:count?", (req, res) => {
+app.get("/snapshot/history/last/:count?", authenticateStore, (req, res) => {
   try {
     const count = Math.min(parseInt(req.params.count) || 7, 50);
     const { timeframe } = req.query;
 
-    const snapshots = getLastSnapshots(count, timeframe || null);
+    const snapshots = getLastSnapshots(req.user.storeId, count, timeframe || null);
 
     return res.json({
       ok: true,
@@ -3735,7 +5856,7 @@ app.get("/snapshot/history/last/:count?", (req, res) => {
  * EXAMPLE:
  * GET /snapshot/history/range?startDate=2026-01-01&endDate=2026-01-10
  */
-app.get("/snapshot/history/range", (req, res) => {
+app.get("/snapshot/history/range", authenticateStore, (req, res) => {
   try {
     const { startDate, endDate, timeframe } = req.query;
 
@@ -3758,7 +5879,7 @@ app.get("/snapshot/history/range", (req, res) => {
       });
     }
 
-    const snapshots = getSnapshotsInRange(startDate, endDate, timeframe || null);
+    const snapshots = getSnapshotsInRange(req.user.storeId, startDate, endDate, timeframe || null);
 
     return res.json({
       ok: true,
@@ -3794,9 +5915,9 @@ app.get("/snapshot/history/range", (req, res) => {
  * EXAMPLE:
  * GET /snapshot/history/stats
  */
-app.get("/snapshot/history/stats", (req, res) => {
+app.get("/snapshot/history/stats", authenticateStore, (req, res) => {
   try {
-    const stats = getSnapshotStatistics();
+    const stats = getSnapshotStatistics(req.user.storeId);
 
     return res.json({
       ok: true,
@@ -3812,6 +5933,267 @@ app.get("/snapshot/history/stats", (req, res) => {
   }
 });
 
+/* ---------- Snapshot Diff ---------- */
+/**
+ * GET /snapshot/diff
+ *
+ * Per-SKU differences between any two stored snapshots of the store:
+ * SKUs added and removed, quantity, velocity, units sold, price, cost and
+ * margin changes, and decision changes (e.g. HOLD_LINE → DISCOUNT_SLOW).
+ * See utils/snapshotDiff.js.
+ *
+ * QUERY PARAMS:
+ * - from: Baseline snapshot ID (required)
+ * - to: Snapshot ID to compare against it (required)
+ * - change: Comma list of added, removed, changed, unchanged (default: all but unchanged)
+ * - field: Comma list - rows where any of these fields changed
+ *   (quantity, velocity, unitsSold, retail, cost, unitMargin, marginPercent)
+ * - decision: Comma list - rows whose decision was or became one of these
+ * - decisionChanged: "true" - only rows whose decision moved
+ * - search: SKU or name contains
+ * - sort: sku, name, change, {field}Delta (by size of the move) or {field}To
+ * - order: asc or desc
+ * - limit: Page size (default: 100, max: 1000)
+ * - offset: Rows to skip
+ *
+ * 422 when a snapshot has no stored decisions and lacks the velocityMetrics
+ * to rebuild them (daily cron snapshots recorded before decisions were
+ * stored).
+ *
+ * EXAMPLE:
+ * GET /snapshot/diff?from=snapshot_weekly_2026-01-02_...&to=snapshot_weekly_2026-01-09_...&sort=quantityDelta
+ * GET /snapshot/diff?from=...&to=...&decisionChanged=true
+ */
+app.get("/snapshot/diff", authenticateStore, (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        ok: false,
+        error: "Both from and to snapshot IDs are required",
+        requestId
+      });
+    }
+
+    const list = (value) => value
+      ? String(value).split(',').map(s => s.trim()).filter(Boolean)
+      : [];
+
+    const options = {
+      change: list(req.query.change),
+      fields: list(req.query.field),
+      decision: list(req.query.decision),
+      decisionChanged: req.query.decisionChanged === 'true',
+      search: req.query.search ? String(req.query.search) : '',
+      sort: req.query.sort ? String(req.query.sort) : undefined,
+      order: req.query.order ? String(req.query.order) : undefined,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    };
+
+    const invalid = validateDiffQuery(options);
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid, requestId });
+    }
+
+    const records = {};
+    for (const [side, id] of [['from', from], ['to', to]]) {
+      const record = getSnapshotRecord(storeId, String(id));
+
+      if (!record) {
+        return res.status(404).json({
+          ok: false,
+          error: `Snapshot not found: ${id}`,
+          requestId
+        });
+      }
+
+      if (!record.cached) {
+        return res.status(409).json({
+          ok: false,
+          error: `Snapshot ${id} has no stored snapshot data to compare`,
+          requestId
+        });
+      }
+
+      const missing = missingDecisionInputs(record.cached.snapshot);
+      if (missing) {
+        return res.status(422).json({
+          ok: false,
+          error: `Snapshot ${id} has ${missing}`,
+          message: "Compare weekly or API-generated snapshots, or regenerate this one",
+          requestId
+        });
+      }
+
+      records[side] = record;
+    }
+
+    const rows = diffSnapshots(records.from.cached.snapshot, records.to.cached.snapshot);
+    const result = queryDiffRows(rows, options);
+
+    const describe = ({ entry }) => ({
+      id: entry.id,
+      timeframe: entry.timeframe,
+      asOfDate: entry.asOfDate,
+      createdAt: entry.createdAt
+    });
+
+    return res.json({
+      ok: true,
+      from: describe(records.from),
+      to: describe(records.to),
+      summary: summarizeDiff(rows),
+      rows: result.rows,
+      total: result.total,
+      limit: options.limit,
+      offset: options.offset,
+      requestId
+    });
+  } catch (err) {
+    console.error("📸 [OMEN] Failed to diff snapshots:", err.message);
+    return res.status(500).json({
+      ok: false,
+      error: "Failed to diff snapshots",
+      message: err.message,
+      requestId
+    });
+  }
+});
+
+/* ---------- Snapshot Export ---------- */
+/**
+ * GET /snapshot/export
+ *
+ * Download a stored snapshot as a file, rendered in-process (no external
+ * services). See utils/snapshotExport.js.
+ *
+ * FORMATS:
+ * - xlsx: Workbook with Metrics, SKU Facts, Decisions and Velocity sheets
+ * - csv: One table as CSV (table=...), or all four as a zip of CSVs
+ * - pdf: Paginated report - executive brief, trend charts (up to 12 stored
+ *   snapshots of the same timeframe), decision, velocity and SKU tables
+ *
+ * QUERY PARAMS:
+ * - id: Snapshot ID (or asOfDate + timeframe)
+ * - asOfDate: YYYY-MM-DD - the current snapshot for that date
+ * - timeframe: "daily" or "weekly" (default: "weekly", with asOfDate)
+ * - format: xlsx, csv or pdf (required)
+ * - table: csv only - metrics, skus, decisions, velocity or all (default: all)
+ *
+ * 422 when the snapshot's decisions can't be known (see /snapshot/diff).
+ *
+ * EXAMPLE:
+ * GET /snapshot/export?id=snapshot_weekly_2026-01-09_...&format=pdf
+ * GET /snapshot/export?asOfDate=2026-01-09&format=csv&table=skus
+ */
+app.get("/snapshot/export", authenticateStore, (req, res) => {
+  const requestId = crypto.randomUUID();
+  const storeId = req.user.storeId;
+
+  try {
+    const { id, asOfDate, timeframe = "weekly" } = req.query;
+    const options = {
+      format: req.query.format ? String(req.query.format).toLowerCase() : undefined,
+      table: req.query.table ? String(req.query.table).toLowerCase() : undefined
+    };
+
+    const invalid = validateExportOptions(options);
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid, requestId });
+    }
+
+    if (!id && !asOfDate) {
+      return res.status(400).json({
+        ok: false,
+        error: "Snapshot id or asOfDate is required",
+        requestId
+      });
+    }
+
+    if (!id && !/^\d{4}-\d{2}-\d{2}$/.test(String(asOfDate))) {
+      return res.status(400).json({
+        ok: false,
+        error: "asOfDate must be in YYYY-MM-DD format",
+        requestId
+      });
+    }
+
+    const snapshotId = id ? String(id) : findExistingSnapshot(storeId, String(timeframe), String(asOfDate))?.id;
+    const record = snapshotId ? getSnapshotRecord(storeId, snapshotId) : null;
+
+    if (!record) {
+      return res.status(404).json({
+        ok: false,
+        error: id ? `Snapshot not found: ${id}` : `No ${timeframe} snapshot found for ${asOfDate}`,
+        requestId
+      });
+    }
+
+    if (!record.cached) {
+      return res.status(409).json({
+        ok: false,
+        error: `Snapshot ${record.entry.id} has no stored snapshot data to export`,
+        requestId
+      });
+    }
+
+    const missing = missingDecisionInputs(record.cached.snapshot);
+    if (missing) {
+      return res.status(422).json({
+        ok: false,
+        error: `Snapshot ${record.entry.id} has ${missing}`,
+        message: "Export a weekly or API-generated snapshot, or regenerate this one",
+        requestId
+      });
+    }
+
+    const { entry } = record;
+    const snapshot = {
+      ...record.cached.snapshot,
+      snapshotId: record.cached.snapshot.snapshotId || entry.id,
+      timeframe: record.cached.snapshot.timeframe || entry.timeframe,
+      asOfDate: record.cached.snapshot.asOfDate || entry.asOfDate
+    };
+
+    if (options.format === 'pdf') {
+      options.history = listSnapshotHistory({
+        storeId,
+        timeframe: entry.timeframe,
+        endDate: entry.asOfDate,
+        limit: 100
+      });
+    }
+
+    const file = buildSnapshotExport(snapshot, options);
+
+    console.log("📸 [OMEN] Snapshot exported", {
+      requestId,
+      storeId,
+      snapshotId: entry.id,
+      format: options.format,
+      table: options.table || null,
+      bytes: file.body.length
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    return res.send(file.body);
+  } catch (err) {
+    console.error("📸 [OMEN] Failed to export snapshot:", err.message);
+    return res.status(500).json({
+      ok: false,
+      error: "Failed to export snapshot",
+      message: err.message,
+      requestId
+    });
+  }
+});
+
 /* ---------- Start Server (LAST) ---------- */
 const PORT = process.env.PORT || 3000;
 
@@ -3829,88 +6211,138 @@ app.post("/omen/run-daily", async (req, res) => {
 /* ---------- Cron Job Endpoints (Railway Scheduled Tasks) ---------- */
 
 /**
- * Daily snapshot cron job
- * Called by Railway cron at 8 AM EST daily
+ * Generate one cron snapshot for one store
+ *
+ * MULTI-TENANT: Cron requests carry no store token - the routes below call
+ * this once per configured store (see storeRegistry.js).
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} timeframe - 'daily' or 'weekly'
+ * @param {string} requestId - Cron request ID (shared across stores)
+ * @param {number} lookbackDays - Order sync lookback before generating
+ * @returns {Promise<object>} Per-store result
  */
-app.post("/cron/daily-snapshot", async (req, res) => {
-  const requestId = crypto.randomUUID();
-  console.log("⏰ [CRON] Daily snapshot triggered", { requestId, source: req.body?.source });
-
+async function runCronSnapshotForStore(storeId, timeframe, requestId, lookbackDays) {
+  // SELF-HEALING: Sync orders before snapshot generation
+  // This ensures snapshots reflect latest order data from webhooks
   try {
-    // SELF-HEALING: Sync orders before snapshot generation
-    // This ensures snapshots reflect latest order data from webhooks
-    try {
-      const { syncOrdersFromWebhooks } = await import('./services/orderSyncService.js');
-      const syncResult = await syncOrdersFromWebhooks(7); // Last 7 days for daily
-      console.log("⏰ [CRON] Order sync complete", { synced: syncResult.synced, skipped: syncResult.skipped });
-    } catch (syncErr) {
-      console.warn("⏰ [CRON] Order sync failed (continuing with snapshot)", { error: syncErr.message });
-    }
+    const { syncOrdersFromWebhooks } = await import('./services/orderSyncService.js');
+    const syncResult = await syncOrdersFromWebhooks(storeId, lookbackDays);
+    console.log("⏰ [CRON] Order sync complete", { storeId, synced: syncResult.synced, skipped: syncResult.skipped });
+  } catch (syncErr) {
+    console.warn("⏰ [CRON] Order sync failed (continuing with snapshot)", { storeId, error: syncErr.message });
+  }
 
-    // Generate daily snapshot
-    const inventory = await getInventory(STORE_ID);
+  const inventory = await withVendorTerms(storeId, await getInventory(storeId));
 
-    if (!inventory || inventory.length === 0) {
-      console.error("⏰ [CRON] No inventory available for daily snapshot");
-      return res.json({
-        ok: false,
-        error: "No inventory data available"
-      });
-    }
+  if (!inventory || inventory.length === 0) {
+    console.error(`⏰ [CRON] No inventory available for ${timeframe} snapshot`, { storeId });
+    return {
+      storeId,
+      ok: false,
+      error: "No inventory data available"
+    };
+  }
 
-    const metrics = calculateInventoryMetrics(inventory);
-    const dateRange = calculateDateRange('daily', null);
-    const velocityAnalysis = await analyzeInventoryVelocity(inventory, 'daily');
+  const metrics = calculateInventoryMetrics(inventory);
+  const dateRange = calculateDateRange(timeframe, null);
+  const velocityAnalysis = await analyzeInventoryVelocity(storeId, inventory, timeframe);
 
-    const snapshot = {
-      requestId,
-      generatedAt: new Date().toISOString(),
-      asOfDate: dateRange.asOfDate,
-      dateRange,
-      timeframe: 'daily',
-      store: STORE_ID,
-      metrics,
-      velocity: velocityAnalysis.ok ? {
-        orderCount: velocityAnalysis.orderCount,
-        uniqueSKUs: velocityAnalysis.uniqueSKUs,
-        insights: velocityAnalysis.insights,
-        orderBasedMargin: velocityAnalysis.orderBasedMargin
-      } : null,
-      recommendations: velocityAnalysis.ok && velocityAnalysis.insights?.length > 0
-        ? convertInsightsToRecommendations(velocityAnalysis.insights)
-        : generateRecommendations(inventory, metrics, 'daily'),
-      temporal: {
-        intelligenceSource: velocityAnalysis.ok ? 'real_orders' : 'snapshot_deltas',
-        hasRealData: velocityAnalysis.ok
-      },
-      enrichedInventory: inventory,
-      confidence: velocityAnalysis.ok ? "high" : "medium",
-      itemCount: inventory.length
-    };
+  const snapshot = {
+    requestId,
+    generatedAt: new Date().toISOString(),
+    asOfDate: dateRange.asOfDate,
+    dateRange,
+    timeframe,
+    store: storeId,
+    metrics,
+    velocity: velocityAnalysis.ok ? {
+      orderCount: velocityAnalysis.orderCount,
+      uniqueSKUs: velocityAnalysis.uniqueSKUs,
+      insights: velocityAnalysis.insights,
+      ...(timeframe === 'weekly' && { velocityMetrics: velocityAnalysis.velocityMetrics }),
+      forecastSummary: velocityAnalysis.forecastSummary,
+      reorderSummary: velocityAnalysis.reorderSummary,
+      poolSummary: velocityAnalysis.poolSummary,
+      orderBasedMargin: velocityAnalysis.orderBasedMargin
+    } : null,
+    recommendations: velocityAnalysis.ok && velocityAnalysis.insights?.length > 0
+      ? convertInsightsToRecommendations(velocityAnalysis.insights)
+      : generateRecommendations(inventory, metrics, timeframe),
+    temporal: {
+      intelligenceSource: velocityAnalysis.ok ? 'real_orders' : 'snapshot_deltas',
+      hasRealData: velocityAnalysis.ok
+    },
+    enrichedInventory: inventory,
+    confidence: velocityAnalysis.ok ? "high" : "medium",
+    itemCount: inventory.length
+  };
 
-    // Save snapshot
-    const indexEntry = createSnapshotEntry(snapshot, 'daily', dateRange.asOfDate, {
-      createdBy: 'railway_cron',
-      createdVia: 'cron'
-    });
+  // Decided while velocityMetrics are at hand - daily snapshots don't keep them
+  snapshot.decisions = serializeDecisions(decideSnapshot({
+    enrichedInventory: inventory,
+    velocity: velocityAnalysis.ok ? { velocityMetrics: velocityAnalysis.velocityMetrics } : null
+  }));
+
+  // Save snapshot
+  const indexEntry = createSnapshotEntry(snapshot, timeframe, dateRange.asOfDate, {
+    createdBy: 'railway_cron',
+    createdVia: 'cron'
+  });
+
+  const indexResult = recordSnapshot(indexEntry, snapshot, false);
+
+  console.log(`⏰ [CRON] ${timeframe === 'daily' ? 'Daily' : 'Weekly'} snapshot complete`, {
+    requestId,
+    storeId,
+    hasRealData: velocityAnalysis.ok,
+    insightCount: velocityAnalysis.insights?.length || 0
+  });
+
+  return {
+    storeId,
+    ok: true,
+    snapshotId: indexResult.entry.id,
+    hasRealIntelligence: velocityAnalysis.ok,
+    insightCount: velocityAnalysis.insights?.length || 0
+  };
+}
+
+/**
+ * Run a cron snapshot for every configured store
+ *
+ * A failing store is reported in its own result and does not stop the others.
+ */
+async function runCronSnapshots(timeframe, requestId, lookbackDays) {
+  const results = [];
 
-    const indexResult = addToIndex(indexEntry, false);
-    if (indexResult.success) {
-      saveSnapshot(STORE_ID, 'daily', dateRange.asOfDate, snapshot);
+  for (const storeId of getConfiguredStoreIds()) {
+    try {
+      results.push(await runCronSnapshotForStore(storeId, timeframe, requestId, lookbackDays));
+    } catch (err) {
+      console.error(`⏰ [CRON] ${timeframe} snapshot failed for store`, { requestId, storeId, error: err.message });
+      results.push({ storeId, ok: false, error: err.message });
     }
+  }
 
-    console.log("⏰ [CRON] Daily snapshot complete", {
-      requestId,
-      hasRealData: velocityAnalysis.ok,
-      insightCount: velocityAnalysis.insights?.length || 0
-    });
+  return results;
+}
+
+/**
+ * Daily snapshot cron job
+ * Called by Railway cron at 8 AM EST daily
+ */
+app.post("/cron/daily-snapshot", async (req, res) => {
+  const requestId = crypto.randomUUID();
+  console.log("⏰ [CRON] Daily snapshot triggered", { requestId, source: req.body?.source });
+
+  try {
+    const stores = await runCronSnapshots('daily', requestId, 7); // Last 7 days for daily
 
     return res.json({
-      ok: true,
+      ok: stores.every(s => s.ok),
       requestId,
-      snapshotId: indexEntry.id,
-      hasRealIntelligence: velocityAnalysis.ok,
-      insightCount: velocityAnalysis.insights?.length || 0
+      stores
     });
 
   } catch (error) {
@@ -3931,85 +6363,16 @@ app.post("/cron/weekly-snapshot", async (req, res) => {
   console.log("⏰ [CRON] Weekly snapshot triggered", { requestId, source: req.body?.source });
 
   try {
-    // SELF-HEALING: Sync orders before snapshot generation
-    // This ensures snapshots reflect latest order data from webhooks
-    try {
-      const { syncOrdersFromWebhooks } = await import('./services/orderSyncService.js');
-      const syncResult = await syncOrdersFromWebhooks(30); // Last 30 days for weekly
-      console.log("⏰ [CRON] Order sync complete", { synced: syncResult.synced, skipped: syncResult.skipped });
-    } catch (syncErr) {
-      console.warn("⏰ [CRON] Order sync failed (continuing with snapshot)", { error: syncErr.message });
-    }
-
-    // Generate weekly snapshot
-    const inventory = await getInventory(STORE_ID);
-
-    if (!inventory || inventory.length === 0) {
-      console.error("⏰ [CRON] No inventory available for weekly snapshot");
-      return res.json({
-        ok: false,
-        error: "No inventory data available"
-      });
-    }
-
-    const metrics = calculateInventoryMetrics(inventory);
-    const dateRange = calculateDateRange('weekly', null);
-    const velocityAnalysis = await analyzeInventoryVelocity(inventory, 'weekly');
-
-    const snapshot = {
-      requestId,
-      generatedAt: new Date().toISOString(),
-      asOfDate: dateRange.asOfDate,
-      dateRange,
-      timeframe: 'weekly',
-      store: STORE_ID,
-      metrics,
-      velocity: velocityAnalysis.ok ? {
-        orderCount: velocityAnalysis.orderCount,
-        uniqueSKUs: velocityAnalysis.uniqueSKUs,
-        insights: velocityAnalysis.insights,
-        velocityMetrics: velocityAnalysis.velocityMetrics,
-        orderBasedMargin: velocityAnalysis.orderBasedMargin
-      } : null,
-      recommendations: velocityAnalysis.ok && velocityAnalysis.insights?.length > 0
-        ? convertInsightsToRecommendations(velocityAnalysis.insights)
-        : generateRecommendations(inventory, metrics, 'weekly'),
-      temporal: {
-        intelligenceSource: velocityAnalysis.ok ? 'real_orders' : 'snapshot_deltas',
-        hasRealData: velocityAnalysis.ok
-      },
-      enrichedInventory: inventory,
-      confidence: velocityAnalysis.ok ? "high" : "medium",
-      itemCount: inventory.length
-    };
-
-    // Save snapshot
-    const indexEntry = createSnapshotEntry(snapshot, 'weekly', dateRange.asOfDate, {
-      createdBy: 'railway_cron',
-      createdVia: 'cron'
-    });
-
-    const indexResult = addToIndex(indexEntry, false);
-    if (indexResult.success) {
-      saveSnapshot(STORE_ID, 'weekly', dateRange.asOfDate, snapshot);
-    }
-
-    console.log("⏰ [CRON] Weekly snapshot complete", {
-      requestId,
-      hasRealData: velocityAnalysis.ok,
-      insightCount: velocityAnalysis.insights?.length || 0
-    });
+    const stores = await runCronSnapshots('weekly', requestId, 30); // Last 30 days for weekly
 
     // TODO: Send email to owner with snapshot
     // For now, just log that it's ready
     console.log("⏰ [CRON] Weekly snapshot ready for email delivery");
 
     return res.json({
-      ok: true,
+      ok: stores.every(s => s.ok),
       requestId,
-      snapshotId: indexEntry.id,
-      hasRealIntelligence: velocityAnalysis.ok,
-      insightCount: velocityAnalysis.insights?.length || 0
+      stores
     });
 
   } catch (error) {
@@ -4024,35 +6387,41 @@ app.post("/cron/weekly-snapshot", async (req, res) => {
 /**
  * CLEAR AND RESYNC ORDERS: Delete all orders and re-sync with new SKU matching
  */
-app.post('/api/resync-orders', async (req, res) => {
+app.post('/api/resync-orders', authenticateStore, async (req, res) => {
+  const storeId = req.user.storeId;
   try {
-    const { getSupabaseClient, isSupabaseAvailable } = await import('./db/supabaseClient.js');
+    const { getAuthorityClient, isAuthorityAvailable } = await import('./db/authorityAdapter.js');
     const { syncOrdersFromWebhooks } = await import('./services/orderSyncService.js');
 
-    if (!isSupabaseAvailable()) {
+    if (!isAuthorityAvailable()) {
       return res.status(500).json({
         ok: false,
         error: 'Supabase not configured'
       });
     }
 
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
 
-    console.log('[API] RESYNC: Deleting all existing orders...');
+    console.log(`[API] RESYNC: Deleting all existing orders for ${storeId}...`);
 
-    // Delete ALL orders to clear old fake SKUs
+    // Delete ALL of this store's orders to clear old fake SKUs
     const { error: deleteError } = await client
       .from('orders')
       .delete()
-      .neq('id', 0); // Delete all rows
+      .eq('store_id', storeId);
 
     if (deleteError) {
       throw new Error(`Failed to clear orders: ${deleteError.message}`);
     }
 
+    const rollupClear = await clearOrderRollups(storeId);
+    if (!rollupClear.ok) {
+      throw new Error(`Failed to clear order rollups: ${rollupClear.error}`);
+    }
+
     console.log('[API] RESYNC: Orders cleared, re-syncing with new SKU matching...');
 
-    const result = await syncOrdersFromWebhooks(30); // Last 30 days
+    const result = await syncOrdersFromWebhooks(storeId, 30); // Last 30 days
 
     return res.json({
       ok: true,
@@ -4071,12 +6440,13 @@ app.post('/api/resync-orders', async (req, res) => {
 /**
  * MANUAL ORDER SYNC: Force re-sync from webhook_events (keeps existing)
  */
-app.post('/api/sync-orders', async (req, res) => {
+app.post('/api/sync-orders', authenticateStore, async (req, res) => {
+  const storeId = req.user.storeId;
   try {
     const { syncOrdersFromWebhooks } = await import('./services/orderSyncService.js');
 
-    console.log('[API] Manual order sync requested');
-    const result = await syncOrdersFromWebhooks(30); // Last 30 days
+    console.log(`[API] Manual order sync requested for ${storeId}`);
+    const result = await syncOrdersFromWebhooks(storeId, 30); // Last 30 days
 
     return res.json({
       ok: true,
@@ -4095,11 +6465,12 @@ app.post('/api/sync-orders', async (req, res) => {
 /**
  * DIAGNOSTIC: Check order sync status
  */
-app.get('/api/diagnostic/orders', async (req, res) => {
+app.get('/api/diagnostic/orders', authenticateStore, async (req, res) => {
+  const storeId = req.user.storeId;
   try {
-    const { getSupabaseClient, isSupabaseAvailable } = await import('./db/supabaseClient.js');
+    const { getAuthorityClient, isAuthorityAvailable } = await import('./db/authorityAdapter.js');
 
-    if (!isSupabaseAvailable()) {
+    if (!isAuthorityAvailable()) {
       return res.json({
         ok: false,
         error: 'Supabase not configured',
@@ -4109,12 +6480,13 @@ app.get('/api/diagnostic/orders', async (req, res) => {
       });
     }
 
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
 
     // Check orders table
     const { data: orders, error: ordersError } = await client
       .from('orders')
       .select('id, order_id, order_date, sku, strain, quantity')
+      .eq('store_id', storeId)
       .order('order_date', { ascending: false })
       .limit(10);
 
@@ -4122,12 +6494,14 @@ app.get('/api/diagnostic/orders', async (req, res) => {
     const { data: webhooks, error: webhooksError } = await client
       .from('webhook_events')
       .select('id, event_type, received_at')
+      .eq('store_id', storeId)
       .eq('event_type', 'wix.order.created')
       .order('received_at', { ascending: false })
       .limit(10);
 
     return res.json({
       ok: true,
+      storeId,
       supabaseConfigured: true,
       orders: {
         count: orders?.length || 0,
@@ -4161,9 +6535,9 @@ app.get('/api/diagnostic/orders', async (req, res) => {
  *
  * Bolt calls this to understand system health.
  */
-app.get('/internal/status', async (req, res) => {
+app.get('/internal/status', authenticateStore, async (req, res) => {
   try {
-    const status = await getSystemStatus();
+    const status = await getSystemStatus(req.user.storeId);
     const schedulerStatus = getSchedulerStatus();
 
     return res.json({
@@ -4186,10 +6560,10 @@ app.get('/internal/status', async (req, res) => {
  * Forces an immediate freshness check (normally runs every 6h).
  * If inventory is stale > 24h, triggers automatic resync.
  */
-app.post('/internal/freshness-check', async (_req, res) => {
+app.post('/internal/freshness-check', authenticateStore, async (req, res) => {
   try {
     console.log('[Internal] Manual freshness check triggered');
-    const result = await triggerManualCheck();
+    const result = await triggerManualCheck(req.user.storeId);
 
     return res.json({
       ok: true,
@@ -4223,7 +6597,7 @@ app.post('/internal/freshness-check', async (_req, res) => {
  * - 'stale_detection': Snapshot/chat detected stale data
  * - 'manual': Manual trigger
  */
-app.post('/internal/rebuild', async (req, res) => {
+app.post('/internal/rebuild', authenticateStore, async (req, res) => {
   const {
     reason = 'manual',
     inventory = true,
@@ -4235,6 +6609,7 @@ app.post('/internal/rebuild', async (req, res) => {
     console.log('[Internal] Rebuild requested:', { reason, inventory, orders, force });
 
     const result = await rebuildController(reason, {
+      storeId: req.user.storeId,
       inventory,
       orders,
       force
@@ -4265,11 +6640,11 @@ app.post('/internal/rebuild', async (req, res) => {
  *
  * Returns list of issues if any.
  */
-app.post('/internal/verify', async (req, res) => {
+app.post('/internal/verify', authenticateStore, async (req, res) => {
   try {
     console.log('[Internal] Verification requested');
 
-    const verification = await verifyDataIntegrity();
+    const verification = await verifyDataIntegrity(req.user.storeId);
 
     return res.json({
       ok: verification.passed,
@@ -4296,7 +6671,7 @@ app.post('/internal/verify', async (req, res) => {
  * - forcedByWebhook: boolean
  * - forcedByCostImport: boolean
  */
-app.post('/internal/resolve', async (req, res) => {
+app.post('/internal/resolve', authenticateStore, async (req, res) => {
   const {
     trigger = 'api',
     forcedByWebhook = false,
@@ -4307,6 +6682,7 @@ app.post('/internal/resolve', async (req, res) => {
     console.log('[Internal] Freshness resolution requested:', { trigger });
 
     const result = await freshnessResolver({
+      storeId: req.user.storeId,
       trigger,
       forcedByWebhook,
       forcedByCostImport
@@ -4340,6 +6716,12 @@ app.listen(PORT, () => {
   console.log(`OMEN server running on port ${PORT}`);
   console.log(`Serving frontend from: ${publicPath}`);
 
+  if (DEV_LOGIN_ENABLED) {
+    console.warn(`⚠️ [Startup] POST /auth/dev-login is enabled: tokens for ${getConfiguredStoreIds().join(', ')} are issued without a login`);
+  } else if (process.env.OMEN_DEV_LOGIN_ENABLED === 'true') {
+    console.warn('⚠️ [Startup] OMEN_DEV_LOGIN_ENABLED ignored: NODE_ENV is production');
+  }
+
   // STATELESS STARTUP: Snapshots are DERIVED from Supabase on-demand
   // NO disk-based snapshot loading - Railway deploys are ephemeral
   // Snapshots generated via UI trigger POST /snapshot/generate
@@ -0,0 +1,433 @@
+/**
+ * COST HISTORY SERVICE
+ *
+ * Persistence for effective-dated cost records (sku_cost_records) and the
+ * per-store costing method (costing_policies). The costing engine lives in
+ * utils/costing.js.
+ *
+ * FLOW:
+ * 1. recordCosts: append cost changes / receipts (never overwrite), then
+ *    hand the new records to the caller's markStale callback - callers
+ *    pass orderRollupService.markRollupsStale, so a record dated before
+ *    already-rolled-up sales marks that SKU's order rollups stale
+ * 2. refreshCurrentCosts: fold history + sales → sku_costs.unit_cost, so
+ *    sku_profitability keeps showing the current cost
+ * 3. loadCostHistory: records for costing orders at their order date
+ *
+ * SKUs with a sku_costs row but no history (e.g. a freshly seeded store)
+ * are treated as having an opening record effective since 1970.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { collectPages } from '../db/pagedQuery.js';
+import { clearInventory } from '../tools/inventoryStore.js';
+import {
+  DEFAULT_COSTING_METHOD,
+  OPENING_COST_DATE,
+  requireCostingMethod,
+  normalizeCostRecord,
+  costSales,
+  createCostSkuResolver
+} from '../utils/costing.js';
+
+const RECORD_COLUMNS = 'id, sku, unit_cost, quantity, effective_at, source, source_id, notes, recorded_by, recorded_at';
+
+/**
+ * Guard: storeId must be provided to every cost history operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[CostHistory] ${fnName}: storeId is required`);
+  }
+}
+
+function rowToRecord(row) {
+  return {
+    id: row.id ?? null,
+    sku: row.sku,
+    unitCost: parseFloat(row.unit_cost),
+    quantity: row.quantity !== null && row.quantity !== undefined ? Number(row.quantity) : null,
+    effectiveAt: row.effective_at,
+    source: row.source,
+    sourceId: row.source_id ?? null,
+    notes: row.notes ?? null,
+    recordedBy: row.recorded_by ?? null,
+    recordedAt: row.recorded_at ?? null
+  };
+}
+
+function openingRecord(costRow) {
+  return {
+    id: null,
+    sku: costRow.sku,
+    unitCost: parseFloat(costRow.unit_cost),
+    quantity: null,
+    effectiveAt: OPENING_COST_DATE,
+    source: 'opening_balance',
+    sourceId: 'sku_costs',
+    notes: `Opening cost carried over from sku_costs (${costRow.source || 'unknown'})`,
+    recordedBy: 'system',
+    recordedAt: null
+  };
+}
+
+// ============================================================================
+// COSTING METHOD
+// ============================================================================
+
+/**
+ * Costing method for a store (default weighted_average)
+ *
+ * Non-fatal: if the policy cannot be read, the default is used.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<string>}
+ */
+export async function getCostingMethod(storeId) {
+  requireStoreId('getCostingMethod', storeId);
+
+  if (!isAuthorityAvailable()) return DEFAULT_COSTING_METHOD;
+
+  try {
+    const { data, error } = await getAuthorityClient()
+      .from('costing_policies')
+      .select('method')
+      .eq('store_id', storeId)
+      .maybeSingle();
+
+    if (error || !data) return DEFAULT_COSTING_METHOD;
+    return data.method;
+  } catch (err) {
+    console.warn(`[CostHistory] Costing method unavailable for ${storeId}: ${err.message}`);
+    return DEFAULT_COSTING_METHOD;
+  }
+}
+
+/**
+ * Set a store's costing method and reprice current costs with it
+ *
+ * Order rollups costed with the old method are rebuilt by the next order
+ * sync (orderRollupService.rebuildStaleRollups).
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} method - One of COSTING_METHODS
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, method?: string, refreshed?: number, status?: number, error?: string}>}
+ */
+export async function setCostingMethod(storeId, method, context = {}) {
+  requireStoreId('setCostingMethod', storeId);
+
+  try {
+    requireCostingMethod(method);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const { error } = await getAuthorityClient()
+    .from('costing_policies')
+    .upsert({
+      store_id: storeId,
+      method,
+      updated_by: context.actor || 'system',
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'store_id' });
+
+  if (error) {
+    return { ok: false, status: 500, error: error.message };
+  }
+
+  console.log(`[CostHistory] ${storeId}: costing method set to ${method} by ${context.actor || 'system'}`);
+
+  const refreshed = await refreshCurrentCosts(storeId);
+  if (!refreshed.ok) return { ok: false, status: 500, error: refreshed.error };
+
+  return { ok: true, method, refreshed: refreshed.updated };
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Load cost records for a store (optionally some SKUs), oldest first
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<string>|null} [skus] - Limit to these SKUs
+ * @returns {Promise<{ok: boolean, records?: Array, method?: string, error?: string}>}
+ */
+export async function loadCostHistory(storeId, skus = null) {
+  requireStoreId('loadCostHistory', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  let recordQuery = client
+    .from('sku_cost_records')
+    .select(RECORD_COLUMNS)
+    .eq('store_id', storeId)
+    .order('effective_at', { ascending: true });
+  if (skus) recordQuery = recordQuery.in('sku', skus);
+
+  let costQuery = client
+    .from('sku_costs')
+    .select('sku, unit_cost, source')
+    .eq('store_id', storeId);
+  if (skus) costQuery = costQuery.in('sku', skus);
+
+  const [{ data: recordRows, error: recordError }, { data: costRows, error: costError }] =
+    await Promise.all([recordQuery, costQuery]);
+
+  if (costError) {
+    return { ok: false, error: costError.message };
+  }
+
+  // Without the history table every SKU keeps its single current cost
+  if (recordError) {
+    console.warn(`[CostHistory] sku_cost_records unavailable (${recordError.message}) - using sku_costs as opening costs`);
+  }
+
+  const records = (recordRows || []).map(rowToRecord);
+  const withHistory = new Set(records.map(r => r.sku));
+  for (const row of costRows || []) {
+    if (row.sku && row.unit_cost !== null && !withHistory.has(row.sku)) {
+      records.unshift(openingRecord(row));
+    }
+  }
+
+  return { ok: true, records, method: await getCostingMethod(storeId) };
+}
+
+/**
+ * Sales of costed SKUs from orders, for depleting receipt layers
+ *
+ * Read page by page: a short read (QUERY_TRUNCATED) fails like any other
+ * query error rather than leaving receipt layers undepleted.
+ *
+ * @returns {Promise<{ok: boolean, salesBySku?: Map, error?: string}>}
+ */
+async function loadSalesBySku(storeId, costSkus, since) {
+  const client = getAuthorityClient();
+
+  let lines;
+  try {
+    lines = await collectPages(() => client
+      .from('orders')
+      .select('order_id, sku, strain, unit, quantity, order_date', { count: 'exact' })
+      .eq('store_id', storeId)
+      .gte('order_date', since)
+      .order('order_date', { ascending: true })
+      .order('order_id', { ascending: true })
+      .order('sku', { ascending: true })
+      .order('entry_type', { ascending: true })
+      .order('entry_ref', { ascending: true }),
+    { label: 'orders (cost history)' });
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  const resolveCostSku = createCostSkuResolver(costSkus);
+  const salesBySku = new Map();
+  for (const line of lines) {
+    const costSku = resolveCostSku(line);
+    if (!costSku) continue;
+    if (!salesBySku.has(costSku)) salesBySku.set(costSku, []);
+    salesBySku.get(costSku).push({ quantity: Number(line.quantity) || 0, date: line.order_date });
+  }
+
+  return { ok: true, salesBySku };
+}
+
+/**
+ * Cost history and costed sales for one SKU
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} sku - SKU
+ * @returns {Promise<{ok: boolean, sku?: string, method?: string, records?: Array, current?: Object, error?: string}>}
+ */
+export async function getSkuCostHistory(storeId, sku) {
+  requireStoreId('getSkuCostHistory', storeId);
+
+  const history = await loadCostHistory(storeId, [sku]);
+  if (!history.ok) return history;
+
+  if (history.records.length === 0) {
+    return { ok: true, sku, method: history.method, records: [], current: null };
+  }
+
+  const sales = await loadSalesBySku(storeId, [sku], history.records[0].effectiveAt);
+  if (!sales.ok) return sales;
+
+  const { current } = costSales(history.records, sales.salesBySku.get(sku) || [], history.method);
+
+  return { ok: true, sku, method: history.method, records: history.records, current };
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/**
+ * Append cost records and refresh the current cost of the SKUs touched
+ *
+ * The first record for a SKU that only had a sku_costs row also stores
+ * that row as its opening record, so earlier orders keep their cost.
+ * Re-posting the same (sku, source, sourceId) is ignored.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array} entries - Records for normalizeCostRecord()
+ * @param {Object} context - { actor, markStale?: (storeId, records) =>
+ *   Promise<{marked}> - invalidates what the new records reprice (e.g.
+ *   markRollupsStale) }
+ * @returns {Promise<{ok: boolean, recorded?: number, duplicates?: number, records?: Array,
+ *   current?: Array, staleRollups?: Array<{sku, staleFrom}>, status?: number, error?: string}>}
+ */
+export async function recordCosts(storeId, entries, context = {}) {
+  requireStoreId('recordCosts', storeId);
+
+  let records;
+  try {
+    records = (entries || []).map(normalizeCostRecord);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  if (records.length === 0) {
+    return { ok: true, recorded: 0, duplicates: 0, records: [], current: [] };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+  const actor = context.actor || 'system';
+  const skus = [...new Set(records.map(r => r.sku))];
+
+  // Materialize opening records for SKUs entering history for the first time
+  const existing = await loadCostHistory(storeId, skus);
+  if (!existing.ok) return { ok: false, status: 500, error: existing.error };
+
+  const openings = existing.records.filter(r => r.id === null);
+
+  const rows = [...openings, ...records].map(record => ({
+    store_id: storeId,
+    sku: record.sku,
+    unit_cost: record.unitCost,
+    quantity: record.quantity,
+    effective_at: record.effectiveAt,
+    source: record.source,
+    source_id: record.sourceId,
+    notes: record.notes,
+    recorded_by: record.id === null && record.source === 'opening_balance' ? 'system' : actor
+  }));
+
+  const { data, error } = await client
+    .from('sku_cost_records')
+    .upsert(rows, { onConflict: 'store_id,sku,source,source_id', ignoreDuplicates: true })
+    .select(RECORD_COLUMNS);
+
+  if (error) {
+    console.error(`[CostHistory] Failed to record costs: ${error.message}`);
+    return { ok: false, status: 500, error: error.message };
+  }
+
+  const inserted = (data || []).map(rowToRecord).filter(r => r.source !== 'opening_balance' || r.sourceId !== 'sku_costs');
+  const duplicates = records.length - inserted.length;
+
+  const refreshed = await refreshCurrentCosts(storeId, skus);
+  if (!refreshed.ok) return { ok: false, status: 500, error: refreshed.error };
+
+  // Backdated records change the cost of sales already rolled up
+  const stale = context.markStale ? await context.markStale(storeId, inserted) : { marked: [] };
+
+  console.log(`[CostHistory] ${storeId}: recorded ${inserted.length} cost records (${duplicates} duplicates skipped), ${refreshed.updated} current costs refreshed`);
+
+  return {
+    ok: true,
+    recorded: inserted.length,
+    duplicates,
+    records: inserted,
+    current: refreshed.current,
+    staleRollups: stale.marked
+  };
+}
+
+/**
+ * Recompute current unit costs from history and write them to sku_costs
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<string>|null} [skus] - Limit to these SKUs (default all with history)
+ * @returns {Promise<{ok: boolean, updated?: number, current?: Array, error?: string}>}
+ */
+export async function refreshCurrentCosts(storeId, skus = null) {
+  requireStoreId('refreshCurrentCosts', storeId);
+
+  const history = await loadCostHistory(storeId, skus);
+  if (!history.ok) return history;
+
+  const bySku = new Map();
+  for (const record of history.records) {
+    if (record.id === null) continue; // No history yet - sku_costs is already current
+    if (!bySku.has(record.sku)) bySku.set(record.sku, []);
+    bySku.get(record.sku).push(record);
+  }
+
+  if (bySku.size === 0) return { ok: true, updated: 0, current: [] };
+
+  const since = history.records.reduce(
+    (min, r) => (r.id !== null && r.effectiveAt < min ? r.effectiveAt : min),
+    new Date().toISOString()
+  );
+  const sales = await loadSalesBySku(storeId, Array.from(bySku.keys()), since);
+  if (!sales.ok) return sales;
+
+  const now = new Date().toISOString();
+  const current = [];
+  const rows = [];
+  for (const [sku, records] of bySku) {
+    const result = costSales(records, sales.salesBySku.get(sku) || [], history.method).current;
+    if (result.unitCost === null) continue;
+    current.push({ sku, unitCost: result.unitCost, unitsOnHand: result.unitsOnHand, method: history.method });
+    rows.push({
+      store_id: storeId,
+      sku,
+      unit_cost: parseFloat(result.unitCost.toFixed(2)),
+      effective_date: now,
+      source: 'cost_history',
+      notes: `Current ${history.method} cost from ${records.length} records`,
+      updated_at: now
+    });
+  }
+
+  if (rows.length > 0) {
+    const { error } = await getAuthorityClient()
+      .from('sku_costs')
+      .upsert(rows, { onConflict: 'store_id,sku' });
+
+    if (error) return { ok: false, error: error.message };
+
+    // Margins in the cached inventory view are now stale
+    clearInventory(storeId);
+  }
+
+  return { ok: true, updated: rows.length, current };
+}
+
+export default {
+  getCostingMethod,
+  setCostingMethod,
+  loadCostHistory,
+  getSkuCostHistory,
+  recordCosts,
+  refreshCurrentCosts
+};
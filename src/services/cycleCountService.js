@@ -0,0 +1,513 @@
+/**
+ * CYCLE COUNT SERVICE
+ *
+ * Count sessions for a subset of SKUs, reconciled against inventory_virtual.
+ * Sheet selection, review rules and the shrink report live in
+ * utils/cycleCounts.js; the variance math in
+ * utils/inventoryState.js (verifyInventoryChanges).
+ *
+ * FLOW:
+ * 1. createCountSession: pick SKUs (explicit list, or least recently
+ *    counted, optionally one category) and store a blind count sheet.
+ * 2. recordCounts: store shelf counts with the derived quantity at that
+ *    moment and the variance. Recounting a line overwrites it until it is
+ *    reviewed.
+ * 3. reviewCounts: approve (post) or reject counted lines. Approved lines
+ *    become count movements on the ledger (ADJUST by the variance, on-hand
+ *    re-baselined at the count) and the variance is applied to
+ *    wix_inventory_live too, so the Wix snapshot agrees with the shelf.
+ * 4. getShrinkReport: approved variances by SKU and by period.
+ *
+ * A session belongs to the store that opened it; counts and reviews for
+ * another store's session ID come back as 404.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { clearInventory } from '../tools/inventoryStore.js';
+import { verifyInventoryChanges } from '../utils/inventoryState.js';
+import { buildCountAdjustment } from '../utils/inventoryLedger.js';
+import {
+  COUNT_SESSION_STATUS,
+  COUNT_LINE_STATUS,
+  SHRINK_PERIODS,
+  selectCountSkus,
+  parseCounts,
+  sessionStatusFor,
+  summarizeSession,
+  selectReviewLines,
+  summarizeShrink
+} from '../utils/cycleCounts.js';
+import { recordMovements } from './inventoryLedgerService.js';
+
+const LEDGER_SOURCE_TYPE = 'cycle_count';
+
+// Columns a counter sees: no derived quantity or variance
+const SHEET_COLUMNS = 'sku, product_name, variant_name, status, counted_qty, counted_by, counted_at';
+
+/**
+ * Guard: storeId must be provided to every cycle count operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[CycleCount] ${fnName}: storeId is required`);
+  }
+}
+
+async function loadSession(client, storeId, sessionId) {
+  const { data, error } = await client
+    .from('cycle_count_sessions')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('id', Number(sessionId))
+    .maybeSingle();
+
+  if (error) return { ok: false, status: 500, error: error.message };
+  if (!data) return { ok: false, status: 404, error: `Count session ${sessionId} not found` };
+  return { ok: true, session: data };
+}
+
+async function loadLines(client, storeId, sessionId, columns = '*') {
+  const { data, error } = await client
+    .from('cycle_count_lines')
+    .select(columns)
+    .eq('store_id', storeId)
+    .eq('session_id', Number(sessionId))
+    .order('sku', { ascending: true });
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Start a count session and issue its sheet
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - { name?, skus?, category?, limit? }
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, session?: Object, sheet?: Array, unknownSkus?: string[], status?: number, error?: string}>}
+ */
+export async function createCountSession(storeId, input = {}, context = {}) {
+  requireStoreId('createCountSession', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const [inventory, history] = await Promise.all([
+    client
+      .from('inventory_virtual')
+      .select('sku, product_name, variant_name, category')
+      .eq('store_id', storeId),
+    client
+      .from('cycle_count_lines')
+      .select('sku, counted_at')
+      .eq('store_id', storeId)
+      .not('counted_at', 'is', null)
+  ]);
+
+  if (inventory.error) return { ok: false, status: 500, error: inventory.error.message };
+  if (history.error) return { ok: false, status: 500, error: history.error.message };
+
+  const lastCounted = new Map();
+  for (const row of history.data || []) {
+    if (!lastCounted.has(row.sku) || row.counted_at > lastCounted.get(row.sku)) lastCounted.set(row.sku, row.counted_at);
+  }
+
+  const selection = { skus: input.skus, category: input.category, limit: input.limit };
+  const picked = selectCountSkus(inventory.data, lastCounted, selection);
+  if (!picked.ok) return { ok: false, status: 400, error: picked.error };
+  if (picked.rows.length === 0) {
+    const reason = picked.unknownSkus.length > 0 ? `: unknown SKUs ${picked.unknownSkus.join(', ')}` : '';
+    return { ok: false, status: 400, error: `No SKUs to count${reason}` };
+  }
+
+  const actor = context.actor || 'system';
+  const now = new Date().toISOString();
+
+  const { data: created, error: sessionError } = await client
+    .from('cycle_count_sessions')
+    .insert({
+      store_id: storeId,
+      name: input.name ? String(input.name).trim() : `Cycle count ${now.slice(0, 10)}`,
+      status: COUNT_SESSION_STATUS.OPEN,
+      selection: Object.fromEntries(Object.entries(selection).filter(([, value]) => value !== undefined)),
+      created_by: actor,
+      created_at: now
+    })
+    .select('*');
+
+  if (sessionError) return { ok: false, status: 500, error: sessionError.message };
+  const session = created[0];
+
+  const { error: linesError } = await client
+    .from('cycle_count_lines')
+    .insert(picked.rows.map(row => ({
+      session_id: session.id,
+      store_id: storeId,
+      sku: row.sku,
+      product_name: row.product_name ?? null,
+      variant_name: row.variant_name ?? null,
+      status: COUNT_LINE_STATUS.PENDING
+    })));
+
+  if (linesError) return { ok: false, status: 500, error: linesError.message };
+
+  console.log(`[CycleCount] ${storeId}: session ${session.id} opened by ${actor} - ${picked.rows.length} SKUs`);
+
+  return {
+    ok: true,
+    session,
+    sheet: await loadLines(client, storeId, session.id, SHEET_COLUMNS),
+    unknownSkus: picked.unknownSkus
+  };
+}
+
+/**
+ * List count sessions, newest first
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [filters] - { status?: 'open'|'closed', limit? }
+ * @returns {Promise<{ok: boolean, sessions?: Array, status?: number, error?: string}>}
+ */
+export async function listCountSessions(storeId, filters = {}) {
+  requireStoreId('listCountSessions', storeId);
+
+  if (filters.status && !Object.values(COUNT_SESSION_STATUS).includes(filters.status)) {
+    return { ok: false, status: 400, error: `Unknown status: ${filters.status}` };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  let query = getAuthorityClient()
+    .from('cycle_count_sessions')
+    .select('*')
+    .eq('store_id', storeId);
+
+  if (filters.status) query = query.eq('status', filters.status);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(filters.limit, 10) || 20, 100));
+
+  if (error) return { ok: false, error: error.message };
+  return { ok: true, sessions: data || [] };
+}
+
+/**
+ * A session with its lines
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number|string} sessionId - cycle_count_sessions.id
+ * @param {Object} [options] - { sheet?: true for the blind count sheet (no derived quantities) }
+ * @returns {Promise<{ok: boolean, session?: Object, lines?: Array, summary?: Object, status?: number, error?: string}>}
+ */
+export async function getCountSession(storeId, sessionId, options = {}) {
+  requireStoreId('getCountSession', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const loaded = await loadSession(client, storeId, sessionId);
+  if (!loaded.ok) return loaded;
+
+  const lines = await loadLines(client, storeId, sessionId, options.sheet ? SHEET_COLUMNS : '*');
+
+  return options.sheet
+    ? { ok: true, session: loaded.session, lines }
+    : { ok: true, session: loaded.session, lines, summary: summarizeSession(lines) };
+}
+
+// ============================================================================
+// COUNTS
+// ============================================================================
+
+/**
+ * Record shelf counts and their variance against inventory_virtual
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number|string} sessionId - cycle_count_sessions.id
+ * @param {Array} input - [{ sku, quantity }]
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, variances?: Array, reconciliation?: Object, summary?: Object, status?: number, error?: string}>}
+ */
+export async function recordCounts(storeId, sessionId, input, context = {}) {
+  requireStoreId('recordCounts', storeId);
+
+  const parsed = parseCounts(input);
+  if (!parsed.ok) return { ok: false, status: 400, error: parsed.error };
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const loaded = await loadSession(client, storeId, sessionId);
+  if (!loaded.ok) return loaded;
+  if (loaded.session.status !== COUNT_SESSION_STATUS.OPEN) {
+    return { ok: false, status: 409, error: `Count session ${sessionId} is ${loaded.session.status}` };
+  }
+
+  const lines = await loadLines(client, storeId, sessionId);
+  const bySku = new Map(lines.map(line => [line.sku, line]));
+
+  const offSheet = parsed.counts.filter(count => !bySku.has(count.sku)).map(count => count.sku);
+  if (offSheet.length > 0) {
+    return { ok: false, status: 400, error: `Not on this count sheet: ${offSheet.join(', ')}` };
+  }
+  const decided = parsed.counts.filter(count => ![COUNT_LINE_STATUS.PENDING, COUNT_LINE_STATUS.COUNTED].includes(bySku.get(count.sku).status));
+  if (decided.length > 0) {
+    return { ok: false, status: 409, error: `Already reviewed: ${decided.map(count => count.sku).join(', ')}` };
+  }
+
+  const { data: derivedRows, error: derivedError } = await client
+    .from('inventory_virtual')
+    .select('sku, available_quantity')
+    .eq('store_id', storeId)
+    .in('sku', parsed.counts.map(count => count.sku));
+
+  if (derivedError) return { ok: false, status: 500, error: derivedError.message };
+
+  const reconciliation = verifyInventoryChanges(
+    [],
+    (derivedRows || []).map(row => ({ sku: row.sku, quantity: Number(row.available_quantity) || 0 })),
+    { counts: parsed.counts }
+  );
+
+  const actor = context.actor || 'system';
+  const now = new Date().toISOString();
+
+  for (const variance of reconciliation.variances) {
+    const { error } = await client
+      .from('cycle_count_lines')
+      .update({
+        status: COUNT_LINE_STATUS.COUNTED,
+        counted_qty: variance.countedQty,
+        derived_qty: variance.derivedQty,
+        variance: variance.variance,
+        counted_by: actor,
+        counted_at: now
+      })
+      .eq('store_id', storeId)
+      .eq('id', bySku.get(variance.sku).id);
+
+    if (error) return { ok: false, status: 500, error: error.message };
+  }
+
+  const counted = reconciliation.summary;
+  console.log(`[CycleCount] ${storeId}: session ${sessionId} - ${counted.countsReconciled} counted by ${actor}, ${counted.varianceCount} with variance (net ${counted.netVariance})`);
+
+  return {
+    ok: true,
+    variances: reconciliation.variances,
+    reconciliation: counted,
+    summary: summarizeSession(await loadLines(client, storeId, sessionId))
+  };
+}
+
+/**
+ * Approve or reject counted lines
+ *
+ * approve posts each non-zero variance: an ADJUST movement on the ledger
+ * (source cycle_count / session id) and the same delta on
+ * wix_inventory_live.quantity_on_hand. The session closes once no line is
+ * pending or counted.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number|string} sessionId - cycle_count_sessions.id
+ * @param {'approve'|'reject'} action
+ * @param {Object} context - { skus? (default every eligible line), actor }
+ * @returns {Promise<{ok: boolean, action?: string, reviewed?: number, posted?: number,
+ *   adjustments?: Array, session?: Object, summary?: Object, status?: number, error?: string}>}
+ */
+export async function reviewCounts(storeId, sessionId, action, context = {}) {
+  requireStoreId('reviewCounts', storeId);
+
+  if (action !== 'approve' && action !== 'reject') {
+    return { ok: false, status: 400, error: `Unknown review action: ${action}` };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const loaded = await loadSession(client, storeId, sessionId);
+  if (!loaded.ok) return loaded;
+  if (loaded.session.status !== COUNT_SESSION_STATUS.OPEN) {
+    return { ok: false, status: 409, error: `Count session ${sessionId} is ${loaded.session.status}` };
+  }
+
+  const lines = await loadLines(client, storeId, sessionId);
+  const selected = selectReviewLines(lines, action, context.skus);
+  if (!selected.ok) return { ok: false, status: 400, error: selected.error };
+  if (selected.lines.length === 0) {
+    return { ok: false, status: 400, error: `No lines to ${action}` };
+  }
+
+  const actor = context.actor || 'system';
+  const now = new Date().toISOString();
+
+  let adjustments = [];
+  let posted = 0;
+
+  if (action === 'approve') {
+    const toPost = selected.lines.filter(line => Number(line.variance) !== 0);
+
+    // Every approved line is a count (the ledger re-baselines at it), even
+    // with no variance
+    const counts = selected.lines.map(line => buildCountAdjustment(line.sku, Number(line.counted_qty), Number(line.derived_qty), {
+      reason: `Cycle count: ${loaded.session.name}`,
+      actor,
+      sourceDocument: { type: LEDGER_SOURCE_TYPE, id: String(loaded.session.id) },
+      occurredAt: line.counted_at
+    }));
+
+    const ledger = await recordMovements(storeId, counts);
+    if (!ledger.ok) return { ok: false, status: 500, error: ledger.error };
+    adjustments = counts.filter(m => m.quantity !== 0);
+    posted = ledger.movements.filter(m => m.quantity !== 0).length;
+
+    // Same delta on the snapshot, so the Wix quantity lands on the count too
+    if (toPost.length > 0) {
+      const { data: snapshotRows, error: snapshotError } = await client
+        .from('wix_inventory_live')
+        .select('sku, quantity_on_hand')
+        .eq('store_id', storeId)
+        .in('sku', toPost.map(line => line.sku));
+
+      if (snapshotError) return { ok: false, status: 500, error: snapshotError.message };
+
+      const onHand = new Map((snapshotRows || []).map(row => [row.sku, Number(row.quantity_on_hand) || 0]));
+      for (const line of toPost) {
+        if (!onHand.has(line.sku)) continue;
+        const { error } = await client
+          .from('wix_inventory_live')
+          .update({ quantity_on_hand: onHand.get(line.sku) + Number(line.variance) })
+          .eq('store_id', storeId)
+          .eq('sku', line.sku);
+
+        if (error) return { ok: false, status: 500, error: error.message };
+      }
+
+      clearInventory(storeId);
+    }
+  }
+
+  const status = action === 'approve' ? COUNT_LINE_STATUS.APPROVED : COUNT_LINE_STATUS.REJECTED;
+  const { error: decideError } = await client
+    .from('cycle_count_lines')
+    .update({ status, decided_by: actor, decided_at: now })
+    .eq('store_id', storeId)
+    .in('id', selected.lines.map(line => line.id));
+
+  if (decideError) return { ok: false, status: 500, error: decideError.message };
+
+  const updatedLines = await loadLines(client, storeId, sessionId);
+  let session = loaded.session;
+  if (sessionStatusFor(updatedLines) === COUNT_SESSION_STATUS.CLOSED) {
+    const { error: closeError } = await client
+      .from('cycle_count_sessions')
+      .update({ status: COUNT_SESSION_STATUS.CLOSED, closed_at: now })
+      .eq('store_id', storeId)
+      .eq('id', session.id);
+
+    if (closeError) return { ok: false, status: 500, error: closeError.message };
+    session = { ...session, status: COUNT_SESSION_STATUS.CLOSED, closed_at: now };
+  }
+
+  console.log(`[CycleCount] ${storeId}: session ${sessionId} - ${selected.lines.length} lines ${status} by ${actor}${posted ? `, ${posted} adjustments posted` : ''}`);
+
+  return {
+    ok: true,
+    action,
+    reviewed: selected.lines.length,
+    posted,
+    adjustments,
+    session,
+    summary: summarizeSession(updatedLines)
+  };
+}
+
+// ============================================================================
+// SHRINK
+// ============================================================================
+
+/**
+ * Shrink and overage from approved counts, by SKU and by period
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [options] - { from?, to? (ISO, inclusive), period?: 'day'|'week'|'month' }
+ * @returns {Promise<{ok: boolean, report?: Object, status?: number, error?: string}>}
+ */
+export async function getShrinkReport(storeId, options = {}) {
+  requireStoreId('getShrinkReport', storeId);
+
+  const period = options.period || 'month';
+  if (!SHRINK_PERIODS.includes(period)) {
+    return { ok: false, status: 400, error: `period must be one of ${SHRINK_PERIODS.join(', ')}` };
+  }
+  for (const bound of ['from', 'to']) {
+    if (options[bound] && isNaN(new Date(options[bound]).getTime())) {
+      return { ok: false, status: 400, error: `${bound} must be an ISO date` };
+    }
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  let query = client
+    .from('cycle_count_lines')
+    .select('sku, product_name, variant_name, status, variance, counted_at')
+    .eq('store_id', storeId)
+    .eq('status', COUNT_LINE_STATUS.APPROVED);
+
+  if (options.from) query = query.gte('counted_at', new Date(options.from).toISOString());
+  if (options.to) query = query.lte('counted_at', new Date(options.to).toISOString());
+
+  const [lines, costs] = await Promise.all([
+    query.order('counted_at', { ascending: true }),
+    client.from('sku_costs').select('sku, unit_cost').eq('store_id', storeId)
+  ]);
+
+  if (lines.error) return { ok: false, status: 500, error: lines.error.message };
+  if (costs.error) return { ok: false, status: 500, error: costs.error.message };
+
+  const unitCosts = new Map((costs.data || []).map(row => [row.sku, row.unit_cost]));
+
+  return {
+    ok: true,
+    report: {
+      from: options.from || null,
+      to: options.to || null,
+      ...summarizeShrink(lines.data, unitCosts, { period })
+    }
+  };
+}
+
+export default {
+  createCountSession,
+  listCountSessions,
+  getCountSession,
+  recordCounts,
+  reviewCounts,
+  getShrinkReport
+};
@@ -0,0 +1,206 @@
+/**
+ * DATA QUALITY SERVICE
+ *
+ * Loads a store's orders, inventory and costs, runs the data-quality check
+ * registry (utils/dataQuality.js) and keeps a history of scores in
+ * data_quality_reports so trends are visible.
+ *
+ * FLOW:
+ * 1. runDataQualityReport: load data, run every check, store the summary
+ *    (score, grade, per-check counts - never the failing rows).
+ * 2. The caller gets the full report, failing rows included, plus the change
+ *    since the previous stored run.
+ * 3. listDataQualityHistory: stored summaries, newest first, each with its
+ *    change from the run before.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { collectPages } from '../db/pagedQuery.js';
+import {
+  DATA_QUALITY_CHECKS,
+  getCheck,
+  buildReport,
+  summarizeReport,
+  compareReports
+} from '../utils/dataQuality.js';
+
+const DEFAULT_HISTORY_LIMIT = 30;
+const MAX_HISTORY_LIMIT = 365;
+
+/**
+ * Guard: storeId must be provided to every data-quality operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[DataQuality] ${fnName}: storeId is required`);
+  }
+}
+
+/**
+ * Everything the checks look at, for one store
+ *
+ * Each table is read page by page in its unique key order; a short read
+ * throws QUERY_TRUNCATED rather than scoring part of the store.
+ *
+ * @returns {Promise<{orders: Array, inventory: Array, costs: Array}>}
+ * @throws {Error} Query error or QUERY_TRUNCATED
+ */
+async function loadCheckData(client, storeId) {
+  const [orders, inventory, costs] = await Promise.all([
+    collectPages(() => client
+      .from('orders')
+      .select('order_id, order_date, sku, strain, unit', { count: 'exact' })
+      .eq('store_id', storeId)
+      .order('order_date', { ascending: true })
+      .order('order_id', { ascending: true })
+      .order('sku', { ascending: true })
+      .order('entry_type', { ascending: true })
+      .order('entry_ref', { ascending: true }),
+    { label: 'orders' }),
+    collectPages(() => client
+      .from('inventory_virtual')
+      .select('sku, product_name, variant_name, visible, available_quantity', { count: 'exact' })
+      .eq('store_id', storeId)
+      .order('sku', { ascending: true }),
+    { label: 'inventory_virtual' }),
+    collectPages(() => client
+      .from('sku_costs')
+      .select('sku, unit_cost', { count: 'exact' })
+      .eq('store_id', storeId)
+      .order('sku', { ascending: true }),
+    { label: 'sku_costs' })
+  ]);
+
+  return { orders, inventory, costs };
+}
+
+async function loadLatestReport(client, storeId) {
+  const { data, error } = await client
+    .from('data_quality_reports')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('generated_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw new Error(error.message);
+  return (data || [])[0] || null;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Run the data-quality checks and store the result
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [options] - { check?: single check ID (not stored), actor? }
+ * @returns {Promise<{ok: boolean, report?: Object, change?: Object|null, stored?: boolean,
+ *   reportId?: number, status?: number, error?: string}>}
+ */
+export async function runDataQualityReport(storeId, options = {}) {
+  requireStoreId('runDataQualityReport', storeId);
+
+  let checks = DATA_QUALITY_CHECKS;
+  if (options.check) {
+    const check = getCheck(options.check);
+    if (!check) {
+      return {
+        ok: false,
+        status: 400,
+        error: `Unknown check: ${options.check} (one of ${DATA_QUALITY_CHECKS.map(c => c.id).join(', ')})`
+      };
+    }
+    checks = [check];
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  let data;
+  let previous;
+  try {
+    [data, previous] = await Promise.all([loadCheckData(client, storeId), loadLatestReport(client, storeId)]);
+  } catch (err) {
+    return { ok: false, status: 500, error: err.message };
+  }
+
+  const report = buildReport(data, { checks });
+  const summary = summarizeReport(report);
+
+  // A single-check drill-down is not a full report - don't record it
+  if (options.check) {
+    return { ok: true, report, change: null, stored: false };
+  }
+
+  const { data: inserted, error } = await client
+    .from('data_quality_reports')
+    .insert({
+      store_id: storeId,
+      score: summary.score,
+      grade: summary.grade,
+      checks: summary.checks,
+      generated_at: summary.generated_at,
+      generated_by: options.actor || 'system'
+    })
+    .select('id');
+
+  if (error) return { ok: false, status: 500, error: error.message };
+
+  const failing = report.checks.filter(check => check.failed > 0).map(check => `${check.id}=${check.failed}`);
+  console.log(`[DataQuality] ${storeId}: score ${report.score} (${report.grade})${failing.length ? ` - ${failing.join(', ')}` : ''}`);
+
+  return {
+    ok: true,
+    report,
+    change: compareReports(summary, previous),
+    stored: true,
+    reportId: (inserted || [])[0]?.id ?? null
+  };
+}
+
+/**
+ * Stored report summaries, newest first
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [options] - { limit? } (default 30, max 365)
+ * @returns {Promise<{ok: boolean, reports?: Array, status?: number, error?: string}>}
+ */
+export async function listDataQualityHistory(storeId, options = {}) {
+  requireStoreId('listDataQualityHistory', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+
+  // One extra row so the oldest returned report still gets a change
+  const { data, error } = await getAuthorityClient()
+    .from('data_quality_reports')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('generated_at', { ascending: false })
+    .limit(limit + 1);
+
+  if (error) return { ok: false, error: error.message };
+
+  const rows = data || [];
+  const reports = rows.slice(0, limit).map((row, index) => ({
+    ...row,
+    change: compareReports(row, rows[index + 1] || null)
+  }));
+
+  return { ok: true, reports };
+}
+
+export default {
+  runDataQualityReport,
+  listDataQualityHistory
+};
@@ -9,9 +9,11 @@
  * - Idempotent: Safe to call multiple times
  * - Logged: All actions recorded to rebuild history
  * - Fail-safe: Errors are logged, not thrown
+ * - Multi-tenant: Each configured store (storeRegistry.js) is checked independently
  */
 
 import { getSystemStatus, rebuildController } from './selfHealingService.js';
+import { getConfiguredStoreIds } from '../utils/storeRegistry.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -50,22 +52,24 @@ let schedulerState = {
 // ============================================================================
 
 /**
- * Check inventory freshness and trigger resync if needed
- * This is the main cron job function
+ * Check inventory freshness for one store and trigger resync if needed
  *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @returns {Promise<{checked: boolean, resynced: boolean, details: object}>}
  */
-async function checkAndResyncIfStale() {
+async function checkAndResyncIfStale(storeId) {
   const checkId = `check_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
   const startTime = Date.now();
 
   console.log(`[FreshnessCron] ========================================`);
   console.log(`[FreshnessCron] Scheduled check starting: ${checkId}`);
+  console.log(`[FreshnessCron] Store: ${storeId}`);
   console.log(`[FreshnessCron] Time: ${new Date().toISOString()}`);
   console.log(`[FreshnessCron] ========================================`);
 
   const result = {
     checkId,
+    storeId,
     timestamp: new Date().toISOString(),
     checked: false,
     resynced: false,
@@ -77,7 +81,7 @@ async function checkAndResyncIfStale() {
 
   try {
     // Get current system status
-    const status = await getSystemStatus();
+    const status = await getSystemStatus(storeId);
     result.checked = true;
     schedulerState.checkCount++;
     schedulerState.lastCheck = new Date().toISOString();
@@ -106,6 +110,7 @@ async function checkAndResyncIfStale() {
       const resyncResult = await rebuildController(
         `Scheduled freshness check: inventory ${result.ageHours === Infinity ? 'never synced' : `${result.ageHours.toFixed(1)}h stale`}`,
         {
+          storeId,
           inventory: true,
           orders: false, // Only resync inventory, not orders
           force: false
@@ -147,6 +152,30 @@ async function checkAndResyncIfStale() {
   return result;
 }
 
+/**
+ * Check every configured store in turn
+ * This is the main cron job function
+ *
+ * @returns {Promise<Array>} One check result per store
+ */
+async function checkAllStores() {
+  const results = [];
+
+  let storeIds;
+  try {
+    storeIds = getConfiguredStoreIds();
+  } catch (err) {
+    console.error(`[FreshnessCron] Cannot resolve stores:`, err.message);
+    return results;
+  }
+
+  for (const storeId of storeIds) {
+    results.push(await checkAndResyncIfStale(storeId));
+  }
+
+  return results;
+}
+
 // ============================================================================
 // SCHEDULER CONTROL
 // ============================================================================
@@ -181,12 +210,12 @@ export function startFreshnessScheduler() {
   // Run first check after startup delay (let server boot fully)
   setTimeout(async () => {
     console.log(`[FreshnessCron] Running initial startup check...`);
-    await checkAndResyncIfStale();
+    await checkAllStores();
   }, CONFIG.STARTUP_DELAY_MS);
 
   // Schedule recurring checks
   schedulerState.intervalId = setInterval(async () => {
-    await checkAndResyncIfStale();
+    await checkAllStores();
   }, CONFIG.CHECK_INTERVAL_MS);
 
   // Ensure interval doesn't prevent process exit
@@ -242,11 +271,17 @@ export function getSchedulerStatus() {
 }
 
 /**
- * Manually trigger a freshness check (for testing/debugging)
+ * Manually trigger a freshness check for one store (for testing/debugging)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
  */
-export async function triggerManualCheck() {
-  console.log(`[FreshnessCron] Manual check triggered`);
-  return checkAndResyncIfStale();
+export async function triggerManualCheck(storeId) {
+  if (!storeId) {
+    throw new Error('[FreshnessCron] triggerManualCheck: storeId is required');
+  }
+
+  console.log(`[FreshnessCron] Manual check triggered for ${storeId}`);
+  return checkAndResyncIfStale(storeId);
 }
 
 export default {
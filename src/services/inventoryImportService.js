@@ -0,0 +1,1029 @@
+/**
+ * INVENTORY IMPORT SERVICE
+ *
+ * The import pipeline behind /sync/wix-inventory, /ingest/njweedwizard and
+ * /import/inventory, plus each store's saved import profiles
+ * (import_profiles). Column mapping lives in utils/importProfiles.js; file
+ * reading in utils/spreadsheetReader.js.
+ *
+ * FLOW (two phases, import_batches):
+ * 1. previewImport: read the file (readImportRecords), map it
+ *    (applyProfile + validateItems) and diff it against wix_inventory_live
+ *    (utils/importDiff.js). The batch is staged; nothing else is written.
+ * 2. commitImport: after approval, apply the batch in one transaction
+ *    (apply_inventory_import) - replace: the store's rows become the file;
+ *    merge: the listed SKUs are upserted. Counts become ADJUST movements
+ *    on the ledger (reconcileCounts). The batch is claimed first; if the
+ *    apply or the reconcile fails, the rows it overwrote are put back and
+ *    the batch returns to staged, so a commit lands whole or not at all.
+ * 3. rollbackImport: put back the rows the latest commit overwrote.
+ *    Refused (409, with the SKUs) once any of them has moved since: a
+ *    ledger movement or count (webhook counts included) dated after the
+ *    commit, or a later write to its wix_inventory_live row.
+ *
+ * The HTTP import routes only stage; a person commits. importInventory
+ * runs both phases for automated syncs (/ingest/njweedwizard) and holds
+ * the batch staged instead when it would remove or zero more than
+ * OMEN_IMPORT_AUTO_COMMIT_LIMIT of the stored SKUs (utils/importDiff.js).
+ * Wix inventory webhooks skip batching: applyInventoryCounts updates just
+ * the SKUs an event names.
+ *
+ * Profiles and batches belong to the store that saved or staged them;
+ * another store's batch ID is reported as not found.
+ */
+
+import crypto from 'crypto';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { clearInventory } from '../tools/inventoryStore.js';
+import {
+  BUILTIN_PROFILES,
+  normalizeProfile,
+  applyProfile,
+  validateItems,
+  parseInventoryValue
+} from '../utils/importProfiles.js';
+import {
+  diffInventory,
+  importScope,
+  fingerprintRows,
+  mergeStagedRows,
+  parseAutoCommitLimit,
+  destructiveChanges
+} from '../utils/importDiff.js';
+import { parseCsvRows, parseXlsxRows, rowsToRecords } from '../utils/spreadsheetReader.js';
+import { reconcileCounts } from './inventoryLedgerService.js';
+
+export const BATCH_STATUS = Object.freeze({
+  STAGED: 'staged',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back'
+});
+
+/**
+ * Guard: storeId must be provided to every import operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[InventoryImport] ${fnName}: storeId is required`);
+  }
+}
+
+function rowToProfile(row) {
+  return {
+    ...row.definition,
+    builtIn: false,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+/**
+ * Built-in profiles plus the store's saved ones
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, profiles?: Array, error?: string}>}
+ */
+export async function listImportProfiles(storeId) {
+  requireStoreId('listImportProfiles', storeId);
+
+  const builtIn = Object.values(BUILTIN_PROFILES).map(profile => ({ ...profile, builtIn: true }));
+
+  if (!isAuthorityAvailable()) {
+    return { ok: true, profiles: builtIn };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('import_profiles')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('profile_id', { ascending: true });
+
+  if (error) {
+    console.error(`[InventoryImport] Failed to list profiles: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+
+  return { ok: true, profiles: [...builtIn, ...(data || []).map(rowToProfile)] };
+}
+
+/**
+ * Resolve a profile by ID (built-in first, then the store's saved profiles)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<{ok: boolean, profile?: Object|null, error?: string}>}
+ */
+export async function getImportProfile(storeId, profileId) {
+  requireStoreId('getImportProfile', storeId);
+
+  if (BUILTIN_PROFILES[profileId]) {
+    return { ok: true, profile: { ...BUILTIN_PROFILES[profileId], builtIn: true } };
+  }
+
+  if (!profileId || !isAuthorityAvailable()) {
+    return { ok: true, profile: null };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('import_profiles')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('profile_id', profileId)
+    .maybeSingle();
+
+  if (error) return { ok: false, error: error.message };
+
+  return { ok: true, profile: data ? rowToProfile(data) : null };
+}
+
+/**
+ * Create or replace a saved profile
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - Profile definition (see utils/importProfiles.js)
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, profile?: Object, status?: number, error?: string}>}
+ */
+export async function saveImportProfile(storeId, input, context = {}) {
+  requireStoreId('saveImportProfile', storeId);
+
+  let profile;
+  try {
+    profile = normalizeProfile(input);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('import_profiles')
+    .upsert({
+      store_id: storeId,
+      profile_id: profile.id,
+      name: profile.name,
+      definition: profile,
+      updated_by: context.actor || 'system',
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'store_id,profile_id' })
+    .select('*');
+
+  if (error) {
+    console.error(`[InventoryImport] Failed to save profile ${profile.id}: ${error.message}`);
+    return { ok: false, status: 500, error: error.message };
+  }
+
+  console.log(`[InventoryImport] ${storeId}: profile ${profile.id} saved by ${context.actor || 'system'}`);
+
+  return { ok: true, profile: rowToProfile(data[0]) };
+}
+
+/**
+ * Delete a saved profile (built-ins cannot be deleted)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<{ok: boolean, status?: number, error?: string}>}
+ */
+export async function deleteImportProfile(storeId, profileId) {
+  requireStoreId('deleteImportProfile', storeId);
+
+  if (BUILTIN_PROFILES[profileId]) {
+    return { ok: false, status: 400, error: `${profileId} is a built-in profile` };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('import_profiles')
+    .delete()
+    .eq('store_id', storeId)
+    .eq('profile_id', profileId)
+    .select('profile_id');
+
+  if (error) return { ok: false, status: 500, error: error.message };
+  if (!data || data.length === 0) {
+    return { ok: false, status: 404, error: `Import profile ${profileId} not found` };
+  }
+
+  return { ok: true };
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Read an import payload into header-keyed records
+ *
+ * @param {Object} input - { csvContent } | { xlsxBase64, sheet? } | { rows: [{ header: value }] }
+ * @returns {{ headers: string[]|null, records: Object[] }}
+ * @throws {Error} If the payload holds no readable table
+ */
+export function readImportRecords(input) {
+  if (Array.isArray(input?.rows)) {
+    return { headers: null, records: input.rows.filter(row => row && typeof row === 'object') };
+  }
+
+  let rows;
+  if (typeof input?.xlsxBase64 === 'string') {
+    rows = parseXlsxRows(Buffer.from(input.xlsxBase64, 'base64'), input.sheet || null);
+  } else if (typeof input?.csvContent === 'string') {
+    rows = parseCsvRows(input.csvContent);
+  } else {
+    throw new Error('Expected csvContent, xlsxBase64 or rows');
+  }
+
+  if (rows.length < 2) {
+    throw new Error('File must have header row and at least one data row');
+  }
+
+  return rowsToRecords(rows);
+}
+
+/**
+ * Load the store's stored inventory rows
+ *
+ * @param {string} storeId - Store identifier
+ * @returns {Promise<{ok: boolean, rows?: Array, error?: string}>}
+ */
+async function loadInventoryRows(storeId) {
+  const { data, error } = await getAuthorityClient()
+    .from('wix_inventory_live')
+    .select('*')
+    .eq('store_id', storeId);
+
+  if (error) return { ok: false, error: error.message };
+  return { ok: true, rows: data || [] };
+}
+
+export function getAutoCommitLimit() {
+  return parseAutoCommitLimit(process.env.OMEN_IMPORT_AUTO_COMMIT_LIMIT);
+}
+
+/**
+ * Post counts to the ledger (differences become ADJUST movements)
+ *
+ * A failure is returned as { error }. Commits and rollbacks undo their
+ * write on it; webhook counts report it and keep theirs.
+ */
+async function reconcileImportCounts(storeId, counts, { reason, actor, sourceType, sourceId }) {
+  const ledger = await reconcileCounts(storeId, counts, {
+    reason,
+    actor,
+    sourceDocument: { type: sourceType, id: sourceId }
+  });
+
+  if (!ledger.ok) {
+    console.warn(`[InventoryImport] ${storeId}: ledger reconcile failed: ${ledger.error}`);
+    return { error: ledger.error };
+  }
+  return { adjusted: ledger.adjusted, unchanged: ledger.unchanged };
+}
+
+/**
+ * Put SKUs back to the rows captured before a write
+ *
+ * @param {string} storeId - Store identifier
+ * @param {Array} rows - The rows as they were (SKUs absent here are deleted)
+ * @param {Array<string>} skus - Every SKU the write touched
+ * @returns {Promise<{error?: Object}>}
+ */
+async function restoreRows(storeId, rows, skus) {
+  const kept = new Set(rows.map(row => row.sku));
+  const { error } = await getAuthorityClient().rpc('apply_inventory_import', {
+    p_store_id: storeId,
+    p_upserts: rows,
+    p_deletes: skus.filter(sku => !kept.has(sku))
+  });
+  return { error };
+}
+
+/**
+ * Return a claimed batch to its previous status
+ *
+ * @param {string} storeId - Store identifier
+ * @param {string} batchId - Batch ID
+ * @param {string} claimedStatus - Status the claim set
+ * @param {Object} fields - Columns to restore
+ */
+async function releaseBatch(storeId, batchId, claimedStatus, fields) {
+  const { error } = await getAuthorityClient()
+    .from('import_batches')
+    .update(fields)
+    .eq('store_id', storeId)
+    .eq('batch_id', batchId)
+    .eq('status', claimedStatus);
+
+  if (error) {
+    console.error(`[InventoryImport] ${storeId}: could not release batch ${batchId} (still ${claimedStatus}): ${error.message}`);
+  }
+}
+
+/**
+ * SKUs of a committed batch that changed after the commit
+ *
+ * Ledger movements and counts dated from it on (other than the commit's own
+ * counts) and wix_inventory_live rows written after it.
+ *
+ * @param {string} storeId - Store identifier
+ * @param {Object} batch - import_batches row
+ * @param {Array<string>} skus - SKUs the rollback would write
+ * @returns {Promise<{ok: boolean, conflicts?: Array<{sku: string, reason: string}>, error?: string}>}
+ */
+async function findRollbackConflicts(storeId, batch, skus) {
+  if (skus.length === 0) return { ok: true, conflicts: [] };
+  const client = getAuthorityClient();
+
+  const { data: movements, error: movementError } = await client
+    .from('inventory_movements')
+    .select('sku, movement_type, source_type, occurred_at')
+    .eq('store_id', storeId)
+    .in('sku', skus)
+    .gte('occurred_at', batch.committed_at)
+    .neq('source_id', batch.batch_id)
+    .order('occurred_at', { ascending: true });
+
+  if (movementError) return { ok: false, error: movementError.message };
+
+  const { data: rows, error: rowError } = await client
+    .from('wix_inventory_live')
+    .select('sku, synced_at')
+    .eq('store_id', storeId)
+    .in('sku', skus)
+    .gt('synced_at', batch.committed_at);
+
+  if (rowError) return { ok: false, error: rowError.message };
+
+  const conflicts = new Map();
+  for (const movement of movements || []) {
+    if (conflicts.has(movement.sku)) continue;
+    conflicts.set(movement.sku, `${movement.movement_type} (${movement.source_type}) at ${movement.occurred_at}`);
+  }
+  for (const row of rows || []) {
+    if (!conflicts.has(row.sku)) conflicts.set(row.sku, `inventory updated at ${row.synced_at}`);
+  }
+
+  return {
+    ok: true,
+    conflicts: [...conflicts].map(([sku, reason]) => ({ sku, reason })).sort((a, b) => a.sku.localeCompare(b.sku))
+  };
+}
+
+function rowToBatch(row, detail = false) {
+  const batch = {
+    batchId: row.batch_id,
+    profile: { id: row.profile_id, name: row.profile_name, mode: row.mode },
+    status: row.status,
+    counts: row.diff?.counts || null,
+    summary: row.summary,
+    stagedBy: row.staged_by,
+    stagedAt: row.staged_at,
+    committedBy: row.committed_by,
+    committedAt: row.committed_at,
+    rolledBackBy: row.rolled_back_by,
+    rolledBackAt: row.rolled_back_at
+  };
+
+  if (detail) {
+    batch.itemCount = (row.items || []).length;
+    batch.removedSkus = row.removed_skus || [];
+    batch.changes = row.diff?.changes || [];
+    batch.invalid = row.invalid || [];
+  }
+
+  return batch;
+}
+
+async function loadBatch(storeId, batchId) {
+  const { data, error } = await getAuthorityClient()
+    .from('import_batches')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('batch_id', batchId)
+    .maybeSingle();
+
+  if (error) return { ok: false, status: 500, error: error.message };
+  if (!data) return { ok: false, status: 404, error: `Import batch ${batchId} not found` };
+  return { ok: true, batch: data };
+}
+
+/**
+ * Resolve the profile and map the payload to validated items
+ *
+ * @returns {Promise<Object>} { ok, profile, profileRef, items, valid, invalid, stats,
+ *   errors, skipped, summary } or a failed result with status / stage
+ */
+async function parseImport(storeId, input) {
+  const loaded = await getImportProfile(storeId, input?.profile);
+  if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+  if (!loaded.profile) {
+    return { ok: false, status: 400, error: `Unknown import profile: ${input?.profile}` };
+  }
+  const profile = loaded.profile;
+
+  let parsed;
+  try {
+    const { headers, records } = readImportRecords(input);
+    parsed = applyProfile(profile, records, headers);
+  } catch (parseErr) {
+    return { ok: false, status: 400, error: parseErr.message };
+  }
+
+  const { items, stats, errors, skipped, summary } = parsed;
+  const profileRef = { id: profile.id, name: profile.name, mode: profile.mode };
+
+  if (items.length === 0) {
+    return {
+      ok: false,
+      status: 400,
+      stage: 'parse',
+      error: 'No valid items parsed',
+      profile: profileRef,
+      summary,
+      skipped,
+      parseErrors: errors
+    };
+  }
+
+  const { valid, invalid } = validateItems(items);
+  if (valid.length === 0) {
+    return {
+      ok: false,
+      status: 400,
+      stage: 'validate',
+      error: 'No valid items after validation',
+      profile: profileRef,
+      invalid
+    };
+  }
+
+  return { ok: true, profile, profileRef, items, valid, invalid, stats, errors, skipped, summary };
+}
+
+/**
+ * Stage an import: parse, validate and diff against stored inventory
+ *
+ * Nothing in wix_inventory_live changes until the batch is committed.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - { profile, csvContent | xlsxBase64 (+ sheet) | rows }
+ * @param {Object} context - { actor }
+ * @returns {Promise<Object>} { ok, batchId, status, profile, diff: { counts, changes },
+ *   items, valid, invalid, summary, stats, skipped, parseErrors, status?, error?, stage? }
+ */
+export async function previewImport(storeId, input, context = {}) {
+  requireStoreId('previewImport', storeId);
+
+  const parsed = await parseImport(storeId, input);
+  if (!parsed.ok) return parsed;
+
+  const { profile, profileRef, items, valid, invalid, stats, errors, skipped, summary } = parsed;
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 503, error: 'Authority not available' };
+  }
+
+  const current = await loadInventoryRows(storeId);
+  if (!current.ok) return { ok: false, status: 500, stage: 'load', error: current.error };
+
+  const scope = importScope(current.rows, valid, profile.mode);
+  const { changes, removedSkus, counts } = diffInventory(scope, valid, { mode: profile.mode });
+  const batchId = crypto.randomUUID();
+
+  const { error } = await getAuthorityClient()
+    .from('import_batches')
+    .insert({
+      store_id: storeId,
+      batch_id: batchId,
+      profile_id: profile.id,
+      profile_name: profile.name,
+      mode: profile.mode,
+      status: BATCH_STATUS.STAGED,
+      items: valid,
+      removed_skus: removedSkus,
+      invalid,
+      diff: { counts, changes },
+      summary,
+      base_fingerprint: fingerprintRows(scope),
+      staged_by: context.actor || 'system'
+    });
+
+  if (error) {
+    console.error(`[InventoryImport] ${storeId}: failed to stage ${profile.id} batch: ${error.message}`);
+    return { ok: false, status: 500, stage: 'stage', error: error.message };
+  }
+
+  console.log(`[InventoryImport] ${storeId}: staged ${profile.id} batch ${batchId} - ${counts.new} new, ${counts.removed} removed, ${counts.updated} updated, ${invalid.length} invalid`);
+
+  return {
+    ok: true,
+    batchId,
+    status: BATCH_STATUS.STAGED,
+    profile: profileRef,
+    diff: { counts, changes },
+    items,
+    valid,
+    invalid,
+    summary,
+    stats,
+    skipped,
+    parseErrors: errors
+  };
+}
+
+/**
+ * Apply a staged batch in one transaction
+ *
+ * Refused if inventory changed since the preview (the diff the user
+ * approved would no longer be what gets written).
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} batchId - From previewImport()
+ * @param {Object} context - { actor, reason?, sourceType? }
+ * @returns {Promise<Object>} { ok, batchId, status, profile, applied: { upserted, deleted },
+ *   counts, ledger, status?, error?, stage? }
+ */
+export async function commitImport(storeId, batchId, context = {}) {
+  requireStoreId('commitImport', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 503, error: 'Authority not available' };
+  }
+
+  const loaded = await loadBatch(storeId, batchId);
+  if (!loaded.ok) return loaded;
+  const batch = loaded.batch;
+  const profileRef = { id: batch.profile_id, name: batch.profile_name, mode: batch.mode };
+
+  if (batch.status !== BATCH_STATUS.STAGED) {
+    return { ok: false, status: 409, error: `Import batch ${batchId} is already ${batch.status}` };
+  }
+
+  const current = await loadInventoryRows(storeId);
+  if (!current.ok) return { ok: false, status: 500, stage: 'load', error: current.error };
+
+  const scope = importScope(current.rows, batch.items, batch.mode);
+  if (fingerprintRows(scope) !== batch.base_fingerprint) {
+    return {
+      ok: false,
+      status: 409,
+      error: 'Inventory changed since this batch was previewed. Preview the import again.'
+    };
+  }
+
+  const client = getAuthorityClient();
+  const actor = context.actor || 'system';
+  const committedAt = new Date().toISOString();
+  const unclaim = { status: BATCH_STATUS.STAGED, previous_rows: null, committed_by: null, committed_at: null };
+
+  // Claim the batch first so a second commit of it is refused
+  const { data: claimed, error: claimError } = await client
+    .from('import_batches')
+    .update({
+      status: BATCH_STATUS.COMMITTED,
+      previous_rows: scope,
+      committed_by: actor,
+      committed_at: committedAt
+    })
+    .eq('store_id', storeId)
+    .eq('batch_id', batchId)
+    .eq('status', BATCH_STATUS.STAGED)
+    .select('batch_id');
+
+  if (claimError) return { ok: false, status: 500, stage: 'commit', error: claimError.message };
+  if (!claimed || claimed.length === 0) {
+    return { ok: false, status: 409, error: `Import batch ${batchId} is no longer staged` };
+  }
+
+  const rows = mergeStagedRows(scope, batch.items).map(row => ({ ...row, synced_at: committedAt }));
+  const { data: applied, error: applyError } = await client.rpc('apply_inventory_import', {
+    p_store_id: storeId,
+    p_upserts: rows,
+    p_deletes: batch.removed_skus || []
+  });
+
+  if (applyError) {
+    console.error(`[InventoryImport] ${storeId}: commit of ${batchId} failed: ${applyError.message}`);
+    await releaseBatch(storeId, batchId, BATCH_STATUS.COMMITTED, unclaim);
+    return { ok: false, status: 500, stage: 'commit', error: applyError.message, profile: profileRef };
+  }
+
+  const ledger = await reconcileImportCounts(
+    storeId,
+    batch.items.map(item => ({ sku: item.sku, quantity: item.quantity_on_hand || 0 })),
+    {
+      reason: context.reason || `${batch.profile_name} import`,
+      actor,
+      sourceType: context.sourceType || `${batch.profile_id}_import`,
+      sourceId: batchId
+    }
+  );
+
+  if (ledger.error) {
+    const touched = [...batch.items.map(item => item.sku), ...(batch.removed_skus || [])];
+    const { error: restoreError } = await restoreRows(storeId, scope, touched);
+    clearInventory(storeId);
+
+    if (restoreError) {
+      // The rows stay written and the batch committed, so it can still be rolled back
+      console.error(`[InventoryImport] ${storeId}: commit of ${batchId} could not be undone after a failed reconcile: ${restoreError.message}`);
+      return {
+        ok: false,
+        status: 500,
+        stage: 'reconcile',
+        error: `Ledger reconcile failed (${ledger.error}) and the inventory write could not be undone (${restoreError.message}). Batch ${batchId} stays committed; roll it back.`,
+        profile: profileRef
+      };
+    }
+
+    await releaseBatch(storeId, batchId, BATCH_STATUS.COMMITTED, unclaim);
+    return { ok: false, status: 500, stage: 'reconcile', error: `Ledger reconcile failed: ${ledger.error}`, profile: profileRef };
+  }
+
+  // Forces OMEN to use fresh data on next request
+  clearInventory(storeId);
+
+  console.log(`[InventoryImport] ${storeId}: ${batch.profile_id} (${batch.mode}) batch ${batchId} committed by ${actor} - ${applied.upserted} written, ${applied.deleted} removed`);
+
+  return {
+    ok: true,
+    batchId,
+    status: BATCH_STATUS.COMMITTED,
+    profile: profileRef,
+    applied,
+    counts: batch.diff?.counts || null,
+    ledger,
+    committedAt
+  };
+}
+
+/**
+ * Undo the store's latest committed import
+ *
+ * Restores the rows the commit overwrote and drops the SKUs it added.
+ * Only the latest commit can be undone, and only while none of its SKUs
+ * has moved since; otherwise the restore would overwrite newer counts.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} batchId - Committed batch
+ * @param {Object} context - { actor }
+ * @returns {Promise<Object>} { ok, batchId, status, restored, removed, ledger, status?, error?,
+ *   conflicts?: [{ sku, reason }] }
+ */
+export async function rollbackImport(storeId, batchId, context = {}) {
+  requireStoreId('rollbackImport', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 503, error: 'Authority not available' };
+  }
+
+  const loaded = await loadBatch(storeId, batchId);
+  if (!loaded.ok) return loaded;
+  const batch = loaded.batch;
+
+  if (batch.status !== BATCH_STATUS.COMMITTED) {
+    return { ok: false, status: 409, error: `Import batch ${batchId} is ${batch.status}, not committed` };
+  }
+
+  const client = getAuthorityClient();
+
+  const { data: latest, error: latestError } = await client
+    .from('import_batches')
+    .select('batch_id')
+    .eq('store_id', storeId)
+    .eq('status', BATCH_STATUS.COMMITTED)
+    .order('committed_at', { ascending: false })
+    .limit(1);
+
+  if (latestError) return { ok: false, status: 500, error: latestError.message };
+  if (latest?.[0]?.batch_id !== batchId) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Only the latest committed import can be rolled back (${latest?.[0]?.batch_id})`
+    };
+  }
+
+  const actor = context.actor || 'system';
+  const previous = batch.previous_rows || [];
+  const previousSkus = new Set(previous.map(row => row.sku));
+  const added = batch.items.map(item => item.sku).filter(sku => !previousSkus.has(sku));
+  const touched = [...previousSkus, ...added];
+
+  const checked = await findRollbackConflicts(storeId, batch, touched);
+  if (!checked.ok) return { ok: false, status: 500, error: checked.error };
+  if (checked.conflicts.length > 0) {
+    const skus = checked.conflicts.map(conflict => conflict.sku);
+    return {
+      ok: false,
+      status: 409,
+      error: `${skus.length} SKU(s) changed after batch ${batchId} was committed (${skus.slice(0, 10).join(', ')}${skus.length > 10 ? ', ...' : ''}). Rolling back would overwrite them; import or count them instead.`,
+      conflicts: checked.conflicts
+    };
+  }
+
+  const { data: current, error: currentError } = await client
+    .from('wix_inventory_live')
+    .select('*')
+    .eq('store_id', storeId)
+    .in('sku', touched);
+
+  if (currentError) return { ok: false, status: 500, error: currentError.message };
+
+  const uncommit = { status: BATCH_STATUS.COMMITTED, rolled_back_by: null, rolled_back_at: null };
+
+  const { data: claimed, error: claimError } = await client
+    .from('import_batches')
+    .update({
+      status: BATCH_STATUS.ROLLED_BACK,
+      rolled_back_by: actor,
+      rolled_back_at: new Date().toISOString()
+    })
+    .eq('store_id', storeId)
+    .eq('batch_id', batchId)
+    .eq('status', BATCH_STATUS.COMMITTED)
+    .select('batch_id');
+
+  if (claimError) return { ok: false, status: 500, error: claimError.message };
+  if (!claimed || claimed.length === 0) {
+    return { ok: false, status: 409, error: `Import batch ${batchId} is no longer committed` };
+  }
+
+  const { error: applyError } = await client.rpc('apply_inventory_import', {
+    p_store_id: storeId,
+    p_upserts: previous,
+    p_deletes: added
+  });
+
+  if (applyError) {
+    console.error(`[InventoryImport] ${storeId}: rollback of ${batchId} failed: ${applyError.message}`);
+    await releaseBatch(storeId, batchId, BATCH_STATUS.ROLLED_BACK, uncommit);
+    return { ok: false, status: 500, error: applyError.message };
+  }
+
+  const ledger = await reconcileImportCounts(
+    storeId,
+    [
+      ...previous.map(row => ({ sku: row.sku, quantity: row.quantity_on_hand || 0 })),
+      ...added.map(sku => ({ sku, quantity: 0 }))
+    ],
+    {
+      reason: `Rollback of ${batch.profile_name} import`,
+      actor,
+      sourceType: 'import_rollback',
+      sourceId: batchId
+    }
+  );
+
+  if (ledger.error) {
+    const { error: restoreError } = await restoreRows(storeId, current || [], touched);
+    clearInventory(storeId);
+
+    if (restoreError) {
+      console.error(`[InventoryImport] ${storeId}: rollback of ${batchId} could not be undone after a failed reconcile: ${restoreError.message}`);
+      return {
+        ok: false,
+        status: 500,
+        error: `Ledger reconcile failed (${ledger.error}) and the restored rows could not be reverted (${restoreError.message}). Batch ${batchId} stays rolled back.`
+      };
+    }
+
+    await releaseBatch(storeId, batchId, BATCH_STATUS.ROLLED_BACK, uncommit);
+    return { ok: false, status: 500, error: `Ledger reconcile failed: ${ledger.error}` };
+  }
+
+  clearInventory(storeId);
+
+  console.log(`[InventoryImport] ${storeId}: batch ${batchId} rolled back by ${actor} - ${previous.length} restored, ${added.length} removed`);
+
+  return {
+    ok: true,
+    batchId,
+    status: BATCH_STATUS.ROLLED_BACK,
+    restored: previous.length,
+    removed: added.length,
+    ledger
+  };
+}
+
+/**
+ * Apply per-SKU counts pushed by a webhook (incremental, no batch)
+ *
+ * Only SKUs already in wix_inventory_live are updated; unknown SKUs are
+ * reported, never created. A bare inStock flag updates the status without
+ * touching the count.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array} counts - [{ sku, quantity?, inStock? }]
+ * @param {Object} context - { actor, sourceType, sourceId }
+ * @returns {Promise<{ok: boolean, updated?: number, unknownSkus?: string[], ledger?: Object, status?: number, error?: string}>}
+ */
+export async function applyInventoryCounts(storeId, counts, context = {}) {
+  requireStoreId('applyInventoryCounts', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 503, error: 'Authority not available' };
+  }
+
+  const bySku = new Map();
+  for (const count of counts || []) {
+    if (count?.sku) bySku.set(String(count.sku).trim(), count);
+  }
+  if (bySku.size === 0) return { ok: true, updated: 0, unknownSkus: [], ledger: null };
+
+  const { data: rows, error } = await getAuthorityClient()
+    .from('wix_inventory_live')
+    .select('*')
+    .eq('store_id', storeId)
+    .in('sku', [...bySku.keys()]);
+
+  if (error) return { ok: false, status: 500, error: error.message };
+
+  const syncedAt = new Date().toISOString();
+  const counted = [];
+  const upserts = (rows || []).map(row => {
+    const count = bySku.get(row.sku);
+    const next = { ...row, synced_at: syncedAt };
+
+    if (count.quantity !== undefined && count.quantity !== null) {
+      const { quantity, status } = parseInventoryValue(count.quantity);
+      next.quantity_on_hand = quantity;
+      next.inventory_status = status;
+      counted.push({ sku: row.sku, quantity });
+    } else if (count.inStock === false) {
+      next.quantity_on_hand = 0;
+      next.inventory_status = 'OUT_OF_STOCK';
+      counted.push({ sku: row.sku, quantity: 0 });
+    } else if (count.inStock === true) {
+      next.inventory_status = 'IN_STOCK';
+    }
+
+    return next;
+  });
+
+  const known = new Set(upserts.map(row => row.sku));
+  const unknownSkus = [...bySku.keys()].filter(sku => !known.has(sku));
+
+  if (upserts.length > 0) {
+    const { error: applyError } = await getAuthorityClient().rpc('apply_inventory_import', {
+      p_store_id: storeId,
+      p_upserts: upserts,
+      p_deletes: []
+    });
+    if (applyError) return { ok: false, status: 500, error: applyError.message };
+  }
+
+  const ledger = counted.length > 0
+    ? await reconcileImportCounts(storeId, counted, {
+        reason: context.reason || 'Wix inventory webhook',
+        actor: context.actor || 'wix_webhook',
+        sourceType: context.sourceType || 'wix_inventory_webhook',
+        sourceId: context.sourceId || syncedAt
+      })
+    : null;
+
+  clearInventory(storeId);
+
+  console.log(`[InventoryImport] ${storeId}: webhook counts applied - ${upserts.length} updated, ${unknownSkus.length} unknown`);
+
+  return { ok: true, updated: upserts.length, unknownSkus, ledger };
+}
+
+/**
+ * List import batches, newest first
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} options - { limit? }
+ * @returns {Promise<{ok: boolean, batches?: Array, error?: string}>}
+ */
+export async function listImportBatches(storeId, options = {}) {
+  requireStoreId('listImportBatches', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('import_batches')
+    .select('batch_id, profile_id, profile_name, mode, status, diff, summary, staged_by, staged_at, committed_by, committed_at, rolled_back_by, rolled_back_at')
+    .eq('store_id', storeId)
+    .order('staged_at', { ascending: false })
+    .limit(Math.min(parseInt(options.limit, 10) || 20, 100));
+
+  if (error) return { ok: false, error: error.message };
+
+  return { ok: true, batches: (data || []).map(row => rowToBatch(row)) };
+}
+
+/**
+ * One batch with its per-SKU diff and validation errors
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<{ok: boolean, batch?: Object, status?: number, error?: string}>}
+ */
+export async function getImportBatch(storeId, batchId) {
+  requireStoreId('getImportBatch', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 503, error: 'Authority not available' };
+  }
+
+  const loaded = await loadBatch(storeId, batchId);
+  if (!loaded.ok) return loaded;
+
+  return { ok: true, batch: rowToBatch(loaded.batch, true) };
+}
+
+/**
+ * Import inventory through a profile in one call (stage + commit)
+ *
+ * For automated syncs. The batch is recorded like any other, so the
+ * import can still be rolled back. A batch that would remove or zero more
+ * than the auto-commit limit of the stored SKUs is left staged (409,
+ * stage 'review') for a person to commit.
+ *
+ * Result fields mirror the original Wix sync: summary, stats, skipped,
+ * parseErrors, invalid. A failed result carries status and, for bad
+ * files, the parse details.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - { profile, csvContent | xlsxBase64 (+ sheet) | rows }
+ * @param {Object} context - { actor, reason?, sourceType? }
+ * @returns {Promise<Object>} { ok, batchId, profile, items, valid, invalid, inserted, summary,
+ *   stats, skipped, parseErrors, diff, ledger, status?, error?, stage? }
+ */
+export async function importInventory(storeId, input, context = {}) {
+  requireStoreId('importInventory', storeId);
+
+  const preview = await previewImport(storeId, input, context);
+  if (!preview.ok) return preview;
+
+  const limit = getAutoCommitLimit();
+  const loss = destructiveChanges(preview.diff);
+  if (loss.share > limit) {
+    console.warn(`[InventoryImport] ${storeId}: batch ${preview.batchId} held for review - ${loss.removed} removed, ${loss.zeroed} zeroed of ${loss.stored} stored SKUs`);
+    return {
+      ok: false,
+      status: 409,
+      stage: 'review',
+      error: `Import would remove ${loss.removed} and zero ${loss.zeroed} of ${loss.stored} stored SKUs, over the ${Math.round(limit * 100)}% auto-commit limit. Batch ${preview.batchId} is staged for review.`,
+      batchId: preview.batchId,
+      profile: preview.profile,
+      diff: preview.diff.counts,
+      summary: preview.summary,
+      skipped: preview.skipped,
+      invalid: preview.invalid
+    };
+  }
+
+  const committed = await commitImport(storeId, preview.batchId, context);
+  if (!committed.ok) return { ...committed, profile: preview.profile };
+
+  const inserted = committed.applied.upserted;
+
+  return {
+    ok: true,
+    batchId: preview.batchId,
+    profile: preview.profile,
+    items: preview.items,
+    valid: preview.valid,
+    invalid: preview.invalid,
+    inserted,
+    summary: { ...preview.summary, rows_inserted: inserted },
+    stats: preview.stats,
+    skipped: preview.skipped,
+    parseErrors: preview.parseErrors,
+    diff: preview.diff.counts,
+    ledger: committed.ledger
+  };
+}
+
+export default {
+  BATCH_STATUS,
+  getAutoCommitLimit,
+  listImportProfiles,
+  getImportProfile,
+  saveImportProfile,
+  deleteImportProfile,
+  readImportRecords,
+  previewImport,
+  commitImport,
+  rollbackImport,
+  listImportBatches,
+  getImportBatch,
+  applyInventoryCounts,
+  importInventory
+};
@@ -0,0 +1,267 @@
+/**
+ * INVENTORY LEDGER SERVICE
+ *
+ * Persistence and queries for the append-only inventory_movements ledger.
+ * Movement construction and derivation live in utils/inventoryLedger.js.
+ *
+ * GUARANTEES:
+ * - Append-only: movements are inserted, never updated or deleted
+ * - Idempotent: (store_id, sku, movement_type, source_type, source_id) is
+ *   unique, so replays of the same source document are ignored
+ * - On-hand is derived (inventory_ledger_on_hand): the last count plus the
+ *   movements dated after it, or SUM(quantity) for a SKU never counted
+ *
+ * Counts (imports, webhooks, cycle counts, seeds) go through
+ * reconcileCounts/buildCountAdjustment and are recorded even when they
+ * agree, so a sale backfilled for an already-counted period is ignored
+ * instead of coming off on-hand a second time.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import {
+  buildCountAdjustment,
+  explainOnHand,
+  movementToRow,
+  rowToMovement
+} from '../utils/inventoryLedger.js';
+
+const MOVEMENT_COLUMNS = 'id, store_id, sku, movement_type, quantity, counted_quantity, reason, actor, source_type, source_id, occurred_at, recorded_at, metadata';
+
+/**
+ * Guard: storeId must be provided to every ledger operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[InventoryLedger] ${fnName}: storeId is required`);
+  }
+}
+
+/**
+ * Append movements to the ledger
+ *
+ * Duplicate source documents are skipped, not errors.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array} movements - Movements from createMovement()
+ * @returns {Promise<{ok: boolean, recorded: number, duplicates: number, movements?: Array, error?: string}>}
+ */
+export async function recordMovements(storeId, movements) {
+  requireStoreId('recordMovements', storeId);
+
+  if (!Array.isArray(movements) || movements.length === 0) {
+    return { ok: true, recorded: 0, duplicates: 0, movements: [] };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, recorded: 0, duplicates: 0, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+  const rows = movements.map(m => movementToRow(storeId, m));
+
+  try {
+    const { data, error } = await client
+      .from('inventory_movements')
+      .upsert(rows, {
+        onConflict: 'store_id,sku,movement_type,source_type,source_id',
+        ignoreDuplicates: true
+      })
+      .select(MOVEMENT_COLUMNS);
+
+    if (error) {
+      console.error(`[InventoryLedger] Failed to record movements: ${error.message}`);
+      return { ok: false, recorded: 0, duplicates: 0, error: error.message };
+    }
+
+    const recorded = data?.length || 0;
+    console.log(`[InventoryLedger] ${storeId}: recorded ${recorded} movements (${rows.length - recorded} duplicates skipped)`);
+
+    return {
+      ok: true,
+      recorded,
+      duplicates: rows.length - recorded,
+      movements: (data || []).map(rowToMovement)
+    };
+  } catch (err) {
+    console.error('[InventoryLedger] Record movements error:', err.message);
+    return { ok: false, recorded: 0, duplicates: 0, error: err.message };
+  }
+}
+
+/**
+ * Query movements for a store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {object} [filters]
+ * @param {string} [filters.sku] - Single SKU
+ * @param {Array<string>} [filters.types] - Movement types
+ * @param {string} [filters.since] - ISO timestamp (inclusive)
+ * @param {string} [filters.until] - ISO timestamp (inclusive)
+ * @returns {Promise<{ok: boolean, movements?: Array, error?: string}>}
+ */
+export async function queryMovements(storeId, filters = {}) {
+  requireStoreId('queryMovements', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    let query = client
+      .from('inventory_movements')
+      .select(MOVEMENT_COLUMNS)
+      .eq('store_id', storeId);
+
+    if (filters.sku) query = query.eq('sku', filters.sku);
+    if (filters.types?.length) query = query.in('movement_type', filters.types);
+    if (filters.since) query = query.gte('occurred_at', filters.since);
+    if (filters.until) query = query.lte('occurred_at', filters.until);
+
+    const { data, error } = await query
+      .order('occurred_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error(`[InventoryLedger] Failed to query movements: ${error.message}`);
+      return { ok: false, error: error.message };
+    }
+
+    return { ok: true, movements: (data || []).map(rowToMovement) };
+  } catch (err) {
+    console.error('[InventoryLedger] Query movements error:', err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Derived on-hand per SKU (inventory_ledger_on_hand view)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<string>} [skus] - Restrict to these SKUs
+ * @returns {Promise<{ok: boolean, onHand?: Object<string, number>, details?: Array, error?: string}>}
+ */
+export async function getLedgerOnHand(storeId, skus = null) {
+  requireStoreId('getLedgerOnHand', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    let query = client
+      .from('inventory_ledger_on_hand')
+      .select('sku, on_hand, movement_count, last_movement_at, counted_at')
+      .eq('store_id', storeId);
+
+    if (Array.isArray(skus) && skus.length > 0) {
+      query = query.in('sku', skus);
+    }
+
+    const { data, error } = await query.order('sku', { ascending: true });
+
+    if (error) {
+      console.error(`[InventoryLedger] Failed to read on-hand: ${error.message}`);
+      return { ok: false, error: error.message };
+    }
+
+    const onHand = {};
+    for (const row of data || []) {
+      onHand[row.sku] = Number(row.on_hand);
+    }
+
+    return {
+      ok: true,
+      onHand,
+      details: (data || []).map(row => ({
+        sku: row.sku,
+        onHand: Number(row.on_hand),
+        movementCount: row.movement_count,
+        lastMovementAt: row.last_movement_at,
+        countedAt: row.counted_at
+      }))
+    };
+  } catch (err) {
+    console.error('[InventoryLedger] On-hand error:', err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Explain one SKU's on-hand quantity movement by movement
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} sku - SKU to explain
+ * @returns {Promise<{ok: boolean, explanation?: Object, error?: string}>}
+ */
+export async function explainSku(storeId, sku) {
+  requireStoreId('explainSku', storeId);
+
+  const result = await queryMovements(storeId, { sku });
+  if (!result.ok) {
+    return result;
+  }
+
+  return { ok: true, explanation: explainOnHand(sku, result.movements) };
+}
+
+/**
+ * Reconcile externally reported counts against the ledger
+ *
+ * Counts are not written over on-hand. Each count becomes an ADJUST
+ * movement for the difference from the derived quantity, carrying the
+ * counted quantity; counts that agree are recorded with a zero delta so
+ * on-hand re-baselines at their date.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<{sku: string, quantity: number}>} counts - Reported quantities
+ * @param {object} context - { reason, actor, sourceDocument, occurredAt }
+ * @returns {Promise<{ok: boolean, adjusted: number, unchanged: number, adjustments?: Array, error?: string}>}
+ *   adjustments: the count movements that changed on-hand
+ */
+export async function reconcileCounts(storeId, counts, context) {
+  requireStoreId('reconcileCounts', storeId);
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    return { ok: true, adjusted: 0, unchanged: 0, adjustments: [] };
+  }
+
+  const onHandResult = await getLedgerOnHand(storeId, counts.map(c => c.sku));
+  if (!onHandResult.ok) {
+    return { ok: false, adjusted: 0, unchanged: 0, error: onHandResult.error };
+  }
+
+  const countMovements = counts.map(count => buildCountAdjustment(
+    count.sku,
+    count.quantity,
+    onHandResult.onHand[count.sku] || 0,
+    context
+  ));
+
+  const recordResult = await recordMovements(storeId, countMovements);
+  if (!recordResult.ok) {
+    return { ok: false, adjusted: 0, unchanged: 0, error: recordResult.error };
+  }
+
+  const adjustments = countMovements.filter(m => m.quantity !== 0);
+  return {
+    ok: true,
+    adjusted: recordResult.movements.filter(m => m.quantity !== 0).length,
+    unchanged: counts.length - adjustments.length,
+    adjustments
+  };
+}
+
+export default {
+  recordMovements,
+  queryMovements,
+  getLedgerOnHand,
+  explainSku,
+  reconcileCounts
+};
@@ -0,0 +1,209 @@
+/**
+ * INVENTORY POOL SERVICE
+ *
+ * Persistence for gram-pooled strains (inventory_pools). Pool math lives in
+ * utils/gramPools.js; pooled quantities are applied when inventory is read
+ * from the authority (data/supabaseAuthority.js).
+ *
+ * FLOW:
+ * 1. setPool: count a strain's bulk grams (recount = new baseline)
+ * 2. Orders of any weight of that strain reduce the pool (derived)
+ * 3. getPoolStatus: grams available and sellable units per size
+ * 4. disablePool: back to per-unit counts
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { getInventory, clearInventory } from '../tools/inventoryStore.js';
+import { normalizePool, strainKey } from '../utils/gramPools.js';
+
+/**
+ * Guard: storeId must be provided to every pool operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[InventoryPools] ${fnName}: storeId is required`);
+  }
+}
+
+function rowToPool(row) {
+  return {
+    strain: row.strain,
+    strainKey: row.strain_key,
+    gramsCounted: parseFloat(row.grams_counted),
+    countedAt: row.counted_at,
+    enabled: row.enabled === true || row.enabled === 1,
+    notes: row.notes,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List pools for a store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, pools?: Array, error?: string}>}
+ */
+export async function listPools(storeId) {
+  requireStoreId('listPools', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('inventory_pools')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('strain', { ascending: true });
+
+  if (error) {
+    console.error(`[InventoryPools] Failed to list pools: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+
+  return { ok: true, pools: (data || []).map(rowToPool) };
+}
+
+/**
+ * Pools with derived grams available and sellable units per size
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, pools?: Array, error?: string}>}
+ */
+export async function getPoolStatus(storeId) {
+  requireStoreId('getPoolStatus', storeId);
+
+  const listed = await listPools(storeId);
+  if (!listed.ok) return listed;
+
+  const inventory = await getInventory(storeId);
+
+  const pools = listed.pools.map(pool => {
+    const members = (inventory || []).filter(item =>
+      item.pool && strainKey(item.pool.strain) === pool.strainKey
+    );
+
+    return {
+      ...pool,
+      gramsAvailable: members[0]?.pool.gramsAvailable ?? (pool.enabled ? pool.gramsCounted : null),
+      units: members
+        .map(item => ({
+          sku: item.sku,
+          unit: item.unit,
+          gramsPerUnit: item.pool.gramsPerUnit,
+          sellableUnits: item.availableQuantity,
+          unitQuantity: item.unitQuantity ?? null
+        }))
+        .sort((a, b) => a.gramsPerUnit - b.gramsPerUnit)
+    };
+  });
+
+  return { ok: true, pools };
+}
+
+/**
+ * Count a strain's bulk grams (creates or recounts the pool)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - { strain, grams, countedAt?, notes? }
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, pool?: Object, status?: number, error?: string}>}
+ */
+export async function setPool(storeId, input, context = {}) {
+  requireStoreId('setPool', storeId);
+
+  let pool;
+  try {
+    pool = normalizePool(input);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('inventory_pools')
+    .upsert({
+      store_id: storeId,
+      strain_key: pool.strainKey,
+      strain: pool.strain,
+      grams_counted: pool.grams,
+      counted_at: pool.countedAt,
+      enabled: true,
+      notes: input.notes || null,
+      updated_by: context.actor || 'system',
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'store_id,strain_key' })
+    .select('*');
+
+  if (error) {
+    console.error(`[InventoryPools] Failed to save pool ${pool.strain}: ${error.message}`);
+    return { ok: false, status: 500, error: error.message };
+  }
+
+  // Pooled quantities are applied on read - drop the cached per-unit view
+  clearInventory(storeId);
+
+  console.log(`[InventoryPools] ${storeId}: ${pool.strain} counted at ${pool.grams}g (${pool.countedAt}) by ${context.actor || 'system'}`);
+
+  return { ok: true, pool: rowToPool(data[0]) };
+}
+
+/**
+ * Stop pooling a strain (unit SKUs return to their own counts)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} strain - Strain name
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, pool?: Object, status?: number, error?: string}>}
+ */
+export async function disablePool(storeId, strain, context = {}) {
+  requireStoreId('disablePool', storeId);
+
+  const key = strainKey(strain);
+  if (!key) {
+    return { ok: false, status: 400, error: 'strain is required' };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('inventory_pools')
+    .update({
+      enabled: false,
+      updated_by: context.actor || 'system',
+      updated_at: new Date().toISOString()
+    })
+    .eq('store_id', storeId)
+    .eq('strain_key', key)
+    .select('*');
+
+  if (error) {
+    return { ok: false, status: 500, error: error.message };
+  }
+
+  if (!data || data.length === 0) {
+    return { ok: false, status: 404, error: `No pool for strain ${strain}` };
+  }
+
+  clearInventory(storeId);
+
+  console.log(`[InventoryPools] ${storeId}: ${data[0].strain} pool disabled by ${context.actor || 'system'}`);
+
+  return { ok: true, pool: rowToPool(data[0]) };
+}
+
+export default {
+  listPools,
+  getPoolStatus,
+  setPool,
+  disablePool
+};
@@ -0,0 +1,289 @@
+/**
+ * LANDED COST SERVICE
+ *
+ * Persistence for received shipments and their extra charges
+ * (landed_cost_shipments, landed_cost_lines). Allocation math lives in
+ * utils/landedCost.js.
+ *
+ * FLOW:
+ * 1. previewShipment: allocate charges without saving anything
+ * 2. recordShipment: store the shipment and per-SKU breakdown, then append
+ *    each landed unit cost to cost history as a receipt (which refreshes
+ *    sku_costs and therefore margins)
+ * 3. getShipment: the audit trail - invoice cost + each charge's share per SKU
+ *
+ * A shipment ID can be recorded once; corrections are a new shipment.
+ *
+ * Shipment IDs are unique per store, so two stores may reuse a vendor's
+ * invoice number.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { getInventory } from '../tools/inventoryStore.js';
+import { normalizeShipment, allocateLandedCost } from '../utils/landedCost.js';
+import { recordCosts } from './costHistoryService.js';
+import { markRollupsStale } from './orderRollupService.js';
+
+/**
+ * Guard: storeId must be provided to every landed-cost operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[LandedCost] ${fnName}: storeId is required`);
+  }
+}
+
+function rowToShipment(row) {
+  return {
+    shipmentId: row.shipment_id,
+    vendor: row.vendor,
+    receivedAt: row.received_at,
+    charges: row.charges || [],
+    totals: {
+      invoice: parseFloat(row.invoice_total),
+      charges: parseFloat(row.charges_total),
+      landed: parseFloat(row.landed_total)
+    },
+    notes: row.notes,
+    recordedBy: row.recorded_by,
+    createdAt: row.created_at
+  };
+}
+
+function rowToLine(row) {
+  return {
+    sku: row.sku,
+    quantity: row.quantity,
+    gramsPerUnit: row.grams_per_unit !== null ? parseFloat(row.grams_per_unit) : null,
+    invoiceUnitCost: parseFloat(row.invoice_unit_cost),
+    invoiceTotal: parseFloat(row.invoice_total),
+    allocations: row.allocations || [],
+    chargesTotal: parseFloat(row.charges_total),
+    landedTotal: parseFloat(row.landed_total),
+    landedUnitCost: parseFloat(row.landed_unit_cost)
+  };
+}
+
+/**
+ * Validate a shipment, filling grams per unit from inventory where missing
+ *
+ * Non-fatal: if inventory cannot be read, lines keep the grams they were
+ * given (weight allocation then reports which SKUs are missing them).
+ *
+ * @param {string} storeId - Store identifier
+ * @param {Object} input - Shipment payload
+ * @returns {Promise<Object>} Normalized shipment
+ * @throws {Error} If the shipment is invalid
+ */
+async function prepareShipment(storeId, input) {
+  const shipment = normalizeShipment(input);
+
+  if (shipment.lines.some(line => !line.gramsPerUnit)) {
+    try {
+      const inventory = await getInventory(storeId);
+      const gramsBySku = new Map((inventory || []).map(item => [item.sku, item.grams]));
+      for (const line of shipment.lines) {
+        if (!line.gramsPerUnit && gramsBySku.get(line.sku)) {
+          line.gramsPerUnit = gramsBySku.get(line.sku);
+        }
+      }
+    } catch (err) {
+      console.warn(`[LandedCost] Inventory unavailable for grams lookup: ${err.message}`);
+    }
+  }
+
+  return shipment;
+}
+
+/**
+ * Allocate a shipment's charges without saving
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - Shipment payload (see normalizeShipment)
+ * @returns {Promise<{ok: boolean, shipment?: Object, allocation?: Object, status?: number, error?: string}>}
+ */
+export async function previewShipment(storeId, input) {
+  requireStoreId('previewShipment', storeId);
+
+  try {
+    const shipment = await prepareShipment(storeId, input);
+    return { ok: true, shipment, allocation: allocateLandedCost(shipment) };
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+}
+
+/**
+ * Record a shipment and feed its landed unit costs into cost history
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - Shipment payload (see normalizeShipment)
+ * @param {Object} context - { actor }
+ * @returns {Promise<{ok: boolean, shipment?: Object, lines?: Array, costs?: Object, status?: number, error?: string}>}
+ */
+export async function recordShipment(storeId, input, context = {}) {
+  requireStoreId('recordShipment', storeId);
+
+  let shipment;
+  let allocation;
+  try {
+    shipment = await prepareShipment(storeId, input);
+    allocation = allocateLandedCost(shipment);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+  const actor = context.actor || 'system';
+
+  const { data: existing, error: lookupError } = await client
+    .from('landed_cost_shipments')
+    .select('shipment_id')
+    .eq('store_id', storeId)
+    .eq('shipment_id', shipment.shipmentId)
+    .maybeSingle();
+
+  if (lookupError) return { ok: false, status: 500, error: lookupError.message };
+  if (existing) {
+    return { ok: false, status: 409, error: `Shipment ${shipment.shipmentId} is already recorded` };
+  }
+
+  // 1. Header
+  const { error: headerError } = await client
+    .from('landed_cost_shipments')
+    .insert({
+      store_id: storeId,
+      shipment_id: shipment.shipmentId,
+      vendor: shipment.vendor,
+      received_at: shipment.receivedAt,
+      charges: shipment.charges,
+      invoice_total: allocation.totals.invoice,
+      charges_total: allocation.totals.charges,
+      landed_total: allocation.totals.landed,
+      notes: shipment.notes,
+      recorded_by: actor
+    });
+
+  if (headerError) {
+    console.error(`[LandedCost] Failed to save shipment ${shipment.shipmentId}: ${headerError.message}`);
+    return { ok: false, status: 500, error: headerError.message };
+  }
+
+  // 2. Lines with their allocation breakdown
+  const { error: linesError } = await client
+    .from('landed_cost_lines')
+    .insert(allocation.lines.map(line => ({
+      store_id: storeId,
+      shipment_id: shipment.shipmentId,
+      sku: line.sku,
+      quantity: line.quantity,
+      grams_per_unit: line.gramsPerUnit,
+      invoice_unit_cost: line.invoiceUnitCost,
+      invoice_total: line.invoiceTotal,
+      allocations: line.allocations,
+      charges_total: line.chargesTotal,
+      landed_total: line.landedTotal,
+      landed_unit_cost: line.landedUnitCost
+    })));
+
+  if (linesError) {
+    console.error(`[LandedCost] Failed to save lines for ${shipment.shipmentId}: ${linesError.message}`);
+    return { ok: false, status: 500, error: linesError.message };
+  }
+
+  // 3. Cost history (receipts at the landed unit cost)
+  const costs = await recordCosts(storeId, allocation.lines.map(line => ({
+    sku: line.sku,
+    unitCost: line.landedUnitCost,
+    quantity: line.quantity,
+    effectiveAt: shipment.receivedAt,
+    source: 'landed_cost',
+    sourceId: shipment.shipmentId,
+    notes: `Invoice ${line.invoiceUnitCost} + charges ${line.chargesTotal} over ${line.quantity} units`
+  })), { actor, markStale: markRollupsStale });
+
+  if (!costs.ok) {
+    return { ok: false, status: 500, error: `Shipment saved but cost history failed: ${costs.error}` };
+  }
+
+  console.log(`[LandedCost] ${storeId}: ${shipment.shipmentId} recorded by ${actor} - ${allocation.lines.length} SKUs, invoice ${allocation.totals.invoice} + charges ${allocation.totals.charges}`);
+
+  const reloaded = await getShipment(storeId, shipment.shipmentId);
+  return { ...reloaded, costs: { recorded: costs.recorded, current: costs.current } };
+}
+
+/**
+ * List shipments, newest first
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, shipments?: Array, error?: string}>}
+ */
+export async function listShipments(storeId) {
+  requireStoreId('listShipments', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('landed_cost_shipments')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('received_at', { ascending: false });
+
+  if (error) return { ok: false, error: error.message };
+
+  return { ok: true, shipments: (data || []).map(rowToShipment) };
+}
+
+/**
+ * One shipment with the per-SKU allocation breakdown
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} shipmentId - Shipment ID
+ * @returns {Promise<{ok: boolean, shipment?: Object|null, lines?: Array, error?: string}>}
+ */
+export async function getShipment(storeId, shipmentId) {
+  requireStoreId('getShipment', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const { data: row, error } = await client
+    .from('landed_cost_shipments')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('shipment_id', shipmentId)
+    .maybeSingle();
+
+  if (error) return { ok: false, error: error.message };
+  if (!row) return { ok: true, shipment: null, lines: [] };
+
+  const { data: lineRows, error: lineError } = await client
+    .from('landed_cost_lines')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('shipment_id', shipmentId)
+    .order('sku', { ascending: true });
+
+  if (lineError) return { ok: false, error: lineError.message };
+
+  return { ok: true, shipment: rowToShipment(row), lines: (lineRows || []).map(rowToLine) };
+}
+
+export default {
+  previewShipment,
+  recordShipment,
+  listShipments,
+  getShipment
+};
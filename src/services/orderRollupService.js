@@ -0,0 +1,617 @@
+/**
+ * ORDER ROLLUP SERVICE
+ *
+ * Keeps order_daily_rollups (utils/orderRollups.js) in step with the orders
+ * table and serves them to snapshot analysis.
+ *
+ * FLOW:
+ * 1. refreshOrderRollups: rebuild the rows (and order_daily_counts) of the
+ *    given days from their order lines. Order sync calls it with the days
+ *    each run touched, so rollups follow new sales and reversals
+ *    incrementally.
+ * 2. backfillOrderRollups: refresh every day from a date (default: the first
+ *    order) through today, oldest first, and record them as covered.
+ * 3. loadOrderRollups: rollup rows and orders per day for a period - only
+ *    when the period is covered, the rows were costed with the store's
+ *    current costing method and no stale range reaches the period.
+ *    Otherwise callers fall back to raw order lines.
+ *
+ * COSTS: Each line is costed when its day is refreshed. A costing method
+ * change makes every rollup stale. A cost record dated before
+ * already-rolled-up sales of its SKU makes that SKU's rollups stale from its
+ * effective day (order_rollup_stale) - callers of recordCosts pass
+ * markRollupsStale in as its markStale callback. A backfill from that day or
+ * earlier clears it; order sync runs rebuildStaleRollups every time, so
+ * stale rollups are repriced by the next sync without a manual backfill.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { iterateLineItemOrders } from '../db/supabaseQueries.js';
+import { collectPages, isTruncationError } from '../db/pagedQuery.js';
+import { loadCostHistory, getCostingMethod } from './costHistoryService.js';
+import { rollupDay, dayBounds, listDays, costOrderLines, rollupOrderLines, countDailyOrders } from '../utils/orderRollups.js';
+
+// Covered-from day of a backfill that started at the first order
+const ALL_HISTORY_DAY = '1970-01-01';
+
+// Days refreshed per batch during a backfill (one cost pass per batch)
+const BACKFILL_BATCH_DAYS = 31;
+
+const INSERT_BATCH_SIZE = 500;
+
+const ROLLUP_LINE_COLUMNS = 'order_id, sku, strain, unit, quantity, price_per_unit, total_amount, order_date, created_at, entry_type';
+
+/**
+ * Guard: storeId must be provided to every rollup operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[OrderRollups] ${fnName}: storeId is required`);
+  }
+}
+
+/**
+ * Paged rollup read for a day range, ordered by the table's key
+ */
+function rollupQuery(client, storeId, firstDay, lastDay, columns = '*') {
+  return () => client
+    .from('order_daily_rollups')
+    .select(columns, { count: 'exact' })
+    .eq('store_id', storeId)
+    .gte('day', firstDay)
+    .lte('day', lastDay)
+    .order('day', { ascending: true })
+    .order('sku', { ascending: true })
+    .order('unit', { ascending: true });
+}
+
+/**
+ * Orders per day for a day range
+ */
+function dailyCountQuery(client, storeId, firstDay, lastDay) {
+  return () => client
+    .from('order_daily_counts')
+    .select('day, order_count', { count: 'exact' })
+    .eq('store_id', storeId)
+    .gte('day', firstDay)
+    .lte('day', lastDay)
+    .order('day', { ascending: true });
+}
+
+/**
+ * Stale ranges that reach a day (stale_from on or before it), oldest first
+ */
+async function loadStaleRanges(client, storeId, lastDay) {
+  let query = client
+    .from('order_rollup_stale')
+    .select('sku, stale_from, reason, marked_at')
+    .eq('store_id', storeId);
+
+  if (lastDay) query = query.lte('stale_from', lastDay);
+
+  const { data, error } = await query.order('stale_from', { ascending: true });
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/**
+ * Day of a store's first order line (null without orders)
+ */
+async function loadFirstOrderDay(client, storeId) {
+  const { data, error } = await client
+    .from('orders')
+    .select('order_date')
+    .eq('store_id', storeId)
+    .order('order_date', { ascending: true })
+    .limit(1);
+
+  if (error) throw new Error(error.message);
+  return rollupDay(data?.[0]?.order_date) || null;
+}
+
+async function loadRollupState(client, storeId) {
+  const { data, error } = await client
+    .from('order_rollup_state')
+    .select('*')
+    .eq('store_id', storeId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data || null;
+}
+
+/**
+ * Cost records grouped by SKU, plus the first receipt (prior sales before it
+ * cannot change any cost)
+ */
+async function loadRollupCostHistory(storeId) {
+  const history = await loadCostHistory(storeId);
+  if (!history.ok) throw new Error(`Cost history unavailable: ${history.error}`);
+
+  const recordsBySku = new Map();
+  let firstReceiptAt = null;
+  for (const record of history.records) {
+    if (!recordsBySku.has(record.sku)) recordsBySku.set(record.sku, []);
+    recordsBySku.get(record.sku).push(record);
+    if (record.quantity !== null && (firstReceiptAt === null || record.effectiveAt < firstReceiptAt)) {
+      firstReceiptAt = record.effectiveAt;
+    }
+  }
+
+  return { recordsBySku, method: history.method, firstReceiptAt };
+}
+
+// ============================================================================
+// REFRESH
+// ============================================================================
+
+/**
+ * Rebuild the rollup rows of some days from their order lines
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<string>} days - YYYY-MM-DD days (or timestamps) to rebuild
+ * @returns {Promise<{ok: boolean, days?: number, rows?: number, lines?: number, status?: number, error?: string}>}
+ */
+export async function refreshOrderRollups(storeId, days) {
+  requireStoreId('refreshOrderRollups', storeId);
+
+  const refreshDays = [...new Set((days || []).map(rollupDay).filter(Boolean))].sort();
+  if (refreshDays.length === 0) return { ok: true, days: 0, rows: 0, lines: 0 };
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    const lines = [];
+    for (const day of refreshDays) {
+      const { start, end } = dayBounds(day);
+      for await (const page of iterateLineItemOrders(storeId, start, end, { columns: ROLLUP_LINE_COLUMNS })) {
+        for (const line of page) lines.push(line);
+      }
+    }
+
+    const costHistory = await loadRollupCostHistory(storeId);
+
+    // Earlier rolled-up sales deplete receipts before these lines
+    let priorRows = [];
+    if (costHistory.firstReceiptAt && lines.length > 0) {
+      const refreshing = new Set(refreshDays);
+      const lastDay = refreshDays[refreshDays.length - 1];
+      const priorQuery = rollupQuery(client, storeId, rollupDay(costHistory.firstReceiptAt), lastDay,
+        'day, sku, strain, unit, units_sold, last_order_at');
+      priorRows = (await collectPages(priorQuery, { label: 'order_daily_rollups' }))
+        .filter(row => !refreshing.has(row.day));
+    }
+
+    const refreshedAt = new Date().toISOString();
+    const rows = rollupOrderLines(lines, { costByLine: costOrderLines(lines, costHistory, priorRows) })
+      .map(row => ({ store_id: storeId, ...row, refreshed_at: refreshedAt }));
+    const dailyCounts = countDailyOrders(lines)
+      .map(count => ({ store_id: storeId, ...count, refreshed_at: refreshedAt }));
+
+    for (const [table, tableRows] of [['order_daily_rollups', rows], ['order_daily_counts', dailyCounts]]) {
+      const { error: deleteError } = await client
+        .from(table)
+        .delete()
+        .eq('store_id', storeId)
+        .in('day', refreshDays);
+
+      if (deleteError) throw new Error(deleteError.message);
+
+      for (let i = 0; i < tableRows.length; i += INSERT_BATCH_SIZE) {
+        const { error: insertError } = await client
+          .from(table)
+          .insert(tableRows.slice(i, i + INSERT_BATCH_SIZE));
+
+        if (insertError) throw new Error(insertError.message);
+      }
+    }
+
+    console.log(`[OrderRollups] ${storeId}: refreshed ${refreshDays.length} day(s) - ${lines.length} lines into ${rows.length} rows`);
+
+    return { ok: true, days: refreshDays.length, rows: rows.length, lines: lines.length };
+  } catch (err) {
+    console.error(`[OrderRollups] ${storeId}: refresh failed: ${err.message}`);
+    return { ok: false, status: 500, error: err.message };
+  }
+}
+
+/**
+ * Drop every rollup row, order count and stale range of a store (its
+ * orders were cleared)
+ *
+ * Coverage is kept: orders synced afterwards refresh their days as usual.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function clearOrderRollups(storeId) {
+  requireStoreId('clearOrderRollups', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  for (const table of ['order_daily_rollups', 'order_daily_counts', 'order_rollup_stale']) {
+    const { error } = await client
+      .from(table)
+      .delete()
+      .eq('store_id', storeId);
+
+    if (error) return { ok: false, error: error.message };
+  }
+  return { ok: true };
+}
+
+/**
+ * Mark rollups stale for cost records dated before rolled-up sales
+ *
+ * A SKU is marked from the day of its earliest record when a rollup row of
+ * that SKU has a sale at or after the record's effective time - those
+ * sales were costed without it. Records effective now (a receipt) change
+ * no past cost and mark nothing.
+ *
+ * Never throws - the cost records are already stored; a failed mark is
+ * logged.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<{sku: string, effectiveAt: string}>} records - Newly recorded cost records
+ * @returns {Promise<{ok: boolean, marked: Array<{sku: string, staleFrom: string}>, error?: string}>}
+ */
+export async function markRollupsStale(storeId, records) {
+  requireStoreId('markRollupsStale', storeId);
+
+  const earliestBySku = new Map();
+  for (const record of records || []) {
+    if (!record?.sku || !record.effectiveAt) continue;
+    const current = earliestBySku.get(record.sku);
+    if (!current || record.effectiveAt < current) earliestBySku.set(record.sku, record.effectiveAt);
+  }
+
+  if (earliestBySku.size === 0) return { ok: true, marked: [] };
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, marked: [], error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+  const marked = [];
+
+  try {
+    for (const [sku, effectiveAt] of earliestBySku) {
+      const staleFrom = rollupDay(effectiveAt);
+      const { data, error } = await client
+        .from('order_daily_rollups')
+        .select('day')
+        .eq('store_id', storeId)
+        .eq('sku', sku)
+        .gte('day', staleFrom)
+        .gte('last_order_at', new Date(effectiveAt).toISOString())
+        .limit(1);
+
+      if (error) throw new Error(error.message);
+      if (!data || data.length === 0) continue;
+
+      const { error: markError } = await client
+        .from('order_rollup_stale')
+        .upsert({
+          store_id: storeId,
+          sku,
+          stale_from: staleFrom,
+          reason: `Cost record effective ${effectiveAt} recorded after its sales were rolled up`,
+          marked_at: new Date().toISOString()
+        }, { onConflict: 'store_id,sku,stale_from', ignoreDuplicates: true });
+
+      if (markError) throw new Error(markError.message);
+      marked.push({ sku, staleFrom });
+    }
+  } catch (err) {
+    console.warn(`[OrderRollups] ${storeId}: could not mark rollups stale: ${err.message}`);
+    return { ok: false, marked, error: err.message };
+  }
+
+  if (marked.length > 0) {
+    console.log(`[OrderRollups] ${storeId}: backdated costs - ${marked.map(m => `${m.sku} from ${m.staleFrom}`).join(', ')} stale until rebuilt`);
+  }
+
+  return { ok: true, marked };
+}
+
+// ============================================================================
+// BACKFILL
+// ============================================================================
+
+/**
+ * Build rollups from a date through today and mark them covered
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [options] - { from?: YYYY-MM-DD (default first order), actor? }
+ * @returns {Promise<{ok: boolean, from?: string, to?: string, days?: number, rows?: number,
+ *   lines?: number, coveredFrom?: string, status?: number, error?: string}>}
+ */
+export async function backfillOrderRollups(storeId, options = {}) {
+  requireStoreId('backfillOrderRollups', storeId);
+
+  if (options.from && rollupDay(options.from) !== options.from) {
+    return { ok: false, status: 400, error: 'from must be a YYYY-MM-DD date' };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+  const to = rollupDay(new Date());
+
+  let from = options.from;
+  if (!from) {
+    try {
+      from = (await loadFirstOrderDay(client, storeId)) || to;
+    } catch (err) {
+      return { ok: false, status: 500, error: err.message };
+    }
+  }
+
+  if (from > to) {
+    return { ok: false, status: 400, error: 'from must not be in the future' };
+  }
+
+  const days = listDays(from, to);
+  const totals = { days: 0, rows: 0, lines: 0 };
+
+  for (let i = 0; i < days.length; i += BACKFILL_BATCH_DAYS) {
+    const batch = await refreshOrderRollups(storeId, days.slice(i, i + BACKFILL_BATCH_DAYS));
+    if (!batch.ok) {
+      return { ok: false, status: batch.status || 500, error: `Backfill stopped at ${days[i]}: ${batch.error}`, ...totals };
+    }
+    totals.days += batch.days;
+    totals.rows += batch.rows;
+    totals.lines += batch.lines;
+  }
+
+  let state;
+  try {
+    state = await loadRollupState(client, storeId);
+  } catch (err) {
+    return { ok: false, status: 500, error: err.message };
+  }
+
+  // Earlier coverage still counts unless it was costed with another method
+  const method = await getCostingMethod(storeId);
+  const keepsEarlier = state?.covered_from && state.covered_from < from && state.costing_method === method;
+  const coveredFrom = !options.from ? ALL_HISTORY_DAY : keepsEarlier ? state.covered_from : from;
+  const now = new Date().toISOString();
+
+  const { error: stateError } = await client
+    .from('order_rollup_state')
+    .upsert({
+      store_id: storeId,
+      covered_from: coveredFrom,
+      costing_method: method,
+      backfilled_at: now,
+      backfilled_by: options.actor || 'system'
+    }, { onConflict: 'store_id' });
+
+  if (stateError) return { ok: false, status: 500, error: stateError.message };
+
+  // Every day from `from` was re-costed; earlier stale days were not
+  let clearStale = client
+    .from('order_rollup_stale')
+    .delete()
+    .eq('store_id', storeId);
+  if (options.from) clearStale = clearStale.gte('stale_from', from);
+
+  const { error: staleError } = await clearStale;
+  if (staleError) return { ok: false, status: 500, error: staleError.message };
+
+  console.log(`[OrderRollups] ${storeId}: backfilled ${from}..${to} (${totals.lines} lines, ${totals.rows} rows) - covered from ${coveredFrom}`);
+
+  return { ok: true, from, to, ...totals, coveredFrom };
+}
+
+/**
+ * Backfill whatever a costing-method change or backdated costs left stale
+ *
+ * A method change re-costs everything covered; stale SKU ranges re-cost
+ * from the earliest one. A range reaching back to the first order (or
+ * coverage of all history) rebuilds all history. Stores never backfilled
+ * have nothing to rebuild.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [options] - { actor? }
+ * @returns {Promise<{ok: boolean, rebuilt: boolean, reason?: string, from?: string,
+ *   days?: number, rows?: number, lines?: number, status?: number, error?: string}>}
+ */
+export async function rebuildStaleRollups(storeId, options = {}) {
+  requireStoreId('rebuildStaleRollups', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, rebuilt: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  let state;
+  let stale;
+  let firstOrderDay;
+  try {
+    state = await loadRollupState(client, storeId);
+    if (!state?.covered_from) return { ok: true, rebuilt: false };
+    stale = await loadStaleRanges(client, storeId, null);
+    firstOrderDay = await loadFirstOrderDay(client, storeId);
+  } catch (err) {
+    return { ok: false, rebuilt: false, error: err.message };
+  }
+
+  const method = await getCostingMethod(storeId);
+  let reason;
+  let from;
+  if (state.costing_method !== method) {
+    reason = `costing method changed from ${state.costing_method} to ${method}`;
+    from = state.covered_from;
+  } else if (stale.length > 0) {
+    reason = `backdated costs for ${new Set(stale.map(range => range.sku)).size} SKU(s)`;
+    from = stale[0].stale_from;
+  } else {
+    return { ok: true, rebuilt: false };
+  }
+
+  const allHistory = from === ALL_HISTORY_DAY || (firstOrderDay !== null && from <= firstOrderDay);
+  console.log(`[OrderRollups] ${storeId}: rebuilding rollups from ${allHistory ? 'the first order' : from} - ${reason}`);
+
+  const result = await backfillOrderRollups(storeId, {
+    ...(allHistory ? {} : { from }),
+    actor: options.actor || 'system'
+  });
+
+  return { ...result, rebuilt: result.ok, reason };
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Rollup rows for a period, when they can stand in for raw orders
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} startDate - ISO timestamp
+ * @param {string} endDate - ISO timestamp
+ * @returns {Promise<{ok: boolean, covered: boolean, rows?: Array,
+ *   dailyCounts?: Array<{day, order_count}>, costingMethod?: string,
+ *   reason?: string, error?: string}>} covered false → read raw orders instead
+ * @throws {Error} QUERY_TRUNCATED when the rollup read comes back short
+ */
+export async function loadOrderRollups(storeId, startDate, endDate) {
+  requireStoreId('loadOrderRollups', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, covered: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  let state;
+  try {
+    state = await loadRollupState(client, storeId);
+  } catch (err) {
+    return { ok: true, covered: false, reason: `Rollup state unavailable: ${err.message}` };
+  }
+
+  const firstDay = rollupDay(startDate);
+  if (!state?.covered_from || state.covered_from > firstDay) {
+    return {
+      ok: true,
+      covered: false,
+      reason: state?.covered_from
+        ? `Rollups cover ${state.covered_from} onwards - backfill from ${firstDay}`
+        : 'Rollups not backfilled'
+    };
+  }
+
+  const costingMethod = await getCostingMethod(storeId);
+  if (state.costing_method !== costingMethod) {
+    return {
+      ok: true,
+      covered: false,
+      reason: `Rollups costed with ${state.costing_method}, store uses ${costingMethod} - the next order sync reprices them`
+    };
+  }
+
+  const lastDay = rollupDay(endDate);
+
+  let stale;
+  try {
+    stale = await loadStaleRanges(client, storeId, lastDay);
+  } catch (err) {
+    return { ok: true, covered: false, reason: `Rollup staleness unavailable: ${err.message}` };
+  }
+  if (stale.length > 0) {
+    const skus = new Set(stale.map(range => range.sku));
+    return {
+      ok: true,
+      covered: false,
+      reason: `Backdated costs made rollups of ${skus.size} SKU(s) stale from ${stale[0].stale_from} - the next order sync reprices them`
+    };
+  }
+
+  let rows;
+  let dailyCounts;
+  try {
+    rows = await collectPages(rollupQuery(client, storeId, firstDay, lastDay), { label: 'order_daily_rollups' });
+    dailyCounts = await collectPages(dailyCountQuery(client, storeId, firstDay, lastDay), { label: 'order_daily_counts' });
+  } catch (err) {
+    if (isTruncationError(err)) throw err;
+    return { ok: true, covered: false, reason: `Rollups unavailable: ${err.message}` };
+  }
+
+  return { ok: true, covered: true, rows, dailyCounts, costingMethod };
+}
+
+/**
+ * Coverage and size of a store's rollups
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, status?: Object, error?: string}>}
+ */
+export async function getRollupStatus(storeId) {
+  requireStoreId('getRollupStatus', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    const [state, costingMethod, staleRanges, countResult, firstResult, lastResult] = await Promise.all([
+      loadRollupState(client, storeId),
+      getCostingMethod(storeId),
+      loadStaleRanges(client, storeId, null),
+      client.from('order_daily_rollups').select('*', { count: 'exact', head: true }).eq('store_id', storeId),
+      client.from('order_daily_rollups').select('day').eq('store_id', storeId).order('day', { ascending: true }).limit(1),
+      client.from('order_daily_rollups').select('day, refreshed_at').eq('store_id', storeId)
+        .order('day', { ascending: false }).limit(1)
+    ]);
+
+    for (const result of [countResult, firstResult, lastResult]) {
+      if (result.error) throw new Error(result.error.message);
+    }
+
+    return {
+      ok: true,
+      status: {
+        rows: countResult.count || 0,
+        firstDay: firstResult.data?.[0]?.day ?? null,
+        lastDay: lastResult.data?.[0]?.day ?? null,
+        coveredFrom: state?.covered_from ?? null,
+        costingMethod: state?.costing_method ?? null,
+        stale: Boolean(state) && (state.costing_method !== costingMethod || staleRanges.length > 0),
+        // Backdated cost records: SKU rollups stale from a day until a backfill
+        staleRanges: staleRanges.map(range => ({ sku: range.sku, staleFrom: range.stale_from, reason: range.reason })),
+        backfilledAt: state?.backfilled_at ?? null,
+        backfilledBy: state?.backfilled_by ?? null
+      }
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+export default {
+  refreshOrderRollups,
+  clearOrderRollups,
+  markRollupsStale,
+  backfillOrderRollups,
+  rebuildStaleRollups,
+  loadOrderRollups,
+  getRollupStatus
+};
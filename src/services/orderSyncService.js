@@ -7,12 +7,51 @@
  * CRITICAL: created_at MUST be the actual order timestamp, NOT ingestion time.
  * Velocity analysis, daily/weekly logic, and chat all depend on accurate timestamps.
  *
- * IDEMPOTENCY: Enforced by database constraint on (order_id, sku).
+ * IDEMPOTENCY: Enforced by database constraint on
+ * (store_id, order_id, sku, entry_type, entry_ref).
  * No fallback logic - upsert fails hard if constraint missing.
+ *
+ * MULTI-TENANT: Every sync runs for exactly one store. webhook_events,
+ * inventory_virtual and orders are all filtered/written by store_id.
+ *
+ * LEDGER: Each synced line item with a catalog SKU is posted to
+ * inventory_movements as a SALE (source document = order number).
+ *
+ * REFUNDS / CANCELLATIONS: wix.order.refunded and wix.order.canceled events
+ * add reversing line items (utils/orderAdjustments.js) keyed by refund ID;
+ * sale rows are never edited. Restocked units are posted back as RETURN.
+ *
+ * ROLLUPS: Each run ends by rebuilding the daily SKU rollups of the days it
+ * wrote to, then any rollups a costing-method change or backdated cost left
+ * stale (orderRollupService.js).
+ *
+ * SKU MATCHING: Reviewed aliases (sku_aliases) are checked first. Fuzzy
+ * matches only consider SKUs whose unit agrees with the line's, and every
+ * fuzzy match is queued for review (skuReviewService.js), as is any other
+ * match below the review threshold - generated fallback SKUs included.
  */
 
-import { getSupabaseClient, isSupabaseAvailable } from '../db/supabaseClient.js';
-import { lookupCatalogSku } from '../utils/catalogLookup.js';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { lookupCatalogMatch } from '../utils/catalogLookup.js';
+import { getConfiguredStoreIds } from '../utils/storeRegistry.js';
+import { createMovement, MOVEMENT_TYPES } from '../utils/inventoryLedger.js';
+import { recordMovements } from './inventoryLedgerService.js';
+import { loadSkuAliases, queueSkuReview } from './skuReviewService.js';
+import { refreshOrderRollups, rebuildStaleRollups } from './orderRollupService.js';
+import { aliasKey } from '../utils/skuAliases.js';
+import { canonicalizeUnit } from '../utils/unitWeights.js';
+import { findBestMatch, summarizeCandidates } from '../utils/fuzzyMatcher.js';
+import {
+  ORDER_EVENT_TYPES,
+  ENTRY_TYPES,
+  ADJUSTMENT_KINDS,
+  classifyOrderEvent,
+  parseOrderAdjustment,
+  planReversals
+} from '../utils/orderAdjustments.js';
+
+// Unique line key: one sale row per SKU, one reversal per SKU per refund
+const ORDER_LINE_KEY = 'store_id,order_id,sku,entry_type,entry_ref';
 
 /**
  * Extract the actual order timestamp from Wix payload
@@ -53,27 +92,33 @@ function extractOrderTimestamp(data, webhookReceivedAt) {
 }
 
 /**
- * Sync orders from webhook_events to orders table
+ * Sync orders from webhook_events to orders table - MULTI-TENANT
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {number} lookbackDays - How many days to sync (default: 30)
  * @returns {Promise<{synced: number, skipped: number, errors: number}>}
  */
-export async function syncOrdersFromWebhooks(lookbackDays = 30) {
+export async function syncOrdersFromWebhooks(storeId, lookbackDays = 30) {
+  if (!storeId) {
+    throw new Error('[OrderSync] syncOrdersFromWebhooks: storeId is required');
+  }
+
   console.log('[OrderSync] ========== EXECUTION CONTEXT ==========');
   console.log('[OrderSync] Function: syncOrdersFromWebhooks');
+  console.log('[OrderSync] Store:', storeId);
   console.log('[OrderSync] Timestamp:', new Date().toISOString());
   console.log('[OrderSync] Lookback days:', lookbackDays);
   console.log('[OrderSync] Process ID:', process.pid);
   console.log('[OrderSync] ===========================================');
 
-  if (!isSupabaseAvailable()) {
-    console.error('[OrderSync] ❌ isSupabaseAvailable() returned false');
+  if (!isAuthorityAvailable()) {
+    console.error('[OrderSync] ❌ isAuthorityAvailable() returned false');
     throw new Error('Supabase not configured');
   }
 
-  console.log('[OrderSync] ✅ isSupabaseAvailable() returned true');
-  console.log('[OrderSync] Calling getSupabaseClient()...');
+  console.log('[OrderSync] ✅ isAuthorityAvailable() returned true');
+  console.log('[OrderSync] Calling getAuthorityClient()...');
 
-  const client = getSupabaseClient();
+  const client = getAuthorityClient();
 
   // DIAGNOSTIC: Verify client state before inventory query
   console.log('[OrderSync] Client state:', {
@@ -96,7 +141,8 @@ export async function syncOrdersFromWebhooks(lookbackDays = 30) {
 
   const { data: inventory, error: inventoryError } = await client
     .from('inventory_virtual')
-    .select('sku, product_name, variant_name');
+    .select('sku, product_name, variant_name')
+    .eq('store_id', storeId);
 
   console.log('[OrderSync] 📡 QUERY 1 COMPLETE:', {
     success: !inventoryError,
@@ -121,6 +167,8 @@ export async function syncOrdersFromWebhooks(lookbackDays = 30) {
     console.log(`[OrderSync] Loaded ${inventoryItems.length} inventory items for SKU matching`);
   }
 
+  const aliases = await loadSkuAliases(storeId);
+
   // Get order events from webhook_events
   const lookbackDate = new Date();
   lookbackDate.setDate(lookbackDate.getDate() - lookbackDays);
@@ -128,9 +176,11 @@ export async function syncOrdersFromWebhooks(lookbackDays = 30) {
   const { data: webhookEvents, error: webhookError } = await client
     .from('webhook_events')
     .select('*')
-    .eq('event_type', 'wix.order.created')
+    .eq('store_id', storeId)
+    .in('event_type', Object.values(ORDER_EVENT_TYPES))
     .gte('received_at', lookbackDate.toISOString())
-    .order('received_at', { ascending: false });
+    // Oldest first: a refund is applied after the sale it reverses
+    .order('received_at', { ascending: true });
 
   if (webhookError) {
     throw new Error(`Failed to load webhook events: ${webhookError.message}`);
@@ -141,212 +191,425 @@ export async function syncOrdersFromWebhooks(lookbackDays = 30) {
   let synced = 0;
   let skipped = 0;
   let errors = 0;
+  const rollupDays = new Set();
 
   // Parse each webhook event
   for (const event of webhookEvents) {
     try {
-      let rawPayload = event.raw_payload;
-      let needsPayloadUpdate = false;
-
-      // raw_payload is stored as a JSON string in JSONB column
-      // Parse it once and update the row so SQL queries work
-      if (typeof rawPayload === 'string') {
-        // Remove "Webhooks → Custom webhook →" prefix if present
-        const prefixMatch = rawPayload.match(/^Webhooks\s*→\s*Custom webhook\s*→\s*(.+)$/s);
-        if (prefixMatch) {
-          rawPayload = prefixMatch[1];
-        }
-
-        // Parse JSON string to object
-        try {
-          rawPayload = JSON.parse(rawPayload);
-          needsPayloadUpdate = true; // Mark for update
-        } catch (parseError) {
-          console.error(`[OrderSync] Failed to parse JSON for event ${event.id}:`, parseError.message);
-          skipped++;
-          continue;
-        }
-      }
+      const result = await syncOrderEvent(client, storeId, event, inventoryItems, aliases);
+      if (result.status === 'synced') {
+        synced += result.synced;
+        rollupDays.add(result.day);
+      } else if (result.status === 'skipped') skipped++;
+      else errors++;
+    } catch (err) {
+      console.error(`[OrderSync] Error processing event ${event.id}:`, err.message);
+      errors++;
+    }
+  }
 
-      // Update webhook_events.raw_payload with parsed JSON object
-      // This fixes SQL queries: raw_payload->>'orderId' will now work
-      if (needsPayloadUpdate) {
-        const { error: updateError } = await client
-          .from('webhook_events')
-          .update({ raw_payload: rawPayload })
-          .eq('id', event.id);
-
-        if (updateError) {
-          console.warn(`[OrderSync] Failed to update raw_payload for event ${event.id}:`, updateError.message);
-          // Continue processing - this is not fatal
-        } else {
-          console.log(`[OrderSync] Fixed raw_payload for event ${event.id}`);
-        }
-      }
+  await refreshSyncedRollups(storeId, rollupDays);
 
-      // Handle both wrapped and flat JSON structures
-      // Wix webhooks send flat structure: { orderNumber, payments, lineItems }
-      // Not wrapped: { data: { orderNumber, ... } }
-      const data = rawPayload?.data || rawPayload;
+  console.log(`[OrderSync] Complete (${storeId}): ${synced} items synced, ${skipped} skipped, ${errors} errors`);
 
-      if (!data || !data.orderNumber) {
-        console.warn(`[OrderSync] No valid order data in event ${event.id}`);
-        skipped++;
-        continue;
-      }
+  return { synced, skipped, errors };
+}
 
-      const orderNumber = data.orderNumber;
-      const lineItems = data.lineItems || [];
+/**
+ * Sync specific webhook events (incremental - called as webhooks arrive)
+ *
+ * Same parsing, SKU matching and ledger posting as syncOrdersFromWebhooks,
+ * without re-reading the whole lookback window.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<number>} eventIds - webhook_events.id values
+ * @returns {Promise<{synced: number, skipped: number, errors: number}>}
+ */
+export async function syncOrderEvents(storeId, eventIds) {
+  if (!storeId) {
+    throw new Error('[OrderSync] syncOrderEvents: storeId is required');
+  }
 
-      // CRITICAL: Extract actual order timestamp (NOT ingestion time)
-      const orderTimestamp = extractOrderTimestamp(data, event.received_at);
+  if (!isAuthorityAvailable()) {
+    throw new Error('Supabase not configured');
+  }
 
-      if (lineItems.length === 0) {
-        console.warn(`[OrderSync] Order ${orderNumber} has no line items`);
-        skipped++;
-        continue;
-      }
+  const client = getAuthorityClient();
+  const totals = { synced: 0, skipped: 0, errors: 0 };
+  if (!eventIds || eventIds.length === 0) return totals;
 
-      // Build line item rows
-      const orderRows = [];
-
-      for (const item of lineItems) {
-        // Parse product name to extract strain and unit
-        const itemName = item.itemName || item.productName?.original || 'Unknown';
-        let { strain, unit } = parseProductName(itemName);
-
-        // Priority 1: descriptionLines — Wix sends variant in
-        //   descriptionLines[{name:"Weight", description:"28 G"}]
-        if (unit === 'unknown' && Array.isArray(item.descriptionLines)) {
-          for (const line of item.descriptionLines) {
-            if (line && line.name) {
-              const lineName = line.name.toLowerCase();
-              if (lineName === 'weight' || lineName === 'size' || lineName === 'unit') {
-                const extracted = (line.description || line.value || '').trim();
-                if (extracted) {
-                  unit = normalizeUnit(extracted);
-                  break;
-                }
-              }
-            }
-          }
-        }
+  const { data: inventory, error: inventoryError } = await client
+    .from('inventory_virtual')
+    .select('sku, product_name, variant_name')
+    .eq('store_id', storeId);
 
-        // Priority 2: item.options weight field
-        if (unit === 'unknown' && Array.isArray(item.options)) {
-          const weightOpt = item.options.find(
-            opt => opt.option && opt.option.toLowerCase().includes('weight')
-          );
-          if (weightOpt && weightOpt.selection) {
-            unit = normalizeUnit(weightOpt.selection);
-          }
-        }
+  if (inventoryError) {
+    console.warn(`[OrderSync] Inventory unavailable, continuing with fallback SKU matching: ${inventoryError.message}`);
+  }
 
-        // Ensure final unit is always normalized (guards against any raw value
-        // that made it through without hitting normalizeUnit above)
-        unit = normalizeUnit(unit);
-
-        // Map to inventory_live SKU format (async catalog lookup)
-        const sku = await findMatchingSKU(strain, unit, inventoryItems, itemName);
-
-        orderRows.push({
-          order_id: orderNumber,
-          order_date: orderTimestamp,
-          created_at: orderTimestamp,  // ACTUAL ORDER TIME, NOT NOW()
-          sku: sku || `unknown_${orderNumber}_${strain.substring(0, 10)}`,
-          strain: strain,
-          unit: unit,
-          quality: null,
-          quantity: item.quantity || 1,
-          price_per_unit: parseFloat(item.totalPrice?.value || item.price || 0),
-          total_amount: parseFloat(item.totalPrice?.value || 0) * (item.quantity || 1),
-          customer_id: data.buyerId || null,
-          notes: item.descriptionLines?.map(d => `${d.name}: ${d.description}`).join(', ') || null
-        });
-      }
+  const aliases = await loadSkuAliases(storeId);
 
-      // SINGLE DETERMINISTIC UPSERT - NO FALLBACKS
-      // Requires unique constraint: (order_id, sku)
-      if (orderRows.length > 0) {
-        const { error: upsertError } = await client
-          .from('orders')
-          .upsert(orderRows, {
-            onConflict: 'order_id,sku',
-            ignoreDuplicates: true
-          });
-
-        if (upsertError) {
-          // Hard fail - do not attempt insert fallback
-          console.error(`[OrderSync] UPSERT FAILED for order ${orderNumber}: ${upsertError.message}`);
-          console.error(`[OrderSync] Ensure unique constraint exists: ALTER TABLE orders ADD CONSTRAINT orders_order_id_sku_unique UNIQUE (order_id, sku);`);
-          errors++;
-          continue;
-        }
+  const { data: events, error: eventsError } = await client
+    .from('webhook_events')
+    .select('*')
+    .eq('store_id', storeId)
+    .in('id', eventIds)
+    .order('received_at', { ascending: true });
 
-        synced += orderRows.length;
-        console.log(`[OrderSync] ✅ Order ${orderNumber}: ${orderRows.length} items @ ${orderTimestamp}`);
-      }
+  if (eventsError) {
+    throw new Error(`Failed to load webhook events: ${eventsError.message}`);
+  }
 
+  const rollupDays = new Set();
+  for (const event of events || []) {
+    try {
+      const result = await syncOrderEvent(client, storeId, event, inventoryError ? [] : (inventory || []), aliases);
+      if (result.status === 'synced') {
+        totals.synced += result.synced;
+        rollupDays.add(result.day);
+      } else if (result.status === 'skipped') totals.skipped++;
+      else totals.errors++;
     } catch (err) {
       console.error(`[OrderSync] Error processing event ${event.id}:`, err.message);
-      errors++;
+      totals.errors++;
     }
   }
 
-  console.log(`[OrderSync] Complete: ${synced} items synced, ${skipped} skipped, ${errors} errors`);
+  await refreshSyncedRollups(storeId, rollupDays);
 
-  return { synced, skipped, errors };
+  console.log(`[OrderSync] Incremental sync (${storeId}): ${events?.length || 0} events, ${totals.synced} items synced, ${totals.skipped} skipped, ${totals.errors} errors`);
+
+  return totals;
 }
 
 /**
- * Normalize a raw unit string to a canonical stored form.
+ * Rebuild the daily SKU rollups of the days a sync run wrote to, and any
+ * stale ones
  *
- * Canonical values:
- *   Weight:       '3.5g', '7g', '14g', '28g', '1g', '2g'
- *   Product type: 'cartridge', 'gummies', 'preroll'
- *   Unknown:      'unknown'
+ * Non-fatal: a failed refresh is logged and the orders stay synced; the
+ * days are rebuilt by the next sync that touches them or a backfill, and
+ * stale rollups by the next sync.
+ *
+ * @param {string} storeId - Store identifier
+ * @param {Set<string>} days - Order / reversal timestamps written
+ */
+async function refreshSyncedRollups(storeId, days) {
+  if (days.size > 0) {
+    const result = await refreshOrderRollups(storeId, [...days]);
+    if (!result.ok) {
+      console.error(`[OrderSync] Rollup refresh failed for ${storeId}: ${result.error}`);
+    }
+  }
+
+  const rebuilt = await rebuildStaleRollups(storeId, { actor: 'order_sync' });
+  if (!rebuilt.ok) {
+    console.error(`[OrderSync] Stale rollup rebuild failed for ${storeId}: ${rebuilt.error}`);
+  }
+}
+
+/**
+ * Sync one order webhook event into orders (and the ledger)
+ *
+ * @param {object} client - Authority client
+ * @param {string} storeId - Store identifier
+ * @param {object} event - webhook_events row
+ * @param {Array} inventoryItems - inventory_virtual rows for SKU matching
+ * @param {Map<string, string>} aliases - Reviewed SKU aliases
+ * @returns {Promise<{status: 'synced'|'skipped'|'error', synced?: number, day?: string}>}
+ */
+async function syncOrderEvent(client, storeId, event, inventoryItems, aliases) {
+  let synced = 0;
+
+  let rawPayload = event.raw_payload;
+  let needsPayloadUpdate = false;
+
+  // raw_payload is stored as a JSON string in JSONB column
+  // Parse it once and update the row so SQL queries work
+  if (typeof rawPayload === 'string') {
+    // Remove "Webhooks → Custom webhook →" prefix if present
+    const prefixMatch = rawPayload.match(/^Webhooks\s*→\s*Custom webhook\s*→\s*(.+)$/s);
+    if (prefixMatch) {
+      rawPayload = prefixMatch[1];
+    }
+
+    // Parse JSON string to object
+    try {
+      rawPayload = JSON.parse(rawPayload);
+      needsPayloadUpdate = true; // Mark for update
+    } catch (parseError) {
+      console.error(`[OrderSync] Failed to parse JSON for event ${event.id}:`, parseError.message);
+      return { status: 'skipped' };
+    }
+  }
+
+  // Update webhook_events.raw_payload with parsed JSON object
+  // This fixes SQL queries: raw_payload->>'orderId' will now work
+  if (needsPayloadUpdate) {
+    const { error: updateError } = await client
+      .from('webhook_events')
+      .update({ raw_payload: rawPayload })
+      .eq('id', event.id)
+      .eq('store_id', storeId);
+
+    if (updateError) {
+      console.warn(`[OrderSync] Failed to update raw_payload for event ${event.id}:`, updateError.message);
+      // Continue processing - this is not fatal
+    } else {
+      console.log(`[OrderSync] Fixed raw_payload for event ${event.id}`);
+    }
+  }
+
+  // Handle both wrapped and flat JSON structures
+  // Wix webhooks send flat structure: { orderNumber, payments, lineItems }
+  // Not wrapped: { data: { orderNumber, ... } }
+  const data = rawPayload?.data || rawPayload;
+
+  if (!data || !data.orderNumber) {
+    console.warn(`[OrderSync] No valid order data in event ${event.id}`);
+    return { status: 'skipped' };
+  }
+
+  const kind = classifyOrderEvent(event.event_type, data);
+  if (kind !== ADJUSTMENT_KINDS.SALE) {
+    return syncOrderAdjustment(client, storeId, event, data, kind, inventoryItems, aliases);
+  }
+
+  const orderNumber = data.orderNumber;
+  const lineItems = data.lineItems || [];
+
+  // CRITICAL: Extract actual order timestamp (NOT ingestion time)
+  const orderTimestamp = extractOrderTimestamp(data, event.received_at);
+
+  if (lineItems.length === 0) {
+    console.warn(`[OrderSync] Order ${orderNumber} has no line items`);
+    return { status: 'skipped' };
+  }
+
+  // Build line item rows
+  const orderRows = [];
+
+  for (const item of lineItems) {
+    const { strain, unit, sku } = await resolveLineItem(storeId, item, inventoryItems, aliases, orderNumber);
+
+    orderRows.push({
+      store_id: storeId,
+      order_id: orderNumber,
+      order_date: orderTimestamp,
+      created_at: orderTimestamp,  // ACTUAL ORDER TIME, NOT NOW()
+      sku: sku || `unknown_${orderNumber}_${strain.substring(0, 10)}`,
+      strain: strain,
+      unit: unit,
+      quality: null,
+      quantity: item.quantity || 1,
+      price_per_unit: parseFloat(item.totalPrice?.value || item.price || 0),
+      total_amount: parseFloat(item.totalPrice?.value || 0) * (item.quantity || 1),
+      customer_id: data.buyerId || null,
+      notes: item.descriptionLines?.map(d => `${d.name}: ${d.description}`).join(', ') || null,
+      entry_type: ENTRY_TYPES.SALE,
+      entry_ref: ''
+    });
+  }
+
+  // SINGLE DETERMINISTIC UPSERT - NO FALLBACKS
+  // Requires unique constraint: (store_id, order_id, sku, entry_type, entry_ref)
+  if (orderRows.length > 0) {
+    const { error: upsertError } = await client
+      .from('orders')
+      .upsert(orderRows, {
+        onConflict: ORDER_LINE_KEY,
+        ignoreDuplicates: true
+      });
+
+    if (upsertError) {
+      // Hard fail - do not attempt insert fallback
+      console.error(`[OrderSync] UPSERT FAILED for order ${orderNumber}: ${upsertError.message}`);
+      console.error(`[OrderSync] Ensure unique constraint exists: ALTER TABLE orders ADD CONSTRAINT orders_store_order_sku_entry_unique UNIQUE (${ORDER_LINE_KEY.replace(/,/g, ', ')}); (migration 024)`);
+      return { status: 'error' };
+    }
+
+    synced += orderRows.length;
+    console.log(`[OrderSync] ✅ Order ${orderNumber}: ${orderRows.length} items @ ${orderTimestamp}`);
+
+    // Ledger: SALE per matched line (unknown_* SKUs have no stock to deplete)
+    const saleMovements = orderRows
+      .filter(row => !row.sku.startsWith('unknown_') && row.quantity > 0)
+      .map(row => createMovement({
+        sku: row.sku,
+        type: MOVEMENT_TYPES.SALE,
+        quantity: row.quantity,
+        reason: `Order ${orderNumber}`,
+        actor: 'order_sync',
+        sourceDocument: { type: 'order', id: String(orderNumber) },
+        occurredAt: orderTimestamp
+      }));
+
+    const ledgerResult = await recordMovements(storeId, saleMovements);
+    if (!ledgerResult.ok) {
+      console.error(`[OrderSync] Ledger SALE post failed for order ${orderNumber}: ${ledgerResult.error}`);
+    }
+  }
+
+  return { status: 'synced', synced, day: orderTimestamp };
+}
+
+/**
+ * Apply a refund or cancellation event as reversing line items
  *
- * This runs on EVERY unit value before it is written to orders.unit.
- * It is the single source of truth for unit normalization in JS.
+ * @param {object} client - Authority client
+ * @param {string} storeId - Store identifier
+ * @param {object} event - webhook_events row
+ * @param {object} data - Parsed order payload
+ * @param {string} kind - ADJUSTMENT_KINDS.REFUND | ADJUSTMENT_KINDS.CANCEL
+ * @param {Array} inventoryItems - inventory_virtual rows for SKU matching
+ * @param {Map<string, string>} aliases - Reviewed SKU aliases
+ * @returns {Promise<{status: 'synced'|'skipped'|'error', synced?: number, day?: string}>}
  */
-function normalizeUnit(raw) {
-  if (!raw) return 'unknown';
+async function syncOrderAdjustment(client, storeId, event, data, kind, inventoryItems, aliases) {
+  const orderNumber = String(data.orderNumber);
+  const adjustment = parseOrderAdjustment(kind, data);
+  // Refunds without an ID are keyed by the event that carried them
+  const ref = adjustment.ref || `event-${event.id}`;
+  const occurredAt = extractOrderTimestamp({ createdDate: adjustment.occurredAt }, event.received_at);
+
+  const { data: orderLines, error: linesError } = await client
+    .from('orders')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('order_id', orderNumber);
 
-  let u = raw.toLowerCase().trim();
+  if (linesError) {
+    console.error(`[OrderSync] Failed to load order ${orderNumber} for ${kind}: ${linesError.message}`);
+    return { status: 'error' };
+  }
 
-  // Literal 'unit' / 'units' is not a measurement
-  if (u === 'unit' || u === 'units' || u === '') return 'unknown';
+  const saleRows = (orderLines || []).filter(row => (row.entry_type || ENTRY_TYPES.SALE) === ENTRY_TYPES.SALE);
+  if (saleRows.length === 0) {
+    console.warn(`[OrderSync] ${kind} for order ${orderNumber} skipped: no synced sale to reverse`);
+    return { status: 'skipped' };
+  }
 
-  // Collapse space between number and g: '28 G' → '28g', '3.5 G' → '3.5g'
-  u = u.replace(/(\d+\.?\d*)\s+g\b/gi, '$1g');
+  // Resolve refund lines to the SKUs their sales were stored under
+  if (adjustment.lines) {
+    for (const line of adjustment.lines) {
+      if (line.item.sku && saleRows.some(row => row.sku === line.item.sku)) {
+        line.sku = line.item.sku;
+        continue;
+      }
+      const { strain, sku } = await resolveLineItem(storeId, line.item, inventoryItems, aliases, orderNumber);
+      line.sku = sku || `unknown_${orderNumber}_${strain.substring(0, 10)}`;
+    }
+  }
 
-  // Fraction forms
-  if (/^1\s*\/\s*8$/.test(u)) return '3.5g';
-  if (/^1\s*\/\s*4$/.test(u)) return '7g';
-  if (/^1\s*\/\s*2$/.test(u)) return '14g';
-  if (/^(1\s*oz|one\s*oz|1\s*ounce|ounce)$/i.test(u)) return '28g';
+  const priorReversals = (orderLines || []).filter(row =>
+    (row.entry_type || ENTRY_TYPES.SALE) !== ENTRY_TYPES.SALE && row.entry_ref !== ref
+  );
+  const { rows, skipped } = planReversals(saleRows, priorReversals, adjustment, { ref, occurredAt });
 
-  // Word synonyms (whole-string only — avoids mangling compound names)
-  if (/^eighths?$/.test(u)) return '3.5g';
-  if (/^quarters?$/.test(u)) return '7g';
-  if (/^half$/.test(u)) return '14g';
-  if (/^ounces?$/.test(u)) return '28g';
+  for (const skip of skipped) {
+    console.warn(`[OrderSync] ${kind} ${ref} on order ${orderNumber}: ${skip.sku || 'line'} skipped - ${skip.reason}`);
+  }
 
-  // Strip trailing descriptor after a weight: '1g disposable' → '1g', '2g flavored' → '2g'
-  const weightDesc = u.match(/^(\d+\.?\d*g)\s+\S/);
-  if (weightDesc) u = weightDesc[1];
+  if (rows.length === 0) {
+    return { status: 'skipped' };
+  }
 
-  // Product-type detection (check after weight stripping)
-  if (/cart/.test(u))                        return 'cartridge';
-  if (/gumm/.test(u))                        return 'gummies';
-  if (/^disposable$/.test(u))                return '1g';
-  if (/(pre.?roll|preroll|^roll$)/.test(u))  return 'preroll';
+  const { error: upsertError } = await client
+    .from('orders')
+    .upsert(rows, { onConflict: ORDER_LINE_KEY, ignoreDuplicates: true });
 
-  // Already a canonical weight
-  if (/^\d+\.?\d*g$/.test(u)) return u;
+  if (upsertError) {
+    console.error(`[OrderSync] UPSERT FAILED for ${kind} ${ref} on order ${orderNumber}: ${upsertError.message}`);
+    return { status: 'error' };
+  }
 
-  // Return lowercased as-is (better than 'unknown' for debugging)
-  return u;
+  console.log(`[OrderSync] ↩️ Order ${orderNumber}: ${kind} ${ref} reversed ${rows.length} items @ ${occurredAt}`);
+
+  // Ledger: restocked units come back as RETURN (unknown_* SKUs were never depleted)
+  const returnMovements = rows
+    .filter(row => row.entry_type !== ENTRY_TYPES.REFUND && !row.sku.startsWith('unknown_'))
+    .map(row => createMovement({
+      sku: row.sku,
+      type: MOVEMENT_TYPES.RETURN,
+      quantity: -row.quantity,
+      reason: `Order ${orderNumber} ${row.entry_type}`,
+      actor: 'order_sync',
+      sourceDocument: { type: `order_${row.entry_type}`, id: `${orderNumber}:${ref}` },
+      occurredAt
+    }));
+
+  const ledgerResult = await recordMovements(storeId, returnMovements);
+  if (!ledgerResult.ok) {
+    console.error(`[OrderSync] Ledger RETURN post failed for order ${orderNumber}: ${ledgerResult.error}`);
+  }
+
+  return { status: 'synced', synced: rows.length, day: occurredAt };
+}
+
+/**
+ * Strain, unit and catalog SKU of one Wix line item
+ *
+ * Shared by sales and reversals so a refund line resolves to the same SKU
+ * as the sale it reverses.
+ *
+ * @param {string} storeId - Store identifier
+ * @param {object} item - Wix line item
+ * @param {Array} inventoryItems - inventory_virtual rows for SKU matching
+ * @param {Map<string, string>} aliases - Reviewed SKU aliases
+ * @param {string|number} orderNumber - Order the line is on (review example)
+ * @returns {Promise<{strain: string, unit: string, sku: string|null}>}
+ */
+async function resolveLineItem(storeId, item, inventoryItems, aliases, orderNumber) {
+  // Parse product name to extract strain and unit
+  const itemName = item.itemName || item.productName?.original || 'Unknown';
+  let { strain, unit } = parseProductName(itemName);
+
+  // Priority 1: descriptionLines — Wix sends variant in
+  //   descriptionLines[{name:"Weight", description:"28 G"}]
+  if (unit === 'unknown' && Array.isArray(item.descriptionLines)) {
+    for (const line of item.descriptionLines) {
+      if (line && line.name) {
+        const lineName = line.name.toLowerCase();
+        if (lineName === 'weight' || lineName === 'size' || lineName === 'unit') {
+          const extracted = (line.description || line.value || '').trim();
+          if (extracted) {
+            unit = canonicalizeUnit(extracted);
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  // Priority 2: item.options weight field
+  if (unit === 'unknown' && Array.isArray(item.options)) {
+    const weightOpt = item.options.find(
+      opt => opt.option && opt.option.toLowerCase().includes('weight')
+    );
+    if (weightOpt && weightOpt.selection) {
+      unit = canonicalizeUnit(weightOpt.selection);
+    }
+  }
+
+  // Ensure final unit is always normalized (guards against any raw value
+  // that made it through without hitting canonicalizeUnit above)
+  unit = canonicalizeUnit(unit);
+
+  // Map to inventory_live SKU format (async catalog lookup)
+  const match = await findMatchingSKU(storeId, strain, unit, inventoryItems, itemName, aliases);
+
+  await queueSkuReview(storeId, {
+    strain,
+    unit,
+    rawName: itemName,
+    proposedSku: match.sku,
+    matchType: match.matchType,
+    confidence: match.confidence,
+    candidates: match.candidates,
+    source: 'order_sync',
+    orderId: orderNumber
+  });
+
+  return { strain, unit, sku: match.sku };
 }
 
 /**
@@ -359,7 +622,7 @@ function normalizeUnit(raw) {
  *   4. Product-type suffix: "Blue River Rosin Cartridge"
  *   5. Fallback: entire name is strain, unit = 'unknown'
  *
- * All returned units pass through normalizeUnit() so values are
+ * All returned units pass through canonicalizeUnit() so values are
  * always in canonical form before being stored.
  */
 function parseProductName(name) {
@@ -372,7 +635,7 @@ function parseProductName(name) {
   if (parenMatch) {
     return {
       strain: parenMatch[1].trim(),
-      unit: normalizeUnit(parenMatch[2].trim()),
+      unit: canonicalizeUnit(parenMatch[2].trim()),
     };
   }
 
@@ -384,7 +647,7 @@ function parseProductName(name) {
     const rawUnit = (weightSuffix[2] + (weightSuffix[3] || '')).trim();
     return {
       strain: weightSuffix[1].trim(),
-      unit: normalizeUnit(rawUnit),
+      unit: canonicalizeUnit(rawUnit),
     };
   }
 
@@ -394,7 +657,7 @@ function parseProductName(name) {
     const strain = (embeddedWeight[1] + embeddedWeight[3]).trim().replace(/\s+/g, ' ');
     return {
       strain: strain || name.trim(),
-      unit: normalizeUnit(embeddedWeight[2] + 'g'),
+      unit: canonicalizeUnit(embeddedWeight[2] + 'g'),
     };
   }
 
@@ -405,7 +668,7 @@ function parseProductName(name) {
   if (typeSuffix) {
     return {
       strain: typeSuffix[1].trim(),
-      unit: normalizeUnit(typeSuffix[2].trim()),
+      unit: canonicalizeUnit(typeSuffix[2].trim()),
     };
   }
 
@@ -418,76 +681,108 @@ function parseProductName(name) {
 
 /**
  * Find matching SKU from inventory_live based on product name
- * Uses catalog lookup first, then fuzzy matching as fallback
+ * Uses reviewed aliases and exact catalog / inventory matches first, then
+ * fuzzy matching (utils/fuzzyMatcher.js) as fallback
+ *
+ * Confidence is on the skuResolver.js scale (fuzzy: the match score).
+ * Fuzzy candidates must not disagree on unit: a 7g line never matches the
+ * 3.5g SKU of the same strain. The caller queues every FUZZY and
+ * CATALOG_FUZZY match, and anything else below the review threshold.
+ *
+ * @returns {Promise<{sku: string, matchType: string, confidence: number, candidates?: Array}>}
  */
-async function findMatchingSKU(strain, unit, inventory, fullProductName) {
+async function findMatchingSKU(storeId, strain, unit, inventory, fullProductName, aliases) {
   const strainLower = strain.toLowerCase().trim();
   const unitLower = unit.toLowerCase().trim();
-  const fullLower = fullProductName.toLowerCase().trim();
 
-  // 0. Try catalog lookup first (canonical source)
+  // 0. A reviewer already answered this strain + unit
+  const aliasSku = aliases?.get(aliasKey(strain, unit));
+  if (aliasSku) {
+    return { sku: aliasSku, matchType: 'ALIAS', confidence: 1.0 };
+  }
+
+  // 1. Try catalog lookup (canonical source) - exact, else its best fuzzy match
+  let catalogMatch = null;
   try {
-    const catalogSku = await lookupCatalogSku({ strain, unit, brand: null, category: null });
-    if (catalogSku) {
-      return catalogSku;
+    catalogMatch = await lookupCatalogMatch({ storeId, strain, unit, brand: null, category: null });
+    if (catalogMatch?.matchType === 'exact') {
+      return { sku: catalogMatch.sku, matchType: 'CATALOG', confidence: 1.0 };
     }
   } catch (err) {
     // Catalog lookup failed, continue with fallback matching
   }
 
-  // 1. Try exact strain + unit match
+  // 2. Try exact strain + unit match
   // inventory_virtual columns: product_name (strain), variant_name (unit)
   for (const inv of inventory) {
     const invStrain = (inv.product_name || '').toLowerCase().trim();
     const invUnit = (inv.variant_name || '').toLowerCase().trim();
 
     if (invStrain === strainLower && invUnit === unitLower) {
-      return inv.sku;
+      return { sku: inv.sku, matchType: 'EXACT_STRAIN', confidence: 0.95 };
     }
   }
 
-  // 2. Try strain contains or contained by
-  for (const inv of inventory) {
-    const invStrain = (inv.product_name || '').toLowerCase().trim();
+  // 3. Fuzzy match on the parsed strain, then the full product name (in case
+  //    parsing cut the name badly); the catalog's fuzzy match competes too
+  const fuzzy = [
+    findBestMatch({ name: strain, unit }, inventory, { excludeUnitMismatch: true }),
+    findBestMatch({ name: fullProductName, unit }, inventory, { excludeUnitMismatch: true })
+  ].sort((a, b) => (b.best?.score || 0) - (a.best?.score || 0))[0];
 
-    if (invStrain.includes(strainLower) || strainLower.includes(invStrain)) {
-      return inv.sku;
-    }
+  if (fuzzy.best && (!catalogMatch || fuzzy.best.score >= catalogMatch.score)) {
+    return {
+      sku: fuzzy.best.row.sku,
+      matchType: 'FUZZY',
+      confidence: fuzzy.confidence,
+      candidates: summarizeCandidates(fuzzy.candidates)
+    };
   }
 
-  // 3. Try full product name match
-  for (const inv of inventory) {
-    const invFull = (inv.product_name || '').toLowerCase().trim();
-
-    if (fullLower.includes(invFull) || invFull.includes(fullLower)) {
-      return inv.sku;
-    }
+  if (catalogMatch) {
+    return {
+      sku: catalogMatch.sku,
+      matchType: 'CATALOG_FUZZY',
+      confidence: catalogMatch.confidence,
+      candidates: catalogMatch.candidates
+    };
   }
 
   // 4. Fallback: generate normalized SKU (will not match velocity, but allows sync)
   const normalizedStrain = strainLower.replace(/[^a-z0-9]+/g, '_');
   const normalizedUnit = unitLower.replace(/[^a-z0-9]+/g, '_');
 
-  return `${normalizedStrain}_${normalizedUnit}`;
+  return { sku: `${normalizedStrain}_${normalizedUnit}`, matchType: 'UNMATCHED', confidence: 0 };
 }
 
 /**
  * Auto-sync orders (run on server startup)
+ *
+ * Runs once per configured store (see storeRegistry.js).
+ * A failing store does not block the others.
  */
 export async function autoSyncOrders() {
-  try {
-    console.log('[OrderSync] Starting automatic order sync...');
-    const result = await syncOrdersFromWebhooks(30); // Last 30 days
+  const totals = { synced: 0, skipped: 0, errors: 0 };
 
-    if (result.synced > 0) {
-      console.log(`[OrderSync] ✅ Auto-sync complete: ${result.synced} new order items`);
-    } else {
-      console.log('[OrderSync] ✅ Auto-sync complete: no new orders');
-    }
+  for (const storeId of getConfiguredStoreIds()) {
+    try {
+      console.log(`[OrderSync] Starting automatic order sync for ${storeId}...`);
+      const result = await syncOrdersFromWebhooks(storeId, 30); // Last 30 days
 
-    return result;
-  } catch (err) {
-    console.error('[OrderSync] Auto-sync failed:', err.message);
-    return { synced: 0, skipped: 0, errors: 1 };
+      if (result.synced > 0) {
+        console.log(`[OrderSync] ✅ Auto-sync complete for ${storeId}: ${result.synced} new order items`);
+      } else {
+        console.log(`[OrderSync] ✅ Auto-sync complete for ${storeId}: no new orders`);
+      }
+
+      totals.synced += result.synced;
+      totals.skipped += result.skipped;
+      totals.errors += result.errors;
+    } catch (err) {
+      console.error(`[OrderSync] Auto-sync failed for ${storeId}:`, err.message);
+      totals.errors += 1;
+    }
   }
+
+  return totals;
 }
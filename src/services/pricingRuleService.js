@@ -0,0 +1,380 @@
+/**
+ * PRICING RULE SERVICE
+ *
+ * Persistence and workflow for versioned pricing rule sets. Matching,
+ * rounding and margin-floor rules live in utils/pricingRules.js.
+ *
+ * FLOW:
+ * 1. createDraftRuleSet: new version from explicit rules, a copy of an
+ *    existing version, or (first time) the PRICING_CATALOG seed
+ * 2. updateDraftRuleSet: replace rules / notes (drafts only)
+ * 3. previewRuleSet: reprice live inventory and compare margins to today
+ * 4. publishRuleSet: draft → published with an effective date (immutable)
+ *
+ * Versions are numbered per store; publishing a version never affects
+ * another store's prices.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { getInventory } from '../tools/inventoryStore.js';
+import {
+  RULE_SET_STATUS,
+  normalizeRuleSet,
+  seedRulesFromCatalog,
+  selectEffectiveRuleSet,
+  priceItem,
+  previewRepricing
+} from '../utils/pricingRules.js';
+
+/**
+ * Guard: storeId must be provided to every pricing rule operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[PricingRules] ${fnName}: storeId is required`);
+  }
+}
+
+function rowToRuleSet(row) {
+  return {
+    version: row.version,
+    status: row.status,
+    rules: row.rules,
+    notes: row.notes,
+    effectiveFrom: row.effective_from,
+    createdBy: row.created_by,
+    publishedBy: row.published_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    publishedAt: row.published_at
+  };
+}
+
+// ============================================================================
+// READS
+// ============================================================================
+
+/**
+ * List rule set versions for a store (newest first)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, ruleSets?: Array, effectiveVersion?: number|null, error?: string}>}
+ */
+export async function listRuleSets(storeId) {
+  requireStoreId('listRuleSets', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('pricing_rule_sets')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('version', { ascending: false });
+
+  if (error) {
+    console.error(`[PricingRules] Failed to list rule sets: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+
+  const ruleSets = (data || []).map(rowToRuleSet);
+
+  return {
+    ok: true,
+    ruleSets,
+    effectiveVersion: selectEffectiveRuleSet(ruleSets)?.version ?? null
+  };
+}
+
+/**
+ * Load one rule set version
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number} version - Version number
+ * @returns {Promise<{ok: boolean, ruleSet?: object|null, error?: string}>}
+ */
+export async function getRuleSet(storeId, version) {
+  requireStoreId('getRuleSet', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('pricing_rule_sets')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    return { ok: false, error: error.message };
+  }
+
+  return { ok: true, ruleSet: data ? rowToRuleSet(data) : null };
+}
+
+/**
+ * Rule set in force for a store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Date|string} [asOf] - Default now
+ * @returns {Promise<{ok: boolean, ruleSet?: object|null, error?: string}>}
+ */
+export async function getEffectiveRuleSet(storeId, asOf = new Date()) {
+  requireStoreId('getEffectiveRuleSet', storeId);
+
+  const listed = await listRuleSets(storeId);
+  if (!listed.ok) return listed;
+
+  return { ok: true, ruleSet: selectEffectiveRuleSet(listed.ruleSets, asOf) };
+}
+
+// ============================================================================
+// DRAFTS
+// ============================================================================
+
+/**
+ * Create a draft rule set (next version number)
+ *
+ * Rules come from input.rules, else a copy of input.basedOn, else the rule
+ * set in force, else the PRICING_CATALOG seed.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {object} input - { rules?, basedOn?, notes? }
+ * @param {object} context - { actor }
+ * @returns {Promise<{ok: boolean, ruleSet?: object, status?: number, error?: string}>}
+ */
+export async function createDraftRuleSet(storeId, input = {}, context = {}) {
+  requireStoreId('createDraftRuleSet', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const listed = await listRuleSets(storeId);
+  if (!listed.ok) return { ok: false, status: 500, error: listed.error };
+
+  let rules;
+  try {
+    if (input.rules) {
+      rules = normalizeRuleSet(input.rules);
+    } else if (input.basedOn !== undefined) {
+      const source = listed.ruleSets.find(set => set.version === input.basedOn);
+      if (!source) {
+        return { ok: false, status: 404, error: `Rule set version ${input.basedOn} not found` };
+      }
+      rules = normalizeRuleSet(source.rules);
+    } else {
+      const effective = selectEffectiveRuleSet(listed.ruleSets);
+      rules = effective ? normalizeRuleSet(effective.rules) : seedRulesFromCatalog();
+    }
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  const version = (listed.ruleSets[0]?.version || 0) + 1;
+
+  const { error } = await getAuthorityClient()
+    .from('pricing_rule_sets')
+    .insert({
+      store_id: storeId,
+      version,
+      status: RULE_SET_STATUS.DRAFT,
+      rules,
+      notes: input.notes || null,
+      created_by: context.actor || 'system'
+    });
+
+  if (error) {
+    // Unique violation: another draft took this version number first
+    const status = error.code === '23505' ? 409 : 500;
+    console.error(`[PricingRules] Failed to create draft v${version}: ${error.message}`);
+    return { ok: false, status, error: error.message };
+  }
+
+  console.log(`[PricingRules] ${storeId}: draft v${version} created by ${context.actor || 'system'}`);
+
+  const loaded = await getRuleSet(storeId, version);
+  return { ok: true, ruleSet: loaded.ruleSet };
+}
+
+/**
+ * Replace the rules / notes of a draft
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number} version - Draft version
+ * @param {object} edits - { rules?, notes? }
+ * @returns {Promise<{ok: boolean, ruleSet?: object, status?: number, error?: string}>}
+ */
+export async function updateDraftRuleSet(storeId, version, edits = {}) {
+  requireStoreId('updateDraftRuleSet', storeId);
+
+  const loaded = await getRuleSet(storeId, version);
+  if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+  if (!loaded.ruleSet) return { ok: false, status: 404, error: `Rule set version ${version} not found` };
+  if (loaded.ruleSet.status !== RULE_SET_STATUS.DRAFT) {
+    return { ok: false, status: 409, error: `Rule set version ${version} is ${loaded.ruleSet.status} and cannot be edited` };
+  }
+
+  const update = { updated_at: new Date().toISOString() };
+  try {
+    if (edits.rules) update.rules = normalizeRuleSet(edits.rules);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+  if (edits.notes !== undefined) update.notes = edits.notes;
+
+  const { error } = await getAuthorityClient()
+    .from('pricing_rule_sets')
+    .update(update)
+    .eq('store_id', storeId)
+    .eq('version', version)
+    .eq('status', RULE_SET_STATUS.DRAFT);
+
+  if (error) return { ok: false, status: 500, error: error.message };
+
+  return getRuleSet(storeId, version);
+}
+
+/**
+ * Publish a draft (draft → published)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number} version - Draft version
+ * @param {object} context - { actor, effectiveFrom? (default now) }
+ * @returns {Promise<{ok: boolean, ruleSet?: object, status?: number, error?: string}>}
+ */
+export async function publishRuleSet(storeId, version, context = {}) {
+  requireStoreId('publishRuleSet', storeId);
+
+  const effectiveFrom = context.effectiveFrom ? new Date(context.effectiveFrom) : new Date();
+  if (isNaN(effectiveFrom.getTime())) {
+    return { ok: false, status: 400, error: 'effectiveFrom must be an ISO-8601 date' };
+  }
+
+  const loaded = await getRuleSet(storeId, version);
+  if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+  if (!loaded.ruleSet) return { ok: false, status: 404, error: `Rule set version ${version} not found` };
+  if (loaded.ruleSet.status !== RULE_SET_STATUS.DRAFT) {
+    return { ok: false, status: 409, error: `Rule set version ${version} is already ${loaded.ruleSet.status}` };
+  }
+
+  const now = new Date().toISOString();
+
+  const { error } = await getAuthorityClient()
+    .from('pricing_rule_sets')
+    .update({
+      status: RULE_SET_STATUS.PUBLISHED,
+      effective_from: effectiveFrom.toISOString(),
+      published_by: context.actor || 'system',
+      published_at: now,
+      updated_at: now
+    })
+    .eq('store_id', storeId)
+    .eq('version', version)
+    .eq('status', RULE_SET_STATUS.DRAFT); // Guard against a concurrent publish
+
+  if (error) return { ok: false, status: 500, error: error.message };
+
+  console.log(`[PricingRules] ${storeId}: v${version} published by ${context.actor || 'system'}, effective ${effectiveFrom.toISOString()}`);
+
+  return getRuleSet(storeId, version);
+}
+
+// ============================================================================
+// PRICING
+// ============================================================================
+
+/**
+ * Preview how a rule set reprices live inventory
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {object} input - { version } to preview a stored version, or { rules } for ad-hoc rules
+ * @returns {Promise<{ok: boolean, preview?: object, status?: number, error?: string}>}
+ */
+export async function previewRuleSet(storeId, input = {}) {
+  requireStoreId('previewRuleSet', storeId);
+
+  let rules;
+  let version = null;
+
+  try {
+    if (input.rules) {
+      rules = normalizeRuleSet(input.rules);
+    } else if (input.version !== undefined) {
+      const loaded = await getRuleSet(storeId, input.version);
+      if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+      if (!loaded.ruleSet) return { ok: false, status: 404, error: `Rule set version ${input.version} not found` };
+      rules = normalizeRuleSet(loaded.ruleSet.rules);
+      version = loaded.ruleSet.version;
+    } else {
+      return { ok: false, status: 400, error: 'Provide a rule set version or rules to preview' };
+    }
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  const effective = await getEffectiveRuleSet(storeId);
+  if (!effective.ok) return { ok: false, status: 500, error: effective.error };
+
+  const inventory = await getInventory(storeId);
+  const preview = previewRepricing(inventory || [], rules);
+
+  return {
+    ok: true,
+    preview: {
+      version,
+      comparedTo: {
+        basis: 'live_prices',
+        effectiveVersion: effective.ruleSet?.version ?? null
+      },
+      ...preview
+    }
+  };
+}
+
+/**
+ * Price live inventory under the rule set in force
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Date|string} [asOf] - Default now
+ * @returns {Promise<{ok: boolean, version?: number|null, prices?: Array, error?: string}>}
+ */
+export async function getEffectivePrices(storeId, asOf = new Date()) {
+  requireStoreId('getEffectivePrices', storeId);
+
+  const effective = await getEffectiveRuleSet(storeId, asOf);
+  if (!effective.ok) return effective;
+
+  if (!effective.ruleSet) {
+    return { ok: true, version: null, prices: [] };
+  }
+
+  const rules = normalizeRuleSet(effective.ruleSet.rules);
+  const inventory = await getInventory(storeId);
+
+  return {
+    ok: true,
+    version: effective.ruleSet.version,
+    effectiveFrom: effective.ruleSet.effectiveFrom,
+    prices: (inventory || [])
+      .filter(item => item?.sku)
+      .map(item => ({ name: item.name || item.product_name || item.sku, ...priceItem(item, rules) }))
+  };
+}
+
+export default {
+  listRuleSets,
+  getRuleSet,
+  getEffectiveRuleSet,
+  createDraftRuleSet,
+  updateDraftRuleSet,
+  publishRuleSet,
+  previewRuleSet,
+  getEffectivePrices
+};
@@ -0,0 +1,513 @@
+/**
+ * PURCHASE ORDER SERVICE
+ *
+ * Persistence and workflow for purchase orders built from REORDER_NOW
+ * decisions. Lifecycle rules live in utils/purchaseOrders.js.
+ *
+ * FLOW:
+ * 1. generateDraftPurchaseOrders: live inventory + vendor terms + weekly
+ *    velocity → classifyAllSKUs → REORDER_NOW → one draft per vendor
+ * 2. updateDraftPurchaseOrder: edit quantities / costs / notes (drafts only)
+ * 3. approvePurchaseOrder: draft → sent
+ * 4. receivePurchaseOrder: posts RECEIVE movements to the inventory ledger,
+ *    then advances to partially_received / received
+ *
+ * Drafts only group the requesting store's REORDER_NOW SKUs, by that
+ * store's own SKU → vendor mapping.
+ */
+
+import crypto from 'crypto';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { getInventory } from '../tools/inventoryStore.js';
+import { analyzeInventoryVelocity } from '../intelligence/temporalAnalyzer.js';
+import { classifyAllSKUs, DECISION_TYPES } from '../utils/decisionClassifier.js';
+import {
+  PO_STATUS,
+  OPEN_PO_STATUSES,
+  canTransition,
+  buildDraftPurchaseOrders,
+  applyDraftEdits,
+  applyReceipt,
+  summarizePurchaseOrder
+} from '../utils/purchaseOrders.js';
+import { recordMovements } from './inventoryLedgerService.js';
+import { recordCosts } from './costHistoryService.js';
+import { markRollupsStale } from './orderRollupService.js';
+import { withVendorTerms } from './vendorService.js';
+
+/**
+ * Guard: storeId must be provided to every purchase order operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[PurchaseOrders] ${fnName}: storeId is required`);
+  }
+}
+
+/**
+ * Generate a purchase order ID
+ * Format: PO-{YYYYMMDD}-{6 hex}
+ */
+function generatePurchaseOrderId() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `PO-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+// ============================================================================
+// ROW MAPPING
+// ============================================================================
+
+function lineToRow(storeId, poId, line) {
+  return {
+    po_id: poId,
+    store_id: storeId,
+    sku: line.sku,
+    name: line.name,
+    suggested_qty: line.suggestedQty,
+    ordered_qty: line.orderedQty,
+    received_qty: line.receivedQty,
+    unit_cost: line.unitCost,
+    reason: line.reason,
+    decision_metrics: line.decisionMetrics
+  };
+}
+
+function rowsToPurchaseOrder(poRow, lineRows) {
+  const po = {
+    id: poRow.id,
+    storeId: poRow.store_id,
+    vendor: poRow.vendor,
+    status: poRow.status,
+    notes: poRow.notes,
+    source: poRow.source,
+    receiptCount: poRow.receipt_count,
+    createdBy: poRow.created_by,
+    approvedBy: poRow.approved_by,
+    createdAt: poRow.created_at,
+    updatedAt: poRow.updated_at,
+    sentAt: poRow.sent_at,
+    receivedAt: poRow.received_at,
+    lines: (lineRows || []).map(row => ({
+      sku: row.sku,
+      name: row.name,
+      suggestedQty: row.suggested_qty,
+      orderedQty: row.ordered_qty,
+      receivedQty: row.received_qty,
+      unitCost: row.unit_cost !== null ? Number(row.unit_cost) : null,
+      reason: row.reason,
+      decisionMetrics: row.decision_metrics || null
+    }))
+  };
+
+  po.totals = summarizePurchaseOrder(po);
+  return po;
+}
+
+// ============================================================================
+// READS
+// ============================================================================
+
+/**
+ * List purchase orders for a store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {object} [filters]
+ * @param {Array<string>} [filters.statuses] - Restrict to these statuses
+ * @returns {Promise<{ok: boolean, purchaseOrders?: Array, error?: string}>}
+ */
+export async function listPurchaseOrders(storeId, filters = {}) {
+  requireStoreId('listPurchaseOrders', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  let query = client
+    .from('purchase_orders')
+    .select('*')
+    .eq('store_id', storeId);
+
+  if (filters.statuses?.length) {
+    query = query.in('status', filters.statuses);
+  }
+
+  const { data: poRows, error } = await query.order('created_at', { ascending: false });
+
+  if (error) {
+    console.error(`[PurchaseOrders] Failed to list purchase orders: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+
+  if (!poRows || poRows.length === 0) {
+    return { ok: true, purchaseOrders: [] };
+  }
+
+  const { data: lineRows, error: lineError } = await client
+    .from('purchase_order_lines')
+    .select('*')
+    .eq('store_id', storeId)
+    .in('po_id', poRows.map(row => row.id));
+
+  if (lineError) {
+    console.error(`[PurchaseOrders] Failed to load lines: ${lineError.message}`);
+    return { ok: false, error: lineError.message };
+  }
+
+  const linesByPo = new Map();
+  for (const row of lineRows || []) {
+    if (!linesByPo.has(row.po_id)) linesByPo.set(row.po_id, []);
+    linesByPo.get(row.po_id).push(row);
+  }
+
+  return {
+    ok: true,
+    purchaseOrders: poRows.map(row => rowsToPurchaseOrder(row, linesByPo.get(row.id)))
+  };
+}
+
+/**
+ * Load one purchase order with its lines
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} poId - Purchase order ID
+ * @returns {Promise<{ok: boolean, purchaseOrder?: object|null, error?: string}>}
+ */
+export async function getPurchaseOrder(storeId, poId) {
+  requireStoreId('getPurchaseOrder', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const { data: poRow, error } = await client
+    .from('purchase_orders')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('id', poId)
+    .maybeSingle();
+
+  if (error) {
+    return { ok: false, error: error.message };
+  }
+
+  if (!poRow) {
+    return { ok: true, purchaseOrder: null };
+  }
+
+  const { data: lineRows, error: lineError } = await client
+    .from('purchase_order_lines')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('po_id', poId)
+    .order('sku', { ascending: true });
+
+  if (lineError) {
+    return { ok: false, error: lineError.message };
+  }
+
+  return { ok: true, purchaseOrder: rowsToPurchaseOrder(poRow, lineRows) };
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/**
+ * Replace a PO's lines (drafts only - lines are rewritten on edit)
+ */
+async function replaceLines(client, storeId, poId, lines) {
+  const { error: deleteError } = await client
+    .from('purchase_order_lines')
+    .delete()
+    .eq('store_id', storeId)
+    .eq('po_id', poId);
+
+  if (deleteError) {
+    return { ok: false, error: deleteError.message };
+  }
+
+  const { error: insertError } = await client
+    .from('purchase_order_lines')
+    .insert(lines.map(line => lineToRow(storeId, poId, line)));
+
+  return insertError ? { ok: false, error: insertError.message } : { ok: true };
+}
+
+/**
+ * Generate draft purchase orders from current REORDER_NOW decisions
+ *
+ * Uses live inventory and weekly velocity - the same inputs as the weekly
+ * snapshot's action brief. SKUs already on an open PO are skipped.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {object} options
+ * @param {string} options.actor - Who requested generation
+ * @returns {Promise<{ok: boolean, purchaseOrders?: Array, skipped?: Array, reorderDecisions?: number, error?: string}>}
+ */
+export async function generateDraftPurchaseOrders(storeId, { actor }) {
+  requireStoreId('generateDraftPurchaseOrders', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const liveInventory = await getInventory(storeId);
+  if (!liveInventory || liveInventory.length === 0) {
+    return { ok: false, error: 'No inventory data available' };
+  }
+
+  // Vendor terms drive grouping, lead-time coverage and pack-size rounding
+  const inventory = await withVendorTerms(storeId, liveInventory);
+
+  const velocity = await analyzeInventoryVelocity(storeId, inventory, 'weekly');
+  const velocityMetrics = velocity.ok ? velocity.velocityMetrics || [] : [];
+
+  const { byType } = classifyAllSKUs(inventory, velocityMetrics);
+  const reorderDecisions = byType[DECISION_TYPES.REORDER_NOW];
+
+  const open = await listPurchaseOrders(storeId, { statuses: OPEN_PO_STATUSES });
+  if (!open.ok) {
+    return { ok: false, error: open.error };
+  }
+
+  const skusOnOrder = new Set();
+  for (const po of open.purchaseOrders) {
+    for (const line of po.lines) {
+      if (line.receivedQty < line.orderedQty) skusOnOrder.add(line.sku);
+    }
+  }
+
+  const { drafts, skipped } = buildDraftPurchaseOrders(reorderDecisions, inventory, { skusOnOrder });
+
+  const client = getAuthorityClient();
+  const created = [];
+
+  for (const draft of drafts) {
+    const poId = generatePurchaseOrderId();
+
+    const { error: poError } = await client
+      .from('purchase_orders')
+      .insert({
+        id: poId,
+        store_id: storeId,
+        vendor: draft.vendor,
+        status: PO_STATUS.DRAFT,
+        source: 'reorder_decisions',
+        created_by: actor
+      });
+
+    if (poError) {
+      console.error(`[PurchaseOrders] Failed to create draft for ${draft.vendor}: ${poError.message}`);
+      return { ok: false, error: poError.message, purchaseOrders: created };
+    }
+
+    const linesResult = await replaceLines(client, storeId, poId, draft.lines);
+    if (!linesResult.ok) {
+      return { ok: false, error: linesResult.error, purchaseOrders: created };
+    }
+
+    const loaded = await getPurchaseOrder(storeId, poId);
+    created.push(loaded.purchaseOrder);
+  }
+
+  console.log(`[PurchaseOrders] ${storeId}: ${reorderDecisions.length} REORDER_NOW → ${created.length} drafts (${skipped.length} skipped)`);
+
+  return {
+    ok: true,
+    purchaseOrders: created,
+    skipped,
+    reorderDecisions: reorderDecisions.length
+  };
+}
+
+/**
+ * Edit a draft purchase order
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} poId - Purchase order ID
+ * @param {object} edits - { lines: [{ sku, orderedQty, unitCost }], notes, vendor }
+ * @returns {Promise<{ok: boolean, purchaseOrder?: object, status?: number, error?: string}>}
+ */
+export async function updateDraftPurchaseOrder(storeId, poId, edits) {
+  requireStoreId('updateDraftPurchaseOrder', storeId);
+
+  const loaded = await getPurchaseOrder(storeId, poId);
+  if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+  if (!loaded.purchaseOrder) return { ok: false, status: 404, error: `Purchase order ${poId} not found` };
+
+  let updated;
+  try {
+    updated = applyDraftEdits(loaded.purchaseOrder, edits);
+  } catch (err) {
+    return { ok: false, status: 409, error: err.message };
+  }
+
+  const client = getAuthorityClient();
+
+  const { error: poError } = await client
+    .from('purchase_orders')
+    .update({
+      vendor: updated.vendor,
+      notes: updated.notes,
+      updated_at: new Date().toISOString()
+    })
+    .eq('store_id', storeId)
+    .eq('id', poId);
+
+  if (poError) return { ok: false, status: 500, error: poError.message };
+
+  const linesResult = await replaceLines(client, storeId, poId, updated.lines);
+  if (!linesResult.ok) return { ok: false, status: 500, error: linesResult.error };
+
+  return getPurchaseOrder(storeId, poId);
+}
+
+/**
+ * Approve a draft purchase order (draft → sent)
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} poId - Purchase order ID
+ * @param {string} actor - Approver
+ * @returns {Promise<{ok: boolean, purchaseOrder?: object, status?: number, error?: string}>}
+ */
+export async function approvePurchaseOrder(storeId, poId, actor) {
+  requireStoreId('approvePurchaseOrder', storeId);
+
+  const loaded = await getPurchaseOrder(storeId, poId);
+  if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+  if (!loaded.purchaseOrder) return { ok: false, status: 404, error: `Purchase order ${poId} not found` };
+
+  const po = loaded.purchaseOrder;
+  if (!canTransition(po.status, PO_STATUS.SENT)) {
+    return { ok: false, status: 409, error: `Cannot approve a purchase order in status ${po.status}` };
+  }
+
+  const now = new Date().toISOString();
+  const client = getAuthorityClient();
+
+  const { error } = await client
+    .from('purchase_orders')
+    .update({
+      status: PO_STATUS.SENT,
+      approved_by: actor,
+      sent_at: now,
+      updated_at: now
+    })
+    .eq('store_id', storeId)
+    .eq('id', poId)
+    .eq('status', PO_STATUS.DRAFT); // Guard against a concurrent approve
+
+  if (error) return { ok: false, status: 500, error: error.message };
+
+  console.log(`[PurchaseOrders] ${storeId}: ${poId} approved by ${actor} → sent`);
+
+  return getPurchaseOrder(storeId, poId);
+}
+
+/**
+ * Receive stock against a purchase order
+ *
+ * Ledger first: RECEIVE movements are idempotent on <poId>#<receiptNumber>,
+ * so a retry after a partial failure cannot double-count stock. Lines with a
+ * unit cost are also recorded as receipts in the cost history.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} poId - Purchase order ID
+ * @param {Array} receivedLines - [{ sku, quantity }]
+ * @param {object} context - { actor, occurredAt }
+ * @returns {Promise<{ok: boolean, purchaseOrder?: object, movements?: Array, status?: number, error?: string}>}
+ */
+export async function receivePurchaseOrder(storeId, poId, receivedLines, { actor, occurredAt }) {
+  requireStoreId('receivePurchaseOrder', storeId);
+
+  const loaded = await getPurchaseOrder(storeId, poId);
+  if (!loaded.ok) return { ok: false, status: 500, error: loaded.error };
+  if (!loaded.purchaseOrder) return { ok: false, status: 404, error: `Purchase order ${poId} not found` };
+
+  const po = loaded.purchaseOrder;
+
+  let receipt;
+  try {
+    receipt = applyReceipt(po, receivedLines, {
+      actor,
+      occurredAt,
+      receiptNumber: (po.receiptCount || 0) + 1
+    });
+  } catch (err) {
+    return { ok: false, status: 409, error: err.message };
+  }
+
+  // 1. Inventory ledger (stock increases here)
+  const ledgerResult = await recordMovements(storeId, receipt.movements);
+  if (!ledgerResult.ok) {
+    return { ok: false, status: 500, error: `Ledger post failed: ${ledgerResult.error}` };
+  }
+
+  // 2. Lines
+  const client = getAuthorityClient();
+  for (const line of receipt.po.lines) {
+    const { error } = await client
+      .from('purchase_order_lines')
+      .update({ received_qty: line.receivedQty })
+      .eq('store_id', storeId)
+      .eq('po_id', poId)
+      .eq('sku', line.sku);
+
+    if (error) return { ok: false, status: 500, error: error.message };
+  }
+
+  // 3. Header
+  const now = new Date().toISOString();
+  const { error: poError } = await client
+    .from('purchase_orders')
+    .update({
+      status: receipt.po.status,
+      receipt_count: receipt.po.receiptCount,
+      received_at: receipt.po.status === PO_STATUS.RECEIVED ? now : null,
+      updated_at: now
+    })
+    .eq('store_id', storeId)
+    .eq('id', poId);
+
+  if (poError) return { ok: false, status: 500, error: poError.message };
+
+  // 4. Cost history (receipts at the PO unit cost; non-fatal, stock is already in)
+  const costEntries = receipt.movements
+    .filter(movement => movement.metadata?.unitCost !== null && movement.metadata?.unitCost !== undefined)
+    .map(movement => ({
+      sku: movement.sku,
+      unitCost: movement.metadata.unitCost,
+      quantity: movement.quantity,
+      effectiveAt: movement.occurredAt,
+      source: 'purchase_order',
+      sourceId: movement.sourceDocument.id
+    }));
+
+  if (costEntries.length > 0) {
+    const costResult = await recordCosts(storeId, costEntries, { actor, markStale: markRollupsStale });
+    if (!costResult.ok) {
+      console.warn(`[PurchaseOrders] ${storeId}: ${poId} receipt costs not recorded: ${costResult.error}`);
+    }
+  }
+
+  console.log(`[PurchaseOrders] ${storeId}: ${poId} receipt ${receipt.po.receiptCount} → ${receipt.po.status} (${receipt.movements.length} lines)`);
+
+  const reloaded = await getPurchaseOrder(storeId, poId);
+  return { ...reloaded, movements: receipt.movements };
+}
+
+export default {
+  listPurchaseOrders,
+  getPurchaseOrder,
+  generateDraftPurchaseOrders,
+  updateDraftPurchaseOrder,
+  approvePurchaseOrder,
+  receivePurchaseOrder
+};
@@ -18,10 +18,15 @@
  * - Staleness based on timestamps, not guesses
  * - Phantom SKUs excluded (archived, non-sellable)
  * - No manual buttons required for correctness
+ *
+ * MULTI-TENANT:
+ * - Every entry point takes a storeId (REQUIRED)
+ * - Locks, sync timestamps and rebuild history are tracked per store
+ * - All authority queries are filtered by store_id
  */
 
-import { getSupabaseClient, isSupabaseAvailable } from '../db/supabaseClient.js';
-import { syncOrdersFromWebhooks } from './orderSyncService.js';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { syncOrdersFromWebhooks, syncOrderEvents } from './orderSyncService.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -44,17 +49,36 @@ const CONFIG = {
 };
 
 // ============================================================================
-// STATE (in-memory locks to prevent concurrent rebuilds)
+// STATE (in-memory locks to prevent concurrent rebuilds) - PER STORE
 // ============================================================================
 
-const state = {
-  inventoryRebuildInProgress: false,
-  orderRebuildInProgress: false,
-  lastInventorySync: null,
-  lastOrderSync: null,
-  lastOrderAggregation: null,
-  rebuildHistory: []
-};
+// storeId -> state
+const storeStates = new Map();
+
+/**
+ * Get (or lazily create) the in-memory state for a store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {object} Mutable state for the store
+ */
+function getStoreState(storeId) {
+  if (!storeId) {
+    throw new Error('[SelfHealing] storeId is required');
+  }
+
+  if (!storeStates.has(storeId)) {
+    storeStates.set(storeId, {
+      inventoryRebuildInProgress: false,
+      orderRebuildInProgress: false,
+      lastInventorySync: null,
+      lastOrderSync: null,
+      lastOrderAggregation: null,
+      rebuildHistory: []
+    });
+  }
+
+  return storeStates.get(storeId);
+}
 
 // ============================================================================
 // GUARDS - Pure functions that decide if work is needed
@@ -233,6 +257,7 @@ export function orderAggregationGuard({
  *
  * @param {string} reason - Why rebuild was triggered
  * @param {object} options - Rebuild options
+ * @param {string} options.storeId - Store to rebuild (REQUIRED)
  * @param {boolean} options.inventory - Rebuild inventory
  * @param {boolean} options.orders - Rebuild orders
  * @param {boolean} options.force - Force rebuild even if locked
@@ -240,22 +265,27 @@ export function orderAggregationGuard({
  */
 export async function rebuildController(reason, options = {}) {
   const {
+    storeId,
     inventory = true,
     orders = true,
     force = false
   } = options;
 
+  const state = getStoreState(storeId);
+
   const startTime = Date.now();
   const rebuildId = `rebuild_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 
   console.log(`[SelfHealing] ========================================`);
   console.log(`[SelfHealing] REBUILD INITIATED: ${rebuildId}`);
+  console.log(`[SelfHealing] Store: ${storeId}`);
   console.log(`[SelfHealing] Reason: ${reason}`);
   console.log(`[SelfHealing] Options: inventory=${inventory}, orders=${orders}, force=${force}`);
   console.log(`[SelfHealing] ========================================`);
 
   const results = {
     rebuildId,
+    storeId,
     reason,
     startedAt: new Date().toISOString(),
     inventory: null,
@@ -266,12 +296,12 @@ export async function rebuildController(reason, options = {}) {
   try {
     // Inventory rebuild
     if (inventory) {
-      results.inventory = await rebuildInventory(rebuildId, force);
+      results.inventory = await rebuildInventory(storeId, rebuildId, force);
     }
 
     // Orders rebuild
     if (orders) {
-      results.orders = await rebuildOrders(rebuildId, force);
+      results.orders = await rebuildOrders(storeId, rebuildId, force);
     }
 
     results.completedAt = new Date().toISOString();
@@ -317,9 +347,11 @@ export async function rebuildController(reason, options = {}) {
 }
 
 /**
- * Rebuild inventory cache
+ * Rebuild inventory cache for one store
  */
-async function rebuildInventory(rebuildId, force) {
+async function rebuildInventory(storeId, rebuildId, force) {
+  const state = getStoreState(storeId);
+
   if (state.inventoryRebuildInProgress && !force) {
     return {
       skipped: true,
@@ -334,11 +366,10 @@ async function rebuildInventory(rebuildId, force) {
 
     // Clear local cache
     const { clearInventory, getInventory } = await import('../tools/inventoryStore.js');
-    clearInventory();
+    clearInventory(storeId);
 
     // Force fresh load from Supabase
-    const STORE_ID = process.env.STORE_ID || 'NJWeedWizard';
-    const inventory = await getInventory(STORE_ID);
+    const inventory = await getInventory(storeId);
 
     state.lastInventorySync = new Date().toISOString();
 
@@ -356,9 +387,11 @@ async function rebuildInventory(rebuildId, force) {
 }
 
 /**
- * Rebuild orders from webhooks
+ * Rebuild orders from webhooks for one store
  */
-async function rebuildOrders(rebuildId, force) {
+async function rebuildOrders(storeId, rebuildId, force) {
+  const state = getStoreState(storeId);
+
   if (state.orderRebuildInProgress && !force) {
     return {
       skipped: true,
@@ -371,7 +404,7 @@ async function rebuildOrders(rebuildId, force) {
   try {
     console.log(`[SelfHealing] [${rebuildId}] Starting order sync...`);
 
-    const result = await syncOrdersFromWebhooks(CONFIG.ORDER_SYNC_LOOKBACK_DAYS);
+    const result = await syncOrdersFromWebhooks(storeId, CONFIG.ORDER_SYNC_LOOKBACK_DAYS);
 
     state.lastOrderSync = new Date().toISOString();
 
@@ -397,19 +430,21 @@ async function rebuildOrders(rebuildId, force) {
  * Evaluates all guards and triggers rebuilds as needed.
  *
  * @param {object} params - Resolver parameters
+ * @param {string} params.storeId - Store to check (REQUIRED)
  * @param {string} params.trigger - What triggered the check
  * @param {boolean} params.forcedByWebhook - Webhook trigger
  * @param {boolean} params.forcedByCostImport - Cost import trigger
  * @returns {Promise<{ status: object, actions: array }>}
  */
 export async function freshnessResolver({
+  storeId,
   trigger = 'scheduled',
   forcedByWebhook = false,
   forcedByCostImport = false
 } = {}) {
-  console.log(`[SelfHealing] Freshness check triggered: ${trigger}`);
+  console.log(`[SelfHealing] Freshness check triggered for ${storeId}: ${trigger}`);
 
-  const status = await getSystemStatus();
+  const status = await getSystemStatus(storeId);
   const actions = [];
 
   // Check inventory guard
@@ -453,12 +488,14 @@ export async function freshnessResolver({
   if (highPriorityActions.length > 0) {
     const reasons = highPriorityActions.map(a => a.reason).join('; ');
     rebuildResult = await rebuildController(reasons, {
+      storeId,
       inventory: inventoryGuard.needsSync,
       orders: orderGuard.needsAggregation
     });
   }
 
   return {
+    storeId,
     trigger,
     timestamp: new Date().toISOString(),
     guards: {
@@ -477,12 +514,17 @@ export async function freshnessResolver({
 // ============================================================================
 
 /**
- * Get comprehensive system status
+ * Get comprehensive system status for one store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
  */
-export async function getSystemStatus() {
+export async function getSystemStatus(storeId) {
+  const state = getStoreState(storeId);
+
   const status = {
+    storeId,
     timestamp: new Date().toISOString(),
-    supabaseAvailable: isSupabaseAvailable(),
+    supabaseAvailable: isAuthorityAvailable(),
     inventory: {
       lastSyncedAt: state.lastInventorySync,
       rebuildInProgress: state.inventoryRebuildInProgress,
@@ -501,17 +543,18 @@ export async function getSystemStatus() {
     rebuildHistory: state.rebuildHistory.slice(-10)
   };
 
-  if (!isSupabaseAvailable()) {
+  if (!isAuthorityAvailable()) {
     return status;
   }
 
   try {
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
 
     // Get inventory stats from inventory_virtual (order-driven real-time view)
     const { data: invData, error: invError } = await client
       .from('inventory_virtual')
       .select('sku, available_quantity, inventory_status, visible, synced_at')
+      .eq('store_id', storeId)
       .limit(1000);
 
     if (!invError && invData) {
@@ -541,14 +584,16 @@ export async function getSystemStatus() {
     // Get orders stats
     const { count: ordersCount } = await client
       .from('orders')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId);
 
     status.orders.totalCount = ordersCount || 0;
 
     // Get orders_agg stats
     const { count: aggCount } = await client
       .from('orders_agg')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId);
 
     status.orders.aggCount = aggCount || 0;
 
@@ -556,6 +601,7 @@ export async function getSystemStatus() {
     const { data: latestOrder } = await client
       .from('orders')
       .select('order_date')
+      .eq('store_id', storeId)
       .order('order_date', { ascending: false })
       .limit(1);
 
@@ -579,30 +625,38 @@ export async function getSystemStatus() {
  * - Orders and orders_agg match
  * - No phantom SKUs
  * - Timestamps are valid
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
  */
-export async function verifyDataIntegrity() {
-  console.log('[SelfHealing] Starting data integrity verification...');
+export async function verifyDataIntegrity(storeId) {
+  if (!storeId) {
+    throw new Error('[SelfHealing] verifyDataIntegrity: storeId is required');
+  }
+
+  console.log(`[SelfHealing] Starting data integrity verification for ${storeId}...`);
 
   const verification = {
+    storeId,
     timestamp: new Date().toISOString(),
     checks: [],
     passed: true,
     issues: []
   };
 
-  if (!isSupabaseAvailable()) {
+  if (!isAuthorityAvailable()) {
     verification.passed = false;
     verification.issues.push('Supabase not available');
     return verification;
   }
 
   try {
-    const client = getSupabaseClient();
+    const client = getAuthorityClient();
 
     // Check 1: Inventory exists (using inventory_virtual - order-driven view)
     const { count: invCount } = await client
       .from('inventory_virtual')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId);
 
     verification.checks.push({
       name: 'inventory_exists',
@@ -618,7 +672,8 @@ export async function verifyDataIntegrity() {
     // Check 2: Costs exist
     const { count: costCount } = await client
       .from('sku_costs')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId);
 
     verification.checks.push({
       name: 'costs_exist',
@@ -633,11 +688,13 @@ export async function verifyDataIntegrity() {
     // Check 3: Orders sync
     const { count: ordersCount } = await client
       .from('orders')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId);
 
     const { count: webhooksCount } = await client
       .from('webhook_events')
       .select('*', { count: 'exact', head: true })
+      .eq('store_id', storeId)
       .eq('event_type', 'wix.order.created');
 
     verification.checks.push({
@@ -656,11 +713,13 @@ export async function verifyDataIntegrity() {
     const { data: orderSkus } = await client
       .from('orders')
       .select('sku')
+      .eq('store_id', storeId)
       .limit(500);
 
     const { data: invSkus } = await client
       .from('inventory_virtual')
       .select('sku')
+      .eq('store_id', storeId)
       .limit(500);
 
     if (orderSkus && invSkus) {
@@ -687,6 +746,7 @@ export async function verifyDataIntegrity() {
     const { data: invTimestamps } = await client
       .from('inventory_virtual')
       .select('synced_at')
+      .eq('store_id', storeId)
       .not('synced_at', 'is', null)
       .order('synced_at', { ascending: false })
       .limit(1);
@@ -729,9 +789,10 @@ export async function verifyDataIntegrity() {
 /**
  * Hook: Call after Wix inventory webhook
  */
-export async function onWixInventoryWebhook() {
+export async function onWixInventoryWebhook(storeId) {
   console.log('[SelfHealing] Wix inventory webhook hook triggered');
   return freshnessResolver({
+    storeId,
     trigger: 'wix_inventory_webhook',
     forcedByWebhook: true
   });
@@ -740,9 +801,10 @@ export async function onWixInventoryWebhook() {
 /**
  * Hook: Call after costs are imported
  */
-export async function onCostImport() {
+export async function onCostImport(storeId) {
   console.log('[SelfHealing] Cost import hook triggered');
   return freshnessResolver({
+    storeId,
     trigger: 'cost_import',
     forcedByCostImport: true
   });
@@ -750,10 +812,31 @@ export async function onCostImport() {
 
 /**
  * Hook: Call after order webhook
+ *
+ * With eventIds (the webhook receiver stored them), only those events are
+ * synced; otherwise the full freshness check runs.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {object} options - { eventIds?: number[] }
  */
-export async function onOrderWebhook() {
+export async function onOrderWebhook(storeId, options = {}) {
   console.log('[SelfHealing] Order webhook hook triggered');
+
+  if (options.eventIds?.length) {
+    const state = getStoreState(storeId);
+    const result = await syncOrderEvents(storeId, options.eventIds);
+    state.lastOrderSync = new Date().toISOString();
+    return {
+      storeId,
+      trigger: 'order_webhook',
+      incremental: true,
+      ...result,
+      syncedAt: state.lastOrderSync
+    };
+  }
+
   return freshnessResolver({
+    storeId,
     trigger: 'order_webhook',
     forcedByWebhook: true
   });
@@ -762,9 +845,10 @@ export async function onOrderWebhook() {
 /**
  * Hook: Call when snapshot/chat detects stale data
  */
-export async function onStaleDataDetected(source) {
-  console.log(`[SelfHealing] Stale data detected by ${source}`);
+export async function onStaleDataDetected(storeId, source) {
+  console.log(`[SelfHealing] Stale data detected by ${source} for ${storeId}`);
   return freshnessResolver({
+    storeId,
     trigger: `stale_detection_${source}`
   });
 }
@@ -0,0 +1,289 @@
+/**
+ * SKU REVIEW SERVICE
+ *
+ * Review queue for order line SKU matches the resolvers were not sure of,
+ * and the aliases reviewers' answers become. Queue and alias rules live in
+ * utils/skuAliases.js.
+ *
+ * FLOW:
+ * 1. Order sync (and backfill-order-skus.js) resolve each line and queue
+ *    it with queueSkuReview: every fuzzy match (with its ranked
+ *    candidates), and any other match below the threshold - lines nothing
+ *    matched included.
+ * 2. A reviewer answers through /sku-reviews: confirm the proposed SKU or
+ *    correct it to another catalog SKU.
+ * 3. The answer is written to sku_aliases. loadSkuAliases feeds it to the
+ *    resolvers, which check aliases before any name matching.
+ *
+ * Configuration:
+ * - OMEN_SKU_REVIEW_THRESHOLD: non-fuzzy matches below this confidence are
+ *   queued (default 0.9 - exact strain matches pass). Fuzzy matches are
+ *   queued at any confidence.
+ *
+ * Aliases are per store: one store's confirmed spelling never resolves
+ * another store's orders.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import {
+  REVIEW_STATUS,
+  aliasKey,
+  buildAliasMap,
+  parseReviewThreshold,
+  needsReview,
+  mergeReview,
+  resolveReviewAnswer
+} from '../utils/skuAliases.js';
+
+/**
+ * Guard: storeId must be provided to every review operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[SkuReview] ${fnName}: storeId is required`);
+  }
+}
+
+export function getReviewThreshold() {
+  return parseReviewThreshold(process.env.OMEN_SKU_REVIEW_THRESHOLD);
+}
+
+// ============================================================================
+// ALIASES
+// ============================================================================
+
+/**
+ * A store's aliases as a lookup map for the resolvers
+ *
+ * Never fails: without aliases the resolvers just fall back to name matching.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<Map<string, string>>} alias key -> SKU
+ */
+export async function loadSkuAliases(storeId) {
+  requireStoreId('loadSkuAliases', storeId);
+
+  if (!isAuthorityAvailable()) return new Map();
+
+  try {
+    const { data, error } = await getAuthorityClient()
+      .from('sku_aliases')
+      .select('alias_key, sku')
+      .eq('store_id', storeId);
+
+    if (error) {
+      console.warn(`[SkuReview] Aliases unavailable for ${storeId}: ${error.message}`);
+      return new Map();
+    }
+    return buildAliasMap(data);
+  } catch (err) {
+    console.warn(`[SkuReview] Aliases unavailable for ${storeId}: ${err.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * List a store's aliases
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, aliases?: Array, error?: string}>}
+ */
+export async function listSkuAliases(storeId) {
+  requireStoreId('listSkuAliases', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('sku_aliases')
+    .select('*')
+    .eq('store_id', storeId)
+    .order('alias_key', { ascending: true });
+
+  if (error) return { ok: false, error: error.message };
+  return { ok: true, aliases: data || [] };
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Queue a match for review if it is fuzzy or below the threshold
+ *
+ * Never throws - a failed queue write must not fail the sync that found
+ * the match.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} match - { strain, unit, rawName?, proposedSku, matchType, confidence, candidates?, source, orderId? }
+ * @returns {Promise<{ok: boolean, queued: boolean, error?: string}>}
+ */
+export async function queueSkuReview(storeId, match) {
+  requireStoreId('queueSkuReview', storeId);
+
+  if (!needsReview(match, getReviewThreshold())) return { ok: true, queued: false };
+  if (!isAuthorityAvailable()) return { ok: false, queued: false, error: 'Authority not available' };
+
+  try {
+    const client = getAuthorityClient();
+    const key = aliasKey(match.strain, match.unit);
+
+    const { data: existing, error: readError } = await client
+      .from('sku_match_reviews')
+      .select('*')
+      .eq('store_id', storeId)
+      .eq('alias_key', key)
+      .maybeSingle();
+
+    if (readError) throw new Error(readError.message);
+
+    const row = mergeReview(existing, { ...match, storeId }, new Date().toISOString());
+    if (!row) return { ok: true, queued: false };
+
+    const { error } = await client
+      .from('sku_match_reviews')
+      .upsert(row, { onConflict: 'store_id,alias_key' });
+
+    if (error) throw new Error(error.message);
+
+    if (!existing) {
+      console.log(`[SkuReview] ${storeId}: queued "${match.rawName || match.strain}" (${match.matchType} ${match.confidence}) -> ${match.proposedSku}`);
+    }
+    return { ok: true, queued: true };
+  } catch (err) {
+    console.warn(`[SkuReview] ${storeId}: failed to queue "${match.strain}": ${err.message}`);
+    return { ok: false, queued: false, error: err.message };
+  }
+}
+
+/**
+ * List review queue entries
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} [filters] - { status?: 'pending'|'confirmed'|'corrected'|'all' } (default pending)
+ * @returns {Promise<{ok: boolean, reviews?: Array, threshold?: number, status?: number, error?: string}>}
+ */
+export async function listSkuReviews(storeId, filters = {}) {
+  requireStoreId('listSkuReviews', storeId);
+
+  const status = filters.status || REVIEW_STATUS.PENDING;
+  if (status !== 'all' && !Object.values(REVIEW_STATUS).includes(status)) {
+    return { ok: false, status: 400, error: `Unknown status: ${status}` };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  let query = getAuthorityClient()
+    .from('sku_match_reviews')
+    .select('*')
+    .eq('store_id', storeId);
+
+  if (status !== 'all') query = query.eq('status', status);
+
+  const { data, error } = await query.order('last_seen_at', { ascending: false });
+
+  if (error) return { ok: false, error: error.message };
+  return { ok: true, reviews: data || [], threshold: getReviewThreshold() };
+}
+
+// ============================================================================
+// ANSWERS
+// ============================================================================
+
+/**
+ * Confirm or correct a queued match; the answer becomes an alias
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {number|string} reviewId - sku_match_reviews.id
+ * @param {'confirm'|'correct'} action
+ * @param {Object} context - { sku? (correct), actor }
+ * @returns {Promise<{ok: boolean, review?: Object, alias?: Object, status?: number, error?: string}>}
+ */
+export async function answerSkuReview(storeId, reviewId, action, context = {}) {
+  requireStoreId('answerSkuReview', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  const { data: review, error: readError } = await client
+    .from('sku_match_reviews')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('id', Number(reviewId))
+    .maybeSingle();
+
+  if (readError) return { ok: false, status: 500, error: readError.message };
+  if (!review) return { ok: false, status: 404, error: `Review ${reviewId} not found` };
+
+  const answer = resolveReviewAnswer(review, action, context.sku);
+  if (!answer.ok) {
+    const status = review.status !== REVIEW_STATUS.PENDING ? 409 : 400;
+    return { ok: false, status, error: answer.error };
+  }
+
+  // The alias target must be a catalog SKU
+  const { data: catalogRow, error: catalogError } = await client
+    .from('wix_inventory_live')
+    .select('sku')
+    .eq('store_id', storeId)
+    .eq('sku', answer.sku)
+    .maybeSingle();
+
+  if (catalogError) return { ok: false, status: 500, error: catalogError.message };
+  if (!catalogRow) return { ok: false, status: 400, error: `SKU ${answer.sku} is not in ${storeId}'s inventory` };
+
+  const actor = context.actor || 'system';
+  const now = new Date().toISOString();
+
+  const alias = {
+    store_id: storeId,
+    alias_key: review.alias_key,
+    sku: answer.sku,
+    review_id: review.id,
+    created_by: actor,
+    created_at: now
+  };
+
+  const { error: aliasError } = await client
+    .from('sku_aliases')
+    .upsert(alias, { onConflict: 'store_id,alias_key' });
+
+  if (aliasError) return { ok: false, status: 500, error: aliasError.message };
+
+  const resolved = {
+    status: answer.status,
+    resolved_sku: answer.sku,
+    resolved_by: actor,
+    resolved_at: now
+  };
+
+  const { error: updateError } = await client
+    .from('sku_match_reviews')
+    .update(resolved)
+    .eq('store_id', storeId)
+    .eq('id', review.id);
+
+  if (updateError) return { ok: false, status: 500, error: updateError.message };
+
+  console.log(`[SkuReview] ${storeId}: ${review.alias_key} -> ${answer.sku} (${answer.status} by ${actor})`);
+
+  return { ok: true, review: { ...review, ...resolved }, alias };
+}
+
+export default {
+  getReviewThreshold,
+  loadSkuAliases,
+  listSkuAliases,
+  queueSkuReview,
+  listSkuReviews,
+  answerSkuReview
+};
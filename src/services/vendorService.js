@@ -0,0 +1,318 @@
+/**
+ * VENDOR SERVICE
+ *
+ * Persistence for the vendor registry (vendors) and SKU → vendor mapping
+ * (sku_vendors). Validation and reorder-timing rules live in
+ * utils/vendorRegistry.js.
+ *
+ * Vendor IDs are unique per store; a SKU maps to at most one vendor.
+ */
+
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { normalizeVendor, attachVendorTerms } from '../utils/vendorRegistry.js';
+
+/**
+ * Guard: storeId must be provided to every vendor operation
+ *
+ * @param {string} fnName - Calling function (for error message)
+ * @param {string} storeId - Store identifier
+ */
+function requireStoreId(fnName, storeId) {
+  if (!storeId || typeof storeId !== 'string') {
+    throw new Error(`[Vendors] ${fnName}: storeId is required`);
+  }
+}
+
+function rowToVendor(row) {
+  return {
+    vendorId: row.vendor_id,
+    name: row.name,
+    leadTimeDays: row.lead_time_days,
+    minimumOrderQty: row.minimum_order_qty,
+    packSize: row.pack_size,
+    contact: row.contact,
+    notes: row.notes,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List vendors for a store, with the SKUs mapped to each
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, vendors?: Array, error?: string}>}
+ */
+export async function listVendors(storeId) {
+  requireStoreId('listVendors', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    const { data: vendorRows, error } = await client
+      .from('vendors')
+      .select('*')
+      .eq('store_id', storeId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error(`[Vendors] Failed to list vendors: ${error.message}`);
+      return { ok: false, error: error.message };
+    }
+
+    const mapResult = await getSkuVendorMap(storeId);
+    if (!mapResult.ok) {
+      return { ok: false, error: mapResult.error };
+    }
+
+    const skusByVendor = new Map();
+    for (const [sku, vendorId] of mapResult.skuVendorMap) {
+      if (!skusByVendor.has(vendorId)) skusByVendor.set(vendorId, []);
+      skusByVendor.get(vendorId).push(sku);
+    }
+
+    return {
+      ok: true,
+      vendors: (vendorRows || []).map(row => ({
+        ...rowToVendor(row),
+        skus: (skusByVendor.get(row.vendor_id) || []).sort()
+      }))
+    };
+  } catch (err) {
+    console.error('[Vendors] List vendors error:', err.message);
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Create or update a vendor
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Object} input - { vendorId, name, leadTimeDays, minimumOrderQty, packSize, contact, notes }
+ * @returns {Promise<{ok: boolean, vendor?: Object, status?: number, error?: string}>}
+ */
+export async function upsertVendor(storeId, input) {
+  requireStoreId('upsertVendor', storeId);
+
+  let vendor;
+  try {
+    vendor = normalizeVendor(input);
+  } catch (validationErr) {
+    return { ok: false, status: 400, error: validationErr.message };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    const { data, error } = await client
+      .from('vendors')
+      .upsert({
+        store_id: storeId,
+        vendor_id: vendor.vendorId,
+        name: vendor.name,
+        lead_time_days: vendor.leadTimeDays,
+        minimum_order_qty: vendor.minimumOrderQty,
+        pack_size: vendor.packSize,
+        contact: vendor.contact,
+        notes: vendor.notes,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'store_id,vendor_id' })
+      .select('*');
+
+    if (error) {
+      console.error(`[Vendors] Failed to save vendor ${vendor.vendorId}: ${error.message}`);
+      return { ok: false, status: 500, error: error.message };
+    }
+
+    console.log(`[Vendors] ${storeId}: saved ${vendor.vendorId} (lead time ${vendor.leadTimeDays ?? 'unknown'} days)`);
+
+    return { ok: true, vendor: rowToVendor(data[0]) };
+  } catch (err) {
+    console.error('[Vendors] Save vendor error:', err.message);
+    return { ok: false, status: 500, error: err.message };
+  }
+}
+
+/**
+ * Map SKUs to vendors
+ *
+ * A null vendorId removes the SKU's mapping. Assigned SKUs must be in the
+ * store's inventory (wix_inventory_live) and vendors in its registry;
+ * anything unknown rejects the whole request (400).
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array<{sku: string, vendorId: string|null}>} assignments
+ * @returns {Promise<{ok: boolean, assigned?: number, removed?: number, status?: number, error?: string}>}
+ */
+export async function assignSkuVendors(storeId, assignments) {
+  requireStoreId('assignSkuVendors', storeId);
+
+  if (!Array.isArray(assignments) || assignments.length === 0) {
+    return { ok: false, status: 400, error: 'assignments must be a non-empty array of { sku, vendorId }' };
+  }
+
+  const invalid = assignments.filter(a => !a?.sku || typeof a.sku !== 'string');
+  if (invalid.length > 0) {
+    return { ok: false, status: 400, error: 'Each assignment needs a sku' };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 500, error: 'Authority not available' };
+  }
+
+  const client = getAuthorityClient();
+
+  try {
+    const toAssign = assignments.filter(a => a.vendorId);
+    const toRemove = assignments.filter(a => !a.vendorId).map(a => a.sku);
+
+    if (toAssign.length > 0) {
+      const vendorIds = [...new Set(toAssign.map(a => a.vendorId))];
+      const { data: known, error: lookupError } = await client
+        .from('vendors')
+        .select('vendor_id')
+        .eq('store_id', storeId)
+        .in('vendor_id', vendorIds);
+
+      if (lookupError) {
+        return { ok: false, status: 500, error: lookupError.message };
+      }
+
+      const knownIds = new Set((known || []).map(row => row.vendor_id));
+      const unknown = vendorIds.filter(id => !knownIds.has(id));
+      if (unknown.length > 0) {
+        return { ok: false, status: 400, error: `Unknown vendor: ${unknown.join(', ')}` };
+      }
+
+      const skus = [...new Set(toAssign.map(a => a.sku))];
+      const { data: stocked, error: skuError } = await client
+        .from('wix_inventory_live')
+        .select('sku')
+        .eq('store_id', storeId)
+        .in('sku', skus);
+
+      if (skuError) {
+        return { ok: false, status: 500, error: skuError.message };
+      }
+
+      const knownSkus = new Set((stocked || []).map(row => row.sku));
+      const unknownSkus = skus.filter(sku => !knownSkus.has(sku));
+      if (unknownSkus.length > 0) {
+        return { ok: false, status: 400, error: `Unknown SKU: ${unknownSkus.join(', ')}` };
+      }
+
+      const now = new Date().toISOString();
+      const { error } = await client
+        .from('sku_vendors')
+        .upsert(
+          toAssign.map(a => ({ store_id: storeId, sku: a.sku, vendor_id: a.vendorId, updated_at: now })),
+          { onConflict: 'store_id,sku' }
+        );
+
+      if (error) {
+        console.error(`[Vendors] Failed to assign SKUs: ${error.message}`);
+        return { ok: false, status: 500, error: error.message };
+      }
+    }
+
+    if (toRemove.length > 0) {
+      const { error } = await client
+        .from('sku_vendors')
+        .delete()
+        .eq('store_id', storeId)
+        .in('sku', toRemove);
+
+      if (error) {
+        console.error(`[Vendors] Failed to remove SKU mappings: ${error.message}`);
+        return { ok: false, status: 500, error: error.message };
+      }
+    }
+
+    console.log(`[Vendors] ${storeId}: ${toAssign.length} SKUs assigned, ${toRemove.length} unassigned`);
+
+    return { ok: true, assigned: toAssign.length, removed: toRemove.length };
+  } catch (err) {
+    console.error('[Vendors] Assign SKUs error:', err.message);
+    return { ok: false, status: 500, error: err.message };
+  }
+}
+
+/**
+ * SKU → vendorId map for a store
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @returns {Promise<{ok: boolean, skuVendorMap?: Map<string, string>, error?: string}>}
+ */
+export async function getSkuVendorMap(storeId) {
+  requireStoreId('getSkuVendorMap', storeId);
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, error: 'Authority not available' };
+  }
+
+  const { data, error } = await getAuthorityClient()
+    .from('sku_vendors')
+    .select('sku, vendor_id')
+    .eq('store_id', storeId);
+
+  if (error) {
+    return { ok: false, error: error.message };
+  }
+
+  return { ok: true, skuVendorMap: new Map((data || []).map(row => [row.sku, row.vendor_id])) };
+}
+
+/**
+ * Attach vendor terms (lead time, minimum order, pack size) to inventory
+ *
+ * Non-fatal: if the registry cannot be read, inventory is returned
+ * unchanged and classifiers fall back to global thresholds.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {Array} inventory - Inventory items
+ * @returns {Promise<Array>} Inventory with vendor terms
+ */
+export async function withVendorTerms(storeId, inventory) {
+  requireStoreId('withVendorTerms', storeId);
+
+  if (!Array.isArray(inventory) || inventory.length === 0) {
+    return inventory;
+  }
+
+  try {
+    const vendorResult = await listVendors(storeId);
+    if (!vendorResult.ok) {
+      console.warn(`[Vendors] Vendor terms unavailable for ${storeId}: ${vendorResult.error}`);
+      return inventory;
+    }
+
+    if (vendorResult.vendors.length === 0) {
+      return inventory;
+    }
+
+    const skuVendorMap = new Map();
+    for (const vendor of vendorResult.vendors) {
+      for (const sku of vendor.skus) skuVendorMap.set(sku, vendor.vendorId);
+    }
+
+    return attachVendorTerms(inventory, vendorResult.vendors, skuVendorMap);
+  } catch (err) {
+    console.warn(`[Vendors] Vendor terms unavailable for ${storeId}: ${err.message}`);
+    return inventory;
+  }
+}
+
+export default {
+  listVendors,
+  upsertVendor,
+  assignSkuVendors,
+  getSkuVendorMap,
+  withVendorTerms
+};
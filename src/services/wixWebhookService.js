@@ -0,0 +1,247 @@
+/**
+ * WIX WEBHOOK SERVICE
+ *
+ * Receiver behind /webhooks/wix/orders and /webhooks/wix/inventory. Wix
+ * events are relayed (Velo backend events, Make.com, or
+ * scripts/replay-wix-webhooks.js) with an HMAC signature - see
+ * utils/webhookSignature.js for the scheme.
+ *
+ * FLOW:
+ * 1. receiveWixWebhook: verify signature + replay window, then store the raw
+ *    event in webhook_events keyed by (store_id, event_id). A second
+ *    delivery of the same event is acknowledged but not stored or synced.
+ * 2. applyWixWebhook (after the response): orders sync just the new event
+ *    (syncOrderEvents) - a sale, refund or cancellation; inventory updates
+ *    just the SKUs the event names (applyInventoryCounts). Both then run
+ *    the self-healing hooks.
+ *
+ * Configuration:
+ * - WIX_WEBHOOK_SECRET_<STOREID>: per-store secret (store ID uppercased)
+ * - WIX_WEBHOOK_SECRET: fallback secret for every store
+ * - WIX_WEBHOOK_TOLERANCE_SECONDS: replay window (default 300)
+ * - OMEN_WEBHOOK_CAPTURE_DIR: when set, every accepted body is also written
+ *   there for replay
+ *
+ * MULTI-TENANT: The store comes from X-OMEN-Store-Id (or ?storeId=) and must
+ * be configured on this instance; a single-store instance may omit it. The
+ * resolved store ID is part of the signed content either way, so the
+ * header cannot move a signed event to another store.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { validateStoreId } from '../middleware/auth.js';
+import { getConfiguredStoreIds, isConfiguredStore } from '../utils/storeRegistry.js';
+import {
+  SIGNATURE_HEADERS,
+  DEFAULT_TOLERANCE_SECONDS,
+  verifySignature,
+  resolveEventId
+} from '../utils/webhookSignature.js';
+import { orderEventTypeFor } from '../utils/orderAdjustments.js';
+import { applyInventoryCounts } from './inventoryImportService.js';
+import { onOrderWebhook, onWixInventoryWebhook } from './selfHealingService.js';
+
+// eventType: stored event type when X-OMEN-Event-Type is absent
+export const WEBHOOK_KINDS = Object.freeze({
+  orders: { eventType: payload => orderEventTypeFor(payload) },
+  inventory: { eventType: () => 'wix.inventory.updated' }
+});
+
+const WEBHOOK_SOURCE = 'wix_webhook';
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+function getWebhookSecret(storeId) {
+  return process.env[`WIX_WEBHOOK_SECRET_${storeId.toUpperCase()}`] || process.env.WIX_WEBHOOK_SECRET || null;
+}
+
+function getToleranceSeconds() {
+  const configured = Number(process.env.WIX_WEBHOOK_TOLERANCE_SECONDS);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_TOLERANCE_SECONDS;
+}
+
+/**
+ * Resolve and validate the target store
+ *
+ * @returns {{ ok: boolean, storeId?: string, status?: number, error?: string }}
+ */
+function resolveStore(requested) {
+  if (!requested) {
+    const storeIds = getConfiguredStoreIds();
+    if (storeIds.length === 1) return { ok: true, storeId: storeIds[0] };
+    return { ok: false, status: 400, error: `Missing ${SIGNATURE_HEADERS.STORE_ID} header (this instance serves several stores)` };
+  }
+
+  const validation = validateStoreId(requested);
+  if (!validation.valid) return { ok: false, status: 400, error: validation.error };
+  if (!isConfiguredStore(requested)) return { ok: false, status: 404, error: `Store ${requested} is not served by this instance` };
+
+  return { ok: true, storeId: requested };
+}
+
+function captureEvent(event) {
+  const dir = process.env.OMEN_WEBHOOK_CAPTURE_DIR;
+  if (!dir) return;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const safeId = event.eventId.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 80);
+    const file = path.join(dir, `${Date.now()}_${event.kind}_${safeId}.json`);
+    fs.writeFileSync(file, JSON.stringify(event, null, 2));
+  } catch (err) {
+    console.warn(`[WixWebhook] Capture failed: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// RECEIVE
+// ============================================================================
+
+/**
+ * Verify and store one webhook delivery
+ *
+ * @param {Object} params
+ * @param {string} params.kind - 'orders' | 'inventory'
+ * @param {Object} params.headers - Request headers (lowercased, as Express gives them)
+ * @param {string} params.rawBody - Exact request body
+ * @param {string} [params.storeId] - ?storeId= fallback for the header
+ * @returns {Promise<{ok: boolean, status?: number, error?: string, storeId?: string,
+ *   eventId?: string, eventType?: string, duplicate?: boolean, webhookEventId?: number, payload?: Object}>}
+ */
+export async function receiveWixWebhook({ kind, headers, rawBody, storeId: queryStoreId }) {
+  const definition = WEBHOOK_KINDS[kind];
+  if (!definition) return { ok: false, status: 404, error: `Unknown webhook kind: ${kind}` };
+
+  const store = resolveStore(headers[SIGNATURE_HEADERS.STORE_ID] || queryStoreId);
+  if (!store.ok) return store;
+  const { storeId } = store;
+
+  const secret = getWebhookSecret(storeId);
+  if (!secret) {
+    return { ok: false, status: 503, error: `No webhook secret configured for ${storeId} (WIX_WEBHOOK_SECRET)` };
+  }
+
+  if (typeof rawBody !== 'string' || rawBody.length === 0) {
+    return { ok: false, status: 400, error: 'Empty request body' };
+  }
+
+  const verification = verifySignature({
+    secret,
+    storeId,
+    rawBody,
+    signature: headers[SIGNATURE_HEADERS.SIGNATURE],
+    timestamp: headers[SIGNATURE_HEADERS.TIMESTAMP],
+    toleranceSeconds: getToleranceSeconds()
+  });
+  if (!verification.ok) {
+    console.warn(`[WixWebhook] ${storeId}: rejected ${kind} webhook - ${verification.reason}`);
+    return { ok: false, status: 401, error: verification.reason };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (err) {
+    return { ok: false, status: 400, error: `Invalid JSON body: ${err.message}` };
+  }
+
+  if (!isAuthorityAvailable()) {
+    return { ok: false, status: 503, error: 'Authority not available' };
+  }
+
+  const eventId = resolveEventId(headers[SIGNATURE_HEADERS.EVENT_ID], payload, rawBody);
+  const eventType = headers[SIGNATURE_HEADERS.EVENT_TYPE] || definition.eventType(payload);
+
+  const { data, error } = await getAuthorityClient()
+    .from('webhook_events')
+    .upsert({
+      store_id: storeId,
+      event_type: eventType,
+      source: WEBHOOK_SOURCE,
+      raw_payload: payload,
+      event_id: eventId,
+      verified_by: 'hmac'
+    }, { onConflict: 'store_id,event_id', ignoreDuplicates: true })
+    .select('id');
+
+  if (error) return { ok: false, status: 500, error: error.message };
+
+  const stored = (data || [])[0];
+  if (!stored) {
+    console.log(`[WixWebhook] ${storeId}: duplicate ${kind} event ${eventId} ignored`);
+    return { ok: true, storeId, eventId, eventType, duplicate: true };
+  }
+
+  captureEvent({ kind, storeId, eventId, eventType, receivedAt: new Date().toISOString(), body: rawBody });
+
+  console.log(`[WixWebhook] ${storeId}: stored ${kind} event ${eventId} (webhook_events.id ${stored.id})`);
+
+  return { ok: true, storeId, eventId, eventType, duplicate: false, webhookEventId: stored.id, payload };
+}
+
+// ============================================================================
+// APPLY
+// ============================================================================
+
+/**
+ * Per-SKU counts named by an inventory event
+ *
+ * Accepts { variants: [...] }, { data: { variants: [...] } }, { items: [...] }
+ * or a single { sku, quantity }. Entries without a SKU are skipped.
+ *
+ * @param {Object} payload - Parsed event body
+ * @returns {Array<{sku: string, quantity?: number, inStock?: boolean}>}
+ */
+export function extractInventoryCounts(payload) {
+  const body = payload?.data || payload || {};
+  const entries = body.variants || body.items || (body.sku ? [body] : []);
+
+  return entries
+    .filter(entry => entry && entry.sku)
+    .map(entry => ({
+      sku: String(entry.sku).trim(),
+      quantity: entry.quantity ?? entry.quantityOnHand ?? undefined,
+      inStock: typeof entry.inStock === 'boolean' ? entry.inStock : undefined
+    }));
+}
+
+/**
+ * Incremental sync for a stored (non-duplicate) event
+ *
+ * Called after the response is sent; failures are logged by the caller.
+ *
+ * @param {string} kind - 'orders' | 'inventory'
+ * @param {Object} received - Result of receiveWixWebhook
+ * @returns {Promise<Object>} Sync result
+ */
+export async function applyWixWebhook(kind, received) {
+  const { storeId, eventId, webhookEventId, payload } = received;
+
+  if (kind === 'orders') {
+    return onOrderWebhook(storeId, { eventIds: [webhookEventId] });
+  }
+
+  const counts = extractInventoryCounts(payload);
+  const applied = await applyInventoryCounts(storeId, counts, {
+    actor: WEBHOOK_SOURCE,
+    sourceType: 'wix_inventory_webhook',
+    sourceId: eventId
+  });
+  if (!applied.ok) {
+    throw new Error(applied.error);
+  }
+
+  await onWixInventoryWebhook(storeId);
+  return applied;
+}
+
+export default {
+  WEBHOOK_KINDS,
+  receiveWixWebhook,
+  extractInventoryCounts,
+  applyWixWebhook
+};
@@ -0,0 +1,194 @@
+/**
+ * TEST HARNESS
+ *
+ * The runner and fixtures shared by the co-located *.test.js files. Each
+ * test file is a plain script (node src/utils/x.test.js):
+ *
+ *   const { test, assertEquals, finish } = createTestRunner();
+ *   test("adds", () => assertEquals(1 + 1, 2));
+ *   finish("Addition holds.");
+ *
+ * test() runs sync tests immediately and returns a promise for async ones,
+ * so async files await each call to keep tests (and their shared state) in
+ * order. finish() prints the summary and exits 1 when anything failed.
+ *
+ * FIXTURES: Snapshot-shaped inventory items and velocity metrics, and a
+ * temporary working directory for tests of modules that resolve their
+ * database files from process.cwd().
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Create a test runner
+ *
+ * @returns {object} { test, assertEquals, assertTrue, assertThrows, finish, results }
+ */
+export function createTestRunner() {
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  const pass = (name) => {
+    results.passed++;
+    results.tests.push({ name, status: 'PASS' });
+    console.log(`✓ ${name}`);
+  };
+
+  const fail = (name, error) => {
+    results.failed++;
+    results.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`✗ ${name}`);
+    console.error(`  Error: ${error.message}`);
+  };
+
+  function test(name, fn) {
+    let outcome;
+    try {
+      outcome = fn();
+    } catch (error) {
+      fail(name, error);
+      return undefined;
+    }
+
+    if (outcome && typeof outcome.then === 'function') {
+      return outcome.then(() => pass(name), (error) => fail(name, error));
+    }
+    pass(name);
+    return undefined;
+  }
+
+  function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+  }
+
+  function assertTrue(condition, message) {
+    if (!condition) {
+      throw new Error(message || 'Expected condition to be true');
+    }
+  }
+
+  function assertThrows(fn, message) {
+    try {
+      fn();
+    } catch {
+      return;
+    }
+    throw new Error(message || 'Expected function to throw');
+  }
+
+  /**
+   * Print the summary; exits the process with 1 when a test failed
+   *
+   * @param {string} successMessage - Printed after "All tests passed!"
+   * @returns {object} results
+   */
+  function finish(successMessage) {
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Results Summary');
+    console.log('='.repeat(50));
+    console.log(`Total Tests: ${results.passed + results.failed}`);
+    console.log(`✓ Passed: ${results.passed}`);
+    console.log(`✗ Failed: ${results.failed}`);
+    console.log('='.repeat(50) + '\n');
+
+    if (results.failed > 0) {
+      console.error('❌ Some tests failed. Review errors above.');
+      process.exit(1);
+    }
+
+    console.log(`✅ All tests passed! ${successMessage}\n`);
+    return results;
+  }
+
+  return { test, assertEquals, assertTrue, assertThrows, finish, results };
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Snapshot enrichedInventory item
+ *
+ * @param {string} sku
+ * @param {string} strain
+ * @param {string} unit - e.g. "3.5g"
+ * @param {number} quantity - On hand (also availableQuantity)
+ * @param {number} retail
+ * @param {number} cost
+ * @returns {object}
+ */
+export function inventoryItem(sku, strain, unit, quantity, retail, cost) {
+  return {
+    sku,
+    strain,
+    unit,
+    name: `${strain} (${unit})`,
+    hasValidIdentity: true,
+    quantity,
+    availableQuantity: quantity,
+    pricing: { retail, cost }
+  };
+}
+
+/**
+ * Snapshot velocity.velocityMetrics entry
+ *
+ * @param {string} sku
+ * @param {string} name - "Strain (unit)"; the unit is read from the parentheses
+ * @param {number} dailyVelocity
+ * @param {number} totalSold
+ * @param {object} [extra] - Any other metric fields (currentStock, totalRevenue, ...)
+ * @returns {object}
+ */
+export function velocityMetric(sku, name, dailyVelocity, totalSold, extra = {}) {
+  return {
+    sku,
+    name,
+    unit: name.match(/\(([^)]+)\)/)?.[1] ?? null,
+    dailyVelocity,
+    totalSold,
+    ...extra
+  };
+}
+
+/**
+ * Run with process.cwd() set to a fresh temporary directory
+ *
+ * Returns { dir, restore }; restore() switches back and deletes the
+ * directory. Close any database opened inside it before restoring.
+ *
+ * @param {string} prefix - Directory name prefix
+ * @returns {{ dir: string, restore: Function }}
+ */
+export function useTempWorkingDirectory(prefix) {
+  const originalCwd = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.chdir(dir);
+
+  return {
+    dir,
+    restore() {
+      process.chdir(originalCwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+export default {
+  createTestRunner,
+  inventoryItem,
+  velocityMetric,
+  useTempWorkingDirectory
+};
@@ -27,6 +27,6 @@ export function applyPricing(items = []) {
 }
 
 /**
- * Default export (required by server.js)
+ * Default export
  */
 export default applyPricing;
@@ -8,7 +8,7 @@
  *
  * NEW BEHAVIOR:
  * - Queries Supabase via authority module
- * - Short-lived cache (5 min TTL)
+ * - Short-lived cache (5 min TTL), scoped per store
  * - Explicit cache invalidation via clearInventory()
  */
 
@@ -17,38 +17,45 @@ import { getAuthoritativeInventory, AUTHORITY_ERROR } from '../data/supabaseAuth
 // Re-export for consumers
 export { AUTHORITY_ERROR };
 
-let cachedInventory = null;
-let cachedMetadata = null;
-let cacheTimestamp = null;
+// MULTI-TENANT: one cache entry per store
+// storeId -> { items, metadata, timestamp }
+const inventoryCache = new Map();
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
 /**
- * Get inventory from Supabase (with short-lived cache)
+ * Get inventory from Supabase (with short-lived cache) - MULTI-TENANT
  *
  * Cache TTL: 5 minutes
  * After TTL expires, fetches fresh data from Supabase
  *
- * @param {string} source - Store ID (legacy parameter, ignored)
+ * CRITICAL: Requires storeId - no defaults, no fallbacks
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @returns {Promise<Array>} - Enriched inventory items
  */
-export async function getInventory(source) {
+export async function getInventory(storeId) {
+  if (!storeId) {
+    throw new Error('[InventoryStore] getInventory: storeId is required');
+  }
+
   const now = Date.now();
+  const cached = inventoryCache.get(storeId);
 
   // Check cache validity
-  if (cachedInventory && cacheTimestamp && (now - cacheTimestamp < CACHE_TTL_MS)) {
-    const ageSeconds = Math.floor((now - cacheTimestamp) / 1000);
-    console.log(`[InventoryStore] Cache HIT (age: ${ageSeconds}s, TTL: ${CACHE_TTL_MS/1000}s)`);
-    return cachedInventory;
+  if (cached && (now - cached.timestamp < CACHE_TTL_MS)) {
+    const ageSeconds = Math.floor((now - cached.timestamp) / 1000);
+    console.log(`[InventoryStore] Cache HIT for ${storeId} (age: ${ageSeconds}s, TTL: ${CACHE_TTL_MS/1000}s)`);
+    return cached.items;
   }
 
   // Cache miss or expired - fetch fresh
-  console.log('[InventoryStore] Cache MISS or EXPIRED - fetching from Supabase authority');
+  console.log(`[InventoryStore] Cache MISS or EXPIRED for ${storeId} - fetching from Supabase authority`);
 
   try {
-    const result = await getAuthoritativeInventory();
+    const result = await getAuthoritativeInventory(storeId);
 
-    cachedInventory = result.items;
-    cachedMetadata = {
+    const metadata = {
+      storeId,
       timestamp: result.timestamp,
       source: result.source,
       inventoryLastSyncedAt: result.inventoryLastSyncedAt,
@@ -67,11 +74,12 @@ export async function getInventory(source) {
       sellableSKUCount: result.sellableSKUCount || 0,
       outOfStockCount: result.outOfStockCount || 0
     };
-    cacheTimestamp = now;
 
-    console.log(`[InventoryStore] ✅ Cached ${result.items.length} items from ${result.source} at ${result.timestamp}`);
+    inventoryCache.set(storeId, { items: result.items, metadata, timestamp: now });
 
-    return cachedInventory;
+    console.log(`[InventoryStore] ✅ Cached ${result.items.length} items for ${storeId} from ${result.source} at ${result.timestamp}`);
+
+    return result.items;
   } catch (err) {
     // DO NOT FALLBACK - propagate error
     console.error('[InventoryStore] ❌ FATAL: Cannot load inventory:', err.message);
@@ -80,18 +88,18 @@ export async function getInventory(source) {
 }
 
 /**
- * Get inventory with full metadata including freshness info
+ * Get inventory with full metadata including freshness info - MULTI-TENANT
  *
- * @param {string} source - Store ID (legacy parameter, ignored)
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @returns {Promise<{items: Array, metadata: Object}>}
  */
-export async function getInventoryWithMetadata(source) {
+export async function getInventoryWithMetadata(storeId) {
   // Ensure cache is populated
-  await getInventory(source);
+  const items = await getInventory(storeId);
 
   return {
-    items: cachedInventory,
-    metadata: cachedMetadata
+    items,
+    metadata: inventoryCache.get(storeId)?.metadata || null
   };
 }
 
@@ -103,7 +111,7 @@ export async function getInventoryWithMetadata(source) {
  *
  * @throws {Error} Always throws - operation not supported
  */
-export function saveInventory(source, items) {
+export function saveInventory(storeId, items) {
   throw new Error('DEPRECATED: saveInventory is no longer supported. Inventory is READ-ONLY from Supabase. Use Make webhook to update data.');
 }
 
@@ -112,11 +120,15 @@ export function saveInventory(source, items) {
  *
  * Forces next getInventory() call to fetch fresh data from Supabase
  *
- * @param {string} source - Store ID (legacy parameter, ignored)
+ * @param {string} [storeId] - Store to clear (omit to clear every store)
  */
-export function clearInventory(source) {
-  cachedInventory = null;
-  cachedMetadata = null;
-  cacheTimestamp = null;
-  console.log('[InventoryStore] 🔄 Cache CLEARED - next request will fetch fresh Supabase data');
+export function clearInventory(storeId) {
+  if (storeId) {
+    inventoryCache.delete(storeId);
+    console.log(`[InventoryStore] 🔄 Cache CLEARED for ${storeId} - next request will fetch fresh Supabase data`);
+    return;
+  }
+
+  inventoryCache.clear();
+  console.log('[InventoryStore] 🔄 Cache CLEARED (all stores) - next request will fetch fresh Supabase data');
 }
@@ -1,7 +1,10 @@
 /**
  * Pricing Catalog
- * SOURCE OF TRUTH: Top section of Google Sheet
+ * ORIGIN: Top section of Google Sheet
  * Lookup-only. No inventory logic.
+ *
+ * No longer the source of truth: pricing is per-store, versioned rule sets
+ * (utils/pricingRules.js). This table only seeds a store's first rule set.
  */
 
 export const PRICING_CATALOG = [
@@ -1,19 +1,25 @@
 /**
  * Catalog Lookup - SKU resolution from inventory_live
  *
- * Uses the AUTHORITATIVE Supabase client from supabaseClient.js
+ * Uses the AUTHORITATIVE client from authorityAdapter.js (Supabase or local)
  * No separate client initialization - single source of truth
+ *
+ * lookupCatalogSku: exact strain + unit (+ brand, category)
+ * lookupCatalogMatch: exact first, then the store's catalog ranked by
+ * fuzzyMatcher.js (typos, word order, unit and brand agreement)
  */
 
-import { getSupabaseClient, isSupabaseAvailable } from '../db/supabaseClient.js';
+import { getAuthorityClient, isAuthorityAvailable } from '../db/authorityAdapter.js';
+import { findBestMatch, summarizeCandidates } from './fuzzyMatcher.js';
 
 /* =========================
    CATALOG LOOKUP
    ========================= */
 /**
- * Resolve a canonical SKU from inventory_live
+ * Resolve a canonical SKU from inventory_live - MULTI-TENANT
  *
  * @param {Object} params
+ * @param {string} params.storeId - Store identifier (REQUIRED)
  * @param {string} params.strain
  * @param {string} params.unit
  * @param {string|null} params.brand
@@ -21,14 +27,18 @@ import { getSupabaseClient, isSupabaseAvailable } from '../db/supabaseClient.js'
  *
  * @returns {string|null} canonical SKU
  */
-export async function lookupCatalogSku({ strain, unit, brand, category }) {
+export async function lookupCatalogSku({ storeId, strain, unit, brand, category }) {
+  if (!storeId) {
+    throw new Error('[CatalogLookup] lookupCatalogSku: storeId is required');
+  }
   if (!strain || !unit) return null;
-  if (!isSupabaseAvailable()) return null; // Supabase not configured
+  if (!isAuthorityAvailable()) return null; // Authority backend not configured
 
-  const supabase = getSupabaseClient();
+  const supabase = getAuthorityClient();
   let query = supabase
     .from('inventory_live')
     .select('sku')
+    .eq('store_id', storeId)
     .eq('strain', strain)
     .eq('unit', unit);
 
@@ -48,3 +58,58 @@ export async function lookupCatalogSku({ strain, unit, brand, category }) {
 
   return data.sku;
 }
+
+/**
+ * Resolve a SKU from inventory_live, falling back to fuzzy matching - MULTI-TENANT
+ *
+ * @param {Object} params - Same as lookupCatalogSku
+ * @returns {Promise<{sku: string, matchType: 'exact'|'fuzzy', score: number, confidence: number,
+ *   ambiguous: boolean, explanation: string[], candidates: Array}|null>}
+ */
+export async function lookupCatalogMatch({ storeId, strain, unit, brand, category }) {
+  if (!storeId) {
+    throw new Error('[CatalogLookup] lookupCatalogMatch: storeId is required');
+  }
+
+  const exactSku = await lookupCatalogSku({ storeId, strain, unit, brand, category });
+  if (exactSku) {
+    return {
+      sku: exactSku,
+      matchType: 'exact',
+      score: 1,
+      confidence: 1,
+      ambiguous: false,
+      explanation: ['exact strain and unit'],
+      candidates: []
+    };
+  }
+
+  if (!strain || !isAuthorityAvailable()) return null;
+
+  let query = getAuthorityClient()
+    .from('inventory_live')
+    .select('sku, strain, unit, brand, category')
+    .eq('store_id', storeId);
+
+  if (category) {
+    query = query.eq('category', category);
+  }
+
+  const { data, error } = await query;
+  if (error || !data || data.length === 0) {
+    return null;
+  }
+
+  const fuzzy = findBestMatch({ name: strain, unit, brand }, data, { excludeUnitMismatch: true });
+  if (!fuzzy.best) return null;
+
+  return {
+    sku: fuzzy.best.row.sku,
+    matchType: 'fuzzy',
+    score: fuzzy.best.score,
+    confidence: fuzzy.confidence,
+    ambiguous: fuzzy.ambiguous,
+    explanation: fuzzy.best.explanation,
+    candidates: summarizeCandidates(fuzzy.candidates)
+  };
+}
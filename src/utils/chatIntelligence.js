@@ -25,6 +25,8 @@
  * - Low: Early signal, hedge recommendation
  */
 
+import { stockDayThresholds } from './vendorRegistry.js';
+
 /**
  * Generate timeframe context prefix for chat responses
  * OMEN TRUTH: Always state what timeframe the data covers
@@ -649,16 +651,38 @@ export function generateWhyInsight(message, metrics, context) {
   return null; // Not a "why" question we can handle
 }
 
+// Reorder windows for SKUs without a vendor lead time
+// (7 = URGENT_RESTOCK insight window in temporalAnalyzer)
+const REORDER_DAYS = { lowStockDays: 7, criticalStockDays: 3 };
+
 /**
  * Generate insight for reorder questions
  *
- * Uses velocity data to prioritize what needs restocking
+ * Uses velocity data to prioritize what needs restocking. SKUs with a
+ * vendor lead time (context.inventory, see vendorService.withVendorTerms)
+ * are urgent when they stock out before a reorder could arrive. SKUs with a
+ * statistical reorder point (velocityMetrics[].reorderPolicy) are due once
+ * stock falls to it, and critical below average lead-time demand.
  */
 export function generateReorderInsight(message, recommendations, metrics, context) {
   const velocity = context?.velocity || metrics?.velocity;
   const insights = velocity?.insights || [];
   const invRecs = recommendations?.inventory || [];
 
+  // Reorder points by SKU (only SKUs with enough daily history)
+  const reorderPolicies = new Map();
+  for (const metric of velocity?.velocityMetrics || []) {
+    if (metric.reorderPolicy) reorderPolicies.set(metric.sku, metric.reorderPolicy);
+  }
+
+  // Vendor terms by SKU (only SKUs mapped to a vendor with a lead time)
+  const vendorTerms = new Map();
+  for (const item of context?.inventory || []) {
+    if (item?.sku && item.leadTimeDays !== null && item.leadTimeDays !== undefined) {
+      vendorTerms.set(item.sku, { vendor: item.vendor, leadTimeDays: item.leadTimeDays });
+    }
+  }
+
   // Combine urgent restocks from insights and recommendations
   const urgentItems = [];
 
@@ -666,16 +690,60 @@ export function generateReorderInsight(message, recommendations, metrics, contex
   for (const insight of insights) {
     if (insight.type === 'URGENT_RESTOCK' || insight.priority === 'HIGH') {
       urgentItems.push({
+        sku: insight.sku,
         name: insight.name,
         reason: insight.message || insight.details,
         daysLeft: insight.data?.daysUntilStockout,
         stock: insight.data?.currentStock,
         velocity: insight.data?.dailyVelocity,
+        ...vendorTerms.get(insight.sku),
+        reorderPolicy: reorderPolicies.get(insight.sku) || null,
         source: 'velocity'
       });
     }
   }
 
+  // From velocity metrics: stockouts inside a vendor's reorder window that the
+  // fixed 7-day URGENT_RESTOCK insight does not catch (long lead times)
+  for (const metric of velocity?.velocityMetrics || []) {
+    const terms = vendorTerms.get(metric.sku);
+    if (!terms || metric.daysUntilStockout === null || metric.daysUntilStockout === undefined) continue;
+    if (urgentItems.find(u => u.sku === metric.sku)) continue;
+
+    const { lowStockDays } = stockDayThresholds(terms.leadTimeDays, REORDER_DAYS);
+    if (metric.daysUntilStockout <= lowStockDays) {
+      urgentItems.push({
+        sku: metric.sku,
+        name: metric.name,
+        reason: `${metric.name} will stock out in ${metric.daysUntilStockout} days`,
+        daysLeft: metric.daysUntilStockout,
+        stock: metric.currentStock,
+        velocity: metric.dailyVelocity,
+        ...terms,
+        reorderPolicy: reorderPolicies.get(metric.sku) || null,
+        source: 'velocity'
+      });
+    }
+  }
+
+  // From reorder points: stock at or below lead-time demand + safety stock
+  for (const metric of velocity?.velocityMetrics || []) {
+    if (!metric.reorderPolicy?.belowReorderPoint) continue;
+    if (urgentItems.find(u => u.sku === metric.sku)) continue;
+
+    urgentItems.push({
+      sku: metric.sku,
+      name: metric.name,
+      reason: `${metric.name} is at or below its reorder point`,
+      daysLeft: metric.daysUntilStockout ?? undefined,
+      stock: metric.currentStock,
+      velocity: metric.dailyVelocity,
+      ...vendorTerms.get(metric.sku),
+      reorderPolicy: metric.reorderPolicy,
+      source: 'velocity'
+    });
+  }
+
   // From inventory recommendations (stock-based)
   for (const rec of invRecs) {
     const qty = rec.triggeringMetrics?.quantity || 0;
@@ -702,7 +770,13 @@ export function generateReorderInsight(message, recommendations, metrics, contex
   });
 
   // Build response
-  const critical = urgentItems.filter(i => (i.daysLeft && i.daysLeft <= 3) || (i.stock || 0) <= 2);
+  // Critical = out of stock before a reorder placed today can arrive
+  const critical = urgentItems.filter(i => {
+    const { criticalStockDays } = stockDayThresholds(i.leadTimeDays, REORDER_DAYS);
+    return (i.daysLeft && i.daysLeft <= criticalStockDays) ||
+      (i.stock || 0) <= 2 ||
+      (i.reorderPolicy && (i.stock || 0) <= i.reorderPolicy.leadTimeDemand);
+  });
   const soon = urgentItems.filter(i => !critical.includes(i)).slice(0, 3);
 
   let response = '';
@@ -712,6 +786,9 @@ export function generateReorderInsight(message, recommendations, metrics, contex
     response = `URGENT REORDER NOW: ${names}. `;
     if (critical[0].daysLeft) {
       response += `${critical[0].name} will stock out in ${critical[0].daysLeft} days at current velocity. `;
+      if (critical[0].leadTimeDays !== undefined) {
+        response += `${critical[0].vendor} needs ${critical[0].leadTimeDays} days to deliver. `;
+      }
     } else {
       response += `Only ${critical[0].stock} units left. `;
     }
@@ -727,6 +804,14 @@ export function generateReorderInsight(message, recommendations, metrics, contex
     }
   }
 
+  // Reorder point for the most urgent SKU that has one
+  const withPolicy = [...critical, ...soon].find(i => i.reorderPolicy);
+  if (withPolicy) {
+    const policy = withPolicy.reorderPolicy;
+    response += `Reorder point for ${withPolicy.name} is ${policy.reorderPoint} units ` +
+      `(${policy.safetyStock} safety stock for ${Math.round(policy.serviceLevel * 100)}% service over a ${policy.leadTimeDays}-day lead time). `;
+  }
+
   const confidence = urgentItems[0].source === 'velocity' ? 'High confidence — based on sales velocity' : 'Medium confidence — based on current stock levels';
   return response + `(${confidence})`;
 }
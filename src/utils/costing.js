@@ -0,0 +1,350 @@
+/**
+ * OMEN COSTING
+ *
+ * Effective-dated cost history and the costing engine that turns it into a
+ * unit cost for every sale. Editing a cost adds a record; it never rewrites
+ * the cost that past orders were sold at.
+ *
+ * COST RECORDS:
+ *   { sku, unitCost, quantity, effectiveAt, source, sourceId }
+ *   quantity > 0  → a receipt (units bought at unitCost)
+ *   quantity null → a cost change with no stock attached (price list, correction)
+ *
+ * METHODS:
+ *   weighted_average — moving average: each receipt blends into the average
+ *                      cost of units on hand; a cost change revalues them
+ *   fifo             — receipts form layers consumed oldest first; units sold
+ *                      beyond the known layers use the latest cost in force
+ *
+ * Records and sales are folded in time order (a record at the same instant
+ * as a sale applies first). Sales before any cost record are uncosted.
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/costHistoryService.js
+ */
+
+// ============================================================================
+// METHODS
+// ============================================================================
+
+export const COSTING_METHODS = Object.freeze({
+  WEIGHTED_AVERAGE: 'weighted_average',
+  FIFO: 'fifo'
+});
+
+export const DEFAULT_COSTING_METHOD = COSTING_METHODS.WEIGHTED_AVERAGE;
+
+// Effective date for costs that predate cost history (legacy sku_costs rows)
+export const OPENING_COST_DATE = '1970-01-01T00:00:00.000Z';
+
+/**
+ * Validate a costing method
+ *
+ * @param {string} method
+ * @returns {string}
+ * @throws {Error} If the method is not supported
+ */
+export function requireCostingMethod(method) {
+  if (!Object.values(COSTING_METHODS).includes(method)) {
+    throw new Error(`Costing method must be one of ${Object.values(COSTING_METHODS).join(', ')}`);
+  }
+  return method;
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Validate and normalize a cost record
+ *
+ * @param {Object} input - { sku, unit_cost | unitCost, quantity?, effective_date | effectiveAt?,
+ *   source?, sourceId?, notes? }
+ * @returns {Object} { sku, unitCost, quantity, effectiveAt, source, sourceId, notes }
+ * @throws {Error} If any field is invalid
+ */
+export function normalizeCostRecord(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('normalizeCostRecord: record must be an object');
+  }
+
+  const sku = typeof input.sku === 'string' ? input.sku.trim() : '';
+  if (!sku) {
+    throw new Error('normalizeCostRecord: sku is required');
+  }
+
+  const unitCost = parseFloat(input.unitCost ?? input.unit_cost);
+  if (isNaN(unitCost) || unitCost < 0) {
+    throw new Error(`normalizeCostRecord: Invalid unit_cost for ${sku}: ${input.unitCost ?? input.unit_cost}`);
+  }
+
+  const rawQuantity = input.quantity ?? null;
+  let quantity = null;
+  if (rawQuantity !== null) {
+    quantity = Number(rawQuantity);
+    if (!isFinite(quantity) || quantity <= 0) {
+      throw new Error(`normalizeCostRecord: quantity for ${sku} must be a positive number`);
+    }
+  }
+
+  const rawDate = input.effectiveAt ?? input.effective_date ?? null;
+  const effectiveAt = rawDate ? new Date(rawDate) : new Date();
+  if (isNaN(effectiveAt.getTime())) {
+    throw new Error(`normalizeCostRecord: Invalid effective_date for ${sku}: ${rawDate}`);
+  }
+
+  return {
+    sku,
+    unitCost,
+    quantity,
+    effectiveAt: effectiveAt.toISOString(),
+    source: input.source || 'manual',
+    sourceId: input.sourceId ?? input.source_id ?? null,
+    notes: input.notes || null
+  };
+}
+
+// ============================================================================
+// COSTING ENGINE
+// ============================================================================
+
+function round(value, places = 4) {
+  return parseFloat(value.toFixed(places));
+}
+
+/**
+ * Cost each sale of one SKU from its cost records
+ *
+ * @param {Array} records - Cost records for the SKU ({ unitCost, quantity, effectiveAt })
+ * @param {Array} sales - Sales of the SKU ({ quantity, date, ... }); passed through
+ * @param {string} [method] - One of COSTING_METHODS
+ *
+ * @returns {Object} {
+ *   sales: [{ ...sale, unitCost, cogs, uncostedQuantity }]  (input order),
+ *   current: { unitCost, unitsOnHand, layers }                (after the last event)
+ * }
+ */
+export function costSales(records, sales, method = DEFAULT_COSTING_METHOD) {
+  requireCostingMethod(method);
+
+  const events = [
+    ...(records || []).map(record => ({ kind: 'record', at: new Date(record.effectiveAt).getTime(), record })),
+    ...(sales || []).map((sale, index) => ({ kind: 'sale', at: new Date(sale.date).getTime(), sale, index }))
+  ].sort((a, b) => (a.at - b.at) || (a.kind === b.kind ? 0 : a.kind === 'record' ? -1 : 1));
+
+  // Weighted average state
+  let averageCost = null;
+  let unitsOnHand = 0;
+  // FIFO state
+  const layers = [];
+  let latestCost = null;
+
+  const costed = new Array((sales || []).length);
+
+  for (const event of events) {
+    if (event.kind === 'record') {
+      const { unitCost, quantity } = event.record;
+      latestCost = unitCost;
+
+      if (method === COSTING_METHODS.FIFO) {
+        if (quantity) layers.push({ remaining: quantity, unitCost, effectiveAt: event.record.effectiveAt });
+        continue;
+      }
+
+      if (quantity) {
+        const prior = Math.max(0, unitsOnHand);
+        averageCost = averageCost === null || prior === 0
+          ? unitCost
+          : (prior * averageCost + quantity * unitCost) / (prior + quantity);
+        unitsOnHand = prior + quantity;
+      } else {
+        averageCost = unitCost;
+      }
+      continue;
+    }
+
+    const sale = event.sale;
+    const quantity = Number(sale.quantity) || 0;
+
+    if (quantity <= 0) {
+      costed[event.index] = { ...sale, unitCost: null, cogs: null, uncostedQuantity: 0 };
+      continue;
+    }
+
+    if (method === COSTING_METHODS.WEIGHTED_AVERAGE) {
+      unitsOnHand -= quantity;
+      costed[event.index] = averageCost === null
+        ? { ...sale, unitCost: null, cogs: null, uncostedQuantity: quantity }
+        : { ...sale, unitCost: round(averageCost), cogs: round(averageCost * quantity, 2), uncostedQuantity: 0 };
+      continue;
+    }
+
+    // FIFO: oldest layers first, then the latest cost in force
+    let remaining = quantity;
+    let cogs = 0;
+    while (remaining > 0 && layers.length > 0) {
+      const layer = layers[0];
+      const take = Math.min(layer.remaining, remaining);
+      cogs += take * layer.unitCost;
+      layer.remaining -= take;
+      remaining -= take;
+      if (layer.remaining <= 0) layers.shift();
+    }
+
+    let uncostedQuantity = 0;
+    if (remaining > 0) {
+      if (latestCost !== null) cogs += remaining * latestCost;
+      else uncostedQuantity = remaining;
+    }
+
+    const costedQuantity = quantity - uncostedQuantity;
+    costed[event.index] = costedQuantity > 0
+      ? { ...sale, unitCost: round(cogs / costedQuantity), cogs: round(cogs, 2), uncostedQuantity }
+      : { ...sale, unitCost: null, cogs: null, uncostedQuantity };
+  }
+
+  const current = method === COSTING_METHODS.FIFO
+    ? {
+        unitCost: layers.length > 0 ? layers[0].unitCost : latestCost,
+        unitsOnHand: layers.reduce((sum, layer) => sum + layer.remaining, 0),
+        layers: layers.map(layer => ({ ...layer }))
+      }
+    : {
+        unitCost: averageCost !== null ? round(averageCost) : null,
+        unitsOnHand: Math.max(0, unitsOnHand),
+        layers: null
+      };
+
+  return { sales: costed, current };
+}
+
+// ============================================================================
+// ORDER SKU → COST SKU
+// ============================================================================
+
+/**
+ * Pure normalization for cost matching only.
+ * Resolves unit synonyms and product-type tokens, then strips all
+ * non-alphanumeric characters so keys can be compared with containment.
+ * Does NOT alter any database values.
+ *
+ * Weight mappings (dispensary standard):
+ *   eighth / 1/8          → 35g    (3.5g = 1/8 oz)
+ *   quarter / 1/4         → 7g     (7g   = 1/4 oz)
+ *   half / 1/2            → 14g    (14g  = 1/2 oz)
+ *   ounce / oz / 1oz      → 28g    (28g  = 1 oz)
+ *   gram / grams          → g
+ *
+ * Product-type tokens (survive the strip step as alphanumeric strings):
+ *   cart / carts          → cartridge
+ *   gummy / gummies       → gummies
+ *   pre-roll / preroll    → preroll
+ *   disposable            → 1g     (disposables are 1g units)
+ *
+ * Examples:
+ *   "Bubble Hash Eighth"  → bubblehash35g
+ *   "GG4 1/8"            → gg435g
+ *   "Zoap Quarter"       → zoap7g
+ *   "Blue Dream Cart"    → bluedreamcartridge
+ *   "Faded Gummies"      → fadedgummies
+ */
+export function normKey(input) {
+  if (!input) return '';
+  let s = input.toLowerCase();
+
+  // ── Combined fraction+unit patterns (must run first to avoid double-fire) ──
+  // "Half Oz/Ounce" = 14g, "Quarter Oz" = 7g, "One Oz/Ounce" = 28g
+  s = s
+    .replace(/\bhalf\s*(?:oz|ounces?)\b/g,     '14g')
+    .replace(/\bquarter\s*(?:oz|ounces?)\b/g,  '7g')
+    .replace(/\bone\s*(?:oz|ounces?)\b/g,      '28g');
+
+  // ── Weight synonyms ───────────────────────────────────────────────────────
+  s = s
+    .replace(/\beighths?\b/g,               '35g')
+    .replace(/\b1\s*\/\s*8\b/g,             '35g')
+    .replace(/\bquarters?\b/g,              '7g')
+    .replace(/\b1\s*\/\s*4\b/g,             '7g')
+    .replace(/\bhalf\b/g,                   '14g')
+    .replace(/\b1\s*\/\s*2\b/g,             '14g')
+    .replace(/\b(?:one\s*)?ounces?\b/g,     '28g')
+    .replace(/\b1\s*oz\b/g,                 '28g')
+    .replace(/\boz\b/g,                     '28g')
+    .replace(/\bgrams?\b/g,                 'g');
+
+  // Collapse space in weights so '28 g' → '28g' before stripping
+  s = s.replace(/(\d+\.?\d*)\s+g\b/g, '$1g');
+
+  // Strip trailing product-type descriptor after an explicit weight:
+  // "1g disposable" → "1g",  "3.5g pre-roll" → "3.5g"
+  s = s.replace(/\b(\d+\.?\d*g)\s+(?:disposable|pre-?roll|preroll|cart|cartridge|gumm(?:y|ies)?)s?\b/g, '$1');
+
+  // ── Product-type tokens (replace BEFORE stripping) ────────────────────────
+  s = s.replace(/\bcarts?\b/g,              'cartridge');
+  s = s.replace(/\bgumm(?:y|ies)?\b/g,     'gummies');
+  s = s.replace(/\bpre-?rolls?\b/g,        'preroll');
+  s = s.replace(/\bprerolls?\b/g,          'preroll');
+  s = s.replace(/\bdisposables?\b/g,       '1g');
+
+  // ── Strip non-alphanumeric ────────────────────────────────────────────────
+  return s.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Build a resolver from order line → costed SKU
+ *
+ * Four-step resolution: raw → normalized exact → containment → strain+unit
+ *
+ * @param {Iterable<string>} costSkus - SKUs that have cost records
+ * @returns {Function} (orderLine) => costSku | null
+ */
+export function createCostSkuResolver(costSkus) {
+  const raw = new Set();
+  const byNorm = new Map();
+  const entries = []; // for containment, longest first
+
+  for (const sku of costSkus) {
+    if (!sku) continue;
+    raw.add(sku);
+    const norm = normKey(sku);
+    byNorm.set(norm, sku);
+    entries.push({ norm, sku });
+  }
+  entries.sort((a, b) => b.norm.length - a.norm.length);
+
+  const contained = key => entries.find(entry => key.includes(entry.norm))?.sku;
+
+  return function resolveCostSku(order) {
+    const sku = order.sku || order.product_sku || order.item_sku;
+    if (!sku) return null;
+    if (raw.has(sku)) return sku;
+
+    const normOrderKey = normKey(sku);
+    let match = byNorm.get(normOrderKey);
+    if (match === undefined && normOrderKey.length >= 4) {
+      match = contained(normOrderKey);
+    }
+
+    // Strain+unit fallback for unmatched/unknown SKUs
+    // Space separator ensures word boundaries work for synonym substitution
+    // e.g. "Bubble Hash" + " " + "Eighth" → normKey resolves "eighth" → "35g"
+    if (match === undefined && order.strain && order.unit) {
+      const strainUnitKey = normKey(order.strain + ' ' + order.unit);
+      if (strainUnitKey.length >= 4) {
+        match = byNorm.get(strainUnitKey) ?? contained(strainUnitKey);
+      }
+    }
+
+    return match ?? null;
+  };
+}
+
+export default {
+  COSTING_METHODS,
+  DEFAULT_COSTING_METHOD,
+  OPENING_COST_DATE,
+  requireCostingMethod,
+  normalizeCostRecord,
+  costSales,
+  normKey,
+  createCostSkuResolver
+};
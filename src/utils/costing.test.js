@@ -0,0 +1,122 @@
+// src/utils/costing.test.js
+// Unit tests for effective-dated cost history and costing methods
+// Pure functions only - no database
+
+import {
+  COSTING_METHODS,
+  normalizeCostRecord,
+  costSales,
+  normKey,
+  createCostSkuResolver
+} from "./costing.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  // Receipts: 10 @ $10 on Oct 1, 10 @ $16 on Oct 10
+  const records = [
+    normalizeCostRecord({ sku: "BD-3.5G", unit_cost: 10, quantity: 10, effective_date: "2026-10-01T00:00:00Z" }),
+    normalizeCostRecord({ sku: "BD-3.5G", unit_cost: 16, quantity: 10, effective_date: "2026-10-10T00:00:00Z" })
+  ];
+  const sales = [
+    { quantity: 4, date: "2026-10-05T12:00:00Z", id: "a" },
+    { quantity: 8, date: "2026-10-12T12:00:00Z", id: "b" },
+    { quantity: 1, date: "2026-09-20T12:00:00Z", id: "before" }
+  ];
+
+  // ========================================
+  // Records
+  // ========================================
+  console.log("\n🧪 Testing cost records...\n");
+
+  test("Cost records are validated and normalized", () => {
+    const record = normalizeCostRecord({ sku: " BD-3.5G ", unit_cost: "12.5" });
+    assertEquals(record.sku, "BD-3.5G");
+    assertEquals(record.unitCost, 12.5);
+    assertEquals(record.quantity, null);
+    assertEquals(record.source, "manual");
+    assertThrows(() => normalizeCostRecord({ sku: "X", unit_cost: -1 }));
+    assertThrows(() => normalizeCostRecord({ sku: "X", unit_cost: 5, quantity: 0 }));
+    assertThrows(() => normalizeCostRecord({ sku: "X", unit_cost: 5, effective_date: "soon" }));
+    assertThrows(() => normalizeCostRecord({ unit_cost: 5 }));
+  });
+
+  // ========================================
+  // Methods
+  // ========================================
+  console.log("\n🧪 Testing costing methods...\n");
+
+  test("Weighted average blends receipts into units on hand", () => {
+    const result = costSales(records, sales, COSTING_METHODS.WEIGHTED_AVERAGE);
+    assertEquals(result.sales[0].unitCost, 10);
+    // 6 left @ $10 + 10 @ $16 → $13.75
+    assertEquals(result.sales[1].unitCost, 13.75);
+    assertEquals(result.sales[1].cogs, 110);
+    assertEquals(result.current.unitsOnHand, 8);
+  });
+
+  test("FIFO consumes the oldest layer first", () => {
+    const result = costSales(records, sales, COSTING_METHODS.FIFO);
+    assertEquals(result.sales[0].cogs, 40);
+    // 6 @ $10 + 2 @ $16
+    assertEquals(result.sales[1].cogs, 92);
+    assertEquals(result.sales[1].unitCost, 11.5);
+    assertEquals(result.current.unitCost, 16);
+    assertEquals(result.current.unitsOnHand, 8);
+  });
+
+  test("Sales before the first record are uncosted", () => {
+    for (const method of Object.values(COSTING_METHODS)) {
+      const result = costSales(records, sales, method);
+      assertEquals(result.sales[2].id, "before", "sales keep input order");
+      assertEquals(result.sales[2].unitCost, null);
+      assertEquals(result.sales[2].uncostedQuantity, 1);
+    }
+  });
+
+  test("A later cost change does not reprice earlier sales", () => {
+    const changes = [
+      normalizeCostRecord({ sku: "X", unit_cost: 10, effective_date: "2026-10-01T00:00:00Z" }),
+      normalizeCostRecord({ sku: "X", unit_cost: 14, effective_date: "2026-10-15T00:00:00Z" })
+    ];
+    const result = costSales(changes, [
+      { quantity: 1, date: "2026-10-14T23:59:00Z" },
+      { quantity: 1, date: "2026-10-15T00:00:00Z" }
+    ]);
+    assertEquals(result.sales[0].unitCost, 10);
+    assertEquals(result.sales[1].unitCost, 14, "record at the same instant applies first");
+  });
+
+  test("FIFO beyond known layers uses the latest cost in force", () => {
+    const result = costSales(records, [{ quantity: 25, date: "2026-10-20T00:00:00Z" }], COSTING_METHODS.FIFO);
+    // 10 @ $10 + 10 @ $16 + 5 @ $16
+    assertEquals(result.sales[0].cogs, 340);
+    assertEquals(result.sales[0].uncostedQuantity, 0);
+  });
+
+  test("Unknown costing method throws", () => {
+    assertThrows(() => costSales(records, sales, "lifo"));
+  });
+
+  // ========================================
+  // Resolution
+  // ========================================
+  console.log("\n🧪 Testing cost SKU resolution...\n");
+
+  test("Order lines resolve to costed SKUs", () => {
+    assertEquals(normKey("Bubble Hash Eighth"), "bubblehash35g");
+    const resolve = createCostSkuResolver(["BD-3.5G", "Bubble Hash 3.5g"]);
+    assertEquals(resolve({ sku: "BD-3.5G" }), "BD-3.5G");
+    assertEquals(resolve({ sku: "bubble hash eighth" }), "Bubble Hash 3.5g");
+    assertEquals(resolve({ sku: "UNKNOWN-1", strain: "Bubble Hash", unit: "Eighth" }), "Bubble Hash 3.5g");
+    assertEquals(resolve({ sku: "ZZ-99" }), null);
+  });
+
+  return finish("Orders are costed at the cost in force.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,329 @@
+/**
+ * OMEN CYCLE COUNTS
+ *
+ * Shelf counts for a subset of SKUs at a time, reconciled against the
+ * derived (inventory_virtual) quantity:
+ *
+ *   1. A session picks the SKUs to count and issues a blind count sheet
+ *      (no expected quantities on it).
+ *   2. Counts are recorded per SKU; each gets a variance against the
+ *      derived quantity at the moment it was counted
+ *      (inventoryState.verifyInventoryChanges does the math).
+ *   3. A reviewer approves or rejects each variance. Approved variances are
+ *      posted as adjustments; rejected ones are dropped (recount in a new
+ *      session).
+ *
+ * Line status:
+ *
+ *   pending    on the sheet, not counted yet
+ *   counted    counted, variance waiting for review (can be recounted)
+ *   approved   variance posted as an adjustment
+ *   rejected   not posted
+ *
+ * A session is open while any line is pending or counted.
+ *
+ * Shrink is reported from approved lines: negative variances are shrink,
+ * positive ones overage.
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/cycleCountService.js
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export const COUNT_SESSION_STATUS = Object.freeze({
+  OPEN: 'open',
+  CLOSED: 'closed'
+});
+
+export const COUNT_LINE_STATUS = Object.freeze({
+  PENDING: 'pending',
+  COUNTED: 'counted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+});
+
+export const SHRINK_PERIODS = Object.freeze(['day', 'week', 'month']);
+
+// SKUs on a sheet when only a size is asked for
+export const DEFAULT_SHEET_SIZE = 25;
+export const MAX_SHEET_SIZE = 500;
+
+const OPEN_LINE_STATUSES = [COUNT_LINE_STATUS.PENDING, COUNT_LINE_STATUS.COUNTED];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================================================
+// COUNT SHEETS
+// ============================================================================
+
+/**
+ * Pick the SKUs for a count sheet
+ *
+ * Explicit skus win. Otherwise rows are filtered by category and the ones
+ * counted longest ago (never counted first) fill the sheet, so repeated
+ * sessions rotate through the whole catalog.
+ *
+ * @param {Array} inventory - inventory_virtual rows (sku, product_name, variant_name, category)
+ * @param {Map<string, string>} lastCounted - sku -> ISO time it was last counted
+ * @param {Object} [selection] - { skus?: string[], category?: string, limit?: number }
+ * @returns {{ ok: boolean, rows?: Array, unknownSkus?: string[], error?: string }}
+ */
+export function selectCountSkus(inventory, lastCounted = new Map(), selection = {}) {
+  const rows = inventory || [];
+
+  if (Array.isArray(selection.skus) && selection.skus.length > 0) {
+    const wanted = [...new Set(selection.skus.map(sku => String(sku).trim()).filter(Boolean))];
+    if (wanted.length > MAX_SHEET_SIZE) {
+      return { ok: false, error: `A count sheet holds at most ${MAX_SHEET_SIZE} SKUs` };
+    }
+    const bySku = new Map(rows.map(row => [row.sku, row]));
+    return {
+      ok: true,
+      rows: wanted.filter(sku => bySku.has(sku)).map(sku => bySku.get(sku)),
+      unknownSkus: wanted.filter(sku => !bySku.has(sku))
+    };
+  }
+
+  const limit = selection.limit === undefined || selection.limit === null
+    ? DEFAULT_SHEET_SIZE
+    : parseInt(selection.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SHEET_SIZE) {
+    return { ok: false, error: `limit must be between 1 and ${MAX_SHEET_SIZE}` };
+  }
+
+  const category = selection.category ? String(selection.category).trim().toLowerCase() : null;
+  const candidates = category
+    ? rows.filter(row => String(row.category || '').toLowerCase() === category)
+    : rows;
+
+  const picked = [...candidates]
+    .sort((a, b) => {
+      const aAt = lastCounted.get(a.sku) || '';
+      const bAt = lastCounted.get(b.sku) || '';
+      if (aAt !== bAt) return aAt < bAt ? -1 : 1;
+      return a.sku < b.sku ? -1 : a.sku > b.sku ? 1 : 0;
+    })
+    .slice(0, limit);
+
+  return { ok: true, rows: picked, unknownSkus: [] };
+}
+
+/**
+ * Validate recorded counts
+ *
+ * @param {Array} input - [{ sku, quantity }]
+ * @returns {{ ok: boolean, counts?: Array<{sku: string, countedQty: number}>, error?: string }}
+ */
+export function parseCounts(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { ok: false, error: 'counts must be a non-empty array of { sku, quantity }' };
+  }
+
+  const counts = new Map();
+  for (const entry of input) {
+    const sku = entry?.sku ? String(entry.sku).trim() : '';
+    if (!sku) return { ok: false, error: 'Every count needs a sku' };
+
+    const quantity = Number(entry.quantity);
+    if (entry.quantity === null || entry.quantity === '' || !Number.isFinite(quantity) || quantity < 0) {
+      return { ok: false, error: `${sku}: quantity must be a number >= 0` };
+    }
+    counts.set(sku, { sku, countedQty: quantity });
+  }
+
+  return { ok: true, counts: [...counts.values()] };
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Session status from its lines
+ *
+ * @param {Array<{status: string}>} lines
+ * @returns {string} COUNT_SESSION_STATUS value
+ */
+export function sessionStatusFor(lines) {
+  return (lines || []).some(line => OPEN_LINE_STATUSES.includes(line.status))
+    ? COUNT_SESSION_STATUS.OPEN
+    : COUNT_SESSION_STATUS.CLOSED;
+}
+
+/**
+ * Progress and variance totals for a session
+ *
+ * @param {Array} lines - cycle_count_lines rows
+ * @returns {Object} Line counts by status plus variance totals over counted lines
+ */
+export function summarizeSession(lines) {
+  const summary = {
+    lines: 0,
+    pending: 0,
+    counted: 0,
+    approved: 0,
+    rejected: 0,
+    varianceCount: 0,
+    shrinkUnits: 0,
+    overageUnits: 0,
+    netVariance: 0
+  };
+
+  for (const line of lines || []) {
+    summary.lines++;
+    summary[line.status]++;
+
+    const variance = Number(line.variance) || 0;
+    if (line.status === COUNT_LINE_STATUS.PENDING || variance === 0) continue;
+    summary.varianceCount++;
+    summary.netVariance += variance;
+    if (variance < 0) summary.shrinkUnits += -variance;
+    else summary.overageUnits += variance;
+  }
+
+  return summary;
+}
+
+/**
+ * Which lines a review decision applies to
+ *
+ * approve: counted lines only. reject: any undecided line (an uncounted
+ * line is rejected to drop it from the sheet).
+ *
+ * @param {Array} lines - The session's lines
+ * @param {'approve'|'reject'} action
+ * @param {string[]} [skus] - Restrict to these SKUs (default: every eligible line)
+ * @returns {{ ok: boolean, lines?: Array, error?: string }}
+ */
+export function selectReviewLines(lines, action, skus) {
+  const eligible = action === 'approve'
+    ? [COUNT_LINE_STATUS.COUNTED]
+    : OPEN_LINE_STATUSES;
+
+  if (!Array.isArray(skus) || skus.length === 0) {
+    return { ok: true, lines: (lines || []).filter(line => eligible.includes(line.status)) };
+  }
+
+  const bySku = new Map((lines || []).map(line => [line.sku, line]));
+  const selected = [];
+  for (const sku of new Set(skus)) {
+    const line = bySku.get(sku);
+    if (!line) return { ok: false, error: `${sku} is not on this count sheet` };
+    if (!eligible.includes(line.status)) {
+      return { ok: false, error: `${sku} is ${line.status} - only ${eligible.join(' or ')} lines can be ${action === 'approve' ? 'approved' : 'rejected'}` };
+    }
+    selected.push(line);
+  }
+  return { ok: true, lines: selected };
+}
+
+// ============================================================================
+// SHRINK
+// ============================================================================
+
+/**
+ * Period key for a timestamp
+ *
+ * @param {string} iso - ISO timestamp
+ * @param {'day'|'week'|'month'} period
+ * @returns {string} YYYY-MM-DD (day, or the Monday of the week) or YYYY-MM
+ */
+export function periodKey(iso, period) {
+  const date = new Date(iso);
+  if (period === 'month') return date.toISOString().slice(0, 7);
+  if (period === 'week') {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Shrink and overage from approved count lines, by SKU and by period
+ *
+ * Lines are dated when they were counted. Value uses the SKU's current
+ * unit cost; SKUs without a cost have a null value.
+ *
+ * @param {Array} lines - Approved cycle_count_lines rows (sku, variance, counted_at, product_name?, variant_name?)
+ * @param {Map<string, number>} unitCosts - sku -> unit cost
+ * @param {Object} [options] - { period?: 'day'|'week'|'month' } (default month)
+ * @returns {{ period: string, totals: Object, bySku: Array, byPeriod: Array }}
+ */
+export function summarizeShrink(lines, unitCosts = new Map(), options = {}) {
+  const period = options.period || 'month';
+
+  const emptyTotals = () => ({ shrinkUnits: 0, overageUnits: 0, netUnits: 0, shrinkValue: 0, overageValue: 0, unvaluedUnits: 0, counts: 0 });
+  const add = (totals, variance, unitCost) => {
+    totals.counts++;
+    totals.netUnits += variance;
+    const value = unitCost === null ? null : Math.abs(variance) * unitCost;
+    if (variance < 0) {
+      totals.shrinkUnits += -variance;
+      if (value !== null) totals.shrinkValue += value;
+    } else {
+      totals.overageUnits += variance;
+      if (value !== null) totals.overageValue += value;
+    }
+    if (value === null) totals.unvaluedUnits += Math.abs(variance);
+  };
+  const finish = totals => ({ ...totals, shrinkValue: round2(totals.shrinkValue), overageValue: round2(totals.overageValue) });
+
+  const totals = emptyTotals();
+  const bySku = new Map();
+  const byPeriod = new Map();
+
+  for (const line of lines || []) {
+    const variance = Number(line.variance) || 0;
+    if (variance === 0 || line.status !== COUNT_LINE_STATUS.APPROVED) continue;
+
+    const cost = unitCosts.get(line.sku);
+    const unitCost = cost === undefined || cost === null ? null : Number(cost);
+
+    if (!bySku.has(line.sku)) {
+      bySku.set(line.sku, {
+        sku: line.sku,
+        product_name: line.product_name ?? null,
+        variant_name: line.variant_name ?? null,
+        unitCost,
+        ...emptyTotals()
+      });
+    }
+    const key = periodKey(line.counted_at, period);
+    if (!byPeriod.has(key)) byPeriod.set(key, { period: key, ...emptyTotals() });
+
+    add(totals, variance, unitCost);
+    add(bySku.get(line.sku), variance, unitCost);
+    add(byPeriod.get(key), variance, unitCost);
+  }
+
+  return {
+    period,
+    totals: finish(totals),
+    bySku: [...bySku.values()]
+      .map(finish)
+      .sort((a, b) => b.shrinkValue - a.shrinkValue || b.shrinkUnits - a.shrinkUnits || (a.sku < b.sku ? -1 : 1)),
+    byPeriod: [...byPeriod.values()]
+      .map(finish)
+      .sort((a, b) => (a.period < b.period ? -1 : 1))
+  };
+}
+
+export default {
+  COUNT_SESSION_STATUS,
+  COUNT_LINE_STATUS,
+  SHRINK_PERIODS,
+  DEFAULT_SHEET_SIZE,
+  MAX_SHEET_SIZE,
+  selectCountSkus,
+  parseCounts,
+  sessionStatusFor,
+  summarizeSession,
+  selectReviewLines,
+  periodKey,
+  summarizeShrink
+};
@@ -0,0 +1,149 @@
+// src/utils/cycleCounts.test.js
+// Unit tests for cycle count sheets, review rules, count reconciliation and shrink
+// Pure functions only - no database
+
+import {
+  COUNT_LINE_STATUS,
+  COUNT_SESSION_STATUS,
+  selectCountSkus,
+  parseCounts,
+  sessionStatusFor,
+  summarizeSession,
+  selectReviewLines,
+  periodKey,
+  summarizeShrink
+} from "./cycleCounts.js";
+import { verifyInventoryChanges } from "./inventoryState.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+
+  const inventory = [
+    { sku: "BLOOP-3.5G", product_name: "Bloopiez", variant_name: "3.5g", category: "Flower" },
+    { sku: "BLOOP-7G", product_name: "Bloopiez", variant_name: "7g", category: "Flower" },
+    { sku: "GUMMY-10", product_name: "Gummies", variant_name: "10pk", category: "Edibles" },
+    { sku: "ZOAP-3.5", product_name: "Zoap", variant_name: "3.5g", category: "Flower" }
+  ];
+
+  // ========================================
+  // Count sheets
+  // ========================================
+  console.log("\n📋 Testing count sheets...\n");
+
+  test("Explicit SKUs are used as given; unknown ones reported", () => {
+    const picked = selectCountSkus(inventory, new Map(), { skus: ["ZOAP-3.5", "NOPE", "ZOAP-3.5"] });
+    assertEquals(picked.ok, true);
+    assertEquals(picked.rows.map(row => row.sku).join(","), "ZOAP-3.5");
+    assertEquals(picked.unknownSkus.join(","), "NOPE");
+  });
+
+  test("Least recently counted SKUs fill the sheet first", () => {
+    const lastCounted = new Map([["BLOOP-3.5G", "2026-02-01T00:00:00Z"], ["BLOOP-7G", "2026-01-01T00:00:00Z"]]);
+    const picked = selectCountSkus(inventory, lastCounted, { category: "flower", limit: 2 });
+    assertEquals(picked.rows.map(row => row.sku).join(","), "ZOAP-3.5,BLOOP-7G");
+    assertEquals(selectCountSkus(inventory, lastCounted, { limit: 0 }).ok, false);
+  });
+
+  test("Counts must be non-negative numbers", () => {
+    assertEquals(parseCounts([{ sku: "A", quantity: "3" }]).counts[0].countedQty, 3);
+    assertEquals(parseCounts([{ sku: "A", quantity: -1 }]).ok, false);
+    assertEquals(parseCounts([{ sku: "A", quantity: null }]).ok, false);
+    assertEquals(parseCounts([{ quantity: 1 }]).ok, false);
+    assertEquals(parseCounts([]).ok, false);
+  });
+
+  // ========================================
+  // Reconciliation
+  // ========================================
+  console.log("\n⚖️  Testing count reconciliation...\n");
+
+  test("verifyInventoryChanges computes variances against derived quantities", () => {
+    const result = verifyInventoryChanges(
+      [],
+      [{ sku: "BLOOP-7G", quantity: 4 }, { sku: "ZOAP-3.5", quantity: 4 }],
+      { counts: [{ sku: "BLOOP-7G", countedQty: 1 }, { sku: "ZOAP-3.5", countedQty: 4 }, { sku: "NEW", countedQty: 2 }] }
+    );
+    assertEquals(result.valid, false);
+    assertEquals(result.errors[0].type, "COUNT_VARIANCE");
+    assertEquals(result.variances[0].variance, -3);
+    assertEquals(result.variances[0].variancePercent, -75);
+    assertEquals(result.variances[2].known, false);
+    assertEquals(result.variances[2].variancePercent, null);
+    assertEquals(result.summary.shrinkUnits, 3);
+    assertEquals(result.summary.overageUnits, 2);
+    assertEquals(result.summary.netVariance, -1);
+  });
+
+  test("verifyInventoryChanges without counts is unchanged", () => {
+    const result = verifyInventoryChanges([], [{ sku: "A", quantity: 1 }]);
+    assertEquals(result.valid, true);
+    assertEquals(result.variances, undefined);
+    assertEquals(result.summary.countsReconciled, undefined);
+  });
+
+  // ========================================
+  // Review
+  // ========================================
+  console.log("\n✅ Testing review rules...\n");
+
+  const lines = [
+    { id: 1, sku: "A", status: COUNT_LINE_STATUS.COUNTED, variance: -2 },
+    { id: 2, sku: "B", status: COUNT_LINE_STATUS.PENDING, variance: null },
+    { id: 3, sku: "C", status: COUNT_LINE_STATUS.APPROVED, variance: 1 }
+  ];
+
+  test("Only counted lines can be approved; undecided lines can be rejected", () => {
+    assertEquals(selectReviewLines(lines, "approve").lines.map(line => line.sku).join(","), "A");
+    assertEquals(selectReviewLines(lines, "reject").lines.map(line => line.sku).join(","), "A,B");
+    assertEquals(selectReviewLines(lines, "approve", ["B"]).ok, false);
+    assertEquals(selectReviewLines(lines, "reject", ["Z"]).ok, false);
+  });
+
+  test("Session stays open until every line is decided", () => {
+    assertEquals(sessionStatusFor(lines), COUNT_SESSION_STATUS.OPEN);
+    assertEquals(sessionStatusFor(lines.map(line => ({ ...line, status: COUNT_LINE_STATUS.REJECTED }))), COUNT_SESSION_STATUS.CLOSED);
+    const summary = summarizeSession(lines);
+    assertEquals(summary.pending, 1);
+    assertEquals(summary.shrinkUnits, 2);
+    assertEquals(summary.overageUnits, 1);
+  });
+
+  // ========================================
+  // Shrink
+  // ========================================
+  console.log("\n📉 Testing shrink report...\n");
+
+  test("Period keys: day, Monday of the week, month", () => {
+    assertEquals(periodKey("2026-01-08T15:00:00Z", "day"), "2026-01-08");
+    assertEquals(periodKey("2026-01-08T15:00:00Z", "week"), "2026-01-05");
+    assertEquals(periodKey("2026-01-04T15:00:00Z", "week"), "2025-12-29");
+    assertEquals(periodKey("2026-01-08T15:00:00Z", "month"), "2026-01");
+  });
+
+  test("Shrink by SKU and period from approved lines only", () => {
+    const report = summarizeShrink([
+      { sku: "A", status: "approved", variance: -2, counted_at: "2026-01-08T00:00:00Z" },
+      { sku: "A", status: "approved", variance: -1, counted_at: "2026-02-03T00:00:00Z" },
+      { sku: "B", status: "approved", variance: 3, counted_at: "2026-02-04T00:00:00Z" },
+      { sku: "C", status: "approved", variance: -4, counted_at: "2026-02-04T00:00:00Z" },
+      { sku: "A", status: "rejected", variance: -9, counted_at: "2026-02-04T00:00:00Z" }
+    ], new Map([["A", 10], ["B", 2.5]]));
+
+    assertEquals(report.period, "month");
+    assertEquals(report.totals.shrinkUnits, 7);
+    assertEquals(report.totals.shrinkValue, 30);
+    assertEquals(report.totals.overageValue, 7.5);
+    assertEquals(report.totals.unvaluedUnits, 4);
+    assertEquals(report.bySku[0].sku, "A");
+    assertEquals(report.bySku[0].shrinkUnits, 3);
+    assertEquals(report.byPeriod.map(p => `${p.period}:${p.netUnits}`).join(","), "2026-01:-2,2026-02:-2");
+  });
+
+  return finish("Cycle counts reconcile and report shrink correctly.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
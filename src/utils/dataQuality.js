@@ -0,0 +1,328 @@
+/**
+ * OMEN DATA QUALITY
+ *
+ * One registry of data-quality checks, replacing the one-off audit scripts
+ * in the repo root (audit-sku-mismatch.js, verify-inventory-sku-matching.js,
+ * final-truth-check.js, compare-csv-to-supabase.js). Each check looks at one
+ * population and returns the rows that fail it:
+ *
+ *   orders_unknown_unit      order lines   unit could not be parsed
+ *   skus_missing_cost        catalog SKUs  no sku_costs entry
+ *   inventory_unmapped       inventory     no order line was ever matched to it
+ *   duplicate_skus           inventory     SKU shared by several rows (ignoring case/spaces)
+ *   negative_availability    inventory     available_quantity below zero
+ *
+ * A check scores its pass rate; the report score (0-100) is the
+ * severity-weighted mean of the check scores, so a store with no data
+ * scores 100 and one bad row in a thousand barely moves it.
+ *
+ * PURE MODULE: No I/O. Data loading and report history live in
+ * services/dataQualityService.js
+ */
+
+import { normalizeMatchUnit } from './fuzzyMatcher.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export const CHECK_SEVERITY = Object.freeze({
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+});
+
+const SEVERITY_WEIGHTS = Object.freeze({
+  [CHECK_SEVERITY.HIGH]: 3,
+  [CHECK_SEVERITY.MEDIUM]: 2,
+  [CHECK_SEVERITY.LOW]: 1
+});
+
+// Lowest score for each grade
+const GRADE_THRESHOLDS = [
+  { grade: 'A', min: 90 },
+  { grade: 'B', min: 80 },
+  { grade: 'C', min: 70 },
+  { grade: 'D', min: 60 }
+];
+
+// Failing rows returned per check unless a limit is given
+export const DEFAULT_ROW_LIMIT = 50;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function skuKey(sku) {
+  return String(sku || '').replace(/\s+/g, '').toUpperCase();
+}
+
+function inventoryRow(row) {
+  return {
+    sku: row.sku,
+    product_name: row.product_name ?? null,
+    variant_name: row.variant_name ?? null,
+    available_quantity: row.available_quantity ?? null
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Check registry
+ *
+ * run(data) receives { orders, inventory, costs } (see buildReport) and
+ * returns { checked, rows } - how many records were looked at and the
+ * failing ones.
+ */
+export const DATA_QUALITY_CHECKS = Object.freeze([
+  {
+    id: 'orders_unknown_unit',
+    title: 'Orders with unknown units',
+    description: 'Order lines whose unit could not be parsed from the product name; they cannot be matched by strain + unit or priced per gram.',
+    severity: CHECK_SEVERITY.MEDIUM,
+    run: ({ orders }) => ({
+      checked: orders.length,
+      rows: orders
+        .filter(line => normalizeMatchUnit(line.unit) === null)
+        .map(line => ({
+          order_id: line.order_id,
+          order_date: line.order_date ?? null,
+          sku: line.sku,
+          strain: line.strain ?? null,
+          unit: line.unit ?? null
+        }))
+    })
+  },
+  {
+    id: 'skus_missing_cost',
+    title: 'SKUs with no cost',
+    description: 'Visible catalog SKUs with no sku_costs entry; their margin and profit are unknown.',
+    severity: CHECK_SEVERITY.HIGH,
+    run: ({ inventory, costs }) => {
+      const costed = new Set(
+        costs.filter(cost => cost.unit_cost !== null && cost.unit_cost !== undefined).map(cost => cost.sku)
+      );
+      const visible = inventory.filter(row => row.visible !== false && row.visible !== 0);
+      return {
+        checked: visible.length,
+        rows: visible.filter(row => !costed.has(row.sku)).map(inventoryRow)
+      };
+    }
+  },
+  {
+    id: 'inventory_unmapped',
+    title: 'Inventory rows with no sales mapping',
+    description: 'Inventory SKUs no order line has been matched to - either the product has never sold or orders name it differently than the catalog.',
+    severity: CHECK_SEVERITY.LOW,
+    run: ({ orders, inventory }) => {
+      const sold = new Set(orders.map(line => line.sku));
+      return {
+        checked: inventory.length,
+        rows: inventory.filter(row => !sold.has(row.sku)).map(inventoryRow)
+      };
+    }
+  },
+  {
+    id: 'duplicate_skus',
+    title: 'Duplicate SKUs',
+    description: 'Inventory rows sharing a SKU once case and spacing are ignored; orders for either row land on one of them.',
+    severity: CHECK_SEVERITY.HIGH,
+    run: ({ inventory }) => {
+      const groups = new Map();
+      for (const row of inventory) {
+        const key = skuKey(row.sku);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      const rows = [];
+      for (const [key, group] of groups) {
+        if (group.length < 2) continue;
+        for (const row of group) rows.push({ ...inventoryRow(row), duplicate_key: key, duplicates: group.length });
+      }
+      return { checked: inventory.length, rows };
+    }
+  },
+  {
+    id: 'negative_availability',
+    title: 'Negative availability',
+    description: 'Inventory rows selling more than was on hand (available_quantity < 0) - a missed receipt, a stale count or a mismatched order.',
+    severity: CHECK_SEVERITY.HIGH,
+    run: ({ inventory }) => ({
+      checked: inventory.length,
+      rows: inventory
+        .filter(row => Number(row.available_quantity) < 0)
+        .sort((a, b) => Number(a.available_quantity) - Number(b.available_quantity))
+        .map(inventoryRow)
+    })
+  }
+]);
+
+/**
+ * Look up a check by ID
+ *
+ * @param {string} checkId
+ * @returns {Object|null} Registry entry
+ */
+export function getCheck(checkId) {
+  return DATA_QUALITY_CHECKS.find(check => check.id === checkId) || null;
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Letter grade for a score
+ *
+ * @param {number} score - 0-100
+ * @returns {string} A-F
+ */
+export function gradeFor(score) {
+  const match = GRADE_THRESHOLDS.find(threshold => score >= threshold.min);
+  return match ? match.grade : 'F';
+}
+
+/**
+ * Severity-weighted report score
+ *
+ * @param {Array<{severity: string, score: number}>} checks - Check results
+ * @returns {number} 0-100 (100 when there are no checks)
+ */
+export function scoreChecks(checks) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const check of checks || []) {
+    const weight = SEVERITY_WEIGHTS[check.severity] || 1;
+    weighted += weight * check.score;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? round1(weighted / totalWeight) : 100;
+}
+
+/**
+ * Run one check and score it
+ *
+ * @param {Object} check - Registry entry
+ * @param {Object} data - { orders, inventory, costs }
+ * @returns {{ id, title, description, severity, checked, failed, score, rows }}
+ */
+export function runCheck(check, data) {
+  const { checked, rows } = check.run(data);
+  const failed = rows.length;
+  return {
+    id: check.id,
+    title: check.title,
+    description: check.description,
+    severity: check.severity,
+    checked,
+    failed,
+    score: checked > 0 ? round1((1 - failed / checked) * 100) : 100,
+    rows
+  };
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Run every check in the registry
+ *
+ * @param {Object} data
+ * @param {Array} [data.orders] - orders rows (order_id, order_date, sku, strain, unit)
+ * @param {Array} [data.inventory] - inventory_virtual rows (sku, product_name, variant_name, visible, available_quantity)
+ * @param {Array} [data.costs] - sku_costs rows (sku, unit_cost)
+ * @param {Object} [options] - { checks?: registry subset, generatedAt?: ISO string }
+ * @returns {{ score: number, grade: string, generatedAt: string, checks: Array }}
+ */
+export function buildReport(data, options = {}) {
+  const input = {
+    orders: data?.orders || [],
+    inventory: data?.inventory || [],
+    costs: data?.costs || []
+  };
+
+  const checks = (options.checks || DATA_QUALITY_CHECKS).map(check => runCheck(check, input));
+  const score = scoreChecks(checks);
+
+  return {
+    score,
+    grade: gradeFor(score),
+    generatedAt: options.generatedAt || new Date().toISOString(),
+    checks
+  };
+}
+
+/**
+ * Trim each check's failing rows for a response
+ *
+ * @param {Object} report - From buildReport
+ * @param {number} [limit] - Rows per check (default DEFAULT_ROW_LIMIT)
+ * @returns {Object} Report with rows cut to the limit and a truncated flag per check
+ */
+export function limitReportRows(report, limit = DEFAULT_ROW_LIMIT) {
+  return {
+    ...report,
+    checks: report.checks.map(check => ({
+      ...check,
+      rows: check.rows.slice(0, limit),
+      truncated: check.rows.length > limit
+    }))
+  };
+}
+
+/**
+ * Stored form of a report: scores and counts, no rows
+ *
+ * @param {Object} report - From buildReport
+ * @returns {{ score: number, grade: string, generated_at: string, checks: Array }}
+ */
+export function summarizeReport(report) {
+  return {
+    score: report.score,
+    grade: report.grade,
+    generated_at: report.generatedAt,
+    checks: report.checks.map(({ id, severity, checked, failed, score }) => ({ id, severity, checked, failed, score }))
+  };
+}
+
+/**
+ * Change from the previous stored report
+ *
+ * @param {Object} current - Summary (summarizeReport) or stored row
+ * @param {Object|null} previous - The report before it
+ * @returns {{ scoreChange: number, checks: Object<string, {scoreChange: number, failedChange: number}> }|null}
+ */
+export function compareReports(current, previous) {
+  if (!previous) return null;
+
+  const before = new Map((previous.checks || []).map(check => [check.id, check]));
+  const checks = {};
+  for (const check of current.checks || []) {
+    const prior = before.get(check.id);
+    if (!prior) continue;
+    checks[check.id] = {
+      scoreChange: round1(check.score - prior.score),
+      failedChange: check.failed - prior.failed
+    };
+  }
+
+  return { scoreChange: round1(current.score - previous.score), checks };
+}
+
+export default {
+  CHECK_SEVERITY,
+  DEFAULT_ROW_LIMIT,
+  DATA_QUALITY_CHECKS,
+  getCheck,
+  gradeFor,
+  scoreChecks,
+  runCheck,
+  buildReport,
+  limitReportRows,
+  summarizeReport,
+  compareReports
+};
@@ -0,0 +1,126 @@
+// src/utils/dataQuality.test.js
+// Unit tests for the data-quality check registry, scoring and trends
+// Pure functions only - no database
+
+import {
+  DATA_QUALITY_CHECKS,
+  getCheck,
+  gradeFor,
+  scoreChecks,
+  buildReport,
+  limitReportRows,
+  summarizeReport,
+  compareReports
+} from "./dataQuality.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+
+  const data = {
+    orders: [
+      { order_id: "1001", order_date: "2026-01-05T10:00:00Z", sku: "BLOOP-3.5G", strain: "Bloopiez", unit: "3.5g" },
+      { order_id: "1002", order_date: "2026-01-06T10:00:00Z", sku: "BLOOP-7G", strain: "Bloopiez", unit: "7g" },
+      { order_id: "1003", order_date: "2026-01-07T10:00:00Z", sku: "UNMATCHED-mystery", strain: "Mystery", unit: "unknown" },
+      { order_id: "1004", order_date: "2026-01-08T10:00:00Z", sku: "ZOAP-3.5", strain: "Zoap", unit: "" }
+    ],
+    inventory: [
+      { sku: "BLOOP-3.5G", product_name: "Bloopiez", variant_name: "3.5g", visible: true, available_quantity: 4 },
+      { sku: "BLOOP-7G", product_name: "Bloopiez", variant_name: "7g", visible: true, available_quantity: -2 },
+      { sku: "ZOAP-3.5", product_name: "Zoap", variant_name: "3.5g", visible: true, available_quantity: 10 },
+      { sku: "zoap-3.5 ", product_name: "Zoap", variant_name: "3.5 G", visible: false, available_quantity: -5 }
+    ],
+    costs: [
+      { sku: "BLOOP-3.5G", unit_cost: 12 },
+      { sku: "BLOOP-7G", unit_cost: null }
+    ]
+  };
+
+  const report = buildReport(data, { generatedAt: "2026-01-10T00:00:00Z" });
+  const byId = id => report.checks.find(check => check.id === id);
+
+  // ========================================
+  // Checks
+  // ========================================
+  console.log("\n🔍 Testing checks...\n");
+
+  test("Registry runs every check", () => {
+    assertEquals(report.checks.length, DATA_QUALITY_CHECKS.length);
+    assertEquals(getCheck("negative_availability").id, "negative_availability");
+    assertEquals(getCheck("nope"), null);
+  });
+
+  test("Unknown and empty units are flagged", () => {
+    const check = byId("orders_unknown_unit");
+    assertEquals(check.checked, 4);
+    assertEquals(check.rows.map(row => row.order_id).join(","), "1003,1004");
+    assertEquals(check.score, 50);
+  });
+
+  test("Missing cost counts visible SKUs only; null cost is missing", () => {
+    const check = byId("skus_missing_cost");
+    assertEquals(check.checked, 3);
+    assertEquals(check.rows.map(row => row.sku).join(","), "BLOOP-7G,ZOAP-3.5");
+  });
+
+  test("Inventory never matched by an order line is unmapped", () => {
+    assertEquals(byId("inventory_unmapped").rows.map(row => row.sku).join(","), "zoap-3.5 ");
+  });
+
+  test("Duplicate SKUs ignore case and spacing", () => {
+    const check = byId("duplicate_skus");
+    assertEquals(check.failed, 2);
+    assertEquals(check.rows[0].duplicate_key, "ZOAP-3.5");
+    assertEquals(check.rows[0].duplicates, 2);
+  });
+
+  test("Negative availability is sorted worst first", () => {
+    assertEquals(byId("negative_availability").rows.map(row => row.sku).join(","), "zoap-3.5 ,BLOOP-7G");
+  });
+
+  // ========================================
+  // Scoring
+  // ========================================
+  console.log("\n📈 Testing scores...\n");
+
+  test("Empty data scores 100", () => {
+    const empty = buildReport({});
+    assertEquals(empty.score, 100);
+    assertEquals(empty.grade, "A");
+    assertEquals(empty.checks.every(check => check.failed === 0), true);
+  });
+
+  test("Score is the severity-weighted mean", () => {
+    assertEquals(scoreChecks([{ severity: "high", score: 100 }, { severity: "low", score: 0 }]), 75);
+    assertEquals(scoreChecks([]), 100);
+    assertEquals(gradeFor(89.9), "B");
+    assertEquals(gradeFor(10), "F");
+  });
+
+  test("Rows are limited per check and flagged as truncated", () => {
+    const limited = limitReportRows(report, 1);
+    const check = limited.checks.find(c => c.id === "skus_missing_cost");
+    assertEquals(check.rows.length, 1);
+    assertEquals(check.truncated, true);
+    assertEquals(check.failed, 2);
+  });
+
+  test("Summaries drop rows and compare to the previous run", () => {
+    const summary = summarizeReport(report);
+    assertEquals(summary.generated_at, "2026-01-10T00:00:00Z");
+    assertEquals(summary.checks[0].rows, undefined);
+
+    const better = summarizeReport(buildReport({ ...data, costs: [...data.costs, { sku: "BLOOP-7G", unit_cost: 20 }, { sku: "ZOAP-3.5", unit_cost: 9 }] }));
+    const change = compareReports(better, summary);
+    assertEquals(change.scoreChange > 0, true);
+    assertEquals(change.checks.skus_missing_cost.failedChange, -2);
+    assertEquals(compareReports(summary, null), null);
+  });
+
+  return finish("Data-quality checks score and compare correctly.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
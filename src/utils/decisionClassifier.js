@@ -26,8 +26,16 @@
  * - Computed ONLY from SALES_FACTS
  * - Weighted by revenue
  * - Never blocked by inventory-only SKUs
+ *
+ * RESTOCK TIMING:
+ * - SKUs with enough daily history restock at a statistical reorder point
+ *   (lead-time demand + safety stock, see safetyStock.js)
+ * - Otherwise, SKUs mapped to a vendor use that vendor's lead time (see vendorRegistry.js)
+ * - Unmapped SKUs use LOW_STOCK_DAYS / CRITICAL_STOCK_DAYS
  */
 
+import { stockDayThresholds } from './vendorRegistry.js';
+
 // ============================================================================
 // DECISION TYPES
 // ============================================================================
@@ -52,6 +60,54 @@ const THRESHOLDS = {
   SLOW_MOVER_DAYS: 14  // No sale in 14+ days = slow mover
 };
 
+/**
+ * Restock thresholds for one inventory fact (vendor lead time, else global)
+ */
+function restockThresholdsFor(invFact) {
+  return stockDayThresholds(invFact.lead_time_days, {
+    lowStockDays: THRESHOLDS.LOW_STOCK_DAYS,
+    criticalStockDays: THRESHOLDS.CRITICAL_STOCK_DAYS
+  });
+}
+
+/**
+ * Is a fast-moving SKU due for restock, and how urgently?
+ *
+ * Reorder point when the fact carries one: due at or below the reorder
+ * point, critical when stock will not cover average lead-time demand.
+ * Otherwise days of coverage against the restock thresholds.
+ *
+ * @returns {Object} { due, critical, basis: 'reorder_point' | 'vendor_lead_time' | 'default' }
+ */
+function restockCheck(invFact) {
+  if (invFact.reorder_point !== null && invFact.reorder_point !== undefined) {
+    return {
+      due: invFact.available_quantity <= invFact.reorder_point,
+      critical: invFact.available_quantity <= invFact.lead_time_demand,
+      basis: 'reorder_point'
+    };
+  }
+
+  const restock = restockThresholdsFor(invFact);
+  const coverage = invFact.days_of_coverage;
+  const hasCoverage = coverage !== null && isFinite(coverage);
+
+  return {
+    due: hasCoverage && coverage <= restock.lowStockDays,
+    critical: hasCoverage && coverage <= restock.criticalStockDays,
+    basis: restock.basis
+  };
+}
+
+/**
+ * Human-readable reorder-point clause, e.g.
+ * "reorder point 18 incl. 7.4 safety stock at 95% service over a 14-day lead time"
+ */
+function describeReorderPoint(invFact) {
+  return `reorder point ${invFact.reorder_point} incl. ${invFact.safety_stock} safety stock ` +
+    `at ${Math.round(invFact.service_level * 100)}% service over a ${invFact.reorder_lead_time_days}-day lead time`;
+}
+
 // ============================================================================
 // SALES FACT BUILDER
 // ============================================================================
@@ -202,6 +258,12 @@ function buildInventoryFact(item, velocityData) {
   // Velocity (0 is valid - means slow mover)
   const velocity = velocityData?.dailyVelocity ?? velocityData?.avgDaily ?? velocityData?.avg_daily ?? 0;
 
+  // Vendor lead time (null when the SKU has no vendor mapping)
+  const lead_time_days = isFinite(item.leadTimeDays) && item.leadTimeDays !== null ? item.leadTimeDays : null;
+
+  // Statistical reorder point (null when daily history is too short)
+  const reorderPolicy = velocityData?.reorderPolicy ?? null;
+
   // Days since last sale
   const last_sold_at = velocityData?.last_sold_at ?? velocityData?.lastSoldAt ?? null;
   let days_since_last_sale = null;
@@ -235,6 +297,14 @@ function buildInventoryFact(item, velocityData) {
     velocity,
     days_of_coverage,
     days_since_last_sale,
+    vendor: item.vendor || null,
+    lead_time_days,
+    demand_std_daily: reorderPolicy?.demandStdDev ?? null,
+    lead_time_demand: reorderPolicy?.leadTimeDemand ?? null,
+    safety_stock: reorderPolicy?.safetyStock ?? null,
+    reorder_point: reorderPolicy?.reorderPoint ?? null,
+    reorder_lead_time_days: reorderPolicy?.leadTimeDays ?? null,
+    service_level: reorderPolicy?.serviceLevel ?? null,
     is_slow_mover: velocity < THRESHOLDS.LOW_VELOCITY || (days_since_last_sale !== null && days_since_last_sale >= THRESHOLDS.SLOW_MOVER_DAYS)
   };
 }
@@ -488,9 +558,17 @@ export function generateDecisions(salesFacts, inventoryFacts) {
     if (!salesFact) continue;
     if (!isFinite(invFact.velocity) || invFact.velocity < THRESHOLDS.HIGH_VELOCITY) continue;
     if (invFact.days_of_coverage === null || !isFinite(invFact.days_of_coverage)) continue;
-    if (invFact.days_of_coverage > THRESHOLDS.LOW_STOCK_DAYS) continue;
 
-    const isCritical = invFact.days_of_coverage <= THRESHOLDS.CRITICAL_STOCK_DAYS;
+    const restock = restockCheck(invFact);
+    if (!restock.due) continue;
+
+    const isCritical = restock.critical;
+    let leadTimeNote = '';
+    if (restock.basis === 'reorder_point') {
+      leadTimeNote = ` (${describeReorderPoint(invFact)})`;
+    } else if (restock.basis === 'vendor_lead_time') {
+      leadTimeNote = ` (${invFact.vendor} lead time ${invFact.lead_time_days} days)`;
+    }
 
     // Calculate weekly revenue at risk
     const hasValidRevenue = salesFact.revenue > 0 && salesFact.units_sold > 0;
@@ -504,7 +582,7 @@ export function generateDecisions(salesFacts, inventoryFacts) {
       type: DECISION_TYPES.REORDER_NOW,
       sku,
       name: invFact.display_name,
-      reason: `Selling ${invFact.velocity.toFixed(1)}/day, only ${invFact.days_of_coverage} days of stock`,
+      reason: `Selling ${invFact.velocity.toFixed(1)}/day, only ${invFact.days_of_coverage} days of stock${leadTimeNote}`,
       action: isCritical ? `Reorder immediately` : `Place reorder this week`,
       dollarImpact: Math.round(weeklyRevenue),
       impactLabel: weeklyRevenue > 0 ? `$${Math.round(weeklyRevenue).toLocaleString()}/week at risk` : null,
@@ -515,7 +593,11 @@ export function generateDecisions(salesFacts, inventoryFacts) {
         quantity: invFact.available_quantity,
         velocity: invFact.velocity,
         daysOfCoverage: invFact.days_of_coverage,
-        unitsSold: salesFact.units_sold
+        unitsSold: salesFact.units_sold,
+        leadTimeDays: invFact.lead_time_days,
+        vendor: invFact.vendor,
+        reorderPoint: invFact.reorder_point,
+        safetyStock: invFact.safety_stock
       }
     });
   }
@@ -614,6 +696,72 @@ export function generateDecisions(salesFacts, inventoryFacts) {
   return decisions;
 }
 
+/**
+ * Every decision for a stored snapshot, plus each SKU's primary decision
+ *
+ * Snapshots recorded with their decisions (snapshot.decisions, see
+ * serializeDecisions) return those. Older ones are rebuilt from their
+ * enrichedInventory and velocityMetrics with the same rules as the action
+ * brief - check missingDecisionInputs first. A SKU's primary decision is
+ * its most urgent one; a fact no rule fires for is DEPRIORITIZE.
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {{ decisions: Array, bySku: Map<string, string> }}
+ */
+export function decideSnapshot(snapshot) {
+  const stored = snapshot?.decisions;
+  if (Array.isArray(stored?.decisions) && stored.bySku) {
+    return { decisions: stored.decisions, bySku: new Map(Object.entries(stored.bySku)) };
+  }
+
+  const inventory = snapshot?.enrichedInventory || [];
+  const velocityMetrics = snapshot?.velocity?.velocityMetrics || [];
+  const { salesFacts, inventoryFacts } = buildFactTables(inventory, velocityMetrics, {});
+  const decisions = generateDecisions(salesFacts, inventoryFacts);
+
+  const bySku = new Map();
+  for (const decision of decisions) {
+    if (!bySku.has(decision.sku)) bySku.set(decision.sku, decision.type);
+  }
+  for (const sku of inventoryFacts.keys()) {
+    if (!bySku.has(sku)) bySku.set(sku, DECISION_TYPES.DEPRIORITIZE);
+  }
+
+  return { decisions, bySku };
+}
+
+/**
+ * decideSnapshot's result in the JSON form stored as snapshot.decisions
+ *
+ * @param {{ decisions: Array, bySku: Map<string, string> }} decided
+ * @returns {{ decisions: Array, bySku: object }}
+ */
+export function serializeDecisions(decided) {
+  return { decisions: decided.decisions, bySku: Object.fromEntries(decided.bySku) };
+}
+
+/**
+ * Why a stored snapshot's decisions can't be known, or null if they can
+ *
+ * Daily cron snapshots drop velocityMetrics to stay small; without stored
+ * decisions, rebuilding them would treat every SKU as unsold.
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {string|null}
+ */
+export function missingDecisionInputs(snapshot) {
+  const stored = snapshot?.decisions;
+  if (Array.isArray(stored?.decisions) && stored.bySku) return null;
+
+  if (!Array.isArray(snapshot?.enrichedInventory)) {
+    return 'no stored decisions and no enrichedInventory to rebuild them from';
+  }
+  if (snapshot.velocity && !Array.isArray(snapshot.velocity.velocityMetrics)) {
+    return 'no stored decisions and no velocityMetrics to rebuild them from';
+  }
+  return null;
+}
+
 // ============================================================================
 // EXECUTIVE ACTION BRIEF
 // ============================================================================
@@ -834,7 +982,10 @@ const STATUS_ORDER = {
  * Classify every in-stock SKU by inventory status.
  *
  * Rules evaluated in priority order:
- *   1. restock        — velocity >= HIGH_VELOCITY AND days_of_coverage <= LOW_STOCK_DAYS
+ *   1. restock        — velocity >= HIGH_VELOCITY AND on hand <= reorder point
+ *                       (lead-time demand + safety stock). Without enough history:
+ *                       days_of_coverage <= vendor lead time + review days
+ *                       (LOW_STOCK_DAYS when the SKU has no vendor)
  *   2. dead           — velocity == 0 AND days_since_last_sale > 30 (or never sold)
  *   3. capital_at_risk — qty * cost > $500 AND velocity < LOW_VELOCITY
  *   4. slow           — velocity < LOW_VELOCITY (some sales, moving slowly)
@@ -853,19 +1004,24 @@ export function classifyInventoryStatus(inventoryFacts) {
     const daysSinceLastSale = fact.days_since_last_sale;
     const daysOfCoverage    = fact.days_of_coverage;
     const capitalAtRisk     = cost !== null ? parseFloat((qty * cost).toFixed(2)) : null;
+    const restock           = restockCheck(fact);
 
     let status, action, reasoning;
 
-    // Rule 1: RESTOCK — selling fast and running low
-    if (velocity >= THRESHOLDS.HIGH_VELOCITY &&
-        daysOfCoverage !== null &&
-        isFinite(daysOfCoverage) &&
-        daysOfCoverage <= THRESHOLDS.LOW_STOCK_DAYS) {
+    // Rule 1: RESTOCK — selling fast and at/below the reorder point (or low coverage)
+    if (velocity >= THRESHOLDS.HIGH_VELOCITY && restock.due) {
       status    = STATUS.RESTOCK;
-      action    = daysOfCoverage <= THRESHOLDS.CRITICAL_STOCK_DAYS
+      action    = restock.critical
         ? 'Reorder immediately'
         : 'Place reorder this week';
-      reasoning = `Selling ${velocity.toFixed(2)}/day with only ${daysOfCoverage} days of stock remaining`;
+      if (restock.basis === 'reorder_point') {
+        reasoning = `Selling ${velocity.toFixed(2)}/day with ${qty} on hand — at or below ${describeReorderPoint(fact)}`;
+      } else {
+        reasoning = `Selling ${velocity.toFixed(2)}/day with only ${daysOfCoverage} days of stock remaining` +
+          (restock.basis === 'vendor_lead_time'
+            ? ` — ${fact.vendor} needs ${fact.lead_time_days} days to deliver`
+            : '');
+      }
     }
     // Rule 2: DEAD — zero velocity, no recent or no sale at all
     else if (velocity === 0 &&
@@ -912,6 +1068,12 @@ export function classifyInventoryStatus(inventoryFacts) {
         unit_cost:           cost,
         days_of_coverage:    daysOfCoverage,
         days_since_last_sale: daysSinceLastSale,
+        lead_time_days:      fact.lead_time_days ?? null,
+        restock_threshold_days: restockThresholdsFor(fact).lowStockDays,
+        reorder_point:       fact.reorder_point,
+        safety_stock:        fact.safety_stock,
+        demand_std_daily:    fact.demand_std_daily,
+        restock_basis:       restock.basis,
       },
     });
   }
@@ -982,7 +1144,8 @@ export function classifySKU(item, velocityData = null) {
     : null;
 
   // Simple classification
-  if (salesFact && invFact.velocity >= THRESHOLDS.HIGH_VELOCITY && invFact.days_of_coverage <= THRESHOLDS.LOW_STOCK_DAYS) {
+  // Out of stock (no coverage) still reorders
+  if (salesFact && invFact.velocity >= THRESHOLDS.HIGH_VELOCITY && (invFact.days_of_coverage === null || restockCheck(invFact).due)) {
     return { sku: item.sku, name: invFact.display_name, decision: DECISION_TYPES.REORDER_NOW };
   }
   if (salesFact && salesFact.margin_percent >= THRESHOLDS.HIGH_MARGIN) {
@@ -0,0 +1,408 @@
+/**
+ * OMEN FUZZY MATCHER
+ *
+ * Scores how well an order line name matches a catalog row, for the name
+ * matching shared by skuResolver.js, inventoryResolver.js,
+ * catalogLookup.js and orderSyncService.findMatchingSKU.
+ *
+ * SCORE (0-1) combines:
+ * - name: token-set similarity (typo-tolerant token alignment, word order
+ *   ignored), Jaro-Winkler and Levenshtein similarity of the sorted tokens
+ * - unit: same unit agrees, different units disagree, missing is neutral
+ *   (compared canonically: "1 OZ" and "28g" agree)
+ * - brand: same, when both sides have one
+ *
+ * Neutral components are left out and the remaining weights rescaled, so a
+ * line without a unit is judged on its name alone.
+ *
+ * Every candidate comes back with its components and a plain-language
+ * explanation, so a reviewer (skuAliases.js queue) can see why a SKU was
+ * proposed.
+ *
+ *   "Gelatto #41" / 3.5g  vs  "Gelato 41" / 3.5g   -> ~0.97
+ *   "Mints Blue"          vs  "Blue Mints"          -> 1.0
+ *   "Unknown Product"     vs  "Blue Mints"          -> ~0.1
+ *
+ * PURE MODULE: No I/O
+ */
+
+import { canonicalizeUnit } from './unitWeights.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const MATCH_WEIGHTS = Object.freeze({
+  name: 0.75,
+  unit: 0.2,
+  brand: 0.05
+});
+
+// Name component blend
+const NAME_WEIGHTS = { tokenSet: 0.6, jaroWinkler: 0.2, levenshtein: 0.2 };
+
+// Two tokens count as the same word at or above this Jaro-Winkler similarity
+const TOKEN_MATCH_MIN = 0.85;
+
+// A name wholly contained in the other ("Bloopiez" in "Bloopiez Haze") is
+// close, but not the same product
+const SUBSET_FACTOR = 0.9;
+
+// Both names carry numbers and none are shared ("Gelato 41" vs "Gelato 33")
+const NUMBER_CONFLICT_FACTOR = 0.8;
+
+// Candidates below this score are not returned
+export const DEFAULT_MIN_SCORE = 0.7;
+
+// The best candidate is ambiguous when the runner-up is this close
+export const AMBIGUITY_MARGIN = 0.03;
+
+// Confidence ceiling for an ambiguous best match (always below review threshold)
+const AMBIGUOUS_CONFIDENCE = 0.5;
+
+// Units that mean "not known"
+const UNKNOWN_UNITS = new Set(['', 'unknown', 'unit', 'units', 'none']);
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Lowercased word tokens ("Gelatto #41" -> ["gelatto", "41"])
+ *
+ * @param {string} str
+ * @returns {string[]}
+ */
+export function tokenize(str) {
+  if (str === null || str === undefined) return [];
+  return String(str)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.]/gu, ' ')
+    .replace(/(\D)\.|\.(\D)/g, '$1 $2')
+    .split(/\s+/)
+    .filter(token => token && token !== '.');
+}
+
+/**
+ * Comparable unit ("3.5 G" -> "3.5g", "1 OZ" -> "28g"); null when unknown
+ *
+ * @param {string} unit
+ * @returns {string|null}
+ */
+export function normalizeMatchUnit(unit) {
+  if (unit === null || unit === undefined) return null;
+  const normalized = canonicalizeUnit(String(unit).trim()).replace(/\s+/g, '');
+  return UNKNOWN_UNITS.has(normalized) ? null : normalized;
+}
+
+// ============================================================================
+// STRING SIMILARITY
+// ============================================================================
+
+/**
+ * Levenshtein edit distance
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Levenshtein distance as a similarity (1 = identical)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+export function levenshteinSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Jaro-Winkler similarity (rewards a shared prefix)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  // Numbers must match exactly: "41" is not "44"
+  if (/\d/.test(a) || /\d/.test(b)) return 0;
+  const similarity = jaroWinkler(a, b);
+  return similarity >= TOKEN_MATCH_MIN ? similarity : 0;
+}
+
+/**
+ * Token-set similarity: each word of the shorter name is paired with its
+ * closest word in the longer one (typos allowed), order ignored
+ *
+ * @param {string[]} aTokens
+ * @param {string[]} bTokens
+ * @returns {{ score: number, pairs: Array<{a: string, b: string, similarity: number}>, subset: boolean, reordered: boolean }}
+ */
+export function tokenSetSimilarity(aTokens, bTokens) {
+  if (aTokens.length === 0 || bTokens.length === 0) return { score: 0, pairs: [], subset: false, reordered: false };
+
+  const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+  const used = new Set();
+  const pairs = [];
+  const positions = [];
+  let matched = 0;
+
+  for (const token of shorter) {
+    let best = { index: -1, similarity: 0 };
+    longer.forEach((other, index) => {
+      if (used.has(index)) return;
+      const similarity = tokenSimilarity(token, other);
+      if (similarity > best.similarity) best = { index, similarity };
+    });
+    if (best.index >= 0) {
+      used.add(best.index);
+      positions.push(best.index);
+      matched += best.similarity;
+      pairs.push({ a: token, b: longer[best.index], similarity: round3(best.similarity) });
+    }
+  }
+
+  const dice = (2 * matched) / (aTokens.length + bTokens.length);
+  const overlap = matched / shorter.length;
+  const subset = shorter.length < longer.length && pairs.length === shorter.length;
+
+  const reordered = positions.some((position, i) => i > 0 && position < positions[i - 1]);
+
+  return { score: Math.max(dice, subset ? overlap * SUBSET_FACTOR : 0), pairs, subset, reordered };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+function agreement(query, candidate) {
+  if (!query || !candidate) return null;
+  return query === candidate ? 1 : 0;
+}
+
+/**
+ * Score one candidate against a query
+ *
+ * @param {{name: string, unit?: string, brand?: string}} query
+ * @param {{name: string, unit?: string, brand?: string}} candidate
+ * @returns {{ score: number, components: Object, explanation: string[] }}
+ */
+export function scoreMatch(query, candidate) {
+  const queryTokens = tokenize(query.name);
+  const candidateTokens = tokenize(candidate.name);
+
+  const tokenSet = tokenSetSimilarity(queryTokens, candidateTokens);
+  const querySorted = [...queryTokens].sort().join(' ');
+  const candidateSorted = [...candidateTokens].sort().join(' ');
+  const jw = jaroWinkler(querySorted, candidateSorted);
+  const lev = levenshteinSimilarity(querySorted, candidateSorted);
+
+  const queryNumbers = queryTokens.filter(token => /\d/.test(token));
+  const candidateNumbers = candidateTokens.filter(token => /\d/.test(token));
+  const numberConflict = queryNumbers.length > 0 && candidateNumbers.length > 0
+    && !queryNumbers.some(token => candidateNumbers.includes(token));
+
+  const name = (NAME_WEIGHTS.tokenSet * tokenSet.score
+    + NAME_WEIGHTS.jaroWinkler * jw
+    + NAME_WEIGHTS.levenshtein * lev) * (numberConflict ? NUMBER_CONFLICT_FACTOR : 1);
+
+  const queryUnit = normalizeMatchUnit(query.unit);
+  const candidateUnit = normalizeMatchUnit(candidate.unit);
+  const unit = agreement(queryUnit, candidateUnit);
+
+  const queryBrand = tokenize(query.brand).join(' ');
+  const candidateBrand = tokenize(candidate.brand).join(' ');
+  const brand = agreement(queryBrand, candidateBrand);
+
+  let weighted = MATCH_WEIGHTS.name * name;
+  let totalWeight = MATCH_WEIGHTS.name;
+  if (unit !== null) {
+    weighted += MATCH_WEIGHTS.unit * unit;
+    totalWeight += MATCH_WEIGHTS.unit;
+  }
+  if (brand !== null) {
+    weighted += MATCH_WEIGHTS.brand * brand;
+    totalWeight += MATCH_WEIGHTS.brand;
+  }
+
+  const explanation = [];
+  const exactWords = tokenSet.pairs.filter(pair => pair.similarity === 1).length;
+  const typoPairs = tokenSet.pairs.filter(pair => pair.similarity < 1);
+  explanation.push(
+    `name ${round3(name)}: ${exactWords}/${Math.max(queryTokens.length, candidateTokens.length)} words match` +
+    (typoPairs.length > 0 ? `, ${typoPairs.map(pair => `"${pair.a}"~"${pair.b}"`).join(', ')}` : '') +
+    (tokenSet.subset ? ', one name contains the other' : '') +
+    (numberConflict ? `, numbers differ: ${queryNumbers.join(' ')} vs ${candidateNumbers.join(' ')}` : '') +
+    (tokenSet.reordered ? ' (word order ignored)' : '')
+  );
+  explanation.push(unit === null
+    ? 'unit not compared (missing)'
+    : (unit === 1 ? `unit ${queryUnit} agrees` : `unit differs: ${queryUnit} vs ${candidateUnit}`));
+  if (brand !== null) {
+    explanation.push(brand === 1 ? `brand ${queryBrand} agrees` : `brand differs: ${queryBrand} vs ${candidateBrand}`);
+  }
+
+  return {
+    score: round3(weighted / totalWeight),
+    components: {
+      tokenSet: round3(tokenSet.score),
+      jaroWinkler: round3(jw),
+      levenshtein: round3(lev),
+      name: round3(name),
+      numberConflict,
+      unit,
+      brand
+    },
+    explanation
+  };
+}
+
+/**
+ * Rank candidate rows against a query, best first
+ *
+ * @param {{name: string, unit?: string, brand?: string}} query
+ * @param {Array<Object>} rows - Catalog / inventory rows
+ * @param {Object} [options]
+ * @param {Function} [options.fields] - row -> { name, unit, brand } (default: strain|product_name, unit|variant_name, brand)
+ * @param {number} [options.minScore] - Drop candidates below (default DEFAULT_MIN_SCORE)
+ * @param {boolean} [options.excludeUnitMismatch] - Drop candidates whose unit differs
+ * @param {number} [options.limit] - Keep the top N
+ * @returns {Array<{ row: Object, score: number, components: Object, explanation: string[] }>}
+ */
+export function rankCandidates(query, rows, options = {}) {
+  const fields = options.fields || (row => ({
+    name: row.strain || row.product_name || '',
+    unit: row.unit ?? row.variant_name,
+    brand: row.brand
+  }));
+  const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+
+  const ranked = [];
+  for (const row of rows || []) {
+    const result = scoreMatch(query, fields(row));
+    if (options.excludeUnitMismatch && result.components.unit === 0) continue;
+    if (result.score < minScore) continue;
+    ranked.push({ row, ...result });
+  }
+
+  ranked.sort((a, b) => b.score - a.score);
+  return options.limit ? ranked.slice(0, options.limit) : ranked;
+}
+
+/**
+ * Best candidate, with a confidence that accounts for near-ties
+ *
+ * @param {{name: string, unit?: string, brand?: string}} query
+ * @param {Array<Object>} rows
+ * @param {Object} [options] - rankCandidates options
+ * @returns {{ best: Object|null, confidence: number, ambiguous: boolean, candidates: Array }}
+ */
+export function findBestMatch(query, rows, options = {}) {
+  const candidates = rankCandidates(query, rows, options);
+  const [best, runnerUp] = candidates;
+
+  if (!best) return { best: null, confidence: 0, ambiguous: false, candidates };
+
+  const ambiguous = Boolean(runnerUp) && best.score - runnerUp.score < AMBIGUITY_MARGIN;
+  return {
+    best,
+    confidence: ambiguous ? Math.min(best.score, AMBIGUOUS_CONFIDENCE) : best.score,
+    ambiguous,
+    candidates
+  };
+}
+
+/**
+ * Compact candidate list for logs and the review queue
+ *
+ * @param {Array} candidates - From rankCandidates
+ * @param {number} [limit=3]
+ * @returns {Array<{ sku: string, score: number, explanation: string }>}
+ */
+export function summarizeCandidates(candidates, limit = 3) {
+  return (candidates || []).slice(0, limit).map(candidate => ({
+    sku: candidate.row.sku,
+    score: candidate.score,
+    explanation: candidate.explanation.join('; ')
+  }));
+}
+
+export default {
+  MATCH_WEIGHTS,
+  DEFAULT_MIN_SCORE,
+  AMBIGUITY_MARGIN,
+  tokenize,
+  normalizeMatchUnit,
+  levenshtein,
+  levenshteinSimilarity,
+  jaroWinkler,
+  tokenSetSimilarity,
+  scoreMatch,
+  rankCandidates,
+  findBestMatch,
+  summarizeCandidates
+};
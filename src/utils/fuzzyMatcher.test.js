@@ -0,0 +1,143 @@
+// src/utils/fuzzyMatcher.test.js
+// Unit tests for fuzzy product name matching and its use by the resolvers
+// Pure functions only - no database
+
+import {
+  tokenize,
+  levenshtein,
+  jaroWinkler,
+  scoreMatch,
+  rankCandidates,
+  findBestMatch,
+  summarizeCandidates
+} from "./fuzzyMatcher.js";
+import { buildInventoryIndex, resolveToCanonicalSku } from "./skuResolver.js";
+import { parseLineItem, resolveInventoryItem } from "./inventoryResolver.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const inventory = [
+    { sku: "GEL41-3.5G", strain: "Gelato 41", unit: "3.5g" },
+    { sku: "GEL33-3.5G", strain: "Gelato 33", unit: "3.5g" },
+    { sku: "BM-28G", strain: "Blue Mints", unit: "28g" },
+    { sku: "BLOOP-3.5G", strain: "Bloopiez", unit: "3.5g" },
+    { sku: "BLOOP-7G", strain: "Bloopiez", unit: "7g" }
+  ];
+
+  // ========================================
+  // String similarity
+  // ========================================
+  console.log("\n🔤 Testing string similarity...\n");
+
+  test("tokenize drops punctuation and keeps decimals", () => {
+    assertEquals(tokenize("Gelatto #41").join(","), "gelatto,41");
+    assertEquals(tokenize("Dr. Who 3.5g").join(","), "dr,who,3.5g");
+    assertEquals(tokenize(null).length, 0);
+  });
+
+  test("levenshtein and jaroWinkler", () => {
+    assertEquals(levenshtein("gelato", "gelatto"), 1);
+    assertEquals(levenshtein("", "abc"), 3);
+    assertEquals(jaroWinkler("abc", "abc"), 1);
+    assertEquals(Math.round(jaroWinkler("martha", "marhta") * 1000), 961);
+    assertEquals(jaroWinkler("abc", "xyz"), 0);
+  });
+
+  // ========================================
+  // Scoring
+  // ========================================
+  console.log("\n🎯 Testing match scores...\n");
+
+  test("Typos and reordered words score high", () => {
+    const typo = scoreMatch({ name: "Gelatto #41", unit: "3.5 G" }, { name: "Gelato 41", unit: "3.5g" });
+    assertEquals(typo.score > 0.95, true, `typo scored ${typo.score}`);
+    assertEquals(typo.components.unit, 1);
+    assertEquals(typo.explanation[0].includes('"gelatto"~"gelato"'), true);
+
+    const reordered = scoreMatch({ name: "Mints Blue" }, { name: "Blue Mints" });
+    assertEquals(reordered.score, 1);
+    assertEquals(reordered.explanation[0].includes("word order ignored"), true);
+    assertEquals(reordered.explanation[1], "unit not compared (missing)");
+  });
+
+  test("Different numbers, units and brands count against a match", () => {
+    const numbers = scoreMatch({ name: "Gelato 41" }, { name: "Gelato 33" });
+    assertEquals(numbers.components.numberConflict, true);
+    assertEquals(numbers.score < 0.7, true, `numbers scored ${numbers.score}`);
+
+    const unit = scoreMatch({ name: "Bloopiez", unit: "7g" }, { name: "Bloopiez", unit: "3.5g" });
+    assertEquals(unit.components.unit, 0);
+    assertEquals(unit.score < 0.9, true);
+
+    assertEquals(scoreMatch({ name: "Blue Mints", unit: "1 OZ" }, { name: "Blue Mints", unit: "28g" }).components.unit, 1);
+
+    const brand = scoreMatch({ name: "Blue Mints", brand: "Kind" }, { name: "Blue Mints", brand: "Other" });
+    assertEquals(brand.components.brand, 0);
+    assertEquals(scoreMatch({ name: "Unknown Product" }, { name: "Blue Mints" }).score < 0.3, true);
+  });
+
+  test("rankCandidates orders by score and filters weak matches", () => {
+    const ranked = rankCandidates({ name: "Gelatto 41", unit: "3.5g" }, inventory);
+    assertEquals(ranked[0].row.sku, "GEL41-3.5G");
+    assertEquals(ranked.some(candidate => candidate.row.sku === "BM-28G"), false);
+    assertEquals(rankCandidates({ name: "Bloopiez", unit: "7g" }, inventory, { excludeUnitMismatch: true }).length, 1);
+    assertEquals(summarizeCandidates(ranked)[0].sku, "GEL41-3.5G");
+  });
+
+  test("findBestMatch flags near-ties and caps their confidence", () => {
+    const tie = findBestMatch({ name: "Bloopiez" }, inventory);
+    assertEquals(tie.ambiguous, true);
+    assertEquals(tie.confidence, 0.5);
+
+    const clear = findBestMatch({ name: "Bloopiez", unit: "7g" }, inventory);
+    assertEquals(clear.ambiguous, false);
+    assertEquals(clear.best.row.sku, "BLOOP-7G");
+    assertEquals(findBestMatch({ name: "Nonexistent Strain" }, inventory).best, null);
+  });
+
+  // ========================================
+  // Resolvers
+  // ========================================
+  console.log("\n🧭 Testing the resolvers' fuzzy step...\n");
+
+  test("skuResolver falls back to a scored fuzzy match", () => {
+    const result = resolveToCanonicalSku({ strain: "Gelatto #41", unit: "3.5g" }, buildInventoryIndex(inventory));
+    assertEquals(result.matchType, "FUZZY");
+    assertEquals(result.sku, "GEL41-3.5G");
+    assertEquals(result.confidence > 0.95, true);
+    assertEquals(result.candidates[0].sku, "GEL41-3.5G");
+  });
+
+  test("skuResolver never fuzzy-matches a SKU whose unit disagrees", () => {
+    const blueDream = [{ sku: "BD-3.5G", strain: "Blue Dream", unit: "3.5g" }];
+    assertEquals(findBestMatch({ name: "Blue Dream", unit: "7g" }, blueDream).confidence, 0.789);
+    assertEquals(findBestMatch({ name: "Blue Dream", unit: "7g" }, blueDream, { excludeUnitMismatch: true }).best, null);
+
+    const result = resolveToCanonicalSku({ strain: "Blue Dreem", unit: "7g" }, buildInventoryIndex(blueDream));
+    assertEquals(result.matchType, "UNMATCHED");
+    const sameUnit = resolveToCanonicalSku({ strain: "Blue Dreem", unit: "3.5 G" }, buildInventoryIndex(blueDream));
+    assertEquals(sameUnit.sku, "BD-3.5G");
+  });
+
+  test("inventoryResolver fuzzy step: typos resolve, near-ties throw", () => {
+    const parsed = parseLineItem({ itemName: "Gelatto #41", quantity: 1, descriptionLines: [{ name: "Weight", description: "3.5g" }] });
+    const result = resolveInventoryItem(parsed, inventory);
+    assertEquals(result.matchMethod, "fuzzy_name_unit");
+    assertEquals(result.inventoryItem.sku, "GEL41-3.5G");
+    assertEquals(result._resolutionMetadata.matchExplanation.length, 2);
+
+    const noUnit = parseLineItem({ itemName: "Bloopies", quantity: 1 });
+    assertThrows(() => resolveInventoryItem(noUnit, inventory), "Two Bloopiez units tie");
+  });
+
+  // Summary
+  // ========================================
+  return finish("Fuzzy matching ranks and explains candidates.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,259 @@
+/**
+ * OMEN GRAM POOLS
+ *
+ * Optional pooled inventory for strains sold in several weights. Instead of
+ * counting eighths, quarters and ounces separately, the store counts the
+ * strain's bulk weight in grams and every unit size draws from it.
+ *
+ * MODEL (derived, like inventory_virtual):
+ *   grams available = grams counted − grams sold since the count
+ *   grams sold      = Σ order quantity × grams per unit (orders after countedAt)
+ *   sellable units  = floor(grams available / grams per unit), per unit size
+ *
+ * Per-unit counts stay on the item as unitQuantity; quantity and
+ * availableQuantity become the pooled sellable units so every consumer
+ * (sellable counts, stockout, decisions) sees what can actually be sold.
+ *
+ * Only weight-based variants (see utils/unitWeights.js) join a pool. Pieces
+ * and unknown sizes keep their own counts.
+ *
+ * PURE MODULE: No I/O. Pools are stored in inventory_pools
+ * (services/inventoryPoolService.js) and applied in data/supabaseAuthority.js
+ */
+
+import { getGramsForUnit } from './unitWeights.js';
+
+// ============================================================================
+// STRAIN MATCHING
+// ============================================================================
+
+/**
+ * Normalized strain key ("Afternoon Delight" ≡ "AFTERNOON-DELIGHT")
+ *
+ * @param {string} strain - Strain / product name
+ * @returns {string|null}
+ */
+export function strainKey(strain) {
+  if (!strain || typeof strain !== 'string') return null;
+  const key = strain.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return key || null;
+}
+
+/**
+ * Validate a pool definition
+ *
+ * @param {Object} input - { strain, grams, countedAt? }
+ * @returns {Object} { strain, strainKey, grams, countedAt }
+ * @throws {Error} If the pool is invalid
+ */
+export function normalizePool(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('normalizePool: pool must be an object');
+  }
+
+  const strain = typeof input.strain === 'string' ? input.strain.trim() : '';
+  const key = strainKey(strain);
+  if (!key) {
+    throw new Error('normalizePool: strain is required');
+  }
+
+  if (typeof input.grams !== 'number' || !isFinite(input.grams) || input.grams < 0) {
+    throw new Error('normalizePool: grams must be a non-negative number');
+  }
+
+  const countedAt = input.countedAt ? new Date(input.countedAt) : new Date();
+  if (isNaN(countedAt.getTime())) {
+    throw new Error('normalizePool: countedAt must be an ISO-8601 date');
+  }
+
+  return {
+    strain,
+    strainKey: key,
+    grams: input.grams,
+    countedAt: countedAt.toISOString()
+  };
+}
+
+// ============================================================================
+// POOL STOCK
+// ============================================================================
+
+/**
+ * Derive grams available per pool from orders since each count
+ *
+ * Order lines are matched to a pool by their strain, or by the strain of the
+ * inventory item with the same SKU. Grams per unit come from the order's
+ * unit, else the matching item's grams.
+ *
+ * @param {Array} pools - [{ strain, strainKey, grams, countedAt }]
+ * @param {Array} orderLines - [{ sku, strain, unit, quantity, order_date }]
+ * @param {Array} [inventory] - Inventory items ({ sku, strain, grams }) for SKU fallback
+ * @returns {Map<string, Object>} strainKey → { strain, gramsCounted, countedAt, gramsSold,
+ *   gramsAvailable, oversoldGrams, linesCounted, linesWithoutWeight }
+ */
+export function derivePoolStock(pools, orderLines, inventory = []) {
+  const stock = new Map();
+  for (const pool of pools || []) {
+    stock.set(pool.strainKey, {
+      strain: pool.strain,
+      gramsCounted: pool.grams,
+      countedAt: pool.countedAt,
+      gramsSold: 0,
+      gramsAvailable: pool.grams,
+      oversoldGrams: 0,
+      linesCounted: 0,
+      linesWithoutWeight: 0
+    });
+  }
+
+  if (stock.size === 0) return stock;
+
+  const itemBySku = new Map();
+  for (const item of inventory || []) {
+    if (item?.sku) itemBySku.set(item.sku, item);
+  }
+
+  for (const line of orderLines || []) {
+    const item = itemBySku.get(line.sku);
+    const key = strainKey(line.strain) || strainKey(item?.strain);
+    const pool = key ? stock.get(key) : null;
+    if (!pool) continue;
+
+    const orderedAt = new Date(line.order_date || line.created_at).getTime();
+    if (!(orderedAt >= new Date(pool.countedAt).getTime())) continue;
+
+    const gramsPerUnit = getGramsForUnit(line.unit) ?? item?.grams ?? null;
+    if (!gramsPerUnit) {
+      pool.linesWithoutWeight++;
+      continue;
+    }
+
+    pool.gramsSold += (Number(line.quantity) || 0) * gramsPerUnit;
+    pool.linesCounted++;
+  }
+
+  for (const pool of stock.values()) {
+    const remaining = pool.gramsCounted - pool.gramsSold;
+    pool.gramsSold = parseFloat(pool.gramsSold.toFixed(2));
+    pool.gramsAvailable = parseFloat(Math.max(0, remaining).toFixed(2));
+    pool.oversoldGrams = parseFloat(Math.max(0, -remaining).toFixed(2));
+  }
+
+  return stock;
+}
+
+/**
+ * Replace per-unit quantities with pooled sellable units
+ *
+ * @param {Array} items - Enriched inventory items ({ sku, strain, grams, availableQuantity, pricing, velocity })
+ * @param {Map} poolStock - From derivePoolStock()
+ * @returns {Array} Items; pooled ones carry unitQuantity and pool { strain, gramsAvailable, gramsPerUnit }
+ */
+export function applyGramPools(items, poolStock) {
+  if (!poolStock || poolStock.size === 0) return items;
+
+  return items.map(item => {
+    const pool = poolStock.get(strainKey(item.strain));
+    if (!pool || !item.grams) return item;
+
+    const sellable = Math.floor(pool.gramsAvailable / item.grams);
+    const unitMargin = item.pricing?.unitMargin ?? null;
+    const avgDaily = item.velocity?.avgDaily ?? 0;
+
+    return {
+      ...item,
+      quantity: sellable,
+      availableQuantity: sellable,
+      unitQuantity: item.availableQuantity,
+      pool: {
+        strain: pool.strain,
+        gramsAvailable: pool.gramsAvailable,
+        gramsPerUnit: item.grams
+      },
+      pricing: item.pricing && {
+        ...item.pricing,
+        profitAtRisk: unitMargin !== null && sellable > 0
+          ? parseFloat((sellable * unitMargin).toFixed(2))
+          : null
+      },
+      velocity: item.velocity && {
+        ...item.velocity,
+        daysUntilStockout: avgDaily > 0 && sellable > 0 ? Math.round(sellable / avgDaily) : null
+      }
+    };
+  });
+}
+
+// ============================================================================
+// STRAIN-LEVEL VELOCITY
+// ============================================================================
+
+/**
+ * Velocity and coverage per pooled strain and per unit size
+ *
+ * Strain coverage is the real runway: every unit size draws on the same
+ * grams. Unit coverage answers "if only this size sold".
+ *
+ * @param {Array} velocityMetrics - Per-SKU metrics ({ sku, dailyVelocity })
+ * @param {Array} inventory - Inventory after applyGramPools()
+ * @returns {Array} [{ strain, gramsAvailable, gramsPerDay, daysOfCoverage, units: [...] }]
+ */
+export function summarizeGramPools(velocityMetrics, inventory) {
+  const velocityBySku = new Map();
+  for (const metric of velocityMetrics || []) {
+    velocityBySku.set(metric.sku, metric.dailyVelocity || 0);
+  }
+
+  const strains = new Map();
+  for (const item of inventory || []) {
+    if (!item?.pool) continue;
+
+    const key = strainKey(item.pool.strain);
+    if (!strains.has(key)) {
+      strains.set(key, {
+        strain: item.pool.strain,
+        gramsAvailable: item.pool.gramsAvailable,
+        gramsPerDay: 0,
+        daysOfCoverage: null,
+        units: []
+      });
+    }
+
+    const summary = strains.get(key);
+    const dailyVelocity = velocityBySku.get(item.sku) ?? 0;
+    const gramsPerDay = dailyVelocity * item.pool.gramsPerUnit;
+    summary.gramsPerDay += gramsPerDay;
+
+    summary.units.push({
+      sku: item.sku,
+      unit: item.unit,
+      gramsPerUnit: item.pool.gramsPerUnit,
+      sellableUnits: item.availableQuantity,
+      unitQuantity: item.unitQuantity ?? null,
+      dailyVelocity,
+      gramsPerDay: parseFloat(gramsPerDay.toFixed(2)),
+      daysOfCoverage: dailyVelocity > 0
+        ? parseFloat((item.availableQuantity / dailyVelocity).toFixed(1))
+        : null
+    });
+  }
+
+  return Array.from(strains.values())
+    .map(summary => ({
+      ...summary,
+      gramsPerDay: parseFloat(summary.gramsPerDay.toFixed(2)),
+      daysOfCoverage: summary.gramsPerDay > 0
+        ? parseFloat((summary.gramsAvailable / summary.gramsPerDay).toFixed(1))
+        : null,
+      units: summary.units.sort((a, b) => a.gramsPerUnit - b.gramsPerUnit)
+    }))
+    .sort((a, b) => (a.daysOfCoverage ?? Infinity) - (b.daysOfCoverage ?? Infinity));
+}
+
+export default {
+  strainKey,
+  normalizePool,
+  derivePoolStock,
+  applyGramPools,
+  summarizeGramPools
+};
@@ -0,0 +1,117 @@
+// src/utils/gramPools.test.js
+// Unit tests for unit weights and gram-pooled inventory
+// Pure functions only - no database
+
+import { getGramsForUnit, inferUnit } from "./unitWeights.js";
+import {
+  strainKey,
+  normalizePool,
+  derivePoolStock,
+  applyGramPools,
+  summarizeGramPools
+} from "./gramPools.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const pools = [normalizePool({ strain: "Afternoon Delight", grams: 56, countedAt: "2026-10-01T00:00:00Z" })];
+  const inventory = [
+    { sku: "AD-3.5G", strain: "Afternoon Delight", unit: "3.5G", grams: 3.5, quantity: 0, availableQuantity: 0,
+      pricing: { unitMargin: 20 }, velocity: { avgDaily: 2 } },
+    { sku: "AD-28G", strain: "Afternoon Delight", unit: "28G", grams: 28, quantity: 1, availableQuantity: 1,
+      pricing: { unitMargin: 100 }, velocity: { avgDaily: 0 } },
+    { sku: "AD-GUMMIES-01", strain: "Afternoon Delight", unit: "01", grams: null, quantity: 12, availableQuantity: 12 },
+    { sku: "BD-3.5G", strain: "Blue Dream", unit: "3.5G", grams: 3.5, quantity: 4, availableQuantity: 4 }
+  ];
+  const orderLines = [
+    { sku: "AD-3.5G", strain: "AFTERNOON DELIGHT", unit: "3.5g", quantity: 2, order_date: "2026-10-02T12:00:00Z" },
+    { sku: "AD-28G", strain: null, unit: "Unknown", quantity: 1, order_date: "2026-10-03T12:00:00Z" },
+    { sku: "AD-3.5G", strain: "Afternoon Delight", unit: "3.5g", quantity: 4, order_date: "2026-09-30T12:00:00Z" },
+    { sku: "BD-3.5G", strain: "Blue Dream", unit: "3.5g", quantity: 1, order_date: "2026-10-02T12:00:00Z" }
+  ];
+
+  // ========================================
+  // Units
+  // ========================================
+  console.log("\n🧪 Testing unit weights...\n");
+
+  test("Weight variants map to grams", () => {
+    assertEquals(getGramsForUnit("3.5 G"), 3.5);
+    assertEquals(getGramsForUnit("OZ"), 28);
+    assertEquals(getGramsForUnit("quarter"), 7);
+    assertEquals(getGramsForUnit("01"), null);
+    assertEquals(getGramsForUnit(null), null);
+  });
+
+  test("Unit inference distinguishes grams from pieces", () => {
+    assertEquals(inferUnit("3.5G", "BLOOPIEZ"), "grams");
+    assertEquals(inferUnit("01", "FADED-GUMMIES"), "pieces");
+    assertEquals(inferUnit("01", "MYSTERY"), null);
+  });
+
+  test("Strain keys ignore case and punctuation", () => {
+    assertEquals(strainKey("AFTERNOON-DELIGHT"), strainKey("Afternoon Delight"));
+    assertEquals(strainKey("  "), null);
+  });
+
+  test("Invalid pools are rejected", () => {
+    assertThrows(() => normalizePool({ strain: "", grams: 10 }));
+    assertThrows(() => normalizePool({ strain: "X", grams: -1 }));
+    assertThrows(() => normalizePool({ strain: "X", grams: 10, countedAt: "not a date" }));
+  });
+
+  // ========================================
+  // Pool stock
+  // ========================================
+  console.log("\n🧪 Testing pooled stock...\n");
+
+  test("Orders since the count decrement grams", () => {
+    const stock = derivePoolStock(pools, orderLines, inventory).get("afternoon delight");
+    // 2 × 3.5g + 1 × 28g (unit from the item); the pre-count order is ignored
+    assertEquals(stock.gramsSold, 35);
+    assertEquals(stock.gramsAvailable, 21);
+    assertEquals(stock.linesCounted, 2);
+    assertEquals(stock.oversoldGrams, 0);
+  });
+
+  test("Overselling clamps at zero and reports the shortfall", () => {
+    const small = [normalizePool({ strain: "Afternoon Delight", grams: 30, countedAt: "2026-10-01T00:00:00Z" })];
+    const stock = derivePoolStock(small, orderLines, inventory).get("afternoon delight");
+    assertEquals(stock.gramsAvailable, 0);
+    assertEquals(stock.oversoldGrams, 5);
+  });
+
+  test("Unit sizes show sellable units from the pool", () => {
+    const pooled = applyGramPools(inventory, derivePoolStock(pools, orderLines, inventory));
+    const eighth = pooled.find(i => i.sku === "AD-3.5G");
+    assertEquals(eighth.availableQuantity, 6, "21g / 3.5g");
+    assertEquals(eighth.unitQuantity, 0);
+    assertEquals(eighth.pricing.profitAtRisk, 120);
+    assertEquals(eighth.velocity.daysUntilStockout, 3);
+    assertEquals(pooled.find(i => i.sku === "AD-28G").availableQuantity, 0, "21g is under an ounce");
+    assertEquals(pooled.find(i => i.sku === "AD-GUMMIES-01").availableQuantity, 12, "Pieces keep their count");
+    assertEquals(pooled.find(i => i.sku === "BD-3.5G").pool, undefined, "Unpooled strain untouched");
+  });
+
+  test("Strain coverage sums grams per day across sizes", () => {
+    const pooled = applyGramPools(inventory, derivePoolStock(pools, orderLines, inventory));
+    const [summary] = summarizeGramPools([
+      { sku: "AD-3.5G", dailyVelocity: 1 },
+      { sku: "AD-28G", dailyVelocity: 0.125 }
+    ], pooled);
+    assertEquals(summary.strain, "Afternoon Delight");
+    assertEquals(summary.gramsPerDay, 7);
+    assertEquals(summary.daysOfCoverage, 3);
+    assertEquals(summary.units[0].sku, "AD-3.5G");
+    assertEquals(summary.units[0].daysOfCoverage, 6);
+    assertEquals(summary.units[1].daysOfCoverage, 0);
+  });
+
+  return finish("Unit sizes draw from one gram pool.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
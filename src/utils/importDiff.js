@@ -0,0 +1,293 @@
+/**
+ * OMEN IMPORT DIFF
+ *
+ * What a staged inventory import would change, per SKU, before anything is
+ * written:
+ *
+ *   new       SKU is in the file but not in wix_inventory_live
+ *   removed   SKU is stored but missing from a replace-mode file
+ *   updated   SKU is in both and at least one field differs
+ *             (quantity and price changes are flagged separately)
+ *
+ * Merge-mode files only carry the fields their profile maps, so only those
+ * fields are compared and nothing is ever removed.
+ *
+ * The fingerprint of the rows a diff was computed against lets the commit
+ * refuse a preview that went stale.
+ *
+ * AUTO-COMMIT LIMIT: automated imports commit without a review, so a diff
+ * that removes or zeroes more than a share of the stored SKUs (default 20%)
+ * is held staged instead (exceedsAutoCommitLimit).
+ *
+ * PURE MODULE: No I/O. Batches are staged and applied by
+ * services/inventoryImportService.js
+ */
+
+import crypto from 'crypto';
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+export const CHANGE_TYPES = Object.freeze({
+  NEW: 'new',
+  REMOVED: 'removed',
+  UPDATED: 'updated'
+});
+
+// Compared fields and how their values are normalized
+const COMPARED_FIELDS = {
+  product_id: 'text',
+  product_name: 'text',
+  variant_name: 'text',
+  category: 'text',
+  retail: 'money',
+  compare_at: 'money',
+  cost: 'money',
+  quantity_on_hand: 'integer',
+  visible: 'boolean'
+};
+
+const PRICE_FIELDS = ['retail', 'compare_at'];
+
+// Columns that belong to the stored row rather than the item
+const ROW_ONLY_FIELDS = ['store_id', 'synced_at'];
+
+function normalizeValue(type, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'money') {
+    const n = parseFloat(value);
+    return isNaN(n) ? null : Math.round(n * 100) / 100;
+  }
+  if (type === 'integer') {
+    const n = parseInt(value, 10);
+    return isNaN(n) ? null : n;
+  }
+  if (type === 'boolean') return value === true || value === 1 || value === 'true' || value === '1';
+  return String(value);
+}
+
+function pick(row, fields) {
+  const out = { sku: row.sku };
+  for (const field of fields) out[field] = normalizeValue(COMPARED_FIELDS[field], row[field]);
+  return out;
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Per-SKU changes between stored rows and staged items
+ *
+ * @param {Array} currentRows - The store's wix_inventory_live rows
+ * @param {Array} items - Valid staged items (from applyProfile + validateItems)
+ * @param {Object} options - { mode: 'replace' | 'merge' }
+ * @returns {Object} {
+ *   changes: [{ sku, type, fields, quantity: { before, after, delta }|null,
+ *               price: { before, after }|null, before, after }],
+ *   removedSkus: string[],
+ *   counts: { new, removed, updated, quantityChanged, priceChanged, unchanged }
+ * }
+ */
+export function diffInventory(currentRows, items, options = {}) {
+  const replace = options.mode !== 'merge';
+  const current = new Map((currentRows || []).map(row => [row.sku, row]));
+  const staged = new Set();
+
+  const changes = [];
+  const counts = { new: 0, removed: 0, updated: 0, quantityChanged: 0, priceChanged: 0, unchanged: 0 };
+
+  for (const item of items || []) {
+    staged.add(item.sku);
+    const fields = Object.keys(COMPARED_FIELDS).filter(field => replace || field in item);
+    const after = pick(item, fields);
+    const existing = current.get(item.sku);
+
+    if (!existing) {
+      counts.new++;
+      changes.push({
+        sku: item.sku,
+        type: CHANGE_TYPES.NEW,
+        fields,
+        quantity: { before: null, after: after.quantity_on_hand, delta: after.quantity_on_hand },
+        price: { before: null, after: after.retail ?? null },
+        before: null,
+        after
+      });
+      continue;
+    }
+
+    const before = pick(existing, fields);
+    const changed = fields.filter(field => before[field] !== after[field]);
+    if (changed.length === 0) {
+      counts.unchanged++;
+      continue;
+    }
+
+    const quantityChanged = changed.includes('quantity_on_hand');
+    const priceChanged = changed.some(field => PRICE_FIELDS.includes(field));
+    counts.updated++;
+    if (quantityChanged) counts.quantityChanged++;
+    if (priceChanged) counts.priceChanged++;
+
+    changes.push({
+      sku: item.sku,
+      type: CHANGE_TYPES.UPDATED,
+      fields: changed,
+      quantity: quantityChanged
+        ? { before: before.quantity_on_hand, after: after.quantity_on_hand, delta: (after.quantity_on_hand || 0) - (before.quantity_on_hand || 0) }
+        : null,
+      price: priceChanged ? { before: before.retail ?? null, after: after.retail ?? null } : null,
+      before,
+      after
+    });
+  }
+
+  const removedSkus = [];
+  if (replace) {
+    for (const [sku, row] of current) {
+      if (staged.has(sku)) continue;
+      removedSkus.push(sku);
+      counts.removed++;
+      const before = pick(row, Object.keys(COMPARED_FIELDS));
+      changes.push({
+        sku,
+        type: CHANGE_TYPES.REMOVED,
+        fields: Object.keys(COMPARED_FIELDS),
+        quantity: { before: before.quantity_on_hand, after: null, delta: -(before.quantity_on_hand || 0) },
+        price: { before: before.retail, after: null },
+        before,
+        after: null
+      });
+    }
+  }
+
+  const order = { [CHANGE_TYPES.REMOVED]: 0, [CHANGE_TYPES.NEW]: 1, [CHANGE_TYPES.UPDATED]: 2 };
+  changes.sort((a, b) => (order[a.type] - order[b.type]) || a.sku.localeCompare(b.sku));
+
+  return { changes, removedSkus, counts };
+}
+
+// ============================================================================
+// APPLY HELPERS
+// ============================================================================
+
+/**
+ * Stored rows an import is compared against and would overwrite
+ *
+ * Replace touches the whole store; merge only the SKUs it lists.
+ *
+ * @param {Array} currentRows - The store's wix_inventory_live rows
+ * @param {Array} items - Staged items
+ * @param {string} mode - 'replace' | 'merge'
+ * @returns {Array} Rows in scope
+ */
+export function importScope(currentRows, items, mode) {
+  if (mode !== 'merge') return currentRows || [];
+  const skus = new Set((items || []).map(item => item.sku));
+  return (currentRows || []).filter(row => skus.has(row.sku));
+}
+
+/**
+ * Order-independent fingerprint of stored rows (compared fields only)
+ *
+ * @param {Array} rows - wix_inventory_live rows
+ * @returns {string} sha256 hex
+ */
+export function fingerprintRows(rows) {
+  const fields = Object.keys(COMPARED_FIELDS);
+  const canonical = (rows || [])
+    .map(row => JSON.stringify(fields.reduce((acc, field) => {
+      acc.push(normalizeValue(COMPARED_FIELDS[field], row[field]));
+      return acc;
+    }, [row.sku])))
+    .sort();
+  return crypto.createHash('sha256').update(canonical.join('\n')).digest('hex');
+}
+
+/**
+ * Complete rows to write: staged fields over the stored row
+ *
+ * Merge-mode items only carry mapped fields; everything else keeps its
+ * stored value.
+ *
+ * @param {Array} scopeRows - Stored rows in scope
+ * @param {Array} items - Staged items
+ * @returns {Array} Rows without store_id / synced_at
+ */
+export function mergeStagedRows(scopeRows, items) {
+  const current = new Map((scopeRows || []).map(row => [row.sku, row]));
+  return (items || []).map(item => {
+    const row = { ...(current.get(item.sku) || {}), ...item };
+    for (const field of ROW_ONLY_FIELDS) delete row[field];
+    return row;
+  });
+}
+
+// ============================================================================
+// AUTO-COMMIT LIMIT
+// ============================================================================
+
+export const DEFAULT_AUTO_COMMIT_LIMIT = 0.2;
+
+/**
+ * Parse the auto-commit limit (share of stored SKUs, 0-1)
+ *
+ * Unset or non-numeric values fall back to the default; others are
+ * clamped to 0-1.
+ *
+ * @param {string|number|undefined} value - e.g. process.env.OMEN_IMPORT_AUTO_COMMIT_LIMIT
+ * @returns {number}
+ */
+export function parseAutoCommitLimit(value) {
+  const limit = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(limit)) {
+    return DEFAULT_AUTO_COMMIT_LIMIT;
+  }
+  return Math.min(1, Math.max(0, limit));
+}
+
+/**
+ * Stored SKUs a diff would remove or count down to zero
+ *
+ * @param {Object} diff - { changes, counts } from diffInventory()
+ * @returns {{removed: number, zeroed: number, stored: number, share: number}}
+ *   stored: rows in scope; share: (removed + zeroed) / stored
+ */
+export function destructiveChanges(diff) {
+  const counts = diff?.counts || {};
+  const removed = counts.removed || 0;
+  const zeroed = (diff?.changes || []).filter(change =>
+    change.type === CHANGE_TYPES.UPDATED &&
+    change.quantity &&
+    (change.quantity.before || 0) > 0 &&
+    (change.quantity.after || 0) === 0
+  ).length;
+  const stored = (counts.updated || 0) + (counts.unchanged || 0) + removed;
+
+  return { removed, zeroed, stored, share: stored > 0 ? (removed + zeroed) / stored : 0 };
+}
+
+/**
+ * Whether an automated import must be held for review instead of committed
+ *
+ * @param {Object} diff - { changes, counts } from diffInventory()
+ * @param {number} limit - From parseAutoCommitLimit()
+ * @returns {boolean}
+ */
+export function exceedsAutoCommitLimit(diff, limit = DEFAULT_AUTO_COMMIT_LIMIT) {
+  return destructiveChanges(diff).share > limit;
+}
+
+export default {
+  CHANGE_TYPES,
+  DEFAULT_AUTO_COMMIT_LIMIT,
+  diffInventory,
+  importScope,
+  fingerprintRows,
+  mergeStagedRows,
+  parseAutoCommitLimit,
+  destructiveChanges,
+  exceedsAutoCommitLimit
+};
@@ -0,0 +1,133 @@
+// src/utils/importDiff.test.js
+// Unit tests for staged-import diffs
+// Pure functions only - no database
+
+import {
+  CHANGE_TYPES,
+  diffInventory,
+  importScope,
+  fingerprintRows,
+  mergeStagedRows,
+  DEFAULT_AUTO_COMMIT_LIMIT,
+  parseAutoCommitLimit,
+  destructiveChanges,
+  exceedsAutoCommitLimit
+} from "./importDiff.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+  const stored = [
+    { store_id: "S1", sku: "BD-3.5G", product_id: "p1", product_name: "Blue Dream", variant_name: "3.5g",
+      category: "TOP", retail: "45.00", compare_at: null, cost: 20, quantity_on_hand: 6, visible: 1, synced_at: "2026-10-01T00:00:00Z" },
+    { store_id: "S1", sku: "BD-7G", product_id: "p1", product_name: "Blue Dream", variant_name: "7g",
+      category: "TOP", retail: 80, compare_at: null, cost: 38, quantity_on_hand: 2, visible: true, synced_at: "2026-10-01T00:00:00Z" },
+    { store_id: "S1", sku: "OLD-1G", product_id: "p9", product_name: "Old", variant_name: "1g",
+      category: null, retail: 10, compare_at: null, cost: null, quantity_on_hand: 1, visible: true, synced_at: "2026-10-01T00:00:00Z" }
+  ];
+  const staged = [
+    { sku: "BD-3.5G", product_id: "p1", product_name: "Blue Dream", variant_name: "3.5g",
+      category: "TOP", retail: 45, compare_at: null, cost: 20, quantity_on_hand: 6, visible: true },
+    { sku: "BD-7G", product_id: "p1", product_name: "Blue Dream", variant_name: "7g",
+      category: "TOP", retail: 75, compare_at: null, cost: 38, quantity_on_hand: 5, visible: true },
+    { sku: "GEL-3.5G", product_id: "p2", product_name: "Gelato", variant_name: "3.5g",
+      category: "MID", retail: 40, compare_at: null, cost: 18, quantity_on_hand: 3, visible: true }
+  ];
+
+  // ========================================
+  // Diff
+  // ========================================
+  console.log("\n🧪 Testing import diffs...\n");
+
+  test("Replace diff reports new, removed, quantity and price changes", () => {
+    const { changes, removedSkus, counts } = diffInventory(stored, staged, { mode: "replace" });
+    assertEquals(counts.new, 1);
+    assertEquals(counts.removed, 1);
+    assertEquals(counts.updated, 1);
+    assertEquals(counts.quantityChanged, 1);
+    assertEquals(counts.priceChanged, 1);
+    assertEquals(counts.unchanged, 1);
+    assertEquals(removedSkus.join(","), "OLD-1G");
+    assertEquals(changes[0].type, CHANGE_TYPES.REMOVED);
+    const updated = changes.find(c => c.sku === "BD-7G");
+    assertEquals(updated.quantity.delta, 3);
+    assertEquals(updated.price.before, 80);
+    assertEquals(updated.price.after, 75);
+    assertEquals(updated.fields.join(","), "retail,quantity_on_hand");
+  });
+
+  test("Merge diff compares mapped fields only and removes nothing", () => {
+    const counts = [{ sku: "BD-7G", product_name: "Blue Dream", variant_name: "7g", quantity_on_hand: 2 }];
+    const scope = importScope(stored, counts, "merge");
+    assertEquals(scope.length, 1);
+    const diff = diffInventory(scope, counts, { mode: "merge" });
+    assertEquals(diff.counts.unchanged, 1);
+    assertEquals(diff.counts.removed, 0);
+    assertEquals(importScope(stored, counts, "replace").length, 3);
+  });
+
+  // ========================================
+  // Apply helpers
+  // ========================================
+  console.log("\n🧪 Testing apply helpers...\n");
+
+  test("Fingerprint ignores row order, sync time and number formatting", () => {
+    const reordered = [stored[2], { ...stored[0], retail: 45, visible: true, synced_at: "2026-10-05T00:00:00Z" }, stored[1]];
+    assertEquals(fingerprintRows(reordered), fingerprintRows(stored));
+    const changed = [{ ...stored[0], quantity_on_hand: 5 }, stored[1], stored[2]];
+    assertEquals(fingerprintRows(changed) === fingerprintRows(stored), false);
+  });
+
+  test("Merged rows keep stored fields the file does not carry", () => {
+    const rows = mergeStagedRows(stored, [
+      { sku: "BD-7G", product_name: "Blue Dream", variant_name: "7g", quantity_on_hand: 9 },
+      { sku: "NEW-1G", product_id: "NEW", product_name: "New", variant_name: "1g", quantity_on_hand: 1 }
+    ]);
+    assertEquals(rows[0].retail, 80);
+    assertEquals(rows[0].quantity_on_hand, 9);
+    assertEquals("store_id" in rows[0], false);
+    assertEquals("synced_at" in rows[0], false);
+    assertEquals(rows[1].retail, undefined);
+  });
+
+  // ========================================
+  // Auto-commit limit
+  // ========================================
+  console.log("\n🧪 Testing the auto-commit limit...\n");
+
+  test("Removed and zeroed SKUs count against the stored rows", () => {
+    const zeroing = [{ ...staged[0], quantity_on_hand: 0 }, staged[1], staged[2]];
+    const loss = destructiveChanges(diffInventory(stored, zeroing, { mode: "replace" }));
+    assertEquals(loss.removed, 1);
+    assertEquals(loss.zeroed, 1);
+    assertEquals(loss.stored, 3);
+    assertEquals(loss.share, 2 / 3);
+    assertEquals(destructiveChanges(diffInventory([], staged, { mode: "replace" })).share, 0);
+  });
+
+  test("An import over the limit is held; one within it is not", () => {
+    const diff = diffInventory(stored, staged, { mode: "replace" });
+    assertEquals(exceedsAutoCommitLimit(diff, DEFAULT_AUTO_COMMIT_LIMIT), true);
+    assertEquals(exceedsAutoCommitLimit(diff, 0.5), false);
+    const counts = [{ sku: "BD-7G", product_name: "Blue Dream", variant_name: "7g", quantity_on_hand: 4 }];
+    assertEquals(exceedsAutoCommitLimit(diffInventory(importScope(stored, counts, "merge"), counts, { mode: "merge" })), false);
+  });
+
+  test("parseAutoCommitLimit defaults and clamps", () => {
+    assertEquals(parseAutoCommitLimit(undefined), DEFAULT_AUTO_COMMIT_LIMIT);
+    assertEquals(parseAutoCommitLimit(""), DEFAULT_AUTO_COMMIT_LIMIT);
+    assertEquals(parseAutoCommitLimit("lots"), DEFAULT_AUTO_COMMIT_LIMIT);
+    assertEquals(parseAutoCommitLimit("0.05"), 0.05);
+    assertEquals(parseAutoCommitLimit("3"), 1);
+    assertEquals(parseAutoCommitLimit("-1"), 0);
+  });
+
+  // Summary
+  // ========================================
+  return finish("Staged imports show exactly what they change.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
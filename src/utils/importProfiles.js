@@ -0,0 +1,652 @@
+/**
+ * OMEN IMPORT PROFILES
+ *
+ * One inventory import pipeline, many spreadsheet layouts. A profile maps
+ * the columns of a CSV/XLSX export (or JSON rows) to the canonical
+ * wix_inventory_live fields:
+ *
+ *   sku, product_id, product_name, variant_name, category,
+ *   retail, compare_at, cost, quantity_on_hand, visible
+ *
+ * PROFILE SHAPE (JSON, so stores can save their own):
+ *   columns    { field: ['header alias', 'prefix*', ...] }   case-insensitive
+ *   required   fields whose column must exist in the file
+ *   itemRows   { column, equals | present }  rows that are inventory items
+ *   parentRows { column, equals | present, key, fields }
+ *              product rows whose fields override the item's (Wix PRODUCT
+ *              rows, Shopify's first row per handle)
+ *   pivot      { columns: { header: unit } }  one column per unit size
+ *              (Google Sheet: OZ, 1/2, 1/4, 1/8) → one item per non-blank cell
+ *   deriveSku  build missing SKUs as STRAIN-3.5G from product + unit
+ *   defaults   { field: value } for blank text fields
+ *   mode       replace (full export: the store's rows are replaced)
+ *              merge   (counts only: upsert the listed SKUs, mapped fields only)
+ *
+ * STRICT EXCLUSION (all profiles): rows without a SKU or repeating one are
+ * DROPPED and reported - OMEN drops data, it does NOT invent data. The one
+ * exception is deriveSku, which builds the catalog's own SKU format.
+ *
+ * PURE MODULE: No I/O. Files are read by utils/spreadsheetReader.js; the
+ * pipeline and saved profiles live in services/inventoryImportService.js
+ */
+
+import { getGramsForUnit } from './unitWeights.js';
+
+// ============================================================================
+// CANONICAL FIELDS
+// ============================================================================
+
+export const CANONICAL_FIELDS = Object.freeze({
+  sku: 'text',
+  product_id: 'text',
+  product_name: 'text',
+  variant_name: 'text',
+  category: 'text',
+  retail: 'money',
+  compare_at: 'money',
+  cost: 'money',
+  quantity_on_hand: 'inventory',
+  visible: 'boolean'
+});
+
+// Written on merge even when the profile does not map them
+const IDENTITY_FIELDS = ['sku', 'product_id', 'product_name', 'variant_name', 'quantity_on_hand'];
+
+export const IMPORT_MODES = Object.freeze({
+  REPLACE: 'replace',
+  MERGE: 'merge'
+});
+
+/**
+ * Parse inventory value from an export
+ *
+ * Inventory can be:
+ * - Numeric: "6", "23", "0"
+ * - Status: "IN_STOCK", "OUT_OF_STOCK"
+ *
+ * @param {string} inventoryValue - Raw inventory value
+ * @returns {{ quantity: number, status: string }}
+ */
+export function parseInventoryValue(inventoryValue) {
+  if (inventoryValue === null || inventoryValue === undefined || String(inventoryValue).trim() === '') {
+    return { quantity: 0, status: 'UNKNOWN' };
+  }
+
+  const trimmed = String(inventoryValue).trim().toUpperCase();
+
+  // Check for status strings
+  if (trimmed === 'IN_STOCK') {
+    // IN_STOCK means available but unknown quantity
+    // We'll flag this so OMEN knows it's imprecise
+    return { quantity: 0, status: 'IN_STOCK' };
+  }
+
+  if (trimmed === 'OUT_OF_STOCK') {
+    return { quantity: 0, status: 'OUT_OF_STOCK' };
+  }
+
+  // Try to parse as number
+  const parsed = parseInt(String(inventoryValue).replace(/,/g, ''), 10);
+  if (!isNaN(parsed)) {
+    return {
+      quantity: parsed,
+      status: parsed > 0 ? 'COUNTED' : 'OUT_OF_STOCK'
+    };
+  }
+
+  console.warn(`[ImportProfiles] Unknown inventory value: "${inventoryValue}"`);
+  return { quantity: 0, status: 'UNKNOWN' };
+}
+
+function parseMoney(raw) {
+  if (raw === null || raw === undefined) return null;
+  const cleaned = String(raw).replace(/[$,\s]/g, '');
+  if (cleaned === '') return null;
+  const value = parseFloat(cleaned);
+  return isNaN(value) ? null : value;
+}
+
+function parseBoolean(raw) {
+  return ['true', 'yes', 'y', '1', 'visible', 'active', 'published']
+    .includes(String(raw ?? '').trim().toLowerCase());
+}
+
+function parseText(raw) {
+  if (raw === null || raw === undefined) return null;
+  const text = String(raw).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Catalog-style SKU from product and unit ("Blue Dream", "eighth" → BLUE-DREAM-3.5G)
+ *
+ * @param {string} productName - Strain / product name
+ * @param {string} [unit] - Unit or variant label
+ * @returns {string|null}
+ */
+export function skuFromProductUnit(productName, unit) {
+  const stem = String(productName || '').toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!stem) return null;
+
+  const grams = getGramsForUnit(unit);
+  const suffix = grams
+    ? `${grams}G`
+    : String(unit || '').toUpperCase().replace(/[^A-Z0-9.]+/g, '-').replace(/^-|-$/g, '');
+
+  return suffix ? `${stem}-${suffix}` : stem;
+}
+
+// ============================================================================
+// BUILT-IN PROFILES
+// ============================================================================
+
+export const BUILTIN_PROFILES = Object.freeze({
+  wix: {
+    id: 'wix',
+    name: 'Wix product catalog CSV',
+    source: 'wix_csv',
+    mode: IMPORT_MODES.REPLACE,
+    columns: {
+      sku: ['sku'],
+      product_id: ['handle'],
+      product_name: ['name'],
+      variant_name: ['productoptionchoices1'],
+      category: ['brand'],
+      retail: ['price'],
+      compare_at: ['strikethroughprice'],
+      cost: ['cost'],
+      quantity_on_hand: ['inventory'],
+      visible: ['visible']
+    },
+    required: ['product_id', 'product_name', 'retail', 'quantity_on_hand', 'variant_name', 'visible', 'sku'],
+    itemRows: { column: 'fieldtype', equals: 'VARIANT' },
+    parentRows: { column: 'fieldtype', equals: 'PRODUCT', key: 'product_id', fields: ['product_name', 'category'] }
+  },
+
+  shopify: {
+    id: 'shopify',
+    name: 'Shopify products CSV',
+    source: 'shopify_csv',
+    mode: IMPORT_MODES.REPLACE,
+    columns: {
+      sku: ['variant sku'],
+      product_id: ['handle'],
+      product_name: ['title'],
+      variant_name: ['option1 value'],
+      category: ['type', 'product category'],
+      retail: ['variant price'],
+      compare_at: ['variant compare at price'],
+      cost: ['cost per item'],
+      quantity_on_hand: ['variant inventory qty', 'on hand*'],
+      visible: ['published', 'status']
+    },
+    required: ['sku', 'product_id', 'product_name', 'quantity_on_hand'],
+    itemRows: { column: 'variant price', present: true },
+    parentRows: { column: 'title', present: true, key: 'product_id', fields: ['product_name', 'category', 'visible'] }
+  },
+
+  square: {
+    id: 'square',
+    name: 'Square item library export',
+    source: 'square_csv',
+    mode: IMPORT_MODES.REPLACE,
+    columns: {
+      sku: ['sku'],
+      product_id: ['reference handle', 'item name'],
+      product_name: ['item name'],
+      variant_name: ['variation name'],
+      category: ['categories', 'category'],
+      retail: ['price'],
+      cost: ['default unit cost'],
+      quantity_on_hand: ['current quantity*', 'new quantity*'],
+      visible: ['square online item visibility', 'visibility']
+    },
+    required: ['sku', 'product_name', 'quantity_on_hand']
+  },
+
+  google_sheet: {
+    id: 'google_sheet',
+    name: 'NJWeedWizard inventory Google Sheet',
+    source: 'google_sheet',
+    mode: IMPORT_MODES.MERGE,
+    columns: {
+      sku: ['sku'],
+      product_name: ['strain'],
+      category: ['quality'],
+      variant_name: ['unit'],
+      quantity_on_hand: ['quantity']
+    },
+    required: ['product_name'],
+    pivot: { columns: { 'oz': 'oz', '1/2': 'half', '1/4': 'quarter', '1/8': 'eighth' } },
+    deriveSku: true,
+    defaults: { category: 'STANDARD' }
+  }
+});
+
+// ============================================================================
+// PROFILE VALIDATION
+// ============================================================================
+
+function normalizeMatcher(matcher, label, extra = {}) {
+  if (!matcher) return null;
+  if (typeof matcher !== 'object' || typeof matcher.column !== 'string' || !matcher.column.trim()) {
+    throw new Error(`normalizeProfile: ${label}.column is required`);
+  }
+  if (matcher.equals === undefined && matcher.present !== true) {
+    throw new Error(`normalizeProfile: ${label} needs equals or present: true`);
+  }
+  return {
+    column: matcher.column.trim().toLowerCase(),
+    ...(matcher.equals !== undefined ? { equals: String(matcher.equals) } : { present: true }),
+    ...extra
+  };
+}
+
+function requireField(field, label) {
+  if (!Object.prototype.hasOwnProperty.call(CANONICAL_FIELDS, field)) {
+    throw new Error(`normalizeProfile: ${label} "${field}" is not a canonical field (${Object.keys(CANONICAL_FIELDS).join(', ')})`);
+  }
+  return field;
+}
+
+/**
+ * Validate a store-defined profile
+ *
+ * @param {Object} input - Profile definition (see PROFILE SHAPE)
+ * @returns {Object} Normalized profile
+ * @throws {Error} If the profile is invalid
+ */
+export function normalizeProfile(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('normalizeProfile: profile must be an object');
+  }
+
+  const id = typeof input.id === 'string' ? input.id.trim().toLowerCase() : '';
+  if (!/^[a-z0-9_-]{2,40}$/.test(id)) {
+    throw new Error('normalizeProfile: id must be 2-40 characters of a-z, 0-9, _ or -');
+  }
+  if (BUILTIN_PROFILES[id]) {
+    throw new Error(`normalizeProfile: ${id} is a built-in profile`);
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new Error('normalizeProfile: name is required');
+  }
+
+  if (!input.columns || typeof input.columns !== 'object' || Array.isArray(input.columns)) {
+    throw new Error('normalizeProfile: columns must map canonical fields to header names');
+  }
+
+  const columns = {};
+  for (const [field, aliases] of Object.entries(input.columns)) {
+    requireField(field, 'column');
+    const list = (Array.isArray(aliases) ? aliases : [aliases])
+      .filter(alias => typeof alias === 'string' && alias.trim())
+      .map(alias => alias.trim().toLowerCase());
+    if (list.length === 0) {
+      throw new Error(`normalizeProfile: ${field} needs at least one header name`);
+    }
+    columns[field] = list;
+  }
+
+  let pivot = null;
+  if (input.pivot) {
+    const pivotColumns = input.pivot.columns;
+    if (!pivotColumns || typeof pivotColumns !== 'object' || Object.keys(pivotColumns).length === 0) {
+      throw new Error('normalizeProfile: pivot.columns must map headers to units');
+    }
+    pivot = {
+      columns: Object.fromEntries(
+        Object.entries(pivotColumns).map(([header, unit]) => [header.trim().toLowerCase(), String(unit)])
+      )
+    };
+  }
+
+  const deriveSku = input.deriveSku === true;
+  if (!columns.sku && !deriveSku) {
+    throw new Error('normalizeProfile: map a sku column or set deriveSku');
+  }
+  if (!columns.product_name) {
+    throw new Error('normalizeProfile: map a product_name column');
+  }
+  if (!columns.quantity_on_hand && !pivot) {
+    throw new Error('normalizeProfile: map a quantity_on_hand column or a pivot');
+  }
+  if (!columns.variant_name && !pivot) {
+    throw new Error('normalizeProfile: map a variant_name (unit) column or a pivot');
+  }
+  // Products without their own ID column are grouped by name (as Square's are)
+  if (!columns.product_id && !deriveSku) {
+    columns.product_id = [...columns.product_name];
+  }
+
+  const required = (input.required || Object.keys(columns).filter(field => IDENTITY_FIELDS.includes(field)))
+    .map(field => requireField(field, 'required field'));
+  for (const field of required) {
+    if (!columns[field]) {
+      throw new Error(`normalizeProfile: required field ${field} has no column`);
+    }
+  }
+
+  let parentRows = null;
+  if (input.parentRows) {
+    const key = requireField(input.parentRows.key, 'parentRows.key');
+    if (!columns[key]) {
+      throw new Error(`normalizeProfile: parentRows.key ${key} has no column`);
+    }
+    const fields = (input.parentRows.fields || []).map(field => requireField(field, 'parentRows field'));
+    if (fields.length === 0) {
+      throw new Error('normalizeProfile: parentRows.fields is required');
+    }
+    parentRows = normalizeMatcher(input.parentRows, 'parentRows', { key, fields });
+  }
+
+  const mode = input.mode || IMPORT_MODES.REPLACE;
+  if (!Object.values(IMPORT_MODES).includes(mode)) {
+    throw new Error(`normalizeProfile: mode must be one of ${Object.values(IMPORT_MODES).join(', ')}`);
+  }
+
+  const defaults = {};
+  for (const [field, value] of Object.entries(input.defaults || {})) {
+    requireField(field, 'default');
+    if (CANONICAL_FIELDS[field] !== 'text') {
+      throw new Error(`normalizeProfile: only text fields can have defaults (${field})`);
+    }
+    defaults[field] = String(value);
+  }
+
+  return {
+    id,
+    name,
+    source: typeof input.source === 'string' && input.source.trim() ? input.source.trim() : `import_${id}`,
+    mode,
+    columns,
+    required,
+    itemRows: normalizeMatcher(input.itemRows, 'itemRows'),
+    parentRows,
+    pivot,
+    deriveSku,
+    defaults
+  };
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Resolve header aliases against the headers of a file
+ *
+ * @param {Array<string>} aliases - Lowercase names; trailing * = prefix
+ * @param {Map<string, string>} headerIndex - lowercase header → header
+ * @returns {string|null} Actual header
+ */
+function resolveHeader(aliases, headerIndex) {
+  for (const alias of aliases) {
+    if (alias.endsWith('*')) {
+      const prefix = alias.slice(0, -1);
+      for (const [lower, header] of headerIndex) {
+        if (lower.startsWith(prefix)) return header;
+      }
+    } else if (headerIndex.has(alias)) {
+      return headerIndex.get(alias);
+    }
+  }
+  return null;
+}
+
+function matches(record, matcher, headerIndex) {
+  const header = headerIndex.get(matcher.column);
+  const value = header ? String(record[header] ?? '').trim() : '';
+  if (matcher.present) return value !== '';
+  return value.toUpperCase() === matcher.equals.toUpperCase();
+}
+
+function parseField(field, raw) {
+  switch (CANONICAL_FIELDS[field]) {
+    case 'money': return parseMoney(raw);
+    case 'boolean': return parseBoolean(raw);
+    default: return parseText(raw);
+  }
+}
+
+/**
+ * Map records to canonical inventory items with a profile
+ *
+ * STRICT EXCLUSION:
+ * - Rows without valid SKU are DROPPED (not fixed), unless deriveSku
+ * - Rows with duplicate SKUs are DROPPED (not fixed)
+ * - Item rows whose parent row is missing are DROPPED
+ *
+ * @param {Object} profile - Built-in or normalized profile
+ * @param {Object[]} records - Header-keyed rows (see rowsToRecords)
+ * @param {string[]} [headers] - Headers in file order (default: keys of the records)
+ * @returns {{ items: Array, stats: object, errors: Array, skipped: Array, summary: object }}
+ * @throws {Error} If required columns are missing
+ */
+export function applyProfile(profile, records, headers = null) {
+  const headerList = headers || [...new Set((records || []).flatMap(record => Object.keys(record || {})))];
+  const headerIndex = new Map(headerList.map(header => [String(header).trim().toLowerCase(), header]));
+
+  const columnOf = {};
+  for (const [field, aliases] of Object.entries(profile.columns)) {
+    columnOf[field] = resolveHeader(aliases, headerIndex);
+  }
+
+  const missingCols = [
+    ...(profile.required || []).filter(field => !columnOf[field]).map(field => profile.columns[field][0]),
+    ...[profile.itemRows, profile.parentRows]
+      .filter(matcher => matcher && !headerIndex.has(matcher.column))
+      .map(matcher => matcher.column)
+  ];
+  if (missingCols.length > 0) {
+    throw new Error(`Missing required columns: ${[...new Set(missingCols)].join(', ')}`);
+  }
+
+  const pivotColumns = profile.pivot
+    ? Object.entries(profile.pivot.columns)
+        .map(([column, unit]) => ({ header: headerIndex.get(column), unit }))
+        .filter(entry => entry.header)
+    : [];
+
+  const mergeOnly = profile.mode === IMPORT_MODES.MERGE;
+  const written = Object.keys(CANONICAL_FIELDS).filter(field =>
+    !mergeOnly || IDENTITY_FIELDS.includes(field) || columnOf[field] || profile.defaults?.[field] !== undefined
+  );
+
+  const items = [];
+  const errors = [];
+  const skipped = [];
+  const seenSkus = new Set();
+
+  const stats = {
+    totalRows: (records || []).length,
+    productRows: 0,
+    variantRows: 0,
+    ignoredRows: 0,
+    skippedRows: 0,
+    inStockVariants: 0,
+    countedVariants: 0
+  };
+
+  const skippedBreakdown = {
+    MISSING_SKU: 0,
+    DUPLICATE_SKU: 0,
+    MISSING_PARENT: 0,
+    PARSE_ERROR: 0
+  };
+
+  const skip = (reason, detail) => {
+    skippedBreakdown[reason]++;
+    stats.skippedRows++;
+    skipped.push({ reason, ...detail });
+  };
+
+  // First pass: parent rows (product name / category per key)
+  const parents = new Map();
+  if (profile.parentRows) {
+    const keyColumn = columnOf[profile.parentRows.key];
+    for (const record of records || []) {
+      if (!matches(record, profile.parentRows, headerIndex)) continue;
+      const key = parseText(record[keyColumn]);
+      const fields = {};
+      for (const field of profile.parentRows.fields) {
+        if (!columnOf[field]) continue;
+        const raw = record[columnOf[field]];
+        if (parseText(raw) !== null) {
+          fields[field] = parseField(field, raw);
+        }
+      }
+      if (key && fields[profile.parentRows.fields[0]] !== undefined && !parents.has(key)) {
+        parents.set(key, fields);
+        stats.productRows++;
+      }
+    }
+  }
+
+  // Second pass: item rows
+  (records || []).forEach((record, index) => {
+    const line = index + 2; // 1-based, after the header row
+
+    try {
+      if (profile.itemRows && !matches(record, profile.itemRows, headerIndex)) {
+        stats.ignoredRows++;
+        return;
+      }
+
+      // Pivot: one entry per filled unit column; otherwise the row itself
+      let entries = [{ variant: undefined, quantity: undefined }];
+      if (pivotColumns.length > 0) {
+        entries = pivotColumns
+          .filter(({ header }) => parseText(record[header]) !== null)
+          .map(({ header, unit }) => ({ variant: unit, quantity: record[header] }));
+        if (entries.length === 0) {
+          stats.ignoredRows++;
+          return;
+        }
+      }
+
+      for (const entry of entries) {
+        stats.variantRows++;
+
+        const item = {};
+        for (const field of Object.keys(CANONICAL_FIELDS)) {
+          item[field] = columnOf[field] ? parseField(field, record[columnOf[field]]) : null;
+        }
+        if (!columnOf.visible) item.visible = true;
+        if (entry.variant !== undefined) item.variant_name = entry.variant;
+
+        const parentKey = profile.parentRows ? item[profile.parentRows.key] : null;
+        const parent = parentKey ? parents.get(parentKey) : null;
+        if (parent) Object.assign(item, parent);
+
+        for (const [field, value] of Object.entries(profile.defaults || {})) {
+          if (item[field] === null) item[field] = value;
+        }
+
+        if (!item.sku && profile.deriveSku) {
+          item.sku = skuFromProductUnit(item.product_name, item.variant_name);
+        }
+        if (!item.product_id && profile.deriveSku) {
+          item.product_id = skuFromProductUnit(item.product_name);
+        }
+
+        // EXCLUSION RULE 1: Missing SKU → DROP ROW
+        if (!item.sku) {
+          skip('MISSING_SKU', {
+            line,
+            handle: item.product_id,
+            variantName: item.variant_name,
+            rawSku: columnOf.sku ? `"${record[columnOf.sku] ?? ''}"` : 'undefined'
+          });
+          continue;
+        }
+
+        // EXCLUSION RULE 2: Duplicate SKU → DROP ROW
+        if (seenSkus.has(item.sku)) {
+          skip('DUPLICATE_SKU', { line, sku: item.sku, handle: item.product_id, variantName: item.variant_name });
+          continue;
+        }
+        seenSkus.add(item.sku);
+
+        // EXCLUSION RULE 3: Item without its product row → DROP ROW
+        if (profile.parentRows && !parent) {
+          skip('MISSING_PARENT', { line, sku: item.sku, handle: item.product_id });
+          continue;
+        }
+
+        const { quantity, status } = parseInventoryValue(
+          entry.quantity !== undefined ? entry.quantity : columnOf.quantity_on_hand ? record[columnOf.quantity_on_hand] : null
+        );
+        if (status === 'IN_STOCK') stats.inStockVariants++;
+        else if (status === 'COUNTED') stats.countedVariants++;
+
+        item.quantity_on_hand = quantity;
+
+        const canonical = {};
+        for (const field of written) canonical[field] = item[field];
+        canonical.inventory_status = status;
+        canonical.source = profile.source;
+
+        items.push(canonical);
+      }
+    } catch (err) {
+      errors.push({ line, error: err.message });
+      skip('PARSE_ERROR', { line, error: err.message });
+    }
+  });
+
+  // Build summary object (required format)
+  const summary = {
+    rows_processed: stats.variantRows,
+    rows_inserted: items.length,
+    rows_skipped: stats.skippedRows,
+    skipped_breakdown: {
+      MISSING_SKU: skippedBreakdown.MISSING_SKU,
+      DUPLICATE_SKU: skippedBreakdown.DUPLICATE_SKU
+    }
+  };
+
+  console.log(`[ImportProfiles] ${profile.id}: ${summary.rows_processed} rows processed, ${items.length} items, ${stats.skippedRows} skipped (MISSING_SKU=${skippedBreakdown.MISSING_SKU}, DUPLICATE_SKU=${skippedBreakdown.DUPLICATE_SKU}, MISSING_PARENT=${skippedBreakdown.MISSING_PARENT})`);
+
+  return { items, stats, errors, skipped, summary };
+}
+
+/**
+ * Validate parsed items before Supabase insert
+ *
+ * @param {Array} items - Parsed inventory items
+ * @returns {{ valid: Array, invalid: Array }}
+ */
+export function validateItems(items) {
+  const valid = [];
+  const invalid = [];
+
+  for (const item of items) {
+    const issues = [];
+
+    if (!item.sku) issues.push('missing sku');
+    if (!item.product_id) issues.push('missing product_id');
+    if (!item.product_name) issues.push('missing product_name');
+
+    if (issues.length > 0) {
+      invalid.push({ item, issues });
+    } else {
+      valid.push(item);
+    }
+  }
+
+  return { valid, invalid };
+}
+
+export default {
+  CANONICAL_FIELDS,
+  IMPORT_MODES,
+  BUILTIN_PROFILES,
+  parseInventoryValue,
+  skuFromProductUnit,
+  normalizeProfile,
+  applyProfile,
+  validateItems
+};
@@ -0,0 +1,199 @@
+// src/utils/importProfiles.test.js
+// Unit tests for spreadsheet reading and column-mapping import profiles
+// Pure functions only - no database
+
+import zlib from "zlib";
+import { parseCsvRows, parseXlsxRows, rowsToRecords } from "./spreadsheetReader.js";
+import {
+  BUILTIN_PROFILES,
+  skuFromProductUnit,
+  normalizeProfile,
+  applyProfile
+} from "./importProfiles.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+  const fromCsv = (profile, text) => {
+    const { headers, records } = rowsToRecords(parseCsvRows(text));
+    return applyProfile(profile, records, headers);
+  };
+
+  // Minimal XLSX: one deflated zip entry per part
+  function buildXlsx(parts) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, xml] of Object.entries(parts)) {
+      const nameBuf = Buffer.from(name);
+      const data = zlib.deflateRawSync(Buffer.from(xml));
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(8, 8);
+      local.writeUInt32LE(data.length, 18);
+      local.writeUInt16LE(nameBuf.length, 26);
+      const dir = Buffer.alloc(46);
+      dir.writeUInt32LE(0x02014b50, 0);
+      dir.writeUInt16LE(8, 10);
+      dir.writeUInt32LE(data.length, 20);
+      dir.writeUInt16LE(nameBuf.length, 28);
+      dir.writeUInt32LE(offset, 42);
+      locals.push(local, nameBuf, data);
+      central.push(dir, nameBuf);
+      offset += 30 + nameBuf.length + data.length;
+    }
+    const directory = Buffer.concat(central);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(Object.keys(parts).length, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, eocd]);
+  }
+
+  // ========================================
+  // Reading
+  // ========================================
+  console.log("\n🧪 Testing spreadsheet reading...\n");
+
+  test("CSV quoting keeps commas, quotes and line breaks", () => {
+    const rows = parseCsvRows('\uFEFFname,notes\r\n"Blue Dream, 3.5g","say ""hi""\nthere"\r\n\r\n');
+    assertEquals(rows.length, 2);
+    assertEquals(rows[0][0], "name");
+    assertEquals(rows[1][0], "Blue Dream, 3.5g");
+    assertEquals(rows[1][1], 'say "hi"\nthere');
+  });
+
+  test("XLSX sheet is read with shared strings and sparse cells", () => {
+    const xlsx = buildXlsx({
+      "xl/workbook.xml": '<workbook><sheets><sheet name="Counts" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      "xl/_rels/workbook.xml.rels": '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+      "xl/sharedStrings.xml": "<sst><si><t>Strain</t></si><si><t>1/8</t></si><si><r><t>Bloop</t></r><r><t>iez</t></r></si></sst>",
+      "xl/worksheets/sheet1.xml": '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>7</v></c></row>' +
+        '</sheetData></worksheet>'
+    });
+    const rows = parseXlsxRows(xlsx, "Counts");
+    assertEquals(rows.length, 2);
+    assertEquals(rows[1][0], "Bloopiez");
+    assertEquals(rows[1][1], "");
+    assertEquals(rows[1][2], "7");
+    assertThrows(() => parseXlsxRows(xlsx, "Missing"));
+    assertThrows(() => parseXlsxRows(Buffer.from("not a zip")));
+  });
+
+  // ========================================
+  // Built-in profiles
+  // ========================================
+  console.log("\n🧪 Testing built-in profiles...\n");
+
+  test("Wix variants take name and brand from their product row", () => {
+    const csv = [
+      "handle,fieldType,name,brand,productOptionChoices1,sku,price,strikethroughPrice,cost,inventory,visible",
+      "p1,Product,Blue Dream,TOP,,,0,,,,true",
+      "p1,Variant,,,3.5g,BD-3.5G,45,,$20,6,true",
+      "p1,Variant,,,7g,,80,,,2,true",
+      "p1,Variant,,,28g,BD-3.5G,250,,,1,true",
+      "p2,Variant,,,3.5g,ORPHAN-3.5G,40,,,1,true"
+    ].join("\n");
+    const result = fromCsv(BUILTIN_PROFILES.wix, csv);
+    assertEquals(result.items.length, 1);
+    assertEquals(result.items[0].product_name, "Blue Dream");
+    assertEquals(result.items[0].category, "TOP");
+    assertEquals(result.items[0].cost, 20);
+    assertEquals(result.items[0].quantity_on_hand, 6);
+    assertEquals(result.summary.skipped_breakdown.MISSING_SKU, 1);
+    assertEquals(result.summary.skipped_breakdown.DUPLICATE_SKU, 1);
+    assertEquals(result.skipped.find(s => s.reason === "MISSING_PARENT").sku, "ORPHAN-3.5G");
+  });
+
+  test("Missing required columns are reported", () => {
+    assertThrows(() => fromCsv(BUILTIN_PROFILES.wix, "handleId,name\np1,Blue Dream"));
+  });
+
+  test("Shopify continuation rows inherit the first row's title", () => {
+    const csv = [
+      "Handle,Title,Type,Option1 Value,Variant SKU,Variant Price,Variant Inventory Qty,Cost per item",
+      "gelato,Gelato,Flower,3.5g,GEL-3.5G,40,5,18",
+      "gelato,,,7g,GEL-7G,75,2,34"
+    ].join("\n");
+    const result = fromCsv(BUILTIN_PROFILES.shopify, csv);
+    assertEquals(result.items.length, 2);
+    assertEquals(result.items[1].product_name, "Gelato");
+    assertEquals(result.items[1].category, "Flower");
+    assertEquals(result.items[1].retail, 75);
+    assertEquals(result.items[1].visible, true);
+  });
+
+  test("Square quantity column is matched by prefix", () => {
+    const csv = [
+      "Item Name,Variation Name,SKU,Price,Current Quantity OMEN Main St",
+      "Runtz,Eighth,RUN-3.5G,50,4"
+    ].join("\n");
+    const result = fromCsv(BUILTIN_PROFILES.square, csv);
+    assertEquals(result.items.length, 1);
+    assertEquals(result.items[0].product_id, "Runtz");
+    assertEquals(result.items[0].quantity_on_hand, 4);
+  });
+
+  test("Google Sheet pivots unit columns and derives catalog SKUs", () => {
+    const result = applyProfile(BUILTIN_PROFILES.google_sheet, [
+      { STRAIN: "Bloopiez", QUALITY: "TOP", OZ: "", "1/2": "1", "1/4": "", "1/8": "3" },
+      { STRAIN: "Gelato", QUALITY: "", OZ: "", "1/2": "", "1/4": "", "1/8": "" }
+    ]);
+    assertEquals(skuFromProductUnit("Blue Dream", "eighth"), "BLUE-DREAM-3.5G");
+    assertEquals(result.items.length, 2);
+    assertEquals(result.items[0].sku, "BLOOPIEZ-14G");
+    assertEquals(result.items[1].sku, "BLOOPIEZ-3.5G");
+    assertEquals(result.items[1].quantity_on_hand, 3);
+    assertEquals(result.items[1].category, "TOP");
+    assertEquals(result.stats.ignoredRows, 1);
+    // Merge writes mapped fields only - pricing stays as stored
+    assertEquals("retail" in result.items[0], false);
+    assertEquals("visible" in result.items[0], false);
+  });
+
+  // ========================================
+  // Saved profiles
+  // ========================================
+  console.log("\n🧪 Testing saved profiles...\n");
+
+  test("Invalid saved profiles are rejected", () => {
+    const base = { id: "pos-export", name: "POS export", columns: { sku: "Code", product_name: "Item", variant_name: "Size", quantity_on_hand: "Qty" } };
+    assertEquals(normalizeProfile(base).required.join(","), "sku,product_name,variant_name,quantity_on_hand,product_id");
+    assertEquals(normalizeProfile(base).columns.product_id[0], "item");
+    assertThrows(() => normalizeProfile({ ...base, id: "wix" }));
+    assertThrows(() => normalizeProfile({ ...base, id: "x" }));
+    assertThrows(() => normalizeProfile({ ...base, columns: { ...base.columns, price: "Price" } }));
+    assertThrows(() => normalizeProfile({ ...base, columns: { product_name: "Item", variant_name: "Size", quantity_on_hand: "Qty" } }));
+    assertThrows(() => normalizeProfile({ ...base, columns: { sku: "Code", product_name: "Item", quantity_on_hand: "Qty" } }));
+    assertThrows(() => normalizeProfile({ ...base, mode: "append" }));
+    assertThrows(() => normalizeProfile({ ...base, defaults: { retail: 10 } }));
+  });
+
+  test("Saved profile maps a custom layout", () => {
+    const profile = normalizeProfile({
+      id: "pos-export",
+      name: "POS export",
+      columns: { sku: "Code", product_id: "Code", product_name: "Item", variant_name: "Size", retail: "Price", quantity_on_hand: "Qty" },
+      defaults: { category: "HOUSE" }
+    });
+    const result = fromCsv(profile, "Item,Code,Size,Price,Qty\nZkittlez,ZK-1G,1g,$12.50,OUT_OF_STOCK\n,,,,");
+    assertEquals(result.items.length, 1);
+    assertEquals(result.items[0].retail, 12.5);
+    assertEquals(result.items[0].quantity_on_hand, 0);
+    assertEquals(result.items[0].inventory_status, "OUT_OF_STOCK");
+    assertEquals(result.items[0].category, "HOUSE");
+    assertEquals(result.items[0].source, "import_pos-export");
+  });
+
+  // Summary
+  // ========================================
+  return finish("One pipeline reads every import layout.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
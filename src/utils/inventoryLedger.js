@@ -0,0 +1,352 @@
+/**
+ * OMEN INVENTORY LEDGER
+ *
+ * Append-only movement model for on-hand inventory
+ *
+ * PURPOSE:
+ * - Define the typed movements that change on-hand quantity
+ * - Build validated movement records (reason, actor, source document)
+ * - Derive on-hand quantity by folding movements
+ * - Explain any SKU's on-hand line by line
+ *
+ * MOVEMENT TYPES:
+ * - RECEIVE  (+) Stock arriving from a vendor / purchase order
+ * - SALE     (-) Units sold to a customer
+ * - RETURN   (+) Units returned by a customer
+ * - SHRINK   (-) Loss, theft, damage, expiry
+ * - ADJUST   (±) Count corrections (signed delta)
+ * - TRANSFER (±) Stock moving between locations (signed delta)
+ *
+ * CONVENTIONS:
+ * - Directional types take a positive magnitude; the sign is applied here
+ * - ADJUST / TRANSFER take a signed, non-zero delta
+ * - Stored quantity is always the signed delta
+ *
+ * COUNTS: An ADJUST built from a count also carries the counted quantity
+ * (a count that agrees is still recorded, with a zero delta). On-hand is the
+ * last count plus the movements dated after it; movements dated before a
+ * count were already on (or off) the shelf when it was taken, so a sale that
+ * arrives late for a counted period does not come off twice. A SKU that was
+ * never counted is the plain SUM(quantity).
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/inventoryLedgerService.js
+ */
+
+// ============================================================================
+// MOVEMENT TYPES
+// ============================================================================
+
+export const MOVEMENT_TYPES = Object.freeze({
+  RECEIVE: 'RECEIVE',
+  SALE: 'SALE',
+  ADJUST: 'ADJUST',
+  SHRINK: 'SHRINK',
+  RETURN: 'RETURN',
+  TRANSFER: 'TRANSFER'
+});
+
+// Sign applied to a positive magnitude; 0 = caller supplies a signed delta
+const MOVEMENT_DIRECTION = {
+  RECEIVE: 1,
+  SALE: -1,
+  RETURN: 1,
+  SHRINK: -1,
+  ADJUST: 0,
+  TRANSFER: 0
+};
+
+// ============================================================================
+// MOVEMENT CONSTRUCTION
+// ============================================================================
+
+/**
+ * Build a validated ledger movement
+ *
+ * @param {Object} input
+ * @param {string} input.sku - SKU the movement applies to
+ * @param {string} input.type - One of MOVEMENT_TYPES
+ * @param {number} input.quantity - Magnitude (directional types) or signed delta (ADJUST/TRANSFER)
+ * @param {string} input.reason - Why the movement happened
+ * @param {string} input.actor - Who/what recorded it (user email, 'order_sync', ...)
+ * @param {Object} input.sourceDocument - { type, id } of the originating document
+ * @param {string} [input.occurredAt] - ISO timestamp (defaults to now)
+ * @param {Object} [input.metadata] - Free-form context (order line, counts, ...)
+ * @param {number} [input.countedQuantity] - ADJUST only: the count this delta lands on (delta may be 0)
+ *
+ * @returns {Object} Movement record with signed quantity
+ * @throws {Error} If any field is invalid
+ */
+export function createMovement(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('createMovement: Invalid movement - expected object');
+  }
+
+  const { sku, type, quantity, reason, actor, sourceDocument, occurredAt, metadata, countedQuantity } = input;
+  const isCount = countedQuantity !== undefined && countedQuantity !== null;
+
+  if (!sku || typeof sku !== 'string' || sku.trim() === '') {
+    throw new Error('createMovement: sku is required');
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(MOVEMENT_DIRECTION, type)) {
+    throw new Error(`createMovement: Unknown movement type "${type}" (expected ${Object.keys(MOVEMENT_TYPES).join(', ')})`);
+  }
+
+  if (isCount) {
+    if (type !== MOVEMENT_TYPES.ADJUST) {
+      throw new Error('createMovement: countedQuantity is only valid on ADJUST movements');
+    }
+    if (typeof countedQuantity !== 'number' || !Number.isFinite(countedQuantity) || countedQuantity < 0) {
+      throw new Error('createMovement: countedQuantity must be a non-negative number');
+    }
+  }
+
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || (quantity === 0 && !isCount)) {
+    throw new Error('createMovement: quantity must be a non-zero number');
+  }
+
+  const direction = MOVEMENT_DIRECTION[type];
+  if (direction !== 0 && quantity < 0) {
+    throw new Error(`createMovement: ${type} quantity must be positive (direction is implied by type)`);
+  }
+
+  if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+    throw new Error('createMovement: reason is required');
+  }
+
+  if (!actor || typeof actor !== 'string' || actor.trim() === '') {
+    throw new Error('createMovement: actor is required');
+  }
+
+  if (!sourceDocument || !sourceDocument.type || !sourceDocument.id) {
+    throw new Error('createMovement: sourceDocument { type, id } is required');
+  }
+
+  let timestamp = new Date().toISOString();
+  if (occurredAt) {
+    const parsed = new Date(occurredAt);
+    if (isNaN(parsed.getTime())) {
+      throw new Error('createMovement: occurredAt must be a valid ISO-8601 date string');
+    }
+    timestamp = parsed.toISOString();
+  }
+
+  return {
+    sku: sku.trim(),
+    movementType: type,
+    quantity: direction === 0 ? quantity : direction * quantity,
+    reason: reason.trim(),
+    actor: actor.trim(),
+    sourceDocument: {
+      type: String(sourceDocument.type),
+      id: String(sourceDocument.id)
+    },
+    occurredAt: timestamp,
+    countedQuantity: isCount ? countedQuantity : null,
+    metadata: metadata || null
+  };
+}
+
+// ============================================================================
+// DERIVATION
+// ============================================================================
+
+/**
+ * Order movements chronologically (ties keep insertion order)
+ *
+ * @param {Array} movements - Movement records
+ * @returns {Array} New array sorted by occurredAt ascending
+ */
+function sortChronologically(movements) {
+  return movements
+    .map((movement, index) => ({ movement, index }))
+    .sort((a, b) => {
+      const diff = new Date(a.movement.occurredAt) - new Date(b.movement.occurredAt);
+      return diff !== 0 ? diff : a.index - b.index;
+    })
+    .map(entry => entry.movement);
+}
+
+/**
+ * Fold one movement into a running balance
+ *
+ * A count re-baselines at the counted quantity; anything else adds its delta.
+ */
+function applyToBalance(balance, movement) {
+  if (movement.countedQuantity !== null && movement.countedQuantity !== undefined) {
+    return movement.countedQuantity;
+  }
+  return balance + movement.quantity;
+}
+
+/**
+ * Derive on-hand quantity per SKU from movements
+ *
+ * Per SKU: the last count, plus the movements dated after it.
+ *
+ * @param {Array} movements - Movement records (any order)
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Ignore movements after this ISO timestamp
+ *
+ * @returns {Map<string, number>} sku → on-hand quantity
+ */
+export function deriveOnHand(movements, options = {}) {
+  if (!Array.isArray(movements)) {
+    throw new Error('deriveOnHand: Invalid movements - expected array');
+  }
+
+  const cutoff = options.asOf ? new Date(options.asOf).getTime() : null;
+  const onHand = new Map();
+
+  for (const movement of sortChronologically(movements)) {
+    if (cutoff !== null && new Date(movement.occurredAt).getTime() > cutoff) {
+      continue;
+    }
+    onHand.set(movement.sku, applyToBalance(onHand.get(movement.sku) || 0, movement));
+  }
+
+  return onHand;
+}
+
+/**
+ * Explain a SKU's on-hand quantity movement by movement
+ *
+ * Each line carries the running balance after that movement, so the last
+ * line's balance IS the on-hand quantity. Count lines reset the balance to
+ * the counted quantity.
+ *
+ * @param {string} sku - SKU to explain
+ * @param {Array} movements - Movement records (may include other SKUs)
+ *
+ * @returns {Object} { sku, onHand, lines, totalsByType, movementCount }
+ */
+export function explainOnHand(sku, movements) {
+  if (!Array.isArray(movements)) {
+    throw new Error('explainOnHand: Invalid movements - expected array');
+  }
+
+  const skuMovements = sortChronologically(movements.filter(m => m.sku === sku));
+
+  const totalsByType = {};
+  for (const type of Object.keys(MOVEMENT_TYPES)) {
+    totalsByType[type] = 0;
+  }
+
+  let balance = 0;
+  const lines = skuMovements.map(movement => {
+    balance = applyToBalance(balance, movement);
+    totalsByType[movement.movementType] += movement.quantity;
+
+    return {
+      occurredAt: movement.occurredAt,
+      movementType: movement.movementType,
+      quantity: movement.quantity,
+      countedQuantity: movement.countedQuantity ?? null,
+      balance,
+      reason: movement.reason,
+      actor: movement.actor,
+      sourceDocument: movement.sourceDocument
+    };
+  });
+
+  return {
+    sku,
+    onHand: balance,
+    lines,
+    totalsByType,
+    movementCount: lines.length
+  };
+}
+
+/**
+ * Build the count movement: an ADJUST from derived on-hand to the count
+ *
+ * Always returns a movement - a count that agrees still re-baselines on-hand
+ * at its date (zero delta).
+ *
+ * @param {string} sku - SKU counted
+ * @param {number} countedQty - Physically counted / externally reported quantity
+ * @param {number} derivedQty - Current ledger on-hand
+ * @param {Object} context - { reason, actor, sourceDocument, occurredAt }
+ *
+ * @returns {Object} ADJUST movement with countedQuantity
+ */
+export function buildCountAdjustment(sku, countedQty, derivedQty, context) {
+  const delta = countedQty - (derivedQty || 0);
+
+  return createMovement({
+    sku,
+    type: MOVEMENT_TYPES.ADJUST,
+    quantity: delta,
+    reason: context.reason,
+    actor: context.actor,
+    sourceDocument: context.sourceDocument,
+    occurredAt: context.occurredAt,
+    countedQuantity: countedQty,
+    metadata: { countedQty, derivedQty: derivedQty || 0 }
+  });
+}
+
+// ============================================================================
+// ROW MAPPING (ledger table ↔ movement records)
+// ============================================================================
+
+/**
+ * Convert a movement to an inventory_movements row
+ *
+ * @param {string} storeId - Store identifier
+ * @param {Object} movement - Movement from createMovement
+ * @returns {Object} Table row
+ */
+export function movementToRow(storeId, movement) {
+  return {
+    store_id: storeId,
+    sku: movement.sku,
+    movement_type: movement.movementType,
+    quantity: movement.quantity,
+    reason: movement.reason,
+    actor: movement.actor,
+    source_type: movement.sourceDocument.type,
+    source_id: movement.sourceDocument.id,
+    occurred_at: movement.occurredAt,
+    counted_quantity: movement.countedQuantity ?? null,
+    metadata: movement.metadata
+  };
+}
+
+/**
+ * Convert an inventory_movements row back to a movement record
+ *
+ * @param {Object} row - Table row
+ * @returns {Object} Movement record
+ */
+export function rowToMovement(row) {
+  return {
+    id: row.id,
+    sku: row.sku,
+    movementType: row.movement_type,
+    quantity: Number(row.quantity),
+    reason: row.reason,
+    actor: row.actor,
+    sourceDocument: {
+      type: row.source_type,
+      id: row.source_id
+    },
+    occurredAt: row.occurred_at,
+    recordedAt: row.recorded_at,
+    countedQuantity: row.counted_quantity === null || row.counted_quantity === undefined
+      ? null
+      : Number(row.counted_quantity),
+    metadata: row.metadata || null
+  };
+}
+
+export default {
+  MOVEMENT_TYPES,
+  createMovement,
+  deriveOnHand,
+  explainOnHand,
+  buildCountAdjustment,
+  movementToRow,
+  rowToMovement
+};
@@ -0,0 +1,244 @@
+// src/utils/inventoryLedger.test.js
+// Unit tests for the append-only inventory ledger
+// Pure functions only - no database
+
+import {
+  MOVEMENT_TYPES,
+  createMovement,
+  deriveOnHand,
+  explainOnHand,
+  buildCountAdjustment,
+  movementToRow,
+  rowToMovement
+} from "./inventoryLedger.js";
+import { applyOrderToInventory, processOrderBatch } from "./inventoryState.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const source = (id) => ({ type: "manual", id });
+
+  function movement(type, quantity, occurredAt, sku = "BLOOPIEZ-3.5G") {
+    return createMovement({
+      sku,
+      type,
+      quantity,
+      reason: `${type} test`,
+      actor: "tester",
+      sourceDocument: source(`${type}-${occurredAt}`),
+      occurredAt,
+    });
+  }
+
+  console.log("\n🧪 Running Inventory Ledger Tests\n");
+
+  // ========================================
+  // Step 1: Movement construction
+  // ========================================
+  console.log("📋 Step 1: Movement construction");
+
+  test("Directional types apply their sign", () => {
+    assertEquals(movement("RECEIVE", 10, "2026-01-01").quantity, 10);
+    assertEquals(movement("RETURN", 1, "2026-01-01").quantity, 1);
+    assertEquals(movement("SALE", 3, "2026-01-01").quantity, -3);
+    assertEquals(movement("SHRINK", 2, "2026-01-01").quantity, -2);
+  });
+
+  test("ADJUST and TRANSFER keep the signed delta", () => {
+    assertEquals(movement("ADJUST", -4, "2026-01-01").quantity, -4);
+    assertEquals(movement("TRANSFER", 5, "2026-01-01").quantity, 5);
+  });
+
+  test("Negative magnitude on directional type throws", () => {
+    assertThrows(() => movement("SALE", -3, "2026-01-01"));
+  });
+
+  test("Unknown type, zero quantity and missing context throw", () => {
+    assertThrows(() => movement("STEAL", 1, "2026-01-01"));
+    assertThrows(() => movement("ADJUST", 0, "2026-01-01"));
+    assertThrows(() => createMovement({ sku: "A", type: "RECEIVE", quantity: 1, actor: "x", sourceDocument: source("1") }));
+    assertThrows(() => createMovement({ sku: "A", type: "RECEIVE", quantity: 1, reason: "r", sourceDocument: source("1") }));
+    assertThrows(() => createMovement({ sku: "A", type: "RECEIVE", quantity: 1, reason: "r", actor: "x" }));
+  });
+
+  test("Row mapping round-trips", () => {
+    const m = movement("RECEIVE", 6, "2026-01-02T00:00:00.000Z");
+    const row = movementToRow("NJWeedWizard", m);
+    assertEquals(row.store_id, "NJWeedWizard");
+    assertEquals(row.movement_type, "RECEIVE");
+    const back = rowToMovement(row);
+    assertEquals(back.quantity, 6);
+    assertEquals(back.sourceDocument.id, m.sourceDocument.id);
+  });
+
+  // ========================================
+  // Step 2: Derivation and explanation
+  // ========================================
+  console.log("\n📋 Step 2: Derivation and explanation");
+
+  const ledger = [
+    movement("SALE", 3, "2026-01-03"),
+    movement("RECEIVE", 20, "2026-01-01"),
+    movement("SHRINK", 1, "2026-01-04"),
+    movement("RETURN", 1, "2026-01-05"),
+    movement("RECEIVE", 7, "2026-01-02", "OTHER-7G"),
+  ];
+
+  test("On-hand is the sum of movements per SKU", () => {
+    const onHand = deriveOnHand(ledger);
+    assertEquals(onHand.get("BLOOPIEZ-3.5G"), 17);
+    assertEquals(onHand.get("OTHER-7G"), 7);
+  });
+
+  test("asOf ignores later movements", () => {
+    assertEquals(deriveOnHand(ledger, { asOf: "2026-01-03T12:00:00Z" }).get("BLOOPIEZ-3.5G"), 17);
+  });
+
+  test("Explanation is chronological with running balance", () => {
+    const explanation = explainOnHand("BLOOPIEZ-3.5G", ledger);
+    assertEquals(explanation.movementCount, 4);
+    assertEquals(explanation.lines[0].movementType, "RECEIVE");
+    assertEquals(explanation.lines[1].balance, 17);
+    assertEquals(explanation.onHand, 17);
+    assertEquals(explanation.totalsByType.SALE, -3);
+    assertEquals(explanation.lines[explanation.lines.length - 1].balance, explanation.onHand);
+  });
+
+  test("Count adjustment is the difference and carries the count", () => {
+    const ctx = { reason: "count", actor: "tester", sourceDocument: source("c1") };
+    const adj = buildCountAdjustment("BLOOPIEZ-3.5G", 15, 17, ctx);
+    assertEquals(adj.movementType, MOVEMENT_TYPES.ADJUST);
+    assertEquals(adj.quantity, -2);
+    assertEquals(adj.countedQuantity, 15);
+  });
+
+  test("A count that agrees is still recorded, with a zero delta", () => {
+    const ctx = { reason: "count", actor: "tester", sourceDocument: source("c2") };
+    const adj = buildCountAdjustment("BLOOPIEZ-3.5G", 17, 17, ctx);
+    assertEquals(adj.quantity, 0);
+    assertEquals(adj.countedQuantity, 17);
+  });
+
+  test("countedQuantity is ADJUST-only and non-negative; only counts may have zero delta", () => {
+    const base = { sku: "A", reason: "r", actor: "x", sourceDocument: source("1") };
+    assertThrows(() => createMovement({ ...base, type: "RECEIVE", quantity: 1, countedQuantity: 5 }));
+    assertThrows(() => createMovement({ ...base, type: "ADJUST", quantity: 0, countedQuantity: -1 }));
+    assertEquals(createMovement({ ...base, type: "ADJUST", quantity: 0, countedQuantity: 0 }).quantity, 0);
+    assertEquals(movement("ADJUST", -4, "2026-01-01").countedQuantity, null);
+  });
+
+  // ========================================
+  // Step 2b: Counts re-baseline on-hand
+  // ========================================
+  console.log("\n📋 Step 2b: Counts re-baseline on-hand");
+
+  function count(counted, derived, occurredAt, sku = "BLOOPIEZ-3.5G") {
+    return buildCountAdjustment(sku, counted, derived, {
+      reason: "count",
+      actor: "tester",
+      sourceDocument: source(`count-${occurredAt}`),
+      occurredAt
+    });
+  }
+
+  test("A backdated sale arriving after a count does not come off again", () => {
+    // Opening count of 10 on Jan 5, then a sale on Jan 6
+    const counted = [count(10, 0, "2026-01-05T00:00:00Z"), movement("SALE", 2, "2026-01-06T00:00:00Z")];
+    assertEquals(deriveOnHand(counted).get("BLOOPIEZ-3.5G"), 8);
+
+    // Backfill delivers a Jan 3 sale - the Jan 5 count already reflects it
+    const backfilled = [...counted, movement("SALE", 4, "2026-01-03T00:00:00Z")];
+    assertEquals(deriveOnHand(backfilled).get("BLOOPIEZ-3.5G"), 8);
+    assertEquals(explainOnHand("BLOOPIEZ-3.5G", backfilled).onHand, 8);
+  });
+
+  test("Backfilling a period entirely before the opening count never goes negative", () => {
+    const sales = Array.from({ length: 20 }, (_, i) =>
+      movement("SALE", 5, `2026-01-${String(i + 1).padStart(2, "0")}T12:00:00Z`, "AFTERNOON DELIGHT-14G"));
+    const ledgerWithOpening = [count(38, 0, "2026-01-25T00:00:00Z", "AFTERNOON DELIGHT-14G"), ...sales];
+    assertEquals(deriveOnHand(ledgerWithOpening).get("AFTERNOON DELIGHT-14G"), 38);
+  });
+
+  test("The latest count wins; movements after it still apply", () => {
+    const history = [
+      count(10, 0, "2026-01-01T00:00:00Z"),
+      movement("SALE", 3, "2026-01-02T00:00:00Z"),
+      count(6, 7, "2026-01-04T00:00:00Z"),
+      movement("RECEIVE", 5, "2026-01-05T00:00:00Z"),
+      movement("SALE", 1, "2026-01-03T00:00:00Z")
+    ];
+    assertEquals(deriveOnHand(history).get("BLOOPIEZ-3.5G"), 11);
+    // As of Jan 3 the Jan 4 count has not happened yet
+    assertEquals(deriveOnHand(history, { asOf: "2026-01-03T12:00:00Z" }).get("BLOOPIEZ-3.5G"), 6);
+
+    const explanation = explainOnHand("BLOOPIEZ-3.5G", history);
+    assertEquals(explanation.lines[3].countedQuantity, 6);
+    assertEquals(explanation.lines[3].balance, 6);
+    assertEquals(explanation.onHand, 11);
+  });
+
+  test("Count rows round-trip counted_quantity", () => {
+    const row = movementToRow("NJWeedWizard", count(4, 4, "2026-01-02T00:00:00Z"));
+    assertEquals(row.counted_quantity, 4);
+    assertEquals(row.quantity, 0);
+    assertEquals(rowToMovement({ ...row, counted_quantity: "4" }).countedQuantity, 4);
+    assertEquals(rowToMovement(movementToRow("S", movement("SALE", 1, "2026-01-02"))).countedQuantity, null);
+  });
+
+  // ========================================
+  // Step 3: Orders emit SALE movements
+  // ========================================
+  console.log("\n📋 Step 3: applyOrderToInventory emits SALE movements");
+
+  const inventory = [
+    { sku: "BLOOPIEZ-3.5G", strain: "Bloopiez", unit: "3.5g", quantity: 10, catalog_item_id: "cat-1" },
+    { sku: "OTHER-7G", strain: "Other", unit: "7g", quantity: 1, catalog_item_id: "cat-2" },
+  ];
+
+  test("Applied line items become SALE movements", () => {
+    const result = applyOrderToInventory(
+      {
+        id: "10042",
+        created_at: "2026-01-06T15:00:00.000Z",
+        lineItems: [{ catalogItemId: "cat-1", itemName: "Bloopiez", quantity: 2 }],
+      },
+      inventory
+    );
+    assertEquals(result.movements.length, 1);
+    assertEquals(result.movements[0].movementType, "SALE");
+    assertEquals(result.movements[0].quantity, -2);
+    assertEquals(result.movements[0].sourceDocument.id, "10042");
+    assertEquals(result.movements[0].occurredAt, "2026-01-06T15:00:00.000Z");
+    assertEquals(result.movements[0].actor, "order_sync");
+  });
+
+  test("Skipped (oversold) items emit no movement", () => {
+    const result = applyOrderToInventory(
+      { id: "10043", lineItems: [{ catalogItemId: "cat-2", itemName: "Other", quantity: 5 }] },
+      inventory
+    );
+    assertEquals(result.skippedItems.length, 1);
+    assertEquals(result.movements.length, 0);
+  });
+
+  test("Batch collects movements across orders", () => {
+    const batch = processOrderBatch(
+      [
+        { id: "1", lineItems: [{ catalogItemId: "cat-1", itemName: "Bloopiez", quantity: 1 }] },
+        { id: "2", lineItems: [{ catalogItemId: "cat-1", itemName: "Bloopiez", quantity: 4 }] },
+      ],
+      inventory
+    );
+    assertEquals(batch.movements.length, 2);
+    const onHand = deriveOnHand([movement("RECEIVE", 10, "2026-01-01"), ...batch.movements]);
+    assertEquals(onHand.get("BLOOPIEZ-3.5G"), 5);
+  });
+
+  return finish("Ledger is consistent.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -17,6 +17,9 @@
  * SOURCE OF TRUTH: inventory_live (sole inventory table)
  */
 
+import { findBestMatch, summarizeCandidates, AMBIGUITY_MARGIN } from './fuzzyMatcher.js';
+import { aliasKey } from './skuAliases.js';
+
 // ============================================================================
 // NORMALIZATION HELPERS
 // ============================================================================
@@ -190,18 +193,30 @@ export function parseLineItem(lineItem) {
 // INVENTORY RESOLUTION
 // ============================================================================
 
+// Confidence per match method (same scale as skuResolver.js); matches below
+// the review threshold are queued by services/skuReviewService.js.
+// fuzzy_name_unit confidence is the fuzzyMatcher.js score.
+export const MATCH_CONFIDENCE = Object.freeze({
+  alias: 1.0,
+  catalog_id: 1.0,
+  exact_strain_unit: 0.95
+});
+
 /**
  * Resolve a parsed line item to exactly one inventory row
  *
  * PURE FUNCTION: No side effects, no mutations
  *
  * Resolution Strategy:
+ * 0. Reviewed alias for the line's strain + unit (options.aliases)
  * 1. Exact match by catalogItemId (if inventory has wix_catalog_id column)
  * 2. Exact match by normalized strain + unit
- * 3. Fallback: normalized name matching with unit
+ * 3. Fallback: fuzzy name match (fuzzyMatcher.js), units must not conflict
  *
  * @param {Object} parsedItem - Output from parseLineItem()
  * @param {Array} inventoryRows - Pre-loaded inventory_live rows
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.aliases] - Reviewed aliases (skuAliases.buildAliasMap)
  *
  * @returns {Object} Resolution result with matched inventory row
  *
@@ -218,7 +233,7 @@ export function parseLineItem(lineItem) {
  * //   _resolutionMetadata: { ... }  // Extension point
  * // }
  */
-export function resolveInventoryItem(parsedItem, inventoryRows) {
+export function resolveInventoryItem(parsedItem, inventoryRows, options = {}) {
   // Validate inputs
   if (!parsedItem || typeof parsedItem !== 'object') {
     throw new Error('resolveInventoryItem: Invalid parsedItem - expected object');
@@ -238,10 +253,22 @@ export function resolveInventoryItem(parsedItem, inventoryRows) {
   const candidates = [];
   let matchMethod = null;
 
+  // -------------------------------------------------------------------------
+  // STRATEGY 0: Reviewed alias (keyed by strain + canonical unit, not matchKey)
+  // -------------------------------------------------------------------------
+  const aliasSku = options.aliases?.get(aliasKey(parsedItem.itemName, parsedItem.unit));
+  if (aliasSku) {
+    const row = inventoryRows.find(r => r.sku === aliasSku);
+    if (row) {
+      candidates.push(row);
+      matchMethod = 'alias';
+    }
+  }
+
   // -------------------------------------------------------------------------
   // STRATEGY 1: Exact match by catalogItemId
   // -------------------------------------------------------------------------
-  if (parsedItem.catalogItemId) {
+  if (candidates.length === 0 && parsedItem.catalogItemId) {
     for (const row of inventoryRows) {
       // Check if inventory has wix_catalog_id or catalog_item_id column
       const rowCatalogId = row.wix_catalog_id || row.catalog_item_id || row.catalogItemId;
@@ -271,27 +298,25 @@ export function resolveInventoryItem(parsedItem, inventoryRows) {
   }
 
   // -------------------------------------------------------------------------
-  // STRATEGY 3: Fallback - normalized name contains matching
+  // STRATEGY 3: Fallback - fuzzy name match (typos, word order), same unit
   // -------------------------------------------------------------------------
-  if (candidates.length === 0) {
-    const targetName = parsedItem.itemNameNormalized;
-    const targetUnit = parsedItem.unitNormalized;
-
-    for (const row of inventoryRows) {
-      const rowStrain = normalize(row.strain || row.product_name || '');
-      const rowUnit = normalizeUnit(row.unit || '');
-
-      // Check if names match (contains in either direction)
-      const nameMatches = rowStrain.includes(targetName) || targetName.includes(rowStrain);
-
-      // Check if units match
-      const unitMatches = !targetUnit || !rowUnit || rowUnit === targetUnit;
+  let fuzzy = null;
+  if (candidates.length === 0 && parsedItem.itemNameNormalized.length > 2) {
+    fuzzy = findBestMatch(
+      { name: parsedItem.itemName, unit: parsedItem.unit },
+      inventoryRows,
+      { excludeUnitMismatch: true }
+    );
 
-      if (nameMatches && unitMatches && targetName.length > 2) {
-        candidates.push(row);
-        matchMethod = 'fuzzy_name_unit';
-      }
+    if (fuzzy.ambiguous) {
+      // Near-ties go to the MULTIPLE_MATCHES error below
+      candidates.push(...fuzzy.candidates
+        .filter(candidate => fuzzy.best.score - candidate.score < AMBIGUITY_MARGIN)
+        .map(candidate => candidate.row));
+    } else if (fuzzy.best) {
+      candidates.push(fuzzy.best.row);
     }
+    if (candidates.length > 0) matchMethod = 'fuzzy_name_unit';
   }
 
   // -------------------------------------------------------------------------
@@ -325,6 +350,7 @@ export function resolveInventoryItem(parsedItem, inventoryRows) {
 
   // EXACT ONE MATCH: Success
   const matchedRow = candidates[0];
+  const confidence = matchMethod === 'fuzzy_name_unit' ? fuzzy.confidence : MATCH_CONFIDENCE[matchMethod];
 
   return {
     matched: true,
@@ -339,21 +365,22 @@ export function resolveInventoryItem(parsedItem, inventoryRows) {
       quality: matchedRow.quality
     },
     matchMethod,
+    confidence,
 
     // =========================================================================
     // EXTENSION POINT: Future metadata for agent reasoning
     // =========================================================================
     // This object can later be extended to include:
-    // - confidence: 0.0-1.0 match confidence score
-    // - alternativeMatches: near-miss candidates for review
-    // - matchScore: numeric similarity score
     // - forecastImpact: predicted velocity impact of this sale
     _resolutionMetadata: {
       resolvedAt: new Date().toISOString(),
       candidatesEvaluated: inventoryRows.length,
       matchMethod,
+      confidence,
+      matchExplanation: fuzzy?.best ? fuzzy.best.explanation : undefined,
+      alternativeMatches: fuzzy ? summarizeCandidates(fuzzy.candidates.slice(1)) : undefined,
       version: '1.0.0',
-      // Future: confidence, alternativeMatches, matchScore, forecastImpact
+      // Future: forecastImpact
     }
   };
 }
@@ -369,6 +396,7 @@ export function resolveInventoryItem(parsedItem, inventoryRows) {
  *
  * @param {Array} lineItems - Array of raw line items from webhook
  * @param {Array} inventoryRows - Pre-loaded inventory_live rows
+ * @param {Object} [options] - Passed to resolveInventoryItem ({ aliases })
  *
  * @returns {Object} Batch result with successes and failures
  *
@@ -376,12 +404,12 @@ export function resolveInventoryItem(parsedItem, inventoryRows) {
  * const result = resolveOrderLineItems(order.lineItems, inventory);
  * // Returns:
  * // {
- * //   resolved: [ { parsedItem, inventoryItem, matchMethod } ],
+ * //   resolved: [ { parsedItem, inventoryItem, matchMethod, confidence } ],
  * //   unresolved: [ { parsedItem, error } ],
  * //   summary: { total: 3, resolved: 2, unresolved: 1 }
  * // }
  */
-export function resolveOrderLineItems(lineItems, inventoryRows) {
+export function resolveOrderLineItems(lineItems, inventoryRows, options = {}) {
   if (!Array.isArray(lineItems)) {
     return {
       resolved: [],
@@ -399,12 +427,13 @@ export function resolveOrderLineItems(lineItems, inventoryRows) {
       const parsedItem = parseLineItem(lineItem);
 
       // Resolve to inventory
-      const resolution = resolveInventoryItem(parsedItem, inventoryRows);
+      const resolution = resolveInventoryItem(parsedItem, inventoryRows, options);
 
       resolved.push({
         parsedItem,
         inventoryItem: resolution.inventoryItem,
         matchMethod: resolution.matchMethod,
+        confidence: resolution.confidence,
         quantity: parsedItem.quantity
       });
 
@@ -456,6 +485,7 @@ export default {
   generateMatchKey,
 
   // Core functions
+  MATCH_CONFIDENCE,
   parseLineItem,
   resolveInventoryItem,
   resolveOrderLineItems
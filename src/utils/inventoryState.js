@@ -8,17 +8,19 @@
  * - Prevent negative inventory
  * - Provide read-only inventory status for web app
  * - Maintain auditability of all changes
+ * - Emit SALE movements for the inventory ledger
+ * - Reconcile physical counts against derived quantities (cycle counts)
  *
  * CONSTRAINTS:
- * - No schema changes
- * - No new tables
+ * - No I/O (callers persist emitted movements)
  * - No async background jobs
  * - No AI logic
  * - No business policy inference
  *
- * SOURCE OF TRUTH: inventory_live (sole inventory table)
+ * SOURCE OF TRUTH: inventory_movements ledger (see inventoryLedger.js)
  *
  * DEPENDS ON: inventoryResolver.js (parseLineItem, resolveInventoryItem)
+ *             inventoryLedger.js (createMovement)
  */
 
 import {
@@ -26,6 +28,7 @@ import {
   resolveInventoryItem,
   resolveOrderLineItems
 } from './inventoryResolver.js';
+import { createMovement, MOVEMENT_TYPES } from './inventoryLedger.js';
 
 // ============================================================================
 // CONFIGURATION (Thresholds - can be tuned externally)
@@ -53,8 +56,11 @@ const CONFIG = {
  *
  * @param {Object} order - Order object containing lineItems array
  * @param {Array} inventoryRows - Current inventory_live rows (will NOT be mutated)
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Actor recorded on SALE movements (default 'order_sync')
+ * @param {Map<string, string>} [options.aliases] - Reviewed SKU aliases, checked before name matching
  *
- * @returns {Object} Application result with changes and new state
+ * @returns {Object} Application result with changes, SALE movements and new state
  *
  * @example
  * const result = applyOrderToInventory(order, inventory);
@@ -65,11 +71,14 @@ const CONFIG = {
  * //     { sku: "ABC", previousQty: 10, soldQty: 2, newQty: 8 }
  * //   ],
  * //   skippedItems: [],
+ * //   movements: [
+ * //     { sku: "ABC", movementType: "SALE", quantity: -2, ... }
+ * //   ],
  * //   newInventoryState: [ ... ],  // Cloned inventory with updates
  * //   audit: { ... }
  * // }
  */
-export function applyOrderToInventory(order, inventoryRows) {
+export function applyOrderToInventory(order, inventoryRows, options = {}) {
   // Validate inputs
   if (!order || typeof order !== 'object') {
     throw new Error('applyOrderToInventory: Invalid order - expected object');
@@ -80,15 +89,19 @@ export function applyOrderToInventory(order, inventoryRows) {
   }
 
   const lineItems = order.lineItems || order.line_items || [];
+  const orderId = order.id || order.order_id || order.orderNumber || 'unknown';
+  const orderDate = order.created_at || order.order_date || order.createdDate || null;
+  const actor = options.actor || 'order_sync';
 
   if (lineItems.length === 0) {
     return {
       success: true,
       appliedChanges: [],
       skippedItems: [],
+      movements: [],
       newInventoryState: inventoryRows, // No changes
       audit: {
-        orderId: order.id || order.order_id || 'unknown',
+        orderId,
         processedAt: new Date().toISOString(),
         totalItems: 0,
         applied: 0,
@@ -107,10 +120,11 @@ export function applyOrderToInventory(order, inventoryRows) {
   }
 
   // Resolve all line items
-  const resolution = resolveOrderLineItems(lineItems, inventoryClone);
+  const resolution = resolveOrderLineItems(lineItems, inventoryClone, { aliases: options.aliases });
 
   const appliedChanges = [];
   const skippedItems = [];
+  const movements = [];
 
   // Process resolved items
   for (const item of resolution.resolved) {
@@ -161,6 +175,8 @@ export function applyOrderToInventory(order, inventoryRows) {
       previousQty,
       soldQty,
       newQty,
+      matchMethod: item.matchMethod,
+      confidence: item.confidence,
 
       // =========================================================================
       // EXTENSION POINT: Forecasting hooks
@@ -173,6 +189,17 @@ export function applyOrderToInventory(order, inventoryRows) {
         // Future: forecastImpact, velocityDelta, restockEta
       }
     });
+
+    // Ledger: every applied decrement is a SALE movement
+    movements.push(createMovement({
+      sku: row.sku,
+      type: MOVEMENT_TYPES.SALE,
+      quantity: soldQty,
+      reason: `Order ${orderId}`,
+      actor,
+      sourceDocument: { type: 'order', id: orderId },
+      occurredAt: orderDate || undefined
+    }));
   }
 
   // Collect unresolved items
@@ -191,10 +218,11 @@ export function applyOrderToInventory(order, inventoryRows) {
     success,
     appliedChanges,
     skippedItems,
+    movements,
     newInventoryState: inventoryClone,
 
     audit: {
-      orderId: order.id || order.order_id || 'unknown',
+      orderId,
       processedAt: new Date().toISOString(),
       totalItems: lineItems.length,
       applied: appliedChanges.length,
@@ -235,6 +263,7 @@ export function processOrderBatch(orders, initialInventory) {
 
   let currentInventory = initialInventory;
   const results = [];
+  const movements = [];
   let totalApplied = 0;
   let totalSkipped = 0;
 
@@ -244,6 +273,7 @@ export function processOrderBatch(orders, initialInventory) {
 
       // Update inventory state for next iteration
       currentInventory = result.newInventoryState;
+      movements.push(...result.movements);
 
       results.push({
         orderId: result.audit.orderId,
@@ -270,6 +300,7 @@ export function processOrderBatch(orders, initialInventory) {
     totalApplied,
     totalSkipped,
     finalInventory: currentInventory,
+    movements,
     results,
 
     // =========================================================================
@@ -295,13 +326,22 @@ export function processOrderBatch(orders, initialInventory) {
  * Confirms:
  * - Total decrements equal total sold
  * - No inventory row went negative
+ * - Physical counts (when given) agree with the derived quantities
+ *
+ * Count reconciliation is what cycle counts use: pass no changes, the
+ * derived rows (e.g. inventory_virtual available_quantity as quantity) and
+ * the shelf counts. Each counted SKU gets a variance (counted - derived);
+ * negative is shrink, positive is overage. A SKU missing from the state is
+ * reconciled against 0.
  *
  * @param {Array} appliedChanges - Array of change records from applyOrderToInventory
  * @param {Array} newInventoryState - Updated inventory array
+ * @param {Object} [options]
+ * @param {Array<{sku: string, countedQty: number}>} [options.counts] - Physical counts to reconcile
  *
- * @returns {Object} Verification result
+ * @returns {Object} Verification result (variances only when counts are given)
  */
-export function verifyInventoryChanges(appliedChanges, newInventoryState) {
+export function verifyInventoryChanges(appliedChanges, newInventoryState, options = {}) {
   const errors = [];
 
   // Check 1: Calculate total decremented
@@ -340,14 +380,54 @@ export function verifyInventoryChanges(appliedChanges, newInventoryState) {
     }
   }
 
+  // Check 4: Reconcile physical counts against derived quantities
+  let variances = null;
+  let countSummary = null;
+  if (Array.isArray(options.counts)) {
+    const derived = new Map(newInventoryState.map(row => [row.sku, Number(row.quantity) || 0]));
+
+    variances = options.counts.map(count => {
+      const known = derived.has(count.sku);
+      const derivedQty = known ? derived.get(count.sku) : 0;
+      const variance = count.countedQty - derivedQty;
+      return {
+        sku: count.sku,
+        known,
+        derivedQty,
+        countedQty: count.countedQty,
+        variance,
+        variancePercent: derivedQty !== 0 ? Math.round((variance / Math.abs(derivedQty)) * 1000) / 10 : null
+      };
+    });
+
+    const mismatched = variances.filter(v => v.variance !== 0);
+    if (mismatched.length > 0) {
+      errors.push({
+        type: 'COUNT_VARIANCE',
+        message: `${mismatched.length} counted items differ from the derived quantity`,
+        items: mismatched
+      });
+    }
+
+    countSummary = {
+      countsReconciled: variances.length,
+      varianceCount: mismatched.length,
+      shrinkUnits: mismatched.reduce((sum, v) => sum + Math.max(0, -v.variance), 0),
+      overageUnits: mismatched.reduce((sum, v) => sum + Math.max(0, v.variance), 0),
+      netVariance: mismatched.reduce((sum, v) => sum + v.variance, 0)
+    };
+  }
+
   return {
     valid: errors.length === 0,
     totalDecremented,
     errors,
+    ...(variances ? { variances } : {}),
     summary: {
       changesVerified: appliedChanges.length,
       inventoryRowsChecked: newInventoryState.length,
-      negativeCount: negativeItems.length
+      negativeCount: negativeItems.length,
+      ...countSummary
     }
   };
 }
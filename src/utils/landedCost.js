@@ -0,0 +1,254 @@
+/**
+ * OMEN LANDED COST
+ *
+ * A shipment's real unit cost is the invoice price plus its share of the
+ * extra charges paid to get it on the shelf: freight, lab testing, excise.
+ * Each charge is allocated across the shipment's lines by one basis:
+ *
+ *   weight   — grams received (quantity × grams per unit)
+ *   value    — invoice value (quantity × invoice unit cost)
+ *   quantity — units received
+ *
+ * Default basis per charge type: freight by weight, testing by quantity,
+ * excise and anything else by value. Allocations are rounded to cents and
+ * the rounding remainder goes to the largest shares, so every charge is
+ * allocated to the cent.
+ *
+ *   landed unit cost = (invoice total + allocated charges) / quantity
+ *
+ * PURE MODULE: No I/O. Shipments are stored by services/landedCostService.js
+ * and landed unit costs enter cost history (utils/costing.js) as receipts.
+ */
+
+import { getGramsForUnit } from './unitWeights.js';
+
+// ============================================================================
+// CHARGES
+// ============================================================================
+
+export const ALLOCATION_BASES = Object.freeze({
+  WEIGHT: 'weight',
+  VALUE: 'value',
+  QUANTITY: 'quantity'
+});
+
+export const CHARGE_TYPES = Object.freeze({
+  FREIGHT: 'freight',
+  TESTING: 'testing',
+  EXCISE: 'excise',
+  OTHER: 'other'
+});
+
+const DEFAULT_BASIS = {
+  freight: ALLOCATION_BASES.WEIGHT,
+  testing: ALLOCATION_BASES.QUANTITY,
+  excise: ALLOCATION_BASES.VALUE,
+  other: ALLOCATION_BASES.VALUE
+};
+
+function cents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate and normalize a shipment
+ *
+ * @param {Object} input - { shipmentId, vendor?, receivedAt?, notes?,
+ *   lines: [{ sku, quantity, unitCost | unit_cost, grams?, unit? }],
+ *   charges: [{ type, amount, basis?, description? }] }
+ * @returns {Object} { shipmentId, vendor, receivedAt, notes, lines, charges }
+ * @throws {Error} If the shipment is invalid
+ */
+export function normalizeShipment(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('normalizeShipment: shipment must be an object');
+  }
+
+  const shipmentId = typeof input.shipmentId === 'string' ? input.shipmentId.trim() : '';
+  if (!shipmentId) {
+    throw new Error('normalizeShipment: shipmentId is required');
+  }
+
+  const receivedAt = input.receivedAt ? new Date(input.receivedAt) : new Date();
+  if (isNaN(receivedAt.getTime())) {
+    throw new Error('normalizeShipment: receivedAt must be an ISO-8601 date');
+  }
+
+  if (!Array.isArray(input.lines) || input.lines.length === 0) {
+    throw new Error('normalizeShipment: At least one line is required');
+  }
+
+  const seen = new Set();
+  const lines = input.lines.map(line => {
+    const sku = typeof line?.sku === 'string' ? line.sku.trim() : '';
+    if (!sku) {
+      throw new Error('normalizeShipment: Every line needs a sku');
+    }
+    if (seen.has(sku)) {
+      throw new Error(`normalizeShipment: ${sku} appears more than once`);
+    }
+    seen.add(sku);
+
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`normalizeShipment: quantity for ${sku} must be a positive integer`);
+    }
+
+    const unitCost = parseFloat(line.unitCost ?? line.unit_cost);
+    if (isNaN(unitCost) || unitCost < 0) {
+      throw new Error(`normalizeShipment: Invalid unit cost for ${sku}: ${line.unitCost ?? line.unit_cost}`);
+    }
+
+    const grams = line.grams !== undefined && line.grams !== null ? Number(line.grams) : getGramsForUnit(line.unit);
+    if (grams !== null && (!isFinite(grams) || grams <= 0)) {
+      throw new Error(`normalizeShipment: grams for ${sku} must be a positive number`);
+    }
+
+    return { sku, quantity, unitCost, gramsPerUnit: grams };
+  });
+
+  const charges = (input.charges || []).map((charge, index) => {
+    const type = charge?.type || CHARGE_TYPES.OTHER;
+    if (!Object.values(CHARGE_TYPES).includes(type)) {
+      throw new Error(`normalizeShipment: Charge ${index + 1} type must be one of ${Object.values(CHARGE_TYPES).join(', ')}`);
+    }
+
+    const amount = parseFloat(charge.amount);
+    if (isNaN(amount) || amount < 0) {
+      throw new Error(`normalizeShipment: Charge ${index + 1} amount must be a non-negative number`);
+    }
+
+    const basis = charge.basis || DEFAULT_BASIS[type];
+    if (!Object.values(ALLOCATION_BASES).includes(basis)) {
+      throw new Error(`normalizeShipment: Charge ${index + 1} basis must be one of ${Object.values(ALLOCATION_BASES).join(', ')}`);
+    }
+
+    return { type, amount: cents(amount), basis, description: charge.description || null };
+  });
+
+  return {
+    shipmentId,
+    vendor: input.vendor || null,
+    receivedAt: receivedAt.toISOString(),
+    notes: input.notes || null,
+    lines,
+    charges
+  };
+}
+
+// ============================================================================
+// ALLOCATION
+// ============================================================================
+
+function basisWeight(line, basis) {
+  if (basis === ALLOCATION_BASES.WEIGHT) return line.quantity * line.gramsPerUnit;
+  if (basis === ALLOCATION_BASES.VALUE) return line.quantity * line.unitCost;
+  return line.quantity;
+}
+
+/**
+ * Split an amount across lines in proportion to their basis, to the cent
+ *
+ * @param {number} amount - Charge amount
+ * @param {Array} weights - Basis weight per line
+ * @returns {Array<number>} Allocated amount per line (sums to amount)
+ */
+function splitToCents(amount, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const totalCents = Math.round(amount * 100);
+  const exact = weights.map(w => (totalCents * w) / total);
+  const floored = exact.map(Math.floor);
+
+  let remainder = totalCents - floored.reduce((sum, c) => sum + c, 0);
+  const byFraction = exact
+    .map((value, index) => ({ index, fraction: value - floored[index] }))
+    .sort((a, b) => (b.fraction - a.fraction) || (a.index - b.index));
+
+  for (const { index } of byFraction) {
+    if (remainder <= 0) break;
+    floored[index]++;
+    remainder--;
+  }
+
+  return floored.map(c => c / 100);
+}
+
+/**
+ * Allocate a shipment's charges and compute landed unit costs
+ *
+ * @param {Object} shipment - From normalizeShipment()
+ * @returns {Object} {
+ *   lines: [{ sku, quantity, gramsPerUnit, invoiceUnitCost, invoiceTotal,
+ *             allocations: [{ type, basis, description, share, amount }],
+ *             chargesTotal, landedTotal, landedUnitCost }],
+ *   totals: { invoice, charges, landed, byType: { freight: 0, ... } }
+ * }
+ * @throws {Error} If a charge cannot be allocated on its basis
+ */
+export function allocateLandedCost(shipment) {
+  const lines = shipment.lines.map(line => ({
+    sku: line.sku,
+    quantity: line.quantity,
+    gramsPerUnit: line.gramsPerUnit,
+    invoiceUnitCost: line.unitCost,
+    invoiceTotal: cents(line.quantity * line.unitCost),
+    allocations: [],
+    chargesTotal: 0
+  }));
+
+  const byType = {};
+
+  for (const charge of shipment.charges) {
+    if (charge.basis === ALLOCATION_BASES.WEIGHT) {
+      const missing = shipment.lines.filter(line => !line.gramsPerUnit).map(line => line.sku);
+      if (missing.length > 0) {
+        throw new Error(`allocateLandedCost: ${charge.type} is allocated by weight but ${missing.join(', ')} has no grams per unit`);
+      }
+    }
+
+    const weights = shipment.lines.map(line => basisWeight(line, charge.basis));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (totalWeight <= 0) {
+      throw new Error(`allocateLandedCost: ${charge.type} cannot be allocated by ${charge.basis} (total is 0)`);
+    }
+
+    const amounts = splitToCents(charge.amount, weights);
+    amounts.forEach((amount, index) => {
+      lines[index].allocations.push({
+        type: charge.type,
+        basis: charge.basis,
+        description: charge.description,
+        share: parseFloat((weights[index] / totalWeight).toFixed(6)),
+        amount
+      });
+      lines[index].chargesTotal = cents(lines[index].chargesTotal + amount);
+    });
+
+    byType[charge.type] = cents((byType[charge.type] || 0) + charge.amount);
+  }
+
+  for (const line of lines) {
+    line.landedTotal = cents(line.invoiceTotal + line.chargesTotal);
+    line.landedUnitCost = parseFloat((line.landedTotal / line.quantity).toFixed(4));
+  }
+
+  const invoice = cents(lines.reduce((sum, line) => sum + line.invoiceTotal, 0));
+  const charges = cents(shipment.charges.reduce((sum, charge) => sum + charge.amount, 0));
+
+  return {
+    lines,
+    totals: {
+      invoice,
+      charges,
+      landed: cents(invoice + charges),
+      byType
+    }
+  };
+}
+
+export default {
+  ALLOCATION_BASES,
+  CHARGE_TYPES,
+  normalizeShipment,
+  allocateLandedCost
+};
@@ -0,0 +1,118 @@
+// src/utils/landedCost.test.js
+// Unit tests for landed-cost allocation
+// Pure functions only - no database
+
+import { normalizeShipment, allocateLandedCost } from "./landedCost.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const shipment = normalizeShipment({
+    shipmentId: "SHIP-001",
+    vendor: "Garden State Growers",
+    receivedAt: "2026-10-01T00:00:00Z",
+    lines: [
+      { sku: "BD-3.5G", quantity: 20, unit_cost: 10, unit: "3.5G" },
+      { sku: "BD-28G", quantity: 5, unit_cost: 60, grams: 28 },
+      { sku: "BD-CART-01", quantity: 10, unit_cost: 15, grams: 1 }
+    ],
+    charges: [
+      { type: "freight", amount: 50 },
+      { type: "testing", amount: 35 },
+      { type: "excise", amount: 90, basis: "value" }
+    ]
+  });
+
+  // ========================================
+  // Shipments
+  // ========================================
+  console.log("\n🧪 Testing shipment validation...\n");
+
+  test("Shipments are normalized with default bases", () => {
+    assertEquals(shipment.lines[0].gramsPerUnit, 3.5, "grams from the unit label");
+    assertEquals(shipment.charges[0].basis, "weight");
+    assertEquals(shipment.charges[1].basis, "quantity");
+    assertEquals(shipment.charges[2].basis, "value");
+  });
+
+  test("Invalid shipments are rejected", () => {
+    const line = { sku: "A", quantity: 1, unit_cost: 1 };
+    assertThrows(() => normalizeShipment({ lines: [line] }), "shipmentId required");
+    assertThrows(() => normalizeShipment({ shipmentId: "S", lines: [] }));
+    assertThrows(() => normalizeShipment({ shipmentId: "S", lines: [line, line] }), "duplicate SKU");
+    assertThrows(() => normalizeShipment({ shipmentId: "S", lines: [{ ...line, quantity: 1.5 }] }));
+    assertThrows(() => normalizeShipment({ shipmentId: "S", lines: [line], charges: [{ type: "bribe", amount: 1 }] }));
+    assertThrows(() => normalizeShipment({ shipmentId: "S", lines: [line], charges: [{ type: "freight", amount: 1, basis: "volume" }] }));
+  });
+
+  // ========================================
+  // Allocation
+  // ========================================
+  console.log("\n🧪 Testing charge allocation...\n");
+
+  const allocation = allocateLandedCost(shipment);
+  const bySku = new Map(allocation.lines.map(line => [line.sku, line]));
+
+  test("Freight is split by grams received", () => {
+    // 70g + 140g + 10g = 220g
+    const freight = sku => bySku.get(sku).allocations.find(a => a.type === "freight").amount;
+    assertEquals(freight("BD-3.5G"), 15.91);
+    assertEquals(freight("BD-28G"), 31.82);
+    assertEquals(freight("BD-CART-01"), 2.27);
+  });
+
+  test("Testing is split by units, excise by invoice value", () => {
+    // 35 units; invoice 200 + 300 + 150 = 650
+    assertEquals(bySku.get("BD-3.5G").allocations[1].amount, 20);
+    assertEquals(bySku.get("BD-CART-01").allocations[1].amount, 10);
+    assertEquals(bySku.get("BD-28G").allocations[2].amount, 41.54);
+    assertEquals(bySku.get("BD-28G").allocations[2].share, 0.461538);
+  });
+
+  test("Every charge is allocated to the cent", () => {
+    assertEquals(allocation.totals.invoice, 650);
+    assertEquals(allocation.totals.charges, 175);
+    assertEquals(allocation.totals.landed, 825);
+    const landed = allocation.lines.reduce((sum, line) => sum + line.landedTotal, 0);
+    assertEquals(Math.round(landed * 100) / 100, 825);
+    const thirds = allocateLandedCost(normalizeShipment({
+      shipmentId: "S",
+      lines: ["A", "B", "C"].map(sku => ({ sku, quantity: 1, unit_cost: 1 })),
+      charges: [{ type: "other", amount: 1 }]
+    }));
+    assertEquals(thirds.lines.map(line => line.chargesTotal).join(","), "0.34,0.33,0.33");
+  });
+
+  test("Landed unit cost includes the allocated charges", () => {
+    const line = bySku.get("BD-3.5G");
+    assertEquals(line.invoiceTotal, 200);
+    assertEquals(line.landedTotal, 200 + line.chargesTotal);
+    assertEquals(line.landedUnitCost, parseFloat((line.landedTotal / 20).toFixed(4)));
+  });
+
+  test("Weight allocation needs grams for every line", () => {
+    const noGrams = normalizeShipment({
+      shipmentId: "S",
+      lines: [{ sku: "GUMMIES-01", quantity: 10, unit_cost: 5 }],
+      charges: [{ type: "freight", amount: 10 }]
+    });
+    assertThrows(() => allocateLandedCost(noGrams));
+  });
+
+  test("Shipment without charges lands at invoice cost", () => {
+    const plain = allocateLandedCost(normalizeShipment({
+      shipmentId: "S",
+      lines: [{ sku: "A", quantity: 3, unit_cost: 7.5 }]
+    }));
+    assertEquals(plain.lines[0].landedUnitCost, 7.5);
+    assertEquals(plain.totals.charges, 0);
+  });
+
+  return finish("Shipment charges land on every SKU.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
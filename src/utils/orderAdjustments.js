@@ -0,0 +1,326 @@
+/**
+ * OMEN ORDER ADJUSTMENTS
+ *
+ * Refunds and cancellations are stored as reversing line items in orders -
+ * the sale rows are never edited:
+ *
+ *   sale     +quantity, +total_amount   (wix.order.created)
+ *   refund   -quantity, -total_amount   money back, goods kept by the buyer
+ *   return   -quantity, -total_amount   money back, goods restocked
+ *   cancel   -quantity, -total_amount   unfulfilled units of a cancelled order
+ *
+ * Sums over orders (sold_by_sku, velocity, revenue) therefore come out net
+ * without special cases. inventory_virtual only counts the entry types that
+ * move stock (STOCK_ENTRY_TYPES).
+ *
+ * Reversals are dated when the refund / cancellation happened, so a period
+ * reports the sale in one week and its refund in the next.
+ *
+ * PURE MODULE: No I/O. Events are applied by services/orderSyncService.js
+ */
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export const ORDER_EVENT_TYPES = Object.freeze({
+  CREATED: 'wix.order.created',
+  CANCELED: 'wix.order.canceled',
+  REFUNDED: 'wix.order.refunded'
+});
+
+export const ENTRY_TYPES = Object.freeze({
+  SALE: 'sale',
+  REFUND: 'refund',
+  RETURN: 'return',
+  CANCEL: 'cancel'
+});
+
+// Entry types that change what is on the shelf
+export const STOCK_ENTRY_TYPES = Object.freeze([ENTRY_TYPES.SALE, ENTRY_TYPES.RETURN, ENTRY_TYPES.CANCEL]);
+
+export const ADJUSTMENT_KINDS = Object.freeze({
+  SALE: 'sale',
+  REFUND: 'refund',
+  CANCEL: 'cancel'
+});
+
+const FULL_REFUND_STATUSES = ['FULLY_REFUNDED', 'REFUNDED'];
+const CANCELLED_STATUSES = ['CANCELED', 'CANCELLED'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const n = Number(value?.value ?? value?.amount ?? value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// ============================================================================
+// PARSE
+// ============================================================================
+
+/**
+ * What an order event does: a sale, a refund or a cancellation
+ *
+ * The event type wins; relays that post everything as wix.order.created are
+ * classified by the payload (status, paymentStatus, refund).
+ *
+ * @param {string|null} eventType - webhook_events.event_type
+ * @param {Object} data - Order payload (unwrapped)
+ * @returns {string} ADJUSTMENT_KINDS value
+ */
+export function classifyOrderEvent(eventType, data) {
+  if (eventType === ORDER_EVENT_TYPES.CANCELED) return ADJUSTMENT_KINDS.CANCEL;
+  if (eventType === ORDER_EVENT_TYPES.REFUNDED) return ADJUSTMENT_KINDS.REFUND;
+
+  const status = String(data?.status || '').toUpperCase();
+  const paymentStatus = String(data?.paymentStatus || '').toUpperCase();
+
+  if (CANCELLED_STATUSES.includes(status)) return ADJUSTMENT_KINDS.CANCEL;
+  if (data?.refund || FULL_REFUND_STATUSES.includes(paymentStatus)) return ADJUSTMENT_KINDS.REFUND;
+  return ADJUSTMENT_KINDS.SALE;
+}
+
+/**
+ * Event type to store for an order payload
+ *
+ * @param {Object} data - Order payload
+ * @returns {string} ORDER_EVENT_TYPES value
+ */
+export function orderEventTypeFor(data) {
+  const kind = classifyOrderEvent(null, data?.data || data);
+  if (kind === ADJUSTMENT_KINDS.CANCEL) return ORDER_EVENT_TYPES.CANCELED;
+  if (kind === ADJUSTMENT_KINDS.REFUND) return ORDER_EVENT_TYPES.REFUNDED;
+  return ORDER_EVENT_TYPES.CREATED;
+}
+
+/**
+ * Read a refund or cancellation from an order payload
+ *
+ * Refund:  { orderNumber, refund: { id, restock?, lineItems?: [{ sku|itemName, quantity, amount? }] } }
+ *          No lineItems (or paymentStatus FULLY_REFUNDED) refunds everything left.
+ * Cancel:  { orderNumber, status: 'CANCELED', lineItems?: [{ sku|itemName, fulfilledQuantity? }] }
+ *          Fulfilled units stay sold; the rest are reversed and restocked.
+ *
+ * Lines keep the raw line item so the caller can resolve its SKU the same
+ * way sales are resolved.
+ *
+ * @param {string} kind - ADJUSTMENT_KINDS.REFUND | ADJUSTMENT_KINDS.CANCEL
+ * @param {Object} data - Order payload (unwrapped)
+ * @returns {{ kind: string, ref: string|null, restock: boolean, occurredAt: string|null,
+ *   lines: Array<{ item: Object, quantity: number|null, amount: number|null, fulfilledQuantity: number }>|null }}
+ */
+export function parseOrderAdjustment(kind, data) {
+  if (kind === ADJUSTMENT_KINDS.CANCEL) {
+    const items = Array.isArray(data?.lineItems) ? data.lineItems : null;
+    return {
+      kind,
+      ref: 'cancel',
+      restock: true,
+      occurredAt: data?.canceledDate || data?.cancelledDate || data?.updatedDate || null,
+      lines: items && items.some(item => item.fulfilledQuantity !== undefined)
+        ? items.map(item => ({
+            item,
+            quantity: null,
+            amount: null,
+            fulfilledQuantity: Math.max(0, Number(item.fulfilledQuantity) || 0)
+          }))
+        : null
+    };
+  }
+
+  const refund = data?.refund || {};
+  const items = refund.lineItems || refund.items || null;
+  return {
+    kind,
+    ref: refund.id || refund.refundId || null,
+    restock: refund.restock === true || refund.restockItems === true,
+    occurredAt: refund.createdDate || refund.dateCreated || data?.updatedDate || null,
+    lines: Array.isArray(items) && items.length > 0
+      ? items.map(item => ({
+          item,
+          quantity: Number(item.quantity) > 0 ? Number(item.quantity) : null,
+          amount: toNumber(item.amount ?? item.totalPrice),
+          fulfilledQuantity: 0
+        }))
+      : null
+  };
+}
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+function lineAmount(row) {
+  const total = toNumber(row.total_amount);
+  if (total !== null) return total;
+  return (Number(row.quantity) || 0) * (toNumber(row.price_per_unit) || 0);
+}
+
+/**
+ * Reversing rows for one refund or cancellation
+ *
+ * Units already reversed by earlier refunds are never reversed twice; a
+ * line asking for more than is left is capped. Amounts default to the
+ * sale's per-unit amount.
+ *
+ * @param {Array} saleRows - The order's sale rows
+ * @param {Array} priorReversals - The order's earlier reversing rows (other refs)
+ * @param {Object} adjustment - From parseOrderAdjustment, lines resolved to { sku, ... }
+ * @param {Object} options - { ref: string, occurredAt: ISO string }
+ * @returns {{ rows: Array, skipped: Array<{ sku: string, reason: string }> }}
+ */
+export function planReversals(saleRows, priorReversals, adjustment, options) {
+  const entryType = adjustment.kind === ADJUSTMENT_KINDS.CANCEL
+    ? ENTRY_TYPES.CANCEL
+    : (adjustment.restock ? ENTRY_TYPES.RETURN : ENTRY_TYPES.REFUND);
+
+  const reversed = new Map();
+  for (const row of priorReversals || []) {
+    reversed.set(row.sku, (reversed.get(row.sku) || 0) - (Number(row.quantity) || 0));
+  }
+
+  const sales = new Map((saleRows || []).map(row => [row.sku, row]));
+  const remaining = sku => Math.max(0, (Number(sales.get(sku)?.quantity) || 0) - (reversed.get(sku) || 0));
+
+  // One request per SKU: { quantity, amount }
+  const requests = new Map();
+  const skipped = [];
+
+  if (adjustment.lines) {
+    for (const line of adjustment.lines) {
+      if (!line.sku || !sales.has(line.sku)) {
+        skipped.push({ sku: line.sku || null, reason: 'Not a line of this order' });
+        continue;
+      }
+      const left = remaining(line.sku);
+      const quantity = adjustment.kind === ADJUSTMENT_KINDS.CANCEL
+        ? Math.max(0, left - line.fulfilledQuantity)
+        : Math.min(line.quantity ?? left, left);
+      requests.set(line.sku, { quantity, amount: line.amount });
+    }
+  } else {
+    for (const sku of sales.keys()) requests.set(sku, { quantity: remaining(sku), amount: null });
+  }
+
+  const rows = [];
+  for (const [sku, request] of requests) {
+    if (request.quantity <= 0) {
+      skipped.push({ sku, reason: 'Nothing left to reverse' });
+      continue;
+    }
+
+    const sale = sales.get(sku);
+    const soldQuantity = Number(sale.quantity) || 0;
+    const amount = request.amount !== null && request.amount !== undefined
+      ? Math.abs(request.amount)
+      : round2(lineAmount(sale) * request.quantity / soldQuantity);
+
+    rows.push({
+      store_id: sale.store_id,
+      order_id: sale.order_id,
+      order_date: options.occurredAt,
+      created_at: options.occurredAt,
+      sku,
+      strain: sale.strain,
+      unit: sale.unit,
+      quality: sale.quality ?? null,
+      quantity: -request.quantity,
+      price_per_unit: sale.price_per_unit,
+      total_amount: -amount,
+      customer_id: sale.customer_id ?? null,
+      notes: `${entryType} ${options.ref}`,
+      entry_type: entryType,
+      entry_ref: options.ref
+    });
+  }
+
+  return { rows, skipped };
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Running gross / refund / net totals, fed one page of lines at a time
+ *
+ * For reads too large to hold at once (db/pagedQuery.js); summarizeSales
+ * is the one-shot form.
+ *
+ * @returns {{ add: (lines: Array) => Object, result: () => Object }} add returns the accumulator
+ */
+export function createSalesSummary() {
+  let grossSales = 0;
+  let refunds = 0;
+  let grossUnits = 0;
+  let refundedUnits = 0;
+  const refundsByType = { [ENTRY_TYPES.REFUND]: 0, [ENTRY_TYPES.RETURN]: 0, [ENTRY_TYPES.CANCEL]: 0 };
+
+  const summary = {
+    add(lines) {
+      for (const line of lines || []) {
+        const quantity = Number(line.quantity) || 0;
+        const amount = lineAmount(line);
+
+        if (quantity > 0) {
+          grossSales += amount;
+          grossUnits += quantity;
+        } else if (quantity < 0) {
+          refunds += Math.abs(amount);
+          refundedUnits += Math.abs(quantity);
+          const type = line.entry_type in refundsByType ? line.entry_type : ENTRY_TYPES.REFUND;
+          refundsByType[type] += Math.abs(amount);
+        }
+      }
+      return summary;
+    },
+
+    result() {
+      const byType = {};
+      for (const type of Object.keys(refundsByType)) byType[type] = round2(refundsByType[type]);
+
+      return {
+        grossSales: round2(grossSales),
+        refunds: round2(refunds),
+        netSales: round2(grossSales - refunds),
+        grossUnits,
+        refundedUnits,
+        netUnits: grossUnits - refundedUnits,
+        refundRate: grossSales > 0 ? round2(refunds / grossSales * 100) : null,
+        refundsByType: byType
+      };
+    }
+  };
+
+  return summary;
+}
+
+/**
+ * Gross sales, refunds and net sales over order line items
+ *
+ * Positive lines are sales; negative lines (refund, return, cancel - or
+ * legacy negative-quantity rows) are refunds.
+ *
+ * @param {Array} lines - orders rows (quantity, total_amount, price_per_unit, entry_type?)
+ * @returns {{ grossSales: number, refunds: number, netSales: number, grossUnits: number,
+ *   refundedUnits: number, netUnits: number, refundRate: number|null, refundsByType: Object }}
+ */
+export function summarizeSales(lines) {
+  return createSalesSummary().add(lines).result();
+}
+
+export default {
+  ORDER_EVENT_TYPES,
+  ENTRY_TYPES,
+  STOCK_ENTRY_TYPES,
+  ADJUSTMENT_KINDS,
+  classifyOrderEvent,
+  orderEventTypeFor,
+  parseOrderAdjustment,
+  planReversals,
+  createSalesSummary,
+  summarizeSales
+};
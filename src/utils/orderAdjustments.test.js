@@ -0,0 +1,138 @@
+// src/utils/orderAdjustments.test.js
+// Unit tests for refund / cancellation reversals and gross-net sales
+// Pure functions only - no database
+
+import {
+  ORDER_EVENT_TYPES,
+  ENTRY_TYPES,
+  ADJUSTMENT_KINDS,
+  classifyOrderEvent,
+  orderEventTypeFor,
+  parseOrderAdjustment,
+  planReversals,
+  summarizeSales
+} from "./orderAdjustments.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+  const sale = (sku, quantity, total) => ({
+    store_id: "NJWeedWizard", order_id: "10042", order_date: "2026-10-01T12:00:00.000Z",
+    sku, strain: sku, unit: "3.5g", quality: null, quantity, price_per_unit: total / quantity,
+    total_amount: total, customer_id: null, entry_type: ENTRY_TYPES.SALE, entry_ref: ""
+  });
+  const saleRows = [sale("AD-3.5G", 3, 90), sale("GG-7G", 1, 55)];
+  const options = { ref: "rf_1", occurredAt: "2026-10-05T09:00:00.000Z" };
+
+  // ========================================
+  // Classification
+  // ========================================
+  test("Event type wins, payload hints classify relayed events", () => {
+    assertEquals(classifyOrderEvent(ORDER_EVENT_TYPES.CANCELED, {}), ADJUSTMENT_KINDS.CANCEL);
+    assertEquals(classifyOrderEvent(ORDER_EVENT_TYPES.REFUNDED, {}), ADJUSTMENT_KINDS.REFUND);
+    assertEquals(classifyOrderEvent(ORDER_EVENT_TYPES.CREATED, { status: "CANCELED" }), ADJUSTMENT_KINDS.CANCEL);
+    assertEquals(classifyOrderEvent(ORDER_EVENT_TYPES.CREATED, { refund: { id: "rf_1" } }), ADJUSTMENT_KINDS.REFUND);
+    assertEquals(classifyOrderEvent(ORDER_EVENT_TYPES.CREATED, { orderNumber: "1" }), ADJUSTMENT_KINDS.SALE);
+    assertEquals(orderEventTypeFor({ data: { paymentStatus: "FULLY_REFUNDED" } }), ORDER_EVENT_TYPES.REFUNDED);
+  });
+
+  // ========================================
+  // Refunds
+  // ========================================
+  test("Partial refund reverses only the refunded line, pro rata", () => {
+    const adjustment = parseOrderAdjustment(ADJUSTMENT_KINDS.REFUND, {
+      refund: { id: "rf_1", lineItems: [{ sku: "AD-3.5G", quantity: 1 }] }
+    });
+    adjustment.lines.forEach(line => { line.sku = line.item.sku; });
+    const { rows } = planReversals(saleRows, [], adjustment, options);
+
+    assertEquals(rows.length, 1);
+    assertEquals(rows[0].sku, "AD-3.5G");
+    assertEquals(rows[0].quantity, -1);
+    assertEquals(rows[0].total_amount, -30);
+    assertEquals(rows[0].entry_type, ENTRY_TYPES.REFUND);
+    assertEquals(rows[0].entry_ref, "rf_1");
+    assertEquals(rows[0].order_date, options.occurredAt, "Dated when refunded");
+  });
+
+  test("Restocked refund is a return; explicit amount is used", () => {
+    const adjustment = parseOrderAdjustment(ADJUSTMENT_KINDS.REFUND, {
+      refund: { id: "rf_2", restock: true, lineItems: [{ sku: "GG-7G", quantity: 1, amount: "50.00" }] }
+    });
+    adjustment.lines.forEach(line => { line.sku = line.item.sku; });
+    const { rows } = planReversals(saleRows, [], adjustment, { ...options, ref: "rf_2" });
+    assertEquals(rows[0].entry_type, ENTRY_TYPES.RETURN);
+    assertEquals(rows[0].total_amount, -50);
+  });
+
+  test("Units already refunded are never reversed twice", () => {
+    const prior = [{ sku: "AD-3.5G", quantity: -2, entry_type: ENTRY_TYPES.REFUND, entry_ref: "rf_0" }];
+    const adjustment = parseOrderAdjustment(ADJUSTMENT_KINDS.REFUND, {
+      refund: { id: "rf_1", lineItems: [{ sku: "AD-3.5G", quantity: 5 }, { sku: "NOT-IN-ORDER", quantity: 1 }] }
+    });
+    adjustment.lines.forEach(line => { line.sku = line.item.sku; });
+    const { rows, skipped } = planReversals(saleRows, prior, adjustment, options);
+    assertEquals(rows.length, 1);
+    assertEquals(rows[0].quantity, -1, "Capped at what is left");
+    assertEquals(skipped.length, 1);
+    assertEquals(skipped[0].sku, "NOT-IN-ORDER");
+  });
+
+  test("Refund without lines reverses everything left", () => {
+    const adjustment = parseOrderAdjustment(ADJUSTMENT_KINDS.REFUND, { paymentStatus: "FULLY_REFUNDED" });
+    assertEquals(adjustment.ref, null);
+    assertEquals(adjustment.lines, null);
+    const { rows } = planReversals(saleRows, [], adjustment, { ...options, ref: "event-7" });
+    assertEquals(rows.length, 2);
+    assertEquals(rows.reduce((sum, row) => sum + row.total_amount, 0), -145);
+  });
+
+  // ========================================
+  // Cancellations
+  // ========================================
+  test("Cancel after partial fulfilment reverses only unfulfilled units", () => {
+    const adjustment = parseOrderAdjustment(ADJUSTMENT_KINDS.CANCEL, {
+      status: "CANCELED",
+      lineItems: [{ sku: "AD-3.5G", quantity: 3, fulfilledQuantity: 2 }, { sku: "GG-7G", quantity: 1, fulfilledQuantity: 1 }]
+    });
+    adjustment.lines.forEach(line => { line.sku = line.item.sku; });
+    const { rows, skipped } = planReversals(saleRows, [], adjustment, { ...options, ref: adjustment.ref });
+
+    assertEquals(adjustment.restock, true);
+    assertEquals(rows.length, 1);
+    assertEquals(rows[0].sku, "AD-3.5G");
+    assertEquals(rows[0].quantity, -1);
+    assertEquals(rows[0].entry_type, ENTRY_TYPES.CANCEL);
+    assertEquals(skipped[0].sku, "GG-7G", "Fully shipped line stays sold");
+  });
+
+  // ========================================
+  // Reporting
+  // ========================================
+  test("Gross, refunds and net are reported separately", () => {
+    const lines = [
+      ...saleRows,
+      { sku: "AD-3.5G", quantity: -1, total_amount: -30, entry_type: ENTRY_TYPES.REFUND },
+      { sku: "GG-7G", quantity: -1, total_amount: -55, entry_type: ENTRY_TYPES.CANCEL }
+    ];
+    const summary = summarizeSales(lines);
+    assertEquals(summary.grossSales, 145);
+    assertEquals(summary.refunds, 85);
+    assertEquals(summary.netSales, 60);
+    assertEquals(summary.grossUnits, 4);
+    assertEquals(summary.refundedUnits, 2);
+    assertEquals(summary.netUnits, 2);
+    assertEquals(summary.refundsByType.cancel, 55);
+    assertEquals(summary.refundRate, 58.62);
+    assertEquals(summarizeSales([]).refundRate, null);
+  });
+
+  // Summary
+  // ========================================
+  return finish("Refunds and cancellations reverse their sales.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
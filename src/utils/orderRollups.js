@@ -0,0 +1,440 @@
+/**
+ * OMEN ORDER ROLLUPS
+ *
+ * Daily per-SKU totals of the orders table. Snapshots and chat read one row
+ * per SKU per day instead of re-reading and re-aggregating every line item,
+ * so their cost follows the number of SKUs and days, not orders.
+ *
+ *   (store_id, day, sku, unit) → units, sales, cost, order count
+ *
+ * Days are UTC calendar days - the same boundaries calculateDateRange uses,
+ * so every daily, weekly, monthly or custom period is a whole number of days.
+ *
+ * A day's rows are always rebuilt from all of that day's order lines, never
+ * incremented, so refreshing a day twice is harmless.
+ *
+ * COLUMNS (one row):
+ *   units_sold, units_refunded   positive / reversed units (createSalesSummary basis)
+ *   gross_sales, refunds         line amounts, refunds_by_type split by entry type
+ *   order_count, line_count      sale lines (one per order) / all lines
+ *   revenue, revenue_lines, revenue_units
+ *                                priced sale lines: price_per_unit × quantity
+ *   cost, costed_revenue, costed_lines, costed_units
+ *                                the priced lines with a unit cost in force
+ *                                on the order date (utils/costing.js)
+ *   first_order_at, last_order_at
+ *
+ * Orders per day (order_daily_counts) are kept beside the rows: an order
+ * spanning three SKUs is three sale lines but one order.
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/orderRollupService.js
+ */
+
+import { ENTRY_TYPES, createSalesSummary } from './orderAdjustments.js';
+import { costSales, createCostSkuResolver } from './costing.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function lineDate(line) {
+  return line.order_date || line.created_at || line.timestamp;
+}
+
+// ============================================================================
+// DAYS
+// ============================================================================
+
+/**
+ * UTC day of a timestamp
+ *
+ * @param {string|Date} timestamp
+ * @returns {string|null} YYYY-MM-DD, or null when the timestamp is invalid
+ */
+export function rollupDay(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * First and last instant of a day, as used by the line-item queries
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @returns {{ start: string, end: string }}
+ */
+export function dayBounds(day) {
+  return { start: `${day}T00:00:00.000Z`, end: `${day}T23:59:59.999Z` };
+}
+
+/**
+ * Every day from one date to another, inclusive
+ *
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {string[]} YYYY-MM-DD days, ascending (empty when to < from)
+ */
+export function listDays(from, to) {
+  const first = rollupDay(from);
+  const last = rollupDay(to);
+  if (!first || !last) return [];
+
+  const days = [];
+  for (let at = new Date(`${first}T00:00:00.000Z`).getTime(); ; at += MS_PER_DAY) {
+    const day = new Date(at).toISOString().slice(0, 10);
+    if (day > last) break;
+    days.push(day);
+  }
+  return days;
+}
+
+// ============================================================================
+// BUILDING ROLLUPS
+// ============================================================================
+
+/**
+ * Unit cost of each sale line, in force on its order date
+ *
+ * Same rules as the snapshot margin: only positive lines are costed, and a
+ * line counts only when every unit has a cost. Receipts are depleted by the
+ * sales already rolled up on earlier days (one sale per SKU-day, at its
+ * last order) before the lines themselves.
+ *
+ * @param {Array} lines - orders rows being rolled up (sku, strain, unit, quantity, order_date)
+ * @param {Object} costHistory - { recordsBySku: Map<sku, records[]>, method }
+ * @param {Array} [priorRows] - Rollup rows of other days (sku, strain, unit, units_sold, last_order_at)
+ * @returns {Map<number, number>} line index → unit cost
+ */
+export function costOrderLines(lines, costHistory, priorRows = []) {
+  const costByLine = new Map();
+  const recordsBySku = costHistory?.recordsBySku;
+  if (!recordsBySku || recordsBySku.size === 0) return costByLine;
+
+  const resolveCostSku = createCostSkuResolver(recordsBySku.keys());
+  const salesByCostSku = new Map();
+  const addSale = (costSku, sale) => {
+    if (!salesByCostSku.has(costSku)) salesByCostSku.set(costSku, []);
+    salesByCostSku.get(costSku).push(sale);
+  };
+
+  (lines || []).forEach((line, lineIndex) => {
+    const quantity = Number(line.quantity) || 0;
+    const costSku = quantity > 0 ? resolveCostSku(line) : null;
+    if (costSku) addSale(costSku, { quantity, date: lineDate(line), lineIndex });
+  });
+
+  for (const row of priorRows || []) {
+    const quantity = Number(row.units_sold) || 0;
+    const costSku = quantity > 0 ? resolveCostSku(row) : null;
+    if (costSku && salesByCostSku.has(costSku)) {
+      addSale(costSku, { quantity, date: row.last_order_at, lineIndex: null });
+    }
+  }
+
+  for (const [costSku, sales] of salesByCostSku) {
+    for (const sale of costSales(recordsBySku.get(costSku), sales, costHistory.method).sales) {
+      if (sale.lineIndex !== null && sale.unitCost !== null && sale.uncostedQuantity === 0) {
+        costByLine.set(sale.lineIndex, sale.unitCost);
+      }
+    }
+  }
+
+  return costByLine;
+}
+
+/**
+ * Roll order lines up into one row per day, SKU and unit
+ *
+ * @param {Array} lines - orders rows (sku, strain, unit, quantity, price_per_unit,
+ *   total_amount, entry_type, order_date)
+ * @param {Object} [options] - { costByLine?: Map<lineIndex, unitCost> from costOrderLines }
+ * @returns {Array} Rollup rows (no store_id), ordered by day, sku, unit
+ */
+export function rollupOrderLines(lines, options = {}) {
+  const costByLine = options.costByLine || new Map();
+  const groups = new Map();
+
+  (lines || []).forEach((line, lineIndex) => {
+    const sku = line.sku || line.product_sku || line.item_sku;
+    const day = rollupDay(lineDate(line));
+    if (!sku || !day) return;
+
+    const unit = line.unit || line.product_unit || 'each';
+    const key = `${day}|${sku}|${unit}`;
+    if (!groups.has(key)) {
+      groups.set(key, { day, sku, unit, strain: line.strain ?? null, lines: [], indexes: [] });
+    }
+    const group = groups.get(key);
+    if (group.strain === null && line.strain) group.strain = line.strain;
+    group.lines.push(line);
+    group.indexes.push(lineIndex);
+  });
+
+  const rows = [];
+  for (const group of groups.values()) {
+    const sales = createSalesSummary().add(group.lines).result();
+    const row = {
+      day: group.day,
+      sku: group.sku,
+      unit: group.unit,
+      strain: group.strain,
+      units_sold: sales.grossUnits,
+      units_refunded: sales.refundedUnits,
+      order_count: 0,
+      line_count: group.lines.length,
+      gross_sales: sales.grossSales,
+      refunds: sales.refunds,
+      refunds_by_type: sales.refundsByType,
+      revenue: 0,
+      revenue_lines: 0,
+      revenue_units: 0,
+      cost: 0,
+      costed_revenue: 0,
+      costed_lines: 0,
+      costed_units: 0,
+      first_order_at: null,
+      last_order_at: null
+    };
+
+    group.lines.forEach((line, i) => {
+      const at = new Date(lineDate(line)).toISOString();
+      if (row.first_order_at === null || at < row.first_order_at) row.first_order_at = at;
+      if (row.last_order_at === null || at > row.last_order_at) row.last_order_at = at;
+
+      const quantity = Number(line.quantity) || 0;
+      if (quantity <= 0) return;
+      row.order_count++;
+
+      const price = Number(line.price_per_unit) || 0;
+      if (price <= 0) return;
+      row.revenue += price * quantity;
+      row.revenue_lines++;
+      row.revenue_units += quantity;
+
+      const unitCost = costByLine.get(group.indexes[i]);
+      if (unitCost === undefined) return;
+      row.cost += unitCost * quantity;
+      row.costed_revenue += price * quantity;
+      row.costed_lines++;
+      row.costed_units += quantity;
+    });
+
+    for (const field of ['revenue', 'cost', 'costed_revenue']) row[field] = round2(row[field]);
+    rows.push(row);
+  }
+
+  return rows.sort((a, b) =>
+    a.day.localeCompare(b.day) || a.sku.localeCompare(b.sku) || a.unit.localeCompare(b.unit)
+  );
+}
+
+// ============================================================================
+// READING ROLLUPS
+// ============================================================================
+
+/**
+ * Rollup rows whose day falls inside a period
+ *
+ * @param {Array} rows - Rollup rows
+ * @param {string} startDate - ISO timestamp (its UTC day is included)
+ * @param {string} endDate - ISO timestamp (its UTC day is included)
+ * @returns {Array}
+ */
+export function rowsInPeriod(rows, startDate, endDate) {
+  const first = rollupDay(startDate);
+  const last = rollupDay(endDate);
+  return (rows || []).filter(row => row.day >= first && row.day <= last);
+}
+
+/**
+ * Per-SKU order totals - the same shape temporalAnalyzer builds from raw lines
+ *
+ * One order event per SKU-day (net units, dated at the start of the day).
+ *
+ * @param {Array} rows - Rollup rows
+ * @returns {Map<string, {sku, unit, totalSold, orderCount, firstOrder, lastOrder, orders}>} keyed sku|unit
+ */
+export function aggregateRollupsBySku(rows) {
+  const skuMap = new Map();
+
+  const sorted = [...(rows || [])].sort((a, b) => a.day.localeCompare(b.day));
+  for (const row of sorted) {
+    const key = `${row.sku}|${row.unit}`;
+    const firstOrder = new Date(row.first_order_at);
+    const lastOrder = new Date(row.last_order_at);
+
+    if (!skuMap.has(key)) {
+      skuMap.set(key, { sku: row.sku, unit: row.unit, totalSold: 0, orderCount: 0, firstOrder, lastOrder, orders: [] });
+    }
+
+    const skuData = skuMap.get(key);
+    const quantity = (Number(row.units_sold) || 0) - (Number(row.units_refunded) || 0);
+    skuData.totalSold += quantity;
+    skuData.orderCount += Number(row.order_count) || 0;
+    skuData.orders.push({ quantity, date: new Date(`${row.day}T00:00:00.000Z`) });
+
+    if (firstOrder < skuData.firstOrder) skuData.firstOrder = firstOrder;
+    if (lastOrder > skuData.lastOrder) skuData.lastOrder = lastOrder;
+  }
+
+  return skuMap;
+}
+
+/**
+ * Distinct orders with a sale line, per UTC day
+ *
+ * @param {Array} lines - orders rows (order_id, quantity, order_date)
+ * @returns {Array<{day: string, order_count: number}>} Ascending by day
+ */
+export function countDailyOrders(lines) {
+  const ordersByDay = new Map();
+
+  for (const line of lines || []) {
+    const day = rollupDay(lineDate(line));
+    if (!day || !line.order_id || !(Number(line.quantity) > 0)) continue;
+    if (!ordersByDay.has(day)) ordersByDay.set(day, new Set());
+    ordersByDay.get(day).add(line.order_id);
+  }
+
+  return [...ordersByDay.entries()]
+    .map(([day, orders]) => ({ day, order_count: orders.size }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Gross sales, refunds and net sales over rollup rows (summarizeSales shape)
+ *
+ * @param {Array} rows - Rollup rows
+ * @returns {Object} See orderAdjustments.summarizeSales
+ */
+export function summarizeRollupSales(rows) {
+  let grossSales = 0;
+  let refunds = 0;
+  let grossUnits = 0;
+  let refundedUnits = 0;
+  const refundsByType = { [ENTRY_TYPES.REFUND]: 0, [ENTRY_TYPES.RETURN]: 0, [ENTRY_TYPES.CANCEL]: 0 };
+
+  for (const row of rows || []) {
+    grossSales += Number(row.gross_sales) || 0;
+    refunds += Number(row.refunds) || 0;
+    grossUnits += Number(row.units_sold) || 0;
+    refundedUnits += Number(row.units_refunded) || 0;
+    for (const type of Object.keys(refundsByType)) {
+      refundsByType[type] += Number(row.refunds_by_type?.[type]) || 0;
+    }
+  }
+
+  const byType = {};
+  for (const type of Object.keys(refundsByType)) byType[type] = round2(refundsByType[type]);
+
+  return {
+    grossSales: round2(grossSales),
+    refunds: round2(refunds),
+    netSales: round2(grossSales - refunds),
+    grossUnits,
+    refundedUnits,
+    netUnits: grossUnits - refundedUnits,
+    refundRate: grossSales > 0 ? round2(refunds / grossSales * 100) : null,
+    refundsByType: byType
+  };
+}
+
+/**
+ * Order-derived margin over rollup rows (the snapshot's orderBasedMargin shape)
+ *
+ * @param {Array} rows - Rollup rows
+ * @param {string} costingMethod - Method the rows were costed with
+ * @returns {Object} { averageMargin, revenue, profit, lineItemsWithCost, lineItemsTotal, coveragePercent, ... }
+ */
+export function summarizeRollupMargin(rows, costingMethod) {
+  let totalRevenue = 0;
+  let totalProfit = 0;
+  let lineItemsWithCost = 0;
+  let lineItemsTotal = 0;
+  const missingCostSKUs = new Map();
+
+  for (const row of rows || []) {
+    const revenue = Number(row.revenue) || 0;
+    const costedRevenue = Number(row.costed_revenue) || 0;
+
+    lineItemsTotal += Number(row.revenue_lines) || 0;
+    lineItemsWithCost += Number(row.costed_lines) || 0;
+    totalRevenue += revenue;
+    totalProfit += costedRevenue - (Number(row.cost) || 0);
+
+    const uncostedLines = (Number(row.revenue_lines) || 0) - (Number(row.costed_lines) || 0);
+    if (uncostedLines > 0) {
+      if (!missingCostSKUs.has(row.sku)) {
+        missingCostSKUs.set(row.sku, { sku: row.sku, revenue: 0, quantity: 0 });
+      }
+      const entry = missingCostSKUs.get(row.sku);
+      entry.revenue += revenue - costedRevenue;
+      entry.quantity += (Number(row.revenue_units) || 0) - (Number(row.costed_units) || 0);
+    }
+  }
+
+  const topMissingCostSKUs = Array.from(missingCostSKUs.values())
+    .map(entry => ({ ...entry, revenue: round2(entry.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, 5);
+
+  if (lineItemsTotal === 0) {
+    return {
+      averageMargin: null,
+      revenue: 0,
+      profit: 0,
+      lineItemsWithCost: 0,
+      lineItemsTotal: 0,
+      coveragePercent: 0,
+      reason: 'No order line items in this period'
+    };
+  }
+
+  if (lineItemsWithCost === 0 || totalRevenue <= 0) {
+    return {
+      averageMargin: null,
+      revenue: totalRevenue,
+      profit: 0,
+      lineItemsWithCost: 0,
+      lineItemsTotal,
+      coveragePercent: 0,
+      reason: 'No cost data available for sold items in this period',
+      skusWithSales: lineItemsTotal,
+      skusWithMargin: 0,
+      topMissingCostSKUs
+    };
+  }
+
+  const coveragePercent = Math.round((lineItemsWithCost / lineItemsTotal) * 100);
+
+  return {
+    averageMargin: parseFloat(((totalProfit / totalRevenue) * 100).toFixed(2)),
+    revenue: parseFloat(totalRevenue.toFixed(2)),
+    profit: parseFloat(totalProfit.toFixed(2)),
+    lineItemsWithCost,
+    lineItemsTotal,
+    coveragePercent,
+    reason: coveragePercent < 100
+      ? `Based on ${coveragePercent}% of line items (${lineItemsWithCost} of ${lineItemsTotal} have cost data)`
+      : null,
+    skusWithSales: lineItemsTotal,
+    skusWithMargin: lineItemsWithCost,
+    costingMethod,
+    costBasis: 'cost_in_force_at_order_date',
+    topMissingCostSKUs
+  };
+}
+
+export default {
+  rollupDay,
+  dayBounds,
+  listDays,
+  costOrderLines,
+  rollupOrderLines,
+  rowsInPeriod,
+  countDailyOrders,
+  aggregateRollupsBySku,
+  summarizeRollupSales,
+  summarizeRollupMargin
+};
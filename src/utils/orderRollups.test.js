@@ -0,0 +1,178 @@
+// src/utils/orderRollups.test.js
+// Unit tests for daily SKU rollups: building, costing and reading them back
+// Pure functions only - no database
+
+import {
+  rollupDay,
+  listDays,
+  costOrderLines,
+  rollupOrderLines,
+  rowsInPeriod,
+  countDailyOrders,
+  aggregateRollupsBySku,
+  summarizeRollupSales,
+  summarizeRollupMargin
+} from "./orderRollups.js";
+import { summarizeSales } from "./orderAdjustments.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+
+  const line = (sku, orderId, at, quantity, price, extra = {}) => ({
+    order_id: orderId,
+    sku,
+    strain: sku.split("-")[0],
+    unit: sku.endsWith("7G") ? "7g" : "3.5g",
+    quantity,
+    price_per_unit: price,
+    total_amount: price * quantity,
+    order_date: at,
+    entry_type: quantity > 0 ? "sale" : "refund",
+    ...extra
+  });
+
+  const lines = [
+    line("BLOOP-7G", "1001", "2026-03-02T10:00:00.000Z", 2, 40),
+    line("BLOOP-7G", "1002", "2026-03-02T18:30:00.000Z", 1, 40),
+    line("BLOOP-7G", "1001", "2026-03-02T20:00:00.000Z", -1, 40),
+    line("ZOAP-3.5", "1002", "2026-03-02T18:30:00.000Z", 3, 0),
+    line("BLOOP-7G", "1003", "2026-03-03T00:15:00.000Z", 4, 38, { entry_type: "sale" }),
+    line("ZOAP-3.5", "1003", "2026-03-03T00:15:00.000Z", -2, 25, { entry_type: "cancel" })
+  ];
+
+  // ========================================
+  // Days
+  // ========================================
+  console.log("\n📅 Testing days...\n");
+
+  test("Days are UTC calendar days", () => {
+    assertEquals(rollupDay("2026-03-02T23:59:59.999Z"), "2026-03-02");
+    assertEquals(rollupDay("2026-03-03T00:00:00.000Z"), "2026-03-03");
+    assertEquals(rollupDay("not a date"), null);
+  });
+
+  test("listDays is inclusive and crosses month ends", () => {
+    assertEquals(listDays("2026-02-27", "2026-03-02").join(","), "2026-02-27,2026-02-28,2026-03-01,2026-03-02");
+    assertEquals(listDays("2026-03-02", "2026-03-01").length, 0);
+  });
+
+  // ========================================
+  // Building rollups
+  // ========================================
+  console.log("\n🧮 Testing rollups...\n");
+
+  test("One row per day, SKU and unit with sales, refunds and counts", () => {
+    const rows = rollupOrderLines(lines);
+    assertEquals(rows.length, 4);
+
+    const bloop = rows[0];
+    assertEquals(`${bloop.day}|${bloop.sku}|${bloop.unit}`, "2026-03-02|BLOOP-7G|7g");
+    assertEquals(bloop.units_sold, 3);
+    assertEquals(bloop.units_refunded, 1);
+    assertEquals(bloop.order_count, 2);
+    assertEquals(bloop.line_count, 3);
+    assertEquals(bloop.gross_sales, 120);
+    assertEquals(bloop.refunds, 40);
+    assertEquals(bloop.refunds_by_type.refund, 40);
+    assertEquals(bloop.first_order_at, "2026-03-02T10:00:00.000Z");
+    assertEquals(bloop.last_order_at, "2026-03-02T20:00:00.000Z");
+  });
+
+  test("Margin revenue counts priced sale lines only", () => {
+    const zoap = rollupOrderLines(lines).find(row => row.day === "2026-03-02" && row.sku === "ZOAP-3.5");
+    assertEquals(zoap.units_sold, 3);
+    assertEquals(zoap.revenue, 0);
+    assertEquals(zoap.revenue_lines, 0);
+    assertEquals(zoap.order_count, 1);
+  });
+
+  test("Orders per day count each order once, sale lines only", () => {
+    const counts = countDailyOrders(lines);
+    assertEquals(counts.length, 2);
+    // 1001 and 1002 on the 2nd (1002 spans two SKUs); 1003 on the 3rd
+    assertEquals(`${counts[0].day}:${counts[0].order_count}`, "2026-03-02:2");
+    assertEquals(`${counts[1].day}:${counts[1].order_count}`, "2026-03-03:1");
+    const rowsTotal = rollupOrderLines(lines).reduce((sum, row) => sum + row.order_count, 0);
+    assertEquals(rowsTotal, 4);
+  });
+
+  test("Costed lines carry their unit cost into the row", () => {
+    const rows = rollupOrderLines(lines, { costByLine: new Map([[0, 15], [4, 16]]) });
+    assertEquals(rows[0].cost, 30);
+    assertEquals(rows[0].costed_lines, 1);
+    assertEquals(rows[0].costed_units, 2);
+    assertEquals(rows[0].costed_revenue, 80);
+    assertEquals(rows[0].revenue, 120);
+    assertEquals(rows[2].cost, 64);
+  });
+
+  test("Earlier rolled-up sales deplete receipts before the day's lines (FIFO)", () => {
+    const costHistory = {
+      method: "fifo",
+      recordsBySku: new Map([["BLOOP-7G", [
+        { sku: "BLOOP-7G", unitCost: 10, quantity: 3, effectiveAt: "2026-03-01T00:00:00.000Z" },
+        { sku: "BLOOP-7G", unitCost: 20, quantity: 10, effectiveAt: "2026-03-01T06:00:00.000Z" }
+      ]]])
+    };
+    const dayLines = [line("BLOOP-7G", "2001", "2026-03-03T12:00:00.000Z", 2, 40)];
+
+    assertEquals(costOrderLines(dayLines, costHistory).get(0), 10);
+
+    const prior = [{ sku: "BLOOP-7G", strain: "BLOOP", unit: "7g", units_sold: 3, last_order_at: "2026-03-02T20:00:00.000Z" }];
+    assertEquals(costOrderLines(dayLines, costHistory, prior).get(0), 20);
+  });
+
+  test("Lines without cost history stay uncosted", () => {
+    assertEquals(costOrderLines(lines, { method: "fifo", recordsBySku: new Map() }).size, 0);
+  });
+
+  // ========================================
+  // Reading rollups
+  // ========================================
+  console.log("\n📖 Testing reads...\n");
+
+  test("Sales summary over rollups matches the line-level summary", () => {
+    const fromRollups = summarizeRollupSales(rollupOrderLines(lines));
+    const fromLines = summarizeSales(lines);
+    assertEquals(JSON.stringify(fromRollups), JSON.stringify(fromLines));
+  });
+
+  test("Per-SKU aggregates net out reversals with one event per day", () => {
+    const bySku = aggregateRollupsBySku(rollupOrderLines(lines));
+    const bloop = bySku.get("BLOOP-7G|7g");
+    assertEquals(bloop.totalSold, 6);
+    assertEquals(bloop.orderCount, 3);
+    assertEquals(bloop.orders.length, 2);
+    assertEquals(bloop.orders[1].date.toISOString(), "2026-03-03T00:00:00.000Z");
+    assertEquals(bloop.firstOrder.toISOString(), "2026-03-02T10:00:00.000Z");
+    assertEquals(bloop.lastOrder.toISOString(), "2026-03-03T00:15:00.000Z");
+    assertEquals(bySku.get("ZOAP-3.5|3.5g").totalSold, 1);
+  });
+
+  test("rowsInPeriod keeps the days a period touches", () => {
+    const rows = rollupOrderLines(lines);
+    assertEquals(rowsInPeriod(rows, "2026-03-03T00:00:00.000Z", "2026-03-09T23:59:59.999Z").length, 2);
+    assertEquals(rowsInPeriod(rows, "2026-03-01T00:00:00.000Z", "2026-03-02T23:59:59.999Z").length, 2);
+  });
+
+  test("Margin from rollups reports coverage and missing-cost SKUs", () => {
+    const rows = rollupOrderLines(lines, { costByLine: new Map([[0, 15], [1, 15]]) });
+    const margin = summarizeRollupMargin(rows, "weighted_average");
+    assertEquals(margin.lineItemsTotal, 3);
+    assertEquals(margin.lineItemsWithCost, 2);
+    assertEquals(margin.revenue, 272);
+    assertEquals(margin.profit, 75);
+    assertEquals(margin.coveragePercent, 67);
+    assertEquals(margin.topMissingCostSKUs[0].sku, "BLOOP-7G");
+    assertEquals(margin.topMissingCostSKUs[0].revenue, 152);
+    assertEquals(summarizeRollupMargin([], "fifo").averageMargin, null);
+  });
+
+  return finish("Rollups agree with the order lines they came from.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
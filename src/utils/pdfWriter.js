@@ -0,0 +1,490 @@
+/**
+ * PDF WRITER
+ *
+ * Minimal PDF 1.4 document builder for generated reports - text, lines,
+ * rectangles and simple bar / line charts - with no third-party
+ * dependencies.
+ *
+ * COORDINATES: Points from the TOP-LEFT corner of the page (y grows down),
+ * converted to PDF's bottom-up space when drawing. Text y is the top of the
+ * line; the baseline sits at y + 0.75 * size.
+ *
+ * FONTS: The standard Helvetica and Helvetica-Bold faces (every viewer has
+ * them, nothing is embedded) with WinAnsiEncoding. Widths come from the
+ * Adobe AFM metrics so text can be measured, wrapped and right-aligned.
+ * Characters outside WinAnsi are transliterated where there is an obvious
+ * equivalent (→ becomes ->), emoji are dropped, and anything else prints
+ * as '?'.
+ *
+ * PAGES: Drawing goes to the current page. Earlier pages can be revisited
+ * with setPage() - e.g. to stamp "Page n of N" footers after layout.
+ *
+ * PURE MODULE: No I/O (returns the document as a Buffer)
+ */
+
+import zlib from 'zlib';
+
+// ============================================================================
+// FONT METRICS
+// ============================================================================
+
+// Advance widths (1/1000 em) for WinAnsi codes 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// WinAnsi codes (0x80-0x9F range) for typographic characters, with widths
+const WIN_ANSI_EXTRAS = {
+  '•': [0x95, 350, 350],   // bullet
+  '–': [0x96, 556, 556],   // en dash
+  '—': [0x97, 1000, 1000], // em dash
+  '‘': [0x91, 222, 278],   // left single quote
+  '’': [0x92, 222, 278],   // right single quote
+  '“': [0x93, 333, 500],   // left double quote
+  '”': [0x94, 333, 500],   // right double quote
+  '…': [0x85, 1000, 1000], // ellipsis
+  '€': [0x80, 556, 556]    // euro
+};
+
+const TRANSLITERATIONS = {
+  '→': '->',
+  '←': '<-',
+  '↑': '^',
+  '↓': 'v',
+  '≤': '<=',
+  '≥': '>=',
+  '≈': '~',
+  '≠': '!=',
+  '−': '-',
+  '\u00A0': ' '
+};
+
+const DROPPED = /[\p{Extended_Pictographic}\uFE0E\uFE0F\u200D]/u;
+
+/**
+ * WinAnsi byte codes for a string (one code per printed character)
+ */
+function encode(text) {
+  const codes = [];
+  for (const char of String(text ?? '')) {
+    if (TRANSLITERATIONS[char]) {
+      for (const c of TRANSLITERATIONS[char]) codes.push(c.charCodeAt(0));
+      continue;
+    }
+    if (DROPPED.test(char)) continue;
+
+    const code = char.codePointAt(0);
+    if (code === 9) codes.push(32);
+    else if (code >= 32 && code <= 126) codes.push(code);
+    else if (WIN_ANSI_EXTRAS[char]) codes.push(WIN_ANSI_EXTRAS[char][0]);
+    else if (code >= 0xA1 && code <= 0xFF) codes.push(code);
+    else if (code >= 32) codes.push(63); // '?'
+  }
+  return codes;
+}
+
+const EXTRA_WIDTHS = new Map(Object.values(WIN_ANSI_EXTRAS).map(([code, regular, bold]) => [code, { regular, bold }]));
+
+function codeWidth(code, fontName) {
+  if (code >= 32 && code <= 126) return FONTS[fontName].widths[code - 32];
+  return EXTRA_WIDTHS.get(code)?.[fontName] ?? 556;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function num(value) {
+  return Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '0';
+}
+
+function rgb(color) {
+  const hex = String(color || '#000000').replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex.padEnd(6, '0');
+  return [0, 2, 4].map(i => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+function pdfString(codes) {
+  let out = '(';
+  for (const code of codes) {
+    if (code === 40 || code === 41 || code === 92) out += '\\' + String.fromCharCode(code);
+    else if (code < 32 || code > 126) out += '\\' + code.toString(8).padStart(3, '0');
+    else out += String.fromCharCode(code);
+  }
+  return out + ')';
+}
+
+function literal(text) {
+  return pdfString(encode(text));
+}
+
+function niceStep(range, steps) {
+  const raw = range / steps;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 2.5 ? 2.5 : normalized <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
+
+/**
+ * Axis bounds and ticks covering [min, max] (always including zero)
+ */
+function axisTicks(values, steps = 4) {
+  const finite = values.filter(Number.isFinite);
+  let min = Math.min(0, ...finite);
+  let max = Math.max(0, ...finite);
+  if (min === max) max = min + 1;
+
+  const step = niceStep(max - min, steps);
+  min = Math.floor(min / step) * step;
+  max = Math.ceil(max / step) * step;
+
+  const ticks = [];
+  for (let v = min; v <= max + step / 2; v += step) ticks.push(Math.round(v / step) * step);
+  return { min, max, ticks };
+}
+
+function compactNumber(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e6) return `${num(value / 1e6)}M`;
+  if (abs >= 1e3) return `${num(value / 1e3)}k`;
+  return num(value);
+}
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+/**
+ * Create a PDF document
+ *
+ * @param {object} [options]
+ * @param {string} [options.title] - Document title (Info dictionary)
+ * @param {string} [options.author] - Document author
+ * @param {number} [options.width] - Page width in points (default: 612, US Letter)
+ * @param {number} [options.height] - Page height in points (default: 792)
+ * @param {Date} [options.createdAt] - Creation date (default: now)
+ * @returns {object} Document with drawing methods and toBuffer()
+ */
+export function createPdfDocument(options = {}) {
+  const width = options.width || 612;
+  const height = options.height || 792;
+  const pages = [];
+  let current = -1;
+
+  const ops = () => {
+    if (current < 0) throw new Error('[PdfWriter] No page - call addPage() first');
+    return pages[current];
+  };
+
+  const doc = {
+    width,
+    height,
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    get pageIndex() {
+      return current;
+    },
+
+    /** Append a page and make it current; returns its index */
+    addPage() {
+      pages.push([]);
+      current = pages.length - 1;
+      return current;
+    },
+
+    /** Make an existing page current */
+    setPage(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= pages.length) {
+        throw new Error(`[PdfWriter] Page ${index} does not exist`);
+      }
+      current = index;
+    },
+
+    /**
+     * Width of text in points
+     *
+     * @param {string} text
+     * @param {object} [style] - { font: 'regular'|'bold', size }
+     */
+    textWidth(text, style = {}) {
+      const font = FONTS[style.font] ? style.font : 'regular';
+      const size = style.size || 10;
+      return encode(text).reduce((sum, code) => sum + codeWidth(code, font), 0) * size / 1000;
+    },
+
+    /** Text cut to fit a width, with an ellipsis when shortened */
+    truncate(text, maxWidth, style = {}) {
+      const value = String(text ?? '');
+      if (doc.textWidth(value, style) <= maxWidth) return value;
+
+      const chars = [...value];
+      while (chars.length > 0 && doc.textWidth(chars.join('') + '...', style) > maxWidth) chars.pop();
+      return chars.length > 0 ? chars.join('').trimEnd() + '...' : '';
+    },
+
+    /** Split text into lines no wider than maxWidth (long words are truncated) */
+    wrapText(text, maxWidth, style = {}) {
+      const lines = [];
+      for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+          const candidate = line ? `${line} ${word}` : word;
+          if (doc.textWidth(candidate, style) <= maxWidth) {
+            line = candidate;
+            continue;
+          }
+          if (line) lines.push(line);
+          line = doc.textWidth(word, style) <= maxWidth ? word : doc.truncate(word, maxWidth, style);
+        }
+        lines.push(line);
+      }
+      return lines;
+    },
+
+    /**
+     * Draw one line of text
+     *
+     * @param {string} text
+     * @param {number} x - Left edge (or right edge / center, per align)
+     * @param {number} y - Top of the line
+     * @param {object} [style]
+     * @param {string} [style.font] - 'regular' | 'bold'
+     * @param {number} [style.size] - Points (default: 10)
+     * @param {string} [style.color] - Hex color (default: black)
+     * @param {string} [style.align] - 'left' | 'right' | 'center'
+     * @param {number} [style.maxWidth] - Truncate to this width
+     */
+    text(text, x, y, style = {}) {
+      const font = FONTS[style.font] ? style.font : 'regular';
+      const size = style.size || 10;
+      const value = style.maxWidth ? doc.truncate(text, style.maxWidth, { font, size }) : String(text ?? '');
+      if (!value) return;
+
+      const textWidth = doc.textWidth(value, { font, size });
+      let left = x;
+      if (style.align === 'right') left = x - textWidth;
+      else if (style.align === 'center') left = x - textWidth / 2;
+
+      const baseline = height - (y + size * 0.75);
+      ops().push(
+        `BT /${FONTS[font].resource} ${num(size)} Tf ${rgb(style.color)} rg ${num(left)} ${num(baseline)} Td ${literal(value)} Tj ET`
+      );
+    },
+
+    /** Draw a straight line */
+    line(x1, y1, x2, y2, style = {}) {
+      const dash = style.dash ? `[${style.dash.map(num).join(' ')}] 0 d ` : '';
+      ops().push(
+        `q ${dash}${num(style.width ?? 0.5)} w ${rgb(style.color)} RG ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S Q`
+      );
+    },
+
+    /**
+     * Draw a rectangle (top-left corner at x, y)
+     *
+     * @param {object} [style] - { fill, stroke, width } - hex colors; stroke only by default
+     */
+    rect(x, y, w, h, style = {}) {
+      const fill = style.fill ? `${rgb(style.fill)} rg ` : '';
+      const stroke = style.stroke || !style.fill ? `${rgb(style.stroke)} RG ${num(style.width ?? 0.5)} w ` : '';
+      const paint = style.fill ? (style.stroke ? 'B' : 'f') : 'S';
+      ops().push(`q ${fill}${stroke}${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re ${paint} Q`);
+    },
+
+    /**
+     * Vertical bar chart in the box (x, y, w, h)
+     *
+     * @param {object} chart
+     * @param {string[]} chart.labels - One per bar
+     * @param {number[]} chart.values - Bar heights (non-finite values draw nothing)
+     * @param {string} [chart.title]
+     * @param {string} [chart.color] - Bar color
+     * @param {function} [chart.format] - Value label formatter
+     */
+    barChart(x, y, w, h, chart) {
+      const values = chart.values.map(Number);
+      drawAxes(x, y, w, h, chart.title, axisTicks(values), (plot, axis) => {
+        const slot = plot.w / Math.max(values.length, 1);
+        const barWidth = Math.min(slot * 0.7, 48);
+        const zeroY = plot.y + plot.h - ((0 - axis.min) / (axis.max - axis.min)) * plot.h;
+
+        values.forEach((value, i) => {
+          const cx = plot.x + slot * i + slot / 2;
+          const label = doc.truncate(chart.labels[i], slot - 2, { size: 6.5 });
+          doc.text(label, cx, plot.y + plot.h + 4, { size: 6.5, align: 'center', color: '#444444' });
+          if (!Number.isFinite(value)) return;
+
+          const barY = plot.y + plot.h - ((value - axis.min) / (axis.max - axis.min)) * plot.h;
+          doc.rect(cx - barWidth / 2, Math.min(barY, zeroY), barWidth, Math.abs(zeroY - barY), { fill: chart.color || '#2F6DB5' });
+          const format = chart.format || compactNumber;
+          doc.text(format(value), cx, Math.min(barY, zeroY) - 9, { size: 6.5, align: 'center', color: '#222222' });
+        });
+      });
+    },
+
+    /**
+     * Line chart in the box (x, y, w, h) with a legend under the title
+     *
+     * @param {object} chart
+     * @param {string[]} chart.labels - X-axis labels
+     * @param {Array<{name: string, values: number[], color: string}>} chart.series
+     * @param {string} [chart.title]
+     * @param {function} [chart.format] - Axis label formatter
+     */
+    lineChart(x, y, w, h, chart) {
+      const allValues = chart.series.flatMap(series => series.values.map(Number));
+      drawAxes(x, y, w, h, chart.title, axisTicks(allValues), (plot, axis) => {
+        const count = chart.labels.length;
+        const px = i => count > 1 ? plot.x + (plot.w * i) / (count - 1) : plot.x + plot.w / 2;
+        const py = v => plot.y + plot.h - ((v - axis.min) / (axis.max - axis.min)) * plot.h;
+
+        const every = Math.max(1, Math.ceil(count / 8));
+        chart.labels.forEach((label, i) => {
+          if (i % every === 0 || i === count - 1) {
+            doc.text(label, px(i), plot.y + plot.h + 4, { size: 6.5, align: 'center', color: '#444444' });
+          }
+        });
+
+        let legendX = plot.x;
+        for (const series of chart.series) {
+          doc.rect(legendX, y + 14, 8, 3, { fill: series.color });
+          doc.text(series.name, legendX + 11, y + 12, { size: 7, color: '#444444' });
+          legendX += 20 + doc.textWidth(series.name, { size: 7 });
+
+          let previous = null;
+          series.values.forEach((raw, i) => {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) {
+              previous = null;
+              return;
+            }
+            const point = [px(i), py(value)];
+            if (previous) doc.line(previous[0], previous[1], point[0], point[1], { color: series.color, width: 1.5 });
+            doc.rect(point[0] - 1.5, point[1] - 1.5, 3, 3, { fill: series.color });
+            previous = point;
+          });
+        }
+      }, chart.format);
+    },
+
+    /** Serialize the document */
+    toBuffer() {
+      if (pages.length === 0) doc.addPage();
+
+      const objects = [];
+      const addObject = body => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null);
+      const pagesId = addObject(null);
+      const fontIds = {};
+      for (const [name, font] of Object.entries(FONTS)) {
+        fontIds[name] = addObject(
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+        );
+      }
+      const fontResources = Object.entries(FONTS).map(([name, font]) => `/${font.resource} ${fontIds[name]} 0 R`).join(' ');
+
+      const pageIds = pages.map(pageOps => {
+        const content = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+        const contentId = addObject({ dict: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      const created = options.createdAt || new Date();
+      const pdfDate = 'D:' + created.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+      const infoId = addObject(
+        `<< /Title ${literal(options.title || '')} /Author ${literal(options.author || '')} ` +
+        `/Producer (OMEN) /CreationDate (${pdfDate}) >>`
+      );
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = [];
+
+      objects.forEach((body, i) => {
+        offsets.push(length);
+        const parts = typeof body === 'string'
+          ? [Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+          : [
+              Buffer.from(`${i + 1} 0 obj\n${body.dict}\nstream\n`, 'latin1'),
+              body.stream,
+              Buffer.from('\nendstream\nendobj\n', 'latin1')
+            ];
+        for (const part of parts) {
+          chunks.push(part);
+          length += part.length;
+        }
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+        ''
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+
+      return Buffer.concat(chunks);
+    }
+  };
+
+  // Title, gridlines and y-axis labels; draw(plot, axis) fills the plot area
+  function drawAxes(x, y, w, h, title, axis, draw, format = compactNumber) {
+    if (title) doc.text(title, x, y, { font: 'bold', size: 9 });
+
+    const labelWidth = Math.max(...axis.ticks.map(t => doc.textWidth(format(t), { size: 6.5 }))) + 6;
+    const plot = { x: x + labelWidth, y: y + 26, w: w - labelWidth - 4, h: h - 26 - 14 };
+
+    for (const tick of axis.ticks) {
+      const ty = plot.y + plot.h - ((tick - axis.min) / (axis.max - axis.min)) * plot.h;
+      doc.line(plot.x, ty, plot.x + plot.w, ty, { color: tick === 0 ? '#888888' : '#DDDDDD', width: tick === 0 ? 0.75 : 0.5 });
+      doc.text(format(tick), plot.x - 4, ty - 3, { size: 6.5, align: 'right', color: '#666666' });
+    }
+
+    draw(plot, axis);
+  }
+
+  return doc;
+}
+
+export default {
+  createPdfDocument
+};
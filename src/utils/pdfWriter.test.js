@@ -0,0 +1,121 @@
+// src/utils/pdfWriter.test.js
+// Unit tests for the PDF builder: text measurement, wrapping, encoding and file structure
+// Pure functions only - no database
+
+import zlib from "zlib";
+import { createPdfDocument } from "./pdfWriter.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  // Decompressed content streams, one per page
+  function pageContents(pdf) {
+    const text = pdf.toString("latin1");
+    return [...text.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(m => {
+      const start = m.index + m[0].length;
+      return zlib.inflateSync(pdf.subarray(start, start + Number(m[1]))).toString("latin1");
+    });
+  }
+
+  // ========================================
+  // Measuring and wrapping
+  // ========================================
+  console.log("\n📏 Testing text measurement...\n");
+
+  test("Text width uses Helvetica metrics", () => {
+    const doc = createPdfDocument();
+    assertEquals(doc.textWidth("Hi", { size: 10 }), 9.44, "H 722 + i 222 at 10pt");
+    assertEquals(doc.textWidth("Hi", { font: "bold", size: 10 }), 10, "H 722 + i 278 at 10pt");
+  });
+
+  test("Wrapped lines fit the width and keep every word", () => {
+    const doc = createPdfDocument();
+    const text = "Selling 2.8/day with only 3 days of stock left - place the reorder this week";
+    const lines = doc.wrapText(text, 120, { size: 9 });
+    assertEquals(lines.length > 1, true);
+    assertEquals(lines.every(line => doc.textWidth(line, { size: 9 }) <= 120), true);
+    assertEquals(lines.join(" "), text);
+  });
+
+  test("Truncation adds an ellipsis only when needed", () => {
+    const doc = createPdfDocument();
+    assertEquals(doc.truncate("Short", 100), "Short");
+    const cut = doc.truncate("Whole Plant Flash Frozen Static Full Melt Hash", 60, { size: 8 });
+    assertEquals(cut.endsWith("..."), true);
+    assertEquals(doc.textWidth(cut, { size: 8 }) <= 60, true);
+  });
+
+  // ========================================
+  // Encoding
+  // ========================================
+  console.log("\n🔤 Testing text encoding...\n");
+
+  test("Text is escaped and mapped to WinAnsi", () => {
+    const doc = createPdfDocument();
+    doc.addPage();
+    doc.text("Café (3.5g) \\ “Top” – HOLD → SELL 🚀 ✓", 48, 48);
+    const [content] = pageContents(doc.toBuffer());
+    assertEquals(
+      content.includes("(Caf\\351 \\(3.5g\\) \\\\ \\223Top\\224 \\226 HOLD -> SELL  ?) Tj"),
+      true,
+      `Unexpected text operator: ${content}`
+    );
+  });
+
+  // ========================================
+  // Document structure
+  // ========================================
+  console.log("\n📄 Testing document structure...\n");
+
+  test("Pages, xref offsets and trailer are consistent", () => {
+    const doc = createPdfDocument({ title: "Weekly (test)" });
+    doc.addPage();
+    doc.text("One", 48, 48);
+    doc.addPage();
+    doc.rect(48, 48, 100, 20, { fill: "#2F6DB5" });
+    doc.barChart(48, 100, 300, 160, { labels: ["A", "B"], values: [3, -1] });
+    doc.lineChart(48, 300, 300, 160, { labels: ["01-02", "01-09"], series: [{ name: "Revenue", values: [10, 12], color: "#000" }] });
+
+    const pdf = doc.toBuffer();
+    const text = pdf.toString("latin1");
+    assertEquals(text.startsWith("%PDF-1.4"), true);
+    assertEquals(text.trimEnd().endsWith("%%EOF"), true);
+    assertEquals(/\/Type \/Pages \/Kids \[[^\]]+\] \/Count 2/.test(text), true, "Two pages");
+    assertEquals(text.includes("/Title (Weekly \\(test\\))"), true);
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    assertEquals(text.slice(startxref, startxref + 4), "xref");
+    const entries = text.slice(startxref).split("\n").slice(3).filter(line => / 00000 n $/.test(line));
+    entries.forEach((line, i) => {
+      const offset = Number(line.slice(0, 10));
+      assertEquals(text.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`, `Offset of object ${i + 1}`);
+    });
+  });
+
+  test("Earlier pages can be revisited", () => {
+    const doc = createPdfDocument();
+    doc.addPage();
+    doc.addPage();
+    doc.setPage(0);
+    doc.text("Page 1 of 2", 500, 760, { align: "right" });
+    const contents = pageContents(doc.toBuffer());
+    assertEquals(contents[0].includes("(Page 1 of 2) Tj"), true);
+    assertEquals(contents[1], "");
+    assertThrows(() => doc.setPage(2));
+  });
+
+  test("Drawing needs a page", () => {
+    const doc = createPdfDocument();
+    assertThrows(() => doc.text("No page", 0, 0));
+  });
+
+  // Summary
+  // ========================================
+  return finish("PDF text, layout helpers and structure hold.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,405 @@
+/**
+ * OMEN PRICING RULES
+ *
+ * Versioned, per-store pricing rules. Replaces the static PRICING_CATALOG
+ * (now only the seed for a store's first rule set).
+ *
+ * RULE SET:
+ *   defaults          — [{ quality, unit, retail, compareAt? }]
+ *                       quality '*' matches any tier for that unit
+ *   overrides         — [{ sku, retail, compareAt? }] (win over defaults)
+ *   rounding          — { mode: 'nearest' | 'up' | 'down', increment, endingOffset }
+ *                       e.g. { mode: 'up', increment: 1, endingOffset: 0.01 } → $24.99
+ *   minMarginPercent  — floor on (retail − cost) / retail; raises retail when
+ *                       the SKU's cost (sku_costs) would put it under the floor
+ *
+ * VERSIONING:
+ *   draft ──publish──▶ published (immutable)
+ *   The rule set in force at a time is the published version with the latest
+ *   effectiveFrom at or before it (ties → higher version).
+ *
+ * Margins follow sku_profitability: unit_margin = retail − unit_cost,
+ * margin_percent = unit_margin / retail, profit_at_risk = available × unit_margin.
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/pricingRuleService.js
+ */
+
+import { PRICING_CATALOG } from '../tools/pricingCatalog.js';
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+export const RULE_SET_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  PUBLISHED: 'published'
+});
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+const DEFAULT_ROUNDING = { mode: 'nearest', increment: 1, endingOffset: 0 };
+
+const ANY_QUALITY = '*';
+
+// ============================================================================
+// UNIT / TIER MATCHING
+// ============================================================================
+
+// Weight labels → catalog unit names (3.5g = 1/8 oz)
+const UNIT_ALIASES = {
+  eighth: 'eighth', '1/8': 'eighth', '1/8oz': 'eighth', '3.5g': 'eighth', '35g': 'eighth',
+  quarter: 'quarter', '1/4': 'quarter', '1/4oz': 'quarter', '7g': 'quarter',
+  half: 'half', '1/2': 'half', '1/2oz': 'half', '14g': 'half',
+  oz: 'oz', ounce: 'oz', '1oz': 'oz', '28g': 'oz'
+};
+
+/**
+ * Canonical unit for rule matching ("3.5 G" → "eighth", "1g" → "1g")
+ *
+ * @param {string} unit - Unit or variant label
+ * @returns {string|null}
+ */
+export function canonicalUnit(unit) {
+  if (!unit || typeof unit !== 'string') return null;
+  const key = unit.toLowerCase().replace(/\s+/g, '');
+  return UNIT_ALIASES[key] || key;
+}
+
+function canonicalQuality(quality) {
+  if (!quality || typeof quality !== 'string') return null;
+  return quality.trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function requirePrice(value, label) {
+  if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+    throw new Error(`normalizeRuleSet: ${label} must be a non-negative number`);
+  }
+  return value;
+}
+
+function optionalPrice(value, label) {
+  return value === undefined || value === null ? null : requirePrice(value, label);
+}
+
+/**
+ * Validate and normalize rule set content
+ *
+ * @param {Object} input - { defaults, overrides, rounding, minMarginPercent }
+ * @returns {Object} Normalized rules
+ * @throws {Error} If a rule is invalid
+ */
+export function normalizeRuleSet(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('normalizeRuleSet: rules must be an object');
+  }
+
+  const defaults = (input.defaults || []).map((rule, i) => {
+    const quality = rule?.quality === ANY_QUALITY ? ANY_QUALITY : canonicalQuality(rule?.quality);
+    const unit = canonicalUnit(rule?.unit);
+    if (!quality || !unit) {
+      throw new Error(`normalizeRuleSet: defaults[${i}] needs a quality and unit`);
+    }
+    return {
+      quality,
+      unit,
+      retail: requirePrice(rule.retail, `defaults[${i}].retail`),
+      compareAt: optionalPrice(rule.compareAt, `defaults[${i}].compareAt`)
+    };
+  });
+
+  const defaultKeys = new Set();
+  for (const rule of defaults) {
+    const key = `${rule.quality}|${rule.unit}`;
+    if (defaultKeys.has(key)) {
+      throw new Error(`normalizeRuleSet: duplicate default for ${rule.quality} ${rule.unit}`);
+    }
+    defaultKeys.add(key);
+  }
+
+  const overrideSkus = new Set();
+  const overrides = (input.overrides || []).map((rule, i) => {
+    const sku = typeof rule?.sku === 'string' ? rule.sku.trim() : '';
+    if (!sku) {
+      throw new Error(`normalizeRuleSet: overrides[${i}] needs a sku`);
+    }
+    if (overrideSkus.has(sku)) {
+      throw new Error(`normalizeRuleSet: duplicate override for ${sku}`);
+    }
+    overrideSkus.add(sku);
+    return {
+      sku,
+      retail: requirePrice(rule.retail, `overrides[${i}].retail`),
+      compareAt: optionalPrice(rule.compareAt, `overrides[${i}].compareAt`)
+    };
+  });
+
+  const rounding = { ...DEFAULT_ROUNDING, ...(input.rounding || {}) };
+  if (!ROUNDING_MODES.includes(rounding.mode)) {
+    throw new Error(`normalizeRuleSet: rounding.mode must be one of ${ROUNDING_MODES.join(', ')}`);
+  }
+  if (typeof rounding.increment !== 'number' || !(rounding.increment > 0)) {
+    throw new Error('normalizeRuleSet: rounding.increment must be a positive number');
+  }
+  if (typeof rounding.endingOffset !== 'number' || rounding.endingOffset < 0 || rounding.endingOffset >= rounding.increment) {
+    throw new Error('normalizeRuleSet: rounding.endingOffset must be from 0 to under the increment');
+  }
+
+  const minMarginPercent = input.minMarginPercent ?? null;
+  if (minMarginPercent !== null &&
+      (typeof minMarginPercent !== 'number' || minMarginPercent < 0 || minMarginPercent >= 100)) {
+    throw new Error('normalizeRuleSet: minMarginPercent must be from 0 to under 100');
+  }
+
+  return {
+    defaults,
+    overrides,
+    rounding: {
+      mode: rounding.mode,
+      increment: rounding.increment,
+      endingOffset: rounding.endingOffset
+    },
+    minMarginPercent
+  };
+}
+
+/**
+ * Seed rules for a store with no rule sets, from PRICING_CATALOG
+ *
+ * Catalog cost is dropped (cost authority is sku_costs); the catalog's sale
+ * column is the compare-at price.
+ *
+ * @returns {Object} Normalized rules
+ */
+export function seedRulesFromCatalog() {
+  return normalizeRuleSet({
+    defaults: PRICING_CATALOG.map(row => ({
+      quality: row.quality,
+      unit: row.unit,
+      retail: row.retail,
+      compareAt: row.sale
+    })),
+    overrides: [],
+    rounding: DEFAULT_ROUNDING,
+    minMarginPercent: null
+  });
+}
+
+// ============================================================================
+// VERSION SELECTION
+// ============================================================================
+
+/**
+ * Published rule set in force at a point in time
+ *
+ * @param {Array} ruleSets - [{ version, status, effectiveFrom, rules }]
+ * @param {Date|string} [asOf] - Default now
+ * @returns {Object|null}
+ */
+export function selectEffectiveRuleSet(ruleSets, asOf = new Date()) {
+  const at = new Date(asOf).getTime();
+
+  return (ruleSets || [])
+    .filter(set => set.status === RULE_SET_STATUS.PUBLISHED &&
+      set.effectiveFrom &&
+      new Date(set.effectiveFrom).getTime() <= at)
+    .sort((a, b) =>
+      (new Date(b.effectiveFrom) - new Date(a.effectiveFrom)) || (b.version - a.version))[0] || null;
+}
+
+// ============================================================================
+// PRICING
+// ============================================================================
+
+/**
+ * Round a price per the rule set's rounding
+ *
+ * @param {number} price - Raw price
+ * @param {Object} rounding - { mode, increment, endingOffset }
+ * @returns {number}
+ */
+export function roundPrice(price, rounding = DEFAULT_ROUNDING) {
+  const { mode, increment, endingOffset } = { ...DEFAULT_ROUNDING, ...rounding };
+  // Round the price plus the offset so $24.99 endings land on whole increments
+  const steps = (price + endingOffset) / increment;
+  const rounder = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  // Trim float noise first (e.g. 0.29 / 0.01 = 28.999999999999996 must not ceil past 29)
+  const rounded = rounder(parseFloat(steps.toFixed(9))) * increment - endingOffset;
+  return parseFloat(Math.max(0, rounded).toFixed(2));
+}
+
+function itemCost(item) {
+  const cost = item.pricing?.cost ?? item.unit_cost ?? item.cost ?? null;
+  return cost !== null && isFinite(cost) ? cost : null;
+}
+
+function itemQuantity(item) {
+  return item.availableQuantity ?? item.quantity ?? item.available_quantity ?? 0;
+}
+
+/**
+ * Price one inventory item under a rule set
+ *
+ * @param {Object} item - Inventory item (sku, quality/category, unit/variant_name, pricing.cost)
+ * @param {Object} rules - Normalized rules
+ * @returns {Object} { sku, quality, unit, basis: 'override' | 'tier_default' | 'unit_default' | 'none',
+ *   retail, compareAt, floorApplied, floorPrice }
+ */
+export function priceItem(item, rules) {
+  const quality = canonicalQuality(item.quality || item.tier || item.category);
+  const unit = canonicalUnit(item.unit || item.variant_name);
+
+  const override = rules.overrides.find(rule => rule.sku === item.sku);
+  const tierDefault = !override
+    ? rules.defaults.find(rule => rule.quality === quality && rule.unit === unit)
+    : null;
+  const unitDefault = !override && !tierDefault
+    ? rules.defaults.find(rule => rule.quality === ANY_QUALITY && rule.unit === unit)
+    : null;
+  const matched = override || tierDefault || unitDefault;
+
+  if (!matched) {
+    return { sku: item.sku, quality, unit, basis: 'none', retail: null, compareAt: null, floorApplied: false, floorPrice: null };
+  }
+
+  let retail = roundPrice(matched.retail, rules.rounding);
+  let floorApplied = false;
+  let floorPrice = null;
+
+  const cost = itemCost(item);
+  if (rules.minMarginPercent !== null && cost !== null) {
+    floorPrice = parseFloat((cost / (1 - rules.minMarginPercent / 100)).toFixed(2));
+    if (retail < floorPrice) {
+      retail = roundPrice(floorPrice, { ...rules.rounding, mode: 'up' });
+      floorApplied = true;
+    }
+  }
+
+  const compareAt = matched.compareAt !== null ? roundPrice(matched.compareAt, rules.rounding) : null;
+
+  return {
+    sku: item.sku,
+    quality,
+    unit,
+    basis: override ? 'override' : tierDefault ? 'tier_default' : 'unit_default',
+    retail,
+    compareAt: compareAt !== null && compareAt > retail ? compareAt : null,
+    floorApplied,
+    floorPrice
+  };
+}
+
+/**
+ * sku_profitability-style margins for one price
+ */
+function profitability(retail, cost, quantity) {
+  if (retail === null || cost === null) {
+    return { retail, unitMargin: null, marginPercent: null, profitAtRisk: null };
+  }
+  const unitMargin = parseFloat((retail - cost).toFixed(2));
+  return {
+    retail,
+    unitMargin,
+    marginPercent: retail > 0 ? parseFloat(((unitMargin / retail) * 100).toFixed(2)) : null,
+    profitAtRisk: quantity > 0 ? parseFloat((quantity * unitMargin).toFixed(2)) : null
+  };
+}
+
+/**
+ * Preview how a rule set reprices current inventory
+ *
+ * @param {Array} inventory - Current inventory (pricing.retail is the live price)
+ * @param {Object} rules - Normalized rules to preview
+ * @returns {Object} { skus: [...], summary }
+ */
+export function previewRepricing(inventory, rules) {
+  const skus = [];
+  let floorsApplied = 0;
+  let unmatched = 0;
+  const totals = {
+    current: { marginDollars: 0, retailValue: 0, profitAtRisk: 0 },
+    proposed: { marginDollars: 0, retailValue: 0, profitAtRisk: 0 }
+  };
+
+  for (const item of inventory || []) {
+    if (!item?.sku) continue;
+
+    const priced = priceItem(item, rules);
+    if (priced.basis === 'none') {
+      unmatched++;
+      continue;
+    }
+
+    const cost = itemCost(item);
+    const quantity = Math.max(0, itemQuantity(item));
+    const currentRetail = item.pricing?.retail ?? item.retail ?? null;
+
+    const current = profitability(currentRetail, cost, quantity);
+    const proposed = { ...profitability(priced.retail, cost, quantity), compareAt: priced.compareAt };
+
+    if (priced.floorApplied) floorsApplied++;
+
+    // Weighted margin over SKUs priced both ways with a cost
+    if (cost !== null && currentRetail !== null && quantity > 0) {
+      totals.current.marginDollars += current.unitMargin * quantity;
+      totals.current.retailValue += currentRetail * quantity;
+      totals.current.profitAtRisk += current.profitAtRisk;
+      totals.proposed.marginDollars += proposed.unitMargin * quantity;
+      totals.proposed.retailValue += priced.retail * quantity;
+      totals.proposed.profitAtRisk += proposed.profitAtRisk;
+    }
+
+    skus.push({
+      sku: item.sku,
+      name: item.name || item.product_name || item.sku,
+      quality: priced.quality,
+      unit: priced.unit,
+      basis: priced.basis,
+      unitCost: cost,
+      quantity,
+      current,
+      proposed,
+      retailChange: currentRetail !== null ? parseFloat((priced.retail - currentRetail).toFixed(2)) : null,
+      floorApplied: priced.floorApplied
+    });
+  }
+
+  skus.sort((a, b) => Math.abs(b.retailChange ?? 0) - Math.abs(a.retailChange ?? 0));
+
+  const weighted = side => side.retailValue > 0
+    ? parseFloat(((side.marginDollars / side.retailValue) * 100).toFixed(2))
+    : null;
+
+  return {
+    skus,
+    summary: {
+      skusPriced: skus.length,
+      skusChanged: skus.filter(s => s.retailChange !== null && s.retailChange !== 0).length,
+      skusUnmatched: unmatched,
+      floorsApplied,
+      marginPercent: {
+        current: weighted(totals.current),
+        proposed: weighted(totals.proposed)
+      },
+      profitAtRisk: {
+        current: parseFloat(totals.current.profitAtRisk.toFixed(2)),
+        proposed: parseFloat(totals.proposed.profitAtRisk.toFixed(2)),
+        delta: parseFloat((totals.proposed.profitAtRisk - totals.current.profitAtRisk).toFixed(2))
+      }
+    }
+  };
+}
+
+export default {
+  RULE_SET_STATUS,
+  canonicalUnit,
+  normalizeRuleSet,
+  seedRulesFromCatalog,
+  selectEffectiveRuleSet,
+  roundPrice,
+  priceItem,
+  previewRepricing
+};
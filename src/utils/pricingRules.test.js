@@ -0,0 +1,141 @@
+// src/utils/pricingRules.test.js
+// Unit tests for versioned pricing rules and repricing previews
+// Pure functions only - no database
+
+import {
+  RULE_SET_STATUS,
+  canonicalUnit,
+  normalizeRuleSet,
+  seedRulesFromCatalog,
+  selectEffectiveRuleSet,
+  roundPrice,
+  priceItem,
+  previewRepricing
+} from "./pricingRules.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const rules = normalizeRuleSet({
+    defaults: [
+      { quality: "top shelf", unit: "3.5g", retail: 45, compareAt: 55 },
+      { quality: "*", unit: "eighth", retail: 30 }
+    ],
+    overrides: [{ sku: "PROMO-3.5G", retail: 20 }],
+    rounding: { mode: "nearest", increment: 1, endingOffset: 0 },
+    minMarginPercent: null
+  });
+
+  // ========================================
+  // Matching & validation
+  // ========================================
+  console.log("\n🧪 Testing pricing rule matching...\n");
+
+  test("Weight labels map to catalog units", () => {
+    assertEquals(canonicalUnit("3.5 G"), "eighth");
+    assertEquals(canonicalUnit("28g"), "oz");
+    assertEquals(canonicalUnit("1g"), "1g");
+    assertEquals(canonicalUnit(null), null);
+  });
+
+  test("Invalid rules are rejected", () => {
+    assertThrows(() => normalizeRuleSet(null));
+    assertThrows(() => normalizeRuleSet({ defaults: [{ quality: "STANDARD", unit: "eighth", retail: -1 }] }));
+    assertThrows(() => normalizeRuleSet({
+      defaults: [
+        { quality: "STANDARD", unit: "eighth", retail: 18 },
+        { quality: "standard", unit: "3.5g", retail: 20 }
+      ]
+    }), "Duplicate tier/unit default should throw");
+    assertThrows(() => normalizeRuleSet({ rounding: { increment: 1, endingOffset: 1 } }));
+    assertThrows(() => normalizeRuleSet({ minMarginPercent: 100 }));
+  });
+
+  test("Catalog seed keeps retail and drops cost", () => {
+    const seeded = seedRulesFromCatalog();
+    const topEighth = seeded.defaults.find(r => r.quality === "TOP SHELF" && r.unit === "eighth");
+    assertEquals(topEighth.retail, 25);
+    assertEquals(topEighth.compareAt, 55);
+    assertEquals(topEighth.cost, undefined);
+  });
+
+  test("Override beats tier default beats unit default", () => {
+    assertEquals(priceItem({ sku: "PROMO-3.5G", quality: "TOP SHELF", unit: "3.5g" }, rules).basis, "override");
+    const tier = priceItem({ sku: "A-3.5G", quality: "Top Shelf", unit: "3.5g" }, rules);
+    assertEquals(tier.basis, "tier_default");
+    assertEquals(tier.retail, 45);
+    assertEquals(tier.compareAt, 55);
+    const unit = priceItem({ sku: "B-3.5G", quality: "STANDARD", unit: "eighth" }, rules);
+    assertEquals(unit.basis, "unit_default");
+    assertEquals(unit.retail, 30);
+    assertEquals(priceItem({ sku: "C-1G", quality: "STANDARD", unit: "1g" }, rules).basis, "none");
+  });
+
+  // ========================================
+  // Rounding & margin floors
+  // ========================================
+  console.log("\n🧪 Testing rounding and margin floors...\n");
+
+  test("Rounding lands on .99 endings", () => {
+    const charm = { mode: "up", increment: 1, endingOffset: 0.01 };
+    assertEquals(roundPrice(24.2, charm), 24.99);
+    assertEquals(roundPrice(24.99, charm), 24.99);
+    assertEquals(roundPrice(23.6, { mode: "nearest", increment: 5, endingOffset: 0 }), 25);
+    assertEquals(roundPrice(23.6, { mode: "down", increment: 1, endingOffset: 0 }), 23);
+  });
+
+  test("Margin floor raises retail above cost", () => {
+    const floored = normalizeRuleSet({ ...rules, minMarginPercent: 40 });
+    // cost 24 at 40% margin → floor 40; $30 unit default is under it
+    const priced = priceItem({ sku: "B-3.5G", quality: "STANDARD", unit: "eighth", pricing: { cost: 24 } }, floored);
+    assertEquals(priced.floorApplied, true);
+    assertEquals(priced.floorPrice, 40);
+    assertEquals(priced.retail, 40);
+    // No cost → no floor
+    assertEquals(priceItem({ sku: "B-3.5G", quality: "STANDARD", unit: "eighth" }, floored).floorApplied, false);
+  });
+
+  // ========================================
+  // Versions & preview
+  // ========================================
+  console.log("\n🧪 Testing versions and preview...\n");
+
+  test("Effective version is the latest published at the date", () => {
+    const sets = [
+      { version: 1, status: RULE_SET_STATUS.PUBLISHED, effectiveFrom: "2026-01-01T00:00:00Z" },
+      { version: 2, status: RULE_SET_STATUS.PUBLISHED, effectiveFrom: "2026-03-01T00:00:00Z" },
+      { version: 3, status: RULE_SET_STATUS.DRAFT, effectiveFrom: null }
+    ];
+    assertEquals(selectEffectiveRuleSet(sets, "2026-02-01").version, 1);
+    assertEquals(selectEffectiveRuleSet(sets, "2026-04-01").version, 2);
+    assertEquals(selectEffectiveRuleSet(sets, "2025-12-01"), null);
+  });
+
+  test("Preview reports per-SKU changes and weighted margins", () => {
+    const inventory = [
+      { sku: "A-3.5G", name: "A", quality: "TOP SHELF", unit: "3.5g", quantity: 10, pricing: { retail: 40, cost: 20 } },
+      { sku: "B-3.5G", name: "B", quality: "STANDARD", unit: "eighth", quantity: 10, pricing: { retail: 30, cost: 15 } },
+      { sku: "C-1G", name: "C", quality: "STANDARD", unit: "1g", quantity: 5, pricing: { retail: 10, cost: 4 } }
+    ];
+    const { skus, summary } = previewRepricing(inventory, rules);
+
+    assertEquals(summary.skusPriced, 2);
+    assertEquals(summary.skusUnmatched, 1);
+    assertEquals(summary.skusChanged, 1);
+    assertEquals(skus[0].sku, "A-3.5G", "Largest change first");
+    assertEquals(skus[0].retailChange, 5);
+    assertEquals(skus[0].proposed.marginPercent, 55.56);
+    // current: (200 + 150) / (400 + 300); proposed: (250 + 150) / (450 + 300)
+    assertEquals(summary.marginPercent.current, 50);
+    assertEquals(summary.marginPercent.proposed, 53.33);
+    assertEquals(summary.profitAtRisk.delta, 50);
+  });
+
+  return finish("Rule sets price inventory as configured.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
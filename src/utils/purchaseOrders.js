@@ -0,0 +1,356 @@
+/**
+ * OMEN PURCHASE ORDERS
+ *
+ * Turns REORDER_NOW decisions into vendor purchase orders
+ *
+ * LIFECYCLE:
+ *   draft ──approve──▶ sent ──receive──▶ partially_received ──receive──▶ received
+ *                        └──────────────receive (all lines)──────────────▶ received
+ *
+ * RULES:
+ * - Only drafts can be edited
+ * - Approving a draft marks it sent (ordered quantities are then locked)
+ * - Receipts never exceed the outstanding quantity on a line
+ * - Each receipt becomes RECEIVE movements on the inventory ledger
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/purchaseOrderService.js
+ */
+
+import { createMovement, MOVEMENT_TYPES } from './inventoryLedger.js';
+import { applyOrderMultiples } from './vendorRegistry.js';
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+export const PO_STATUS = Object.freeze({
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received'
+});
+
+const ALLOWED_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['partially_received', 'received'],
+  partially_received: ['partially_received', 'received'],
+  received: []
+};
+
+// Statuses whose lines count as stock already on order
+export const OPEN_PO_STATUSES = [PO_STATUS.DRAFT, PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED];
+
+export const UNASSIGNED_VENDOR = 'UNASSIGNED';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  TARGET_COVERAGE_DAYS: 21, // Order enough to cover three weeks of demand
+  MIN_ORDER_QTY: 1
+};
+
+/**
+ * Check whether a PO may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+}
+
+// ============================================================================
+// DRAFT GENERATION
+// ============================================================================
+
+/**
+ * Suggest an order quantity for a SKU
+ *
+ * quantity = ceil(velocity × targetCoverageDays − on hand), at least MIN_ORDER_QTY
+ *
+ * @param {Object} metrics - { velocity, quantity } from a REORDER_NOW decision
+ * @param {Object} [options]
+ * @param {number} [options.targetCoverageDays] - Days of demand to cover
+ * @returns {number} Suggested units
+ */
+export function suggestReorderQuantity(metrics, options = {}) {
+  const targetDays = options.targetCoverageDays ?? CONFIG.TARGET_COVERAGE_DAYS;
+  const velocity = isFinite(metrics?.velocity) ? metrics.velocity : 0;
+  const onHand = isFinite(metrics?.quantity) ? Math.max(0, metrics.quantity) : 0;
+
+  const needed = Math.ceil(velocity * targetDays - onHand);
+  return Math.max(CONFIG.MIN_ORDER_QTY, needed);
+}
+
+/**
+ * Build draft purchase orders from REORDER_NOW decisions, one per vendor
+ *
+ * SKUs already on an open PO are skipped (stock is already on order).
+ * When the item carries vendor terms (see vendorService.withVendorTerms),
+ * coverage is extended by the lead time and the quantity is rounded up to
+ * the vendor's minimum order and pack size.
+ *
+ * @param {Array} decisions - Decisions from generateDecisions()/classifyAllSKUs()
+ * @param {Array} inventory - Inventory items (for unit cost and vendor)
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skusOnOrder] - SKUs on open POs
+ * @param {Function} [options.vendorForSku] - (sku, item) → vendor name
+ * @param {number} [options.targetCoverageDays] - Override coverage target
+ *
+ * @returns {Object} { drafts: [{ vendor, lines }], skipped: [{ sku, reason }] }
+ */
+export function buildDraftPurchaseOrders(decisions, inventory, options = {}) {
+  if (!Array.isArray(decisions)) {
+    throw new Error('buildDraftPurchaseOrders: Invalid decisions - expected array');
+  }
+
+  const skusOnOrder = options.skusOnOrder || new Set();
+  const vendorForSku = options.vendorForSku || ((_sku, item) => item?.vendor || UNASSIGNED_VENDOR);
+
+  const inventoryBySku = new Map();
+  for (const item of inventory || []) {
+    if (item?.sku) inventoryBySku.set(item.sku, item);
+  }
+
+  const byVendor = new Map();
+  const skipped = [];
+
+  for (const decision of decisions) {
+    if (decision.type !== 'REORDER_NOW') continue;
+
+    if (skusOnOrder.has(decision.sku)) {
+      skipped.push({ sku: decision.sku, reason: 'Already on an open purchase order' });
+      continue;
+    }
+
+    const item = inventoryBySku.get(decision.sku) || null;
+    const vendor = vendorForSku(decision.sku, item) || UNASSIGNED_VENDOR;
+    const targetCoverageDays = (options.targetCoverageDays ?? CONFIG.TARGET_COVERAGE_DAYS) + (item?.leadTimeDays || 0);
+    const suggestedQty = applyOrderMultiples(
+      suggestReorderQuantity(decision.metrics, { targetCoverageDays }),
+      item || {}
+    );
+    const unitCost = item?.pricing?.cost ?? item?.unit_cost ?? null;
+
+    if (!byVendor.has(vendor)) {
+      byVendor.set(vendor, []);
+    }
+
+    byVendor.get(vendor).push({
+      sku: decision.sku,
+      name: decision.name || item?.name || decision.sku,
+      suggestedQty,
+      orderedQty: suggestedQty,
+      receivedQty: 0,
+      unitCost: isFinite(unitCost) ? unitCost : null,
+      reason: decision.reason,
+      decisionMetrics: decision.metrics || null
+    });
+  }
+
+  const drafts = [...byVendor.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([vendor, lines]) => ({
+      vendor,
+      status: PO_STATUS.DRAFT,
+      lines
+    }));
+
+  return { drafts, skipped };
+}
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+/**
+ * Apply edits to a draft PO
+ *
+ * @param {Object} po - Purchase order (status must be draft)
+ * @param {Object} edits
+ * @param {Array} [edits.lines] - [{ sku, orderedQty, unitCost }]; orderedQty 0 removes the line
+ * @param {string} [edits.notes] - Free-form notes
+ * @param {string} [edits.vendor] - Reassign vendor
+ *
+ * @returns {Object} New PO object (input is not mutated)
+ * @throws {Error} If the PO is not a draft or an edit is invalid
+ */
+export function applyDraftEdits(po, edits = {}) {
+  if (po.status !== PO_STATUS.DRAFT) {
+    throw new Error(`applyDraftEdits: Only draft purchase orders can be edited (status is ${po.status})`);
+  }
+
+  const lines = po.lines.map(line => ({ ...line }));
+  const bySku = new Map(lines.map(line => [line.sku, line]));
+
+  for (const edit of edits.lines || []) {
+    if (!edit?.sku) {
+      throw new Error('applyDraftEdits: Each line edit needs a sku');
+    }
+
+    let line = bySku.get(edit.sku);
+
+    if (edit.orderedQty !== undefined) {
+      if (!Number.isInteger(edit.orderedQty) || edit.orderedQty < 0) {
+        throw new Error(`applyDraftEdits: orderedQty for ${edit.sku} must be a non-negative integer`);
+      }
+    }
+
+    if (!line) {
+      if (!edit.orderedQty) {
+        throw new Error(`applyDraftEdits: ${edit.sku} is not on this purchase order`);
+      }
+      // Adding a SKU the decisions did not suggest
+      line = {
+        sku: edit.sku,
+        name: edit.name || edit.sku,
+        suggestedQty: 0,
+        orderedQty: edit.orderedQty,
+        receivedQty: 0,
+        unitCost: null,
+        reason: 'Added manually',
+        decisionMetrics: null
+      };
+      lines.push(line);
+      bySku.set(edit.sku, line);
+    } else if (edit.orderedQty !== undefined) {
+      line.orderedQty = edit.orderedQty;
+    }
+
+    if (edit.unitCost !== undefined) {
+      if (edit.unitCost !== null && (typeof edit.unitCost !== 'number' || edit.unitCost < 0)) {
+        throw new Error(`applyDraftEdits: unitCost for ${edit.sku} must be a non-negative number`);
+      }
+      line.unitCost = edit.unitCost;
+    }
+  }
+
+  const keptLines = lines.filter(line => line.orderedQty > 0);
+  if (keptLines.length === 0) {
+    throw new Error('applyDraftEdits: A purchase order needs at least one line');
+  }
+
+  return {
+    ...po,
+    vendor: edits.vendor || po.vendor,
+    notes: edits.notes !== undefined ? edits.notes : po.notes,
+    lines: keptLines
+  };
+}
+
+// ============================================================================
+// RECEIVING
+// ============================================================================
+
+/**
+ * Apply a receipt to a sent / partially received PO
+ *
+ * @param {Object} po - Purchase order
+ * @param {Array} receivedLines - [{ sku, quantity }]
+ * @param {Object} context - { actor, receiptNumber, occurredAt }
+ *
+ * @returns {Object} { po, movements } - Updated PO (new object) and RECEIVE movements
+ * @throws {Error} If the PO cannot be received or a line is invalid
+ */
+export function applyReceipt(po, receivedLines, context) {
+  if (po.status !== PO_STATUS.SENT && po.status !== PO_STATUS.PARTIALLY_RECEIVED) {
+    throw new Error(`applyReceipt: Purchase order must be sent before receiving (status is ${po.status})`);
+  }
+
+  if (!Array.isArray(receivedLines) || receivedLines.length === 0) {
+    throw new Error('applyReceipt: At least one received line is required');
+  }
+
+  const lines = po.lines.map(line => ({ ...line }));
+  const bySku = new Map(lines.map(line => [line.sku, line]));
+  const movements = [];
+  const sourceId = `${po.id}#${context.receiptNumber}`;
+
+  for (const received of receivedLines) {
+    const line = bySku.get(received?.sku);
+    if (!line) {
+      throw new Error(`applyReceipt: ${received?.sku} is not on purchase order ${po.id}`);
+    }
+
+    if (!Number.isInteger(received.quantity) || received.quantity <= 0) {
+      throw new Error(`applyReceipt: Received quantity for ${line.sku} must be a positive integer`);
+    }
+
+    const outstanding = line.orderedQty - line.receivedQty;
+    if (received.quantity > outstanding) {
+      throw new Error(`applyReceipt: ${line.sku} receipt of ${received.quantity} exceeds outstanding ${outstanding}`);
+    }
+
+    line.receivedQty += received.quantity;
+
+    movements.push(createMovement({
+      sku: line.sku,
+      type: MOVEMENT_TYPES.RECEIVE,
+      quantity: received.quantity,
+      reason: `PO ${po.id} receipt ${context.receiptNumber} from ${po.vendor}`,
+      actor: context.actor,
+      sourceDocument: { type: 'purchase_order', id: sourceId },
+      occurredAt: context.occurredAt,
+      metadata: { unitCost: line.unitCost }
+    }));
+  }
+
+  const fullyReceived = lines.every(line => line.receivedQty >= line.orderedQty);
+
+  return {
+    po: {
+      ...po,
+      status: fullyReceived ? PO_STATUS.RECEIVED : PO_STATUS.PARTIALLY_RECEIVED,
+      receiptCount: context.receiptNumber,
+      lines
+    },
+    movements
+  };
+}
+
+/**
+ * Summarize PO totals for display
+ *
+ * @param {Object} po - Purchase order
+ * @returns {Object} { lineCount, orderedUnits, receivedUnits, outstandingUnits, orderedCost }
+ */
+export function summarizePurchaseOrder(po) {
+  let orderedUnits = 0;
+  let receivedUnits = 0;
+  let orderedCost = 0;
+  let linesMissingCost = 0;
+
+  for (const line of po.lines || []) {
+    orderedUnits += line.orderedQty;
+    receivedUnits += line.receivedQty;
+    if (line.unitCost !== null && isFinite(line.unitCost)) {
+      orderedCost += line.unitCost * line.orderedQty;
+    } else {
+      linesMissingCost++;
+    }
+  }
+
+  return {
+    lineCount: (po.lines || []).length,
+    orderedUnits,
+    receivedUnits,
+    outstandingUnits: orderedUnits - receivedUnits,
+    orderedCost: parseFloat(orderedCost.toFixed(2)),
+    linesMissingCost
+  };
+}
+
+export default {
+  PO_STATUS,
+  OPEN_PO_STATUSES,
+  UNASSIGNED_VENDOR,
+  canTransition,
+  suggestReorderQuantity,
+  buildDraftPurchaseOrders,
+  applyDraftEdits,
+  applyReceipt,
+  summarizePurchaseOrder
+};
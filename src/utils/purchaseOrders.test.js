@@ -0,0 +1,168 @@
+// src/utils/purchaseOrders.test.js
+// Unit tests for purchase order generation, editing and receiving
+// Pure functions only - no database
+
+import {
+  PO_STATUS,
+  UNASSIGNED_VENDOR,
+  canTransition,
+  suggestReorderQuantity,
+  buildDraftPurchaseOrders,
+  applyDraftEdits,
+  applyReceipt,
+  summarizePurchaseOrder
+} from "./purchaseOrders.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  function reorder(sku, quantity, velocity) {
+    return {
+      type: "REORDER_NOW",
+      sku,
+      name: sku,
+      reason: "Low coverage",
+      metrics: { quantity, velocity, daysOfCoverage: quantity / velocity, unitsSold: velocity * 7 },
+    };
+  }
+
+  const inventory = [
+    { sku: "BLOOPIEZ-3.5G", vendor: "Garden State Growers", pricing: { cost: 12 } },
+    { sku: "OTHER-7G", vendor: "Garden State Growers", pricing: { cost: 20 } },
+    { sku: "MYSTERY-1G", pricing: { cost: null } },
+  ];
+
+  console.log("\n🧪 Running Purchase Order Tests\n");
+
+  // ========================================
+  // Step 1: Draft generation
+  // ========================================
+  console.log("📋 Step 1: Draft generation");
+
+  test("Suggested quantity covers the target days net of stock", () => {
+    assertEquals(suggestReorderQuantity({ velocity: 2, quantity: 4 }), 38);
+    assertEquals(suggestReorderQuantity({ velocity: 2, quantity: 4 }, { targetCoverageDays: 7 }), 10);
+    assertEquals(suggestReorderQuantity({ velocity: 0, quantity: 4 }), 1);
+  });
+
+  test("Drafts are grouped by vendor", () => {
+    const { drafts } = buildDraftPurchaseOrders(
+      [reorder("BLOOPIEZ-3.5G", 2, 1), reorder("OTHER-7G", 1, 0.5), reorder("MYSTERY-1G", 0, 1)],
+      inventory
+    );
+    assertEquals(drafts.length, 2);
+    assertEquals(drafts[0].vendor, "Garden State Growers");
+    assertEquals(drafts[0].lines.length, 2);
+    assertEquals(drafts[0].status, PO_STATUS.DRAFT);
+    assertEquals(drafts[1].vendor, UNASSIGNED_VENDOR);
+    assertEquals(drafts[1].lines[0].unitCost, null);
+  });
+
+  test("SKUs already on order are skipped", () => {
+    const { drafts, skipped } = buildDraftPurchaseOrders(
+      [reorder("BLOOPIEZ-3.5G", 2, 1), reorder("OTHER-7G", 1, 0.5)],
+      inventory,
+      { skusOnOrder: new Set(["BLOOPIEZ-3.5G"]) }
+    );
+    assertEquals(drafts[0].lines.length, 1);
+    assertEquals(skipped[0].sku, "BLOOPIEZ-3.5G");
+  });
+
+  // ========================================
+  // Step 2: Editing and approval
+  // ========================================
+  console.log("\n📋 Step 2: Editing and approval");
+
+  const draft = {
+    id: "PO-TEST-1",
+    vendor: "Garden State Growers",
+    status: PO_STATUS.DRAFT,
+    receiptCount: 0,
+    lines: [
+      { sku: "BLOOPIEZ-3.5G", orderedQty: 10, receivedQty: 0, unitCost: 12 },
+      { sku: "OTHER-7G", orderedQty: 5, receivedQty: 0, unitCost: 20 },
+    ],
+  };
+
+  test("Draft edits change quantities, remove zero lines and add SKUs", () => {
+    const edited = applyDraftEdits(draft, {
+      lines: [
+        { sku: "BLOOPIEZ-3.5G", orderedQty: 12 },
+        { sku: "OTHER-7G", orderedQty: 0 },
+        { sku: "NEW-1G", orderedQty: 3 },
+      ],
+      notes: "Call before delivery",
+    });
+    assertEquals(edited.lines.length, 2);
+    assertEquals(edited.lines[0].orderedQty, 12);
+    assertEquals(edited.lines[1].reason, "Added manually");
+    assertEquals(edited.notes, "Call before delivery");
+    assertEquals(draft.lines[0].orderedQty, 10, "Input must not be mutated");
+  });
+
+  test("Invalid edits throw", () => {
+    assertThrows(() => applyDraftEdits(draft, { lines: [{ sku: "BLOOPIEZ-3.5G", orderedQty: -1 }] }));
+    assertThrows(() => applyDraftEdits(draft, { lines: [{ sku: "BLOOPIEZ-3.5G", orderedQty: 0 }, { sku: "OTHER-7G", orderedQty: 0 }] }));
+    assertThrows(() => applyDraftEdits({ ...draft, status: PO_STATUS.SENT }, { notes: "late" }));
+  });
+
+  test("Only the documented transitions are allowed", () => {
+    assertEquals(canTransition("draft", "sent"), true);
+    assertEquals(canTransition("draft", "received"), false);
+    assertEquals(canTransition("sent", "partially_received"), true);
+    assertEquals(canTransition("received", "sent"), false);
+  });
+
+  // ========================================
+  // Step 3: Receiving
+  // ========================================
+  console.log("\n📋 Step 3: Receiving");
+
+  const sent = { ...draft, status: PO_STATUS.SENT };
+  const context = (receiptNumber) => ({ actor: "tester", receiptNumber, occurredAt: "2026-02-01T10:00:00.000Z" });
+
+  test("Drafts cannot be received", () => {
+    assertThrows(() => applyReceipt(draft, [{ sku: "BLOOPIEZ-3.5G", quantity: 1 }], context(1)));
+  });
+
+  test("Partial receipt emits RECEIVE movements", () => {
+    const { po, movements } = applyReceipt(sent, [{ sku: "BLOOPIEZ-3.5G", quantity: 4 }], context(1));
+    assertEquals(po.status, PO_STATUS.PARTIALLY_RECEIVED);
+    assertEquals(po.receiptCount, 1);
+    assertEquals(movements.length, 1);
+    assertEquals(movements[0].movementType, "RECEIVE");
+    assertEquals(movements[0].quantity, 4);
+    assertEquals(movements[0].sourceDocument.id, "PO-TEST-1#1");
+  });
+
+  test("Receiving every outstanding unit completes the PO", () => {
+    const first = applyReceipt(sent, [{ sku: "BLOOPIEZ-3.5G", quantity: 4 }], context(1)).po;
+    const { po } = applyReceipt(
+      first,
+      [{ sku: "BLOOPIEZ-3.5G", quantity: 6 }, { sku: "OTHER-7G", quantity: 5 }],
+      context(2)
+    );
+    assertEquals(po.status, PO_STATUS.RECEIVED);
+    assertEquals(summarizePurchaseOrder(po).outstandingUnits, 0);
+  });
+
+  test("Over-receipt and unknown SKUs throw", () => {
+    assertThrows(() => applyReceipt(sent, [{ sku: "BLOOPIEZ-3.5G", quantity: 11 }], context(1)));
+    assertThrows(() => applyReceipt(sent, [{ sku: "NOPE", quantity: 1 }], context(1)));
+    assertThrows(() => applyReceipt(sent, [{ sku: "BLOOPIEZ-3.5G", quantity: 1.5 }], context(1)));
+  });
+
+  test("Summary totals cost of ordered units", () => {
+    const summary = summarizePurchaseOrder(sent);
+    assertEquals(summary.orderedUnits, 15);
+    assertEquals(summary.orderedCost, 220);
+  });
+
+  return finish("Purchase order lifecycle is consistent.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
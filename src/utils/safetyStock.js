@@ -0,0 +1,192 @@
+/**
+ * OMEN SAFETY STOCK
+ *
+ * Statistical reorder points from the variability of daily demand, a target
+ * service level and the vendor lead time. Two SKUs selling 2/day on average
+ * get different buffers when one sells 2 every day and the other sells 14
+ * one day a week.
+ *
+ * MATH (normal approximation of lead-time demand):
+ *   lead-time demand = mean daily demand × lead time
+ *   safety stock     = z(service level) × σ(daily demand) × √lead time
+ *   reorder point    = ceil(lead-time demand + safety stock)
+ *
+ * SERVICE LEVEL: SAFETY_STOCK_CONFIG.SERVICE_LEVEL unless OMEN_SERVICE_LEVEL
+ * sets another (parsed with parseServiceLevel once, when
+ * intelligence/temporalAnalyzer.js loads). Any level in [0.5, 1) is accepted; below 0.5 the
+ * buffer would be negative.
+ *
+ * Daily demand is measured from the first day a SKU sold (leading zero days
+ * before a SKU was listed would understate both mean and variance). SKUs
+ * with too little history get no policy and callers keep the days-of-coverage
+ * rule.
+ *
+ * PURE MODULE: No I/O. Daily series come from intelligence/demandForecast.js
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const SAFETY_STOCK_CONFIG = {
+  SERVICE_LEVEL: 0.95,          // Probability of not stocking out during a lead time (OMEN_SERVICE_LEVEL overrides)
+  DEFAULT_LEAD_TIME_DAYS: 5,    // SKUs without a vendor (matches CRITICAL_STOCK_DAYS)
+  MIN_DEMAND_DAYS: 14           // Days of observed demand needed for a variance
+};
+
+// Accepted service levels: [min, max)
+export const SERVICE_LEVEL_RANGE = Object.freeze({ min: 0.5, max: 1 });
+
+// Acklam's rational approximation of the standard normal quantile
+// (relative error < 1.2e-9), central region and tails
+const QUANTILE_A = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+const QUANTILE_B = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+const QUANTILE_C = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+const QUANTILE_D = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+const QUANTILE_TAIL = 0.02425;
+
+/**
+ * Standard normal quantile (inverse CDF)
+ *
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number}
+ */
+function normalQuantile(p) {
+  const [a, b, c, d] = [QUANTILE_A, QUANTILE_B, QUANTILE_C, QUANTILE_D];
+
+  if (p < QUANTILE_TAIL || p > 1 - QUANTILE_TAIL) {
+    const q = Math.sqrt(-2 * Math.log(p < QUANTILE_TAIL ? p : 1 - p));
+    const tail = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < QUANTILE_TAIL ? tail : -tail;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Parse a service level setting
+ *
+ * @param {string|number|undefined} value - e.g. process.env.OMEN_SERVICE_LEVEL
+ * @returns {number} Service level (SERVICE_LEVEL when unset)
+ * @throws {Error} If the value is not a number in SERVICE_LEVEL_RANGE
+ */
+export function parseServiceLevel(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return SAFETY_STOCK_CONFIG.SERVICE_LEVEL;
+  }
+
+  const level = Number(value);
+  if (!Number.isFinite(level) || level < SERVICE_LEVEL_RANGE.min || level >= SERVICE_LEVEL_RANGE.max) {
+    throw new Error(`parseServiceLevel: service level must be a number from ${SERVICE_LEVEL_RANGE.min} up to (not including) ${SERVICE_LEVEL_RANGE.max}, got "${value}"`);
+  }
+  return level;
+}
+
+/**
+ * Safety factor for a service level
+ *
+ * @param {number} serviceLevel - In SERVICE_LEVEL_RANGE
+ * @returns {number} z, to 4 decimals
+ * @throws {Error} If the service level is out of range
+ */
+export function zForServiceLevel(serviceLevel) {
+  if (typeof serviceLevel !== 'number' ||
+      !(serviceLevel >= SERVICE_LEVEL_RANGE.min && serviceLevel < SERVICE_LEVEL_RANGE.max)) {
+    throw new Error(`zForServiceLevel: service level must be from ${SERVICE_LEVEL_RANGE.min} up to (not including) ${SERVICE_LEVEL_RANGE.max}`);
+  }
+  return parseFloat(normalQuantile(serviceLevel).toFixed(4));
+}
+
+// ============================================================================
+// DEMAND VARIABILITY
+// ============================================================================
+
+/**
+ * Mean and standard deviation of daily demand
+ *
+ * @param {Array<{date: string, units: number}>} series - Daily series (buildDailySeries)
+ * @returns {Object|null} { meanDaily, stdDaily, coefficientOfVariation, days } or null
+ *   when fewer than MIN_DEMAND_DAYS days have passed since the first sale
+ */
+export function dailyDemandStats(series) {
+  const firstSale = (series || []).findIndex(point => point.units > 0);
+  if (firstSale === -1) return null;
+
+  const observed = series.slice(firstSale).map(point => point.units);
+  if (observed.length < SAFETY_STOCK_CONFIG.MIN_DEMAND_DAYS) return null;
+
+  const mean = observed.reduce((sum, units) => sum + units, 0) / observed.length;
+  const variance = observed.reduce((sum, units) => sum + (units - mean) ** 2, 0) / (observed.length - 1);
+  const std = Math.sqrt(variance);
+
+  return {
+    meanDaily: parseFloat(mean.toFixed(3)),
+    stdDaily: parseFloat(std.toFixed(3)),
+    coefficientOfVariation: mean > 0 ? parseFloat((std / mean).toFixed(2)) : null,
+    days: observed.length
+  };
+}
+
+// ============================================================================
+// REORDER POLICY
+// ============================================================================
+
+/**
+ * Safety stock and reorder point for one SKU
+ *
+ * @param {Object} stats - From dailyDemandStats()
+ * @param {Object} [options]
+ * @param {number|null} [options.leadTimeDays] - Vendor lead time (null = DEFAULT_LEAD_TIME_DAYS)
+ * @param {number} [options.serviceLevel] - Target service level (default SERVICE_LEVEL)
+ * @param {number|null} [options.currentStock] - On hand, to flag belowReorderPoint
+ *
+ * @returns {Object|null} {
+ *   serviceLevel, z, leadTimeDays, leadTimeBasis: 'vendor_lead_time' | 'default',
+ *   meanDailyDemand, demandStdDev, coefficientOfVariation,
+ *   leadTimeDemand, safetyStock, reorderPoint, belowReorderPoint
+ * }
+ */
+export function computeReorderPolicy(stats, options = {}) {
+  if (!stats) return null;
+
+  const serviceLevel = options.serviceLevel ?? SAFETY_STOCK_CONFIG.SERVICE_LEVEL;
+  const z = zForServiceLevel(serviceLevel);
+
+  const hasVendorLeadTime = options.leadTimeDays !== null &&
+    options.leadTimeDays !== undefined &&
+    isFinite(options.leadTimeDays);
+  const leadTimeDays = hasVendorLeadTime ? options.leadTimeDays : SAFETY_STOCK_CONFIG.DEFAULT_LEAD_TIME_DAYS;
+
+  const leadTimeDemand = stats.meanDaily * leadTimeDays;
+  const safetyStock = z * stats.stdDaily * Math.sqrt(leadTimeDays);
+  const reorderPoint = Math.ceil(leadTimeDemand + safetyStock);
+
+  const currentStock = options.currentStock ?? null;
+
+  return {
+    serviceLevel,
+    z,
+    leadTimeDays,
+    leadTimeBasis: hasVendorLeadTime ? 'vendor_lead_time' : 'default',
+    meanDailyDemand: stats.meanDaily,
+    demandStdDev: stats.stdDaily,
+    coefficientOfVariation: stats.coefficientOfVariation,
+    leadTimeDemand: parseFloat(leadTimeDemand.toFixed(1)),
+    safetyStock: parseFloat(safetyStock.toFixed(1)),
+    reorderPoint,
+    belowReorderPoint: currentStock !== null ? currentStock <= reorderPoint : null
+  };
+}
+
+export default {
+  SAFETY_STOCK_CONFIG,
+  SERVICE_LEVEL_RANGE,
+  parseServiceLevel,
+  zForServiceLevel,
+  dailyDemandStats,
+  computeReorderPolicy
+};
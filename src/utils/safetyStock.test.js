@@ -0,0 +1,165 @@
+// src/utils/safetyStock.test.js
+// Unit tests for statistical safety stock and reorder points
+// Pure functions only - no database
+
+import {
+  SAFETY_STOCK_CONFIG,
+  zForServiceLevel,
+  parseServiceLevel,
+  dailyDemandStats,
+  computeReorderPolicy
+} from "./safetyStock.js";
+import { buildFactTables, classifyInventoryStatus, STATUS } from "./decisionClassifier.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  // Four weeks averaging 2/day: every day vs. 14 units one day a week
+  function series(unitsForDay, days = 28) {
+    return Array.from({ length: days }, (_, i) => ({
+      date: new Date(Date.UTC(2026, 8, 1 + i)).toISOString().split("T")[0],
+      units: unitsForDay(i)
+    }));
+  }
+  const steady = series(() => 2);
+  const erratic = series(i => (i % 7 === 0 ? 14 : 0));
+
+  console.log("\n🧪 Running Safety Stock Tests\n");
+
+  // ========================================
+  // Step 1: Demand variability
+  // ========================================
+  console.log("📋 Step 1: Demand variability");
+
+  test("Steady and erratic sellers share a mean but not a variance", () => {
+    const a = dailyDemandStats(steady);
+    const b = dailyDemandStats(erratic);
+    assertEquals(a.meanDaily, 2);
+    assertEquals(b.meanDaily, 2);
+    assertEquals(a.stdDaily, 0);
+    assertEquals(b.stdDaily, 4.989);
+  });
+
+  test("Days before the first sale are ignored", () => {
+    const late = series(i => (i < 10 ? 0 : 2));
+    const stats = dailyDemandStats(late);
+    assertEquals(stats.days, 18);
+    assertEquals(stats.meanDaily, 2);
+  });
+
+  test("Too little history gives no stats", () => {
+    assertEquals(dailyDemandStats(series(() => 2, 10)), null);
+    assertEquals(dailyDemandStats(series(() => 0)), null);
+  });
+
+  // ========================================
+  // Step 2: Reorder policy
+  // ========================================
+  console.log("\n📋 Step 2: Reorder policy");
+
+  test("Steady seller reorders at lead-time demand with no buffer", () => {
+    const policy = computeReorderPolicy(dailyDemandStats(steady), { currentStock: 15 });
+    assertEquals(policy.leadTimeDays, SAFETY_STOCK_CONFIG.DEFAULT_LEAD_TIME_DAYS);
+    assertEquals(policy.leadTimeBasis, "default");
+    assertEquals(policy.safetyStock, 0);
+    assertEquals(policy.reorderPoint, 10);
+    assertEquals(policy.belowReorderPoint, false);
+  });
+
+  test("Erratic seller carries safety stock", () => {
+    const policy = computeReorderPolicy(dailyDemandStats(erratic), { currentStock: 15 });
+    assertEquals(policy.safetyStock, 18.4);
+    assertEquals(policy.reorderPoint, 29);
+    assertEquals(policy.belowReorderPoint, true);
+  });
+
+  test("Vendor lead time and service level scale the buffer", () => {
+    const stats = dailyDemandStats(erratic);
+    const longLead = computeReorderPolicy(stats, { leadTimeDays: 14 });
+    assertEquals(longLead.leadTimeBasis, "vendor_lead_time");
+    assertEquals(longLead.leadTimeDemand, 28);
+    assertEquals(longLead.reorderPoint, Math.ceil(28 + 1.6449 * 4.989 * Math.sqrt(14)));
+    const higher = computeReorderPolicy(stats, { leadTimeDays: 14, serviceLevel: 0.99 });
+    assertEquals(higher.reorderPoint > longLead.reorderPoint, true);
+  });
+
+  test("Unsupported service levels are rejected", () => {
+    assertEquals(zForServiceLevel(0.95), 1.6449);
+    assertThrows(() => zForServiceLevel(0.42));
+    assertThrows(() => zForServiceLevel(1));
+    assertEquals(computeReorderPolicy(null), null);
+  });
+
+  test("Any service level in range gets its normal quantile", () => {
+    assertEquals(zForServiceLevel(0.5), 0);
+    assertEquals(zForServiceLevel(0.9), 1.2816);
+    assertEquals(zForServiceLevel(0.975), 1.96);
+    assertEquals(zForServiceLevel(0.999), 3.0902);
+  });
+
+  test("OMEN_SERVICE_LEVEL parsing: default when unset, validated otherwise", () => {
+    assertEquals(parseServiceLevel(undefined), SAFETY_STOCK_CONFIG.SERVICE_LEVEL);
+    assertEquals(parseServiceLevel(""), SAFETY_STOCK_CONFIG.SERVICE_LEVEL);
+    assertEquals(parseServiceLevel("0.9"), 0.9);
+    assertThrows(() => parseServiceLevel("95"));
+    assertThrows(() => parseServiceLevel("1"));
+    assertThrows(() => parseServiceLevel("0"));
+    assertThrows(() => parseServiceLevel("high"));
+  });
+
+  test("A non-default service level changes the buffer", () => {
+    const stats = dailyDemandStats(erratic);
+    const level = parseServiceLevel("0.9");
+    const policy = computeReorderPolicy(stats, { leadTimeDays: 14, serviceLevel: level });
+    assertEquals(policy.serviceLevel, 0.9);
+    assertEquals(policy.z, 1.2816);
+    assertEquals(policy.safetyStock, parseFloat((1.2816 * 4.989 * Math.sqrt(14)).toFixed(1)));
+    assertEquals(policy.reorderPoint, Math.ceil(28 + 1.2816 * 4.989 * Math.sqrt(14)));
+  });
+
+  // ========================================
+  // Step 3: Classifier
+  // ========================================
+  console.log("\n📋 Step 3: Restock status");
+
+  function statusFor(daily, quantity) {
+    const item = { sku: "A", strain: "Bloopiez", unit: "3.5g", quantity, pricing: { cost: 10, retail: 30 } };
+    const velocityMetrics = [{
+      sku: "A",
+      name: "Bloopiez (3.5g)",
+      dailyVelocity: 2,
+      totalSold: 14,
+      reorderPolicy: computeReorderPolicy(dailyDemandStats(daily), { currentStock: quantity })
+    }];
+    const { inventoryFacts } = buildFactTables([item], velocityMetrics, {});
+    return classifyInventoryStatus(inventoryFacts)[0];
+  }
+
+  test("Same stock: steady seller is healthy, erratic seller restocks", () => {
+    assertEquals(statusFor(steady, 15).status, STATUS.HEALTHY);
+    const erraticStatus = statusFor(erratic, 15);
+    assertEquals(erraticStatus.status, STATUS.RESTOCK);
+    assertEquals(erraticStatus.action, "Place reorder this week");
+    assertEquals(erraticStatus.metrics.reorder_point, 29);
+    assertEquals(erraticStatus.metrics.restock_basis, "reorder_point");
+  });
+
+  test("Stock below lead-time demand is critical", () => {
+    const result = statusFor(erratic, 8);
+    assertEquals(result.action, "Reorder immediately");
+  });
+
+  test("SKUs without a reorder point keep the coverage rule", () => {
+    const result = statusFor(series(() => 2, 5), 8);
+    assertEquals(result.status, STATUS.RESTOCK);
+    assertEquals(result.metrics.restock_basis, "default");
+  });
+
+  return finish("Buffers follow demand variability.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,310 @@
+/**
+ * OMEN SCENARIO SIMULATOR
+ *
+ * What-if projections against a stored snapshot: "what happens to weekly
+ * margin if Blue Dream eighths drop $5 and velocity rises 30%?"
+ *
+ * HOW:
+ *   1. Baseline = buildFactTables + computeWeightedMargin on the snapshot
+ *      exactly as the action brief sees it
+ *   2. Changes are applied to copies of enrichedInventory and velocityMetrics
+ *      (price / cost on pricing, velocity multiplier on units sold, reorder
+ *      quantity on stock)
+ *   3. Projection = the same fact + margin math on the changed copies
+ *
+ * Revenue and profit are for the snapshot period; weekly figures scale them
+ * to 7 days. A price change with no velocity multiplier assumes units sold
+ * stay the same — pair it with velocityMultiplier to model elasticity.
+ *
+ * PURE MODULE: No I/O. The snapshot is loaded by the /scenario/simulate route.
+ */
+
+import { buildFactTables, computeWeightedMargin } from './decisionClassifier.js';
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const PRICE_FIELDS = ['price', 'priceChange', 'discountPercent'];
+const CHANGE_FIELDS = [...PRICE_FIELDS, 'cost', 'velocityMultiplier', 'reorderQuantity'];
+
+/**
+ * Validate scenario changes
+ *
+ * @param {Array} changes - [{ sku, price?, priceChange?, discountPercent?, cost?, velocityMultiplier?, reorderQuantity? }]
+ * @returns {Array} Validated changes
+ * @throws {Error} If a change is invalid
+ */
+export function normalizeScenarioChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw new Error('normalizeScenarioChanges: changes must be a non-empty array');
+  }
+
+  const seen = new Set();
+
+  return changes.map(change => {
+    const sku = typeof change?.sku === 'string' ? change.sku.trim() : '';
+    if (!sku) {
+      throw new Error('normalizeScenarioChanges: each change needs a sku');
+    }
+    if (seen.has(sku)) {
+      throw new Error(`normalizeScenarioChanges: ${sku} appears more than once`);
+    }
+    seen.add(sku);
+
+    const present = CHANGE_FIELDS.filter(field => change[field] !== undefined && change[field] !== null);
+    if (present.length === 0) {
+      throw new Error(`normalizeScenarioChanges: ${sku} needs at least one of ${CHANGE_FIELDS.join(', ')}`);
+    }
+    if (PRICE_FIELDS.filter(field => present.includes(field)).length > 1) {
+      throw new Error(`normalizeScenarioChanges: ${sku} can set only one of ${PRICE_FIELDS.join(', ')}`);
+    }
+
+    for (const field of present) {
+      if (typeof change[field] !== 'number' || !isFinite(change[field])) {
+        throw new Error(`normalizeScenarioChanges: ${field} for ${sku} must be a number`);
+      }
+    }
+
+    if (change.price !== undefined && change.price !== null && change.price < 0) {
+      throw new Error(`normalizeScenarioChanges: price for ${sku} cannot be negative`);
+    }
+    if (change.discountPercent !== undefined && change.discountPercent !== null &&
+        (change.discountPercent < 0 || change.discountPercent >= 100)) {
+      throw new Error(`normalizeScenarioChanges: discountPercent for ${sku} must be from 0 to under 100`);
+    }
+    if (change.cost !== undefined && change.cost !== null && change.cost < 0) {
+      throw new Error(`normalizeScenarioChanges: cost for ${sku} cannot be negative`);
+    }
+    if (change.velocityMultiplier !== undefined && change.velocityMultiplier !== null && change.velocityMultiplier < 0) {
+      throw new Error(`normalizeScenarioChanges: velocityMultiplier for ${sku} cannot be negative`);
+    }
+    if (change.reorderQuantity !== undefined && change.reorderQuantity !== null &&
+        (!Number.isInteger(change.reorderQuantity) || change.reorderQuantity < 0)) {
+      throw new Error(`normalizeScenarioChanges: reorderQuantity for ${sku} must be a non-negative integer`);
+    }
+
+    const normalized = { sku };
+    for (const field of present) normalized[field] = change[field];
+    return normalized;
+  });
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function round2(value) {
+  return value === null || value === undefined || !isFinite(value) ? null : parseFloat(value.toFixed(2));
+}
+
+function diff(projected, baseline) {
+  return projected === null || baseline === null ? null : round2(projected - baseline);
+}
+
+/**
+ * Snapshot period length in days (velocity denominators use the same)
+ */
+function periodDaysFor(snapshot, velocityMetrics) {
+  const observed = velocityMetrics.find(m => isFinite(m.daysObserved))?.daysObserved;
+  if (observed) return observed;
+
+  const { startDate, endDate } = snapshot.dateRange || {};
+  if (startDate && endDate) {
+    const days = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+    if (days > 0) return days;
+  }
+
+  return snapshot.timeframe === 'daily' ? 1 : 7;
+}
+
+/**
+ * Run the fact layer and margin math over one version of the data
+ */
+function evaluate(inventory, velocityMetrics, periodDays) {
+  const { salesFacts, inventoryFacts } = buildFactTables(inventory, velocityMetrics, {});
+  const margin = computeWeightedMargin(salesFacts);
+  const weekScale = 7 / periodDays;
+  // No cost data at all → profit is unknown, not zero
+  const profit = margin.averageMargin === null ? null : margin.totalMarginDollars;
+
+  return {
+    salesFacts,
+    inventoryFacts,
+    totals: {
+      revenue: round2(margin.totalRevenue),
+      profit: round2(profit),
+      marginPercent: margin.averageMargin,
+      weeklyRevenue: round2(margin.totalRevenue * weekScale),
+      weeklyProfit: profit === null ? null : round2(profit * weekScale),
+      coveragePercent: margin.coveragePercent
+    }
+  };
+}
+
+/**
+ * Per-SKU view from fact tables
+ */
+function skuView(sku, evaluation, velocityBySku) {
+  const salesFact = evaluation.salesFacts.get(sku) || null;
+  const invFact = evaluation.inventoryFacts.get(sku) || null;
+  const velocity = velocityBySku.get(sku) || null;
+
+  const unitsSold = salesFact?.units_sold ?? 0;
+  const revenue = salesFact?.revenue ?? 0;
+  const profit = salesFact?.unit_margin !== null && salesFact?.unit_margin !== undefined
+    ? salesFact.unit_margin * unitsSold
+    : null;
+
+  return {
+    price: unitsSold > 0 ? round2(revenue / unitsSold) : round2(invFact?.retail ?? null),
+    unitCost: invFact?.unit_cost ?? salesFact?.unit_cost ?? null,
+    unitsSold: round2(unitsSold),
+    revenue: round2(revenue),
+    profit: round2(profit),
+    marginPercent: salesFact?.margin_percent ?? null,
+    dailyVelocity: round2(velocity?.dailyVelocity ?? invFact?.velocity ?? 0),
+    quantity: invFact?.available_quantity ?? null,
+    daysOfCoverage: invFact?.days_of_coverage ?? null
+  };
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Project a snapshot under a set of changes
+ *
+ * @param {Object} snapshot - Stored snapshot (needs enrichedInventory and velocity.velocityMetrics)
+ * @param {Array} changes - See normalizeScenarioChanges()
+ *
+ * @returns {Object} {
+ *   period: { timeframe, asOfDate, periodDays },
+ *   baseline, projected, delta,   // { revenue, profit, marginPercent, weeklyRevenue, weeklyProfit, coveragePercent }
+ *   skus: [{ sku, name, changes, baseline, projected, delta }],
+ *   warnings: string[]
+ * }
+ * @throws {Error} If changes are invalid or name SKUs not in the snapshot inventory
+ */
+export function simulateScenario(snapshot, changes) {
+  const normalized = normalizeScenarioChanges(changes);
+
+  const inventory = snapshot?.enrichedInventory || [];
+  const velocityMetrics = snapshot?.velocity?.velocityMetrics || [];
+  const periodDays = periodDaysFor(snapshot || {}, velocityMetrics);
+
+  const inventoryIndex = new Map(inventory.map((item, i) => [item.sku, i]));
+  const velocityIndex = new Map(velocityMetrics.map((metric, i) => [metric.sku, i]));
+
+  // Fact tables are built from inventory, so every SKU must be in it
+  const unknown = normalized.filter(c => !inventoryIndex.has(c.sku));
+  if (unknown.length > 0) {
+    throw new Error(`simulateScenario: not in this snapshot's inventory: ${unknown.map(c => c.sku).join(', ')}`);
+  }
+
+  const baseline = evaluate(inventory, velocityMetrics, periodDays);
+
+  const changedInventory = inventory.map(item => ({ ...item, pricing: item.pricing ? { ...item.pricing } : item.pricing }));
+  const changedVelocity = velocityMetrics.map(metric => ({ ...metric }));
+  const warnings = [];
+
+  for (const change of normalized) {
+    const item = changedInventory[inventoryIndex.get(change.sku)];
+    const metric = velocityIndex.has(change.sku) ? changedVelocity[velocityIndex.get(change.sku)] : null;
+
+    // Current realized price: period revenue / units, else list price
+    const basePrice = metric?.totalSold > 0 && metric.totalRevenue > 0
+      ? metric.totalRevenue / metric.totalSold
+      : (item.pricing?.retail ?? item.retail ?? item.price ?? null);
+
+    let newPrice = null;
+    if (change.price !== undefined) {
+      newPrice = change.price;
+    } else if (change.priceChange !== undefined || change.discountPercent !== undefined) {
+      if (basePrice === null) {
+        throw new Error(`simulateScenario: ${change.sku} has no current price to change`);
+      }
+      newPrice = change.priceChange !== undefined
+        ? basePrice + change.priceChange
+        : basePrice * (1 - change.discountPercent / 100);
+      if (newPrice < 0) {
+        throw new Error(`simulateScenario: price change takes ${change.sku} below zero`);
+      }
+    }
+
+    if (newPrice !== null || change.cost !== undefined) {
+      item.pricing = { ...(item.pricing || {}) };
+      if (newPrice !== null) item.pricing.retail = newPrice;
+      if (change.cost !== undefined) item.pricing.cost = change.cost;
+    }
+    if (change.reorderQuantity !== undefined) {
+      const onHand = item.availableQuantity ?? item.quantity ?? item.quantity_on_hand ?? 0;
+      const restocked = onHand + change.reorderQuantity;
+      if (item.availableQuantity !== undefined) item.availableQuantity = restocked;
+      item.quantity = restocked;
+    }
+
+    if (metric) {
+      const multiplier = change.velocityMultiplier ?? 1;
+      const units = metric.totalSold * multiplier;
+      metric.totalSold = units;
+      metric.dailyVelocity = metric.dailyVelocity * multiplier;
+      metric.weeklyVelocity = metric.weeklyVelocity * multiplier;
+      metric.totalRevenue = newPrice !== null
+        ? units * newPrice
+        : (metric.totalRevenue !== null && metric.totalRevenue !== undefined ? metric.totalRevenue * multiplier : null);
+    } else if (change.velocityMultiplier !== undefined || newPrice !== null) {
+      warnings.push(`${change.sku} had no sales this period — velocity and revenue projections stay at zero`);
+    }
+  }
+
+  const projected = evaluate(changedInventory, changedVelocity, periodDays);
+
+  const baselineVelocity = new Map(velocityMetrics.map(m => [m.sku, m]));
+  const projectedVelocity = new Map(changedVelocity.map(m => [m.sku, m]));
+
+  const skus = normalized.map(change => {
+    const before = skuView(change.sku, baseline, baselineVelocity);
+    const after = skuView(change.sku, projected, projectedVelocity);
+    const source = inventory[inventoryIndex.get(change.sku)];
+
+    return {
+      sku: change.sku,
+      name: source?.name || change.sku,
+      changes: change,
+      baseline: before,
+      projected: after,
+      delta: {
+        revenue: diff(after.revenue, before.revenue),
+        profit: diff(after.profit, before.profit),
+        marginPercent: diff(after.marginPercent, before.marginPercent),
+        unitsSold: diff(after.unitsSold, before.unitsSold),
+        daysOfCoverage: diff(after.daysOfCoverage, before.daysOfCoverage)
+      }
+    };
+  });
+
+  const delta = {};
+  for (const key of Object.keys(baseline.totals)) {
+    delta[key] = diff(projected.totals[key], baseline.totals[key]);
+  }
+
+  return {
+    period: {
+      timeframe: snapshot?.timeframe || null,
+      asOfDate: snapshot?.asOfDate || null,
+      periodDays
+    },
+    baseline: baseline.totals,
+    projected: projected.totals,
+    delta,
+    skus,
+    warnings
+  };
+}
+
+export default {
+  normalizeScenarioChanges,
+  simulateScenario
+};
@@ -0,0 +1,119 @@
+// src/utils/scenarioSimulator.test.js
+// Unit tests for what-if scenario projections
+// Pure functions only - no database
+
+import { normalizeScenarioChanges, simulateScenario } from "./scenarioSimulator.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  // One week: Blue Dream eighths 14 sold at $40 ($20 cost), Gelato halves 7 sold at $60 ($30 cost)
+  const snapshot = {
+    timeframe: "weekly",
+    asOfDate: "2026-10-12",
+    enrichedInventory: [
+      { sku: "BD-3.5G", name: "Blue Dream (3.5g)", strain: "Blue Dream", unit: "3.5g", quantity: 30, pricing: { cost: 20, retail: 40 } },
+      { sku: "GEL-7G", name: "Gelato (7g)", strain: "Gelato", unit: "7g", quantity: 10, pricing: { cost: 30, retail: 60 } },
+    ],
+    velocity: {
+      velocityMetrics: [
+        { sku: "BD-3.5G", name: "Blue Dream (3.5g)", unit: "3.5g", dailyVelocity: 2, weeklyVelocity: 14, totalSold: 14, totalRevenue: 560, daysObserved: 7 },
+        { sku: "GEL-7G", name: "Gelato (7g)", unit: "7g", dailyVelocity: 1, weeklyVelocity: 7, totalSold: 7, totalRevenue: 420, daysObserved: 7 },
+      ]
+    }
+  };
+
+  console.log("\n🧪 Running Scenario Simulator Tests\n");
+
+  // ========================================
+  // Step 1: Validation
+  // ========================================
+  console.log("📋 Step 1: Validation");
+
+  test("Rejects empty, duplicate and conflicting changes", () => {
+    assertThrows(() => normalizeScenarioChanges([]));
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A", price: 1 }, { sku: "A", cost: 1 }]));
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A", price: 30, discountPercent: 10 }]));
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A" }]));
+  });
+
+  test("Rejects out-of-range values", () => {
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A", discountPercent: 100 }]));
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A", velocityMultiplier: -1 }]));
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A", reorderQuantity: 2.5 }]));
+    assertThrows(() => normalizeScenarioChanges([{ sku: "A", cost: "20" }]));
+  });
+
+  test("Unknown SKUs are rejected", () => {
+    assertThrows(() => simulateScenario(snapshot, [{ sku: "NOPE", price: 10 }]));
+  });
+
+  // ========================================
+  // Step 2: Projections
+  // ========================================
+  console.log("\n📋 Step 2: Projections");
+
+  test("Baseline matches the weighted margin", () => {
+    const result = simulateScenario(snapshot, [{ sku: "BD-3.5G", velocityMultiplier: 1 }]);
+    assertEquals(result.baseline.revenue, 980);
+    assertEquals(result.baseline.profit, 490);
+    assertEquals(result.baseline.marginPercent, 50);
+    assertEquals(result.delta.profit, 0);
+  });
+
+  test("$5 off with 30% more velocity", () => {
+    const result = simulateScenario(snapshot, [{ sku: "BD-3.5G", priceChange: -5, velocityMultiplier: 1.3 }]);
+    const [bd] = result.skus;
+    assertEquals(bd.projected.price, 35);
+    assertEquals(bd.projected.unitsSold, 18.2);
+    assertEquals(bd.projected.revenue, 637);
+    assertEquals(bd.projected.profit, 273);
+    assertEquals(bd.delta.profit, -7);
+    assertEquals(result.projected.revenue, 1057);
+    assertEquals(result.delta.weeklyProfit, -7);
+    assertEquals(result.projected.marginPercent, 45.7);
+  });
+
+  test("Discount percent and cost change flow into margin", () => {
+    const result = simulateScenario(snapshot, [{ sku: "GEL-7G", discountPercent: 10, cost: 24 }]);
+    const [gel] = result.skus;
+    assertEquals(gel.projected.price, 54);
+    assertEquals(gel.projected.profit, 210);
+    assertEquals(gel.delta.revenue, -42);
+  });
+
+  test("Reorder quantity extends days of coverage", () => {
+    const result = simulateScenario(snapshot, [{ sku: "GEL-7G", reorderQuantity: 20 }]);
+    const [gel] = result.skus;
+    assertEquals(gel.baseline.daysOfCoverage, 10);
+    assertEquals(gel.projected.daysOfCoverage, 30);
+    assertEquals(gel.delta.daysOfCoverage, 20);
+    assertEquals(result.delta.revenue, 0);
+  });
+
+  test("Snapshot is not mutated", () => {
+    simulateScenario(snapshot, [{ sku: "BD-3.5G", price: 10, cost: 5, reorderQuantity: 5, velocityMultiplier: 3 }]);
+    assertEquals(snapshot.enrichedInventory[0].quantity, 30);
+    assertEquals(snapshot.enrichedInventory[0].pricing.retail, 40);
+    assertEquals(snapshot.velocity.velocityMetrics[0].totalSold, 14);
+  });
+
+  test("Daily snapshot figures scale to a week", () => {
+    const daily = {
+      ...snapshot,
+      timeframe: "daily",
+      velocity: { velocityMetrics: snapshot.velocity.velocityMetrics.map(m => ({ ...m, daysObserved: 1 })) }
+    };
+    const result = simulateScenario(daily, [{ sku: "BD-3.5G", velocityMultiplier: 1 }]);
+    assertEquals(result.period.periodDays, 1);
+    assertEquals(result.baseline.weeklyRevenue, 6860);
+  });
+
+  return finish("Scenarios reuse the margin math.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
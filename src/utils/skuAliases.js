@@ -0,0 +1,219 @@
+/**
+ * OMEN SKU ALIASES
+ *
+ * Order line items are matched to catalog SKUs by name, and some of those
+ * matches are guesses (a fuzzy match, or no match at all and a
+ * generated placeholder SKU). Every fuzzy match, whatever its score, and
+ * every other match below the review threshold is queued for a person to
+ * look at (sku_match_reviews):
+ *
+ *   pending    waiting for a reviewer
+ *   confirmed  the proposed SKU was right
+ *   corrected  the reviewer picked a different SKU
+ *
+ * Both answers become a permanent alias (sku_aliases): the line's strain +
+ * unit key mapped to a SKU. skuResolver.js and inventoryResolver.js check
+ * aliases before any name matching, so a reviewed name is never guessed
+ * again.
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/skuReviewService.js
+ */
+
+import { generateMatchKey } from './inventoryResolver.js';
+import { canonicalizeUnit } from './unitWeights.js';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export const REVIEW_STATUS = Object.freeze({
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  CORRECTED: 'corrected'
+});
+
+// Matches below this confidence are queued (OMEN_SKU_REVIEW_THRESHOLD overrides)
+export const DEFAULT_REVIEW_THRESHOLD = 0.9;
+
+// Order IDs kept per review as examples for the reviewer
+const MAX_EXAMPLE_ORDERS = 20;
+
+// Resolver match type for "nothing matched" (the proposed SKU is made up)
+const UNMATCHED_TYPE = 'UNMATCHED';
+
+// Name-similarity match types: a high score is still a guess ("Afternoon
+// Delite" scores 0.945 against "Afternoon Delight"), so these are queued
+// until a reviewer's alias answers them
+const FUZZY_MATCH_TYPES = new Set(['FUZZY', 'CATALOG_FUZZY']);
+
+// Placeholder SKUs written when nothing matched - never valid alias targets
+const PLACEHOLDER_SKU_PATTERNS = [/^UNMATCHED-/, /^unknown_/];
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Alias key for a line item: normalized strain + canonical unit
+ *
+ * The unit goes through unitWeights.canonicalizeUnit (the form order sync
+ * stores), so "Gelato 41" / "1 OZ" from a webhook and "gelato 41" / "28g"
+ * from a synced order share one alias.
+ *
+ * @param {string} strain - Strain / product name
+ * @param {string} unit - Unit, raw or canonical
+ * @returns {string} "<strain>|<canonical unit>"
+ */
+export function aliasKey(strain, unit) {
+  return generateMatchKey(strain, canonicalizeUnit(unit));
+}
+
+/**
+ * Alias lookup map from sku_aliases rows
+ *
+ * @param {Array<{alias_key: string, sku: string}>} rows - sku_aliases rows
+ * @returns {Map<string, string>} alias key -> SKU
+ */
+export function buildAliasMap(rows) {
+  const map = new Map();
+  for (const row of rows || []) {
+    if (row && row.alias_key && row.sku) map.set(row.alias_key, row.sku);
+  }
+  return map;
+}
+
+/**
+ * Whether a SKU is a generated placeholder rather than a catalog SKU
+ *
+ * @param {string|null} sku
+ * @returns {boolean}
+ */
+export function isPlaceholderSku(sku) {
+  if (!sku) return true;
+  return PLACEHOLDER_SKU_PATTERNS.some(pattern => pattern.test(sku));
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Parse a review threshold setting
+ *
+ * @param {string|number|undefined} value - e.g. process.env.OMEN_SKU_REVIEW_THRESHOLD
+ * @returns {number} Threshold in [0, 1]
+ */
+export function parseReviewThreshold(value) {
+  const threshold = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(threshold)) {
+    return DEFAULT_REVIEW_THRESHOLD;
+  }
+  return Math.min(1, Math.max(0, threshold));
+}
+
+/**
+ * Whether a match must be reviewed before it is trusted
+ *
+ * Fuzzy matches always are; anything else when below the threshold.
+ *
+ * @param {{matchType?: string, confidence: number}} match - Resolver result
+ * @param {number} threshold - Review threshold
+ * @returns {boolean}
+ */
+export function needsReview(match, threshold = DEFAULT_REVIEW_THRESHOLD) {
+  if (FUZZY_MATCH_TYPES.has(match?.matchType)) return true;
+  return (Number(match?.confidence) || 0) < threshold;
+}
+
+/**
+ * Merge a new sighting of a low-confidence match into its review row
+ *
+ * One row per (store, alias key). A pending row keeps its first proposal
+ * and collects example order IDs; a resolved row is left alone (its alias
+ * answers the match from now on).
+ *
+ * @param {Object|null} existing - Current sku_match_reviews row, if any
+ * @param {Object} match - { storeId, strain, unit, rawName?, proposedSku, matchType, confidence,
+ *   candidates? (fuzzyMatcher.summarizeCandidates), source, orderId? }
+ * @param {string} now - ISO timestamp
+ * @returns {Object|null} Row to upsert, or null when nothing changes
+ */
+export function mergeReview(existing, match, now) {
+  const orderId = match.orderId !== undefined && match.orderId !== null ? String(match.orderId) : null;
+
+  if (existing && existing.status !== REVIEW_STATUS.PENDING) return null;
+
+  if (existing) {
+    const orderIds = existing.order_ids || [];
+    if (!orderId || orderIds.includes(orderId) || orderIds.length >= MAX_EXAMPLE_ORDERS) {
+      return { ...existing, last_seen_at: now };
+    }
+    return { ...existing, order_ids: [...orderIds, orderId], last_seen_at: now };
+  }
+
+  return {
+    store_id: match.storeId,
+    alias_key: aliasKey(match.strain, match.unit),
+    strain: match.strain || '',
+    unit: match.unit || '',
+    raw_name: match.rawName || null,
+    proposed_sku: match.proposedSku || null,
+    match_type: match.matchType,
+    confidence: Number(match.confidence) || 0,
+    candidates: match.candidates || [],
+    source: match.source,
+    order_ids: orderId ? [orderId] : [],
+    status: REVIEW_STATUS.PENDING,
+    first_seen_at: now,
+    last_seen_at: now
+  };
+}
+
+/**
+ * Validate a reviewer's answer
+ *
+ * confirm: the proposed SKU becomes the alias (not allowed for placeholders).
+ * correct: the given SKU becomes the alias.
+ *
+ * @param {Object} review - sku_match_reviews row
+ * @param {'confirm'|'correct'} action
+ * @param {string} [sku] - Corrected SKU (correct only)
+ * @returns {{ ok: boolean, status?: string, sku?: string, error?: string }}
+ */
+export function resolveReviewAnswer(review, action, sku) {
+  if (review.status !== REVIEW_STATUS.PENDING) {
+    return { ok: false, error: `Review is already ${review.status}` };
+  }
+
+  if (action === 'confirm') {
+    if (review.match_type === UNMATCHED_TYPE || isPlaceholderSku(review.proposed_sku)) {
+      return { ok: false, error: `Nothing to confirm: ${review.proposed_sku || 'no SKU'} is a placeholder - correct it instead` };
+    }
+    return { ok: true, status: REVIEW_STATUS.CONFIRMED, sku: review.proposed_sku };
+  }
+
+  if (action === 'correct') {
+    const corrected = typeof sku === 'string' ? sku.trim() : '';
+    if (!corrected) return { ok: false, error: 'sku is required' };
+    if (isPlaceholderSku(corrected)) return { ok: false, error: `${corrected} is a placeholder SKU` };
+    return {
+      ok: true,
+      status: corrected === review.proposed_sku ? REVIEW_STATUS.CONFIRMED : REVIEW_STATUS.CORRECTED,
+      sku: corrected
+    };
+  }
+
+  return { ok: false, error: `Unknown review action: ${action}` };
+}
+
+export default {
+  REVIEW_STATUS,
+  DEFAULT_REVIEW_THRESHOLD,
+  aliasKey,
+  buildAliasMap,
+  isPlaceholderSku,
+  parseReviewThreshold,
+  needsReview,
+  mergeReview,
+  resolveReviewAnswer
+};
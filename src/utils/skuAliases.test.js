@@ -0,0 +1,158 @@
+// src/utils/skuAliases.test.js
+// Unit tests for SKU aliases, the review queue and alias-first resolution
+// Pure functions only - no database
+
+import {
+  aliasKey,
+  buildAliasMap,
+  parseReviewThreshold,
+  needsReview,
+  mergeReview,
+  resolveReviewAnswer,
+  REVIEW_STATUS,
+  DEFAULT_REVIEW_THRESHOLD
+} from "./skuAliases.js";
+import { buildInventoryIndex, resolveToCanonicalSku, generateUnmatchedSku } from "./skuResolver.js";
+import { parseLineItem, resolveInventoryItem } from "./inventoryResolver.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const inventory = [
+    { sku: "GEL41-3.5G", strain: "Gelato 41", unit: "3.5g", quantity: 10 },
+    { sku: "BD-3.5G", strain: "Blue Dream", unit: "3.5g", quantity: 4 }
+  ];
+  const aliases = buildAliasMap([{ alias_key: aliasKey("Mystery Kush", "3.5 G"), sku: "GEL41-3.5G" }]);
+
+  // ========================================
+  // Keys and thresholds
+  // ========================================
+  console.log("\n🔑 Testing alias keys and thresholds...\n");
+
+  test("aliasKey normalizes strain and unit", () => {
+    assertEquals(aliasKey("Gelatto #41", "3.5 G"), "gelatto 41|35g");
+    assertEquals(aliasKey("  gelatto 41 ", "3.5g"), aliasKey("Gelatto #41", "3.5 G"));
+  });
+
+  test("aliasKey canonicalizes the unit the way order sync stores it", () => {
+    assertEquals(aliasKey("Gelato 41", "1 OZ"), "gelato 41|28g");
+    assertEquals(aliasKey("Gelato 41", "eighth"), aliasKey("Gelato 41", "3.5g"));
+    assertEquals(aliasKey("Gelato 41", ""), "gelato 41|unknown");
+  });
+
+  test("parseReviewThreshold clamps and falls back to the default", () => {
+    assertEquals(parseReviewThreshold(undefined), DEFAULT_REVIEW_THRESHOLD);
+    assertEquals(parseReviewThreshold("abc"), DEFAULT_REVIEW_THRESHOLD);
+    assertEquals(parseReviewThreshold("0.8"), 0.8);
+    assertEquals(parseReviewThreshold(3), 1);
+    assertEquals(needsReview({ confidence: 0.95 }, 0.9), false);
+    assertEquals(needsReview({ confidence: 0.7 }, 0.9), true);
+    assertEquals(needsReview({ confidence: 0 }, 0), false);
+  });
+
+  test("Fuzzy matches are queued whatever their score", () => {
+    const afternoon = { sku: "AD-3.5G", strain: "Afternoon Delight", unit: "3.5g" };
+    const result = resolveToCanonicalSku({ strain: "Afternoon Delite", unit: "3.5g" }, buildInventoryIndex([afternoon]));
+    assertEquals(result.matchType, "FUZZY");
+    assertEquals(result.confidence, 0.945);
+    assertEquals(needsReview(result, 0.9), true);
+
+    assertEquals(needsReview({ matchType: "CATALOG_FUZZY", confidence: 0.99 }, 0.9), true);
+    assertEquals(needsReview({ matchType: "EXACT_STRAIN", confidence: 0.95 }, 0.9), false);
+    assertEquals(needsReview({ matchType: "ALIAS", confidence: 1 }, 0.9), false);
+  });
+
+  // ========================================
+  // Review queue
+  // ========================================
+  console.log("\n📋 Testing the review queue...\n");
+
+  const unmatched = resolveToCanonicalSku({ strain: "Mystery Kush", unit: "3.5g" }, buildInventoryIndex(inventory));
+
+  test("Unmatched placeholder SKUs are queued", () => {
+    assertEquals(unmatched.sku, generateUnmatchedSku("Mystery Kush"));
+    const row = mergeReview(null, {
+      storeId: "S1",
+      strain: "Mystery Kush",
+      unit: "3.5g",
+      proposedSku: unmatched.sku,
+      matchType: unmatched.matchType,
+      confidence: unmatched.confidence,
+      source: "sku_backfill",
+      orderId: 1001
+    }, "2026-10-18T00:00:00Z");
+    assertEquals(row.status, REVIEW_STATUS.PENDING);
+    assertEquals(row.alias_key, "mystery kush|35g");
+    assertEquals(row.proposed_sku, "UNMATCHED-MYSTERYKUSH");
+    assertEquals(row.order_ids[0], "1001");
+  });
+
+  test("mergeReview collects example orders and leaves resolved reviews alone", () => {
+    const pending = { status: REVIEW_STATUS.PENDING, order_ids: ["1001"], last_seen_at: "a" };
+    const again = mergeReview(pending, { orderId: 1001 }, "b");
+    assertEquals(again.order_ids.length, 1, "Same order is not added twice");
+    assertEquals(again.last_seen_at, "b");
+    assertEquals(mergeReview(pending, { orderId: 1002 }, "c").order_ids.length, 2);
+    assertEquals(mergeReview({ status: REVIEW_STATUS.CONFIRMED }, { orderId: 1003 }, "d"), null);
+  });
+
+  test("resolveReviewAnswer: confirm, correct and placeholders", () => {
+    const partial = { status: REVIEW_STATUS.PENDING, match_type: "PARTIAL_STRAIN", proposed_sku: "BD-3.5G" };
+    assertEquals(resolveReviewAnswer(partial, "confirm").sku, "BD-3.5G");
+    assertEquals(resolveReviewAnswer(partial, "correct", "GEL41-3.5G").status, REVIEW_STATUS.CORRECTED);
+    assertEquals(resolveReviewAnswer(partial, "correct", "BD-3.5G").status, REVIEW_STATUS.CONFIRMED);
+    assertEquals(resolveReviewAnswer(partial, "correct", "").ok, false);
+
+    const placeholder = { status: REVIEW_STATUS.PENDING, match_type: "UNMATCHED", proposed_sku: "UNMATCHED-MYSTERYKUSH" };
+    assertEquals(resolveReviewAnswer(placeholder, "confirm").ok, false, "Placeholders must be corrected");
+    assertEquals(resolveReviewAnswer(placeholder, "correct", "UNMATCHED-X").ok, false);
+    assertEquals(resolveReviewAnswer({ ...partial, status: REVIEW_STATUS.CORRECTED }, "confirm").ok, false);
+  });
+
+  // ========================================
+  // Alias-first resolution
+  // ========================================
+  console.log("\n🧭 Testing alias-first resolution...\n");
+
+  test("skuResolver checks aliases before name matching", () => {
+    const result = resolveToCanonicalSku({ strain: "Mystery Kush", unit: "3.5 G" }, buildInventoryIndex(inventory, aliases));
+    assertEquals(result.matchType, "ALIAS");
+    assertEquals(result.confidence, 1);
+    assertEquals(result.sku, "GEL41-3.5G");
+    assertEquals(result.matchedItem.strain, "Gelato 41");
+  });
+
+  test("inventoryResolver checks aliases before name matching", () => {
+    const parsed = parseLineItem({ itemName: "Mystery Kush", quantity: 1, descriptionLines: [{ name: "Weight", description: "3.5 G" }] });
+    assertThrows(() => resolveInventoryItem(parsed, inventory), "No match without the alias");
+
+    const result = resolveInventoryItem(parsed, inventory, { aliases });
+    assertEquals(result.matchMethod, "alias");
+    assertEquals(result.confidence, 1);
+    assertEquals(result.inventoryItem.sku, "GEL41-3.5G");
+
+    const exact = resolveInventoryItem(parseLineItem({ itemName: "Blue Dream", quantity: 1, descriptionLines: [{ name: "Weight", description: "3.5g" }] }), inventory);
+    assertEquals(exact.confidence, 0.95);
+  });
+
+  test("inventoryResolver finds a 28g alias for a \"1 OZ\" line item", () => {
+    const ounce = [...inventory, { sku: "GEL41-28G", strain: "Gelato 41", unit: "28g", quantity: 2 }];
+    const synced = buildAliasMap([{ alias_key: aliasKey("Mystery Kush", "28g"), sku: "GEL41-28G" }]);
+    const parsed = parseLineItem({ itemName: "Mystery Kush", quantity: 1, descriptionLines: [{ name: "Weight", description: "1 OZ" }] });
+    assertEquals(parsed.matchKey, "mystery kush|1oz");
+
+    const result = resolveInventoryItem(parsed, ounce, { aliases: synced });
+    assertEquals(result.matchMethod, "alias");
+    assertEquals(result.inventoryItem.sku, "GEL41-28G");
+  });
+
+  // Summary
+  // ========================================
+  return finish("Reviewed aliases win over name matching.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -4,9 +4,10 @@
  * Resolves order line item names to canonical inventory SKUs
  *
  * Match Strategy (in order):
+ * 0. Reviewed alias (sku_aliases - see skuAliases.js)
  * 1. Exact SKU match (if already canonical)
  * 2. Exact strain match (normalized)
- * 3. Partial strain match (contains)
+ * 3. Fuzzy match (fuzzyMatcher.js: typos, word order; units must not disagree) - confidence is the score
  * 4. Fallback: generate normalized slug (flagged as unmatched)
  *
  * RULES:
@@ -15,6 +16,9 @@
  * - Unmatched items explicitly flagged
  */
 
+import { aliasKey } from './skuAliases.js';
+import { findBestMatch, summarizeCandidates } from './fuzzyMatcher.js';
+
 /**
  * Normalize a string for matching
  * - lowercase
@@ -51,9 +55,10 @@ export function generateUnmatchedSku(strain) {
 /**
  * Build a lookup index from inventory
  * @param {Array} inventory - inventory_live rows
- * @returns {Object} - { byExactSku, byNormalizedStrain, all }
+ * @param {Map<string, string>} [aliases] - Reviewed aliases (skuAliases.buildAliasMap)
+ * @returns {Object} - { byExactSku, byNormalizedStrain, byAlias, all }
  */
-export function buildInventoryIndex(inventory) {
+export function buildInventoryIndex(inventory, aliases = new Map()) {
   const byExactSku = new Map();
   const byNormalizedStrain = new Map();
 
@@ -74,6 +79,7 @@ export function buildInventoryIndex(inventory) {
   return {
     byExactSku,
     byNormalizedStrain,
+    byAlias: aliases,
     all: inventory
   };
 }
@@ -88,6 +94,18 @@ export function buildInventoryIndex(inventory) {
 export function resolveToCanonicalSku(lineItem, inventoryIndex) {
   const { strain, unit, sku: currentSku } = lineItem;
 
+  // 0. A reviewer already answered this strain + unit
+  const aliasSku = inventoryIndex.byAlias?.get(aliasKey(strain, unit));
+  if (aliasSku) {
+    return {
+      sku: aliasSku,
+      matchType: 'ALIAS',
+      confidence: 1.0,
+      originalSku: currentSku,
+      matchedItem: inventoryIndex.byExactSku.get(aliasSku) || null
+    };
+  }
+
   // 1. Check if current SKU is already in inventory (exact match)
   if (currentSku && inventoryIndex.byExactSku.has(currentSku)) {
     return {
@@ -115,30 +133,19 @@ export function resolveToCanonicalSku(lineItem, inventoryIndex) {
     };
   }
 
-  // 3. Try partial strain match (order strain contains inventory strain or vice versa)
-  for (const [invNormStrain, items] of inventoryIndex.byNormalizedStrain) {
-    if (normalizedStrain.includes(invNormStrain) || invNormStrain.includes(normalizedStrain)) {
-      // Ensure minimum overlap (at least 5 chars or 50% of shorter string)
-      const minLen = Math.min(normalizedStrain.length, invNormStrain.length);
-      const overlapRequired = Math.max(5, Math.floor(minLen * 0.5));
-
-      // Check actual overlap
-      const overlap = normalizedStrain.includes(invNormStrain)
-        ? invNormStrain.length
-        : normalizedStrain.length;
-
-      if (overlap >= overlapRequired) {
-        const bestMatch = items[0];
-        return {
-          sku: bestMatch.sku,
-          matchType: 'PARTIAL_STRAIN',
-          confidence: 0.7,
-          originalSku: currentSku,
-          matchedItem: bestMatch,
-          matchReason: `"${normalizedStrain}" ~ "${invNormStrain}"`
-        };
-      }
-    }
+  // 3. Fuzzy match: typos ("Gelatto #41"), reordered words; units must not disagree
+  const fuzzy = findBestMatch({ name: strain, unit }, inventoryIndex.all, { excludeUnitMismatch: true });
+  if (fuzzy.best) {
+    return {
+      sku: fuzzy.best.row.sku,
+      matchType: 'FUZZY',
+      confidence: fuzzy.confidence,
+      originalSku: currentSku,
+      matchedItem: fuzzy.best.row,
+      matchReason: fuzzy.best.explanation.join('; '),
+      ambiguous: fuzzy.ambiguous || undefined,
+      candidates: summarizeCandidates(fuzzy.candidates)
+    };
   }
 
   // 4. Fallback: generate normalized slug (flagged as unmatched)
@@ -157,15 +164,17 @@ export function resolveToCanonicalSku(lineItem, inventoryIndex) {
  * Resolve multiple line items and return stats
  * @param {Array} lineItems - array of { strain, unit, sku }
  * @param {Array} inventory - inventory_live rows
- * @returns {Object} - { resolved: [], stats: { exact, strain, partial, unmatched } }
+ * @param {Map<string, string>} [aliases] - Reviewed aliases
+ * @returns {Object} - { resolved: [], stats: { alias, exact, strain, fuzzy, unmatched } }
  */
-export function resolveAllSkus(lineItems, inventory) {
-  const index = buildInventoryIndex(inventory);
+export function resolveAllSkus(lineItems, inventory, aliases) {
+  const index = buildInventoryIndex(inventory, aliases);
 
   const stats = {
+    alias: 0,
     exactSku: 0,
     exactStrain: 0,
-    partialStrain: 0,
+    fuzzy: 0,
     unmatched: 0,
     total: lineItems.length
   };
@@ -174,9 +183,10 @@ export function resolveAllSkus(lineItems, inventory) {
     const result = resolveToCanonicalSku(item, index);
 
     switch (result.matchType) {
+      case 'ALIAS': stats.alias++; break;
       case 'EXACT_SKU': stats.exactSku++; break;
       case 'EXACT_STRAIN': stats.exactStrain++; break;
-      case 'PARTIAL_STRAIN': stats.partialStrain++; break;
+      case 'FUZZY': stats.fuzzy++; break;
       case 'UNMATCHED': stats.unmatched++; break;
     }
 
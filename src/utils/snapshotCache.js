@@ -1,83 +1,54 @@
 /**
  * Snapshot Persistence Layer - Multi-Tenant
  *
- * Provides file-based caching for historical snapshots with:
- * - STRICT MULTI-TENANT ISOLATION (separate directories per store)
- * - Atomic writes (write to temp, then rename)
- * - Race condition prevention (file locking via write order)
- * - Automatic cleanup of old snapshots (optional)
- * - In-memory cache for performance
+ * Stores the full snapshot per store + timeframe + asOfDate with:
+ * - STRICT MULTI-TENANT ISOLATION (every read and write is scoped by storeId)
+ * - SQLite storage shared with the history index (src/db/snapshotStore.js)
+ * - Transactional writes - safe across processes
+ * - Optional cleanup of old snapshots
  *
  * Production considerations:
- * - Uses filesystem for persistence (survives restarts)
- * - Thread-safe via Node.js single-threaded model
- * - Handles concurrent reads/writes gracefully
- * - Provides TTL-based cleanup
+ * - Survives restarts; per-store files under data/snapshots/{storeId}/ are
+ *   imported on first use
+ * - No in-memory copy, so a snapshot regenerated by another process is
+ *   never served stale
  * - CRITICAL: All operations require storeId - no defaults
+ *
+ * Prefer recordSnapshot() in snapshotHistory.js when also adding the index
+ * entry - it writes both in one transaction.
  */
 
-import fs from 'fs';
-import path from 'path';
 import { generateSnapshotKey } from './dateCalculations.js';
 import { validateStoreId } from '../middleware/auth.js';
-
-// Base cache directory
-const BASE_CACHE_DIR = path.resolve(process.cwd(), 'data', 'snapshots');
-
-// In-memory cache (LRU with max 100 entries per store)
-const memoryCache = new Map();
-const MAX_MEMORY_CACHE_SIZE = 100;
-
-// Ensure base cache directory exists
-if (!fs.existsSync(BASE_CACHE_DIR)) {
-  fs.mkdirSync(BASE_CACHE_DIR, { recursive: true });
-  console.log('[SnapshotCache] Created base cache directory:', BASE_CACHE_DIR);
-}
+import {
+  getSnapshotDatabasePath,
+  savePayload,
+  loadPayload,
+  latestPayload,
+  listPayloads,
+  deletePayloadsBefore,
+  deleteAllPayloads
+} from '../db/snapshotStore.js';
 
 /**
- * Get store-specific cache directory
+ * Validate storeId before it reaches storage
  *
- * Structure: data/snapshots/{storeId}/
+ * Snapshots used to live in per-store directories; the same validation
+ * still rejects path traversal and malformed identifiers.
  *
- * @param {string} storeId - Store identifier (validated)
- * @returns {string} - Store cache directory path
+ * @param {string} storeId - Store identifier
  */
-function getStoreCacheDir(storeId) {
-  // CRITICAL: Validate storeId to prevent path traversal
+function assertValidStoreId(storeId) {
   const validation = validateStoreId(storeId);
   if (!validation.valid) {
     throw new Error(`Invalid storeId: ${validation.error}`);
   }
-
-  const storeDir = path.join(BASE_CACHE_DIR, storeId);
-
-  // Create store directory if doesn't exist
-  if (!fs.existsSync(storeDir)) {
-    fs.mkdirSync(storeDir, { recursive: true });
-    console.log('[SnapshotCache] Created store directory:', storeDir);
-  }
-
-  return storeDir;
-}
-
-/**
- * Generate cache key with store isolation
- *
- * @param {string} storeId - Store identifier
- * @param {string} timeframe - 'daily' or 'weekly'
- * @param {string} asOfDate - YYYY-MM-DD
- * @returns {string} - Cache key
- */
-function getStoreCacheKey(storeId, timeframe, asOfDate) {
-  return `${storeId}:${generateSnapshotKey(timeframe, asOfDate)}`;
 }
 
 /**
  * Save snapshot to cache - MULTI-TENANT
  *
- * Uses atomic write pattern:
- * 1. Write to temporary file
- * 2. Rename to final location (atomic on POSIX)
+ * Replaces any snapshot cached for the same timeframe + asOfDate.
  *
  * CRITICAL: Requires storeId - no defaults, no fallbacks
  *
@@ -85,44 +56,24 @@ function getStoreCacheKey(storeId, timeframe, asOfDate) {
  * @param {string} timeframe - 'daily' or 'weekly'
  * @param {string} asOfDate - Date in YYYY-MM-DD
  * @param {object} snapshot - Snapshot data
- * @returns {object} - { success: boolean, path: string }
+ * @returns {object} - { success: boolean, path: string (database file), key }
  */
 export function saveSnapshot(storeId, timeframe, asOfDate, snapshot) {
   if (!storeId) {
     throw new Error('[SnapshotCache] saveSnapshot: storeId is required');
   }
 
-  const storeDir = getStoreCacheDir(storeId);
+  assertValidStoreId(storeId);
   const key = generateSnapshotKey(timeframe, asOfDate);
-  const filePath = path.join(storeDir, `${key}.json`);
-  const tempPath = path.join(storeDir, `${key}.tmp.json`);
 
   try {
-    // Add cache metadata
-    const cacheEntry = {
-      key,
-      timeframe,
-      asOfDate,
-      snapshot,
-      cachedAt: new Date().toISOString(),
-      version: '1.0'
-    };
-
-    // Write to temp file first (atomic operation)
-    fs.writeFileSync(tempPath, JSON.stringify(cacheEntry, null, 2), 'utf-8');
-
-    // Rename to final location (atomic on most filesystems)
-    fs.renameSync(tempPath, filePath);
+    savePayload(storeId, timeframe, asOfDate, key, snapshot);
 
-    // Update in-memory cache with store-scoped key
-    const cacheKey = getStoreCacheKey(storeId, timeframe, asOfDate);
-    updateMemoryCache(cacheKey, cacheEntry);
-
-    console.log('[SnapshotCache] Saved snapshot:', { storeId, key, path: filePath });
+    console.log('[SnapshotCache] Saved snapshot:', { storeId, key });
 
     return {
       success: true,
-      path: filePath,
+      path: getSnapshotDatabasePath(),
       key
     };
   } catch (err) {
@@ -131,11 +82,6 @@ export function saveSnapshot(storeId, timeframe, asOfDate, snapshot) {
       error: err.message
     });
 
-    // Cleanup temp file if exists
-    if (fs.existsSync(tempPath)) {
-      fs.unlinkSync(tempPath);
-    }
-
     return {
       success: false,
       error: err.message
@@ -146,8 +92,6 @@ export function saveSnapshot(storeId, timeframe, asOfDate, snapshot) {
 /**
  * Load snapshot from cache - MULTI-TENANT
  *
- * Checks memory cache first, then falls back to disk
- *
  * CRITICAL: Requires storeId - no defaults, no fallbacks
  *
  * @param {string} storeId - Store identifier (REQUIRED)
@@ -160,32 +104,18 @@ export function loadSnapshot(storeId, timeframe, asOfDate) {
     throw new Error('[SnapshotCache] loadSnapshot: storeId is required');
   }
 
-  const cacheKey = getStoreCacheKey(storeId, timeframe, asOfDate);
+  assertValidStoreId(storeId);
   const key = generateSnapshotKey(timeframe, asOfDate);
 
-  // Check memory cache first
-  if (memoryCache.has(cacheKey)) {
-    console.log('[SnapshotCache] Memory cache hit:', cacheKey);
-    return memoryCache.get(cacheKey);
-  }
-
-  // Check disk cache in store-specific directory
-  const storeDir = getStoreCacheDir(storeId);
-  const filePath = path.join(storeDir, `${key}.json`);
-
-  if (!fs.existsSync(filePath)) {
-    console.log('[SnapshotCache] Cache miss:', cacheKey);
-    return null;
-  }
-
   try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const cacheEntry = JSON.parse(content);
+    const cacheEntry = loadPayload(storeId, timeframe, asOfDate);
 
-    // Update memory cache
-    updateMemoryCache(cacheKey, cacheEntry);
+    if (!cacheEntry) {
+      console.log('[SnapshotCache] Cache miss:', `${storeId}:${key}`);
+      return null;
+    }
 
-    console.log('[SnapshotCache] Disk cache hit:', cacheKey);
+    console.log('[SnapshotCache] Cache hit:', `${storeId}:${key}`);
     return cacheEntry;
   } catch (err) {
     console.error('[SnapshotCache] Failed to load snapshot:', {
@@ -212,30 +142,14 @@ export function getLatestSnapshot(storeId) {
   }
 
   try {
-    const storeDir = getStoreCacheDir(storeId);
-
-    // Read all snapshot files in store directory
-    const files = fs.readdirSync(storeDir)
-      .filter(f => f.startsWith('snapshot_') && f.endsWith('.json'))
-      .map(f => {
-        const filePath = path.join(storeDir, f);
-        const stats = fs.statSync(filePath);
-        return {
-          path: filePath,
-          mtime: stats.mtime.getTime()
-        };
-      })
-      .sort((a, b) => b.mtime - a.mtime); // Sort by modified time descending
+    assertValidStoreId(storeId);
+    const cacheEntry = latestPayload(storeId);
 
-    if (files.length === 0) {
+    if (!cacheEntry) {
       console.log('[SnapshotCache] No cached snapshots found for store:', storeId);
       return null;
     }
 
-    // Load most recent file
-    const content = fs.readFileSync(files[0].path, 'utf-8');
-    const cacheEntry = JSON.parse(content);
-
     console.log('[SnapshotCache] Loaded latest snapshot for store:', {
       storeId,
       key: cacheEntry.key,
@@ -252,28 +166,6 @@ export function getLatestSnapshot(storeId) {
   }
 }
 
-/**
- * Update in-memory cache with LRU eviction
- * @param {string} key - Cache key
- * @param {object} value - Cache value
- */
-function updateMemoryCache(key, value) {
-  // Remove if already exists (to update access order)
-  if (memoryCache.has(key)) {
-    memoryCache.delete(key);
-  }
-
-  // Add to cache
-  memoryCache.set(key, value);
-
-  // Evict oldest if over limit
-  if (memoryCache.size > MAX_MEMORY_CACHE_SIZE) {
-    const oldestKey = memoryCache.keys().next().value;
-    memoryCache.delete(oldestKey);
-    console.log('[SnapshotCache] Evicted from memory cache:', oldestKey);
-  }
-}
-
 /**
  * List all cached snapshots - MULTI-TENANT
  *
@@ -288,33 +180,8 @@ export function listCachedSnapshots(storeId) {
   }
 
   try {
-    const storeDir = getStoreCacheDir(storeId);
-
-    // Read all snapshot files in store directory
-    const files = fs.readdirSync(storeDir)
-      .filter(f => f.startsWith('snapshot_') && f.endsWith('.json'))
-      .map(f => {
-        const filePath = path.join(storeDir, f);
-        const stats = fs.statSync(filePath);
-
-        try {
-          const content = fs.readFileSync(filePath, 'utf-8');
-          const entry = JSON.parse(content);
-          return {
-            key: entry.key,
-            timeframe: entry.timeframe,
-            asOfDate: entry.asOfDate,
-            cachedAt: entry.cachedAt,
-            sizeBytes: stats.size
-          };
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean)
-      .sort((a, b) => new Date(b.cachedAt) - new Date(a.cachedAt));
-
-    return files;
+    assertValidStoreId(storeId);
+    return listPayloads(storeId);
   } catch (err) {
     console.error('[SnapshotCache] Failed to list snapshots:', err.message);
     return [];
@@ -323,27 +190,13 @@ export function listCachedSnapshots(storeId) {
 
 /**
  * Delete snapshots older than specified days
- * @param {number} olderThanDays - Delete snapshots older than this many days
+ * @param {number} olderThanDays - Delete snapshots cached more than this many days ago
  * @returns {number} - Number of snapshots deleted
  */
 export function cleanupOldSnapshots(olderThanDays = 90) {
   try {
-    const cutoffTime = Date.now() - (olderThanDays * 24 * 60 * 60 * 1000);
-    let deletedCount = 0;
-
-    const files = fs.readdirSync(CACHE_DIR)
-      .filter(f => f.startsWith('snapshot_') && f.endsWith('.json'));
-
-    for (const file of files) {
-      const filePath = path.join(CACHE_DIR, file);
-      const stats = fs.statSync(filePath);
-
-      if (stats.mtime.getTime() < cutoffTime) {
-        fs.unlinkSync(filePath);
-        deletedCount++;
-        console.log('[SnapshotCache] Deleted old snapshot:', file);
-      }
-    }
+    const cutoffISO = new Date(Date.now() - (olderThanDays * 24 * 60 * 60 * 1000)).toISOString();
+    const deletedCount = deletePayloadsBefore(cutoffISO);
 
     console.log('[SnapshotCache] Cleanup complete:', {
       deletedCount,
@@ -364,17 +217,9 @@ export function cleanupOldSnapshots(olderThanDays = 90) {
  */
 export function clearAllSnapshots() {
   try {
-    const files = fs.readdirSync(CACHE_DIR)
-      .filter(f => f.startsWith('snapshot_') && f.endsWith('.json'));
-
-    for (const file of files) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
-    }
-
-    memoryCache.clear();
-
-    console.log('[SnapshotCache] Cleared all snapshots:', files.length);
-    return files.length;
+    const deletedCount = deleteAllPayloads();
+    console.log('[SnapshotCache] Cleared all snapshots:', deletedCount);
+    return deletedCount;
   } catch (err) {
     console.error('[SnapshotCache] Clear failed:', err.message);
     return 0;
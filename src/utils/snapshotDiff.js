@@ -0,0 +1,344 @@
+/**
+ * OMEN SNAPSHOT DIFF
+ *
+ * Per-SKU comparison of two stored snapshots (any store snapshots - not
+ * just consecutive ones of a timeframe):
+ *
+ *   added      SKU is in the "to" snapshot only
+ *   removed    SKU is in the "from" snapshot only
+ *   changed    SKU is in both and a compared field or its decision moved
+ *   unchanged  SKU is in both and nothing moved
+ *
+ * SKU FACTS: Taken from snapshot.enrichedInventory plus
+ * snapshot.velocity.velocityMetrics (velocity and units sold; SKUs that only
+ * sold are included). When velocity was analyzed, a SKU without a metric
+ * sold nothing (0); without velocity analysis it is unknown (null). Margin
+ * is recomputed from retail and cost.
+ *
+ * DECISIONS: Each snapshot's per-SKU decision is the one stored with it,
+ * or for older snapshots rebuilt with the same fact tables and rules as its
+ * action brief (decideSnapshot in decisionClassifier.js). A SKU the fact
+ * layer excludes has none (null).
+ *
+ * PURE MODULE: No I/O. Snapshots are loaded by the /snapshot/diff endpoint.
+ */
+
+import { decideSnapshot, DECISION_TYPES } from './decisionClassifier.js';
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+export const DIFF_CHANGE_TYPES = Object.freeze({
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+});
+
+// Compared numeric fields and the precision they are compared at
+const COMPARED_FIELDS = {
+  quantity: 0,
+  velocity: 3,
+  unitsSold: 0,
+  retail: 2,
+  cost: 2,
+  unitMargin: 2,
+  marginPercent: 1
+};
+
+export const DIFF_FIELDS = Object.freeze(Object.keys(COMPARED_FIELDS));
+
+// Sortable columns: any field delta, or these
+export const DIFF_SORT_FIELDS = Object.freeze([
+  'sku',
+  'name',
+  'change',
+  ...DIFF_FIELDS.map(field => `${field}Delta`),
+  ...DIFF_FIELDS.map(field => `${field}To`)
+]);
+
+function toNumber(value, precision) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  const factor = 10 ** precision;
+  return Math.round(n * factor) / factor;
+}
+
+// ============================================================================
+// SKU FACTS
+// ============================================================================
+
+/**
+ * Most urgent decision per SKU, as the action brief would rank them
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {Map<string, string>} sku → decision type (facts without a rule: DEPRIORITIZE)
+ */
+export function decisionsBySku(snapshot) {
+  return decideSnapshot(snapshot).bySku;
+}
+
+/**
+ * Comparable facts per SKU for one snapshot
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {Map<string, object>} sku → { sku, name, quantity, velocity, unitsSold,
+ *   retail, cost, unitMargin, marginPercent, decision }
+ */
+export function extractSkuFacts(snapshot) {
+  const facts = new Map();
+  const velocityBySku = new Map();
+  for (const metric of snapshot?.velocity?.velocityMetrics || []) {
+    if (metric?.sku) velocityBySku.set(metric.sku, metric);
+  }
+  const decisions = decisionsBySku(snapshot);
+  const noSales = snapshot?.velocity ? 0 : null;
+
+  const factFor = (sku, item, metric) => {
+    const retail = toNumber(item?.pricing?.retail ?? item?.retail ?? item?.price, 2);
+    const cost = toNumber(item?.pricing?.cost ?? item?.unit_cost ?? item?.cost, 2);
+    const unitMargin = retail !== null && cost !== null ? toNumber(retail - cost, 2) : null;
+
+    return {
+      sku,
+      name: item?.name || metric?.name || sku,
+      quantity: toNumber(item?.availableQuantity ?? item?.quantity ?? metric?.currentStock, 0),
+      velocity: toNumber(metric?.dailyVelocity ?? item?.velocity?.avgDaily ?? noSales, 3),
+      unitsSold: toNumber(metric?.totalSold ?? item?.velocity?.totalSold ?? noSales, 0),
+      retail,
+      cost,
+      unitMargin,
+      marginPercent: unitMargin !== null && retail > 0 ? toNumber((unitMargin / retail) * 100, 1) : null,
+      decision: decisions.get(sku) || null
+    };
+  };
+
+  for (const item of snapshot?.enrichedInventory || []) {
+    if (!item?.sku || facts.has(item.sku)) continue;
+    facts.set(item.sku, factFor(item.sku, item, velocityBySku.get(item.sku)));
+  }
+  for (const [sku, metric] of velocityBySku) {
+    if (!facts.has(sku)) facts.set(sku, factFor(sku, null, metric));
+  }
+
+  return facts;
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Per-SKU differences between two snapshots
+ *
+ * @param {object} fromSnapshot - Earlier (baseline) snapshot
+ * @param {object} toSnapshot - Later snapshot
+ * @returns {Array} Rows: { sku, name, change, changedFields, decisionFrom, decisionTo,
+ *   decisionChanged, from, to, deltas } - deltas hold to - from per field
+ *   (null when either side is unknown)
+ */
+export function diffSnapshots(fromSnapshot, toSnapshot) {
+  const fromFacts = extractSkuFacts(fromSnapshot);
+  const toFacts = extractSkuFacts(toSnapshot);
+  const skus = new Set([...fromFacts.keys(), ...toFacts.keys()]);
+  const rows = [];
+
+  for (const sku of skus) {
+    const from = fromFacts.get(sku) || null;
+    const to = toFacts.get(sku) || null;
+
+    const deltas = {};
+    const changedFields = [];
+    for (const [field, precision] of Object.entries(COMPARED_FIELDS)) {
+      const a = from ? from[field] : null;
+      const b = to ? to[field] : null;
+      deltas[field] = a !== null && b !== null ? toNumber(b - a, precision) : null;
+      if (from && to && a !== b) changedFields.push(field);
+    }
+
+    const decisionFrom = from ? from.decision : null;
+    const decisionTo = to ? to.decision : null;
+    const decisionChanged = !!(from && to && decisionFrom !== decisionTo);
+
+    let change;
+    if (!from) change = DIFF_CHANGE_TYPES.ADDED;
+    else if (!to) change = DIFF_CHANGE_TYPES.REMOVED;
+    else if (changedFields.length > 0 || decisionChanged) change = DIFF_CHANGE_TYPES.CHANGED;
+    else change = DIFF_CHANGE_TYPES.UNCHANGED;
+
+    rows.push({
+      sku,
+      name: (to || from).name,
+      change,
+      changedFields,
+      decisionFrom,
+      decisionTo,
+      decisionChanged,
+      from: from && stripIdentity(from),
+      to: to && stripIdentity(to),
+      deltas
+    });
+  }
+
+  return rows.sort((a, b) => a.sku.localeCompare(b.sku));
+}
+
+function stripIdentity(fact) {
+  const { sku, name, ...values } = fact;
+  return values;
+}
+
+/**
+ * Counts per change type and decision transition
+ *
+ * @param {Array} rows - From diffSnapshots
+ * @returns {object} { total, added, removed, changed, unchanged, decisionChanges,
+ *   transitions: [{ from, to, count }], fieldChanges: { field: count } }
+ */
+export function summarizeDiff(rows) {
+  const summary = {
+    total: rows.length,
+    added: 0,
+    removed: 0,
+    changed: 0,
+    unchanged: 0,
+    decisionChanges: 0,
+    transitions: [],
+    fieldChanges: Object.fromEntries(DIFF_FIELDS.map(field => [field, 0]))
+  };
+
+  const transitions = new Map();
+  for (const row of rows) {
+    summary[row.change]++;
+    for (const field of row.changedFields) summary.fieldChanges[field]++;
+    if (!row.decisionChanged) continue;
+
+    summary.decisionChanges++;
+    const key = `${row.decisionFrom}→${row.decisionTo}`;
+    const transition = transitions.get(key) || { from: row.decisionFrom, to: row.decisionTo, count: 0 };
+    transition.count++;
+    transitions.set(key, transition);
+  }
+
+  summary.transitions = [...transitions.values()].sort((a, b) => b.count - a.count);
+  return summary;
+}
+
+// ============================================================================
+// QUERY (filter, sort, page)
+// ============================================================================
+
+function sortValue(row, sort) {
+  if (sort === 'sku' || sort === 'name' || sort === 'change') return row[sort];
+  if (sort.endsWith('Delta')) return row.deltas[sort.slice(0, -'Delta'.length)];
+  return row.to ? row.to[sort.slice(0, -'To'.length)] : null;
+}
+
+/**
+ * Validate diff query options
+ *
+ * @param {object} options - See queryDiffRows
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateDiffQuery(options = {}) {
+  const changes = Object.values(DIFF_CHANGE_TYPES);
+  const decisions = Object.values(DECISION_TYPES);
+
+  for (const change of options.change || []) {
+    if (!changes.includes(change)) return `change must be one of: ${changes.join(', ')}`;
+  }
+  for (const field of options.fields || []) {
+    if (!DIFF_FIELDS.includes(field)) return `field must be one of: ${DIFF_FIELDS.join(', ')}`;
+  }
+  for (const decision of options.decision || []) {
+    if (!decisions.includes(decision)) return `decision must be one of: ${decisions.join(', ')}`;
+  }
+  if (options.sort && !DIFF_SORT_FIELDS.includes(options.sort)) {
+    return `sort must be one of: ${DIFF_SORT_FIELDS.join(', ')}`;
+  }
+  if (options.order && options.order !== 'asc' && options.order !== 'desc') {
+    return 'order must be asc or desc';
+  }
+  return null;
+}
+
+/**
+ * Filter, sort and page diff rows
+ *
+ * Numeric sorts order by absolute value (biggest moves first when desc);
+ * unknown values always sort last.
+ *
+ * @param {Array} rows - From diffSnapshots
+ * @param {object} [options]
+ * @param {string[]} [options.change] - Keep these change types (default: all but unchanged)
+ * @param {string[]} [options.fields] - Keep rows where any of these fields changed
+ * @param {string[]} [options.decision] - Keep rows whose from or to decision is one of these
+ * @param {boolean} [options.decisionChanged] - Keep only rows whose decision moved
+ * @param {string} [options.search] - Case-insensitive match on SKU or name
+ * @param {string} [options.sort] - One of DIFF_SORT_FIELDS (default: sku)
+ * @param {string} [options.order] - 'asc' | 'desc' (default: asc for text, desc for numbers)
+ * @param {number} [options.limit] - Page size (default: all)
+ * @param {number} [options.offset] - Rows to skip
+ * @returns {object} { rows, total } - total counts matches before paging
+ */
+export function queryDiffRows(rows, options = {}) {
+  const change = options.change?.length
+    ? options.change
+    : [DIFF_CHANGE_TYPES.ADDED, DIFF_CHANGE_TYPES.REMOVED, DIFF_CHANGE_TYPES.CHANGED];
+  const search = (options.search || '').trim().toLowerCase();
+
+  let result = rows.filter(row => change.includes(row.change));
+
+  if (options.fields?.length) {
+    result = result.filter(row => options.fields.some(field => row.changedFields.includes(field)));
+  }
+  if (options.decision?.length) {
+    result = result.filter(row => options.decision.includes(row.decisionFrom) || options.decision.includes(row.decisionTo));
+  }
+  if (options.decisionChanged) {
+    result = result.filter(row => row.decisionChanged);
+  }
+  if (search) {
+    result = result.filter(row => row.sku.toLowerCase().includes(search) || String(row.name).toLowerCase().includes(search));
+  }
+
+  const sort = options.sort || 'sku';
+  const textSort = sort === 'sku' || sort === 'name' || sort === 'change';
+  const direction = (options.order || (textSort ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+  result = [...result].sort((a, b) => {
+    let va = sortValue(a, sort);
+    let vb = sortValue(b, sort);
+    if (va === null || va === undefined) return vb === null || vb === undefined ? a.sku.localeCompare(b.sku) : 1;
+    if (vb === null || vb === undefined) return -1;
+
+    if (textSort) {
+      const cmp = String(va).localeCompare(String(vb));
+      return cmp !== 0 ? cmp * direction : a.sku.localeCompare(b.sku);
+    }
+    if (sort.endsWith('Delta')) {
+      va = Math.abs(va);
+      vb = Math.abs(vb);
+    }
+    return va !== vb ? (va - vb) * direction : a.sku.localeCompare(b.sku);
+  });
+
+  const total = result.length;
+  const offset = Math.max(0, options.offset || 0);
+  const paged = options.limit ? result.slice(offset, offset + options.limit) : result.slice(offset);
+
+  return { rows: paged, total };
+}
+
+export default {
+  DIFF_CHANGE_TYPES,
+  DIFF_FIELDS,
+  DIFF_SORT_FIELDS,
+  extractSkuFacts,
+  diffSnapshots,
+  summarizeDiff,
+  validateDiffQuery,
+  queryDiffRows
+};
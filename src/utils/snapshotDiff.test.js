@@ -0,0 +1,189 @@
+// src/utils/snapshotDiff.test.js
+// Unit tests for per-SKU snapshot diffs, decision transitions, filters and sorting
+// Pure functions only - no database
+
+import {
+  DIFF_CHANGE_TYPES,
+  decisionsBySku,
+  extractSkuFacts,
+  diffSnapshots,
+  summarizeDiff,
+  validateDiffQuery,
+  queryDiffRows
+} from "./snapshotDiff.js";
+import { decideSnapshot, serializeDecisions, missingDecisionInputs } from "./decisionClassifier.js";
+import { createTestRunner, inventoryItem as item, velocityMetric } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+
+  const sold = (sku, name, dailyVelocity, totalSold, totalRevenue) =>
+    velocityMetric(sku, name, dailyVelocity, totalSold, { totalRevenue });
+
+  const fromSnapshot = {
+    enrichedInventory: [
+      item("ALPHA-3.5G", "Alpha", "3.5g", 10, 60, 20),
+      item("BRAVO-1G", "Bravo", "1g", 3, 15, 6),
+      item("CHARLIE-7G", "Charlie", "7g", 4, 100, 45),
+      item("ECHO-1G", "Echo", "1g", 8, 12, 5)
+    ],
+    velocity: {
+      velocityMetrics: [sold("ALPHA-3.5G", "Alpha (3.5g)", 0.3, 2, 120)]
+    }
+  };
+
+  const toSnapshot = {
+    enrichedInventory: [
+      item("ALPHA-3.5G", "Alpha", "3.5g", 10, 60, 20),
+      item("BRAVO-1G", "Bravo", "1g", 1, 15, 6),
+      item("DELTA-14G", "Delta", "14g", 2, 180, 90),
+      item("ECHO-1G", "Echo", "1g", 8, 12, 5)
+    ],
+    velocity: { velocityMetrics: [] }
+  };
+
+  console.log("\n🧪 Running Snapshot Diff Tests\n");
+
+  test("SKU facts: margin is recomputed from retail and cost", () => {
+    const facts = extractSkuFacts(fromSnapshot);
+    const alpha = facts.get("ALPHA-3.5G");
+    assertEquals(alpha.unitMargin, 40);
+    assertEquals(alpha.marginPercent, 66.7);
+    assertEquals(alpha.velocity, 0.3);
+    assertEquals(alpha.unitsSold, 2);
+    assertEquals(alpha.decision, "HOLD_LINE");
+    assertEquals(facts.get("BRAVO-1G").decision, "DEPRIORITIZE");
+  });
+
+  test("decisionsBySku: primary decision per SKU, DEPRIORITIZE without a rule", () => {
+    const decisions = decisionsBySku(fromSnapshot);
+    assertEquals(decisions.get("ALPHA-3.5G"), "HOLD_LINE");
+    assertEquals(decisions.get("BRAVO-1G"), "DEPRIORITIZE");
+    assertEquals(decisions.size, 4);
+  });
+
+  test("decisionsBySku: stored decisions win over rebuilding", () => {
+    const daily = {
+      enrichedInventory: fromSnapshot.enrichedInventory,
+      velocity: { orderCount: 2 },
+      decisions: JSON.parse(JSON.stringify(serializeDecisions(decideSnapshot(fromSnapshot))))
+    };
+    assertEquals(decisionsBySku(daily).get("ALPHA-3.5G"), "HOLD_LINE");
+    assertEquals(decideSnapshot(daily).decisions.length, decideSnapshot(fromSnapshot).decisions.length);
+  });
+
+  test("missingDecisionInputs: only when decisions can't be stored or rebuilt", () => {
+    const daily = { enrichedInventory: fromSnapshot.enrichedInventory, velocity: { orderCount: 2 } };
+    assertEquals(missingDecisionInputs(daily), "no stored decisions and no velocityMetrics to rebuild them from");
+    assertEquals(missingDecisionInputs({ velocity: null }), "no stored decisions and no enrichedInventory to rebuild them from");
+    assertEquals(missingDecisionInputs({ ...daily, decisions: serializeDecisions(decideSnapshot(fromSnapshot)) }), null);
+    assertEquals(missingDecisionInputs(fromSnapshot), null);
+    assertEquals(missingDecisionInputs({ enrichedInventory: [], velocity: null }), null, "No velocity analysis: inventory-only decisions");
+  });
+
+  test("SKU facts: velocity-only SKUs are included", () => {
+    const facts = extractSkuFacts({
+      enrichedInventory: [],
+      velocity: { velocityMetrics: [{ ...sold("GHOST-1G", "Ghost (1g)", 1, 7, 70), currentStock: 4 }] }
+    });
+    assertEquals(facts.get("GHOST-1G").quantity, 4);
+    assertEquals(facts.get("GHOST-1G").retail, null);
+  });
+
+  const rows = diffSnapshots(fromSnapshot, toSnapshot);
+  const bySku = new Map(rows.map(row => [row.sku, row]));
+
+  test("Diff: added, removed, changed and unchanged", () => {
+    assertEquals(bySku.get("DELTA-14G").change, DIFF_CHANGE_TYPES.ADDED);
+    assertEquals(bySku.get("CHARLIE-7G").change, DIFF_CHANGE_TYPES.REMOVED);
+    assertEquals(bySku.get("BRAVO-1G").change, DIFF_CHANGE_TYPES.CHANGED);
+    assertEquals(bySku.get("ECHO-1G").change, DIFF_CHANGE_TYPES.UNCHANGED);
+    assertEquals(bySku.get("DELTA-14G").from, null);
+    assertEquals(bySku.get("DELTA-14G").deltas.quantity, null);
+  });
+
+  test("Diff: field deltas and changed fields", () => {
+    const bravo = bySku.get("BRAVO-1G");
+    assertEquals(bravo.deltas.quantity, -2);
+    assertEquals(bravo.changedFields.join(","), "quantity");
+
+    const alpha = bySku.get("ALPHA-3.5G");
+    assertEquals(alpha.deltas.velocity, -0.3);
+    assertEquals(alpha.deltas.unitsSold, -2);
+    assertEquals(alpha.changedFields.join(","), "velocity,unitsSold");
+  });
+
+  test("Diff: velocity is unknown, not zero, without velocity analysis", () => {
+    const facts = extractSkuFacts({ enrichedInventory: fromSnapshot.enrichedInventory, velocity: null });
+    assertEquals(facts.get("BRAVO-1G").velocity, null);
+    assertEquals(extractSkuFacts(toSnapshot).get("BRAVO-1G").velocity, 0);
+  });
+
+  test("Diff: decision transition HOLD_LINE → DISCOUNT_SLOW", () => {
+    const alpha = bySku.get("ALPHA-3.5G");
+    assertEquals(alpha.decisionFrom, "HOLD_LINE");
+    assertEquals(alpha.decisionTo, "DISCOUNT_SLOW");
+    assertEquals(alpha.decisionChanged, true);
+    assertEquals(bySku.get("DELTA-14G").decisionChanged, false, "Added SKUs have no transition");
+  });
+
+  test("Summary: counts and transitions", () => {
+    const summary = summarizeDiff(rows);
+    assertEquals(summary.total, 5);
+    assertEquals(summary.added, 1);
+    assertEquals(summary.removed, 1);
+    assertEquals(summary.changed, 2);
+    assertEquals(summary.unchanged, 1);
+    assertEquals(summary.decisionChanges, 1);
+    assertEquals(summary.transitions[0].from, "HOLD_LINE");
+    assertEquals(summary.transitions[0].to, "DISCOUNT_SLOW");
+    assertEquals(summary.fieldChanges.quantity, 1);
+  });
+
+  test("Query: unchanged rows are hidden by default", () => {
+    const { rows: visible, total } = queryDiffRows(rows);
+    assertEquals(total, 4);
+    assertEquals(visible.some(row => row.sku === "ECHO-1G"), false);
+    assertEquals(queryDiffRows(rows, { change: ["unchanged"] }).total, 1);
+  });
+
+  test("Query: filters by field, decision, decision change and search", () => {
+    assertEquals(queryDiffRows(rows, { fields: ["quantity"] }).rows[0].sku, "BRAVO-1G");
+    assertEquals(queryDiffRows(rows, { decision: ["DISCOUNT_SLOW"] }).total, 1);
+    assertEquals(queryDiffRows(rows, { decisionChanged: true }).rows[0].sku, "ALPHA-3.5G");
+    assertEquals(queryDiffRows(rows, { search: "delta" }).rows[0].sku, "DELTA-14G");
+  });
+
+  test("Query: delta sorts by size of the move, unknowns last", () => {
+    const sorted = queryDiffRows(rows, { sort: "quantityDelta" }).rows.map(row => row.sku);
+    assertEquals(sorted[0], "BRAVO-1G");
+    assertEquals(sorted[sorted.length - 1], "DELTA-14G");
+
+    const byRetail = queryDiffRows(rows, { sort: "retailTo", order: "asc" }).rows.map(row => row.sku);
+    assertEquals(byRetail.join(","), "BRAVO-1G,ALPHA-3.5G,DELTA-14G,CHARLIE-7G");
+  });
+
+  test("Query: paging reports the total before the page", () => {
+    const page = queryDiffRows(rows, { limit: 2, offset: 1 });
+    assertEquals(page.total, 4);
+    assertEquals(page.rows.length, 2);
+    assertEquals(page.rows[0].sku, "BRAVO-1G");
+  });
+
+  test("Query validation rejects unknown options", () => {
+    assertEquals(validateDiffQuery({ sort: "quantityDelta", order: "asc" }), null);
+    assertEquals(validateDiffQuery({ sort: "bogus" }) !== null, true);
+    assertEquals(validateDiffQuery({ change: ["moved"] }) !== null, true);
+    assertEquals(validateDiffQuery({ fields: ["price"] }) !== null, true);
+    assertEquals(validateDiffQuery({ decision: ["SELL"] }) !== null, true);
+    assertEquals(validateDiffQuery({ order: "up" }) !== null, true);
+  });
+  // Summary
+  // ========================================
+  return finish("Snapshot diffs are per-SKU and queryable.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,697 @@
+/**
+ * OMEN SNAPSHOT EXPORT
+ *
+ * Renders a stored snapshot as files owners and buyers can forward:
+ *
+ *   xlsx  One workbook - Metrics, SKU Facts, Decisions, Velocity sheets
+ *   csv   One table as CSV, or all four as a zip of CSVs
+ *   pdf   Paginated report - executive brief, trend charts, decision,
+ *         velocity and SKU tables
+ *
+ * TABLES: SKU facts are the same per-SKU facts the snapshot diff compares
+ * (extractSkuFacts in snapshotDiff.js); decisions are the snapshot's
+ * stored ones, else rebuilt with the action brief's rules (decideSnapshot
+ * in decisionClassifier.js); velocity rows are the snapshot's
+ * velocityMetrics, fastest movers first.
+ *
+ * TRENDS: The PDF charts revenue, profit and margin across the history
+ * entries passed in (their summary metrics), plus this snapshot.
+ *
+ * Everything is generated in-process (utils/spreadsheetWriter.js,
+ * utils/pdfWriter.js) - no external services.
+ *
+ * PURE MODULE: No I/O. The /snapshot/export endpoint loads the snapshot
+ * and its history.
+ */
+
+import { extractSkuFacts } from './snapshotDiff.js';
+import { decideSnapshot, DECISION_TYPES } from './decisionClassifier.js';
+import { tableToCsv, buildZip, buildXlsx } from './spreadsheetWriter.js';
+import { createPdfDocument } from './pdfWriter.js';
+
+export const EXPORT_FORMATS = Object.freeze(['xlsx', 'csv', 'pdf']);
+export const EXPORT_TABLES = Object.freeze(['metrics', 'skus', 'decisions', 'velocity']);
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip',
+  pdf: 'application/pdf'
+};
+
+// Priority order for decision counts and charts
+const DECISION_ORDER = [
+  DECISION_TYPES.REORDER_NOW,
+  DECISION_TYPES.SELL_NOW,
+  DECISION_TYPES.DISCOUNT_SLOW,
+  DECISION_TYPES.HOLD_LINE,
+  DECISION_TYPES.DEPRIORITIZE
+];
+
+// Short chart labels
+const DECISION_LABELS = {
+  [DECISION_TYPES.REORDER_NOW]: 'Reorder',
+  [DECISION_TYPES.SELL_NOW]: 'Sell now',
+  [DECISION_TYPES.DISCOUNT_SLOW]: 'Discount',
+  [DECISION_TYPES.HOLD_LINE]: 'Hold',
+  [DECISION_TYPES.DEPRIORITIZE]: 'Deprioritize'
+};
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+function finite(value) {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Decision counts by type (primary decision per SKU)
+ *
+ * @param {Map<string, string>} bySku - From decideSnapshot
+ * @returns {object} { REORDER_NOW: n, ... }
+ */
+function countDecisions(bySku) {
+  const counts = Object.fromEntries(DECISION_ORDER.map(type => [type, 0]));
+  for (const type of bySku.values()) counts[type] = (counts[type] || 0) + 1;
+  return counts;
+}
+
+function metricsTable(snapshot, decided) {
+  const metrics = snapshot.metrics || {};
+  const sales = snapshot.orderContext?.timeframe?.sales || null;
+  const velocity = snapshot.velocity || null;
+  const rows = [];
+  const add = (section, metric, value) => rows.push({ section, metric, value: value ?? null });
+
+  add('Report', 'Store', snapshot.store);
+  add('Report', 'Timeframe', snapshot.timeframe);
+  add('Report', 'As of date', snapshot.asOfDate || snapshot.dateRange?.asOfDate);
+  add('Report', 'Period start', snapshot.dateRange?.startDate);
+  add('Report', 'Period end', snapshot.dateRange?.endDate);
+  add('Report', 'Generated at', snapshot.generatedAt);
+  add('Report', 'Snapshot ID', snapshot.snapshotId);
+  add('Report', 'Confidence', snapshot.confidence);
+  add('Report', 'Confidence score', finite(snapshot.confidenceScore));
+
+  add('Inventory', 'Revenue potential ($)', finite(metrics.totalRevenue));
+  add('Inventory', 'Profit potential ($)', finite(metrics.totalProfit));
+  add('Inventory', 'Average margin (%)', finite(metrics.averageMargin));
+  add('Inventory', 'Inventory profit potential ($)', finite(metrics.inventoryProfitPotential));
+  add('Inventory', 'Total SKUs', finite(metrics.totalItems ?? snapshot.itemCount));
+  add('Inventory', 'SKUs with pricing', finite(metrics.itemsWithPricing));
+  add('Inventory', 'Visible SKUs', finite(metrics.visibleSKUCount));
+  add('Inventory', 'Sellable SKUs', finite(metrics.sellableSKUCount));
+  add('Inventory', 'Out of stock SKUs', finite(metrics.outOfStockCount));
+
+  if (sales) {
+    add('Sales', 'Gross sales ($)', finite(sales.grossSales));
+    add('Sales', 'Refunds ($)', finite(sales.refunds));
+    add('Sales', 'Net sales ($)', finite(sales.netSales));
+    add('Sales', 'Gross units', finite(sales.grossUnits));
+    add('Sales', 'Refunded units', finite(sales.refundedUnits));
+    add('Sales', 'Net units', finite(sales.netUnits));
+    add('Sales', 'Refund rate (%)', finite(sales.refundRate));
+  }
+
+  add('Velocity', 'Orders analyzed', finite(velocity?.orderCount ?? snapshot.orderContext?.timeframe?.orderCount));
+  add('Velocity', 'Unique SKUs sold', finite(velocity?.uniqueSKUs));
+
+  for (const [type, count] of Object.entries(countDecisions(decided.bySku))) {
+    add('Decisions', type, count);
+  }
+
+  return {
+    name: 'Metrics',
+    columns: [
+      { key: 'section', label: 'Section', type: 'text' },
+      { key: 'metric', label: 'Metric', type: 'text' },
+      { key: 'value', label: 'Value' }
+    ],
+    rows
+  };
+}
+
+function skuTable(snapshot) {
+  return {
+    name: 'SKU Facts',
+    columns: [
+      { key: 'sku', label: 'SKU', type: 'text' },
+      { key: 'name', label: 'Name', type: 'text' },
+      { key: 'quantity', label: 'Quantity', type: 'integer' },
+      { key: 'velocity', label: 'Daily velocity', type: 'decimal' },
+      { key: 'unitsSold', label: 'Units sold', type: 'integer' },
+      { key: 'retail', label: 'Retail', type: 'money' },
+      { key: 'cost', label: 'Cost', type: 'money' },
+      { key: 'unitMargin', label: 'Unit margin', type: 'money' },
+      { key: 'marginPercent', label: 'Margin %', type: 'percent' },
+      { key: 'decision', label: 'Decision', type: 'text' }
+    ],
+    rows: [...extractSkuFacts(snapshot).values()].sort((a, b) => a.sku.localeCompare(b.sku))
+  };
+}
+
+function decisionTable(decided) {
+  return {
+    name: 'Decisions',
+    columns: [
+      { key: 'type', label: 'Decision', type: 'text' },
+      { key: 'sku', label: 'SKU', type: 'text' },
+      { key: 'name', label: 'Name', type: 'text' },
+      { key: 'urgency', label: 'Urgency', type: 'text' },
+      { key: 'reason', label: 'Why', type: 'text' },
+      { key: 'action', label: 'What to do', type: 'text' },
+      { key: 'dollarImpact', label: 'Dollar impact', type: 'money' },
+      { key: 'impactLabel', label: 'Impact', type: 'text' },
+      { key: 'timeframe', label: 'Timeframe', type: 'text' },
+      { key: 'quantity', label: 'Quantity', type: 'integer', value: d => d.metrics?.quantity },
+      { key: 'velocity', label: 'Daily velocity', type: 'decimal', value: d => d.metrics?.velocity },
+      { key: 'unitsSold', label: 'Units sold', type: 'integer', value: d => d.metrics?.unitsSold }
+    ],
+    rows: decided.decisions
+  };
+}
+
+function velocityTable(snapshot) {
+  const metrics = [...(snapshot.velocity?.velocityMetrics || [])]
+    .sort((a, b) => (finite(b.dailyVelocity) ?? 0) - (finite(a.dailyVelocity) ?? 0));
+
+  return {
+    name: 'Velocity',
+    columns: [
+      { key: 'sku', label: 'SKU', type: 'text' },
+      { key: 'name', label: 'Name', type: 'text' },
+      { key: 'unit', label: 'Unit', type: 'text' },
+      { key: 'dailyVelocity', label: 'Daily velocity', type: 'decimal' },
+      { key: 'weeklyVelocity', label: 'Weekly velocity', type: 'number' },
+      { key: 'thirtyDayVelocity', label: '30-day velocity', type: 'number' },
+      { key: 'totalSold', label: 'Units sold', type: 'integer' },
+      { key: 'orderCount', label: 'Orders', type: 'integer' },
+      { key: 'daysWithSales', label: 'Days with sales', type: 'integer' },
+      { key: 'firstSale', label: 'First sale', type: 'text' },
+      { key: 'lastSale', label: 'Last sale', type: 'text' },
+      { key: 'currentStock', label: 'Current stock', type: 'integer' },
+      { key: 'daysUntilStockout', label: 'Days until stockout', type: 'number' },
+      { key: 'reorderPoint', label: 'Reorder point', type: 'number', value: m => m.reorderPolicy?.reorderPoint },
+      { key: 'confidence', label: 'Confidence', type: 'text' },
+      { key: 'totalRevenue', label: 'Revenue', type: 'money' }
+    ],
+    rows: metrics
+  };
+}
+
+/**
+ * The export tables for a snapshot
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {object} { metrics, skus, decisions, velocity } - each
+ *   { name, columns, rows } (see spreadsheetWriter.js)
+ */
+export function buildExportTables(snapshot) {
+  return exportTables(snapshot, decideSnapshot(snapshot));
+}
+
+function exportTables(snapshot, decided) {
+  return {
+    metrics: metricsTable(snapshot, decided),
+    skus: skuTable(snapshot),
+    decisions: decisionTable(decided),
+    velocity: velocityTable(snapshot)
+  };
+}
+
+// ============================================================================
+// SPREADSHEETS
+// ============================================================================
+
+/**
+ * File name for an export: omen_{store}_{timeframe}_{asOfDate}[_{table}].{ext}
+ */
+export function exportFileName(snapshot, extension, table = null) {
+  const parts = ['omen', snapshot?.store, snapshot?.timeframe, snapshot?.asOfDate || snapshot?.dateRange?.asOfDate, table];
+  const base = parts.filter(Boolean).map(part => String(part).replace(/[^A-Za-z0-9._-]+/g, '-')).join('_');
+  return `${base}.${extension}`;
+}
+
+/**
+ * Multi-sheet workbook: Metrics, SKU Facts, Decisions, Velocity
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {Buffer} XLSX bytes
+ */
+export function buildSnapshotXlsx(snapshot) {
+  const tables = buildExportTables(snapshot);
+  return buildXlsx(EXPORT_TABLES.map(name => tables[name]), {
+    title: `OMEN ${snapshot.timeframe || ''} snapshot ${snapshot.asOfDate || ''}`.replace(/\s+/g, ' ').trim()
+  });
+}
+
+/**
+ * One table as CSV text
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @param {string} table - One of EXPORT_TABLES
+ * @returns {string} CSV
+ */
+export function buildSnapshotCsv(snapshot, table) {
+  if (!EXPORT_TABLES.includes(table)) {
+    throw new Error(`[SnapshotExport] Unknown table: ${table}`);
+  }
+  return tableToCsv(buildExportTables(snapshot)[table]);
+}
+
+/**
+ * All tables as CSVs in one zip
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @returns {Buffer} Zip bytes
+ */
+export function buildSnapshotCsvZip(snapshot) {
+  const tables = buildExportTables(snapshot);
+  return buildZip(EXPORT_TABLES.map(name => ({
+    name: exportFileName(snapshot, 'csv', name),
+    data: tableToCsv(tables[name])
+  })));
+}
+
+// ============================================================================
+// PDF REPORT
+// ============================================================================
+
+const PAGE_MARGIN = 48;
+const FOOTER_SPACE = 48;
+const COLORS = {
+  ink: '#1F2933',
+  muted: '#6B7280',
+  rule: '#D1D5DB',
+  header: '#E8ECF2',
+  stripe: '#F7F8FA',
+  accent: '#2F6DB5',
+  profit: '#2E8B57',
+  warn: '#B45309'
+};
+
+function money(value) {
+  const n = finite(value);
+  if (n === null) return 'N/A';
+  return `${n < 0 ? '-' : ''}$${Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function wholeMoney(value) {
+  const n = finite(value);
+  if (n === null) return 'N/A';
+  return `${n < 0 ? '-' : ''}$${Math.abs(Math.round(n)).toLocaleString('en-US')}`;
+}
+
+function count(value) {
+  const n = finite(value);
+  return n === null ? 'N/A' : n.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function percent(value) {
+  const n = finite(value);
+  return n === null ? 'N/A' : `${Math.round(n * 10) / 10}%`;
+}
+
+function cellText(column, row) {
+  const value = typeof column.value === 'function' ? column.value(row) : row[column.key];
+  if (value === null || value === undefined || value === '') return '-';
+  if (column.format) return column.format(value);
+  return String(value);
+}
+
+/**
+ * Trend points from history entries plus this snapshot, oldest first
+ */
+function trendPoints(snapshot, history) {
+  const byDate = new Map();
+  for (const entry of history || []) {
+    if (entry?.asOfDate && entry.timeframe === snapshot.timeframe) {
+      byDate.set(entry.asOfDate, {
+        asOfDate: entry.asOfDate,
+        revenue: finite(entry.summary?.totalRevenue),
+        profit: finite(entry.summary?.totalProfit),
+        margin: finite(entry.summary?.averageMargin)
+      });
+    }
+  }
+  if (snapshot.asOfDate) {
+    byDate.set(snapshot.asOfDate, {
+      asOfDate: snapshot.asOfDate,
+      revenue: finite(snapshot.metrics?.totalRevenue),
+      profit: finite(snapshot.metrics?.totalProfit),
+      margin: finite(snapshot.metrics?.averageMargin)
+    });
+  }
+  return [...byDate.values()]
+    .filter(point => !snapshot.asOfDate || point.asOfDate <= snapshot.asOfDate)
+    .sort((a, b) => a.asOfDate.localeCompare(b.asOfDate))
+    .slice(-12);
+}
+
+/**
+ * Paginated PDF report for a snapshot
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @param {object} [options]
+ * @param {Array} [options.history] - Snapshot history entries of the same
+ *   store (from listSnapshots) for the trend charts
+ * @param {Date} [options.createdAt] - Document creation date (default: now)
+ * @returns {Buffer} PDF bytes
+ */
+export function buildSnapshotPdf(snapshot, options = {}) {
+  const decided = decideSnapshot(snapshot);
+  const tables = exportTables(snapshot, decided);
+  const timeframeLabel = snapshot.timeframe === 'daily' ? 'Daily' : 'Weekly';
+  const title = `OMEN ${timeframeLabel} Operations Snapshot`;
+
+  const doc = createPdfDocument({ title: `${title} - ${snapshot.asOfDate || ''}`, author: 'OMEN', createdAt: options.createdAt });
+  const contentWidth = doc.width - PAGE_MARGIN * 2;
+  const bottom = doc.height - FOOTER_SPACE;
+  let y = PAGE_MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    doc.text(`${title} - ${snapshot.store || ''} - ${snapshot.asOfDate || ''}`, PAGE_MARGIN, 28, { size: 7, color: COLORS.muted });
+    doc.line(PAGE_MARGIN, 38, doc.width - PAGE_MARGIN, 38, { color: COLORS.rule });
+    y = PAGE_MARGIN + 4;
+  };
+  const ensureSpace = height => {
+    if (y + height > bottom) newPage();
+  };
+  // Keeps a heading with at least the first rows of what follows it
+  const heading = text => {
+    ensureSpace(64);
+    y += 6;
+    doc.text(text, PAGE_MARGIN, y, { font: 'bold', size: 13, color: COLORS.ink });
+    y += 18;
+  };
+  const paragraph = (text, style = {}) => {
+    const size = style.size || 9;
+    for (const line of doc.wrapText(text, contentWidth - (style.indent || 0), { font: style.font, size })) {
+      ensureSpace(size + 4);
+      doc.text(line, PAGE_MARGIN + (style.indent || 0), y, { ...style, size, color: style.color || COLORS.ink });
+      y += size + 3;
+    }
+  };
+
+  // Table with a shaded header, repeated after page breaks
+  const table = (columns, rows, emptyText) => {
+    const size = 7.5;
+    const rowHeight = 13;
+    const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = columns.map(column => (column.width / totalWeight) * contentWidth);
+
+    const header = () => {
+      doc.rect(PAGE_MARGIN, y, contentWidth, rowHeight + 1, { fill: COLORS.header });
+      let x = PAGE_MARGIN;
+      columns.forEach((column, i) => {
+        const right = column.align === 'right';
+        doc.text(column.label, right ? x + widths[i] - 3 : x + 3, y + 3, { font: 'bold', size, align: right ? 'right' : 'left', maxWidth: widths[i] - 6 });
+        x += widths[i];
+      });
+      y += rowHeight + 1;
+    };
+
+    if (rows.length === 0) {
+      paragraph(emptyText, { color: COLORS.muted });
+      y += 6;
+      return;
+    }
+
+    ensureSpace(rowHeight * 3);
+    header();
+    rows.forEach((row, r) => {
+      if (y + rowHeight > bottom) {
+        newPage();
+        header();
+      }
+      if (r % 2 === 1) doc.rect(PAGE_MARGIN, y, contentWidth, rowHeight, { fill: COLORS.stripe });
+
+      let x = PAGE_MARGIN;
+      columns.forEach((column, i) => {
+        const right = column.align === 'right';
+        doc.text(cellText(column, row), right ? x + widths[i] - 3 : x + 3, y + 3, {
+          size,
+          align: right ? 'right' : 'left',
+          maxWidth: widths[i] - 6,
+          color: COLORS.ink
+        });
+        x += widths[i];
+      });
+      y += rowHeight;
+    });
+    doc.line(PAGE_MARGIN, y, PAGE_MARGIN + contentWidth, y, { color: COLORS.rule });
+    y += 12;
+  };
+
+  // ── Page 1: executive brief ──────────────────────────────────────────────
+  newPage();
+  doc.text(title, PAGE_MARGIN, y, { font: 'bold', size: 18, color: COLORS.ink });
+  y += 24;
+  const period = snapshot.dateRange?.startDate && snapshot.dateRange?.endDate
+    ? `${String(snapshot.dateRange.startDate).slice(0, 10)} to ${String(snapshot.dateRange.endDate).slice(0, 10)}`
+    : snapshot.asOfDate || '';
+  doc.text(`${snapshot.store || ''}  |  Period ${period}  |  Generated ${String(snapshot.generatedAt || '').replace('T', ' ').slice(0, 16)} UTC`, PAGE_MARGIN, y, { size: 8.5, color: COLORS.muted, maxWidth: contentWidth });
+  y += 20;
+
+  const metrics = snapshot.metrics || {};
+  const sales = snapshot.orderContext?.timeframe?.sales || null;
+  const kpis = [
+    ['Revenue potential', wholeMoney(metrics.totalRevenue)],
+    ['Profit potential', wholeMoney(metrics.totalProfit)],
+    ['Average margin', percent(metrics.averageMargin)],
+    ['Net sales', sales ? wholeMoney(sales.netSales) : 'N/A'],
+    ['Total SKUs', count(metrics.totalItems ?? snapshot.itemCount)],
+    ['Out of stock', count(metrics.outOfStockCount)],
+    ['Orders analyzed', count(snapshot.velocity?.orderCount ?? snapshot.orderContext?.timeframe?.orderCount)],
+    ['Confidence', snapshot.confidence ? String(snapshot.confidence) : 'N/A']
+  ];
+  const boxGap = 8;
+  const boxWidth = (contentWidth - boxGap * 3) / 4;
+  kpis.forEach(([label, value], i) => {
+    const bx = PAGE_MARGIN + (i % 4) * (boxWidth + boxGap);
+    const by = y + Math.floor(i / 4) * 50;
+    doc.rect(bx, by, boxWidth, 42, { fill: COLORS.stripe, stroke: COLORS.rule });
+    doc.text(label.toUpperCase(), bx + 8, by + 7, { size: 6.5, color: COLORS.muted, maxWidth: boxWidth - 16 });
+    doc.text(value, bx + 8, by + 19, { font: 'bold', size: 14, color: COLORS.ink, maxWidth: boxWidth - 16 });
+  });
+  y += 106;
+
+  heading('Executive Brief');
+  const brief = snapshot.actionBrief || null;
+  if (brief?.headline) {
+    paragraph(brief.headline, { font: 'bold', size: 10.5 });
+    y += 4;
+  }
+  const actions = brief?.actions?.length
+    ? brief.actions
+    : decided.decisions
+      .filter(d => d.type !== DECISION_TYPES.DEPRIORITIZE)
+      .slice(0, 3)
+      .map(d => ({ sku: d.sku, name: d.name, decision: d.type, why: d.reason, whatToDo: d.action, impactLabel: d.impactLabel, timeframe: d.timeframe }));
+  if (actions.length === 0) {
+    paragraph('No actions this period - no SKU met a reorder, sell-through or discount rule.', { color: COLORS.muted });
+  }
+  actions.forEach((action, i) => {
+    ensureSpace(48);
+    paragraph(`${i + 1}. ${action.decision}  ${action.name || action.sku} (${action.sku})`, { font: 'bold', size: 9.5 });
+    if (action.why) paragraph(`Why: ${action.why}`, { indent: 12 });
+    if (action.whatToDo) paragraph(`What to do: ${action.whatToDo}`, { indent: 12 });
+    const impact = [action.impactLabel, action.timeframe].filter(Boolean).join('  |  ');
+    if (impact) paragraph(impact, { indent: 12, color: COLORS.muted });
+    y += 4;
+  });
+
+  const decisionCounts = countDecisions(decided.bySku);
+  paragraph(
+    'Decisions by SKU: ' + DECISION_ORDER.map(type => `${type} ${decisionCounts[type]}`).join('  |  '),
+    { size: 8.5, color: COLORS.muted }
+  );
+  y += 6;
+
+  const insights = snapshot.intelligence?.executiveSummary?.keyInsights || [];
+  if (insights.length > 0) {
+    heading('Key Insights');
+    for (const insight of insights.slice(0, 6)) {
+      const text = typeof insight === 'string' ? insight : insight?.text;
+      if (!text) continue;
+      paragraph(`• ${text}`);
+      if (insight?.action) paragraph(insight.action, { indent: 9, color: COLORS.muted });
+      y += 2;
+    }
+  }
+
+  const warnings = snapshot.warnings || [];
+  if (snapshot.statusMessage || warnings.length > 0) {
+    heading('Data Status');
+    if (snapshot.statusMessage) paragraph(String(snapshot.statusMessage));
+    for (const warning of warnings) {
+      paragraph(`• ${typeof warning === 'string' ? warning : warning?.message || JSON.stringify(warning)}`, { color: COLORS.warn });
+    }
+  }
+
+  // ── Trends ───────────────────────────────────────────────────────────────
+  newPage();
+  heading('Trends');
+  const points = trendPoints(snapshot, options.history);
+  const chartHeight = 170;
+  if (points.length >= 2) {
+    const labels = points.map(point => point.asOfDate.slice(5));
+    doc.lineChart(PAGE_MARGIN, y, contentWidth, chartHeight, {
+      title: `Revenue and profit potential - last ${points.length} ${snapshot.timeframe || ''} snapshots`,
+      labels,
+      series: [
+        { name: 'Revenue potential', values: points.map(point => point.revenue), color: COLORS.accent },
+        { name: 'Profit potential', values: points.map(point => point.profit), color: COLORS.profit }
+      ],
+      format: value => `$${value >= 1000 || value <= -1000 ? `${Math.round(value / 100) / 10}k` : Math.round(value)}`
+    });
+    y += chartHeight + 16;
+    doc.lineChart(PAGE_MARGIN, y, contentWidth, chartHeight - 30, {
+      title: 'Average margin (%)',
+      labels,
+      series: [{ name: 'Average margin', values: points.map(point => point.margin), color: COLORS.warn }]
+    });
+    y += chartHeight - 30 + 16;
+  } else {
+    paragraph(`Trend charts need at least two stored ${snapshot.timeframe || ''} snapshots; ${points.length} available.`, { color: COLORS.muted });
+    y += 8;
+  }
+
+  const movers = tables.velocity.rows.filter(metric => finite(metric.dailyVelocity) > 0).slice(0, 10);
+  const halfWidth = (contentWidth - 16) / 2;
+  ensureSpace(chartHeight);
+  if (movers.length > 0) {
+    doc.barChart(PAGE_MARGIN, y, halfWidth, chartHeight, {
+      title: 'Top movers (units per day)',
+      labels: movers.map(metric => metric.sku),
+      values: movers.map(metric => metric.dailyVelocity),
+      color: COLORS.accent
+    });
+  } else {
+    doc.text('Top movers (units per day)', PAGE_MARGIN, y, { font: 'bold', size: 9 });
+    doc.text('No order velocity for this period.', PAGE_MARGIN, y + 16, { size: 8.5, color: COLORS.muted });
+  }
+  doc.barChart(PAGE_MARGIN + halfWidth + 16, y, halfWidth, chartHeight, {
+    title: 'SKUs by decision',
+    labels: DECISION_ORDER.map(type => DECISION_LABELS[type]),
+    values: DECISION_ORDER.map(type => decisionCounts[type]),
+    color: COLORS.profit
+  });
+  y += chartHeight + 16;
+
+  // ── Tables ───────────────────────────────────────────────────────────────
+  heading('Decisions');
+  table([
+    { key: 'type', label: 'Decision', width: 15 },
+    { key: 'sku', label: 'SKU', width: 17 },
+    { key: 'name', label: 'Name', width: 21 },
+    { key: 'urgency', label: 'Urgency', width: 7 },
+    { key: 'impactLabel', label: 'Impact', width: 16 },
+    { key: 'action', label: 'What to do', width: 24 }
+  ], tables.decisions.rows, 'No decisions - no SKU met a rule this period.');
+
+  heading('Velocity');
+  table([
+    { key: 'sku', label: 'SKU', width: 17 },
+    { key: 'name', label: 'Name', width: 21 },
+    { key: 'dailyVelocity', label: 'Per day', width: 8, align: 'right', format: count },
+    { key: 'weeklyVelocity', label: 'Per week', width: 8, align: 'right', format: count },
+    { key: 'totalSold', label: 'Sold', width: 7, align: 'right', format: count },
+    { key: 'currentStock', label: 'Stock', width: 7, align: 'right', format: count },
+    { key: 'daysUntilStockout', label: 'Days left', width: 8, align: 'right', format: count },
+    { key: 'lastSale', label: 'Last sale', width: 10, format: value => String(value).slice(0, 10) }
+  ], tables.velocity.rows, 'No order velocity for this period.');
+
+  heading('SKU Facts');
+  table([
+    { key: 'sku', label: 'SKU', width: 17 },
+    { key: 'name', label: 'Name', width: 22 },
+    { key: 'quantity', label: 'Qty', width: 6, align: 'right', format: count },
+    { key: 'retail', label: 'Retail', width: 8, align: 'right', format: money },
+    { key: 'cost', label: 'Cost', width: 8, align: 'right', format: money },
+    { key: 'marginPercent', label: 'Margin', width: 7, align: 'right', format: percent },
+    { key: 'velocity', label: 'Per day', width: 7, align: 'right', format: count },
+    { key: 'decision', label: 'Decision', width: 15 }
+  ], tables.skus.rows, 'No SKUs in this snapshot.');
+
+  // ── Footers ──────────────────────────────────────────────────────────────
+  const pageCount = doc.pageCount;
+  for (let i = 0; i < pageCount; i++) {
+    doc.setPage(i);
+    doc.line(PAGE_MARGIN, doc.height - 36, doc.width - PAGE_MARGIN, doc.height - 36, { color: COLORS.rule });
+    doc.text(`Generated by OMEN${snapshot.snapshotId ? ` - ${snapshot.snapshotId}` : ''}`, PAGE_MARGIN, doc.height - 30, { size: 7, color: COLORS.muted, maxWidth: contentWidth - 80 });
+    doc.text(`Page ${i + 1} of ${pageCount}`, doc.width - PAGE_MARGIN, doc.height - 30, { size: 7, color: COLORS.muted, align: 'right' });
+  }
+
+  return doc.toBuffer();
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Validate export options
+ *
+ * @param {object} options - { format, table }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExportOptions(options = {}) {
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    return `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+  }
+  if (options.table && options.table !== 'all' && !EXPORT_TABLES.includes(options.table)) {
+    return `table must be one of: ${EXPORT_TABLES.join(', ')}, all`;
+  }
+  if (options.table && options.format !== 'csv') {
+    return 'table applies to csv exports only';
+  }
+  return null;
+}
+
+/**
+ * Render a snapshot export
+ *
+ * @param {object} snapshot - Stored snapshot
+ * @param {object} options
+ * @param {string} options.format - 'xlsx' | 'csv' | 'pdf'
+ * @param {string} [options.table] - csv only: one of EXPORT_TABLES, or 'all'
+ *   (default) for a zip of every table
+ * @param {Array} [options.history] - pdf only: history entries for trends
+ * @returns {object} { body, contentType, fileName }
+ */
+export function buildSnapshotExport(snapshot, options) {
+  const invalid = validateExportOptions(options);
+  if (invalid) throw new Error(`[SnapshotExport] ${invalid}`);
+
+  if (options.format === 'xlsx') {
+    return { body: buildSnapshotXlsx(snapshot), contentType: CONTENT_TYPES.xlsx, fileName: exportFileName(snapshot, 'xlsx') };
+  }
+  if (options.format === 'pdf') {
+    return { body: buildSnapshotPdf(snapshot, options), contentType: CONTENT_TYPES.pdf, fileName: exportFileName(snapshot, 'pdf') };
+  }
+  if (options.table && options.table !== 'all') {
+    return {
+      body: buildSnapshotCsv(snapshot, options.table),
+      contentType: CONTENT_TYPES.csv,
+      fileName: exportFileName(snapshot, 'csv', options.table)
+    };
+  }
+  return { body: buildSnapshotCsvZip(snapshot), contentType: CONTENT_TYPES.zip, fileName: exportFileName(snapshot, 'zip') };
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_TABLES,
+  buildExportTables,
+  exportFileName,
+  buildSnapshotXlsx,
+  buildSnapshotCsv,
+  buildSnapshotCsvZip,
+  buildSnapshotPdf,
+  validateExportOptions,
+  buildSnapshotExport
+};
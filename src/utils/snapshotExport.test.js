@@ -0,0 +1,205 @@
+// src/utils/snapshotExport.test.js
+// Unit tests for snapshot export tables, XLSX/CSV files and the PDF report
+// Pure functions only - no database
+
+import zlib from "zlib";
+import {
+  EXPORT_TABLES,
+  buildExportTables,
+  exportFileName,
+  buildSnapshotXlsx,
+  buildSnapshotCsv,
+  buildSnapshotCsvZip,
+  buildSnapshotPdf,
+  validateExportOptions,
+  buildSnapshotExport
+} from "./snapshotExport.js";
+import { parseCsvRows, parseXlsxRows } from "./spreadsheetReader.js";
+import { createTestRunner, inventoryItem as item, velocityMetric } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const sold = (sku, name, dailyVelocity, totalSold, currentStock) =>
+    velocityMetric(sku, name, dailyVelocity, totalSold, {
+      weeklyVelocity: dailyVelocity * 7,
+      orderCount: totalSold,
+      currentStock,
+      daysUntilStockout: currentStock / dailyVelocity,
+      reorderPolicy: { reorderPoint: 6 },
+      lastSale: "2026-01-08T15:30:00.000Z"
+    });
+
+  const snapshot = {
+    store: "NJWeedWizard",
+    timeframe: "weekly",
+    asOfDate: "2026-01-09",
+    generatedAt: "2026-01-09T14:00:00.000Z",
+    snapshotId: "snapshot_weekly_2026-01-09_1_abc",
+    dateRange: { startDate: "2026-01-03", endDate: "2026-01-09" },
+    metrics: { totalRevenue: 1460, totalProfit: 812, averageMargin: 55.6, totalItems: 3, outOfStockCount: 0 },
+    orderContext: { timeframe: { orderCount: 20, sales: { grossSales: 900, refunds: 60, netSales: 840, refundRate: 6.7 } } },
+    velocity: {
+      orderCount: 20,
+      uniqueSKUs: 2,
+      velocityMetrics: [
+        sold("BRAVO-1G", "Bravo (1g)", 0.4, 3, 20),
+        sold("ALPHA-3.5G", "Alpha (3.5g)", 2.5, 18, 2)
+      ]
+    },
+    enrichedInventory: [
+      item("ALPHA-3.5G", "Alpha", "3.5g", 2, 60, 20),
+      item("BRAVO-1G", "Bravo", "1g", 20, 15, 6),
+      item("CHARLIE-7G", "Charlie", "7g", 4, 100, 45)
+    ],
+    warnings: ["Inventory last synced 30 hours ago"],
+    confidence: "medium"
+  };
+
+  const history = [
+    { asOfDate: "2025-12-26", timeframe: "weekly", summary: { totalRevenue: 1200, totalProfit: 640, averageMargin: 53.3 } },
+    { asOfDate: "2026-01-02", timeframe: "weekly", summary: { totalRevenue: 1310, totalProfit: 720, averageMargin: 55 } },
+    { asOfDate: "2026-01-02", timeframe: "daily", summary: { totalRevenue: 99, totalProfit: 9, averageMargin: 9 } }
+  ];
+
+  // Text drawn on each page of a PDF
+  function pdfPages(pdf) {
+    const text = pdf.toString("latin1");
+    return [...text.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(m => {
+      const start = m.index + m[0].length;
+      const content = zlib.inflateSync(pdf.subarray(start, start + Number(m[1]))).toString("latin1");
+      return [...content.matchAll(/\((.*?)\) Tj/g)].map(t => t[1].replace(/\\([()\\])/g, "$1")).join("\n");
+    });
+  }
+
+  console.log("\n🧪 Running Snapshot Export Tests\n");
+
+  // ========================================
+  // Tables
+  // ========================================
+
+  test("Tables: metrics, SKU facts, decisions and velocity", () => {
+    const tables = buildExportTables(snapshot);
+    assertEquals(EXPORT_TABLES.map(name => tables[name].name).join("|"), "Metrics|SKU Facts|Decisions|Velocity");
+
+    const metric = label => tables.metrics.rows.find(row => row.metric === label)?.value;
+    assertEquals(metric("Store"), "NJWeedWizard");
+    assertEquals(metric("Revenue potential ($)"), 1460);
+    assertEquals(metric("Net sales ($)"), 840);
+    assertEquals(metric("Orders analyzed"), 20);
+    assertEquals(metric("REORDER_NOW"), 1);
+
+    assertEquals(tables.skus.rows.map(row => row.sku).join("|"), "ALPHA-3.5G|BRAVO-1G|CHARLIE-7G");
+    assertEquals(tables.skus.rows[0].marginPercent, 66.7);
+    assertEquals(tables.skus.rows[2].unitsSold, 0, "Velocity was analyzed - no sales is 0");
+
+    assertEquals(tables.decisions.rows[0].type, "REORDER_NOW");
+    assertEquals(tables.decisions.rows[0].sku, "ALPHA-3.5G");
+
+    assertEquals(tables.velocity.rows.map(row => row.sku).join("|"), "ALPHA-3.5G|BRAVO-1G", "Fastest movers first");
+  });
+
+  test("Tables: a snapshot without velocity still exports", () => {
+    const tables = buildExportTables({ ...snapshot, velocity: null, orderContext: null });
+    assertEquals(tables.velocity.rows.length, 0);
+    assertEquals(tables.skus.rows[0].velocity, null, "Velocity unknown without analysis");
+    assertEquals(tables.metrics.rows.some(row => row.section === "Sales"), false);
+  });
+
+  // ========================================
+  // Spreadsheets
+  // ========================================
+
+  test("XLSX: one sheet per table", () => {
+    const xlsx = buildSnapshotXlsx(snapshot);
+    const skus = parseXlsxRows(xlsx, "SKU Facts");
+    assertEquals(skus[0].slice(0, 3).join("|"), "SKU|Name|Quantity");
+    assertEquals(skus[1].slice(0, 3).join("|"), "ALPHA-3.5G|Alpha (3.5g)|2");
+    assertEquals(parseXlsxRows(xlsx, "Decisions")[1][0], "REORDER_NOW");
+    assertEquals(parseXlsxRows(xlsx, "Velocity").length, 3);
+    assertEquals(parseXlsxRows(xlsx, "Metrics").some(row => row[1] === "Net sales ($)" && row[2] === "840"), true);
+  });
+
+  test("CSV: one table, or every table zipped", () => {
+    const rows = parseCsvRows(buildSnapshotCsv(snapshot, "velocity"));
+    assertEquals(rows[0][0], "SKU");
+    assertEquals(rows[1][0], "ALPHA-3.5G");
+    assertThrows(() => buildSnapshotCsv(snapshot, "orders"));
+
+    const zip = buildSnapshotCsvZip(snapshot).toString("latin1");
+    for (const table of EXPORT_TABLES) {
+      assertEquals(zip.includes(`omen_NJWeedWizard_weekly_2026-01-09_${table}.csv`), true, `Zip has ${table}`);
+    }
+  });
+
+  test("File names are derived from the snapshot and made safe", () => {
+    assertEquals(exportFileName(snapshot, "pdf"), "omen_NJWeedWizard_weekly_2026-01-09.pdf");
+    assertEquals(exportFileName({ ...snapshot, store: "Green Leaf / NJ" }, "csv", "skus"), "omen_Green-Leaf-NJ_weekly_2026-01-09_skus.csv");
+  });
+
+  // ========================================
+  // PDF
+  // ========================================
+
+  test("PDF: executive brief, trends and tables with page footers", () => {
+    const pdf = buildSnapshotPdf(snapshot, { history });
+    assertEquals(pdf.toString("latin1", 0, 8), "%PDF-1.4");
+
+    const pages = pdfPages(pdf);
+    assertEquals(pages.length >= 2, true);
+    assertEquals(pages[0].includes("OMEN Weekly Operations Snapshot"), true);
+    assertEquals(pages[0].includes("$1,460"), true, "Revenue KPI");
+    assertEquals(pages[0].includes("REORDER_NOW"), true, "Action from the rebuilt decisions");
+    assertEquals(pages[0].includes("Inventory last synced 30 hours ago"), true, "Warnings");
+    assertEquals(pages[1].includes("last 3 weekly snapshots"), true, "Trend uses same-timeframe history plus this snapshot");
+    assertEquals(pages.join("\n").includes("CHARLIE-7G"), true, "SKU table");
+    pages.forEach((page, i) => {
+      assertEquals(page.includes(`Page ${i + 1} of ${pages.length}`), true, `Footer on page ${i + 1}`);
+    });
+  });
+
+  test("PDF: long tables paginate and say when trends are missing", () => {
+    const inventory = Array.from({ length: 150 }, (_, i) =>
+      item(`SKU-${String(i).padStart(3, "0")}`, `Strain ${i}`, "1g", i % 9, 20, 8)
+    );
+    const pages = pdfPages(buildSnapshotPdf({ ...snapshot, enrichedInventory: inventory }));
+    assertEquals(pages.length >= 5, true, `Expected at least 5 pages, got ${pages.length}`);
+    assertEquals(pages[1].includes("need at least two stored weekly snapshots; 1 available"), true);
+
+    const lastPage = pages[pages.length - 1];
+    assertEquals(lastPage.includes("SKU-149"), true);
+    assertEquals(lastPage.includes("Decision"), true, "Table header repeats after a page break");
+  });
+
+  // ========================================
+  // Options
+  // ========================================
+
+  test("Options: format is required and table is csv-only", () => {
+    assertEquals(validateExportOptions({ format: "pdf" }), null);
+    assertEquals(validateExportOptions({ format: "csv", table: "skus" }), null);
+    assertEquals(validateExportOptions({ format: "csv", table: "all" }), null);
+    assertEquals(validateExportOptions({}).startsWith("format must be one of"), true);
+    assertEquals(validateExportOptions({ format: "csv", table: "orders" }).startsWith("table must be one of"), true);
+    assertEquals(validateExportOptions({ format: "xlsx", table: "skus" }), "table applies to csv exports only");
+  });
+
+  test("Export: content type and file name per format", () => {
+    assertEquals(buildSnapshotExport(snapshot, { format: "xlsx" }).contentType.includes("spreadsheetml"), true);
+    assertEquals(buildSnapshotExport(snapshot, { format: "csv" }).fileName, "omen_NJWeedWizard_weekly_2026-01-09.zip");
+    const csv = buildSnapshotExport(snapshot, { format: "csv", table: "decisions" });
+    assertEquals(csv.contentType, "text/csv; charset=utf-8");
+    assertEquals(csv.fileName, "omen_NJWeedWizard_weekly_2026-01-09_decisions.csv");
+    assertEquals(buildSnapshotExport(snapshot, { format: "pdf" }).contentType, "application/pdf");
+    assertThrows(() => buildSnapshotExport(snapshot, { format: "docx" }));
+  });
+
+  // Summary
+  // ========================================
+  return finish("Snapshot exports render locally.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
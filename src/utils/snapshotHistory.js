@@ -11,63 +11,30 @@
  * - Diff-ready metadata storage
  * - Audit trail (who, when, why)
  *
- * Production guarantees:
- * - Thread-safe (Node.js single-threaded)
- * - Atomic index updates
- * - Fast lookups (in-memory index)
- * - Persistent storage (survives restarts)
+ * Storage (src/db/snapshotStore.js):
+ * - SQLite, shared with the snapshot payloads (snapshotCache.js)
+ * - Indexed lookups by store, timeframe and asOfDate
+ * - Every write is one transaction; safe across processes
+ * - Regenerated entries are kept as superseded history, never listed
+ * - data/snapshots/index.json is imported on first use
  */
 
-import fs from 'fs';
-import path from 'path';
 import crypto from 'crypto';
-
-// Paths
-const SNAPSHOTS_DIR = path.resolve(process.cwd(), 'data', 'snapshots');
-const INDEX_FILE = path.join(SNAPSHOTS_DIR, 'index.json');
-
-// In-memory index (loaded at startup)
-let snapshotIndex = [];
-
-// Ensure directory and index exist
-if (!fs.existsSync(SNAPSHOTS_DIR)) {
-  fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
-}
-
-if (!fs.existsSync(INDEX_FILE)) {
-  fs.writeFileSync(INDEX_FILE, JSON.stringify([], null, 2), 'utf-8');
-}
-
-// Load index at startup
-loadIndex();
-
-/**
- * Load index from disk into memory
- */
-function loadIndex() {
-  try {
-    const content = fs.readFileSync(INDEX_FILE, 'utf-8');
-    snapshotIndex = JSON.parse(content);
-    console.log(`[SnapshotHistory] Loaded ${snapshotIndex.length} snapshots from index`);
-  } catch (err) {
-    console.error('[SnapshotHistory] Failed to load index:', err.message);
-    snapshotIndex = [];
-  }
-}
-
-/**
- * Save index to disk (atomic write)
- */
-function saveIndex() {
-  try {
-    const tempFile = INDEX_FILE + '.tmp';
-    fs.writeFileSync(tempFile, JSON.stringify(snapshotIndex, null, 2), 'utf-8');
-    fs.renameSync(tempFile, INDEX_FILE);
-  } catch (err) {
-    console.error('[SnapshotHistory] Failed to save index:', err.message);
-    throw err;
-  }
-}
+import { generateSnapshotKey } from './dateCalculations.js';
+import {
+  findCurrentEntry,
+  addEntry,
+  recordSnapshot as recordEntryWithPayload,
+  updateEntry,
+  getEntry,
+  loadPayload,
+  queryEntries,
+  entryStatistics,
+  deleteEntry,
+  deleteEntriesBefore,
+  allEntries,
+  importLegacySnapshots
+} from '../db/snapshotStore.js';
 
 /**
  * Generate unique snapshot ID
@@ -84,13 +51,19 @@ export function generateSnapshotId(timeframe, asOfDate) {
 /**
  * Create snapshot entry for index
  *
- * @param {object} snapshot - Snapshot data
+ * CRITICAL: snapshot.store must be set - no defaults, no fallbacks
+ *
+ * @param {object} snapshot - Snapshot data (must include snapshot.store)
  * @param {string} timeframe - "daily" or "weekly"
  * @param {string} asOfDate - YYYY-MM-DD
  * @param {object} options - Additional metadata
  * @returns {object} - Index entry
  */
 export function createSnapshotEntry(snapshot, timeframe, asOfDate, options = {}) {
+  if (!snapshot.store) {
+    throw new Error('[SnapshotHistory] createSnapshotEntry: snapshot.store is required');
+  }
+
   const id = generateSnapshotId(timeframe, asOfDate);
   const now = new Date().toISOString();
 
@@ -106,7 +79,7 @@ export function createSnapshotEntry(snapshot, timeframe, asOfDate, options = {})
 
     // Metadata for auditing
     requestId: snapshot.requestId,
-    store: snapshot.store || 'NJWeedWizard',
+    store: snapshot.store,
 
     // Summary metrics (for quick reference without loading full snapshot)
     summary: {
@@ -122,7 +95,7 @@ export function createSnapshotEntry(snapshot, timeframe, asOfDate, options = {})
 
     // File metadata
     filePath: `${id}.json`,
-    sizeBytes: 0, // Updated after file write
+    sizeBytes: 0, // Set when recorded with its payload (recordSnapshot)
 
     // Versioning (for detecting regenerations)
     version: 1,
@@ -163,12 +136,7 @@ export function findExistingSnapshot(storeId, timeframe, asOfDate) {
     throw new Error('[SnapshotHistory] findExistingSnapshot: storeId is required');
   }
 
-  return snapshotIndex.find(
-    entry =>
-      entry.store === storeId &&
-      entry.timeframe === timeframe &&
-      entry.asOfDate === asOfDate
-  ) || null;
+  return findCurrentEntry(storeId, timeframe, asOfDate);
 }
 
 /**
@@ -188,60 +156,63 @@ export function addToIndex(entry, forceRegenerate = false) {
     throw new Error('[SnapshotHistory] addToIndex: entry.store is required');
   }
 
-  const existing = findExistingSnapshot(entry.store, entry.timeframe, entry.asOfDate);
+  const result = addEntry(entry, forceRegenerate);
+  logIndexResult(result);
+  return result;
+}
+
+/**
+ * Add snapshot to index and persist its payload in one transaction - MULTI-TENANT
+ *
+ * Same idempotency as addToIndex. A duplicate keeps the existing entry and
+ * only stores the payload if it was missing, so the index and the cached
+ * snapshot (loadSnapshot) never disagree.
+ *
+ * CRITICAL: entry.store must be set before calling
+ *
+ * @param {object} entry - Snapshot index entry (must include entry.store)
+ * @param {object} snapshot - Full snapshot to cache
+ * @param {boolean} forceRegenerate - If true, supersede existing snapshot
+ * @returns {object} - { added, entry, superseded, reason, payloadSaved }
+ */
+export function recordSnapshot(entry, snapshot, forceRegenerate = false) {
+  if (!entry.store) {
+    throw new Error('[SnapshotHistory] recordSnapshot: entry.store is required');
+  }
+
+  const result = recordEntryWithPayload(
+    entry,
+    snapshot,
+    generateSnapshotKey(entry.timeframe, entry.asOfDate),
+    forceRegenerate
+  );
+  logIndexResult(result);
+  return result;
+}
 
-  if (existing && !forceRegenerate) {
+function logIndexResult(result) {
+  if (!result.added) {
     console.log('[SnapshotHistory] Snapshot already exists (idempotent)', {
-      id: existing.id,
-      timeframe: entry.timeframe,
-      asOfDate: entry.asOfDate
+      id: result.entry.id,
+      timeframe: result.entry.timeframe,
+      asOfDate: result.entry.asOfDate
     });
-
-    return {
-      added: false,
-      entry: existing,
-      superseded: null,
-      reason: 'duplicate_prevented'
-    };
+    return;
   }
 
-  if (existing && forceRegenerate) {
-    console.log('[SnapshotHistory] Regenerating snapshot (superseding existing)', {
-      oldId: existing.id,
-      newId: entry.id
+  if (result.superseded) {
+    console.log('[SnapshotHistory] Regenerated snapshot (superseded existing)', {
+      oldId: result.superseded.id,
+      newId: result.entry.id
     });
-
-    // Mark new entry as regeneration
-    entry.supersedes = existing.id;
-    entry.version = existing.version + 1;
-    entry.regenerated = true;
-
-    // Remove old entry from index
-    snapshotIndex = snapshotIndex.filter(e => e.id !== existing.id);
   }
 
-  // Add to index
-  snapshotIndex.push(entry);
-
-  // Sort by createdAt descending (newest first)
-  snapshotIndex.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-  // Save index to disk
-  saveIndex();
-
   console.log('[SnapshotHistory] Added to index', {
-    id: entry.id,
-    timeframe: entry.timeframe,
-    asOfDate: entry.asOfDate,
-    version: entry.version
+    id: result.entry.id,
+    timeframe: result.entry.timeframe,
+    asOfDate: result.entry.asOfDate,
+    version: result.entry.version
   });
-
-  return {
-    added: true,
-    entry,
-    superseded: existing,
-    reason: forceRegenerate ? 'regenerated' : 'new'
-  };
 }
 
 /**
@@ -251,16 +222,11 @@ export function addToIndex(entry, forceRegenerate = false) {
  * @param {object} updates - Fields to update
  */
 export function updateIndexEntry(id, updates) {
-  const entry = snapshotIndex.find(e => e.id === id);
-
-  if (!entry) {
+  if (!updateEntry(id, updates)) {
     console.warn('[SnapshotHistory] Entry not found for update:', id);
     return false;
   }
 
-  Object.assign(entry, updates);
-  saveIndex();
-
   console.log('[SnapshotHistory] Updated entry', { id, updates });
   return true;
 }
@@ -280,13 +246,47 @@ export function markAsEmailed(id, recipient) {
 }
 
 /**
- * Get snapshot by ID
+ * Get snapshot by ID - MULTI-TENANT
  *
+ * CRITICAL: An ID belonging to another store resolves to null
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
  * @param {string} id - Snapshot ID
  * @returns {object|null} - Index entry or null
  */
-export function getSnapshotById(id) {
-  return snapshotIndex.find(e => e.id === id) || null;
+export function getSnapshotById(storeId, id) {
+  if (!storeId) {
+    throw new Error('[SnapshotHistory] getSnapshotById: storeId is required');
+  }
+
+  return getEntry(storeId, id);
+}
+
+/**
+ * Get snapshot entry and its cached snapshot by ID - MULTI-TENANT
+ *
+ * The cache holds one snapshot per timeframe + asOfDate, so a payload
+ * stamped with another snapshotId (an older generation) is not returned.
+ *
+ * @param {string} storeId - Store identifier (REQUIRED)
+ * @param {string} id - Snapshot ID
+ * @returns {object|null} - { entry, cached } (cached null when missing) or null
+ */
+export function getSnapshotRecord(storeId, id) {
+  if (!storeId) {
+    throw new Error('[SnapshotHistory] getSnapshotRecord: storeId is required');
+  }
+
+  const entry = getEntry(storeId, id);
+  if (!entry) return null;
+
+  const cached = loadPayload(storeId, entry.timeframe, entry.asOfDate);
+  const stampedId = cached?.snapshot?.snapshotId;
+
+  return {
+    entry,
+    cached: cached && (!stampedId || stampedId === id) ? cached : null
+  };
 }
 
 /**
@@ -308,34 +308,14 @@ export function listSnapshots(filters = {}) {
     throw new Error('[SnapshotHistory] listSnapshots: filters.storeId is required');
   }
 
-  let results = [...snapshotIndex];
-
-  // CRITICAL: Filter by storeId FIRST (multi-tenant isolation)
-  results = results.filter(e => e.store === filters.storeId);
-
-  // Filter by timeframe
-  if (filters.timeframe) {
-    results = results.filter(e => e.timeframe === filters.timeframe);
-  }
-
-  // Filter by date range (asOfDate between startDate and endDate)
-  if (filters.startDate) {
-    results = results.filter(e => e.asOfDate >= filters.startDate);
-  }
-  if (filters.endDate) {
-    results = results.filter(e => e.asOfDate <= filters.endDate);
-  }
-
-  // Filter by email sent status
-  if (filters.emailSent !== undefined) {
-    results = results.filter(e => e.emailSent === filters.emailSent);
-  }
-
-  // Limit results
-  const limit = filters.limit || 50;
-  results = results.slice(0, limit);
-
-  return results;
+  return queryEntries({
+    storeId: filters.storeId,
+    timeframe: filters.timeframe,
+    startDate: filters.startDate,
+    endDate: filters.endDate,
+    emailSent: filters.emailSent,
+    limit: filters.limit || 50
+  });
 }
 
 /**
@@ -420,50 +400,17 @@ export function getStatistics(storeId) {
     throw new Error('[SnapshotHistory] getStatistics: storeId is required');
   }
 
-  const storeSnapshots = snapshotIndex.filter(e => e.store === storeId);
-
-  const total = storeSnapshots.length;
-  const byTimeframe = storeSnapshots.reduce((acc, entry) => {
-    acc[entry.timeframe] = (acc[entry.timeframe] || 0) + 1;
-    return acc;
-  }, {});
-
-  const emailSentCount = storeSnapshots.filter(e => e.emailSent).length;
-  const regeneratedCount = storeSnapshots.filter(e => e.regenerated).length;
-
-  const oldestEntry = storeSnapshots[storeSnapshots.length - 1];
-  const newestEntry = storeSnapshots[0];
-
-  return {
-    total,
-    byTimeframe,
-    emailSentCount,
-    regeneratedCount,
-    oldest: oldestEntry ? {
-      id: oldestEntry.id,
-      asOfDate: oldestEntry.asOfDate,
-      createdAt: oldestEntry.createdAt
-    } : null,
-    newest: newestEntry ? {
-      id: newestEntry.id,
-      asOfDate: newestEntry.asOfDate,
-      createdAt: newestEntry.createdAt
-    } : null
-  };
+  return entryStatistics(storeId);
 }
 
 /**
- * Delete snapshot from index (does not delete file)
+ * Delete snapshot from index (does not delete the cached payload)
  *
  * @param {string} id - Snapshot ID
  * @returns {boolean} - Success
  */
 export function deleteFromIndex(id) {
-  const initialLength = snapshotIndex.length;
-  snapshotIndex = snapshotIndex.filter(e => e.id !== id);
-
-  if (snapshotIndex.length < initialLength) {
-    saveIndex();
+  if (deleteEntry(id)) {
     console.log('[SnapshotHistory] Deleted from index:', id);
     return true;
   }
@@ -482,13 +429,9 @@ export function cleanupOldEntries(olderThanDays = 90) {
   cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
   const cutoffISO = cutoffDate.toISOString();
 
-  const initialLength = snapshotIndex.length;
-  snapshotIndex = snapshotIndex.filter(e => e.createdAt >= cutoffISO);
-
-  const deletedCount = initialLength - snapshotIndex.length;
+  const deletedCount = deleteEntriesBefore(cutoffISO);
 
   if (deletedCount > 0) {
-    saveIndex();
     console.log('[SnapshotHistory] Cleaned up old entries:', {
       deletedCount,
       olderThanDays
@@ -499,10 +442,10 @@ export function cleanupOldEntries(olderThanDays = 90) {
 }
 
 /**
- * Reload index from disk (useful after external changes)
+ * Re-import data/snapshots/index.json if it changed (useful after external changes)
  */
 export function reloadIndex() {
-  loadIndex();
+  importLegacySnapshots();
 }
 
 /**
@@ -511,5 +454,5 @@ export function reloadIndex() {
  * @returns {Array} - Complete snapshot index
  */
 export function getFullIndex() {
-  return [...snapshotIndex];
+  return allEntries();
 }
@@ -7,6 +7,8 @@
  * NO new queries. NO external dependencies. Pure derivation.
  */
 
+import { formatStockoutRange } from '../intelligence/demandForecast.js';
+
 /**
  * Generate executive summary from snapshot data
  *
@@ -693,6 +695,10 @@ export function generateOMENVerdict(snapshot, previousSnapshot = null) {
 
 /**
  * Generate consequence forecasts - "If this continues for 2 weeks..."
+ *
+ * Stockout timing uses the per-SKU demand forecast (day-of-week + trend,
+ * see intelligence/demandForecast.js) when the snapshot carries one, and
+ * quotes its 80% range and backtest accuracy.
  */
 export function forecastConsequences(snapshot, previousSnapshot = null) {
   const forecasts = [];
@@ -709,14 +715,45 @@ export function forecastConsequences(snapshot, previousSnapshot = null) {
 
   if (riskItems.length > 0) {
     const soonest = riskItems.sort((a, b) => a.daysUntilStockout - b.daysUntilStockout)[0];
+    const isForecast = soonest.stockoutBasis === 'forecast';
+    const wape = soonest.forecast?.backtest?.wape;
+
     forecasts.push({
       type: 'stockout_forecast',
       horizon: '2 weeks',
-      prediction: `${soonest.name || soonest.sku} will be out of stock in ${soonest.daysUntilStockout} days`,
+      basis: isForecast ? 'demand_forecast' : 'flat_velocity',
+      prediction: isForecast && soonest.daysUntilStockoutRange?.earliest !== soonest.daysUntilStockoutRange?.latest
+        ? `${soonest.name || soonest.sku} will be out of stock in ${soonest.daysUntilStockout} days (likely ${formatStockoutRange(soonest.daysUntilStockoutRange)} days)`
+        : `${soonest.name || soonest.sku} will be out of stock in ${soonest.daysUntilStockout} days`,
       impact: riskItems.length > 1
         ? `${riskItems.length - 1} other items also at risk of stockout within 2 weeks.`
         : 'No other immediate stockout risks.',
-      action: 'Place orders now for lead time coverage.'
+      action: 'Place orders now for lead time coverage.',
+      range: isForecast ? soonest.daysUntilStockoutRange : null,
+      accuracy: (wape !== null && wape !== undefined)
+        ? `Last-week forecast error ${Math.round(wape * 100)}% (flat average: ${Math.round((soonest.forecast.backtest.baselineWape ?? 0) * 100)}%)`
+        : null
+    });
+  }
+
+  // Forecast 1b: Weekly demand peak - stock ahead of the busiest day
+  const peaked = velocityMetrics
+    .filter(v => v.forecast?.weekdayFactors && v.currentStock !== null)
+    .map(v => {
+      const [peakDay, factor] = Object.entries(v.forecast.weekdayFactors).sort((a, b) => b[1] - a[1])[0];
+      return { metric: v, peakDay, factor };
+    })
+    .filter(p => p.factor >= 1.5 && p.metric.currentStock < p.metric.forecast.next7Days.upper);
+
+  if (peaked.length > 0) {
+    const top = peaked.sort((a, b) => b.metric.forecast.next7Days.mean - a.metric.forecast.next7Days.mean)[0];
+    forecasts.push({
+      type: 'demand_peak_forecast',
+      horizon: '1 week',
+      basis: 'demand_forecast',
+      prediction: `${top.metric.name || top.metric.sku} sells ${top.factor.toFixed(1)}x its daily average on ${top.peakDay}`,
+      impact: `Next 7 days: ${Math.round(top.metric.forecast.next7Days.mean)} units forecast (up to ${Math.round(top.metric.forecast.next7Days.upper)}) against ${top.metric.currentStock} on hand.`,
+      action: `Have stock on the shelf before ${top.peakDay}.`
     });
   }
 
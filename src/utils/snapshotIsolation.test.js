@@ -0,0 +1,166 @@
+// src/utils/snapshotIsolation.test.js
+// Multi-tenant isolation tests for snapshot storage and store-scoped auth
+// Runs against a throwaway data/snapshots directory - never touches the real one
+
+import { createTestRunner, useTempWorkingDirectory } from "../testing/testHarness.js";
+
+async function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  // Snapshot modules resolve data/snapshots from process.cwd() at import time,
+  // so switch into a temp directory before loading them.
+  const workdir = useTempWorkingDirectory("omen-isolation-");
+
+  const cache = await import("./snapshotCache.js");
+  const history = await import("./snapshotHistory.js");
+  const { authenticateStore, generateToken } = await import("../middleware/auth.js");
+
+  const STORE_A = "StoreAlpha";
+  const STORE_B = "StoreBravo";
+  const TIMEFRAME = "weekly";
+  const AS_OF = "2026-01-09";
+
+  const snapshotA = {
+    store: STORE_A,
+    requestId: "req_isolation_a",
+    itemCount: 3,
+    metrics: { totalRevenue: 1200, totalProfit: 400, averageMargin: 33.3 },
+    recommendations: { promotions: [], pricing: [], inventory: [] },
+  };
+
+  console.log("\n🧪 Running Snapshot Isolation Tests\n");
+
+  // ========================================
+  // Step 1: Seed store A
+  // ========================================
+  console.log("📋 Step 1: Seed store A");
+
+  let entryA = null;
+
+  await test("Store A saves snapshot to cache and history", () => {
+    const saved = cache.saveSnapshot(STORE_A, TIMEFRAME, AS_OF, snapshotA);
+    assertEquals(saved.success, true);
+
+    entryA = history.createSnapshotEntry(snapshotA, TIMEFRAME, AS_OF);
+    const indexed = history.addToIndex(entryA);
+    assertEquals(indexed.added, true);
+  });
+
+  await test("Store A can read its own snapshot", () => {
+    assertEquals(cache.loadSnapshot(STORE_A, TIMEFRAME, AS_OF)?.snapshot.store, STORE_A);
+    assertEquals(cache.listCachedSnapshots(STORE_A).length, 1);
+    assertEquals(history.getSnapshotById(STORE_A, entryA.id)?.id, entryA.id);
+    assertEquals(history.getLastSnapshots(STORE_A).length, 1);
+  });
+
+  // ========================================
+  // Step 2: Store B sees nothing of store A
+  // ========================================
+  console.log("\n📋 Step 2: Store B cannot read store A");
+
+  await test("Cache: loadSnapshot misses for store B", () => {
+    assertEquals(cache.loadSnapshot(STORE_B, TIMEFRAME, AS_OF), null);
+  });
+
+  await test("Cache: listCachedSnapshots is empty for store B", () => {
+    assertEquals(cache.listCachedSnapshots(STORE_B).length, 0);
+  });
+
+  await test("Cache: getLatestSnapshot is null for store B", () => {
+    assertEquals(cache.getLatestSnapshot(STORE_B), null);
+  });
+
+  await test("History: store A's ID does not resolve for store B", () => {
+    assertEquals(history.getSnapshotById(STORE_B, entryA.id), null);
+  });
+
+  await test("History: list, last, range and latest are empty for store B", () => {
+    assertEquals(history.listSnapshots({ storeId: STORE_B }).length, 0);
+    assertEquals(history.getLastSnapshots(STORE_B, 7).length, 0);
+    assertEquals(history.getSnapshotsInRange(STORE_B, "2026-01-01", "2026-12-31").length, 0);
+    assertEquals(history.getLatestSnapshotEntry(STORE_B), null);
+  });
+
+  await test("History: statistics for store B count zero", () => {
+    assertEquals(history.getStatistics(STORE_B).total, 0);
+  });
+
+  await test("History: idempotency is per store", () => {
+    assertEquals(history.findExistingSnapshot(STORE_B, TIMEFRAME, AS_OF), null);
+  });
+
+  // ========================================
+  // Step 3: No storeId, no data
+  // ========================================
+  console.log("\n📋 Step 3: Missing storeId is refused");
+
+  await test("Cache reads throw without storeId", () => {
+    assertThrows(() => cache.loadSnapshot(undefined, TIMEFRAME, AS_OF));
+    assertThrows(() => cache.listCachedSnapshots());
+  });
+
+  await test("History reads throw without storeId", () => {
+    assertThrows(() => history.listSnapshots({}));
+    assertThrows(() => history.getSnapshotById(undefined, entryA.id));
+    assertThrows(() => history.getLastSnapshots());
+  });
+
+  await test("createSnapshotEntry throws without snapshot.store", () => {
+    assertThrows(() => history.createSnapshotEntry({ itemCount: 1 }, TIMEFRAME, AS_OF));
+  });
+
+  await test("Path traversal storeId is rejected", () => {
+    assertThrows(() => cache.saveSnapshot("../StoreAlpha", TIMEFRAME, AS_OF, snapshotA));
+    assertThrows(() => cache.loadSnapshot("../StoreAlpha", TIMEFRAME, AS_OF));
+  });
+
+  // ========================================
+  // Step 4: Store comes from the JWT
+  // ========================================
+  console.log("\n📋 Step 4: authenticateStore resolves the store from the token");
+
+  function mockResponse() {
+    return {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+  }
+
+  await test("Missing Authorization header → 401", () => {
+    const req = { headers: {}, path: "/snapshot/list" };
+    const res = mockResponse();
+    let nextCalled = false;
+    authenticateStore(req, res, () => { nextCalled = true; });
+    assertEquals(res.statusCode, 401);
+    assertEquals(nextCalled, false);
+  });
+
+  await test("Store B token sets req.user.storeId to store B", () => {
+    const token = generateToken({ storeId: STORE_B, storeName: "Bravo", email: "b@example.com", role: "user" });
+    const req = { headers: { authorization: `Bearer ${token}` }, path: "/snapshot/list" };
+    const res = mockResponse();
+    let nextCalled = false;
+    authenticateStore(req, res, () => { nextCalled = true; });
+    assertEquals(nextCalled, true);
+    assertEquals(req.user.storeId, STORE_B);
+    assertEquals(history.getLastSnapshots(req.user.storeId).length, 0);
+  });
+
+  // Cleanup
+  workdir.restore();
+
+  return finish("Stores are isolated.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,257 @@
+/**
+ * SPREADSHEET READER
+ *
+ * Turns uploaded CSV text or XLSX workbooks into header-keyed records for
+ * the import pipeline (utils/importProfiles.js).
+ *
+ * CSV: RFC 4180 quoting - quoted fields may contain commas, escaped quotes
+ * ("") and line breaks.
+ *
+ * XLSX: the workbook is a zip of XML parts. Only what an inventory sheet
+ * needs is read - shared strings, inline strings, numbers and booleans of
+ * one worksheet. Formulas yield their cached value; dates stay as Excel
+ * serial numbers; styles are ignored.
+ *
+ * PURE MODULE: No I/O (takes text / buffers, returns rows)
+ */
+
+import zlib from 'zlib';
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows (blank lines dropped)
+ */
+export function parseCsvRows(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+/**
+ * Read the entries of a zip archive
+ *
+ * @param {Buffer} buffer - Zip bytes
+ * @returns {Map<string, Buffer>} Entry name → uncompressed bytes
+ * @throws {Error} If the buffer is not a readable zip
+ */
+function readZipEntries(buffer) {
+  // End of central directory: last record with signature 0x06054b50
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not an XLSX file (zip directory not found)');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < entryCount; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Not an XLSX file (corrupt zip directory)');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, zlib.inflateRawSync(data));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Concatenated text of every <t> run inside an element
+function textRuns(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+function columnIndex(cellRef) {
+  const letters = cellRef.match(/^[A-Z]+/)?.[0] || 'A';
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+/**
+ * Read one worksheet of an XLSX workbook into rows of cell text
+ *
+ * @param {Buffer} buffer - XLSX bytes
+ * @param {string} [sheetName] - Worksheet name (default: first sheet)
+ * @returns {string[][]} Rows (blank rows dropped)
+ * @throws {Error} If the workbook or sheet cannot be read
+ */
+export function parseXlsxRows(buffer, sheetName = null) {
+  const entries = readZipEntries(buffer);
+  const part = name => entries.get(name)?.toString('utf8') ?? null;
+
+  const workbook = part('xl/workbook.xml');
+  const rels = part('xl/_rels/workbook.xml.rels');
+  if (!workbook || !rels) {
+    throw new Error('Not an XLSX file (workbook part missing)');
+  }
+
+  const sheets = [...workbook.matchAll(/<sheet\s[^>]*>/g)].map(m => ({
+    name: attribute(m[0], 'name'),
+    relId: attribute(m[0], 'r:id')
+  }));
+  const sheet = sheetName ? sheets.find(s => s.name === sheetName) : sheets[0];
+  if (!sheet) {
+    throw new Error(`Worksheet not found: ${sheetName || '(first sheet)'}`);
+  }
+
+  const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)]
+    .map(m => m[0])
+    .find(tag => attribute(tag, 'Id') === sheet.relId);
+  const target = rel ? attribute(rel, 'Target') : null;
+  const sheetPath = target?.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  const sheetXml = target ? part(sheetPath) : null;
+  if (!sheetXml) {
+    throw new Error(`Worksheet part missing: ${sheet.name}`);
+  }
+
+  const sharedXml = part('xl/sharedStrings.xml');
+  const shared = sharedXml
+    ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]))
+    : [];
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cellMatch of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const type = attribute(attrs, 't');
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = '';
+      if (type === 's') value = shared[parseInt(raw, 10)] ?? '';
+      else if (type === 'inlineStr') value = textRuns(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      const ref = attribute(attrs, 'r');
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    rows.push(Array.from(row, value => value ?? ''));
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * First row as headers, remaining rows as records keyed by header
+ *
+ * Headers are kept as written; profiles match them case-insensitively.
+ *
+ * @param {string[][]} rows - From parseCsvRows() / parseXlsxRows()
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export function rowsToRecords(rows) {
+  if (!rows || rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map(h => String(h).replace(/^\uFEFF/, '').trim());
+  const records = rows.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, i) => {
+      if (header) record[header] = row[i] ?? '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+export default {
+  parseCsvRows,
+  parseXlsxRows,
+  rowsToRecords
+};
@@ -0,0 +1,356 @@
+/**
+ * SPREADSHEET WRITER
+ *
+ * Renders tables to CSV text, zip archives and XLSX workbooks - the write
+ * side of spreadsheetReader.js, with no third-party dependencies.
+ *
+ * TABLES: { name, columns: [{ key, label, type }], rows: [object] }
+ * Column types: text, integer, number, decimal, money, percent. Untyped
+ * columns take the type of each value. Percent values are already
+ * percentages (42.5 means 42.5%).
+ *
+ * CSV: RFC 4180 - fields with commas, quotes or line breaks are quoted,
+ * CRLF line endings, UTF-8 BOM so Excel detects the encoding. Numbers are
+ * written unformatted.
+ *
+ * XLSX: One worksheet per table with a bold, frozen header row, numeric
+ * cells with number formats, and column widths from the content. Strings
+ * are written inline (no shared strings part).
+ *
+ * PURE MODULE: No I/O (takes tables, returns text / buffers)
+ */
+
+import zlib from 'zlib';
+
+// ============================================================================
+// CELLS
+// ============================================================================
+
+const NUMERIC_TYPES = new Set(['integer', 'number', 'decimal', 'money', 'percent']);
+
+/**
+ * Cell value for a column: numbers for numeric columns (null when not
+ * finite), strings for text columns. Untyped columns keep numbers as numbers.
+ */
+function cellValue(column, row) {
+  const value = typeof column.value === 'function' ? column.value(row) : row[column.key];
+  if (value === null || value === undefined || value === '') return null;
+
+  if (NUMERIC_TYPES.has(column.type)) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+  if (typeof value === 'number' && !column.type) return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+function csvField(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a table as CSV text
+ *
+ * @param {object} table - { columns, rows }
+ * @returns {string} CSV with a header row
+ */
+export function tableToCsv(table) {
+  const lines = [table.columns.map(column => csvField(column.label || column.key)).join(',')];
+  for (const row of table.rows) {
+    lines.push(table.columns.map(column => csvField(cellValue(column, row))).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields for a Date (local time, 2-second resolution)
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip archive (deflated entries)
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} files - Entries in order
+ * @param {Date} [modifiedAt] - Timestamp for every entry (default: now)
+ * @returns {Buffer} Zip bytes
+ */
+export function buildZip(files, modifiedAt = new Date()) {
+  const { time, day } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);        // version made by
+    central.writeUInt16LE(20, 6);        // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);   // local header offset
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Worksheet names: max 31 chars, none of []:*?/\ , unique within the workbook
+function sheetNames(tables) {
+  const used = new Set();
+  return tables.map((table, i) => {
+    const base = String(table.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+// cellXfs indexes (see STYLES_XML)
+const STYLE_BY_TYPE = {
+  header: 1,
+  integer: 2,
+  money: 3,
+  decimal: 4,
+  percent: 5,
+  number: 6
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="3"><numFmt numFmtId="164" formatCode="0.000"/><numFmt numFmtId="165" formatCode="0.0&quot;%&quot;"/><numFmt numFmtId="166" formatCode="#,##0.##"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFE8ECF2"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="7">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+function worksheetXml(table) {
+  const columns = table.columns;
+  const widths = columns.map(column => String(column.label || column.key).length);
+  const rowsXml = [];
+
+  const headerCells = columns.map((column, c) =>
+    `<c r="${columnLetters(c)}1" t="inlineStr" s="${STYLE_BY_TYPE.header}"><is><t>${escapeXml(column.label || column.key)}</t></is></c>`
+  );
+  rowsXml.push(`<row r="1">${headerCells.join('')}</row>`);
+
+  table.rows.forEach((row, r) => {
+    const rowNumber = r + 2;
+    const cells = [];
+
+    columns.forEach((column, c) => {
+      const value = cellValue(column, row);
+      if (value === null) return;
+
+      const ref = `${columnLetters(c)}${rowNumber}`;
+      if (typeof value === 'number') {
+        const style = STYLE_BY_TYPE[column.type] || STYLE_BY_TYPE.number;
+        cells.push(`<c r="${ref}" s="${style}"><v>${value}</v></c>`);
+        widths[c] = Math.max(widths[c], value.toLocaleString('en-US').length + 2);
+      } else {
+        const preserve = /^\s|\s$/.test(value) ? ' xml:space="preserve"' : '';
+        cells.push(`<c r="${ref}" t="inlineStr"><is><t${preserve}>${escapeXml(value)}</t></is></c>`);
+        widths[c] = Math.max(widths[c], Math.min(value.length, 60));
+      }
+    });
+
+    rowsXml.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+  });
+
+  const cols = widths.map((width, c) =>
+    `<col min="${c + 1}" max="${c + 1}" width="${Math.min(Math.max(width + 2, 8), 62)}" customWidth="1"/>`
+  ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<cols>${cols}</cols>
+<sheetData>${rowsXml.join('')}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Build an XLSX workbook with one worksheet per table
+ *
+ * @param {Array<object>} tables - { name, columns, rows }
+ * @param {object} [options]
+ * @param {string} [options.title] - Workbook title (document properties)
+ * @param {Date} [options.createdAt] - Creation time (default: now)
+ * @returns {Buffer} XLSX bytes
+ */
+export function buildXlsx(tables, options = {}) {
+  if (!tables || tables.length === 0) {
+    throw new Error('[SpreadsheetWriter] buildXlsx: at least one table is required');
+  }
+
+  const createdAt = options.createdAt || new Date();
+  const names = sheetNames(tables);
+
+  const sheetEntries = names.map((name, i) =>
+    `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+  ).join('');
+  const sheetRels = names.map((_, i) =>
+    `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  ).join('');
+  const sheetOverrides = names.map((_, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+${sheetOverrides}
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'docProps/core.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(options.title || '')}</dc:title>
+<dc:creator>OMEN</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheetEntries}</sheets>
+</workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheetRels}
+<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...tables.map((table, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: worksheetXml(table) }))
+  ];
+
+  return buildZip(files, createdAt);
+}
+
+export default {
+  tableToCsv,
+  buildZip,
+  buildXlsx
+};
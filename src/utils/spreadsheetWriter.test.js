@@ -0,0 +1,137 @@
+// src/utils/spreadsheetWriter.test.js
+// Unit tests for CSV, zip and XLSX writing (round-tripped through spreadsheetReader)
+// Pure functions only - no database
+
+import zlib from "zlib";
+import { tableToCsv, buildZip, buildXlsx } from "./spreadsheetWriter.js";
+import { parseCsvRows, parseXlsxRows } from "./spreadsheetReader.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const table = {
+    name: "SKU Facts",
+    columns: [
+      { key: "sku", label: "SKU", type: "text" },
+      { key: "name", label: "Name", type: "text" },
+      { key: "quantity", label: "Quantity", type: "integer" },
+      { key: "retail", label: "Retail", type: "money" },
+      { key: "note", label: "Note" }
+    ],
+    rows: [
+      { sku: "AD-3.5G", name: "Afternoon Delight, \"Top Shelf\"", quantity: 12, retail: 45.5, note: 3 },
+      { sku: "GG4-14G", name: "Line one\nline two", quantity: null, retail: "n/a", note: "  padded  " },
+      { sku: "R&D <1>", name: "Café", quantity: 0, retail: 0, note: true }
+    ]
+  };
+
+  // ========================================
+  // CSV
+  // ========================================
+  console.log("\n📄 Testing CSV...\n");
+
+  test("CSV round-trips quoting, line breaks and blanks", () => {
+    const rows = parseCsvRows(tableToCsv(table));
+    assertEquals(rows.length, 4);
+    assertEquals(rows[0].join("|"), "SKU|Name|Quantity|Retail|Note");
+    assertEquals(rows[1][1], "Afternoon Delight, \"Top Shelf\"");
+    assertEquals(rows[2][1], "Line one\nline two");
+    assertEquals(rows[2][2], "", "Missing number should be blank");
+    assertEquals(rows[2][3], "", "Non-numeric value in a money column should be blank");
+    assertEquals(rows[3][4], "TRUE");
+  });
+
+  test("CSV has a BOM and CRLF line endings", () => {
+    const csv = tableToCsv(table);
+    assertEquals(csv.charCodeAt(0), 0xFEFF);
+    assertEquals(csv.split("\r\n").length, 5, "Header, 3 rows and a trailing line ending");
+  });
+
+  // ========================================
+  // Zip
+  // ========================================
+  console.log("\n🗜️  Testing zip...\n");
+
+  test("Zip entries are deflated with the right sizes and CRC", () => {
+    const zip = buildZip([{ name: "a.csv", data: "sku\r\nAD-3.5G\r\n" }, { name: "b.txt", data: Buffer.from("hello") }]);
+    assertEquals(zip.readUInt32LE(0), 0x04034b50, "Starts with a local file header");
+    assertEquals(zip.readUInt32LE(zip.length - 22), 0x06054b50, "Ends with the end of central directory");
+    assertEquals(zip.readUInt16LE(zip.length - 22 + 10), 2, "Two entries");
+
+    const compressedSize = zip.readUInt32LE(18);
+    const nameLength = zip.readUInt16LE(26);
+    const data = zlib.inflateRawSync(zip.subarray(30 + nameLength, 30 + nameLength + compressedSize));
+    assertEquals(data.toString("utf8"), "sku\r\nAD-3.5G\r\n");
+    assertEquals(zip.readUInt32LE(14), 0x1fc0c262, "CRC-32 of the entry");
+  });
+
+  // ========================================
+  // XLSX
+  // ========================================
+  console.log("\n📊 Testing XLSX...\n");
+
+  test("XLSX round-trips every sheet through the reader", () => {
+    const xlsx = buildXlsx([table, { name: "Metrics", columns: [{ key: "metric" }, { key: "value" }], rows: [{ metric: "Total SKUs", value: 307 }] }]);
+    const skus = parseXlsxRows(xlsx, "SKU Facts");
+    assertEquals(skus.length, 4);
+    assertEquals(skus[1][0], "AD-3.5G");
+    assertEquals(skus[1][2], "12");
+    assertEquals(skus[1][3], "45.5");
+    assertEquals(skus[2][1], "Line one\nline two");
+    assertEquals(skus[2][4], "  padded  ", "Surrounding spaces are preserved");
+    assertEquals(skus[3][0], "R&D <1>", "XML characters are escaped");
+
+    const metrics = parseXlsxRows(xlsx, "Metrics");
+    assertEquals(metrics[0].join("|"), "metric|value", "Key is the header when there is no label");
+    assertEquals(metrics[1][1], "307");
+  });
+
+  test("XLSX writes numbers as numeric cells with formats", () => {
+    const xlsx = buildXlsx([table]);
+    const sheet = readEntry(xlsx, "xl/worksheets/sheet1.xml");
+    assertEquals(/<c r="C2" s="2"><v>12<\/v><\/c>/.test(sheet), true, "Integer cell");
+    assertEquals(/<c r="D2" s="3"><v>45.5<\/v><\/c>/.test(sheet), true, "Money cell");
+    assertEquals(/<c r="E2" s="6"><v>3<\/v><\/c>/.test(sheet), true, "Untyped number stays numeric");
+    assertEquals(sheet.includes('r="C3"'), false, "Missing values are left empty");
+    assertEquals(sheet.includes('state="frozen"'), true, "Header row is frozen");
+  });
+
+  test("XLSX sheet names are cleaned and unique", () => {
+    const xlsx = buildXlsx([
+      { name: "Q1/Q2: [Sales]", columns: [{ key: "a" }], rows: [] },
+      { name: "Velocity", columns: [{ key: "a" }], rows: [] },
+      { name: "velocity", columns: [{ key: "a" }], rows: [] }
+    ]);
+    const workbook = readEntry(xlsx, "xl/workbook.xml");
+    const names = [...workbook.matchAll(/<sheet name="([^"]*)"/g)].map(m => m[1]);
+    assertEquals(names.join("|"), "Q1 Q2   Sales|Velocity|velocity 2");
+  });
+
+  test("XLSX needs at least one table", () => {
+    assertThrows(() => buildXlsx([]));
+  });
+
+  // Inflate one part of a zip (entries are written in order, local headers first)
+  function readEntry(zip, name) {
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034b50) {
+      const compressedSize = zip.readUInt32LE(offset + 18);
+      const nameLength = zip.readUInt16LE(offset + 26);
+      const entryName = zip.toString("utf8", offset + 30, offset + 30 + nameLength);
+      const start = offset + 30 + nameLength;
+      if (entryName === name) return zlib.inflateRawSync(zip.subarray(start, start + compressedSize)).toString("utf8");
+      offset = start + compressedSize;
+    }
+    throw new Error(`Entry not found: ${name}`);
+  }
+
+  // Summary
+  // ========================================
+  return finish("CSV, zip and XLSX output round-trips.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
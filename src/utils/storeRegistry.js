@@ -0,0 +1,55 @@
+/**
+ * Store Registry - Stores served by this OMEN instance
+ *
+ * HTTP routes resolve the store from the JWT (see middleware/auth.js).
+ * Background jobs (cron snapshots, order sync, freshness checks) have no
+ * request and therefore no token - they iterate over this list instead.
+ *
+ * Configuration:
+ * - OMEN_STORE_IDS: comma-separated store IDs (e.g. "NJWeedWizard,CaliCannabis")
+ * - STORE_ID: legacy single-store setting, used only if OMEN_STORE_IDS is unset
+ */
+
+import { validateStoreId } from '../middleware/auth.js';
+
+const LEGACY_DEFAULT_STORE_ID = 'NJWeedWizard';
+
+/**
+ * Get every configured store ID
+ *
+ * CRITICAL: Invalid IDs fail fast - they would otherwise reach file paths
+ * and authority filters.
+ *
+ * @returns {string[]} Unique, validated store IDs (never empty)
+ */
+export function getConfiguredStoreIds() {
+  const raw = process.env.OMEN_STORE_IDS || process.env.STORE_ID || '';
+
+  const storeIds = [...new Set(
+    raw.split(',').map(id => id.trim()).filter(Boolean)
+  )];
+
+  if (storeIds.length === 0) {
+    console.warn(`[StoreRegistry] OMEN_STORE_IDS not set - background jobs default to ${LEGACY_DEFAULT_STORE_ID}`);
+    return [LEGACY_DEFAULT_STORE_ID];
+  }
+
+  for (const storeId of storeIds) {
+    const validation = validateStoreId(storeId);
+    if (!validation.valid) {
+      throw new Error(`[StoreRegistry] Invalid store ID "${storeId}" in OMEN_STORE_IDS: ${validation.error}`);
+    }
+  }
+
+  return storeIds;
+}
+
+/**
+ * Check whether a store is served by this instance
+ *
+ * @param {string} storeId - Store identifier
+ * @returns {boolean}
+ */
+export function isConfiguredStore(storeId) {
+  return getConfiguredStoreIds().includes(storeId);
+}
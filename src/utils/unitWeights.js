@@ -0,0 +1,133 @@
+/**
+ * OMEN UNIT WEIGHTS
+ *
+ * Shared knowledge of sellable unit sizes: which variants are sold by
+ * weight and how many grams each one holds (eighth = 3.5g, oz = 28g).
+ *
+ * CONSUMERS:
+ * - data/supabaseAuthority.js: item.grams and identity inference from SKUs
+ * - utils/gramPools.js: deriving sellable units from a strain's bulk grams
+ * - services/orderSyncService.js: canonical units written to orders.unit
+ * - utils/skuAliases.js: the unit half of every alias key
+ *
+ * PURE MODULE: No I/O
+ */
+
+// Unit classification from variant token
+const UNIT_RULES = [
+  { test: /^\d+(\.\d+)?[Gg]$/,  unit: 'grams' },    // 3.5G, 7G, 14G, 28G
+  { test: /^\d+\.\d+$/,         unit: 'grams' },     // 3.5 (bare decimal → grams)
+  { test: /^[Oo][Zz]$/,         unit: 'grams' },     // OZ
+];
+
+// Product-name tokens that signal unit = 'pieces'
+const PIECE_TOKENS = ['gummies', 'gummy', 'edibles', 'edible', 'capsules', 'tabs'];
+
+// Variant label (lowercase, no spaces) → grams per unit
+const GRAMS_BY_UNIT = {
+  '28g': 28,
+  '14g': 14,
+  '7g': 7,
+  '3.5g': 3.5,
+  'oz': 28,
+  'half': 14,
+  'quarter': 7,
+  'eighth': 3.5,
+  '1g': 1,
+  'gram': 1
+};
+
+/**
+ * Infer unit from variant token and product name tokens.
+ *
+ * @param {string} variantToken - Variant segment of a SKU (e.g. "3.5G", "01")
+ * @param {string} productSegment - Product segment of a SKU
+ * @returns {'grams'|'pieces'|null}
+ */
+export function inferUnit(variantToken, productSegment) {
+  // Check variant token against size rules
+  for (const rule of UNIT_RULES) {
+    if (rule.test.test(variantToken)) return rule.unit;
+  }
+  // Check product segment for piece-type keywords
+  const lower = (productSegment || '').toLowerCase();
+  for (const token of PIECE_TOKENS) {
+    if (lower.includes(token)) return 'pieces';
+  }
+  return null;
+}
+
+/**
+ * Map units/variants to grams
+ *
+ * @param {string} unit - Unit or variant label ("3.5 G", "eighth", "OZ")
+ * @returns {number|null} Grams per unit, or null when not sold by weight
+ */
+export function getGramsForUnit(unit) {
+  if (!unit || typeof unit !== 'string') return null;
+
+  const normalized = unit.toLowerCase().replace(/\s+/g, '');
+
+  return GRAMS_BY_UNIT[normalized] || null;
+}
+
+/**
+ * Normalize a raw unit string to a canonical stored form.
+ *
+ * Canonical values:
+ *   Weight:       '3.5g', '7g', '14g', '28g', '1g', '2g'
+ *   Product type: 'cartridge', 'gummies', 'preroll'
+ *   Unknown:      'unknown'
+ *
+ * This runs on EVERY unit value before it is written to orders.unit, and
+ * on the unit of every alias key, so "1 OZ" and "28g" are the same unit.
+ * It is the single source of truth for unit normalization in JS.
+ *
+ * @param {string} raw - Unit label ("1 OZ", "3.5 G", "eighth")
+ * @returns {string} Canonical unit
+ */
+export function canonicalizeUnit(raw) {
+  if (!raw) return 'unknown';
+
+  let u = String(raw).toLowerCase().trim();
+
+  // Literal 'unit' / 'units' is not a measurement
+  if (u === 'unit' || u === 'units' || u === '') return 'unknown';
+
+  // Collapse space between number and g: '28 G' → '28g', '3.5 G' → '3.5g'
+  u = u.replace(/(\d+\.?\d*)\s+g\b/gi, '$1g');
+
+  // Fraction forms
+  if (/^1\s*\/\s*8$/.test(u)) return '3.5g';
+  if (/^1\s*\/\s*4$/.test(u)) return '7g';
+  if (/^1\s*\/\s*2$/.test(u)) return '14g';
+  if (/^(1\s*oz|one\s*oz|1\s*ounce|ounce)$/i.test(u)) return '28g';
+
+  // Word synonyms (whole-string only — avoids mangling compound names)
+  if (/^eighths?$/.test(u)) return '3.5g';
+  if (/^quarters?$/.test(u)) return '7g';
+  if (/^half$/.test(u)) return '14g';
+  if (/^ounces?$/.test(u)) return '28g';
+
+  // Strip trailing descriptor after a weight: '1g disposable' → '1g', '2g flavored' → '2g'
+  const weightDesc = u.match(/^(\d+\.?\d*g)\s+\S/);
+  if (weightDesc) u = weightDesc[1];
+
+  // Product-type detection (check after weight stripping)
+  if (/cart/.test(u))                        return 'cartridge';
+  if (/gumm/.test(u))                        return 'gummies';
+  if (/^disposable$/.test(u))                return '1g';
+  if (/(pre.?roll|preroll|^roll$)/.test(u))  return 'preroll';
+
+  // Already a canonical weight
+  if (/^\d+\.?\d*g$/.test(u)) return u;
+
+  // Return lowercased as-is (better than 'unknown' for debugging)
+  return u;
+}
+
+export default {
+  inferUnit,
+  getGramsForUnit,
+  canonicalizeUnit
+};
@@ -0,0 +1,174 @@
+/**
+ * OMEN VENDOR REGISTRY
+ *
+ * Vendor master data (lead time, minimum order, pack size) and the
+ * SKU → vendor mapping that turns restock timing from one global number
+ * into a per-vendor one.
+ *
+ * REORDER TIMING:
+ *   critical  — days of coverage <= lead time
+ *               (stock runs out before a reorder placed today can arrive)
+ *   restock   — days of coverage <= lead time + REVIEW_DAYS
+ *               (the next ordering cycle would be too late)
+ *
+ * SKUs with no vendor (or a vendor with no lead time) keep the caller's
+ * global thresholds, so unmapped stores behave exactly as before.
+ *
+ * PURE MODULE: No I/O. Persistence lives in services/vendorService.js
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  REVIEW_DAYS: 5,        // Buffer for the ordering cycle on top of lead time
+  MAX_LEAD_TIME_DAYS: 365
+};
+
+const VENDOR_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate and normalize vendor input
+ *
+ * @param {Object} input - { vendorId, name, leadTimeDays, minimumOrderQty, packSize, contact, notes }
+ * @returns {Object} Normalized vendor
+ * @throws {Error} If a field is invalid
+ */
+export function normalizeVendor(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('normalizeVendor: vendor must be an object');
+  }
+
+  const vendorId = typeof input.vendorId === 'string' ? input.vendorId.trim() : '';
+  if (!VENDOR_ID_PATTERN.test(vendorId)) {
+    throw new Error('normalizeVendor: vendorId must be 1-64 letters, numbers, dot, dash or underscore');
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new Error(`normalizeVendor: ${vendorId} needs a name`);
+  }
+
+  const leadTimeDays = input.leadTimeDays ?? null;
+  if (leadTimeDays !== null &&
+      (!Number.isInteger(leadTimeDays) || leadTimeDays < 0 || leadTimeDays > CONFIG.MAX_LEAD_TIME_DAYS)) {
+    throw new Error(`normalizeVendor: leadTimeDays for ${vendorId} must be an integer from 0 to ${CONFIG.MAX_LEAD_TIME_DAYS}`);
+  }
+
+  const minimumOrderQty = input.minimumOrderQty ?? 1;
+  if (!Number.isInteger(minimumOrderQty) || minimumOrderQty < 1) {
+    throw new Error(`normalizeVendor: minimumOrderQty for ${vendorId} must be a positive integer`);
+  }
+
+  const packSize = input.packSize ?? 1;
+  if (!Number.isInteger(packSize) || packSize < 1) {
+    throw new Error(`normalizeVendor: packSize for ${vendorId} must be a positive integer`);
+  }
+
+  return {
+    vendorId,
+    name,
+    leadTimeDays,
+    minimumOrderQty,
+    packSize,
+    contact: input.contact || null,
+    notes: input.notes || null
+  };
+}
+
+// ============================================================================
+// REORDER TIMING
+// ============================================================================
+
+/**
+ * Days-of-coverage thresholds for a SKU
+ *
+ * @param {number|null} leadTimeDays - Vendor lead time (null = unknown)
+ * @param {Object} fallback - { lowStockDays, criticalStockDays } used when lead time is unknown
+ * @returns {Object} { lowStockDays, criticalStockDays, basis: 'vendor_lead_time' | 'default' }
+ */
+export function stockDayThresholds(leadTimeDays, fallback) {
+  if (leadTimeDays === null || leadTimeDays === undefined || !isFinite(leadTimeDays)) {
+    return {
+      lowStockDays: fallback.lowStockDays,
+      criticalStockDays: fallback.criticalStockDays,
+      basis: 'default'
+    };
+  }
+
+  return {
+    lowStockDays: leadTimeDays + CONFIG.REVIEW_DAYS,
+    criticalStockDays: leadTimeDays,
+    basis: 'vendor_lead_time'
+  };
+}
+
+/**
+ * Round an order quantity up to the vendor's minimum order and pack size
+ *
+ * @param {number} quantity - Desired units
+ * @param {Object} [terms] - { minimumOrderQty, packSize }
+ * @returns {number} Orderable units (multiple of packSize, at least minimumOrderQty)
+ */
+export function applyOrderMultiples(quantity, terms = {}) {
+  const packSize = terms.packSize > 1 ? terms.packSize : 1;
+  const minimum = terms.minimumOrderQty > 1 ? terms.minimumOrderQty : 1;
+
+  const desired = Math.max(quantity, minimum);
+  return Math.ceil(desired / packSize) * packSize;
+}
+
+// ============================================================================
+// INVENTORY ENRICHMENT
+// ============================================================================
+
+/**
+ * Attach vendor terms to inventory items
+ *
+ * Adds vendor, vendorId, leadTimeDays, minimumOrderQty and packSize.
+ * Unmapped items keep any existing vendor name and get null terms.
+ *
+ * @param {Array} inventory - Inventory items
+ * @param {Array} vendors - Normalized vendors
+ * @param {Map<string, string>} skuVendorMap - sku → vendorId
+ * @returns {Array} New inventory array (items are shallow-copied)
+ */
+export function attachVendorTerms(inventory, vendors, skuVendorMap) {
+  const vendorsById = new Map((vendors || []).map(v => [v.vendorId, v]));
+
+  return (inventory || []).map(item => {
+    const vendor = vendorsById.get(skuVendorMap?.get(item.sku)) || null;
+
+    if (!vendor) {
+      return {
+        ...item,
+        vendor: item.vendor || null,
+        vendorId: null,
+        leadTimeDays: null,
+        minimumOrderQty: null,
+        packSize: null
+      };
+    }
+
+    return {
+      ...item,
+      vendor: vendor.name,
+      vendorId: vendor.vendorId,
+      leadTimeDays: vendor.leadTimeDays,
+      minimumOrderQty: vendor.minimumOrderQty,
+      packSize: vendor.packSize
+    };
+  });
+}
+
+export default {
+  normalizeVendor,
+  stockDayThresholds,
+  applyOrderMultiples,
+  attachVendorTerms
+};
@@ -0,0 +1,127 @@
+// src/utils/vendorRegistry.test.js
+// Unit tests for vendor terms and lead-time-based restock timing
+// Pure functions only - no database
+
+import {
+  normalizeVendor,
+  stockDayThresholds,
+  applyOrderMultiples,
+  attachVendorTerms
+} from "./vendorRegistry.js";
+import { buildFactTables, classifyInventoryStatus, STATUS } from "./decisionClassifier.js";
+import { buildDraftPurchaseOrders } from "./purchaseOrders.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, assertThrows, finish } = createTestRunner();
+
+  const GLOBAL = { lowStockDays: 10, criticalStockDays: 5 };
+
+  const vendors = [
+    normalizeVendor({ vendorId: "slow-farms", name: "Slow Farms", leadTimeDays: 14, packSize: 6, minimumOrderQty: 12 }),
+    normalizeVendor({ vendorId: "quick-cure", name: "Quick Cure", leadTimeDays: 2 }),
+  ];
+
+  console.log("\n🧪 Running Vendor Registry Tests\n");
+
+  // ========================================
+  // Step 1: Vendor terms
+  // ========================================
+  console.log("📋 Step 1: Vendor terms");
+
+  test("Vendor input is normalized with defaults", () => {
+    const v = normalizeVendor({ vendorId: " acme ", name: "Acme" });
+    assertEquals(v.vendorId, "acme");
+    assertEquals(v.leadTimeDays, null);
+    assertEquals(v.minimumOrderQty, 1);
+    assertEquals(v.packSize, 1);
+  });
+
+  test("Invalid vendor input throws", () => {
+    assertThrows(() => normalizeVendor({ vendorId: "bad id", name: "x" }));
+    assertThrows(() => normalizeVendor({ vendorId: "acme" }));
+    assertThrows(() => normalizeVendor({ vendorId: "acme", name: "Acme", leadTimeDays: -1 }));
+    assertThrows(() => normalizeVendor({ vendorId: "acme", name: "Acme", packSize: 0 }));
+  });
+
+  test("Thresholds follow lead time, else the fallback", () => {
+    const slow = stockDayThresholds(14, GLOBAL);
+    assertEquals(slow.criticalStockDays, 14);
+    assertEquals(slow.lowStockDays, 19);
+    assertEquals(slow.basis, "vendor_lead_time");
+    assertEquals(stockDayThresholds(null, GLOBAL).lowStockDays, 10);
+    assertEquals(stockDayThresholds(undefined, GLOBAL).basis, "default");
+  });
+
+  test("Order quantity rounds up to minimum order and pack size", () => {
+    assertEquals(applyOrderMultiples(5, { minimumOrderQty: 12, packSize: 6 }), 12);
+    assertEquals(applyOrderMultiples(13, { minimumOrderQty: 12, packSize: 6 }), 18);
+    assertEquals(applyOrderMultiples(7, {}), 7);
+  });
+
+  test("Vendor terms attach to mapped SKUs only", () => {
+    const enriched = attachVendorTerms(
+      [{ sku: "A" }, { sku: "B", vendor: "Legacy Name" }],
+      vendors,
+      new Map([["A", "slow-farms"]])
+    );
+    assertEquals(enriched[0].vendor, "Slow Farms");
+    assertEquals(enriched[0].leadTimeDays, 14);
+    assertEquals(enriched[1].vendor, "Legacy Name");
+    assertEquals(enriched[1].leadTimeDays, null);
+  });
+
+  // ========================================
+  // Step 2: Restock timing in the classifier
+  // ========================================
+  console.log("\n📋 Step 2: Restock timing in the classifier");
+
+  function statusFor(item) {
+    const velocityMetrics = [{ sku: item.sku, name: `${item.strain} (${item.unit})`, dailyVelocity: 1, totalSold: 7 }];
+    const { inventoryFacts } = buildFactTables([item], velocityMetrics, {});
+    return classifyInventoryStatus(inventoryFacts)[0];
+  }
+
+  const base = { strain: "Bloopiez", unit: "3.5g", pricing: { cost: 10, retail: 30 } };
+
+  test("12 days of coverage is healthy against the global 10 days", () => {
+    assertEquals(statusFor({ ...base, sku: "A", quantity: 12 }).status, STATUS.HEALTHY);
+  });
+
+  test("12 days of coverage is critical for a 14-day lead time", () => {
+    const [item] = attachVendorTerms([{ ...base, sku: "A", quantity: 12 }], vendors, new Map([["A", "slow-farms"]]));
+    const result = statusFor(item);
+    assertEquals(result.status, STATUS.RESTOCK);
+    assertEquals(result.action, "Reorder immediately");
+    assertEquals(result.metrics.lead_time_days, 14);
+  });
+
+  test("8 days of coverage is fine for a 2-day lead time", () => {
+    const [item] = attachVendorTerms([{ ...base, sku: "B", quantity: 8 }], vendors, new Map([["B", "quick-cure"]]));
+    assertEquals(statusFor(item).status, STATUS.HEALTHY);
+    assertEquals(statusFor({ ...base, sku: "B", quantity: 8 }).status, STATUS.RESTOCK);
+  });
+
+  // ========================================
+  // Step 3: Purchase order suggestions
+  // ========================================
+  console.log("\n📋 Step 3: Purchase order suggestions");
+
+  test("Draft lines cover lead time and respect pack size", () => {
+    const inventory = attachVendorTerms([{ sku: "A", pricing: { cost: 10 } }], vendors, new Map([["A", "slow-farms"]]));
+    const { drafts } = buildDraftPurchaseOrders(
+      [{ type: "REORDER_NOW", sku: "A", reason: "low", metrics: { velocity: 1, quantity: 10 } }],
+      inventory
+    );
+    assertEquals(drafts[0].vendor, "Slow Farms");
+    // 1/day × (21 + 14) − 10 = 25 → pack of 6 → 30
+    assertEquals(drafts[0].lines[0].suggestedQty, 30);
+  });
+
+  return finish("Vendor terms drive restock timing.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
@@ -0,0 +1,132 @@
+/**
+ * OMEN WEBHOOK SIGNATURES
+ *
+ * HMAC scheme for webhooks relayed to OMEN (Wix Velo event handlers,
+ * Make.com scenarios, scripts/replay-wix-webhooks.js):
+ *
+ *   X-OMEN-Timestamp: <unix seconds>
+ *   X-OMEN-Store-Id:  <store ID> (optional on single-store instances)
+ *   X-OMEN-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<store ID>.<raw body>">
+ *   X-OMEN-Event-Id:  <sender's event ID> (optional)
+ *
+ * The timestamp is part of the signed content, so a captured request can
+ * only be replayed inside the tolerance window - and inside it, the event
+ * ID makes the replay a no-op.
+ *
+ * The store ID is signed too (the one the request is for, even when the
+ * header is omitted), so a request signed for one store cannot be
+ * re-addressed to another that shares the fallback secret.
+ *
+ * PURE MODULE: No I/O. Secrets come from services/wixWebhookService.js
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADERS = Object.freeze({
+  SIGNATURE: 'x-omen-signature',
+  TIMESTAMP: 'x-omen-timestamp',
+  EVENT_ID: 'x-omen-event-id',
+  EVENT_TYPE: 'x-omen-event-type',
+  STORE_ID: 'x-omen-store-id'
+});
+
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a raw body for one store
+ *
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string} storeId - Store the request is for
+ * @param {string} rawBody - Exact request body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, storeId, rawBody) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${storeId}.${rawBody}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a timestamp is inside the replay window
+ *
+ * @param {number} timestampSeconds - Unix seconds from the request
+ * @param {Object} options - { now?: ms, toleranceSeconds? }
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function checkTimestamp(timestampSeconds, options = {}) {
+  const now = options.now ?? Date.now();
+  const tolerance = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+
+  if (!Number.isFinite(timestampSeconds)) {
+    return { ok: false, reason: 'Missing or invalid timestamp' };
+  }
+
+  const skew = Math.abs(now / 1000 - timestampSeconds);
+  if (skew > tolerance) {
+    return { ok: false, reason: `Timestamp outside the ${tolerance}s replay window` };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Verify an HMAC-signed request
+ *
+ * @param {Object} params
+ * @param {string} params.secret - Shared secret
+ * @param {string} params.storeId - Store the request was resolved to
+ * @param {string} params.rawBody - Exact request body
+ * @param {string} params.signature - X-OMEN-Signature header
+ * @param {string} params.timestamp - X-OMEN-Timestamp header
+ * @param {number} [params.now] - Current time in ms (tests)
+ * @param {number} [params.toleranceSeconds] - Replay window
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifySignature({ secret, storeId, rawBody, signature, timestamp, now, toleranceSeconds }) {
+  if (!signature || !timestamp) {
+    return { ok: false, reason: 'Missing signature headers' };
+  }
+  if (!storeId) {
+    return { ok: false, reason: 'Missing store ID' };
+  }
+
+  const window = checkTimestamp(Number(timestamp), { now, toleranceSeconds });
+  if (!window.ok) return window;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, storeId, rawBody));
+  const given = Buffer.from(String(signature).trim());
+
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: 'Signature mismatch' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Stable event ID: the sender's, else a hash of the body
+ *
+ * Hashing means an identical re-post is still recognised as a duplicate.
+ *
+ * @param {string|null} headerId - X-OMEN-Event-Id
+ * @param {Object|null} payload - Parsed body
+ * @param {string} rawBody - Exact request body
+ * @returns {string}
+ */
+export function resolveEventId(headerId, payload, rawBody) {
+  const given = headerId || payload?.eventId;
+  if (given && String(given).trim()) return String(given).trim();
+  return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+export default {
+  SIGNATURE_HEADERS,
+  DEFAULT_TOLERANCE_SECONDS,
+  signPayload,
+  checkTimestamp,
+  verifySignature,
+  resolveEventId
+};
@@ -0,0 +1,87 @@
+// src/utils/webhookSignature.test.js
+// Unit tests for webhook HMAC signatures, replay window and event IDs
+// Pure functions only - no database
+
+import {
+  signPayload,
+  checkTimestamp,
+  verifySignature,
+  resolveEventId,
+  DEFAULT_TOLERANCE_SECONDS
+} from "./webhookSignature.js";
+import { createTestRunner } from "../testing/testHarness.js";
+
+function runTests() {
+  const { test, assertEquals, finish } = createTestRunner();
+  const secret = "whsec_test";
+  const now = Date.parse("2026-10-18T12:00:00Z");
+  const timestamp = Math.floor(now / 1000);
+  const rawBody = JSON.stringify({ orderNumber: "10042", lineItems: [{ sku: "AD-3.5G", quantity: 1 }] });
+  const storeId = "NJWeedWizard";
+  const signature = signPayload(secret, timestamp, storeId, rawBody);
+
+  // ========================================
+  // Signatures
+  // ========================================
+  test("Signed body verifies", () => {
+    assertEquals(signature.startsWith("sha256="), true);
+    const result = verifySignature({ secret, storeId, rawBody, signature, timestamp: String(timestamp), now });
+    assertEquals(result.ok, true, result.reason);
+  });
+
+  test("Tampered body, timestamp or secret fails", () => {
+    const tampered = rawBody.replace("10042", "10043");
+    assertEquals(verifySignature({ secret, storeId, rawBody: tampered, signature, timestamp: String(timestamp), now }).ok, false);
+    assertEquals(verifySignature({ secret, storeId, rawBody, signature, timestamp: String(timestamp + 1), now }).ok, false);
+    assertEquals(verifySignature({ secret: "other", storeId, rawBody, signature, timestamp: String(timestamp), now }).ok, false);
+    assertEquals(verifySignature({ secret, storeId, rawBody, signature: "sha256=abc", timestamp: String(timestamp), now }).ok, false);
+  });
+
+  test("A signature is only good for the store it was signed for", () => {
+    assertEquals(verifySignature({ secret, storeId: "OtherStore", rawBody, signature, timestamp: String(timestamp), now }).ok, false);
+    assertEquals(signPayload(secret, timestamp, "OtherStore", rawBody) === signature, false);
+
+    const missing = verifySignature({ secret, storeId: undefined, rawBody, signature, timestamp: String(timestamp), now });
+    assertEquals(missing.ok, false);
+    assertEquals(missing.reason, "Missing store ID");
+  });
+
+  test("Missing headers fail", () => {
+    const result = verifySignature({ secret, storeId, rawBody, signature: undefined, timestamp: String(timestamp), now });
+    assertEquals(result.ok, false);
+    assertEquals(result.reason, "Missing signature headers");
+  });
+
+  // ========================================
+  // Replay window
+  // ========================================
+  test("Timestamps outside the window are rejected", () => {
+    const stale = timestamp - DEFAULT_TOLERANCE_SECONDS - 1;
+    const staleSignature = signPayload(secret, stale, storeId, rawBody);
+    assertEquals(verifySignature({ secret, storeId, rawBody, signature: staleSignature, timestamp: String(stale), now }).ok, false);
+    assertEquals(checkTimestamp(timestamp + 60, { now }).ok, true);
+    assertEquals(checkTimestamp(timestamp + 60, { now, toleranceSeconds: 30 }).ok, false);
+    assertEquals(checkTimestamp(NaN, { now }).ok, false);
+  });
+
+  // ========================================
+  // Event IDs
+  // ========================================
+  test("Event ID prefers the header, then the payload, then a body hash", () => {
+    assertEquals(resolveEventId("evt_1", { eventId: "evt_2" }, rawBody), "evt_1");
+    assertEquals(resolveEventId(null, { eventId: "evt_2" }, rawBody), "evt_2");
+    const hashed = resolveEventId(null, {}, rawBody);
+    assertEquals(hashed.startsWith("sha256:"), true);
+    assertEquals(resolveEventId(undefined, null, rawBody), hashed, "Same body gives the same ID");
+    assertEquals(resolveEventId(null, {}, rawBody + " ") !== hashed, true);
+  });
+
+  // Summary
+  // ========================================
+  return finish("Webhook signatures and replay protection hold.");
+}
+
+// Run tests if executed directly
+runTests();
+
+export { runTests };
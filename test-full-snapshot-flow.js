@@ -22,7 +22,7 @@ async function testSnapshotFlow() {
 
     // 2. Test DAILY velocity analysis
     console.log('📊 Step 2: Testing DAILY velocity analysis...');
-    const dailyAnalysis = await analyzeInventoryVelocity(inventory, 'daily');
+    const dailyAnalysis = await analyzeInventoryVelocity('NJWeedWizard', inventory, 'daily');
 
     console.log(`   Result: ${dailyAnalysis.ok ? '✓ SUCCESS' : '✗ FAILED'}`);
     console.log(`   Orders found: ${dailyAnalysis.orderCount || 0}`);
@@ -39,7 +39,7 @@ async function testSnapshotFlow() {
 
     // 3. Test WEEKLY velocity analysis
     console.log('\n📊 Step 3: Testing WEEKLY velocity analysis...');
-    const weeklyAnalysis = await analyzeInventoryVelocity(inventory, 'weekly');
+    const weeklyAnalysis = await analyzeInventoryVelocity('NJWeedWizard', inventory, 'weekly');
 
     console.log(`   Result: ${weeklyAnalysis.ok ? '✓ SUCCESS' : '✗ FAILED'}`);
     console.log(`   Orders found: ${weeklyAnalysis.orderCount || 0}`);
@@ -12,7 +12,7 @@ import { syncOrdersFromWebhooks } from './src/services/orderSyncService.js';
 async function test() {
   console.log('🔄 Testing order sync from webhook_events...\n');
 
-  const result = await syncOrdersFromWebhooks(30); // Last 30 days
+  const result = await syncOrdersFromWebhooks(process.env.STORE_ID || 'NJWeedWizard', 30); // Last 30 days
 
   console.log('\n📊 RESULTS:');
   console.log(`  Synced: ${result.synced} order items`);
@@ -15,6 +15,7 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const STORE_ID = process.env.STORE_ID || 'NJWeedWizard';
 
 async function testTemporalAnalyzer() {
   console.log('=== TEST TEMPORAL ANALYZER ===\n');
@@ -22,7 +23,8 @@ async function testTemporalAnalyzer() {
   // Load current inventory
   const { data: inventory, error: invError } = await supabase
     .from('inventory_live')
-    .select('*');
+    .select('*')
+    .eq('store_id', STORE_ID);
 
   if (invError) {
     console.error('Failed to load inventory:', invError.message);
@@ -34,7 +36,7 @@ async function testTemporalAnalyzer() {
   // Run temporal analysis
   console.log('--- WEEKLY ANALYSIS ---\n');
 
-  const result = await analyzeInventoryVelocity(inventory, 'weekly');
+  const result = await analyzeInventoryVelocity(STORE_ID, inventory, 'weekly');
 
   console.log('Result:', JSON.stringify({
     ok: result.ok,